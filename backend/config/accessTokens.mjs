@@ -0,0 +1,52 @@
+/**
+ * Personal access tokens for the public /api/v1 routes. Shared by the backend token store, the
+ * Next.js v1 routes that check them and the token management card on the account page.
+ */
+
+/** Token strings start with this, so they are never mistaken for TorBox API keys. */
+export const ACCESS_TOKEN_PREFIX = 'tbm_';
+
+/**
+ * - `upload`: queue uploads and poll their status.
+ * - `read`: list downloads and queued uploads, and read upload status.
+ * - `automation`: run saved automation rules.
+ */
+export const ACCESS_TOKEN_SCOPES = Object.freeze(['upload', 'read', 'automation']);
+
+/**
+ * Scopes each /api/v1 route accepts (any one suffices), keyed by method and path. Routes not
+ * listed here, including every route outside /api/v1, reject access tokens.
+ */
+export const ACCESS_TOKEN_ROUTE_SCOPES = Object.freeze({
+  'POST /api/v1/torrents/createtorrent': ['upload'],
+  'POST /api/v1/torrents/batch': ['upload'],
+  'POST /api/v1/usenet/batch': ['upload'],
+  'POST /api/v1/webdl/batch': ['upload'],
+  'GET /api/v1/uploads': ['read'],
+  'GET /api/v1/uploads/:id': ['upload', 'read'],
+  'GET /api/v1/torrents/mylist': ['read'],
+  'GET /api/v1/usenet/mylist': ['read'],
+  'GET /api/v1/webdl/mylist': ['read'],
+  'POST /api/v1/automation/rules/:id/run': ['automation'],
+});
+
+/** Expiry choices offered when creating a token; null never expires. */
+export const ACCESS_TOKEN_EXPIRY_DAYS = Object.freeze([7, 30, 90, 365, null]);
+
+export const MAX_ACCESS_TOKEN_NAME_LENGTH = 100;
+
+/**
+ * @param {unknown} scope
+ * @returns {boolean}
+ */
+export function isValidAccessTokenScope(scope) {
+  return ACCESS_TOKEN_SCOPES.includes(scope);
+}
+
+/**
+ * @param {unknown} value - Credential from an Authorization or x-api-key header
+ * @returns {boolean}
+ */
+export function isAccessToken(value) {
+  return typeof value === 'string' && value.startsWith(ACCESS_TOKEN_PREFIX);
+}
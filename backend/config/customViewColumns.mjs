@@ -0,0 +1,68 @@
+/**
+ * Custom view filter columns the backend can evaluate (server-side view pages and counts).
+ * Kinds, conversions and item fields mirror FILTER_FIELD_DEFINITIONS in the frontend filter
+ * registry; a registry test keeps the two in step.
+ */
+
+/**
+ * @typedef {'number'|'text'|'boolean'|'status'|'tags'|'time'|'timestamp'} ViewColumnKind
+ * @typedef {object} ViewColumnDef
+ * @property {ViewColumnKind} kind
+ * @property {'bytesToGb'|'bytesToMb'|'mbps'|'secondsToMinutes'|'percent'|'hoursSinceCreated'|'hoursSinceCached'|'hoursUntil'} [conversion]
+ * @property {string} [itemField] - Download field when different from the column key
+ * @property {'release'|'protection'|'tags'} [source] - Value comes from stored data, not the row
+ */
+
+/** @type {Readonly<Record<string, ViewColumnDef>>} */
+export const SERVER_VIEW_COLUMNS = Object.freeze({
+  download_state: { kind: 'status' },
+  active: { kind: 'boolean' },
+  expires_at: { kind: 'timestamp', conversion: 'hoursUntil' },
+  asset_type: { kind: 'status' },
+  ratio: { kind: 'number' },
+  seed_torrent: { kind: 'boolean' },
+  seeding_time: { kind: 'time', conversion: 'hoursSinceCached', itemField: 'cached_at' },
+  seeds: { kind: 'number' },
+  peers: { kind: 'number' },
+  long_term_seeding: { kind: 'boolean' },
+  total_uploaded: { kind: 'number', conversion: 'bytesToGb' },
+  upload_speed: { kind: 'number', conversion: 'mbps' },
+  eta: { kind: 'number', conversion: 'secondsToMinutes' },
+  progress: { kind: 'number', conversion: 'percent' },
+  download_speed: { kind: 'number', conversion: 'mbps' },
+  total_downloaded: { kind: 'number', conversion: 'bytesToMb' },
+  age: { kind: 'time', conversion: 'hoursSinceCreated', itemField: 'created_at' },
+  tracker: { kind: 'text' },
+  availability: { kind: 'number' },
+  size: { kind: 'number', conversion: 'bytesToGb' },
+  file_count: { kind: 'number' },
+  name: { kind: 'text' },
+  original_url: { kind: 'text' },
+  private: { kind: 'boolean' },
+  cached: { kind: 'boolean' },
+  allow_zip: { kind: 'boolean' },
+  airlocked: { kind: 'boolean' },
+  is_protected: { kind: 'boolean', source: 'protection' },
+  tags: { kind: 'tags', source: 'tags' },
+  resolution: { kind: 'number', source: 'release' },
+  season: { kind: 'number', source: 'release' },
+  episode: { kind: 'number', source: 'release' },
+  year: { kind: 'number', source: 'release' },
+  release_group: { kind: 'text', source: 'release' },
+  codec: { kind: 'text', source: 'release' },
+  hdr: { kind: 'text', source: 'release' },
+  source: { kind: 'text', source: 'release' },
+});
+
+/**
+ * Columns only the browser knows (`is_downloaded` reads local download history).
+ * Views filtering on them are evaluated client-side.
+ */
+export const CLIENT_ONLY_VIEW_COLUMNS = Object.freeze(['is_downloaded']);
+
+/** Download list key per backend asset type (`torrent` rows are the `torrents` view type). */
+export const VIEW_ASSET_TYPE_BY_DOWNLOAD_ASSET_TYPE = Object.freeze({
+  torrent: 'torrents',
+  usenet: 'usenet',
+  webdl: 'webdl',
+});
@@ -0,0 +1,33 @@
+/**
+ * Download list row fields.
+ * Shared by the frontend list merge and the backend list deltas pushed over automation events.
+ */
+
+/** Fields whose change makes a download row count as updated (files compare separately). */
+export const DOWNLOAD_ROW_COMPARE_FIELDS = Object.freeze([
+  'id',
+  'name',
+  'size',
+  'progress',
+  'download_speed',
+  'upload_speed',
+  'download_state',
+  'download_finished',
+  'download_present',
+  'active',
+  'eta',
+  'peers',
+  'seeds',
+  'ratio',
+  'status',
+  'cached',
+  'error',
+  'tracker',
+  'tracker_domain',
+  'tracker_icon',
+  'updated_at',
+  'expires_at',
+  'availability',
+  'max_download_speed',
+  'airlocked',
+]);
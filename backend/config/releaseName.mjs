@@ -0,0 +1,214 @@
+/**
+ * Scene / P2P release name parsing (Title.Year.2160p.UHD.BluRay.…HDR10Plus.DV.x265-GROUP).
+ * Shared by Stremio search results, the backend release metadata store behind RESOLUTION /
+ * SEASON / RELEASE_GROUP rule conditions, and the downloads list columns.
+ * @see https://rendezvois.github.io/miscellaneous/naming-conventions/encodes/
+ */
+
+/** Fields parseReleaseName returns; also the downloads list column keys. */
+export const RELEASE_METADATA_FIELDS = Object.freeze([
+  'resolution',
+  'codec',
+  'hdr',
+  'source',
+  'release_group',
+  'season',
+  'episode',
+  'year',
+]);
+
+/** Dot / bracket / space separators common in scene filenames */
+export function sceneNormalize(text) {
+  return String(text || '')
+    .replace(/[\[\]()]/g, ' ')
+    .replace(/[._]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * @param {string} s - sceneNormalize output
+ * @returns {string|null} `2160p`, `1080p`, `720p` or `480p`
+ */
+export function parseResolution(s) {
+  // Prefer explicit p/i tokens; fall back to 4K / UHD marketing tags.
+  const match = s.match(/\b(8640p|4320p|2160p|1440p|1080p|1080i|720p|576p|480p|360p|4K|UHD)\b/i);
+  if (!match) return null;
+  const token = match[1].toUpperCase();
+  if (token === '4K' || token === 'UHD' || token === '2160P') return '2160p';
+  if (token === '1080I' || token === '1080P' || token === '1440P') return '1080p';
+  if (token === '720P') return '720p';
+  if (token === '576P' || token === '480P' || token === '360P') return '480p';
+  // Ultra-high (8K/4K variants already handled); keep lowercase p form when known.
+  return `${parseInt(token, 10)}p`;
+}
+
+/**
+ * @param {string} s - sceneNormalize output
+ * @returns {string|null}
+ */
+export function parseHdr(s) {
+  // Longest / most specific first (HDR10Plus before HDR10 before HDR).
+  if (/\b(Dolby[\s.-]*Vision|DoVi|DV)\b/i.test(s)) return 'DV';
+  if (/\b(HDR10[\s.+_-]*Plus|HDR10\+)\b/i.test(s)) return 'HDR10+';
+  if (/\bHDR10\b/i.test(s)) return 'HDR10';
+  if (/\bHLG\b/i.test(s)) return 'HLG';
+  if (/\bHDR\b/i.test(s)) return 'HDR';
+  return null;
+}
+
+/**
+ * @param {string} s - sceneNormalize output
+ * @returns {string|null}
+ */
+export function parseCodec(s) {
+  // Scene WEB often uses H.265 / H.264; encodes use x265 / x264; HEVC/AVC synonyms.
+  const match = s.match(/\b(x265|x264|h\.?265|h\.?264|HEVC|AVC|AV1|VP9|XviD|DivX)\b/i);
+  if (!match) return null;
+  const raw = match[1].toLowerCase().replace(/\./g, '');
+  if (raw === 'hevc' || raw === 'h265' || raw === 'x265') return 'x265';
+  if (raw === 'avc' || raw === 'h264' || raw === 'x264') return 'x264';
+  if (raw === 'av1') return 'AV1';
+  if (raw === 'vp9') return 'VP9';
+  if (raw === 'xvid') return 'XviD';
+  if (raw === 'divx') return 'DivX';
+  return match[1];
+}
+
+/**
+ * @param {string} s - sceneNormalize output
+ * @returns {string|null}
+ */
+export function parseAudio(s) {
+  const match = s.match(
+    /\b(TrueHD(?:[\s.-]*Atmos)?|DTS(?:-?HD(?:[\s.-]*MA)?|-?X)?|Atmos|DD(?:P|Plus)?(?:[\s.-]*Atmos)?(?:[\s.-]*\d+(?:\.\d+)?)?|EAC3|E-AC-?3|AC-?3|AAC|FLAC|Opus|LPCM|PCM)\b/i
+  );
+  return match ? match[1] : null;
+}
+
+/**
+ * Release source (BluRay, WEB-DL, HDTV…).
+ * @param {string} s - sceneNormalize output
+ * @returns {string|null}
+ */
+export function parseSource(s) {
+  const match = s.match(
+    /\b(Blu-?Ray|UHD[\s.-]*Blu-?Ray|WEB-?DL|WEBDL|WEB-?Rip|WEBRip|WEB|HDTV|REMUX|BDRip|BRRip|DVDRip|HDRip|PPVRip)\b/i
+  );
+  if (!match) return null;
+  const t = match[1].toLowerCase().replace(/-/g, '');
+  if (t.includes('bluray') || t.includes('uhd')) return 'BluRay';
+  if (t === 'webdl' || t === 'web') return 'WEB-DL';
+  if (t === 'webrip') return 'WEBRip';
+  if (t === 'hdtv') return 'HDTV';
+  if (t === 'remux') return 'REMUX';
+  if (t === 'bdrip' || t === 'brrip') return 'BDRip';
+  if (t === 'dvdrip') return 'DVDRip';
+  return match[1];
+}
+
+/**
+ * @param {string} s - sceneNormalize output
+ * @returns {string|null}
+ */
+export function parseLanguage(s) {
+  const match = s.match(
+    /\b(ENG|English|Multi|DUAL|MULTi|JPN|Japanese|SPA|Spanish|FRE|French|GER|German|ITA|Italian|RUS|Russian|POR|Portuguese|CHI|Chinese|KOR|Korean|HIN|Hindi|NLD|Dutch|SWE|Swedish|NOR|Norwegian|FIN|Finnish|POL|Polish|CES|CZE|Czech|TUR|Turkish|THA|Thai|ARA|Arabic|HEB|Hebrew|VIE|Vietnamese|IND|Indonesian|MSA|Malay|UKR|Ukrainian)\b/i
+  );
+  return match ? match[1] : null;
+}
+
+/** Hyphenated tag halves that end a name without being a group (`WEB-DL`, `DTS-HD`, `DTS-X`). */
+const NOT_RELEASE_GROUPS = new Set(['dl', 'rip', 'hd', 'ma', 'x', 'es']);
+
+const CONTAINER_EXTENSION = /\.(mkv|mp4|avi|m4v|ts|wmv|webm|iso|nzb|torrent)$/i;
+
+/**
+ * Release group from the raw name: the `-GROUP` suffix of scene names, or the leading
+ * `[Group]` of fansub names. Trailing tracker tags such as `[rartv]` are ignored.
+ * @param {string} text - Unnormalized release name
+ * @returns {string|null}
+ */
+export function parseReleaseGroup(text) {
+  const raw = String(text || '')
+    .trim()
+    .replace(CONTAINER_EXTENSION, '');
+  const leading = raw.match(/^\[([^\]]+)\]/);
+  if (leading) return leading[1].trim() || null;
+
+  const withoutTrailingTags = raw.replace(/(\s*\[[^\]]*\])+$/, '');
+  // The separator before the group must follow another token, so `Some-Movie` yields nothing.
+  const trailing = withoutTrailingTags.match(/[.\s][^.\s-]+-([A-Za-z0-9]+)$/);
+  if (!trailing || NOT_RELEASE_GROUPS.has(trailing[1].toLowerCase())) return null;
+  return trailing[1];
+}
+
+/**
+ * Season and episode from `S01E02`, `S01E02E03`, `1x02`, `S01` or `Season 1`.
+ * Multi-season packs (`S01-S03`) report their first season.
+ * @param {string} s - sceneNormalize output
+ * @returns {{ season: number|null, episode: number|null }}
+ */
+export function parseSeasonEpisode(s) {
+  const episodeMatch = s.match(/\bS(\d{1,3})\s?E(\d{1,4})/i) || s.match(/\b(\d{1,2})x(\d{2,3})\b/i);
+  if (episodeMatch) {
+    return { season: Number(episodeMatch[1]), episode: Number(episodeMatch[2]) };
+  }
+  const seasonMatch = s.match(/\bS(\d{1,3})\b/i) || s.match(/\bSeason\s?(\d{1,3})\b/i);
+  return { season: seasonMatch ? Number(seasonMatch[1]) : null, episode: null };
+}
+
+/**
+ * Release year. The last year-like token wins, so titles such as `2012` or
+ * `Blade Runner 2049` keep the year that follows them.
+ * @param {string} s - sceneNormalize output
+ * @returns {number|null}
+ */
+export function parseYear(s) {
+  const matches = s.match(/\b(19\d{2}|20\d{2})\b/g);
+  return matches ? Number(matches[matches.length - 1]) : null;
+}
+
+/**
+ * Parse a download name into release metadata. Fields that cannot be read are null.
+ * @param {string} name
+ * @returns {{ resolution: string|null, codec: string|null, hdr: string|null, source: string|null,
+ *   release_group: string|null, season: number|null, episode: number|null, year: number|null }}
+ */
+export function parseReleaseName(name) {
+  const s = sceneNormalize(name);
+  if (!s) {
+    return {
+      resolution: null,
+      codec: null,
+      hdr: null,
+      source: null,
+      release_group: null,
+      season: null,
+      episode: null,
+      year: null,
+    };
+  }
+  const { season, episode } = parseSeasonEpisode(s);
+  return {
+    resolution: parseResolution(s),
+    codec: parseCodec(s),
+    hdr: parseHdr(s),
+    source: parseSource(s),
+    release_group: parseReleaseGroup(name),
+    season,
+    episode,
+    year: parseYear(s),
+  };
+}
+
+/**
+ * Vertical line count of a parsed resolution (`1080p` -> 1080), the value RESOLUTION
+ * conditions compare against.
+ * @param {string|null} resolution
+ * @returns {number|null}
+ */
+export function resolutionToLines(resolution) {
+  const lines = parseInt(resolution, 10);
+  return Number.isFinite(lines) ? lines : null;
+}
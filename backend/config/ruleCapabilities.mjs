@@ -3,8 +3,10 @@ import registry from './automation-rule-capabilities.json';
 const VALID_ASSET_TYPES = new Set(registry.assetTypes);
 const torrentOnlyConditions = new Set(registry.torrentOnlyConditions);
 const torrentOnlyActions = new Set(registry.torrentOnlyActions);
+const torrentOnlyTriggers = new Set(registry.torrentOnlyTriggers);
 const allConditions = registry.allConditions;
 const allActions = registry.allActions;
+const allTriggers = registry.allTriggers;
 
 const conditionsByAsset = Object.freeze({
   torrent: new Set(allConditions),
@@ -18,8 +20,16 @@ const actionsByAsset = Object.freeze({
   webdl: new Set(allActions.filter((a) => !torrentOnlyActions.has(a))),
 });
 
+// Event triggers backed by the torrent shadow diff cannot fire for usenet/webdl.
+const triggersByAsset = Object.freeze({
+  torrent: new Set(allTriggers),
+  usenet: new Set(allTriggers.filter((t) => !torrentOnlyTriggers.has(t))),
+  webdl: new Set(allTriggers.filter((t) => !torrentOnlyTriggers.has(t))),
+});
+
 const conditionsCache = new Map();
 const actionsCache = new Map();
+const triggersCache = new Map();
 
 /**
  * @param {string[]} assetTypes
@@ -104,6 +114,15 @@ export function getSupportedActions(assetTypes) {
   return getSupported(normalized, actionsByAsset, actionsCache);
 }
 
+/**
+ * @param {string[]} assetTypes
+ * @returns {string[]}
+ */
+export function getSupportedTriggers(assetTypes) {
+  const normalized = normalizeAssetTypes(assetTypes);
+  return getSupported(normalized, triggersByAsset, triggersCache);
+}
+
 /**
  * @param {string} conditionType
  * @param {string[]} assetTypes
@@ -122,9 +141,18 @@ export function isActionSupported(actionType, assetTypes) {
   return getSupportedActions(assetTypes).includes(actionType);
 }
 
+/**
+ * @param {string} triggerType
+ * @param {string[]} assetTypes
+ * @returns {boolean}
+ */
+export function isTriggerSupported(triggerType, assetTypes) {
+  return getSupportedTriggers(assetTypes).includes(triggerType);
+}
+
 /**
  * @param {Object} rule
- * @returns {{ kind: 'condition'|'action', name: string, assetTypes: string[] }|null}
+ * @returns {{ kind: 'condition'|'action'|'trigger', name: string, assetTypes: string[] }|null}
  */
 export function getRuleCompatibilityIssue(rule) {
   const raw = rule?.assetTypes;
@@ -138,18 +166,28 @@ export function getRuleCompatibilityIssue(rule) {
     return { kind: 'condition', name: 'assetTypes', assetTypes: raw };
   }
 
-  const action = rule?.action || rule?.action_config;
-  if (action?.type && !isActionSupported(action.type, assetTypes)) {
-    return { kind: 'action', name: action.type, assetTypes };
+  // Action pipelines store a list; legacy rules a single action object
+  const rawActions = rule?.actions || rule?.action || rule?.action_config;
+  const actions = Array.isArray(rawActions) ? rawActions : rawActions ? [rawActions] : [];
+  for (const action of actions) {
+    if (action?.type && !isActionSupported(action.type, assetTypes)) {
+      return { kind: 'action', name: action.type, assetTypes };
+    }
+  }
+
+  const trigger = rule?.trigger || rule?.trigger_config;
+  if (trigger?.type && !isTriggerSupported(trigger.type, assetTypes)) {
+    return { kind: 'trigger', name: trigger.type, assetTypes };
   }
 
-  const groups = rule?.groups;
-  if (Array.isArray(groups)) {
-    for (const group of groups) {
-      for (const condition of group.conditions || []) {
-        if (condition?.type && !isConditionSupported(condition.type, assetTypes)) {
-          return { kind: 'condition', name: condition.type, assetTypes };
-        }
+  const conditionLists = [
+    ...(Array.isArray(rule?.groups) ? rule.groups.map((group) => group.conditions) : []),
+    ...actions.map((action) => action?.conditions),
+  ];
+  for (const conditions of conditionLists) {
+    for (const condition of Array.isArray(conditions) ? conditions : []) {
+      if (condition?.type && !isConditionSupported(condition.type, assetTypes)) {
+        return { kind: 'condition', name: condition.type, assetTypes };
       }
     }
   }
@@ -0,0 +1,370 @@
+/**
+ * Cron schedules and active windows for automation rule triggers.
+ * Shared by the backend (rule gating, polling, scheduled uploads) and the rule editor.
+ *
+ * Trigger shapes:
+ *   { type: 'cron', expression: '0 3 * * *', timezone?: 'Europe/Berlin', window?: { start, end } }
+ *   { type: 'interval', value: 60, timezone?, window?: { start: '02:00', end: '06:00' } }
+ */
+
+const MINUTE_MS = 60 * 1000;
+/** Upper bound on timezone lookups per search so a never-matching expression cannot hang. */
+const MAX_SEARCH_STEPS = 50000;
+/** Cron matches outside the active window skipped before giving up on a preview. */
+const MAX_WINDOW_SKIPS = 2000;
+
+const MACROS = Object.freeze({
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+});
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  {
+    name: 'month',
+    min: 1,
+    max: 12,
+    names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'],
+    nameOffset: 1,
+  },
+  {
+    name: 'day of week',
+    min: 0,
+    max: 7,
+    names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'],
+    nameOffset: 0,
+  },
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const formatters = new Map();
+
+function getFormatter(timezone) {
+  let formatter = formatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short',
+    });
+    formatters.set(timezone, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * @param {Date} date
+ * @param {string} timezone - IANA timezone
+ * @returns {{ month: number, day: number, hour: number, minute: number, weekday: number }}
+ */
+function getZonedParts(date, timezone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS[parts.weekday],
+  };
+}
+
+function parseFieldValue(raw, field) {
+  const upper = raw.toUpperCase();
+  const nameIndex = field.names ? field.names.indexOf(upper) : -1;
+  if (nameIndex !== -1) return nameIndex + field.nameOffset;
+  if (!/^\d+$/.test(raw)) {
+    throw new Error(`Invalid ${field.name} value: ${raw}`);
+  }
+  const value = Number(raw);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} value ${value} is out of range (${field.min}-${field.max})`);
+  }
+  return value;
+}
+
+function parseField(raw, field) {
+  const values = new Set();
+  for (const part of raw.split(',')) {
+    const [range, stepRaw, extra] = part.split('/');
+    if (extra !== undefined || range === '') {
+      throw new Error(`Invalid ${field.name} field: ${raw}`);
+    }
+    let step = 1;
+    if (stepRaw !== undefined) {
+      if (!/^\d+$/.test(stepRaw) || Number(stepRaw) === 0) {
+        throw new Error(`Invalid ${field.name} step: ${stepRaw}`);
+      }
+      step = Number(stepRaw);
+    }
+
+    let low;
+    let high;
+    if (range === '*') {
+      low = field.min;
+      high = field.max;
+    } else {
+      const [from, to, rest] = range.split('-');
+      if (rest !== undefined) {
+        throw new Error(`Invalid ${field.name} range: ${range}`);
+      }
+      low = parseFieldValue(from, field);
+      high = to !== undefined ? parseFieldValue(to, field) : stepRaw ? field.max : low;
+      if (low > high) {
+        throw new Error(`Invalid ${field.name} range: ${range}`);
+      }
+    }
+    for (let v = low; v <= high; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse a standard five-field cron expression (minute hour day-of-month month day-of-week).
+ * Supports `*`, lists, ranges, steps, JAN-DEC / SUN-SAT names and @daily-style macros.
+ * @param {string} expression
+ * @returns {Object} Parsed schedule for getNextCronRun
+ * @throws {Error} When the expression is malformed
+ */
+export function parseCronExpression(expression) {
+  if (typeof expression !== 'string' || expression.trim() === '') {
+    throw new Error('Cron expression must be a non-empty string');
+  }
+  const trimmed = expression.trim();
+  const source = MACROS[trimmed.toLowerCase()] || trimmed;
+  const raw = source.split(/\s+/);
+  if (raw.length !== 5) {
+    throw new Error('Cron expression must have 5 fields: minute hour day month weekday');
+  }
+
+  const [minutes, hours, days, months, weekdays] = raw.map((r, i) => parseField(r, FIELDS[i]));
+  if (weekdays.has(7)) {
+    weekdays.delete(7);
+    weekdays.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Classic cron: when both day fields are restricted, either one matching is enough.
+    daysRestricted: raw[2] !== '*',
+    weekdaysRestricted: raw[4] !== '*',
+  };
+}
+
+/**
+ * @param {unknown} timezone
+ * @returns {boolean}
+ */
+export function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || timezone === '') return false;
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @param {unknown} value
+ * @returns {boolean} True for "HH:MM" (24h)
+ */
+export function isValidTimeOfDay(value) {
+  return typeof value === 'string' && TIME_OF_DAY.test(value);
+}
+
+function toMinuteOfDay(value) {
+  const [, h, m] = TIME_OF_DAY.exec(value);
+  return Number(h) * 60 + Number(m);
+}
+
+function getTimezone(trigger) {
+  return trigger?.timezone || 'UTC';
+}
+
+function dayMatches(schedule, parts) {
+  const dom = schedule.days.has(parts.day);
+  const dow = schedule.weekdays.has(parts.weekday);
+  if (schedule.daysRestricted && schedule.weekdaysRestricted) return dom || dow;
+  return dom && dow;
+}
+
+function partsInWindow(parts, window) {
+  const start = toMinuteOfDay(window.start);
+  const end = toMinuteOfDay(window.end);
+  const current = parts.hour * 60 + parts.minute;
+  if (start === end) return true;
+  if (start < end) return current >= start && current < end;
+  // Window wraps midnight, e.g. 22:00-04:00
+  return current >= start || current < end;
+}
+
+/**
+ * Whether a point in time falls inside the trigger's active window (always true without one).
+ * @param {Object} trigger
+ * @param {Date} [date]
+ * @returns {boolean}
+ */
+export function isWithinScheduleWindow(trigger, date = new Date()) {
+  if (!trigger?.window) return true;
+  // Half-edited windows (editor preview) never block; the validator rejects them on save.
+  const { start, end } = trigger.window;
+  if (!isValidTimeOfDay(start) || !isValidTimeOfDay(end)) return true;
+  return partsInWindow(getZonedParts(date, getTimezone(trigger)), trigger.window);
+}
+
+/**
+ * First instant of the next local day. Days are 23 or 25 hours long when DST changes, so the
+ * 24-hour guess is corrected by the local time it actually lands on.
+ * @param {number} t
+ * @param {{ day: number, hour: number, minute: number }} parts - Zoned parts of t
+ * @param {string} timezone
+ * @returns {number}
+ */
+function getNextZonedMidnight(t, parts, timezone) {
+  const guess = t + (24 * 60 - (parts.hour * 60 + parts.minute)) * MINUTE_MS;
+  const landed = getZonedParts(new Date(guess), timezone);
+  if (landed.day === parts.day) {
+    // 25-hour day: still the same evening
+    return guess + (24 * 60 - (landed.hour * 60 + landed.minute)) * MINUTE_MS;
+  }
+  const midnight = guess - (landed.hour * 60 + landed.minute) * MINUTE_MS;
+  // Where midnight itself is skipped, the day starts at the instant we landed on
+  return getZonedParts(new Date(midnight), timezone).day === parts.day ? guess : midnight;
+}
+
+/**
+ * First minute strictly after `from` that matches the schedule in the given timezone.
+ * @param {Object} schedule - From parseCronExpression
+ * @param {Date} from
+ * @param {string} [timezone]
+ * @returns {Date|null} Null when nothing matches within the search bound
+ */
+export function getNextCronRun(schedule, from, timezone = 'UTC') {
+  let t = Math.floor(from.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+  for (let step = 0; step < MAX_SEARCH_STEPS; step++) {
+    const parts = getZonedParts(new Date(t), timezone);
+    if (!schedule.months.has(parts.month) || !dayMatches(schedule, parts)) {
+      t = getNextZonedMidnight(t, parts, timezone);
+    } else if (!schedule.hours.has(parts.hour)) {
+      t += (60 - parts.minute) * MINUTE_MS;
+    } else if (!schedule.minutes.has(parts.minute)) {
+      t += MINUTE_MS;
+    } else {
+      return new Date(t);
+    }
+  }
+  return null;
+}
+
+/**
+ * Upcoming run times of a cron trigger, skipping matches outside its active window.
+ * @param {Object} trigger - Cron trigger
+ * @param {Object} [options]
+ * @param {Date} [options.from] - Runs strictly after this instant
+ * @param {number} [options.count]
+ * @returns {Date[]} Empty for non-cron triggers or invalid expressions
+ */
+export function getNextRunTimes(trigger, { from = new Date(), count = 5 } = {}) {
+  if (trigger?.type !== 'cron') return [];
+  let schedule;
+  try {
+    schedule = parseCronExpression(trigger.expression);
+  } catch {
+    return [];
+  }
+  const timezone = getTimezone(trigger);
+  if (!isValidTimezone(timezone)) return [];
+
+  const runs = [];
+  let cursor = from;
+  for (let skipped = 0; runs.length < count && skipped < MAX_WINDOW_SKIPS; ) {
+    const next = getNextCronRun(schedule, cursor, timezone);
+    if (!next) break;
+    if (isWithinScheduleWindow(trigger, next)) {
+      runs.push(next);
+    } else {
+      skipped++;
+    }
+    cursor = next;
+  }
+  return runs;
+}
+
+/**
+ * When the trigger's active window next opens: `from` itself when already inside it (or when
+ * there is no usable window), otherwise the next local occurrence of `window.start`.
+ * @param {Object} trigger - Anything with `window` and an optional `timezone`
+ * @param {Date} [from]
+ * @returns {Date|null}
+ */
+export function getNextWindowOpening(trigger, from = new Date()) {
+  if (isWithinScheduleWindow(trigger, from)) return from;
+  const [hour, minute] = trigger.window.start.split(':').map(Number);
+  const [next] = getNextRunTimes(
+    { type: 'cron', expression: `${minute} ${hour} * * *`, timezone: trigger.timezone },
+    { from, count: 1 }
+  );
+  return next ?? null;
+}
+
+/**
+ * Validate the schedule-related fields of a trigger (cron expression, timezone, window).
+ * @param {Object} trigger
+ * @param {number} [minIntervalMinutes] - Runs closer together than this are rejected
+ * @returns {string[]} Error messages
+ */
+export function validateScheduleTrigger(trigger, minIntervalMinutes = 0) {
+  const errors = [];
+  if (trigger.timezone !== undefined && !isValidTimezone(trigger.timezone)) {
+    errors.push(`Invalid timezone: ${trigger.timezone}`);
+  }
+  if (trigger.window !== undefined) {
+    const { start, end } = trigger.window || {};
+    if (!isValidTimeOfDay(start) || !isValidTimeOfDay(end)) {
+      errors.push('Trigger window must have start and end times in HH:MM format');
+    }
+  }
+  if (trigger.type === 'cron') {
+    try {
+      parseCronExpression(trigger.expression);
+    } catch (err) {
+      errors.push(err.message);
+      return errors;
+    }
+    if (errors.length === 0) {
+      const runs = getNextRunTimes(trigger, { count: 5 });
+      if (runs.length === 0) {
+        errors.push('Cron schedule has no upcoming runs');
+      }
+      for (let i = 1; i < runs.length; i++) {
+        if (minIntervalMinutes > 0 && runs[i] - runs[i - 1] < minIntervalMinutes * MINUTE_MS) {
+          errors.push(
+            `Cron schedule must not run more often than every ${minIntervalMinutes} minutes`
+          );
+          break;
+        }
+      }
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,144 @@
+/**
+ * Pattern operators for string conditions (NAME, TRACKER, ORIGINAL_URL).
+ * Shared by the rule evaluator and custom view filters so both agree on what a pattern matches.
+ *
+ * matches_regex takes a JavaScript regular expression source and matches anywhere in the value.
+ * matches_glob takes a shell-style glob (`*` any run of characters, `?` one character) that must
+ * match the whole value. Both are case-insensitive unless the condition sets caseSensitive.
+ */
+
+export const PATTERN_OPERATORS = ['matches_regex', 'matches_glob'];
+
+export const MAX_PATTERN_LENGTH = 256;
+
+/** Values are truncated to this length before a pattern runs, which bounds backtracking cost */
+export const MAX_MATCH_INPUT_LENGTH = 2048;
+
+const MAX_COMPILED_PATTERNS = 200;
+
+/** @type {Map<string, RegExp|null>} */
+const compiledPatterns = new Map();
+
+/**
+ * @param {string} glob
+ * @returns {string} Anchored regular expression source equivalent to the glob
+ */
+export function globToRegexSource(glob) {
+  let source = '';
+  for (const char of glob) {
+    if (char === '*') source += '.*';
+    else if (char === '?') source += '.';
+    else source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  }
+  return `^${source}$`;
+}
+
+/**
+ * Reject the regex shapes that backtrack exponentially: a repeated group that contains a variable
+ * quantifier or an alternation, e.g. `(a+)+`, `(\w*\s?)*`, `(a|aa)+` or `(.*a){12}`, and
+ * backreferences. Polynomial shapes such as `.*a.*a.*b` pass; the backend's save-time probe
+ * covers those.
+ * @param {string} source - Regular expression source
+ * @returns {boolean}
+ */
+export function isSafeRegex(source) {
+  const groups = [{ quantified: false, alternates: false }];
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === '\\') {
+      const next = source[i + 1] ?? '';
+      if (/[1-9k]/.test(next)) return false;
+      i++;
+    } else if (char === '[') {
+      i++;
+      while (i < source.length && source[i] !== ']') {
+        if (source[i] === '\\') i++;
+        i++;
+      }
+    } else if (char === '(') {
+      groups.push({ quantified: false, alternates: false });
+    } else if (char === '|') {
+      groups[groups.length - 1].alternates = true;
+    } else if (char === ')') {
+      if (groups.length === 1) return false;
+      const group = groups.pop();
+      const parent = groups[groups.length - 1];
+      if (isRepeatingQuantifierAt(source, i + 1) && (group.quantified || group.alternates)) {
+        return false;
+      }
+      parent.quantified ||= group.quantified || isVariableQuantifierAt(source, i + 1);
+      parent.alternates ||= group.alternates;
+      if (isVariableQuantifierAt(source, i + 1)) i++;
+    } else if (isVariableQuantifierAt(source, i)) {
+      groups[groups.length - 1].quantified = true;
+    }
+  }
+  return true;
+}
+
+/** `*`, `+`, `{n,}` or `{n,m}` with m > n: the quantified atom can match a varying number of times */
+function isVariableQuantifierAt(source, index) {
+  const char = source[index];
+  if (char === '*' || char === '+') return true;
+  const bounds = parseBracedQuantifier(source, index);
+  return bounds !== null && bounds.max !== bounds.min;
+}
+
+/** Any quantifier that can match its atom more than once, including a fixed `{n}` with n > 1 */
+function isRepeatingQuantifierAt(source, index) {
+  if (isVariableQuantifierAt(source, index)) return true;
+  const bounds = parseBracedQuantifier(source, index);
+  return bounds !== null && bounds.max > 1;
+}
+
+/** @returns {{ min: number, max: number }|null} max is Infinity for `{n,}` */
+function parseBracedQuantifier(source, index) {
+  if (source[index] !== '{') return null;
+  const match = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(index));
+  if (!match) return null;
+  const min = Number(match[1]);
+  if (match[2] === undefined) return { min, max: min };
+  return { min, max: match[3] === '' ? Infinity : Number(match[3]) };
+}
+
+/**
+ * Compile a pattern condition to a RegExp. Results are cached per pattern and flag.
+ * @param {string} operator - matches_regex | matches_glob
+ * @param {string} pattern
+ * @param {boolean} [caseSensitive]
+ * @returns {RegExp|null} null when the pattern is invalid, too long or unsafe
+ */
+export function compilePattern(operator, pattern, caseSensitive = false) {
+  const key = `${operator}:${caseSensitive ? 's' : 'i'}:${pattern}`;
+  if (compiledPatterns.has(key)) return compiledPatterns.get(key);
+
+  let regex = null;
+  if (typeof pattern === 'string' && pattern.length <= MAX_PATTERN_LENGTH) {
+    const source = operator === 'matches_glob' ? globToRegexSource(pattern) : pattern;
+    const flags = caseSensitive ? '' : 'i';
+    try {
+      regex = operator === 'matches_glob' || isSafeRegex(source) ? new RegExp(source, flags) : null;
+    } catch {
+      regex = null;
+    }
+  }
+
+  if (compiledPatterns.size >= MAX_COMPILED_PATTERNS) {
+    compiledPatterns.delete(compiledPatterns.keys().next().value);
+  }
+  compiledPatterns.set(key, regex);
+  return regex;
+}
+
+/**
+ * @param {string} operator - matches_regex | matches_glob
+ * @param {string|null|undefined} fieldValue
+ * @param {string} pattern
+ * @param {boolean} [caseSensitive]
+ * @returns {boolean} false for invalid patterns
+ */
+export function matchesPattern(operator, fieldValue, pattern, caseSensitive = false) {
+  const regex = compilePattern(operator, pattern, caseSensitive);
+  if (!regex) return false;
+  return regex.test(String(fieldValue ?? '').slice(0, MAX_MATCH_INPUT_LENGTH));
+}
@@ -0,0 +1,166 @@
+/**
+ * Tag hierarchy, colors and exclusive groups.
+ * Shared by the tags API, TAGS rule conditions and the frontend tag pickers and filters.
+ * Tags are rows shaped `{ id, name, color, parent_id, group_id }`; a download carrying a child tag
+ * also counts as carrying each of its ancestors, so filtering by `tv` matches `tv/anime`.
+ */
+
+/** Levels a tag path may have (`movies/4k/hdr` is three). */
+export const MAX_TAG_DEPTH = 4;
+
+/** Tag colors are stored as `#rrggbb`. */
+export const TAG_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/** Separator used when showing a tag with its ancestors. */
+export const TAG_PATH_SEPARATOR = '/';
+
+/**
+ * @param {unknown} color
+ * @returns {boolean}
+ */
+export function isValidTagColor(color) {
+  return typeof color === 'string' && TAG_COLOR_PATTERN.test(color);
+}
+
+/**
+ * @param {Array<{ id: number, parent_id?: number|null }>} tags
+ * @returns {Map<number, number|null>} tag id -> parent id
+ */
+export function buildTagParentMap(tags) {
+  const parentById = new Map();
+  for (const tag of tags || []) {
+    parentById.set(Number(tag.id), tag.parent_id != null ? Number(tag.parent_id) : null);
+  }
+  return parentById;
+}
+
+/**
+ * Ancestors of a tag, nearest first. Parents that no longer exist end the chain.
+ * @param {number} tagId
+ * @param {Map<number, number|null>} parentById
+ * @returns {number[]}
+ */
+export function getTagAncestorIds(tagId, parentById) {
+  const ancestors = [];
+  const seen = new Set([Number(tagId)]);
+  let parentId = parentById.get(Number(tagId)) ?? null;
+  while (parentId != null && parentById.has(parentId) && !seen.has(parentId)) {
+    ancestors.push(parentId);
+    seen.add(parentId);
+    parentId = parentById.get(parentId) ?? null;
+  }
+  return ancestors;
+}
+
+/**
+ * A download's tag ids plus every ancestor, the set TAGS conditions and tag filters match against.
+ * @param {Iterable<number>} tagIds
+ * @param {Map<number, number|null>} parentById
+ * @returns {Set<number>}
+ */
+export function expandTagIdsWithAncestors(tagIds, parentById) {
+  const expanded = new Set();
+  for (const tagId of tagIds) {
+    const id = Number(tagId);
+    expanded.add(id);
+    for (const ancestorId of getTagAncestorIds(id, parentById)) {
+      expanded.add(ancestorId);
+    }
+  }
+  return expanded;
+}
+
+/**
+ * Whether making `parentId` the parent of `tagId` would put the tag below itself.
+ * @param {number} tagId
+ * @param {number} parentId
+ * @param {Map<number, number|null>} parentById
+ * @returns {boolean}
+ */
+export function wouldCreateTagCycle(tagId, parentId, parentById) {
+  if (Number(tagId) === Number(parentId)) return true;
+  return getTagAncestorIds(parentId, parentById).includes(Number(tagId));
+}
+
+/**
+ * Levels below the deepest descendant of a tag (0 for a leaf).
+ * @param {number} tagId
+ * @param {Map<number, number|null>} parentById
+ * @returns {number}
+ */
+export function getTagSubtreeHeight(tagId, parentById) {
+  let height = 0;
+  for (const [childId, parentId] of parentById) {
+    if (parentId !== Number(tagId) || childId === Number(tagId)) continue;
+    height = Math.max(height, 1 + getTagSubtreeHeight(childId, parentById));
+  }
+  return height;
+}
+
+/**
+ * Full path of a tag, e.g. `tv/anime`.
+ * @param {{ id: number, name: string }} tag
+ * @param {Map<number, { name: string, parent_id?: number|null }>} tagsById
+ * @returns {string}
+ */
+export function getTagPath(tag, tagsById) {
+  const parentById = new Map([...tagsById].map(([id, row]) => [id, row.parent_id ?? null]));
+  const names = getTagAncestorIds(tag.id, parentById)
+    .reverse()
+    .map((id) => tagsById.get(id).name);
+  return [...names, tag.name].join(TAG_PATH_SEPARATOR);
+}
+
+/**
+ * Tags in tree order (parents before their children, siblings by name) with their depth.
+ * Tags whose parent is missing are shown at the top level.
+ * @template {{ id: number, name: string, parent_id?: number|null }} T
+ * @param {T[]} tags
+ * @returns {Array<{ tag: T, depth: number }>}
+ */
+export function orderTagsAsTree(tags) {
+  const list = tags || [];
+  const ids = new Set(list.map((tag) => Number(tag.id)));
+  const childrenByParent = new Map();
+  for (const tag of list) {
+    const parentId = tag.parent_id != null && ids.has(Number(tag.parent_id)) ? tag.parent_id : null;
+    const key = parentId != null ? Number(parentId) : null;
+    if (!childrenByParent.has(key)) childrenByParent.set(key, []);
+    childrenByParent.get(key).push(tag);
+  }
+  const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+
+  const ordered = [];
+  const visited = new Set();
+  const visit = (parentKey, depth) => {
+    for (const tag of [...(childrenByParent.get(parentKey) || [])].sort(byName)) {
+      if (visited.has(Number(tag.id))) continue;
+      visited.add(Number(tag.id));
+      ordered.push({ tag, depth });
+      visit(Number(tag.id), depth + 1);
+    }
+  };
+  visit(null, 0);
+  // Tags caught in a parent cycle never reach the top level; list them rather than hide them.
+  for (const tag of list) {
+    if (!visited.has(Number(tag.id))) ordered.push({ tag, depth: 0 });
+  }
+  return ordered;
+}
+
+/**
+ * Selecting `tagId` in an exclusive group drops the other members of that group.
+ * @param {number[]} selectedIds
+ * @param {number} tagId
+ * @param {Array<{ id: number, group_id?: number|null }>} tags
+ * @returns {number[]}
+ */
+export function selectTagInGroup(selectedIds, tagId, tags) {
+  const groupById = new Map((tags || []).map((tag) => [Number(tag.id), tag.group_id ?? null]));
+  const groupId = groupById.get(Number(tagId)) ?? null;
+  const kept =
+    groupId == null
+      ? selectedIds
+      : selectedIds.filter((id) => (groupById.get(Number(id)) ?? null) !== groupId);
+  return kept.includes(tagId) ? kept : [...kept, tagId];
+}
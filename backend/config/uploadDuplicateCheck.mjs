@@ -0,0 +1,17 @@
+/**
+ * What the upload queue does with a torrent that is already in the library or archive.
+ * Shared by the upload processor, the uploads API and the uploader's options row.
+ */
+
+/** Mark the row `duplicate` without sending it, upload anyway, or upload and tag the result. */
+export const UPLOAD_DUPLICATE_ACTIONS = Object.freeze(['skip', 'readd', 'tag']);
+
+export const DEFAULT_UPLOAD_DUPLICATE_ACTION = 'skip';
+
+/**
+ * @param {unknown} action
+ * @returns {boolean}
+ */
+export function isValidUploadDuplicateAction(action) {
+  return UPLOAD_DUPLICATE_ACTIONS.includes(action);
+}
@@ -0,0 +1,60 @@
+/**
+ * Upload priority lanes and per-type in-flight limits.
+ * Shared by the upload processor, the uploads API and UploadManager.
+ */
+
+/** Lanes in drain order: every urgent upload goes before any normal one, normal before bulk. */
+export const UPLOAD_PRIORITIES = Object.freeze(['urgent', 'normal', 'bulk']);
+
+export const DEFAULT_UPLOAD_PRIORITY = 'normal';
+
+/** Uploads of one type a single drain may submit to TorBox at the same time. */
+export const DEFAULT_UPLOAD_MAX_IN_FLIGHT = 1;
+export const MAX_UPLOAD_MAX_IN_FLIGHT = 5;
+
+/**
+ * @param {unknown} priority
+ * @returns {boolean}
+ */
+export function isValidUploadPriority(priority) {
+  return UPLOAD_PRIORITIES.includes(priority);
+}
+
+/**
+ * Lane index of a priority; unknown or missing values sort with `normal`.
+ * @param {string|null|undefined} priority
+ * @returns {number}
+ */
+export function getUploadPriorityRank(priority) {
+  const rank = UPLOAD_PRIORITIES.indexOf(priority);
+  return rank === -1 ? UPLOAD_PRIORITIES.indexOf(DEFAULT_UPLOAD_PRIORITY) : rank;
+}
+
+/**
+ * SQL expression ranking the `priority` column like getUploadPriorityRank.
+ * @type {string}
+ */
+export const UPLOAD_PRIORITY_RANK_SQL = `CASE priority ${UPLOAD_PRIORITIES.map(
+  (priority, rank) => `WHEN '${priority}' THEN ${rank}`
+).join(' ')} ELSE ${UPLOAD_PRIORITIES.indexOf(DEFAULT_UPLOAD_PRIORITY)} END`;
+
+/**
+ * Queue order used by both the drain and the queued list: lane first, then queue_order.
+ * @param {{ priority?: string, queue_order?: number }} a
+ * @param {{ priority?: string, queue_order?: number }} b
+ * @returns {number}
+ */
+export function compareQueuedUploads(a, b) {
+  return (
+    getUploadPriorityRank(a.priority) - getUploadPriorityRank(b.priority) ||
+    (a.queue_order ?? 0) - (b.queue_order ?? 0)
+  );
+}
+
+/**
+ * @param {unknown} value
+ * @returns {boolean} True for an integer between 1 and MAX_UPLOAD_MAX_IN_FLIGHT
+ */
+export function isValidUploadMaxInFlight(value) {
+  return Number.isInteger(value) && value >= 1 && value <= MAX_UPLOAD_MAX_IN_FLIGHT;
+}
@@ -0,0 +1,321 @@
+/**
+ * Filter and sort primitives for custom views and column filters.
+ * Shared by the download list (filterEvaluation, downloadsDerivedSelectors) and the backend
+ * custom view evaluator, so a view matches and orders the same rows wherever it is evaluated.
+ * Callers read column values their own way (store items vs mylist rows + user database) and
+ * hand the values to these functions.
+ */
+
+import { RELEASE_METADATA_FIELDS } from './releaseName.mjs';
+import { matchesPattern } from './stringPatterns.mjs';
+
+const BYTES_PER_GB = 1024 * 1024 * 1024;
+const BYTES_PER_MB = 1024 * 1024;
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/** Status column sort order, by lowercase status label; higher sorts first ascending. */
+export const DOWNLOAD_STATUS_SORT_PRIORITY = Object.freeze({
+  completed: 6,
+  downloading: 5,
+  inactive: 4,
+  queued: 3,
+  seeding: 2,
+  stalled: 1,
+  uploading: 0,
+});
+
+/** How each sortable column compares; columns not listed sort as text. */
+export const DOWNLOAD_SORT_FIELD_TYPES = Object.freeze({
+  id: 'numeric',
+  size: 'numeric',
+  total_uploaded: 'numeric',
+  total_downloaded: 'numeric',
+  download_speed: 'numeric',
+  upload_speed: 'numeric',
+  seeds: 'numeric',
+  peers: 'numeric',
+  eta: 'numeric',
+  progress: 'numeric',
+  ratio: 'numeric',
+  name: 'text',
+  created_at: 'date',
+  cached_at: 'date',
+  updated_at: 'date',
+  expires_at: 'date',
+  download_state: 'status',
+  file_count: 'file_count',
+  airlocked: 'boolean',
+  is_protected: 'boolean',
+  ...Object.fromEntries(RELEASE_METADATA_FIELDS.map((field) => [field, 'release'])),
+});
+
+/**
+ * @param {*} value
+ * @returns {boolean} true for `true`, `1` and `'true'`, as boolean columns store them
+ */
+export function isTruthy(value) {
+  return value === true || value === 1 || value === 'true';
+}
+
+/**
+ * @param {*} value
+ * @returns {number} Parsed number, 0 when not numeric
+ */
+export function toNumber(value) {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isNaN(number) ? 0 : number;
+}
+
+/**
+ * Column value in the unit its filter is entered in (GB, MB/s, minutes, percent).
+ * @param {*} value
+ * @param {string} [conversion]
+ * @returns {number}
+ */
+export function convertNumber(value, conversion) {
+  const number = toNumber(value);
+  switch (conversion) {
+    case 'bytesToGb':
+      return number / BYTES_PER_GB;
+    case 'bytesToMb':
+    case 'mbps':
+      return number / BYTES_PER_MB;
+    case 'secondsToMinutes':
+      return number / 60;
+    case 'percent':
+      return number * 100;
+    default:
+      return number;
+  }
+}
+
+/**
+ * @param {string} operator - gt, lt, gte, lte or eq
+ * @param {number} itemValue
+ * @param {number} filterValue
+ * @returns {boolean}
+ */
+export function compareNumbers(operator, itemValue, filterValue) {
+  switch (operator) {
+    case 'gt':
+      return itemValue > filterValue;
+    case 'lt':
+      return itemValue < filterValue;
+    case 'gte':
+      return itemValue >= filterValue;
+    case 'lte':
+      return itemValue <= filterValue;
+    case 'eq':
+      return itemValue === filterValue;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Hours between now and a date column: until it for `hoursUntil`, since it otherwise.
+ * @param {*} value
+ * @param {string} [conversion]
+ * @returns {number|null} null when the value is not a date
+ */
+export function getHoursFromNow(value, conversion) {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) return null;
+  return conversion === 'hoursUntil'
+    ? (time - Date.now()) / MS_PER_HOUR
+    : (Date.now() - time) / MS_PER_HOUR;
+}
+
+/**
+ * @param {'time'|'timestamp'} kind
+ * @param {string} operator
+ * @param {number} hours - From getHoursFromNow
+ * @param {*} filterValue
+ * @returns {boolean}
+ */
+export function matchesHours(kind, operator, hours, filterValue) {
+  const wanted = toNumber(filterValue);
+  // Hours until expiry drift while the page is open; `=` means "within the hour" there.
+  if (kind === 'timestamp' && operator === 'eq') return Math.abs(hours - wanted) < 1;
+  return compareNumbers(operator, hours, wanted);
+}
+
+function stripWww(hostname) {
+  const host = String(hostname ?? '');
+  return host.toLowerCase().startsWith('www.') ? host.slice(4) : host;
+}
+
+/**
+ * Hostname (+ non-default port) of a webdl original_url, without `www.`.
+ * @param {string|null|undefined} originalUrl
+ * @returns {string}
+ */
+export function extractSourceHost(originalUrl) {
+  const raw = String(originalUrl ?? '').trim();
+  if (!raw) return '';
+  try {
+    const parsed = new URL(raw);
+    const hostname = stripWww(parsed.hostname);
+    return parsed.port ? `${hostname}:${parsed.port}` : hostname;
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Bare source host key (Source sidebar value / URL param) without `www.`.
+ * @param {string|null|undefined} host
+ * @returns {string}
+ */
+export function normalizeSourceHostKey(host) {
+  const raw = String(host ?? '').trim();
+  if (!raw) return '';
+  const colon = raw.lastIndexOf(':');
+  if (colon > 0 && /^\d+$/.test(raw.slice(colon + 1))) {
+    return `${stripWww(raw.slice(0, colon))}:${raw.slice(colon + 1)}`;
+  }
+  return stripWww(raw);
+}
+
+/**
+ * `original_url equals host` compares hosts, like the Source sidebar; a full URL compares exactly.
+ * @param {*} value
+ * @param {*} filterValue
+ * @returns {boolean}
+ */
+export function matchesOriginalUrlEquals(value, filterValue) {
+  const wanted = String(filterValue || '').toLowerCase();
+  const url = String(value || '');
+  if (!wanted || !url) return false;
+  if (wanted.includes('://')) return url.toLowerCase() === wanted;
+  return extractSourceHost(url).toLowerCase() === normalizeSourceHostKey(filterValue).toLowerCase();
+}
+
+/**
+ * @param {{ column: string, operator: string, value: *, caseSensitive?: boolean }} filter
+ * @param {*} value - Column value
+ * @returns {boolean}
+ */
+export function matchesText(filter, value) {
+  const caseSensitive = filter.caseSensitive === true;
+  const item = caseSensitive ? String(value || '') : String(value || '').toLowerCase();
+  const wanted = caseSensitive
+    ? String(filter.value || '')
+    : String(filter.value || '').toLowerCase();
+
+  switch (filter.operator) {
+    case 'equals':
+      if (filter.column === 'original_url') return matchesOriginalUrlEquals(value, filter.value);
+      return item === wanted;
+    case 'contains':
+      return item.includes(wanted);
+    case 'starts_with':
+      return item.startsWith(wanted);
+    case 'ends_with':
+      return item.endsWith(wanted);
+    case 'not_equals':
+      return item !== wanted;
+    case 'not_contains':
+      return !item.includes(wanted);
+    case 'matches_regex':
+    case 'matches_glob':
+      return matchesPattern(filter.operator, value, filter.value, caseSensitive);
+    default:
+      return true;
+  }
+}
+
+/**
+ * @param {string} operator - is_any_of or is_none_of
+ * @param {string} itemValue - Lowercase status label or view asset type
+ * @param {*} filterValue - Selected values; none selected matches everything
+ * @returns {boolean}
+ */
+export function matchesMultiSelect(operator, itemValue, filterValue) {
+  const values = Array.isArray(filterValue) ? filterValue.map((v) => String(v).toLowerCase()) : [];
+  if (values.length === 0) return true;
+  switch (operator) {
+    case 'is_any_of':
+      return values.includes(itemValue);
+    case 'is_none_of':
+      return !values.includes(itemValue);
+    default:
+      return true;
+  }
+}
+
+/**
+ * @param {string} operator
+ * @param {number[]} tagIds - Tags on the download
+ * @param {Set<number>} matchableIds - tagIds plus their ancestors
+ * @param {*} filterValue - Selected tag ids
+ * @returns {boolean}
+ */
+export function matchesTags(operator, tagIds, matchableIds, filterValue) {
+  const wanted = Array.isArray(filterValue)
+    ? filterValue
+        .map((v) => (typeof v === 'number' ? v : parseInt(v, 10)))
+        .filter((id) => !Number.isNaN(id))
+    : [];
+  switch (operator) {
+    case 'is_any_of':
+      return wanted.length === 0 || wanted.some((id) => matchableIds.has(id));
+    case 'is_none_of':
+      return wanted.length === 0 || !wanted.some((id) => matchableIds.has(id));
+    case 'is_all_of':
+      return wanted.length === 0 || wanted.every((id) => matchableIds.has(id));
+    case 'is_set':
+      return tagIds.length > 0;
+    case 'is_not_set':
+      return tagIds.length === 0;
+    default:
+      return true;
+  }
+}
+
+/**
+ * @param {string} operator - is_true or is_false
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function matchesBoolean(operator, value) {
+  if (operator === 'is_true') return isTruthy(value);
+  if (operator === 'is_false') return !isTruthy(value);
+  return true;
+}
+
+/**
+ * Whether a filter tree matches: groups of rows combined with AND/OR, rows without a column
+ * ignored, empty groups matching. A bare array of rows (older saved views) is ANDed.
+ * @param {Object|Array|null|undefined} filters
+ * @param {(filter: Object) => boolean} matchesFilter - Evaluates one row for the item at hand
+ * @returns {boolean}
+ */
+export function matchesFilterGroups(filters, matchesFilter) {
+  if (Array.isArray(filters)) {
+    return filters.every((filter) => !filter?.column || matchesFilter(filter));
+  }
+  const groups = Array.isArray(filters?.groups) ? filters.groups : [];
+  if (groups.length === 0) return true;
+
+  const groupResults = groups.map((group) => {
+    const rows = (group?.filters || []).filter((filter) => filter?.column);
+    if (rows.length === 0) return true;
+    return group.logicOperator === 'or' ? rows.some(matchesFilter) : rows.every(matchesFilter);
+  });
+  return filters.logicOperator === 'or' ? groupResults.some(Boolean) : groupResults.every(Boolean);
+}
+
+/**
+ * Compare two sort keys. Missing keys (release fields the name lacks) sort first ascending;
+ * numbers compare numerically, anything else as lowercase text.
+ * @param {*} a
+ * @param {*} b
+ * @returns {number}
+ */
+export function compareSortKeys(a, b) {
+  if (a == null || b == null) return (a == null ? 0 : 1) - (b == null ? 0 : 1);
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).toLowerCase().localeCompare(String(b).toLowerCase());
+}
@@ -0,0 +1,29 @@
+/**
+ * Read-only custom view share links. Shared by the backend share store, the Next.js route that
+ * serves the public page and the share controls in the downloads sidebar.
+ */
+
+/** Share tokens start with this, so they are never mistaken for API keys or access tokens. */
+export const VIEW_SHARE_PREFIX = 'tbs_';
+
+/** Expiry choices offered when sharing a view. Share links always expire. */
+export const VIEW_SHARE_EXPIRY_DAYS = Object.freeze([1, 7, 30, 90]);
+
+export const DEFAULT_VIEW_SHARE_EXPIRY_DAYS = 7;
+
+/** Downloads per page on the shared page. */
+export const VIEW_SHARE_PAGE_SIZE = 100;
+
+/**
+ * Download fields a share link exposes; everything else (ids, hashes, trackers, links) stays
+ * private to the account.
+ */
+export const VIEW_SHARE_FIELDS = Object.freeze(['name', 'size', 'status', 'progress']);
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+export function isViewShareToken(value) {
+  return typeof value === 'string' && value.startsWith(VIEW_SHARE_PREFIX);
+}
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import FormData from 'form-data';
 import logger from '../utils/logger.js';
 import WeightedFairSemaphore from '../utils/WeightedFairSemaphore.js';
 import { fetchMyList, mergeMyListWithQueued } from './mylistPagination.js';
@@ -940,6 +941,81 @@ class ApiClient {
     );
   }
 
+  /**
+   * Whether TorBox already has a torrent cached, so creating it would not use uncached quota.
+   * @param {string} hash - Torrent infohash
+   * @returns {Promise<boolean>}
+   */
+  async checkTorrentCached(hash) {
+    return this.handleApiCall(
+      async () => {
+        const response = await this.client.get('/api/torrents/checkcached', {
+          params: { hash, format: 'object', list_files: false },
+          timeout: DEFAULT_FETCH_TIMEOUT,
+        });
+        const data = response.data?.data;
+        return Boolean(data && typeof data === 'object' && Object.keys(data).length > 0);
+      },
+      {
+        endpoint: '/api/torrents/checkcached',
+        operation: 'checking torrent cache',
+        context: { hash },
+      }
+    );
+  }
+
+  /**
+   * Add a torrent by magnet link (used to restore downloads removed by automation rules).
+   * @param {string} magnet
+   * @param {Object} [options] - { name }
+   * @returns {Promise<Object>} TorBox envelope ({ success, data: { torrent_id, hash } })
+   */
+  async createTorrent(magnet, options = {}) {
+    const formData = new FormData();
+    formData.append('magnet', magnet);
+    if (options.name) {
+      formData.append('name', options.name);
+    }
+    return this._postCreateForm('/api/torrents/createtorrent', formData, 'creating torrent', {
+      name: options.name,
+    });
+  }
+
+  /**
+   * Add a web download by URL.
+   * @param {string} link
+   * @param {Object} [options] - { name }
+   * @returns {Promise<Object>} TorBox envelope ({ success, data: { webdownload_id, hash } })
+   */
+  async createWebDownload(link, options = {}) {
+    const formData = new FormData();
+    formData.append('link', link);
+    if (options.name) {
+      formData.append('name', options.name);
+    }
+    return this._postCreateForm('/api/webdl/createwebdownload', formData, 'creating web download', {
+      name: options.name,
+    });
+  }
+
+  async _postCreateForm(endpoint, formData, operation, context) {
+    return this.handleApiCall(
+      async () => {
+        const response = await this.client.post(endpoint, formData, {
+          headers: formData.getHeaders(),
+          timeout: DEFAULT_ACTION_TIMEOUT,
+        });
+        if (response.data?.success === false) {
+          const error = new Error(response.data.detail || response.data.error || 'Create failed');
+          error.response = { status: response.status, data: response.data };
+          throw error;
+        }
+        return response.data;
+      },
+      { endpoint, operation, context }
+    );
+  }
+
   // ============================================================================
   // Stats Methods
   // ============================================================================
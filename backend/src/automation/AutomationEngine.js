@@ -18,16 +18,47 @@ import RuleMigrationHelper from './helpers/RuleMigrationHelper.js';
 import { normalizeIntervalTriggersOnRules } from './helpers/normalizeIntervalTriggers.js';
 import {
   INITIAL_POLL_INTERVAL_MINUTES,
+  MIN_INTERVAL_MINUTES,
+  EVENT_TRIGGER_POLL_INTERVAL_MINUTES,
+  TRIGGER_TYPES,
   DEFAULT_RETRY_MAX_RETRIES,
   DEFAULT_RETRY_INITIAL_DELAY_MS,
   MANUAL_EXECUTION_RATE_LIMIT_MS,
 } from './helpers/constants.js';
 import { getRuleCompatibilityIssue } from './helpers/ruleCapabilities.js';
 import {
+  buildExecutionLogDetails,
   buildRuleExecutionMessage,
   shouldRecordRuleExecution,
 } from './helpers/ruleExecutionLogging.js';
 import { fetchDownloadsForAssetTypes } from './helpers/downloadFetch.js';
+import { isDestructiveOperation } from '../config/destructiveDownloadOperations.mjs';
+import {
+  isEventTrigger,
+  getEventCursor,
+  selectTriggeredDownloads,
+} from './helpers/triggerEvents.js';
+import {
+  getNextRunTimes,
+  getNextWindowOpening,
+  isWithinScheduleWindow,
+} from './helpers/ruleSchedule.js';
+import { collectRuleTagIds, mapRuleTagIds, parseRuleBundle } from './helpers/ruleBundle.js';
+import {
+  claimRestorePoint,
+  getRestorePoint,
+  isRestorePointExpired,
+  markRestorePointRestored,
+  releaseRestorePoint,
+} from './helpers/downloadRestorePoints.js';
+import { getUploadResourceId } from './uploadResponseValidation.js';
+import { assignDownloadTags } from '../utils/tags.js';
+
+const COMPATIBILITY_ISSUE_LABELS = { action: 'Action', trigger: 'Trigger', condition: 'Condition' };
+
+function restoreError(message, statusCode) {
+  return Object.assign(new Error(message), { name: 'RestoreError', statusCode });
+}
 
 function assertManualRunNotCancelled(cancelToken) {
   if (cancelToken?.cancelled) {
@@ -70,8 +101,8 @@ class AutomationEngine {
     // Initialize helpers
     this.ruleRepository = new RuleRepository(authId, () => this.getUserDb(), this.masterDb);
     this.ruleValidator = new RuleValidator(authId, (rule) => this.migrateRuleToGroups(rule));
-    this.ruleExecutor = new RuleExecutor(authId, () => this.getRuleEvaluator());
     this.ruleFilter = new RuleFilter(authId, () => this.getUserDb());
+    this.ruleExecutor = new RuleExecutor(authId, () => this.getRuleEvaluator(), this.ruleFilter);
   }
 
   /**
@@ -308,8 +339,8 @@ class AutomationEngine {
   }
 
   /**
-   * Get minimum interval from all enabled rules with interval triggers
-   * @returns {Promise<number|null>} - Minimum interval in minutes, or null if no interval triggers
+   * Get minimum interval from all enabled rules (event-triggered rules count as the event poll interval)
+   * @returns {Promise<number|null>} - Minimum interval in minutes, or null if no rule sets one
    */
   async getMinimumRuleInterval() {
     const enabledRules = await this.getAutomationRules({ enabled: true });
@@ -319,15 +350,16 @@ class AutomationEngine {
   /**
    * Compute minimum rule interval from an already-loaded rules array.
    * Avoids a redundant DB query when called after evaluateRules() which already fetched the rules.
+   * Event-triggered rules react on every poll, so they pull the interval down to
+   * EVENT_TRIGGER_POLL_INTERVAL_MINUTES rather than the interval-rule floor.
    * @param {Array} rules - Array of rule objects
-   * @returns {number|null} - Minimum interval in minutes, or null if no interval triggers
+   * @returns {number|null} - Minimum interval in minutes, or null if no rule sets one
    */
   _computeMinRuleInterval(rules) {
-    const MIN_RULE_INTERVAL_MINUTES = 30;
-    let minInterval = null;
+    let minInterval = this._computeEventPollInterval(rules);
     for (const rule of rules) {
-      if (rule.trigger && rule.trigger.type === 'interval' && rule.trigger.value) {
-        const effectiveInterval = Math.max(rule.trigger.value, MIN_RULE_INTERVAL_MINUTES);
+      if (rule.trigger && rule.trigger.type === TRIGGER_TYPES.INTERVAL && rule.trigger.value) {
+        const effectiveInterval = Math.max(rule.trigger.value, MIN_INTERVAL_MINUTES);
         if (minInterval === null || effectiveInterval < minInterval) {
           minInterval = effectiveInterval;
         }
@@ -336,6 +368,45 @@ class AutomationEngine {
     return minInterval;
   }
 
+  /**
+   * Poll interval required by event-triggered rules, independent of polling mode.
+   * @param {Array} rules - Array of rule objects
+   * @returns {number|null} - EVENT_TRIGGER_POLL_INTERVAL_MINUTES when any rule is event-triggered, else null
+   */
+  _computeEventPollInterval(rules) {
+    return rules.some((rule) => isEventTrigger(rule.trigger))
+      ? EVENT_TRIGGER_POLL_INTERVAL_MINUTES
+      : null;
+  }
+
+  /**
+   * Earliest upcoming moment a scheduled rule becomes runnable: the next cron run, or the
+   * opening of an interval rule's active window when it is currently closed.
+   * Lets the poller wake up for it instead of waiting out a longer idle interval.
+   * @param {Array} rules - Array of rule objects
+   * @param {Date} [now]
+   * @returns {Date|null}
+   */
+  _computeNextScheduledRunAt(rules, now = new Date()) {
+    let earliest = null;
+    for (const rule of rules) {
+      const trigger = rule.trigger;
+      let next = null;
+      if (trigger?.type === TRIGGER_TYPES.CRON) {
+        [next] = getNextRunTimes(trigger, { from: now, count: 1 });
+      } else if (
+        trigger?.type === TRIGGER_TYPES.INTERVAL &&
+        !isWithinScheduleWindow(trigger, now)
+      ) {
+        next = getNextWindowOpening(trigger, now);
+      }
+      if (next && (earliest === null || next < earliest)) {
+        earliest = next;
+      }
+    }
+    return earliest;
+  }
+
   /**
    * Update active rules flag in master database
    * @param {boolean} hasActiveRules - Whether user has active rules
@@ -461,6 +532,23 @@ class AutomationEngine {
     return Array.from(byId.values());
   }
 
+  /**
+   * Downloads an event-triggered rule fired for since it was last evaluated.
+   * @param {Object} rule - Rule with an event trigger
+   * @param {Array} torrents - Full download list for the cycle
+   * @param {Object} changes - Diff from StateDiffEngine
+   * @param {RuleEvaluator} ruleEvaluator
+   * @returns {Array}
+   */
+  _selectEventDownloads(rule, torrents, changes, ruleEvaluator) {
+    const since = getEventCursor(rule);
+    const taggedDownloadIds =
+      rule.trigger.type === TRIGGER_TYPES.TAG_ADDED
+        ? ruleEvaluator.loadTagAddedDownloadIds(since, rule.trigger.tagIds || [])
+        : undefined;
+    return selectTriggeredDownloads(rule.trigger, torrents, changes, { since, taggedDownloadIds });
+  }
+
   /**
    * Evaluate and execute rules (called after each poll)
    * @param {Array} torrents - Current torrents from API
@@ -533,6 +621,8 @@ class AutomationEngine {
         pendingActions: results.pendingActions ?? [],
         // Pre-computed so UserPoller.calculateNextPollAt can skip a redundant DB query
         minRuleInterval: this._computeMinRuleInterval(enabledRules),
+        eventPollInterval: this._computeEventPollInterval(enabledRules),
+        nextScheduledRunAt: this._computeNextScheduledRunAt(enabledRules),
       };
     } catch (error) {
       const evaluationDuration = ((Date.now() - evaluationStartTime) / 1000).toFixed(2);
@@ -558,6 +648,7 @@ class AutomationEngine {
    * @param {Array} enabledRules - Rules to evaluate
    * @param {Array} torrents - Torrents to evaluate against
    * @param {Object} [changes] - Optional diff; when set, transition-only rules are evaluated against new + stateTransitions subset
+   *   and event-triggered rules against the downloads their event fired for (skipped when unset)
    * @returns {Promise<Object>} - { executedCount, skippedCount, errorCount, pendingActions }
    */
   async evaluateRulesBatch(enabledRules, torrents, changes = null) {
@@ -579,11 +670,13 @@ class AutomationEngine {
     let needsTelemetry = false;
     let needsTags = false;
     let needsSpeed = false;
+    let needsReleaseMetadata = false;
     let maxSpeedHours = 0;
     for (const rule of enabledRules) {
       const ruleTypes = rule.assetTypes || ['torrent'];
       const analysis = ruleEvaluator.analyzeRule(rule);
       if (analysis.needsTags) needsTags = true;
+      if (analysis.needsReleaseMetadata) needsReleaseMetadata = true;
       if (ruleTypes.includes('torrent')) {
         if (analysis.needsTelemetry) needsTelemetry = true;
         if (analysis.needsSpeed) {
@@ -600,6 +693,9 @@ class AutomationEngine {
         needsSpeed && torrentIds.length > 0
           ? ruleEvaluator.loadSpeedHistoryDataForHours(torrentIds, maxSpeedHours)
           : new Map(),
+      releaseMetadataMap: needsReleaseMetadata
+        ? ruleEvaluator.loadReleaseMetadata(torrents)
+        : new Map(),
     };
 
     const concurrency = Math.max(1, parseInt(process.env.RULE_EVAL_CONCURRENCY || '2', 10));
@@ -617,11 +713,25 @@ class AutomationEngine {
         const usesTorrentDiff =
           isTorrentOnlyRule && changes && ruleEvaluator.ruleCanUseChangedOnlyScope(rule);
         const torrentOnly = torrents.filter((t) => (t.assetType || 'torrent') === 'torrent');
-        const torrentList = usesTorrentDiff
+        let torrentList = usesTorrentDiff
           ? this._buildChangedOnlySubset(torrentOnly, changes)
           : torrents;
 
         try {
+          if (isEventTrigger(rule.trigger)) {
+            // Without a diff there is no way to tell what happened; keep the cursor where it is.
+            if (!changes) {
+              skippedCount++;
+              continue;
+            }
+            torrentList = this._selectEventDownloads(rule, torrents, changes, ruleEvaluator);
+            if (torrentList.length === 0) {
+              evaluatedRuleIdsNoAction.push(rule.id);
+              skippedCount++;
+              continue;
+            }
+          }
+
           const result = await this.evaluateSingleRule(
             rule,
             torrentList,
@@ -662,19 +772,19 @@ class AutomationEngine {
    * Evaluate a single rule
    * @param {Object} rule - Rule to evaluate
    * @param {Array} torrents - Torrents to evaluate against
-   * @param {Object} [sharedMaps] - Optional pre-loaded { telemetryMap, tagsByDownloadId, speedHistoryMap }
+   * @param {Object} [sharedMaps] - Optional pre-loaded { telemetryMap, tagsByDownloadId, speedHistoryMap, releaseMetadataMap }
    * @param {Object} [ruleEvaluatorInstance] - Optional pre-fetched RuleEvaluator (avoids per-rule getRuleEvaluator when called from batch)
    * @returns {Promise<Object>} - { executed: boolean, skipped: boolean }
    */
   async evaluateSingleRule(rule, torrents, sharedMaps = null, ruleEvaluatorInstance = null) {
     // Check if rule has an action configured
-    if (!rule.action || !rule.action.type) {
+    const actions = rule.actions || [];
+    if (!actions.some((action) => action?.type)) {
       logger.warn('Rule has no action configured, skipping execution', {
         authId: this.authId,
         ruleId: rule.id,
         ruleName: rule.name,
-        hasAction: !!rule.action,
-        actionType: rule.action?.type || 'none',
+        actionCount: actions.length,
       });
       return { executed: false, skipped: true, ruleId: rule.id };
     }
@@ -690,13 +800,13 @@ class AutomationEngine {
       torrentCount: torrents.length,
     });
 
-    // Check if rule should be evaluated based on interval (synchronous guard before async work)
+    // Check if rule should be evaluated based on its schedule (synchronous guard before async work)
     if (this.shouldSkipRuleEvaluation(rule)) {
-      logger.debug('Rule evaluation skipped - interval not elapsed', {
+      logger.debug('Rule evaluation skipped - schedule not due', {
         authId: this.authId,
         ruleId: rule.id,
         ruleName: rule.name,
-        intervalMinutes: rule.trigger.value,
+        trigger: rule.trigger,
         lastEvaluatedAt: rule.last_evaluated_at,
       });
       return { executed: false, skipped: true, ruleId: null };
@@ -704,7 +814,7 @@ class AutomationEngine {
 
     const compatibilityIssue = getRuleCompatibilityIssue(rule);
     if (compatibilityIssue) {
-      const label = compatibilityIssue.kind === 'action' ? 'Action' : 'Condition';
+      const label = COMPATIBILITY_ISSUE_LABELS[compatibilityIssue.kind];
       logger.info(`Skipping automation rule ${rule.id}`, {
         authId: this.authId,
         ruleId: rule.id,
@@ -749,9 +859,11 @@ class AutomationEngine {
     });
 
     // Filter torrents based on action type (pass pre-loaded tags to avoid duplicate SELECT)
-    const torrentsToProcess = await this.ruleFilter.filterTorrents(matchingTorrents, rule.action, {
-      tagsByDownloadId,
-    });
+    const torrentsToProcess = await this.ruleFilter.filterTorrentsForActions(
+      matchingTorrents,
+      actions,
+      { tagsByDownloadId }
+    );
 
     if (torrentsToProcess.length === 0) {
       logger.debug('No torrents to process after filtering', {
@@ -759,7 +871,7 @@ class AutomationEngine {
         ruleId: rule.id,
         ruleName: rule.name,
         matchedCount: matchingTorrents.length,
-        actionType: rule.action?.type,
+        actionTypes: actions.map((action) => action.type),
         reason:
           'All matching torrents were filtered out (action already applied or not applicable)',
       });
@@ -790,7 +902,7 @@ class AutomationEngine {
   }
 
   /**
-   * Manually run a single rule (bypasses interval checks)
+   * Manually run a single rule (bypasses interval checks; event-triggered rules run against all downloads)
    * @param {number} ruleId - ID of the rule to run
    * @returns {Promise<Object>} - Detailed execution results
    */
@@ -937,7 +1049,8 @@ class AutomationEngine {
       });
 
       // Check if rule has an action configured
-      if (!rule.action || !rule.action.type) {
+      const actions = rule.actions || [];
+      if (!actions.some((action) => action?.type)) {
         const result = {
           ruleId: rule.id,
           ruleName: rule.name,
@@ -961,7 +1074,7 @@ class AutomationEngine {
 
       const compatibilityIssue = getRuleCompatibilityIssue(rule);
       if (compatibilityIssue) {
-        const label = compatibilityIssue.kind === 'action' ? 'Action' : 'Condition';
+        const label = COMPATIBILITY_ISSUE_LABELS[compatibilityIssue.kind];
         return {
           ruleId: rule.id,
           ruleName: rule.name,
@@ -980,27 +1093,7 @@ class AutomationEngine {
       const scopedDownloads = torrents.filter((d) => ruleAssetTypes.has(d.assetType || 'torrent'));
 
       const ruleEvaluator = await this.getRuleEvaluator();
-      const torrentIds = scopedDownloads.reduce((ids, t) => {
-        if ((t.assetType || 'torrent') === 'torrent' && t.id != null) {
-          ids.push(t.id);
-        }
-        return ids;
-      }, []);
-      const analysis = ruleEvaluator.analyzeRule(rule);
-      const needsTorrentData = ruleAssetTypes.has('torrent');
-      const sharedMaps = {
-        telemetryMap:
-          needsTorrentData && analysis.needsTelemetry
-            ? ruleEvaluator.loadTelemetryData(torrentIds)
-            : new Map(),
-        tagsByDownloadId: analysis.needsTags
-          ? ruleEvaluator.loadTagsDataForTorrents(scopedDownloads)
-          : new Map(),
-        speedHistoryMap:
-          needsTorrentData && analysis.needsSpeed && torrentIds.length > 0
-            ? ruleEvaluator.loadSpeedHistoryDataForHours(torrentIds, analysis.maxSpeedHours)
-            : new Map(),
-      };
+      const sharedMaps = this._loadSingleRuleMaps(rule, scopedDownloads, ruleEvaluator);
 
       // Evaluate rule (bypass interval check for manual execution)
       const { matchingTorrents, tagsByDownloadId } = await ruleEvaluator.evaluateRule(
@@ -1041,12 +1134,10 @@ class AutomationEngine {
       });
 
       // Filter torrents based on action type (pass pre-loaded tags to avoid duplicate SELECT)
-      const torrentsToProcess = await this.ruleFilter.filterTorrents(
+      const torrentsToProcess = await this.ruleFilter.filterTorrentsForActions(
         matchingTorrents,
-        rule.action,
-        {
-          tagsByDownloadId,
-        }
+        actions,
+        { tagsByDownloadId }
       );
 
       if (torrentsToProcess.length === 0) {
@@ -1069,7 +1160,7 @@ class AutomationEngine {
           ruleId: rule.id,
           ruleName: rule.name,
           matchedCount: matchingTorrents.length,
-          actionType: rule.action?.type,
+          actionTypes: actions.map((action) => action.type),
         });
         return result;
       }
@@ -1079,9 +1170,19 @@ class AutomationEngine {
         successCount,
         errorCount,
         protectedSkippedCount = 0,
+        steps = [],
+        audit = [],
       } = await this.ruleExecutor.executeActions(rule, torrentsToProcess);
+      await this.ruleRepository.recordActionAudit(rule.id, rule.name, audit);
 
-      const batchResult = { successCount, errorCount, protectedSkippedCount };
+      const actionType = actions.length === 1 ? actions[0].type : null;
+      const batchResult = {
+        actionType,
+        successCount,
+        errorCount,
+        protectedSkippedCount,
+        steps,
+      };
 
       if (shouldRecordRuleExecution(batchResult)) {
         await this.ruleRepository.recordExecution(
@@ -1089,7 +1190,8 @@ class AutomationEngine {
           rule.name,
           successCount,
           errorCount === 0 && protectedSkippedCount === 0,
-          buildRuleExecutionMessage(batchResult)
+          buildRuleExecutionMessage(batchResult),
+          buildExecutionLogDetails(batchResult)
         );
         cache.invalidateRecentRuleExecutions(this.authId);
       } else {
@@ -1124,7 +1226,8 @@ class AutomationEngine {
       return {
         ruleId: rule.id,
         ruleName: rule.name,
-        actionType: rule.action?.type,
+        actionType,
+        steps,
         totalTorrents: torrents.length,
         matchedTorrents: matchingTorrents.length,
         processedTorrents: torrentsToProcess.length,
@@ -1161,11 +1264,220 @@ class AutomationEngine {
   }
 
   /**
-   * Check if rule evaluation should be skipped due to interval
+   * Load the telemetry, tag, speed and release metadata maps a single rule needs (manual runs
+   * and simulations).
+   * @param {Object} rule
+   * @param {Array} scopedDownloads - Downloads already filtered to the rule's asset types
+   * @param {RuleEvaluator} ruleEvaluator
+   * @returns {Object} - { telemetryMap, tagsByDownloadId, speedHistoryMap, releaseMetadataMap }
+   */
+  _loadSingleRuleMaps(rule, scopedDownloads, ruleEvaluator) {
+    const torrentIds = scopedDownloads.reduce((ids, t) => {
+      if ((t.assetType || 'torrent') === 'torrent' && t.id != null) {
+        ids.push(t.id);
+      }
+      return ids;
+    }, []);
+    const analysis = ruleEvaluator.analyzeRule(rule);
+    const needsTorrentData = (rule.assetTypes || ['torrent']).includes('torrent');
+    return {
+      telemetryMap:
+        needsTorrentData && analysis.needsTelemetry
+          ? ruleEvaluator.loadTelemetryData(torrentIds)
+          : new Map(),
+      tagsByDownloadId: analysis.needsTags
+        ? ruleEvaluator.loadTagsDataForTorrents(scopedDownloads)
+        : new Map(),
+      speedHistoryMap:
+        needsTorrentData && analysis.needsSpeed && torrentIds.length > 0
+          ? ruleEvaluator.loadSpeedHistoryDataForHours(torrentIds, analysis.maxSpeedHours)
+          : new Map(),
+      releaseMetadataMap: analysis.needsReleaseMetadata
+        ? ruleEvaluator.loadReleaseMetadata(scopedDownloads)
+        : new Map(),
+    };
+  }
+
+  /**
+   * Dry-run a rule: evaluate its conditions against current downloads and the stored
+   * shadow/telemetry state, and report what its actions would do without executing anything.
+   * Unlike runRuleManually this writes nothing (no snapshot diff, no last_evaluated_at, no log).
+   * @param {number|Object} ruleOrId - Saved rule ID, or an unsaved rule draft
+   * @returns {Promise<Object>} - Simulation result with per-download outcomes
+   * @throws {Error} RuleValidationError when a draft is invalid; Error when the rule does not exist
+   */
+  async simulateRule(ruleOrId) {
+    const startTime = Date.now();
+    let rule;
+    if (ruleOrId !== null && typeof ruleOrId === 'object') {
+      // Drafts may not be named yet; the name only matters for logs
+      const draft = { ...ruleOrId, name: ruleOrId.name || 'Draft' };
+      rule = RuleMigrationHelper.migrateRule(normalizeIntervalTriggersOnRules([draft])[0]);
+      const validation = this.validateRule(rule);
+      if (!validation.valid) {
+        throw Object.assign(new Error(`Rule validation failed: ${validation.errors.join('; ')}`), {
+          name: 'RuleValidationError',
+          statusCode: 400,
+          isValidationError: true,
+        });
+      }
+    } else {
+      const stored = await this.ruleRepository.getRuleById(ruleOrId);
+      if (!stored) {
+        throw new Error(`Rule with ID ${ruleOrId} not found`);
+      }
+      rule = RuleMigrationHelper.migrateRuleToActions(stored);
+    }
+
+    const actions = rule.actions;
+    const result = {
+      ruleId: rule.id ?? null,
+      ruleName: rule.name,
+      actionType: actions.length === 1 ? actions[0].type : null,
+      actionTypes: actions.map((action) => action.type),
+      simulated: true,
+      totalTorrents: 0,
+      matchedTorrents: 0,
+      processedTorrents: 0,
+      protectedSkippedCount: 0,
+      items: [],
+      skipped: false,
+      reason: null,
+    };
+    const finish = () => ({
+      ...result,
+      executionTime: ((Date.now() - startTime) / 1000).toFixed(2),
+    });
+
+    const compatibilityIssue = getRuleCompatibilityIssue(rule);
+    if (compatibilityIssue) {
+      const label = COMPATIBILITY_ISSUE_LABELS[compatibilityIssue.kind];
+      result.skipped = true;
+      result.reason = `${label} ${compatibilityIssue.name} not supported for asset types [${compatibilityIssue.assetTypes.join(', ')}]`;
+      return finish();
+    }
+
+    const ruleAssetTypes = rule.assetTypes || ['torrent'];
+    const downloads = await fetchDownloadsForAssetTypes(this.apiClient, ruleAssetTypes, true);
+    const scopedDownloads = downloads.filter((d) =>
+      ruleAssetTypes.includes(d.assetType || 'torrent')
+    );
+    result.totalTorrents = scopedDownloads.length;
+
+    const ruleEvaluator = await this.getRuleEvaluator();
+    const sharedMaps = this._loadSingleRuleMaps(rule, scopedDownloads, ruleEvaluator);
+    const { matchingTorrents, tagsByDownloadId } = await ruleEvaluator.evaluateRule(
+      rule,
+      scopedDownloads,
+      sharedMaps
+    );
+    result.matchedTorrents = matchingTorrents.length;
+    if (matchingTorrents.length === 0) {
+      result.skipped = true;
+      result.reason = 'No torrents matched rule conditions';
+      return finish();
+    }
+
+    // Targets per step: step conditions, then the step's own "already applied" filter
+    const stepTargets = [];
+    for (const [stepIndex, action] of actions.entries()) {
+      let conditionTargets = matchingTorrents;
+      if (Array.isArray(action.conditions) && action.conditions.length > 0) {
+        conditionTargets = ruleEvaluator.matchActionConditions(action.conditions, conditionTargets);
+      }
+      const targets = await this.ruleFilter.filterTorrents(conditionTargets, action, {
+        tagsByDownloadId,
+      });
+      stepTargets.push({
+        stepIndex,
+        type: action.type,
+        destructive: isDestructiveOperation(action.type),
+        conditionTargets: new Set(conditionTargets),
+        targets: new Set(targets),
+      });
+    }
+
+    let protectedSet = new Set();
+    const destructiveTargets = stepTargets
+      .filter((step) => step.destructive)
+      .flatMap((step) => [...step.targets]);
+    if (destructiveTargets.length > 0) {
+      const downloadIds = destructiveTargets.flatMap((d) => {
+        const id = ruleEvaluator.extractDownloadId(d);
+        return id ? [id] : [];
+      });
+      protectedSet = ruleEvaluator.protectionService.getProtectedSet(downloadIds);
+    }
+
+    for (const download of matchingTorrents) {
+      const applicableSteps = stepTargets.filter((step) => step.targets.has(download));
+      const isProtected = protectedSet.has(String(ruleEvaluator.extractDownloadId(download)));
+      let outcome = 'would_apply';
+      if (applicableSteps.length === 0) {
+        outcome = 'filtered';
+      } else if (isProtected && applicableSteps.every((step) => step.destructive)) {
+        outcome = 'protected';
+        result.protectedSkippedCount++;
+      } else {
+        result.processedTorrents++;
+      }
+      result.items.push({
+        id: download.id,
+        name: download.name,
+        assetType: download.assetType || 'torrent',
+        outcome,
+        // Every pipeline step and what it would do to this download
+        actions: stepTargets.map((step) => {
+          let stepOutcome = 'would_apply';
+          if (!step.conditionTargets.has(download)) stepOutcome = 'condition_not_met';
+          else if (!step.targets.has(download)) stepOutcome = 'filtered';
+          else if (isProtected && step.destructive) stepOutcome = 'protected';
+          return { stepIndex: step.stepIndex, type: step.type, outcome: stepOutcome };
+        }),
+      });
+    }
+
+    if (result.processedTorrents === 0) {
+      result.skipped = true;
+      result.reason =
+        result.protectedSkippedCount > 0
+          ? 'All matching downloads are protected'
+          : 'All matching torrents were filtered out (action already applied or not applicable)';
+    }
+
+    logger.info('Rule simulated', {
+      authId: this.authId,
+      ruleId: result.ruleId,
+      ruleName: rule.name,
+      matchedCount: result.matchedTorrents,
+      processedCount: result.processedTorrents,
+      protectedSkippedCount: result.protectedSkippedCount,
+    });
+
+    return finish();
+  }
+
+  /**
+   * Check if rule evaluation should be skipped due to its schedule (interval, cron or active window)
    * @param {Object} rule - Rule to check
    * @returns {boolean} - True if should skip
    */
   shouldSkipRuleEvaluation(rule) {
+    if (rule.trigger?.window && !isWithinScheduleWindow(rule.trigger)) {
+      logger.debug('Rule evaluation skipped - outside active window', {
+        authId: this.authId,
+        ruleId: rule.id,
+        ruleName: rule.name,
+        window: rule.trigger.window,
+        timezone: rule.trigger.timezone || 'UTC',
+      });
+      return true;
+    }
+
+    if (rule.trigger?.type === TRIGGER_TYPES.CRON) {
+      return !this._isCronRunDue(rule);
+    }
+
     if (
       !rule.trigger ||
       rule.trigger.type !== 'interval' ||
@@ -1203,6 +1515,33 @@ class AutomationEngine {
     return false;
   }
 
+  /**
+   * Whether a cron run has come due since the rule was last evaluated. A rule that was never
+   * evaluated counts from its last save, so saving a nightly rule does not run it immediately.
+   * @param {Object} rule - Rule with a cron trigger
+   * @returns {boolean}
+   */
+  _isCronRunDue(rule) {
+    const since = rule.last_evaluated_at || rule.updated_at || rule.created_at;
+    const from = parseDbTimestamp(since);
+    if (Number.isNaN(from.getTime())) {
+      return true;
+    }
+    const [nextRun] = getNextRunTimes(rule.trigger, { from, count: 1 });
+    const due = !!nextRun && nextRun.getTime() <= Date.now();
+    if (!due) {
+      logger.debug('Rule evaluation skipped - next cron run not reached', {
+        authId: this.authId,
+        ruleId: rule.id,
+        ruleName: rule.name,
+        expression: rule.trigger.expression,
+        lastEvaluatedAt: rule.last_evaluated_at,
+        nextRunAt: nextRun?.toISOString() ?? null,
+      });
+    }
+    return due;
+  }
+
   /**
    * Handle rule evaluation error
    * @param {Object} rule - Rule that failed
@@ -1293,6 +1632,210 @@ class AutomationEngine {
     return savedRules;
   }
 
+  /**
+   * Import rules from an exported bundle. Tag ids are remapped by tag name; rules that are
+   * incompatible, invalid or clash with an existing name are skipped and reported.
+   * @param {Object} bundle - See helpers/ruleBundle.js
+   * @param {Object} [options]
+   * @param {boolean} [options.overwrite=false] - Replace existing rules with the same name
+   * @param {boolean} [options.createMissingTags=true] - Create tags the bundle references but the account lacks
+   * @returns {Promise<Object>} - { rules, imported, updated, skipped: [{ name, reason }], createdTags }
+   */
+  async importRuleBundle(bundle, { overwrite = false, createMissingTags = true } = {}) {
+    const { rules: incoming, tagNamesById } = parseRuleBundle(bundle);
+    const existing = await this.ruleRepository.getRules();
+    const existingByName = new Map(existing.map((rule) => [rule.name.trim().toLowerCase(), rule]));
+    const userDb = await this.getUserDb();
+    const tagIdsByName = new Map(
+      userDb
+        .prepare('SELECT id, name FROM tags')
+        .all()
+        .map((tag) => [tag.name.toLowerCase(), tag.id])
+    );
+
+    const skipped = [];
+    const accepted = [];
+    const seenNames = new Set();
+    incoming.forEach((rule, index) => {
+      const name = typeof rule.name === 'string' ? rule.name.trim() : '';
+      const skip = (reason) => skipped.push({ name: name || `Rule ${index + 1}`, reason });
+
+      const compatibilityIssue = getRuleCompatibilityIssue(rule);
+      if (compatibilityIssue) {
+        const label = COMPATIBILITY_ISSUE_LABELS[compatibilityIssue.kind];
+        return skip(
+          `${label} ${compatibilityIssue.name} not supported for asset types [${compatibilityIssue.assetTypes.join(', ')}]`
+        );
+      }
+      const validation = this.validateRule({ ...rule, name });
+      if (!validation.valid) {
+        return skip(validation.errors.join('; '));
+      }
+
+      const key = name.toLowerCase();
+      if (seenNames.has(key)) {
+        return skip('Duplicate rule name in bundle');
+      }
+      const target = existingByName.get(key);
+      if (target && !overwrite) {
+        return skip('A rule with this name already exists');
+      }
+
+      const tagIds = collectRuleTagIds(rule);
+      const unlisted = tagIds.filter((tagId) => !tagNamesById.has(tagId));
+      if (unlisted.length > 0) {
+        return skip(`Tag ids missing from bundle tags: ${unlisted.join(', ')}`);
+      }
+      const missing = tagIds
+        .map((tagId) => tagNamesById.get(tagId))
+        .filter((tagName) => !tagIdsByName.has(tagName.toLowerCase()));
+      if (missing.length > 0 && !createMissingTags) {
+        return skip(`Missing tags: ${missing.join(', ')}`);
+      }
+
+      seenNames.add(key);
+      accepted.push({ rule: { ...rule, name }, target, tagIds });
+    });
+
+    if (accepted.length === 0) {
+      return { rules: existing, imported: 0, updated: 0, skipped, createdTags: [] };
+    }
+
+    const createdTags = [];
+    const insertTag = userDb.prepare('INSERT INTO tags (name) VALUES (?)');
+    userDb.transaction(() => {
+      for (const { tagIds } of accepted) {
+        for (const tagId of tagIds) {
+          const tagName = tagNamesById.get(tagId);
+          if (tagIdsByName.has(tagName.toLowerCase())) continue;
+          const id = Number(insertTag.run(tagName).lastInsertRowid);
+          tagIdsByName.set(tagName.toLowerCase(), id);
+          createdTags.push({ id, name: tagName });
+        }
+      }
+    })();
+
+    const now = Date.now();
+    const replacements = new Map();
+    const additions = [];
+    for (const { rule, target } of accepted) {
+      const remapped = mapRuleTagIds(rule, (tagId) =>
+        tagIdsByName.get(tagNamesById.get(tagId).toLowerCase())
+      );
+      if (target) {
+        replacements.set(target.id, {
+          ...remapped,
+          id: target.id,
+          metadata: { ...target.metadata, updatedAt: now },
+        });
+      } else {
+        additions.push({ ...remapped, metadata: { createdAt: now, updatedAt: now } });
+      }
+    }
+
+    const savedRules = await this.saveAutomationRules([
+      ...existing.map((rule) => replacements.get(rule.id) || rule),
+      ...additions,
+    ]);
+    logger.info('Imported automation rules', {
+      authId: this.authId,
+      imported: additions.length,
+      updated: replacements.size,
+      skipped: skipped.length,
+      createdTags: createdTags.length,
+    });
+    return {
+      rules: savedRules,
+      imported: additions.length,
+      updated: replacements.size,
+      skipped,
+      createdTags,
+    };
+  }
+
+  /**
+   * Re-add a download a rule deleted or archived, then reapply its tags and airlock.
+   * @param {number} restorePointId
+   * @returns {Promise<Object>} - { restorePointId, downloadId, assetType, tagsRestored, airlockRestored }
+   * @throws {Error} RestoreError with statusCode 404 (unknown), 409 (already restored) or 410 (expired)
+   */
+  async restoreDownload(restorePointId) {
+    const userDb = await this.getUserDb();
+    const restorePoint = getRestorePoint(userDb, restorePointId);
+    if (!restorePoint) {
+      throw restoreError('Restore point not found', 404);
+    }
+    if (restorePoint.restored_at) {
+      throw restoreError('Download was already restored', 409);
+    }
+    if (isRestorePointExpired(restorePoint)) {
+      throw restoreError('Restore point has expired', 410);
+    }
+
+    // Claim before calling TorBox so a concurrent restore of the same point gets a 409
+    if (!claimRestorePoint(userDb, restorePointId)) {
+      throw restoreError('Download was already restored', 409);
+    }
+
+    const { asset_type: assetType, source, name } = restorePoint;
+    let envelope;
+    try {
+      envelope =
+        assetType === 'webdl'
+          ? await this.apiClient.createWebDownload(source, { name })
+          : await this.apiClient.createTorrent(source, { name });
+    } catch (error) {
+      releaseRestorePoint(userDb, restorePointId);
+      throw error;
+    }
+    // TorBox may accept the create without returning an id yet; tags and airlock then can't be reapplied
+    const resourceId = getUploadResourceId(envelope?.data, assetType);
+    const downloadId = resourceId != null ? String(resourceId) : null;
+
+    let tagsRestored = 0;
+    if (downloadId && restorePoint.tag_ids.length > 0) {
+      // Tags deleted since the snapshot are skipped
+      const tagExists = userDb.prepare('SELECT 1 FROM tags WHERE id = ?');
+      const tagIds = restorePoint.tag_ids.filter((tagId) => tagExists.get(tagId));
+      tagsRestored = assignDownloadTags(userDb, downloadId, tagIds);
+    }
+
+    let airlockRestored = !restorePoint.airlocked;
+    if (downloadId && restorePoint.airlocked) {
+      try {
+        const result = await this.apiClient.setAirlock({ id: downloadId, assetType }, true);
+        airlockRestored = result?.success !== false;
+      } catch (error) {
+        logger.warn('Failed to reapply airlock to restored download', {
+          authId: this.authId,
+          restorePointId,
+          downloadId,
+          errorMessage: error.message,
+        });
+      }
+    }
+
+    cache.invalidateViewDownloads(this.authId);
+
+    userDb.transaction(() => {
+      markRestorePointRestored(userDb, restorePointId, downloadId);
+      if (restorePoint.action_type === 'archive' && restorePoint.hash) {
+        userDb.prepare('DELETE FROM archived_downloads WHERE hash = ?').run(restorePoint.hash);
+      }
+    })();
+
+    logger.info('Restored download removed by automation rule', {
+      authId: this.authId,
+      restorePointId,
+      ruleId: restorePoint.rule_id,
+      actionType: restorePoint.action_type,
+      downloadId,
+      tagsRestored,
+      airlockRestored,
+    });
+    return { restorePointId, downloadId, assetType, tagsRestored, airlockRestored };
+  }
+
   /**
    * Update rule status
    */
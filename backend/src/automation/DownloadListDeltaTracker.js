@@ -0,0 +1,145 @@
+import StateDiffEngine from './StateDiffEngine.js';
+import {
+  MYLIST_PAGE_LIMIT,
+  isAutomationRulesMylistFullPaginationEnabled,
+} from '../api/mylistPagination.js';
+
+/** Download list key used by the frontend for each backend asset type. */
+const LIST_TYPE_BY_ASSET_TYPE = Object.freeze({
+  torrent: 'torrents',
+  usenet: 'usenet',
+  webdl: 'webdl',
+});
+
+/** Deltas kept per user so a reconnecting client can catch up without a full refetch. */
+export const DELTA_HISTORY_LIMIT = 20;
+
+/**
+ * A poll only sees the first mylist page unless full pagination is on; older rows missing from
+ * such a snapshot have not been deleted.
+ * @param {Array<Object>} items
+ * @returns {boolean}
+ */
+function isCompleteSnapshot(items) {
+  if (isAutomationRulesMylistFullPaginationEnabled()) return true;
+  const regularCount = items.filter((item) => item.status !== 'queued').length;
+  return regularCount < MYLIST_PAGE_LIMIT;
+}
+
+/** Row as the download list API returns it (the poll tags rows with a backend assetType). */
+function toListRow(item) {
+  const row = { ...item };
+  delete row.assetType;
+  return row;
+}
+
+/**
+ * Per-authId download list baselines and rev numbers for delta pushes over automation events.
+ * Each user has one rev sequence across asset types; a `downloads_delta` moves it from
+ * `baseRev` to `rev`. Revs start at the current time so a restarted backend never continues a
+ * sequence a client already holds.
+ */
+class DownloadListDeltaTracker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.historyLimit]
+   */
+  constructor({ historyLimit = DELTA_HISTORY_LIMIT } = {}) {
+    this.historyLimit = historyLimit;
+    /** @type {Map<string, { rev: number, signaturesByType: Map<string, Map>, history: Array<Object> }>} */
+    this.users = new Map();
+  }
+
+  /**
+   * Diff one poll's downloads against the previous poll's.
+   * Asset types seen for the first time only set a baseline; the returned `downloads_rev` event
+   * tells clients which lists deltas now cover.
+   * @param {string} authId
+   * @param {Array<Object>} downloads - Poll snapshot, rows tagged with assetType
+   * @param {string[]} assetTypes - Asset types the poll fetched; other lists are left alone
+   * @returns {Array<Object>} SSE payloads to send, in order
+   */
+  track(authId, downloads, assetTypes) {
+    let user = this.users.get(authId);
+    if (!user) {
+      user = { rev: Date.now(), signaturesByType: new Map(), history: [] };
+      this.users.set(authId, user);
+    }
+
+    const events = [];
+    let baselineAdded = false;
+    for (const assetType of assetTypes) {
+      const type = LIST_TYPE_BY_ASSET_TYPE[assetType];
+      if (!type) continue;
+
+      const items = downloads.filter((item) => (item.assetType || 'torrent') === assetType);
+      const previous = user.signaturesByType.get(type);
+      if (!previous) {
+        const { signatures } = StateDiffEngine.computeListDelta(new Map(), items);
+        user.signaturesByType.set(type, signatures);
+        baselineAdded = true;
+        continue;
+      }
+
+      const { data, removed, signatures } = StateDiffEngine.computeListDelta(previous, items, {
+        complete: isCompleteSnapshot(items),
+      });
+      user.signaturesByType.set(type, signatures);
+      if (data.length === 0 && removed.length === 0) continue;
+
+      const event = {
+        event: 'downloads_delta',
+        type,
+        baseRev: user.rev,
+        rev: user.rev + 1,
+        data: data.map(toListRow),
+        removed,
+      };
+      user.rev = event.rev;
+      user.history.push(event);
+      if (user.history.length > this.historyLimit) user.history.shift();
+      events.push(event);
+    }
+
+    if (baselineAdded) {
+      events.push(this.revEvent(authId));
+    }
+    return events;
+  }
+
+  /**
+   * Current rev and the lists deltas cover, or null when nothing is tracked for the user.
+   * @param {string} authId
+   * @returns {{ event: 'downloads_rev', rev: number, types: string[] }|null}
+   */
+  revEvent(authId) {
+    const user = this.users.get(authId);
+    if (!user) return null;
+    return { event: 'downloads_rev', rev: user.rev, types: [...user.signaturesByType.keys()] };
+  }
+
+  /**
+   * Deltas a client holding `sinceRev` missed, or null when the history no longer reaches back
+   * that far (the client must refetch).
+   * @param {string} authId
+   * @param {number} sinceRev
+   * @returns {Array<Object>|null}
+   */
+  replaySince(authId, sinceRev) {
+    const user = this.users.get(authId);
+    if (!user) return null;
+    if (sinceRev === user.rev) return [];
+    const start = user.history.findIndex((event) => event.baseRev === sinceRev);
+    return start === -1 ? null : user.history.slice(start);
+  }
+
+  /**
+   * Drop a user's baselines (no client is listening, so keeping them only costs memory).
+   * @param {string} authId
+   */
+  forget(authId) {
+    this.users.delete(authId);
+  }
+}
+
+export default DownloadListDeltaTracker;
@@ -1,13 +1,15 @@
 import logger from '../utils/logger.js';
+import DownloadListDeltaTracker from './DownloadListDeltaTracker.js';
 
 /**
- * Per-authId SSE notifier. When a user's poll completes with changes, notify connected clients
- * so the frontend can refetch instead of relying only on a fixed 15s poll.
+ * Per-authId SSE notifier. When a user's poll completes, push download list deltas to connected
+ * clients so the frontend can patch its lists instead of refetching them.
  */
 class EventNotifier {
   constructor() {
     /** @type {Map<string, Set<import('express').Response>>} */
     this.connections = new Map();
+    this.listDeltas = new DownloadListDeltaTracker();
     /** @type {ReturnType<typeof setInterval>|null} */
     this._heartbeatId = null;
   }
@@ -49,16 +51,24 @@ class EventNotifier {
 
   /**
    * Subscribe a response to events for the given authId.
+   * Catches the client up on download list deltas: those missed since `sinceRev` when still in
+   * history, otherwise the current rev (a client holding another rev refetches).
    * @param {string} authId
    * @param {import('express').Response} res - Express response (SSE)
+   * @param {{ sinceRev?: number|null }} [options] - Last list rev the client applied
    */
-  subscribe(authId, res) {
+  subscribe(authId, res, { sinceRev = null } = {}) {
     if (!this.connections.has(authId)) {
       this.connections.set(authId, new Set());
     }
     this.connections.get(authId).add(res);
+    const missed = sinceRev == null ? null : this.listDeltas.replaySince(authId, sinceRev);
+    const catchUp = missed ?? [this.listDeltas.revEvent(authId)].filter(Boolean);
     try {
       res.write(': connected\n\n');
+      for (const payload of catchUp) {
+        res.write(`data: ${JSON.stringify(payload)}\n\n`);
+      }
     } catch (err) {
       logger.debug('SSE initial write failed, removing connection', {
         authId,
@@ -82,6 +92,34 @@ class EventNotifier {
     }
   }
 
+  /**
+   * @param {string} authId
+   * @returns {boolean}
+   */
+  hasSubscribers(authId) {
+    return (this.connections.get(authId)?.size ?? 0) > 0;
+  }
+
+  /**
+   * Push download list deltas for a completed poll. Users nobody is listening to are not diffed,
+   * and their baselines are dropped.
+   * @param {string} authId
+   * @param {Array<Object>} downloads - Poll snapshot, rows tagged with assetType
+   * @param {string[]} assetTypes - Asset types the poll fetched
+   * @returns {number} Number of events sent
+   */
+  publishListDeltas(authId, downloads, assetTypes) {
+    if (!this.hasSubscribers(authId)) {
+      this.listDeltas.forget(authId);
+      return 0;
+    }
+    const events = this.listDeltas.track(authId, downloads, assetTypes);
+    for (const payload of events) {
+      this.notify(authId, payload);
+    }
+    return events.length;
+  }
+
   /**
    * Notify all connections for this authId (e.g. after poll completed with changes).
    * @param {string} authId
@@ -8,11 +8,14 @@ import logger from '../utils/logger.js';
 import cache from '../utils/cache.js';
 import Semaphore from '../utils/semaphore.js';
 import Mutex from '../utils/mutex.js';
-import { isTagActionType, notifyTagsChanged } from '../utils/userEvents.js';
+import { batchChangedTags, notifyTagsChanged } from '../utils/userEvents.js';
 import {
+  accumulateStepResults,
+  buildExecutionLogDetails,
   buildRuleExecutionMessage,
   shouldRecordRuleExecution,
 } from './helpers/ruleExecutionLogging.js';
+import RuleMigrationHelper from './helpers/RuleMigrationHelper.js';
 import {
   computeAutomationInactivityCutoff,
   getAutomationInactivityDays,
@@ -1055,6 +1058,7 @@ class PollingScheduler {
       let successCount = 0;
       let errorCount = 0;
       let protectedSkippedCount = 0;
+      const steps = [];
       const actionChunks = [];
       for (let i = 0; i < torrentsToProcess.length; i += ACTION_BATCH_CHUNK_SIZE) {
         actionChunks.push(torrentsToProcess.slice(i, i + ACTION_BATCH_CHUNK_SIZE));
@@ -1071,21 +1075,33 @@ class PollingScheduler {
         successCount += chunkResult.successCount;
         errorCount += chunkResult.errorCount;
         protectedSkippedCount += chunkResult.protectedSkippedCount ?? 0;
+        accumulateStepResults(steps, chunkResult.steps);
+        // Per chunk, so a later chunk timing out does not lose the trail of what already ran
+        await engine.ruleRepository.recordActionAudit(rule.id, rule.name, chunkResult.audit);
         await processActionChunk(chunkIndex + 1);
       };
 
       await processActionChunk(0);
-      const batchResult = { successCount, errorCount, protectedSkippedCount };
+      // Descriptors queued before action pipelines still carry a single `action`
+      const { actions } = RuleMigrationHelper.migrateRuleToActions(rule);
+      const batchResult = {
+        actionType: actions.length === 1 ? actions[0].type : null,
+        successCount,
+        errorCount,
+        protectedSkippedCount,
+        steps,
+      };
       if (shouldRecordRuleExecution(batchResult)) {
         await engine.ruleRepository.recordExecution(
           rule.id,
           rule.name,
           successCount,
           errorCount === 0 && protectedSkippedCount === 0,
-          buildRuleExecutionMessage(batchResult)
+          buildRuleExecutionMessage(batchResult),
+          buildExecutionLogDetails(batchResult)
         );
         cache.invalidateRecentRuleExecutions(authId);
-        if (isTagActionType(rule.action?.type)) {
+        if (batchChangedTags(batchResult)) {
           notifyTagsChanged({ eventNotifier: this.eventNotifier }, authId);
         }
       }
@@ -1208,14 +1224,9 @@ class PollingScheduler {
       if (this.masterDb && this.masterDb.resetConsecutiveAuthFailures) {
         this.masterDb.resetConsecutiveAuthFailures(auth_id);
       }
-      if (
-        this.eventNotifier &&
-        result.changes &&
-        (result.changes.new?.length ||
-          result.changes.updated?.length ||
-          result.changes.removed?.length)
-      ) {
-        setImmediate(() => this.eventNotifier.notify(auth_id));
+      if (this.eventNotifier) {
+        const assetTypes = poller.lastFetchedAssetTypes;
+        setImmediate(() => this.eventNotifier.publishListDeltas(auth_id, torrents, assetTypes));
       }
       poller.lastPollAt = new Date();
       counters.success++;
@@ -0,0 +1,126 @@
+import { parseReleaseName } from '../../config/releaseName.mjs';
+
+/**
+ * Release Metadata Engine
+ * Keeps download_release_metadata in step with the polled download list: names that are new or
+ * changed are parsed, rows for downloads that left the list are removed.
+ */
+class ReleaseMetadataEngine {
+  /**
+   * @param {Object} userDb - User database instance
+   */
+  constructor(userDb) {
+    if (!userDb) {
+      throw new Error('userDb is required for ReleaseMetadataEngine');
+    }
+    this.db = userDb;
+    this._prepareStatements();
+  }
+
+  /**
+   * Prepare and cache SQL statements
+   * @private
+   */
+  _prepareStatements() {
+    this.stmts = {
+      selectAll: this.db.prepare(`
+        SELECT download_id, asset_type, name FROM download_release_metadata
+      `),
+      upsert: this.db.prepare(`
+        INSERT INTO download_release_metadata (
+          download_id, asset_type, name, resolution, codec, hdr, source, release_group,
+          season, episode, year, parsed_at
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(download_id) DO UPDATE SET
+          asset_type = excluded.asset_type,
+          name = excluded.name,
+          resolution = excluded.resolution,
+          codec = excluded.codec,
+          hdr = excluded.hdr,
+          source = excluded.source,
+          release_group = excluded.release_group,
+          season = excluded.season,
+          episode = excluded.episode,
+          year = excluded.year,
+          parsed_at = CURRENT_TIMESTAMP
+      `),
+      delete: this.db.prepare(`
+        DELETE FROM download_release_metadata WHERE download_id = ?
+      `),
+    };
+  }
+
+  /**
+   * Sync stored metadata with a poll snapshot. Polls only fetch the asset types enabled rules
+   * need, so rows are pruned only for asset types present in `downloads`; an empty snapshot
+   * prunes nothing.
+   * @param {Array} downloads - Downloads from the API (with assetType)
+   * @returns {{ parsed: number, removed: number }}
+   */
+  updateFromDownloads(downloads) {
+    if (!Array.isArray(downloads) || downloads.length === 0) {
+      return { parsed: 0, removed: 0 };
+    }
+
+    const stored = new Map(this.stmts.selectAll.all().map((row) => [row.download_id, row]));
+    const seenIds = new Set();
+    const seenAssetTypes = new Set();
+    let parsed = 0;
+    let removed = 0;
+
+    this.db.transaction(() => {
+      for (const download of downloads) {
+        const downloadId = this.extractDownloadId(download);
+        if (!downloadId || typeof download.name !== 'string') continue;
+        const assetType = download.assetType || 'torrent';
+        seenIds.add(downloadId);
+        seenAssetTypes.add(assetType);
+
+        const row = stored.get(downloadId);
+        if (row && row.name === download.name && row.asset_type === assetType) continue;
+
+        const metadata = parseReleaseName(download.name);
+        this.stmts.upsert.run(
+          downloadId,
+          assetType,
+          download.name,
+          metadata.resolution,
+          metadata.codec,
+          metadata.hdr,
+          metadata.source,
+          metadata.release_group,
+          metadata.season,
+          metadata.episode,
+          metadata.year
+        );
+        parsed++;
+      }
+
+      for (const row of stored.values()) {
+        if (seenIds.has(row.download_id) || !seenAssetTypes.has(row.asset_type)) continue;
+        this.stmts.delete.run(row.download_id);
+        removed++;
+      }
+    })();
+
+    return { parsed, removed };
+  }
+
+  /**
+   * Same id resolution as RuleEvaluator.extractDownloadId, so rows line up with download_tags.
+   * @param {Object} download
+   * @returns {string|null}
+   */
+  extractDownloadId(download) {
+    return (
+      download.id?.toString() ||
+      download.torrent_id?.toString() ||
+      download.usenet_id?.toString() ||
+      download.web_id?.toString() ||
+      null
+    );
+  }
+}
+
+export default ReleaseMetadataEngine;
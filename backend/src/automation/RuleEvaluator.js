@@ -5,6 +5,12 @@ import {
   isDestructiveOperation,
   PROTECTION_SKIP_REASON,
 } from '../config/destructiveDownloadOperations.mjs';
+import { buildWebhookContext, sendWebhook } from './helpers/ruleWebhook.js';
+import { recordRestorePoint } from './helpers/downloadRestorePoints.js';
+import { PATTERN_OPERATORS, matchesPattern } from './helpers/stringPatterns.js';
+import RuleMigrationHelper from './helpers/RuleMigrationHelper.js';
+import { assignDownloadTags, expandTagIdsWithAncestors, loadTagParentMap } from '../utils/tags.js';
+import { parseReleaseName, resolutionToLines } from '../../config/releaseName.mjs';
 
 function resolveDownloadAssetType(download) {
   return download?.assetType || 'torrent';
@@ -14,6 +20,25 @@ function isQueuedDownload(download) {
   return getTorrentStatusUtil(download) === 'queued';
 }
 
+/** File name without its folder path (TorBox sends short_name; name may include folders) */
+function getFileName(file) {
+  if (typeof file?.short_name === 'string' && file.short_name) return file.short_name;
+  const name = typeof file?.name === 'string' ? file.name : '';
+  return name.slice(name.lastIndexOf('/') + 1);
+}
+
+/** '.EXE', 'exe' and ' .exe ' all normalize to '.exe' */
+function normalizeFileExtension(extension) {
+  const trimmed = String(extension ?? '')
+    .trim()
+    .toLowerCase();
+  if (!trimmed) return '';
+  return trimmed.startsWith('.') ? trimmed : `.${trimmed}`;
+}
+
+/** Negated string operators on FILE_NAME mean "no file matches the positive operator" */
+const NEGATED_STRING_OPERATORS = { not_contains: 'contains', not_equals: 'equals' };
+
 // Constants
 const MIN_INTERVAL_MINUTES = 30;
 const MS_PER_MINUTE = 60 * 1000;
@@ -35,6 +60,8 @@ class RuleEvaluator {
     this.db = userDb;
     this.apiClient = apiClient;
     this.protectionService = new DownloadProtectionService(userDb);
+    /** Tag parent maps keyed by the tagsByDownloadId map they were loaded alongside. */
+    this._tagParentMaps = new WeakMap();
 
     // Build the condition-handler lookup once so getConditionHandler() does a simple Map
     // lookup instead of allocating a new object with 25+ bound functions on every call.
@@ -58,6 +85,9 @@ class RuleEvaluator {
       ['TOTAL_DOWNLOADED', this.handleTotalDownloaded.bind(this)],
       ['FILE_SIZE', this.handleFileSize.bind(this)],
       ['FILE_COUNT', this.handleFileCount.bind(this)],
+      ['FILE_EXTENSION', this.handleFileExtension.bind(this)],
+      ['LARGEST_FILE_SIZE', this.handleLargestFileSize.bind(this)],
+      ['FILE_NAME', this.handleFileName.bind(this)],
       ['NAME', this.handleName.bind(this)],
       ['TRACKER', this.handleTracker.bind(this)],
       ['ORIGINAL_URL', this.handleOriginalUrl.bind(this)],
@@ -72,6 +102,9 @@ class RuleEvaluator {
       ['STATUS', this.handleStatus.bind(this)],
       ['EXPIRES_AT', this.handleExpiresAt.bind(this)],
       ['TAGS', this.handleTags.bind(this)],
+      ['RESOLUTION', this.handleResolution.bind(this)],
+      ['SEASON', this.handleSeason.bind(this)],
+      ['RELEASE_GROUP', this.handleReleaseGroup.bind(this)],
     ]);
   }
 
@@ -169,6 +202,78 @@ class RuleEvaluator {
     return this.loadTagsData(torrents, {});
   }
 
+  /**
+   * Load stored release metadata (download_release_metadata) for all downloads.
+   * @param {Array} torrents - Array of download objects
+   * @returns {Map} - Map of download_id -> metadata row
+   */
+  loadReleaseMetadata(torrents) {
+    const downloadIds = [];
+    for (const torrent of torrents) {
+      const downloadId = this.extractDownloadId(torrent);
+      if (downloadId) downloadIds.push(downloadId);
+    }
+    const rows = this._queryInBatches(
+      downloadIds,
+      'SELECT * FROM download_release_metadata WHERE download_id IN (IN_CLAUSE)',
+      [],
+      'download_id'
+    );
+    return new Map(rows.map((row) => [String(row.download_id), row]));
+  }
+
+  /**
+   * Release metadata for a download: the stored row while it still belongs to the current name,
+   * otherwise a fresh parse (the download was added or renamed since the last poll).
+   * @param {Object} torrent
+   * @param {Map} releaseMetadataMap - Map of download_id -> metadata row
+   * @returns {Object}
+   */
+  getReleaseMetadata(torrent, releaseMetadataMap) {
+    const stored = releaseMetadataMap.get(this.extractDownloadId(torrent));
+    if (stored && stored.name === torrent.name) {
+      return stored;
+    }
+    return parseReleaseName(torrent.name);
+  }
+
+  /**
+   * Tag hierarchy for TAGS conditions, read once per evaluation (per tagsByDownloadId map) so
+   * re-parenting a tag takes effect on the next poll.
+   * @param {Map} tagsByDownloadId
+   * @returns {Map<number, number|null>} - Map of tag id -> parent tag id
+   */
+  getTagParentMap(tagsByDownloadId) {
+    let parentById = this._tagParentMaps.get(tagsByDownloadId);
+    if (!parentById) {
+      parentById = loadTagParentMap(this.db);
+      this._tagParentMaps.set(tagsByDownloadId, parentById);
+    }
+    return parentById;
+  }
+
+  /**
+   * Load download IDs that had a tag assigned after a point in time (tag_added trigger).
+   * @param {string} since - SQLite timestamp (UTC, "YYYY-MM-DD HH:MM:SS")
+   * @param {Array<number>} [tagIds] - Restrict to these tags; empty means any tag
+   * @returns {Set<string>} - Set of download_id
+   */
+  loadTagAddedDownloadIds(since, tagIds = []) {
+    if (!since) {
+      return new Set();
+    }
+    const rows =
+      tagIds.length > 0
+        ? this._queryInBatches(
+            tagIds,
+            'SELECT download_id FROM download_tags WHERE tag_id IN (IN_CLAUSE) AND created_at > ?',
+            [since],
+            'download_id'
+          )
+        : this.db.prepare('SELECT download_id FROM download_tags WHERE created_at > ?').all(since);
+    return new Set(rows.map((r) => String(r.download_id)));
+  }
+
   /**
    * Load speed history data if rule has AVG_SPEED conditions
    * @param {Object} rule - Rule configuration
@@ -223,7 +328,7 @@ class RuleEvaluator {
    * When sharedMaps is provided (from evaluateRulesBatch), uses pre-loaded data; otherwise loads per rule.
    * @param {Object} rule - Rule configuration
    * @param {Array} torrents - Current torrents from API
-   * @param {Object} [sharedMaps] - Optional pre-loaded { telemetryMap, tagsByDownloadId, speedHistoryMap }
+   * @param {Object} [sharedMaps] - Optional pre-loaded { telemetryMap, tagsByDownloadId, speedHistoryMap, releaseMetadataMap }
    * @returns {Promise<Array>} - Matching torrents
    */
   evaluateRule(rule, torrents, sharedMaps = null) {
@@ -237,11 +342,13 @@ class RuleEvaluator {
     let telemetryMap;
     let tagsByDownloadId;
     let speedHistoryMap;
+    let releaseMetadataMap;
 
     if (sharedMaps) {
       telemetryMap = sharedMaps.telemetryMap ?? new Map();
       tagsByDownloadId = sharedMaps.tagsByDownloadId ?? new Map();
       speedHistoryMap = sharedMaps.speedHistoryMap ?? new Map();
+      releaseMetadataMap = sharedMaps.releaseMetadataMap ?? new Map();
     } else {
       const analysis = this.analyzeRule(rule);
       telemetryMap = analysis.needsTelemetry ? this.loadTelemetryData(torrentIds) : new Map();
@@ -249,6 +356,9 @@ class RuleEvaluator {
       speedHistoryMap = analysis.needsSpeed
         ? this.loadSpeedHistoryDataForHours(torrentIds, analysis.maxSpeedHours)
         : new Map();
+      releaseMetadataMap = analysis.needsReleaseMetadata
+        ? this.loadReleaseMetadata(torrents)
+        : new Map();
     }
 
     const hasGroups = rule.groups && Array.isArray(rule.groups) && rule.groups.length > 0;
@@ -262,8 +372,22 @@ class RuleEvaluator {
     });
 
     const matchingTorrents = hasGroups
-      ? this.evaluateGroupStructure(rule, torrents, telemetryMap, tagsByDownloadId, speedHistoryMap)
-      : this.evaluateFlatStructure(rule, torrents, telemetryMap, tagsByDownloadId, speedHistoryMap);
+      ? this.evaluateGroupStructure(
+          rule,
+          torrents,
+          telemetryMap,
+          tagsByDownloadId,
+          speedHistoryMap,
+          releaseMetadataMap
+        )
+      : this.evaluateFlatStructure(
+          rule,
+          torrents,
+          telemetryMap,
+          tagsByDownloadId,
+          speedHistoryMap,
+          releaseMetadataMap
+        );
 
     logger.debug('Rule evaluation completed', {
       ruleId: rule.id,
@@ -277,6 +401,22 @@ class RuleEvaluator {
     return { matchingTorrents, tagsByDownloadId };
   }
 
+  /**
+   * Narrow downloads to those matching an action step's own conditions (AND-ed).
+   * Data for the conditions is loaded fresh, since earlier steps may have changed tags.
+   * @param {Array} conditions - Step conditions
+   * @param {Array} torrents - Downloads the rule matched
+   * @returns {Array} - Downloads the step applies to
+   */
+  matchActionConditions(conditions, torrents) {
+    const stepRule = {
+      enabled: true,
+      logicOperator: 'and',
+      groups: [{ logicOperator: 'and', conditions }],
+    };
+    return this.evaluateRule(stepRule, torrents).matchingTorrents;
+  }
+
   /**
    * Evaluate rule with group structure
    * @param {Object} rule - Rule configuration with groups
@@ -284,9 +424,17 @@ class RuleEvaluator {
    * @param {Map} telemetryMap - Pre-loaded telemetry data
    * @param {Map} tagsByDownloadId - Pre-loaded tags data
    * @param {Map} speedHistoryMap - Pre-loaded speed history data
+   * @param {Map} [releaseMetadataMap] - Pre-loaded release metadata
    * @returns {Array} - Matching torrents
    */
-  evaluateGroupStructure(rule, torrents, telemetryMap, tagsByDownloadId, speedHistoryMap) {
+  evaluateGroupStructure(
+    rule,
+    torrents,
+    telemetryMap,
+    tagsByDownloadId,
+    speedHistoryMap,
+    releaseMetadataMap = new Map()
+  ) {
     const groupLogicOperator = rule.logicOperator || 'and';
     const groups = rule.groups || [];
 
@@ -308,7 +456,8 @@ class RuleEvaluator {
           rule,
           telemetryMap,
           tagsByDownloadId,
-          speedHistoryMap
+          speedHistoryMap,
+          releaseMetadataMap
         );
         if (groupLogicOperator === 'or' && groupResult) {
           logger.debug('Torrent matched rule', {
@@ -346,9 +495,19 @@ class RuleEvaluator {
    * @param {Map} telemetryMap - Pre-loaded telemetry data
    * @param {Map} tagsByDownloadId - Pre-loaded tags data
    * @param {Map} speedHistoryMap - Pre-loaded speed history data
+   * @param {Map} [releaseMetadataMap] - Pre-loaded release metadata
    * @returns {boolean} - True if group matches
    */
-  evaluateGroup(group, groupIndex, torrent, rule, telemetryMap, tagsByDownloadId, speedHistoryMap) {
+  evaluateGroup(
+    group,
+    groupIndex,
+    torrent,
+    rule,
+    telemetryMap,
+    tagsByDownloadId,
+    speedHistoryMap,
+    releaseMetadataMap = new Map()
+  ) {
     const conditions = group.conditions || [];
     const groupLogicOp = group.logicOperator || 'and';
 
@@ -369,7 +528,8 @@ class RuleEvaluator {
         torrent,
         telemetryMap,
         tagsByDownloadId,
-        speedHistoryMap
+        speedHistoryMap,
+        releaseMetadataMap
       );
       if (logger.isDebugEnabled()) {
         logger.debug('Condition evaluated', {
@@ -410,9 +570,17 @@ class RuleEvaluator {
    * @param {Map} telemetryMap - Pre-loaded telemetry data
    * @param {Map} tagsByDownloadId - Pre-loaded tags data
    * @param {Map} speedHistoryMap - Pre-loaded speed history data
+   * @param {Map} [releaseMetadataMap] - Pre-loaded release metadata
    * @returns {Array} - Matching torrents
    */
-  evaluateFlatStructure(rule, torrents, telemetryMap, tagsByDownloadId, speedHistoryMap) {
+  evaluateFlatStructure(
+    rule,
+    torrents,
+    telemetryMap,
+    tagsByDownloadId,
+    speedHistoryMap,
+    releaseMetadataMap = new Map()
+  ) {
     const conditions = rule.conditions || [];
     const logicOperator = rule.logicOperator || 'and';
 
@@ -428,7 +596,8 @@ class RuleEvaluator {
           torrent,
           telemetryMap,
           tagsByDownloadId,
-          speedHistoryMap
+          speedHistoryMap,
+          releaseMetadataMap
         );
         if (logicOperator === 'or' && result) {
           logger.debug('Torrent matched rule (flat structure)', {
@@ -475,8 +644,12 @@ class RuleEvaluator {
     if (this.hasTagsCondition(rule)) {
       return true;
     }
-    const actionType = rule?.action?.type;
-    return actionType === 'add_tag' || actionType === 'remove_tag';
+    if (!rule) {
+      return false;
+    }
+    return RuleMigrationHelper.migrateRuleToActions(rule).actions.some(
+      (action) => action?.type === 'add_tag' || action?.type === 'remove_tag'
+    );
   }
 
   /**
@@ -543,6 +716,11 @@ class RuleEvaluator {
     ]);
   }
 
+  /** Condition types read from release metadata (download_release_metadata table) */
+  static get RELEASE_METADATA_CONDITION_TYPES() {
+    return new Set(['RESOLUTION', 'SEASON', 'RELEASE_GROUP']);
+  }
+
   /**
    * Condition types that are safe to evaluate on "changed only" scope (new + state transitions).
    * Rules that use only these conditions can be evaluated against a subset of torrents to save work.
@@ -570,13 +748,14 @@ class RuleEvaluator {
   /**
    * Single-pass analysis of rule conditions to determine what data to load.
    * @param {Object} rule - Rule configuration
-   * @returns {{ needsTelemetry: boolean, needsTags: boolean, needsSpeed: boolean, maxSpeedHours: number }}
+   * @returns {{ needsTelemetry: boolean, needsTags: boolean, needsSpeed: boolean, needsReleaseMetadata: boolean, maxSpeedHours: number }}
    */
   analyzeRule(rule) {
     const conditions = this.getAllConditions(rule);
     let needsTelemetry = false;
     let needsTags = false;
     let needsSpeed = false;
+    let needsReleaseMetadata = false;
     let maxSpeedHours = DEFAULT_AVG_SPEED_HOURS;
 
     for (const condition of conditions) {
@@ -587,6 +766,9 @@ class RuleEvaluator {
       if (type === 'TAGS') {
         needsTags = true;
       }
+      if (RuleEvaluator.RELEASE_METADATA_CONDITION_TYPES.has(type)) {
+        needsReleaseMetadata = true;
+      }
       if (type === 'AVG_DOWNLOAD_SPEED' || type === 'AVG_UPLOAD_SPEED') {
         needsSpeed = true;
         const hours = condition.hours || DEFAULT_AVG_SPEED_HOURS;
@@ -598,6 +780,7 @@ class RuleEvaluator {
       needsTelemetry,
       needsTags: needsTags || this.ruleNeedsTagData(rule),
       needsSpeed,
+      needsReleaseMetadata,
       maxSpeedHours: Math.ceil(maxSpeedHours * SPEED_HISTORY_BUFFER_MULTIPLIER),
     };
   }
@@ -637,13 +820,15 @@ class RuleEvaluator {
    * @param {Map} telemetryMap - Map of torrent_id -> telemetry data (pre-loaded to avoid N+1 queries)
    * @param {Map} tagsByDownloadId - Map of download_id -> array of tags (pre-loaded to avoid N+1 queries)
    * @param {Map} speedHistoryMap - Map of torrent_id -> array of speed history samples (pre-loaded to avoid N+1 queries)
+   * @param {Map} releaseMetadataMap - Map of download_id -> release metadata row (pre-loaded to avoid N+1 queries)
    */
   evaluateCondition(
     condition,
     torrent,
     telemetryMap = new Map(),
     tagsByDownloadId = new Map(),
-    speedHistoryMap = new Map()
+    speedHistoryMap = new Map(),
+    releaseMetadataMap = new Map()
   ) {
     const telemetry = telemetryMap.get(String(torrent.id));
     const handler = this.getConditionHandler(condition.type);
@@ -657,7 +842,15 @@ class RuleEvaluator {
       return false;
     }
 
-    return handler(condition, torrent, telemetry, telemetryMap, tagsByDownloadId, speedHistoryMap);
+    return handler(
+      condition,
+      torrent,
+      telemetry,
+      telemetryMap,
+      tagsByDownloadId,
+      speedHistoryMap,
+      releaseMetadataMap
+    );
   }
 
   /**
@@ -970,18 +1163,106 @@ class RuleEvaluator {
     return this.compareValues(conditionValue, condition.operator, condition.value);
   }
 
+  /**
+   * FILE_EXTENSION: is_any_of matches when at least one file has a listed extension,
+   * is_none_of when none does. Downloads without a file list never match.
+   */
+  handleFileExtension(
+    condition,
+    torrent,
+    telemetry,
+    telemetryMap,
+    tagsByDownloadId,
+    speedHistoryMap
+  ) {
+    if (!Array.isArray(torrent.files) || !Array.isArray(condition.value)) {
+      return false;
+    }
+    const extensions = new Set(condition.value.map(normalizeFileExtension).filter(Boolean));
+    if (extensions.size === 0) {
+      return false;
+    }
+    const hasMatch = torrent.files.some((file) => {
+      const name = getFileName(file).toLowerCase();
+      const dot = name.lastIndexOf('.');
+      return dot > 0 && extensions.has(name.slice(dot));
+    });
+
+    switch (condition.operator) {
+      case 'is_any_of':
+        return hasMatch;
+      case 'is_none_of':
+        return !hasMatch;
+      default:
+        logger.warn('Unknown FILE_EXTENSION operator', { operator: condition.operator });
+        return false;
+    }
+  }
+
+  /** LARGEST_FILE_SIZE: size of the biggest file in MB (0 for an empty file list) */
+  handleLargestFileSize(
+    condition,
+    torrent,
+    telemetry,
+    telemetryMap,
+    tagsByDownloadId,
+    speedHistoryMap
+  ) {
+    if (!this.validateNumericCondition(condition, 'LARGEST_FILE_SIZE')) {
+      return false;
+    }
+    if (!Array.isArray(torrent.files)) {
+      return false;
+    }
+    const largestBytes = torrent.files.reduce(
+      (max, file) => Math.max(max, Number(file?.size) || 0),
+      0
+    );
+    return this.compareValues(largestBytes / BYTES_PER_MB, condition.operator, condition.value);
+  }
+
+  /**
+   * FILE_NAME: string operators match when any file name matches; not_contains and not_equals
+   * match when no file name contains / equals the value.
+   */
+  handleFileName(condition, torrent, telemetry, telemetryMap, tagsByDownloadId, speedHistoryMap) {
+    if (!this.validateStringCondition(condition, 'FILE_NAME') || !Array.isArray(torrent.files)) {
+      return false;
+    }
+    const caseSensitive = condition.caseSensitive === true;
+    const positiveOperator = NEGATED_STRING_OPERATORS[condition.operator];
+    const anyFileMatches = (operator) =>
+      torrent.files.some((file) =>
+        this.compareStringValues(getFileName(file), operator, condition.value, caseSensitive)
+      );
+
+    return positiveOperator
+      ? !anyFileMatches(positiveOperator)
+      : anyFileMatches(condition.operator);
+  }
+
   handleName(condition, torrent, telemetry, telemetryMap, tagsByDownloadId, speedHistoryMap) {
     if (!this.validateStringCondition(condition, 'NAME')) {
       return false;
     }
-    return this.compareStringValues(torrent.name, condition.operator, condition.value);
+    return this.compareStringValues(
+      torrent.name,
+      condition.operator,
+      condition.value,
+      condition.caseSensitive === true
+    );
   }
 
   handleTracker(condition, torrent, telemetry, telemetryMap, tagsByDownloadId, speedHistoryMap) {
     if (!this.validateStringCondition(condition, 'TRACKER')) {
       return false;
     }
-    return this.compareStringValues(torrent.tracker, condition.operator, condition.value);
+    return this.compareStringValues(
+      torrent.tracker,
+      condition.operator,
+      condition.value,
+      condition.caseSensitive === true
+    );
   }
 
   handleOriginalUrl(
@@ -995,7 +1276,12 @@ class RuleEvaluator {
     if (!this.validateStringCondition(condition, 'ORIGINAL_URL')) {
       return false;
     }
-    return this.compareStringValues(torrent.original_url, condition.operator, condition.value);
+    return this.compareStringValues(
+      torrent.original_url,
+      condition.operator,
+      condition.value,
+      condition.caseSensitive === true
+    );
   }
 
   handlePrivate(condition, torrent, telemetry, telemetryMap, tagsByDownloadId, speedHistoryMap) {
@@ -1136,8 +1422,14 @@ class RuleEvaluator {
       return false;
     }
 
-    // Unified format: tagsByDownloadId values are number[] (tag ids)
-    const downloadTagIds = tagsByDownloadId.get(downloadId) || [];
+    // Unified format: tagsByDownloadId values are number[] (tag ids). A child tag counts as
+    // each of its ancestors too, so a condition on `tv` matches `tv/anime`.
+    const downloadTagIds = [
+      ...expandTagIdsWithAncestors(
+        tagsByDownloadId.get(downloadId) || [],
+        this.getTagParentMap(tagsByDownloadId)
+      ),
+    ];
 
     switch (condition.operator) {
       case 'is_set':
@@ -1186,6 +1478,70 @@ class RuleEvaluator {
     }
   }
 
+  /**
+   * RESOLUTION compares vertical lines (2160, 1080, 720, 480); downloads whose name has no
+   * resolution never match.
+   */
+  handleResolution(
+    condition,
+    torrent,
+    telemetry,
+    telemetryMap,
+    tagsByDownloadId,
+    speedHistoryMap,
+    releaseMetadataMap
+  ) {
+    if (!this.validateNumericCondition(condition, 'RESOLUTION')) {
+      return false;
+    }
+    const lines = resolutionToLines(
+      this.getReleaseMetadata(torrent, releaseMetadataMap).resolution
+    );
+    if (lines == null) {
+      return false;
+    }
+    return this.compareValues(lines, condition.operator, condition.value);
+  }
+
+  handleSeason(
+    condition,
+    torrent,
+    telemetry,
+    telemetryMap,
+    tagsByDownloadId,
+    speedHistoryMap,
+    releaseMetadataMap
+  ) {
+    if (!this.validateNumericCondition(condition, 'SEASON')) {
+      return false;
+    }
+    const { season } = this.getReleaseMetadata(torrent, releaseMetadataMap);
+    if (season == null) {
+      return false;
+    }
+    return this.compareValues(season, condition.operator, condition.value);
+  }
+
+  handleReleaseGroup(
+    condition,
+    torrent,
+    telemetry,
+    telemetryMap,
+    tagsByDownloadId,
+    speedHistoryMap,
+    releaseMetadataMap
+  ) {
+    if (!this.validateStringCondition(condition, 'RELEASE_GROUP')) {
+      return false;
+    }
+    return this.compareStringValues(
+      this.getReleaseMetadata(torrent, releaseMetadataMap).release_group,
+      condition.operator,
+      condition.value,
+      condition.caseSensitive === true
+    );
+  }
+
   /**
    * Get average speed for a torrent over a specified number of hours
    * Uses pre-loaded speed history map if available, otherwise queries database
@@ -1330,15 +1686,23 @@ class RuleEvaluator {
 
   /**
    * Compare string values with string operators
-   * Supports: contains, not_contains, equals, not_equals, starts_with, ends_with
+   * Supports: contains, not_contains, equals, not_equals, starts_with, ends_with,
+   * matches_regex, matches_glob
    * @param {string} fieldValue - The field value to compare
    * @param {string} operator - The string operator
    * @param {string} conditionValue - The condition value to compare against
+   * @param {boolean} [caseSensitive=false] - Compare without lowercasing both sides
    * @returns {boolean} - True if the condition matches
    */
-  compareStringValues(fieldValue, operator, conditionValue) {
-    const normalizedField = (fieldValue || '').toLowerCase();
-    const normalizedCondition = (conditionValue || '').toLowerCase();
+  compareStringValues(fieldValue, operator, conditionValue, caseSensitive = false) {
+    if (PATTERN_OPERATORS.includes(operator)) {
+      return matchesPattern(operator, fieldValue, conditionValue, caseSensitive);
+    }
+
+    const normalizedField = caseSensitive ? fieldValue || '' : (fieldValue || '').toLowerCase();
+    const normalizedCondition = caseSensitive
+      ? conditionValue || ''
+      : (conditionValue || '').toLowerCase();
 
     switch (operator) {
       case 'contains':
@@ -1448,7 +1812,8 @@ class RuleEvaluator {
    * Execute action on a torrent
    * @param {Object} action - Action config
    * @param {Object} torrent - Torrent object
-   * @param {Object} [options] - Optional; skipValidation: true to skip tag ID validation (caller validated once per batch)
+   * @param {Object} [options] - Optional; skipValidation: true to skip tag ID validation (caller validated once per batch);
+   *   rule: the rule being executed (named in webhook payloads)
    */
   async executeAction(action, torrent, options = {}) {
     if (!action) {
@@ -1496,8 +1861,11 @@ class RuleEvaluator {
           assetType === 'torrent' ? 'torrent' : assetType
         );
 
-      case 'delete':
-        return await this.apiClient.deleteDownload(torrent);
+      case 'delete': {
+        const deleteResult = await this.apiClient.deleteDownload(torrent);
+        this.saveRestorePoint(action.type, torrent, deleteResult, options.rule);
+        return deleteResult;
+      }
 
       case 'archive': {
         if (assetType !== 'torrent') {
@@ -1507,7 +1875,9 @@ class RuleEvaluator {
         if (archiveResult.message === 'Already archived') {
           return archiveResult;
         }
-        return await this.apiClient.deleteTorrent(torrent.id, { isQueued: queued });
+        const deleteResult = await this.apiClient.deleteTorrent(torrent.id, { isQueued: queued });
+        this.saveRestorePoint(action.type, torrent, deleteResult, options.rule);
+        return deleteResult;
       }
 
       case 'add_tag':
@@ -1522,11 +1892,42 @@ class RuleEvaluator {
       case 'remove_airlock':
         return await this.setAirlockForDownload(torrent, false);
 
+      case 'webhook':
+        return await sendWebhook(
+          action,
+          buildWebhookContext(options.rule, torrent, this.getTorrentStatus(torrent))
+        );
+
       default:
         throw new Error(`Unknown action type: ${action.type}`);
     }
   }
 
+  /**
+   * Record a restore point after a rule removed a download (see downloadRestorePoints.js).
+   * Best effort: a failed snapshot is logged and never fails the action itself.
+   */
+  saveRestorePoint(actionType, torrent, result, rule) {
+    if (result?.success === false || result?.isConnectionError === true) return;
+    try {
+      recordRestorePoint(this.db, {
+        rule,
+        actionType,
+        download: torrent,
+        downloadId: this.extractDownloadId(torrent),
+        assetType: resolveDownloadAssetType(torrent),
+        airlocked: this.normalizeBooleanValue(torrent.airlocked),
+      });
+    } catch (error) {
+      logger.warn('Failed to record restore point', {
+        torrentId: torrent.id,
+        actionType,
+        ruleId: rule?.id,
+        errorMessage: error.message,
+      });
+    }
+  }
+
   async setAirlockForDownload(torrent, airlocked) {
     const currentValue = this.normalizeBooleanValue(torrent.airlocked);
     if (currentValue === airlocked) {
@@ -1579,21 +1980,7 @@ class RuleEvaluator {
       this.validateTagIds(action.tagIds);
     }
 
-    let rowsInserted = 0;
-    const transaction = this.db.transaction(() => {
-      const insertStmt = this.db.prepare(`
-        INSERT OR IGNORE INTO download_tags (tag_id, download_id)
-        VALUES (?, ?)
-      `);
-
-      for (const tagId of action.tagIds) {
-        const result = insertStmt.run(tagId, downloadId);
-        rowsInserted += result.changes ?? 0;
-      }
-    });
-
-    transaction();
-
+    const rowsInserted = assignDownloadTags(this.db, downloadId, action.tagIds);
     const applied = rowsInserted > 0;
 
     logger.debug('Tags added to download', {
@@ -1,4 +1,7 @@
+import { createHash } from 'crypto';
+import { DOWNLOAD_ROW_COMPARE_FIELDS } from '../../config/downloadRows.mjs';
 import { getTorrentStatus } from '../utils/torrentStatus.js';
+import { normalizeInfoHash } from '../utils/torrentHash.js';
 import logger from '../utils/logger.js';
 import { TERMINAL_STATES } from './helpers/constants.js';
 
@@ -27,8 +30,9 @@ class StateDiffEngine {
         torrent_id,
         last_total_downloaded,
         last_total_uploaded,
-        last_state
-      ) VALUES (?, ?, ?, ?)
+        last_state,
+        hash
+      ) VALUES (?, ?, ?, ?, ?)
     `);
     // Use UPDATE for existing rows to preserve created_at
     this._stmtUpdateShadow = this.db.prepare(`
@@ -36,6 +40,7 @@ class StateDiffEngine {
         last_total_downloaded = ?,
         last_total_uploaded = ?,
         last_state = ?,
+        hash = COALESCE(?, hash),
         updated_at = CURRENT_TIMESTAMP
       WHERE torrent_id = ?
     `);
@@ -49,6 +54,7 @@ class StateDiffEngine {
    *   - updated: Array of updated torrents with diff information
    *   - removed: Array of removed torrents (from shadow state)
    *   - stateTransitions: Array of state transition records
+   *   - terminalTransitions: Transitions of tracked torrents into a terminal state (shadow dropped)
    */
   async processSnapshot(torrents) {
     const now = new Date();
@@ -57,6 +63,7 @@ class StateDiffEngine {
       updated: [],
       removed: [],
       stateTransitions: [],
+      terminalTransitions: [],
     };
 
     const shadowState = this._getAllShadowState();
@@ -69,7 +76,7 @@ class StateDiffEngine {
         const state = this.getTorrentState(torrent);
 
         if (this.isTerminalState(state)) {
-          this._handleTerminalState(torrent, shadowMap, changes);
+          this._handleTerminalState(torrent, shadowMap, state, changes, now);
           continue;
         }
 
@@ -88,17 +95,80 @@ class StateDiffEngine {
     return changes;
   }
 
+  /**
+   * Row-level delta between two snapshots of one download list, for pushing to clients.
+   * Unlike processSnapshot this covers every row (terminal ones included) and compares the fields
+   * the download list shows, so it matches what a list refetch would change.
+   * @param {Map<number|string, string>} previous - Row signatures by id from the last snapshot
+   * @param {Array<Object>} items - Current snapshot of the list
+   * @param {Object} [options]
+   * @param {boolean} [options.complete=true] - False when the snapshot may be missing older rows
+   *   (first mylist page only); rows it does not contain are then kept instead of reported removed
+   * @returns {{ data: Array<Object>, removed: Array<number|string>, signatures: Map<number|string, string> }}
+   *   data: added or changed rows; signatures: baseline for the next call
+   */
+  static computeListDelta(previous, items, { complete = true } = {}) {
+    const signatures = new Map();
+    const data = [];
+    for (const item of items) {
+      const signature = StateDiffEngine.listRowSignature(item);
+      signatures.set(item.id, signature);
+      if (previous.get(item.id) !== signature) {
+        data.push(item);
+      }
+    }
+
+    const removed = [];
+    for (const [id, signature] of previous) {
+      if (signatures.has(id)) continue;
+      if (complete) {
+        removed.push(id);
+      } else {
+        signatures.set(id, signature);
+      }
+    }
+
+    return { data, removed, signatures };
+  }
+
+  /**
+   * Compact hash of the list-visible fields of a download row (file ids and sizes included).
+   * @param {Object} item - Download row from the API
+   * @returns {string}
+   */
+  static listRowSignature(item) {
+    const fields = DOWNLOAD_ROW_COMPARE_FIELDS.map((field) => item[field] ?? null);
+    const files = Array.isArray(item.files)
+      ? item.files.map((file) => `${file.id}:${file.size ?? 0}`).join('|')
+      : '';
+    return createHash('sha1')
+      .update(JSON.stringify([fields, files]))
+      .digest('base64');
+  }
+
   /**
    * Handle torrent in terminal state
    * @private
    * @param {Object} torrent - Torrent object
    * @param {Map} shadowMap - Map of shadow states
+   * @param {string} state - Current (terminal) torrent state
    * @param {Object} changes - Changes object to update
+   * @param {Date} timestamp - Current timestamp
    */
-  _handleTerminalState(torrent, shadowMap, changes) {
+  _handleTerminalState(torrent, shadowMap, state, changes, timestamp) {
     const shadow = shadowMap.get(String(torrent.id));
     if (shadow) {
       changes.removed.push(shadow);
+      // Kept out of stateTransitions: derived fields are not tracked once the shadow is gone,
+      // but event triggers (e.g. download_completed) still need to see the transition.
+      if (shadow.last_state !== state) {
+        changes.terminalTransitions.push({
+          torrent_id: String(torrent.id),
+          from: shadow.last_state,
+          to: state,
+          timestamp,
+        });
+      }
       this._deleteShadowState(String(torrent.id));
     }
   }
@@ -139,6 +209,9 @@ class StateDiffEngine {
         });
       }
 
+      this.updateShadowState(torrent, timestamp);
+    } else if (shadow.hash == null && torrent.hash) {
+      // Rows from before the hash column existed; pre-upload duplicate checks match on it.
       this.updateShadowState(torrent, timestamp);
     }
   }
@@ -239,7 +312,8 @@ class StateDiffEngine {
         String(torrent.id),
         torrent.total_downloaded || 0,
         torrent.total_uploaded || 0,
-        state
+        state,
+        normalizeInfoHash(torrent.hash)
       );
 
       // If row already exists (INSERT OR IGNORE didn't insert), update it (preserves created_at)
@@ -273,6 +347,7 @@ class StateDiffEngine {
         torrent.total_downloaded || 0,
         torrent.total_uploaded || 0,
         state,
+        normalizeInfoHash(torrent.hash),
         String(torrent.id)
       );
     } catch (error) {
@@ -40,6 +40,7 @@ import {
   UPLOAD_CONNECTION_DEFER_MS,
   UPLOAD_CONNECTION_DEFER_WARN_THROTTLE_MS,
   UPLOAD_RECOVERY_CONCURRENCY,
+  UPLOAD_QUOTA_WAIT_RESERVE,
 } from '../config/uploadProcessorConfig.js';
 import { runWithConcurrency } from '../routes/admin/concurrency.js';
 import {
@@ -53,11 +54,25 @@ import {
   CONNECTION_DEFERRAL_MESSAGE,
   CONNECTION_SOFT_DEFERRAL_MESSAGE,
   TRANSIENT_TORBOX_DEFERRAL_MESSAGE,
+  QUOTA_WAIT_DEFERRAL_MESSAGE,
   resumeAtSqlFromMs,
   TORBOX_UNCACHED_CREATE_LIMIT,
 } from './uploadDeferral.js';
+import { getUploadScheduleDeferral } from './uploadSchedule.js';
+import {
+  UPLOAD_PRIORITY_RANK_SQL,
+  getUploadMaxInFlightByType,
+  getUploadPriorityRank,
+} from './uploadPriority.js';
+import {
+  describeDuplicateMatch,
+  findExistingDownloadByHash,
+  tagDuplicateDownload,
+} from './uploadDuplicateCheck.js';
+import { addDownloadTags, getUploadTagIds, getUploadTemplate } from './uploadTemplates.js';
 import FormData from 'form-data';
 import { readFileSync } from 'fs';
+import cache from '../utils/cache.js';
 
 const PROCESSOR_INTERVAL_MS = parseInt(process.env.UPLOAD_PROCESSOR_INTERVAL_MS || '5000', 10);
 
@@ -84,7 +99,7 @@ class TypeQueueBuffer {
     this.exhausted = false;
   }
 
-  async next(processor, userDb, authId, type) {
+  async fill(processor, userDb, authId, type) {
     if (this.items.length === 0 && !this.exhausted) {
       const fetched = await processor._getQueuedUploadsWithRetry(
         userDb,
@@ -102,9 +117,35 @@ class TypeQueueBuffer {
         }
       }
     }
+    return userDb;
+  }
+
+  async peek(processor, userDb, authId, type) {
+    userDb = await this.fill(processor, userDb, authId, type);
+    return { upload: this.items[0] ?? null, userDb };
+  }
+
+  async next(processor, userDb, authId, type) {
+    userDb = await this.fill(processor, userDb, authId, type);
     const upload = this.items.shift() ?? null;
     return { upload, userDb };
   }
+
+  /**
+   * Take up to `max` buffered uploads from the front that are still in `lane`. Does not refill,
+   * so a batch never spans two SQL fetches.
+   */
+  takeLane(lane, max) {
+    let count = 0;
+    while (
+      count < max &&
+      count < this.items.length &&
+      getUploadPriorityRank(this.items[count].priority) === lane
+    ) {
+      count++;
+    }
+    return this.items.splice(0, count);
+  }
 }
 const INITIAL_BACKOFF_MS = 30000; // 30 seconds
 const MAX_BACKOFF_MS = 300000; // 5 minutes
@@ -121,6 +162,8 @@ const API_CLIENT_CACHE_TTL_MS = parseInt(
   process.env.UPLOAD_API_CLIENT_CACHE_TTL_MS || String(30 * 60 * 1000),
   10
 ); // 30 minutes default
+/** How long a fetched torrent list is reused for duplicate checks across one drain. */
+const LIBRARY_TORRENTS_CACHE_TTL_MS = 60 * 1000;
 
 // Non-retryable client/request faults (TorBox: codes ending in ERROR are server faults and retryable).
 const NON_RETRYABLE_ERRORS = [
@@ -157,6 +200,12 @@ class UploadProcessor {
       ttl: API_CLIENT_CACHE_TTL_MS,
     });
 
+    // Torrent lists for duplicate checks, so a drain fetches the library once per user
+    this._libraryTorrents = new TTLCache({
+      max: API_CLIENT_CACHE_MAX,
+      ttl: LIBRARY_TORRENTS_CACHE_TTL_MS,
+    });
+
     /** @type {Map<string, Promise<void>>} Per-user drain serialization (nudge + scheduler). */
     this._userDrainMutex = new Map();
 
@@ -177,6 +226,12 @@ class UploadProcessor {
 
     /** @type {Map<string, number>} Suppressed connection-defer warns since last emitted warn. */
     this._connectionDeferSuppressedByType = new Map();
+
+    /** @type {Map<string, number>} Uncached create slots held by in-flight submits, keyed by authId:type. */
+    this._uncachedCreateReservations = new Map();
+
+    /** @type {Map<string, number>} Header-reported create slots held by in-flight submits, keyed by authId:type. */
+    this._headerRateLimitReservations = new Map();
   }
 
   /**
@@ -467,6 +522,75 @@ class UploadProcessor {
     }
   }
 
+  /**
+   * Reserve one uncached create slot for an upload about to be submitted. Concurrent submits of
+   * one type share the same logged attempts, so slots held by in-flight submits count as used
+   * until they are released.
+   * @param {string} authId
+   * @param {Object} userDb
+   * @param {string} type
+   * @returns {(() => void)|null} Idempotent release callback, or null when the budget is exhausted
+   */
+  reserveUncachedCreateSlot(authId, userDb, type) {
+    const key = `${authId}:${type}`;
+    const reserved = this._uncachedCreateReservations.get(key) ?? 0;
+    let usage;
+    try {
+      usage = getCreateQuotaWindowUsage(userDb, type);
+    } catch {
+      usage = null;
+    }
+    if (usage && usage.uncachedUsed + reserved >= usage.uncachedLimit) {
+      return null;
+    }
+    return this._holdReservation(this._uncachedCreateReservations, key);
+  }
+
+  /**
+   * Reserve one create against the remaining count TorBox last reported in rate-limit headers.
+   * Concurrent submits of one type all see the same header state until their responses arrive,
+   * so slots held by in-flight submits count against it until they are released.
+   * @param {string} authId
+   * @param {string} type
+   * @param {Object|null} [userDb]
+   * @returns {(() => void)|null} Idempotent release callback, or null when blocked or reserved out
+   */
+  reserveHeaderRateLimitSlot(authId, type, userDb = null) {
+    const state = this.getEffectiveRateLimitState(authId, type, userDb);
+    if (isRateLimitBlocked(state)) {
+      return null;
+    }
+    const key = `${authId}:${type}`;
+    const reserved = this._headerRateLimitReservations.get(key) ?? 0;
+    const { remaining } = normalizeExpiredRateLimitState(state);
+    if (remaining != null && reserved >= remaining) {
+      return null;
+    }
+    return this._holdReservation(this._headerRateLimitReservations, key);
+  }
+
+  /**
+   * @param {Map<string, number>} reservations
+   * @param {string} key
+   * @returns {() => void} Idempotent release callback
+   */
+  _holdReservation(reservations, key) {
+    reservations.set(key, (reservations.get(key) ?? 0) + 1);
+    let released = false;
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      const remaining = (reservations.get(key) ?? 1) - 1;
+      if (remaining > 0) {
+        reservations.set(key, remaining);
+      } else {
+        reservations.delete(key);
+      }
+    };
+  }
+
   /**
    * Resume timestamp for an uncached-budget pause (window + uncached header reset + fallback).
    * Prefers the soonest valid future open time among known candidates.
@@ -544,6 +668,194 @@ class UploadProcessor {
     return nextAttemptAt;
   }
 
+  /**
+   * User-requested hold for an upload: scheduled start, closed daily window, or (for
+   * wait-for-quota uploads) too little uncached budget left in the hourly window.
+   * Cached uploads don't spend that budget, so the quota wait skips them.
+   * @param {Object} upload
+   * @param {Object} userDb
+   * @param {string} type
+   * @returns {Promise<{ nextAttemptAt: string, message: string }|null>}
+   */
+  async getUploadScheduleDeferral(upload, userDb, type) {
+    const timeDeferral = getUploadScheduleDeferral(upload);
+    if (timeDeferral || !upload.wait_for_quota) {
+      return timeDeferral;
+    }
+
+    let usage;
+    try {
+      usage = getCreateQuotaWindowUsage(userDb, type);
+    } catch {
+      return null;
+    }
+    if (usage.uncachedLimit - usage.uncachedUsed > UPLOAD_QUOTA_WAIT_RESERVE) {
+      return null;
+    }
+    if (await this.isUploadCached(upload)) {
+      return null;
+    }
+    return {
+      nextAttemptAt:
+        resumeAtSqlFromMs(usage.uncachedResetAtMs) ??
+        this.getUncachedQuotaPauseUntilSql(upload.authId, type, userDb),
+      message: QUOTA_WAIT_DEFERRAL_MESSAGE,
+    };
+  }
+
+  /**
+   * Whether TorBox already caches this upload. Only torrents can be checked before they
+   * are sent; anything unknown is treated as uncached so it keeps counting against quota.
+   * @param {Object} upload
+   * @returns {Promise<boolean>}
+   */
+  async isUploadCached(upload) {
+    const hash = await getExpectedTorrentHash(upload).catch(() => null);
+    if (!hash) {
+      return false;
+    }
+    try {
+      const apiClient = await this.getApiClient(upload.authId);
+      return (await apiClient.checkTorrentCached(hash)) === true;
+    } catch (error) {
+      logger.debug('Cache check failed; treating upload as uncached', {
+        uploadId: upload.id,
+        error: error.message,
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Match a torrent upload against the library and archive before spending create quota on it.
+   * `skip` marks the row `duplicate`; `tag` records the match so the new download gets tagged.
+   * @returns {Promise<boolean>} True when the upload was skipped and must not be sent
+   */
+  async checkUploadDuplicate(upload, userDb) {
+    if (upload.type !== 'torrent' || upload.on_duplicate === 'readd') {
+      return false;
+    }
+
+    const hash = await getExpectedTorrentHash(upload).catch(() => null);
+    let downloads = null;
+    if (hash) {
+      try {
+        downloads = await this.getLibraryTorrents(upload.authId);
+      } catch (error) {
+        // torrent_shadow and the archive still cover active and archived downloads
+        logger.warn('Download list unavailable for duplicate check', {
+          uploadId: upload.id,
+          error: error.message,
+        });
+      }
+    }
+    let match;
+    try {
+      match = findExistingDownloadByHash(userDb.db, hash, downloads);
+    } catch (error) {
+      // Best effort: TorBox still reports duplicates itself, so a failed lookup must not block.
+      logger.warn('Duplicate check failed; sending upload', {
+        uploadId: upload.id,
+        error: error.message,
+      });
+      return false;
+    }
+    if (!match) {
+      return false;
+    }
+
+    if (upload.on_duplicate === 'tag') {
+      userDb.db
+        .prepare(
+          `
+          UPDATE uploads
+          SET duplicate_of = ?, duplicate_source = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `
+        )
+        .run(match.downloadId, match.source, upload.id);
+      upload.duplicate_of = match.downloadId;
+      return false;
+    }
+
+    const updateResult = userDb.db
+      .prepare(
+        `
+        UPDATE uploads
+        SET status = 'duplicate',
+            error_message = ?,
+            duplicate_of = ?,
+            duplicate_source = ?,
+            torbox_hash = ?,
+            next_attempt_at = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status IN ('queued', 'processing')
+      `
+      )
+      .run(describeDuplicateMatch(match), match.downloadId, match.source, hash, upload.id);
+
+    logger.info('Skipped upload already in library or archive', {
+      uploadId: upload.id,
+      name: upload.name,
+      source: match.source,
+      downloadId: match.downloadId,
+    });
+
+    if (updateResult.changes > 0) {
+      await this.masterDatabase.updateUploadCounters(upload.authId, userDb);
+    }
+    return true;
+  }
+
+  /**
+   * The user's torrent list for duplicate checks: the custom view snapshot when one is cached,
+   * else a short-lived copy of the TorBox list (TorBox-side cached, not bypassed).
+   * @param {string} authId
+   * @returns {Promise<Array<Object>>}
+   */
+  async getLibraryTorrents(authId) {
+    const snapshot = cache.getViewDownloads(authId) ?? this._libraryTorrents.get(authId);
+    if (snapshot) {
+      return snapshot;
+    }
+    const apiClient = await this.getApiClient(authId);
+    const torrents = await apiClient.getTorrents(false);
+    this._libraryTorrents.set(authId, torrents);
+    return torrents;
+  }
+
+  /**
+   * Hold a single upload until its schedule allows it. Siblings keep processing.
+   * @param {Object} upload
+   * @param {Object} userDb
+   * @param {string} type
+   * @param {{ nextAttemptAt: string, message: string }} deferral
+   */
+  async handleScheduleDeferral(upload, userDb, type, { nextAttemptAt, message }) {
+    logger.debug('Upload is scheduled for later, deferring', {
+      uploadId: upload.id,
+      type,
+      nextAttemptAt,
+      reason: message,
+    });
+
+    userDb.db
+      .prepare(
+        `
+        UPDATE uploads
+        SET status = 'queued',
+            error_message = ?,
+            next_attempt_at = ?,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `
+      )
+      .run(message, nextAttemptAt, upload.id);
+
+    await this.masterDatabase.updateUploadCounters(upload.authId, userDb);
+    return false;
+  }
+
   async handleRateLimitDeferral(upload, userDb, type, _options = {}) {
     // Header and durable gates are both uncached-only; pause until the hourly window opens.
     const nextAttemptAt = this.getUncachedQuotaPauseUntilSql(upload.authId, type, userDb);
@@ -1332,6 +1644,31 @@ class UploadProcessor {
       )
       .run(torboxHash, torboxTorrentId, torboxAuthId, id);
 
+    if (upload.authId) {
+      cache.invalidateViewDownloads(upload.authId);
+    }
+
+    if (
+      updateResult.changes > 0 &&
+      upload.on_duplicate === 'tag' &&
+      upload.duplicate_of &&
+      torboxTorrentId != null
+    ) {
+      try {
+        tagDuplicateDownload(userDb.db, torboxTorrentId);
+      } catch (error) {
+        logger.warn('Failed to tag duplicate upload', {
+          uploadId: id,
+          downloadId: torboxTorrentId,
+          error: error.message,
+        });
+      }
+    }
+
+    if (updateResult.changes > 0 && torboxTorrentId != null) {
+      this.applyTagsAndTemplateToDownload(upload, userDb, type, torboxTorrentId);
+    }
+
     // Update counter only if the upload still exists (wasn't deleted during processing)
     if (updateResult.changes > 0 && upload.authId) {
       void this.masterDatabase.updateUploadCounters(upload.authId, userDb).catch((error) => {
@@ -1642,6 +1979,8 @@ class UploadProcessor {
     const { id, type } = upload;
     // Use provided originalStatus or fall back to upload.status
     const originalStatusValue = originalStatus ?? upload.status;
+    let releaseQuotaReservation = null;
+    let releaseHeaderReservation = null;
 
     try {
       // Validate authId
@@ -1649,17 +1988,28 @@ class UploadProcessor {
         throw new Error('authId is required for processing upload');
       }
 
+      const scheduleDeferral = await this.getUploadScheduleDeferral(upload, userDb, type);
+      if (scheduleDeferral) {
+        await this.handleScheduleDeferral(upload, userDb, type, scheduleDeferral);
+        return uploadProcessResult(false, false);
+      }
+
+      if (await this.checkUploadDuplicate(upload, userDb)) {
+        return uploadProcessResult(false, false);
+      }
+
       // Get API client (force refresh if this is a retry after auth error)
       const apiClient = await this.getApiClient(upload.authId, isRetryAfterAuthError);
 
-      const atRateLimit = this.isTypeRateLimitBlocked(upload.authId, type, userDb);
-
-      if (atRateLimit) {
+      // Reserve synchronously with the checks so concurrent submits can't overrun either quota
+      releaseHeaderReservation = this.reserveHeaderRateLimitSlot(upload.authId, type, userDb);
+      if (!releaseHeaderReservation) {
         await this.handleRateLimitDeferral(upload, userDb, type);
         return uploadProcessResult(false, true);
       }
 
-      if (this.isUncachedCreateQuotaExhausted(userDb, type)) {
+      releaseQuotaReservation = this.reserveUncachedCreateSlot(upload.authId, userDb, type);
+      if (!releaseQuotaReservation) {
         await this.handleRateLimitDeferral(upload, userDb, type, { uncached: true });
         return uploadProcessResult(false, true);
       }
@@ -2032,7 +2382,9 @@ class UploadProcessor {
         // Invalidate the cached API client
         this.invalidateApiClient(upload.authId);
 
-        // Retry once with a fresh client
+        // Retry once with a fresh client (the retry takes its own quota reservations)
+        releaseQuotaReservation?.();
+        releaseHeaderReservation?.();
         return await this.processUpload(upload, userDb, originalStatusValue, true);
       }
 
@@ -2047,6 +2399,9 @@ class UploadProcessor {
       );
       const stopTypeDrain = failureResult?.stopTypeDrain ?? this.isRateLimitError(error);
       return uploadProcessResult(false, stopTypeDrain);
+    } finally {
+      releaseQuotaReservation?.();
+      releaseHeaderReservation?.();
     }
   }
 
@@ -2229,7 +2584,52 @@ class UploadProcessor {
   }
 
   /**
-   * Get queued uploads for a user, ordered by queue_order
+   * Put the upload's own tags and its template's tags on the new download, then airlock it in
+   * the background when the template asks for it. Neither step can fail the upload, which TorBox
+   * has already accepted.
+   * @param {Object} upload - Upload record with id, template_id and authId
+   * @param {Object} userDb - User database instance
+   * @param {string} type - Upload type
+   * @param {string|number} downloadId - ID TorBox returned for the new download
+   */
+  applyTagsAndTemplateToDownload(upload, userDb, type, downloadId) {
+    let template = null;
+    try {
+      if (upload.template_id != null) {
+        template = getUploadTemplate(userDb.db, upload.template_id);
+      }
+      const tagIds = new Set([
+        ...(template?.tag_ids ?? []),
+        ...getUploadTagIds(userDb.db, upload.id),
+      ]);
+      if (tagIds.size > 0) {
+        addDownloadTags(userDb.db, downloadId, [...tagIds]);
+      }
+    } catch (error) {
+      logger.warn('Failed to apply upload tags', {
+        uploadId: upload.id,
+        templateId: upload.template_id,
+        downloadId,
+        error: error.message,
+      });
+      return;
+    }
+
+    if (!template?.airlock || !upload.authId) return;
+    void this.getApiClient(upload.authId)
+      .then((apiClient) => apiClient.setAirlock({ id: downloadId, assetType: type }, true))
+      .catch((error) => {
+        logger.warn('Failed to airlock upload from template', {
+          uploadId: upload.id,
+          templateId: upload.template_id,
+          downloadId,
+          error: error.message,
+        });
+      });
+  }
+
+  /**
+   * Get queued uploads for a user, urgent lane first, then by queue_order
    * @param {Object} userDb - User database instance
    * @param {string} authId - User authentication ID
    * @param {string} type - Optional type filter
@@ -2239,12 +2639,15 @@ class UploadProcessor {
     let query = `
       SELECT id, type, upload_type, file_path, url, name, status,
              error_message, retry_count, seed, allow_zip, as_queued, add_only_if_cached, password,
-             queue_order, torbox_hash, torbox_torrent_id, torbox_auth_id,
-             last_processed_at, completed_at, created_at, updated_at, next_attempt_at
+             queue_order, priority, torbox_hash, torbox_torrent_id, torbox_auth_id,
+             last_processed_at, completed_at, created_at, updated_at, next_attempt_at,
+             scheduled_at, window_start, window_end, window_timezone, wait_for_quota,
+             on_duplicate, duplicate_of, template_id
       FROM uploads
       WHERE status = 'queued'
         AND (file_deleted IS NULL OR file_deleted = false)
         AND (next_attempt_at IS NULL OR datetime(next_attempt_at) <= datetime('now'))
+        AND (scheduled_at IS NULL OR datetime(scheduled_at) <= datetime('now'))
     `;
 
     const params = [];
@@ -2253,7 +2656,7 @@ class UploadProcessor {
       params.push(type);
     }
 
-    query += ' ORDER BY queue_order ASC LIMIT ?';
+    query += ` ORDER BY ${UPLOAD_PRIORITY_RANK_SQL} ASC, queue_order ASC LIMIT ?`;
     params.push(limit);
 
     try {
@@ -2435,7 +2838,9 @@ class UploadProcessor {
   }
 
   /**
-   * Buffered true round-robin drain for one user invocation.
+   * Buffered round-robin drain for one user invocation. Each cycle only serves the best priority
+   * lane that still has work, so an urgent upload of one type is not held up by bulk uploads of
+   * another; within a type, up to its in-flight limit is submitted concurrently.
    */
   async _drainUserQueues(authId, userDb) {
     return this._withUserDrainLock(authId, () => this._drainUserQueuesUnlocked(authId, userDb));
@@ -2444,6 +2849,7 @@ class UploadProcessor {
   async _drainUserQueuesUnlocked(authId, userDb) {
     const rateLimit = this._rateLimitSyncContext(authId, userDb);
     syncAllRateLimitDeferrals(userDb, rateLimit);
+    const maxInFlight = getUploadMaxInFlightByType(userDb.db);
 
     const buffers = {
       torrent: new TypeQueueBuffer(),
@@ -2457,13 +2863,35 @@ class UploadProcessor {
     let currentUserDb = userDb;
 
     while (workRemaining > 0) {
-      let processedThisCycle = 0;
+      let takenThisCycle = 0;
+
+      const heads = {};
+      for (const type of UPLOAD_TYPES_ROUND_ROBIN) {
+        if (typeStopped[type]) {
+          continue;
+        }
+        const { upload, userDb: dbAfterFetch } = await buffers[type].peek(
+          this,
+          currentUserDb,
+          authId,
+          type
+        );
+        currentUserDb = dbAfterFetch;
+        heads[type] = upload;
+      }
+      const headRanks = Object.values(heads)
+        .filter(Boolean)
+        .map((upload) => getUploadPriorityRank(upload.priority));
+      if (headRanks.length === 0) {
+        break;
+      }
+      const lane = Math.min(...headRanks);
 
       for (const type of UPLOAD_TYPES_ROUND_ROBIN) {
         if (workRemaining <= 0) {
           break;
         }
-        if (typeStopped[type]) {
+        if (typeStopped[type] || !heads[type]) {
           continue;
         }
 
@@ -2477,6 +2905,7 @@ class UploadProcessor {
           );
           currentUserDb = dbAfterFetch;
           if (upload) {
+            takenThisCycle++;
             const { userDb: dbAfterClaim, outcome } = await this._claimAndProcessUpload(
               upload,
               authId,
@@ -2486,46 +2915,37 @@ class UploadProcessor {
             if (outcome) {
               workRemaining--;
               totalProcessed++;
-              processedThisCycle++;
             }
           }
           typeStopped[type] = true;
           continue;
         }
 
-        const { upload, userDb: dbAfterFetch } = await buffers[type].next(
-          this,
-          currentUserDb,
-          authId,
-          type
-        );
-        currentUserDb = dbAfterFetch;
-
-        if (!upload) {
+        if (getUploadPriorityRank(heads[type].priority) !== lane) {
           continue;
         }
 
-        const { userDb: dbAfterClaim, outcome } = await this._claimAndProcessUpload(
-          upload,
-          authId,
-          currentUserDb
+        const batch = buffers[type].takeLane(lane, Math.min(maxInFlight[type], workRemaining));
+        takenThisCycle += batch.length;
+        const dbForBatch = currentUserDb;
+        const results = await Promise.all(
+          batch.map((upload) => this._claimAndProcessUpload(upload, authId, dbForBatch))
         );
-        currentUserDb = dbAfterClaim;
 
-        if (!outcome) {
-          continue;
-        }
-
-        workRemaining--;
-        totalProcessed++;
-        processedThisCycle++;
-
-        if (outcome.stopTypeDrain) {
-          typeStopped[type] = true;
+        for (const { userDb: dbAfterClaim, outcome } of results) {
+          currentUserDb = dbAfterClaim;
+          if (!outcome) {
+            continue;
+          }
+          workRemaining--;
+          totalProcessed++;
+          if (outcome.stopTypeDrain) {
+            typeStopped[type] = true;
+          }
         }
       }
 
-      if (processedThisCycle === 0) {
+      if (takenThisCycle === 0) {
         break;
       }
     }
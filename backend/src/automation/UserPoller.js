@@ -42,6 +42,8 @@ class UserPoller {
     this._dbPinned = false; // true while poll-cycle pin is held on userDatabaseManager
     this.lastPollAt = null; // When poller last completed a poll (used for scheduling and cleanup)
     this.lastPollError = null;
+    /** Asset types the last fetchDownloadsForActiveRules call fetched (list deltas diff only these) */
+    this.lastFetchedAssetTypes = [];
     /** Cancellation token set by the scheduler when the per-user timeout fires so ghost polls exit early */
     this._cancelToken = null;
 
@@ -364,7 +366,9 @@ class UserPoller {
         });
       }
     }
-    return fetchDownloadsForAssetTypes(this.apiClient, assetTypes, true);
+    const downloads = await fetchDownloadsForAssetTypes(this.apiClient, assetTypes, true);
+    this.lastFetchedAssetTypes = assetTypes;
+    return downloads;
   }
 
   async fetchTorrents() {
@@ -428,7 +432,7 @@ class UserPoller {
         authId: this.authId,
         torrentsType: typeof torrents,
       });
-      return { new: [], updated: [], removed: [], stateTransitions: [] };
+      return { new: [], updated: [], removed: [], stateTransitions: [], terminalTransitions: [] };
     }
 
     const diffStart = Date.now();
@@ -450,6 +454,7 @@ class UserPoller {
         updated: changes.updated?.length || 0,
         removed: changes.removed?.length || 0,
         stateTransitions: changes.stateTransitions?.length || 0,
+        terminalTransitions: changes.terminalTransitions?.length || 0,
         diffDuration: `${diffDuration}s`,
       });
       return changes;
@@ -544,6 +549,39 @@ class UserPoller {
     }
   }
 
+  /**
+   * Parse release metadata for downloads whose name is new or changed
+   * @param {Array} downloads - Array of download objects from the API
+   * @returns {Promise<void>}
+   */
+  async updateReleaseMetadata(downloads) {
+    if (downloads.length === 0) {
+      return;
+    }
+
+    try {
+      const result = await this.executeWithRetry(() => {
+        const releaseMetadataEngine = this.dbManager.getReleaseMetadataEngine();
+        return releaseMetadataEngine.updateFromDownloads(downloads);
+      }, 'updateReleaseMetadata');
+
+      if (result?.parsed || result?.removed) {
+        logger.debug('Release metadata updated', {
+          authId: this.authId,
+          parsed: result.parsed,
+          removed: result.removed,
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to update release metadata', error, {
+        authId: this.authId,
+        downloadCount: downloads.length,
+        errorMessage: error.message,
+      });
+      // Don't throw - conditions fall back to parsing the name
+    }
+  }
+
   /**
    * Evaluate automation rules for torrents
    * @param {Array} torrents - Array of torrent objects
@@ -615,7 +653,7 @@ class UserPoller {
   }
 
   /**
-   * Single canonical pipeline: optionally fetch, then state diff → derived fields → speed → rule eval → next poll.
+   * Single canonical pipeline: optionally fetch, then state diff → derived fields → speed → release metadata → rule eval → next poll.
    * Used by both the two-phase scheduler (with prefetchedTorrents) and triggerPoll (fetches inside).
    * @param {Object} options - Options
    * @param {Array} [options.prefetchedTorrents] - If provided, skip API fetch and use this list
@@ -664,6 +702,8 @@ class UserPoller {
     await this.updateDerivedFields(changes);
     if (checkCancelled) checkCancelled();
     await this.processSpeedUpdates(changes.updated);
+    if (checkCancelled) checkCancelled();
+    await this.updateReleaseMetadata(torrents);
 
     if (checkCancelled) checkCancelled();
     const ruleResults = await this.evaluateRules(torrents, changes);
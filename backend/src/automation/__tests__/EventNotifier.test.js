@@ -34,4 +34,75 @@ describe('EventNotifier', () => {
       }, 25);
     });
   });
+
+  describe('download list deltas', () => {
+    const subscriber = (writes) => ({
+      write: (chunk) => writes.push(chunk),
+      on: mock(() => {}),
+    });
+    const events = (writes) =>
+      writes.filter((w) => w.startsWith('data: ')).map((w) => JSON.parse(w.slice(6)));
+    const torrent = (id, progress) => ({ id, name: `t${id}`, progress, assetType: 'torrent' });
+
+    test('sets a baseline, then pushes row deltas that chain on rev', () => {
+      const notifier = new EventNotifier();
+      const writes = [];
+      notifier.subscribe('auth-1', subscriber(writes));
+
+      notifier.publishListDeltas('auth-1', [torrent(1, 0), torrent(2, 0)], ['torrent']);
+      notifier.publishListDeltas('auth-1', [torrent(1, 0.5)], ['torrent']);
+      notifier.publishListDeltas('auth-1', [torrent(1, 0.5)], ['torrent']);
+
+      const [revEvent, delta, ...rest] = events(writes);
+      expect(revEvent).toEqual({ event: 'downloads_rev', rev: revEvent.rev, types: ['torrents'] });
+      expect(delta).toEqual({
+        event: 'downloads_delta',
+        type: 'torrents',
+        baseRev: revEvent.rev,
+        rev: revEvent.rev + 1,
+        data: [{ id: 1, name: 't1', progress: 0.5 }],
+        removed: [2],
+      });
+      expect(rest).toEqual([]);
+    });
+
+    test('leaves lists the poll did not fetch alone', () => {
+      const notifier = new EventNotifier();
+      const writes = [];
+      notifier.subscribe('auth-1', subscriber(writes));
+
+      notifier.publishListDeltas('auth-1', [torrent(1, 0)], ['torrent']);
+      notifier.publishListDeltas('auth-1', [], ['usenet']);
+
+      expect(events(writes).filter((e) => e.event === 'downloads_delta')).toEqual([]);
+    });
+
+    test('replays missed deltas on reconnect, or announces the rev when it cannot', () => {
+      const notifier = new EventNotifier();
+      notifier.subscribe('auth-1', subscriber([]));
+      notifier.publishListDeltas('auth-1', [torrent(1, 0)], ['torrent']);
+      const { rev } = notifier.listDeltas.revEvent('auth-1');
+      notifier.publishListDeltas('auth-1', [torrent(1, 0.25)], ['torrent']);
+      notifier.publishListDeltas('auth-1', [torrent(1, 0.75)], ['torrent']);
+
+      const resumed = [];
+      notifier.subscribe('auth-1', subscriber(resumed), { sinceRev: rev });
+      expect(events(resumed).map((e) => [e.baseRev, e.rev])).toEqual([
+        [rev, rev + 1],
+        [rev + 1, rev + 2],
+      ]);
+
+      const stale = [];
+      notifier.subscribe('auth-1', subscriber(stale), { sinceRev: rev - 50 });
+      expect(events(stale)).toEqual([
+        { event: 'downloads_rev', rev: rev + 2, types: ['torrents'] },
+      ]);
+    });
+
+    test('does not diff users nobody listens to', () => {
+      const notifier = new EventNotifier();
+      expect(notifier.publishListDeltas('auth-1', [torrent(1, 0)], ['torrent'])).toBe(0);
+      expect(notifier.listDeltas.revEvent('auth-1')).toBe(null);
+    });
+  });
 });
@@ -22,6 +22,7 @@ describe('PollingScheduler.runActionBatch tag notifications', () => {
       },
       ruleRepository: {
         recordExecution: async () => {},
+        recordActionAudit: async () => 0,
         updateLastEvaluatedAt: async () => {},
       },
     });
@@ -57,6 +58,7 @@ describe('PollingScheduler.runActionBatch tag notifications', () => {
       },
       ruleRepository: {
         recordExecution: async () => {},
+        recordActionAudit: async () => 0,
         updateLastEvaluatedAt: async (ruleId) => {
           updatedRuleId = ruleId;
         },
@@ -0,0 +1,109 @@
+import { describe, it, expect, beforeEach } from 'bun:test';
+import { Database } from 'bun:sqlite';
+import ReleaseMetadataEngine from '../ReleaseMetadataEngine.js';
+import { parseReleaseName, parseReleaseGroup } from '../../../config/releaseName.mjs';
+import { up as releaseMetadataUp } from '../../database/migrations/user/036_download_release_metadata.js';
+
+describe('parseReleaseName', () => {
+  it('parses a scene movie release', () => {
+    expect(
+      parseReleaseName('Blade.Runner.2049.2017.2160p.UHD.BluRay.REMUX.HDR10Plus.HEVC-FGT.mkv')
+    ).toEqual({
+      resolution: '2160p',
+      codec: 'x265',
+      hdr: 'HDR10+',
+      source: 'BluRay',
+      release_group: 'FGT',
+      season: null,
+      episode: null,
+      year: 2017,
+    });
+  });
+
+  it('parses season and episode forms', () => {
+    expect(parseReleaseName('Show.S03E07.720p.HDTV.x264-KILLERS')).toMatchObject({
+      season: 3,
+      episode: 7,
+      source: 'HDTV',
+    });
+    expect(parseReleaseName('Show 2x11 480p')).toMatchObject({ season: 2, episode: 11 });
+    expect(parseReleaseName('Show.S01.COMPLETE.1080p.WEB-DL')).toMatchObject({
+      season: 1,
+      episode: null,
+      release_group: null,
+    });
+    expect(parseReleaseName('Show Season 4 1080p')).toMatchObject({ season: 4 });
+  });
+
+  it('returns nulls for empty and plain names', () => {
+    const empty = parseReleaseName('');
+    expect(Object.values(empty).every((value) => value === null)).toBe(true);
+    expect(parseReleaseName('holiday photos').resolution).toBeNull();
+  });
+});
+
+describe('parseReleaseGroup', () => {
+  it('reads scene suffixes and fansub prefixes', () => {
+    expect(parseReleaseGroup('Movie.2020.1080p.BluRay.x264-SPARKS [rarbg]')).toBe('SPARKS');
+    expect(parseReleaseGroup('[SubsPlease] Show - 01 (1080p) [ABCD1234].mkv')).toBe('SubsPlease');
+  });
+
+  it('ignores hyphenated tags and titles', () => {
+    expect(parseReleaseGroup('Movie.2020.1080p.WEB-DL')).toBeNull();
+    expect(parseReleaseGroup('Spider-Man')).toBeNull();
+  });
+});
+
+describe('ReleaseMetadataEngine', () => {
+  let db;
+  let engine;
+
+  const rows = () =>
+    db.prepare('SELECT * FROM download_release_metadata ORDER BY download_id').all();
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    releaseMetadataUp(db);
+    engine = new ReleaseMetadataEngine(db);
+  });
+
+  it('stores parsed metadata per download and re-parses renamed downloads', () => {
+    const result = engine.updateFromDownloads([
+      { id: 1, name: 'Show.S01E02.1080p.WEB.h264-GRP', assetType: 'torrent' },
+    ]);
+    expect(result).toEqual({ parsed: 1, removed: 0 });
+    expect(rows()[0]).toMatchObject({
+      download_id: '1',
+      resolution: '1080p',
+      season: 1,
+      episode: 2,
+      release_group: 'GRP',
+    });
+
+    expect(
+      engine.updateFromDownloads([
+        { id: 1, name: 'Show.S01E02.1080p.WEB.h264-GRP', assetType: 'torrent' },
+      ])
+    ).toEqual({ parsed: 0, removed: 0 });
+
+    engine.updateFromDownloads([
+      { id: 1, name: 'Show.S01E03.2160p.WEB.h265-NEW', assetType: 'torrent' },
+    ]);
+    expect(rows()[0]).toMatchObject({ resolution: '2160p', episode: 3, release_group: 'NEW' });
+  });
+
+  it('prunes only asset types present in the snapshot', () => {
+    engine.updateFromDownloads([
+      { id: 1, name: 'A.720p', assetType: 'torrent' },
+      { id: 2, name: 'B.1080p', assetType: 'torrent' },
+      { id: 3, name: 'C.2160p', assetType: 'usenet' },
+    ]);
+
+    const result = engine.updateFromDownloads([{ id: 1, name: 'A.720p', assetType: 'torrent' }]);
+    expect(result).toEqual({ parsed: 0, removed: 1 });
+    expect(rows().map((row) => row.download_id)).toEqual(['1', '3']);
+
+    expect(engine.updateFromDownloads([])).toEqual({ parsed: 0, removed: 0 });
+    expect(rows()).toHaveLength(2);
+  });
+});
@@ -51,7 +51,9 @@ describe('RuleEvaluator protection', () => {
   });
 
   test('allows add_tag on protected download', async () => {
-    db.prepare('CREATE TABLE tags (id INTEGER PRIMARY KEY, name TEXT UNIQUE)').run();
+    db.prepare(
+      'CREATE TABLE tags (id INTEGER PRIMARY KEY, name TEXT UNIQUE, group_id INTEGER)'
+    ).run();
     db.prepare(
       'CREATE TABLE download_tags (id INTEGER PRIMARY KEY, tag_id INTEGER, download_id TEXT, UNIQUE(tag_id, download_id))'
     ).run();
@@ -624,6 +624,85 @@ describe('RuleEvaluator', () => {
         expect(result).toBe(true);
       });
 
+      describe('file-level conditions', () => {
+        const torrent = {
+          id: '1',
+          name: 'Free.Movie.2024',
+          files: [
+            {
+              id: 0,
+              name: 'Free.Movie.2024/movie.mkv.EXE',
+              short_name: 'movie.mkv.EXE',
+              size: 3 * 1024 * 1024,
+            },
+            { id: 1, name: 'Free.Movie.2024/readme.txt', size: 512 },
+          ],
+        };
+
+        it('should match FILE_EXTENSION when any file has a listed extension', () => {
+          expect(
+            ruleEvaluator.evaluateCondition(
+              { type: 'FILE_EXTENSION', operator: 'is_any_of', value: ['.scr', 'exe'] },
+              torrent
+            )
+          ).toBe(true);
+          expect(
+            ruleEvaluator.evaluateCondition(
+              { type: 'FILE_EXTENSION', operator: 'is_none_of', value: ['.exe'] },
+              torrent
+            )
+          ).toBe(false);
+          expect(
+            ruleEvaluator.evaluateCondition(
+              { type: 'FILE_EXTENSION', operator: 'is_none_of', value: ['.exe'] },
+              { id: '2' }
+            )
+          ).toBe(false);
+        });
+
+        it('should compare LARGEST_FILE_SIZE in MB', () => {
+          expect(
+            ruleEvaluator.evaluateCondition(
+              { type: 'LARGEST_FILE_SIZE', operator: 'lt', value: 50 },
+              torrent
+            )
+          ).toBe(true);
+          expect(
+            ruleEvaluator.evaluateCondition(
+              { type: 'LARGEST_FILE_SIZE', operator: 'gte', value: 3 },
+              torrent
+            )
+          ).toBe(true);
+        });
+
+        it('should match FILE_NAME against each file name, negated operators against all', () => {
+          expect(
+            ruleEvaluator.evaluateCondition(
+              { type: 'FILE_NAME', operator: 'matches_glob', value: '*.mkv.exe' },
+              torrent
+            )
+          ).toBe(true);
+          expect(
+            ruleEvaluator.evaluateCondition(
+              { type: 'FILE_NAME', operator: 'starts_with', value: 'free.movie' },
+              torrent
+            )
+          ).toBe(false);
+          expect(
+            ruleEvaluator.evaluateCondition(
+              { type: 'FILE_NAME', operator: 'not_contains', value: 'readme' },
+              torrent
+            )
+          ).toBe(false);
+          expect(
+            ruleEvaluator.evaluateCondition(
+              { type: 'FILE_NAME', operator: 'not_contains', value: 'sample' },
+              torrent
+            )
+          ).toBe(true);
+        });
+      });
+
       it('should evaluate NAME condition (case-insensitive contains)', () => {
         const condition = { type: 'NAME', operator: 'contains', value: 'test' };
         const torrent = { id: '1', name: 'Test Torrent' };
@@ -672,6 +751,45 @@ describe('RuleEvaluator', () => {
         expect(result).toBe(true);
       });
 
+      it('should evaluate NAME condition with matches_regex operator', () => {
+        const condition = { type: 'NAME', operator: 'matches_regex', value: 'S\\d{2}E\\d{2}' };
+
+        expect(
+          ruleEvaluator.evaluateCondition(condition, { id: '1', name: 'Show.s01e02.1080p' })
+        ).toBe(true);
+        expect(ruleEvaluator.evaluateCondition(condition, { id: '1', name: 'Show.Season.1' })).toBe(
+          false
+        );
+      });
+
+      it('should evaluate NAME condition with matches_glob operator', () => {
+        const condition = { type: 'NAME', operator: 'matches_glob', value: '*-GRP' };
+
+        expect(
+          ruleEvaluator.evaluateCondition(condition, { id: '1', name: 'Movie.2024-grp' })
+        ).toBe(true);
+        expect(
+          ruleEvaluator.evaluateCondition(condition, { id: '1', name: 'Movie.2024-GRP.mkv' })
+        ).toBe(false);
+      });
+
+      it('should honour caseSensitive on string conditions', () => {
+        const torrent = { id: '1', name: 'Movie.2024-grp' };
+
+        expect(
+          ruleEvaluator.evaluateCondition(
+            { type: 'NAME', operator: 'ends_with', value: '-GRP', caseSensitive: true },
+            torrent
+          )
+        ).toBe(false);
+        expect(
+          ruleEvaluator.evaluateCondition(
+            { type: 'NAME', operator: 'matches_glob', value: '*-grp', caseSensitive: true },
+            torrent
+          )
+        ).toBe(true);
+      });
+
       it('should evaluate TRACKER condition', () => {
         const condition = { type: 'TRACKER', operator: 'contains', value: 'example' };
         const torrent = { id: '1', tracker: 'https://tracker.example.com' };
@@ -813,6 +931,45 @@ describe('RuleEvaluator', () => {
       });
     });
 
+    describe('Release name conditions', () => {
+      const episode = { id: '1', name: 'Show.Name.S02E05.1080p.WEB-DL.DDP5.1.H.264-NTb' };
+
+      it('compares RESOLUTION as vertical lines', () => {
+        const condition = { type: 'RESOLUTION', operator: 'gte', value: 1080 };
+        expect(ruleEvaluator.evaluateCondition(condition, episode)).toBe(true);
+        expect(ruleEvaluator.evaluateCondition({ ...condition, value: 2160 }, episode)).toBe(false);
+        expect(ruleEvaluator.evaluateCondition(condition, { id: '2', name: 'notes.zip' })).toBe(
+          false
+        );
+      });
+
+      it('evaluates SEASON and never matches names without one', () => {
+        const condition = { type: 'SEASON', operator: 'eq', value: 2 };
+        expect(ruleEvaluator.evaluateCondition(condition, episode)).toBe(true);
+        expect(
+          ruleEvaluator.evaluateCondition(condition, { id: '2', name: 'Movie.2020.1080p' })
+        ).toBe(false);
+      });
+
+      it('evaluates RELEASE_GROUP with string operators', () => {
+        const condition = { type: 'RELEASE_GROUP', operator: 'equals', value: 'ntb' };
+        expect(ruleEvaluator.evaluateCondition(condition, episode)).toBe(true);
+        expect(
+          ruleEvaluator.evaluateCondition({ ...condition, caseSensitive: true }, episode)
+        ).toBe(false);
+      });
+
+      it('prefers stored metadata while it belongs to the current name', () => {
+        const condition = { type: 'RELEASE_GROUP', operator: 'equals', value: 'STORED' };
+        const stored = new Map([['1', { name: episode.name, release_group: 'STORED' }]]);
+        const args = [new Map(), new Map(), new Map(), stored];
+        expect(ruleEvaluator.evaluateCondition(condition, episode, ...args)).toBe(true);
+
+        const renamed = { ...episode, name: 'Show.Name.S02E05.720p.HDTV.x264-OTHER' };
+        expect(ruleEvaluator.evaluateCondition(condition, renamed, ...args)).toBe(false);
+      });
+    });
+
     describe('Lifecycle (Derived or Direct) conditions', () => {
       it('should evaluate STATUS condition - queued', () => {
         const condition = { type: 'STATUS', value: ['queued'] };
@@ -1294,6 +1451,27 @@ describe('RuleEvaluator', () => {
         expect(result).toBe(false);
       });
 
+      it('should match a TAGS condition on a parent tag when the download has a child tag', () => {
+        // tv (1) > anime (2)
+        mockUserDb._mockAll.mockReturnValueOnce([
+          { id: 1, parent_id: null },
+          { id: 2, parent_id: 1 },
+        ]);
+        const torrent = { id: '1' };
+        const tagsByDownloadId = new Map([['1', [2]]]);
+
+        const hasParent = { type: 'TAGS', operator: 'has_any', value: [1] };
+        const excludesParent = { type: 'TAGS', operator: 'has_none', value: [1] };
+        expect(
+          ruleEvaluator.evaluateCondition(hasParent, torrent, new Map(), tagsByDownloadId)
+        ).toBe(true);
+        expect(
+          ruleEvaluator.evaluateCondition(excludesParent, torrent, new Map(), tagsByDownloadId)
+        ).toBe(false);
+        // The hierarchy is read once per tagsByDownloadId map.
+        expect(mockUserDb._mockAll).toHaveBeenCalledTimes(1);
+      });
+
       it('should return false for TAGS condition with empty value array', () => {
         const condition = { type: 'TAGS', operator: 'has_any', value: [] };
         const torrent = { id: '1' };
@@ -1892,6 +2070,14 @@ describe('RuleEvaluator', () => {
       const analysis = ruleEvaluator.analyzeRule(rule);
       expect(analysis.needsTags).toBe(true);
     });
+
+    it('should set needsReleaseMetadata only for release name conditions', () => {
+      const rule = { conditions: [{ type: 'SEASON', operator: 'gte', value: 1 }] };
+      expect(ruleEvaluator.analyzeRule(rule).needsReleaseMetadata).toBe(true);
+
+      rule.conditions = [{ type: 'NAME', operator: 'contains', value: 'S01' }];
+      expect(ruleEvaluator.analyzeRule(rule).needsReleaseMetadata).toBe(false);
+    });
   });
 
   describe('ruleNeedsTagData', () => {
@@ -0,0 +1,181 @@
+import { describe, expect, test } from 'bun:test';
+import RuleExecutor from '../helpers/RuleExecutor.js';
+import RuleMigrationHelper from '../helpers/RuleMigrationHelper.js';
+import RuleValidator from '../helpers/RuleValidator.js';
+
+function createEvaluator(handler) {
+  const calls = [];
+  return {
+    calls,
+    executeAction: async (action, torrent) => {
+      calls.push(`${action.type}:${torrent.id}`);
+      return handler(action, torrent);
+    },
+    matchActionConditions: (conditions, torrents) =>
+      torrents.filter((t) => conditions.every((c) => t.ratio > c.value)),
+    validateTagIds: () => {},
+    getTorrentStatus: () => 'completed',
+    extractDownloadId: (torrent) => torrent.id,
+    protectionService: { getProtectedSet: () => new Set() },
+  };
+}
+
+const torrents = [
+  { id: '1', ratio: 3 },
+  { id: '2', ratio: 0.5 },
+];
+
+describe('RuleExecutor action pipelines', () => {
+  test('runs steps in order and reports each step', async () => {
+    const evaluator = createEvaluator(() => ({ success: true }));
+    const executor = new RuleExecutor('auth', async () => evaluator);
+
+    const result = await executor.executeActions(
+      {
+        id: 1,
+        name: 'Pipeline',
+        actions: [
+          { type: 'add_tag', tagIds: [1] },
+          { type: 'archive', conditions: [{ type: 'RATIO', operator: 'gt', value: 1 }] },
+        ],
+      },
+      torrents
+    );
+
+    expect(evaluator.calls).toEqual(['add_tag:1', 'add_tag:2', 'archive:1']);
+    expect(result.successCount).toBe(3);
+    expect(result.steps.map((s) => [s.actionType, s.targetCount, s.successCount])).toEqual([
+      ['add_tag', 2, 2],
+      ['archive', 1, 1],
+    ]);
+  });
+
+  test('stopOnFailure drops failed downloads from later steps', async () => {
+    const evaluator = createEvaluator((action, torrent) =>
+      action.type === 'webhook' && torrent.id === '2' ? { success: false } : { success: true }
+    );
+    const executor = new RuleExecutor('auth', async () => evaluator);
+
+    const result = await executor.executeActions(
+      {
+        id: 1,
+        name: 'Notify then archive',
+        actions: [
+          { type: 'webhook', url: 'https://example.com/hook', stopOnFailure: true },
+          { type: 'archive' },
+        ],
+      },
+      torrents
+    );
+
+    expect(evaluator.calls).toEqual(['webhook:1', 'webhook:2', 'archive:1']);
+    expect(result.errorCount).toBe(1);
+    expect(result.steps[0].haltedCount).toBe(1);
+    expect(
+      result.audit.map((e) => [e.stepIndex, e.actionType, e.downloadId, e.outcome, e.reason])
+    ).toEqual([
+      [0, 'webhook', '1', 'success', null],
+      [0, 'webhook', '2', 'failed', 'Action failed'],
+      [1, 'archive', '1', 'success', null],
+    ]);
+  });
+
+  test('audits protected downloads as skipped', async () => {
+    const evaluator = createEvaluator((action, torrent) =>
+      torrent.id === '2' ? { skipped: true, reason: 'protected' } : { success: true }
+    );
+    const executor = new RuleExecutor('auth', async () => evaluator);
+
+    const result = await executor.executeActions(
+      { id: 1, name: 'Cleanup', actions: [{ type: 'delete' }] },
+      torrents
+    );
+
+    expect(result.audit).toEqual([
+      expect.objectContaining({ downloadId: '1', actionType: 'delete', outcome: 'success' }),
+      expect.objectContaining({ downloadId: '2', outcome: 'skipped', reason: 'protected' }),
+    ]);
+    expect(result.audit[0].stepIndex).toBeUndefined();
+  });
+
+  test('re-filters every pipeline step through RuleFilter', async () => {
+    const evaluator = createEvaluator(() => ({ success: true }));
+    const filtered = [];
+    const ruleFilter = {
+      filterTorrents: async (matching, action) => {
+        filtered.push(action.type);
+        return action.type === 'add_airlock' ? matching.filter((t) => t.id === '2') : matching;
+      },
+    };
+    const executor = new RuleExecutor('auth', async () => evaluator, ruleFilter);
+
+    await executor.executeActions(
+      { id: 1, name: 'Pipeline', actions: [{ type: 'add_airlock' }, { type: 'stop_seeding' }] },
+      torrents
+    );
+
+    expect(filtered).toEqual(['add_airlock', 'stop_seeding']);
+    expect(evaluator.calls).toEqual(['add_airlock:2', 'stop_seeding:1', 'stop_seeding:2']);
+  });
+});
+
+describe('RuleMigrationHelper.migrateRuleToActions', () => {
+  test('lifts a legacy single action into an actions list', () => {
+    const migrated = RuleMigrationHelper.migrateRuleToActions({
+      name: 'Old',
+      action: { type: 'delete' },
+    });
+    expect(migrated.actions).toEqual([{ type: 'delete' }]);
+    expect('action' in migrated).toBe(false);
+  });
+
+  test('reads stored action_config arrays and leaves action lists alone', () => {
+    expect(
+      RuleMigrationHelper.migrateRuleToActions({ action_config: [{ type: 'archive' }] }).actions
+    ).toEqual([{ type: 'archive' }]);
+    const rule = { actions: [{ type: 'stop_seeding' }] };
+    expect(RuleMigrationHelper.migrateRuleToActions(rule)).toBe(rule);
+  });
+});
+
+describe('RuleValidator action pipelines', () => {
+  const validator = new RuleValidator('auth', (rule) =>
+    RuleMigrationHelper.migrateRuleToGroups(rule)
+  );
+  const pipelineRule = (actions) => ({
+    name: 'Pipeline',
+    enabled: true,
+    assetTypes: ['torrent'],
+    trigger: { type: 'interval', value: 60 },
+    groups: [{ logicOperator: 'and', conditions: [{ type: 'RATIO', operator: 'gt', value: 1 }] }],
+    actions,
+  });
+
+  test('accepts ordered steps with step conditions', () => {
+    const result = validator.validate(
+      pipelineRule([
+        { type: 'add_tag', tagIds: [1], stopOnFailure: true },
+        { type: 'archive', conditions: [{ type: 'AGE', operator: 'gt', value: 7 }] },
+      ])
+    );
+    expect(result.errors).toEqual([]);
+  });
+
+  test('labels step errors and rejects steps after delete or archive', () => {
+    const { errors } = validator.validate(
+      pipelineRule([
+        { type: 'delete' },
+        { type: 'add_tag', tagIds: [], conditions: [{ type: 'BOGUS', value: 1 }] },
+      ])
+    );
+    expect(errors).toContain('Action 1: delete removes the download and must be the last action');
+    expect(errors).toContain('Action 2: add_tag action requires tagIds to be a non-empty array');
+    expect(errors).toContain('Action 2, condition 0 has invalid type: BOGUS');
+  });
+
+  test('rejects an empty action list', () => {
+    expect(validator.validate(pipelineRule([])).errors).toContain(
+      'Rule must have at least one action'
+    );
+  });
+});
@@ -130,4 +130,31 @@ describe('RuleValidator assetTypes', () => {
       expect(valid).toBe(true);
     }
   });
+
+  test('accepts file conditions for all asset types and checks extension lists', () => {
+    const withConditions = (assetType, conditions) => ({
+      ...baseRule(),
+      assetTypes: [assetType],
+      groups: [{ logicOperator: 'and', conditions }],
+      action: { type: 'add_airlock' },
+    });
+    for (const assetType of ['torrent', 'usenet', 'webdl']) {
+      const { errors } = validator.validate(
+        withConditions(assetType, [
+          { type: 'FILE_EXTENSION', operator: 'is_any_of', value: ['.exe', 'scr'] },
+          { type: 'LARGEST_FILE_SIZE', operator: 'lt', value: 10 },
+          { type: 'FILE_NAME', operator: 'matches_regex', value: '\\.(exe|scr)$' },
+        ])
+      );
+      expect(errors).toEqual([]);
+    }
+
+    const { errors } = validator.validate(
+      withConditions('torrent', [{ type: 'FILE_EXTENSION', operator: 'gt', value: [' '] }])
+    );
+    expect(errors).toEqual([
+      'Group 0, condition 0 (FILE_EXTENSION) value must be a non-empty array of extensions',
+      'Group 0, condition 0 (FILE_EXTENSION) operator must be is_any_of or is_none_of',
+    ]);
+  });
 });
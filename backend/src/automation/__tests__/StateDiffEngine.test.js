@@ -25,6 +25,7 @@ describe('StateDiffEngine', () => {
         last_total_downloaded INTEGER DEFAULT 0,
         last_total_uploaded INTEGER DEFAULT 0,
         last_state TEXT,
+        hash TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       );
@@ -70,4 +71,107 @@ describe('StateDiffEngine', () => {
     const row = db.prepare('SELECT * FROM torrent_shadow WHERE torrent_id = ?').get('1');
     expect(row == null).toBe(true);
   });
+
+  it('reports transitions into terminal states without keeping the shadow row', async () => {
+    await engine.processSnapshot([makeDownloadingTorrent(5, 10, 0)]);
+
+    const completed = {
+      ...makeDownloadingTorrent(5, 10, 0),
+      active: false,
+      download_finished: true,
+      download_present: true,
+    };
+    const changes = await engine.processSnapshot([completed]);
+
+    expect(changes.stateTransitions.length).toBe(0);
+    expect(changes.terminalTransitions).toEqual([
+      expect.objectContaining({ torrent_id: '5', from: 'downloading', to: 'completed' }),
+    ]);
+    const row = db.prepare('SELECT * FROM torrent_shadow WHERE torrent_id = ?').get('5');
+    expect(row == null).toBe(true);
+  });
+
+  it('does not report terminal transitions for untracked torrents', async () => {
+    const changes = await engine.processSnapshot([
+      { id: 9, active: false, download_finished: true, download_present: true },
+    ]);
+
+    expect(changes.new.length).toBe(0);
+    expect(changes.terminalTransitions.length).toBe(0);
+  });
+
+  it('stores the normalized infohash and backfills it on unchanged rows', async () => {
+    db.prepare(
+      `INSERT INTO torrent_shadow (torrent_id, last_total_downloaded, last_total_uploaded, last_state)
+       VALUES ('7', 0, 0, 'downloading')`
+    ).run();
+    const hash = 'ABCDEF0123456789ABCDEF0123456789ABCDEF01';
+
+    const changes = await engine.processSnapshot([
+      { ...makeDownloadingTorrent(7), hash },
+      { ...makeDownloadingTorrent(8), hash: hash.replace('A', 'B') },
+    ]);
+
+    expect(changes.updated.length).toBe(0);
+    const rows = db
+      .prepare('SELECT torrent_id, hash FROM torrent_shadow ORDER BY torrent_id')
+      .all();
+    expect(rows).toEqual([
+      { torrent_id: '7', hash: hash.toLowerCase() },
+      { torrent_id: '8', hash: hash.replace('A', 'B').toLowerCase() },
+    ]);
+  });
+
+  describe('computeListDelta', () => {
+    const row = (id, extra = {}) => ({ id, name: `dl-${id}`, progress: 0, ...extra });
+
+    it('reports added, changed and removed rows, terminal ones included', () => {
+      const { signatures } = StateDiffEngine.computeListDelta(new Map(), [
+        row(1),
+        row(2, { download_finished: true, download_present: true }),
+        row(3),
+      ]);
+
+      const delta = StateDiffEngine.computeListDelta(signatures, [
+        row(1, { progress: 0.5 }),
+        row(2, { download_finished: true, download_present: true }),
+        row(4),
+      ]);
+
+      expect(delta.data.map((item) => item.id)).toEqual([1, 4]);
+      expect(delta.removed).toEqual([3]);
+      expect([...delta.signatures.keys()]).toEqual([1, 2, 4]);
+    });
+
+    it('counts file list changes but not fields the list does not show', () => {
+      const { signatures } = StateDiffEngine.computeListDelta(new Map(), [
+        row(1, { files: [{ id: 0, size: 10 }], total_downloaded: 5 }),
+      ]);
+
+      expect(
+        StateDiffEngine.computeListDelta(signatures, [
+          row(1, { files: [{ id: 0, size: 10 }], total_downloaded: 9 }),
+        ]).data
+      ).toEqual([]);
+      expect(
+        StateDiffEngine.computeListDelta(signatures, [
+          row(1, {
+            files: [
+              { id: 0, size: 10 },
+              { id: 1, size: 2 },
+            ],
+          }),
+        ]).data
+      ).toHaveLength(1);
+    });
+
+    it('keeps rows missing from an incomplete snapshot instead of removing them', () => {
+      const { signatures } = StateDiffEngine.computeListDelta(new Map(), [row(1), row(2)]);
+
+      const delta = StateDiffEngine.computeListDelta(signatures, [row(1)], { complete: false });
+
+      expect(delta.removed).toEqual([]);
+      expect(delta.signatures.has(2)).toBe(true);
+    });
+  });
 });
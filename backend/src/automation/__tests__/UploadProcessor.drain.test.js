@@ -2,6 +2,7 @@ import { afterEach, beforeEach, describe, expect, test } from 'bun:test';
 import UploadProcessor from '../UploadProcessor.js';
 import {
   RATE_LIMIT_DEFERRAL_MESSAGE,
+  TORBOX_UNCACHED_CREATE_LIMIT,
   UNCACHED_RATE_LIMIT_DEFERRAL_MESSAGE,
 } from '../uploadDeferral.js';
 import {
@@ -426,6 +427,117 @@ describe('UploadProcessor drain integration (real claim path)', () => {
     });
   });
 
+  test('urgent lane drains across types before normal and bulk uploads', async () => {
+    await withUserDb(async (userDb) => {
+      const processor = new UploadProcessor(env.userDatabaseManager, env.masterDatabase);
+
+      for (let i = 0; i < 3; i++) {
+        insertQueuedUpload(userDb, { type: 'usenet', name: `bulk-${i}`, queueOrder: i });
+      }
+      insertQueuedUpload(userDb, { type: 'torrent', name: 'normal', queueOrder: 3 });
+      const urgentId = insertQueuedUpload(userDb, { type: 'webdl', name: 'urgent', queueOrder: 4 });
+      userDb.db.prepare(`UPDATE uploads SET priority = 'bulk' WHERE type = 'usenet'`).run();
+      userDb.db.prepare(`UPDATE uploads SET priority = 'urgent' WHERE id = ?`).run(urgentId);
+
+      const order = [];
+      processor._claimAndProcessUpload = async (upload, authId, db) => {
+        order.push(upload.name);
+        db.db.prepare(`UPDATE uploads SET status = 'completed' WHERE id = ?`).run(upload.id);
+        return { userDb: db, outcome: { success: true, stopTypeDrain: false } };
+      };
+
+      const { totalProcessed } = await processor._drainUserQueues(env.authId, userDb);
+      expect(totalProcessed).toBe(5);
+      expect(order).toEqual(['urgent', 'normal', 'bulk-0', 'bulk-1', 'bulk-2']);
+    });
+  });
+
+  test('submits up to max_in_flight uploads of a type concurrently', async () => {
+    await withUserDb(async (userDb) => {
+      const processor = new UploadProcessor(env.userDatabaseManager, env.masterDatabase);
+      userDb.db
+        .prepare(`INSERT INTO upload_type_settings (type, max_in_flight) VALUES ('torrent', 3)`)
+        .run();
+
+      for (let i = 0; i < 5; i++) {
+        insertQueuedUpload(userDb, { type: 'torrent', name: `t-${i}`, queueOrder: i });
+      }
+
+      let inFlight = 0;
+      let peak = 0;
+      processor._claimAndProcessUpload = async (upload, authId, db) => {
+        inFlight++;
+        peak = Math.max(peak, inFlight);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        db.db.prepare(`UPDATE uploads SET status = 'completed' WHERE id = ?`).run(upload.id);
+        inFlight--;
+        return { userDb: db, outcome: { success: true, stopTypeDrain: false } };
+      };
+
+      const { totalProcessed } = await processor._drainUserQueues(env.authId, userDb);
+      expect(totalProcessed).toBe(5);
+      expect(peak).toBe(3);
+    });
+  });
+
+  test('concurrent submits cannot overrun the last uncached create slot', async () => {
+    await withUserDb(async (userDb) => {
+      const processor = new UploadProcessor(env.userDatabaseManager, env.masterDatabase);
+      stubTorboxCreateApi(processor, { delayMs: 5 });
+      userDb.db
+        .prepare(`INSERT INTO upload_type_settings (type, max_in_flight) VALUES ('torrent', 3)`)
+        .run();
+      const insertAttempt = userDb.db.prepare(
+        `
+        INSERT INTO upload_attempts (upload_id, type, status_code, success, is_cached, attempted_at)
+        VALUES (0, 'torrent', 200, 1, 0, datetime('now', '-10 minutes'))
+      `
+      );
+      for (let i = 0; i < TORBOX_UNCACHED_CREATE_LIMIT - 1; i++) {
+        insertAttempt.run();
+      }
+      for (let i = 0; i < 3; i++) {
+        insertQueuedUpload(userDb, { type: 'torrent', name: `t-${i}`, queueOrder: i });
+      }
+
+      await processor._drainUserQueues(env.authId, userDb);
+
+      const completed = userDb.db
+        .prepare(`SELECT COUNT(*) AS n FROM uploads WHERE status = 'completed'`)
+        .get().n;
+      expect(completed).toBe(1);
+      expect(processor._uncachedCreateReservations.size).toBe(0);
+    });
+  });
+
+  test('concurrent submits cannot overrun the last header-reported create', async () => {
+    await withUserDb(async (userDb) => {
+      const processor = new UploadProcessor(env.userDatabaseManager, env.masterDatabase);
+      stubTorboxCreateApi(processor, { delayMs: 5, remaining: 0 });
+      processor.updateRateLimitFromResponse(env.authId, 'torrent', {
+        headers: {
+          'x-ratelimit-limit': '60',
+          'x-ratelimit-remaining': '1',
+          'x-ratelimit-reset': '1800',
+        },
+      });
+      userDb.db
+        .prepare(`INSERT INTO upload_type_settings (type, max_in_flight) VALUES ('torrent', 3)`)
+        .run();
+      for (let i = 0; i < 3; i++) {
+        insertQueuedUpload(userDb, { type: 'torrent', name: `t-${i}`, queueOrder: i });
+      }
+
+      await processor._drainUserQueues(env.authId, userDb);
+
+      const completed = userDb.db
+        .prepare(`SELECT COUNT(*) AS n FROM uploads WHERE status = 'completed'`)
+        .get().n;
+      expect(completed).toBe(1);
+      expect(processor._headerRateLimitReservations.size).toBe(0);
+    });
+  });
+
   test('header quota defers queued uploads when remaining is zero', async () => {
     await withUserDb(async (userDb) => {
       const processor = new UploadProcessor(env.userDatabaseManager, {
@@ -0,0 +1,208 @@
+import { afterEach, beforeEach, describe, expect, test } from 'bun:test';
+import UploadProcessor from '../UploadProcessor.js';
+import { DUPLICATE_UPLOAD_TAG_NAME, findExistingDownloadByHash } from '../uploadDuplicateCheck.js';
+import {
+  cleanupUploadTestEnv,
+  createUploadTestEnv,
+} from '../../routes/__tests__/helpers/uploadTestHelper.js';
+
+const HASH = 'c12fe1c06bba254a9dc9f519b335aa7c1367a88a';
+const MAGNET = `magnet:?xt=urn:btih:${HASH.toUpperCase()}&dn=example`;
+
+describe('UploadProcessor duplicate check', () => {
+  let env;
+
+  beforeEach(async () => {
+    env = await createUploadTestEnv();
+  });
+
+  afterEach(() => {
+    cleanupUploadTestEnv(env);
+  });
+
+  async function withUserDb(fn) {
+    const userDb = await env.userDatabaseManager.getUserDatabase(env.authId);
+    try {
+      return await fn(userDb);
+    } finally {
+      env.userDatabaseManager.releaseConnection(env.authId);
+    }
+  }
+
+  function insertUpload(userDb, columns = {}) {
+    const names = Object.keys(columns);
+    userDb.db
+      .prepare(
+        `
+        INSERT INTO uploads (type, upload_type, url, name, status, queue_order${names.map((n) => `, ${n}`).join('')})
+        VALUES ('torrent', 'magnet', ?, 'example', 'processing', 0${names.map(() => ', ?').join('')})
+      `
+      )
+      .run(MAGNET, ...Object.values(columns));
+    const id = userDb.db.prepare('SELECT last_insert_rowid() as id').get().id;
+    return {
+      ...userDb.db.prepare('SELECT * FROM uploads WHERE id = ?').get(id),
+      authId: env.authId,
+    };
+  }
+
+  function createProcessor(libraryTorrents = []) {
+    const processor = new UploadProcessor(env.userDatabaseManager, {
+      updateUploadCounters: async () => {},
+    });
+    processor.apiCalls = 0;
+    processor.listFetches = 0;
+    processor.getApiClient = async () => ({
+      getTorrents: async () => {
+        processor.listFetches++;
+        return libraryTorrents;
+      },
+    });
+    processor.makeApiRequest = async () => {
+      processor.apiCalls++;
+      return { status: 200, data: { success: true, data: { hash: HASH, torrent_id: 901 } } };
+    };
+    return processor;
+  }
+
+  test('findExistingDownloadByHash prefers the live library over the archive', async () => {
+    await withUserDb(async (userDb) => {
+      expect(findExistingDownloadByHash(userDb.db, HASH)).toBeNull();
+
+      userDb.db
+        .prepare('INSERT INTO archived_downloads (torrent_id, hash, name) VALUES (?, ?, ?)')
+        .run('7', HASH.toUpperCase(), 'Old copy');
+      expect(findExistingDownloadByHash(userDb.db, HASH)).toEqual({
+        source: 'archive',
+        downloadId: '7',
+        name: 'Old copy',
+      });
+
+      userDb.db
+        .prepare('INSERT INTO torrent_shadow (torrent_id, hash) VALUES (?, ?)')
+        .run(42, HASH);
+      expect(findExistingDownloadByHash(userDb.db, HASH)).toMatchObject({
+        source: 'library',
+        downloadId: '42',
+      });
+    });
+  });
+
+  test('skips an upload already in the library without calling TorBox', async () => {
+    await withUserDb(async (userDb) => {
+      userDb.db
+        .prepare('INSERT INTO torrent_shadow (torrent_id, hash) VALUES (?, ?)')
+        .run(42, HASH);
+      const upload = insertUpload(userDb);
+      const processor = createProcessor();
+
+      const result = await processor.processUpload(upload, userDb);
+
+      expect(result).toEqual({ success: false, stopTypeDrain: false });
+      expect(processor.apiCalls).toBe(0);
+      const row = userDb.db
+        .prepare(
+          'SELECT status, error_message, duplicate_of, duplicate_source, torbox_hash FROM uploads WHERE id = ?'
+        )
+        .get(upload.id);
+      expect(row).toEqual({
+        status: 'duplicate',
+        error_message: 'Already in your library (download 42). Skipped.',
+        duplicate_of: '42',
+        duplicate_source: 'library',
+        torbox_hash: HASH,
+      });
+    });
+  });
+
+  test('skips an upload of a finished torrent found in the download list', async () => {
+    await withUserDb(async (userDb) => {
+      userDb.db
+        .prepare('INSERT INTO archived_downloads (torrent_id, hash) VALUES (?, ?)')
+        .run('7', HASH);
+      const processor = createProcessor([
+        {
+          id: 55,
+          hash: HASH.toUpperCase(),
+          name: 'example',
+          active: false,
+          download_finished: true,
+          download_present: true,
+          assetType: 'torrent',
+        },
+      ]);
+
+      const first = insertUpload(userDb);
+      await processor.processUpload(first, userDb);
+      const second = insertUpload(userDb);
+      await processor.processUpload(second, userDb);
+
+      expect(processor.apiCalls).toBe(0);
+      expect(processor.listFetches).toBe(1);
+      const rows = userDb.db
+        .prepare('SELECT status, duplicate_of, duplicate_source FROM uploads ORDER BY id')
+        .all();
+      expect(rows).toEqual([
+        { status: 'duplicate', duplicate_of: '55', duplicate_source: 'library' },
+        { status: 'duplicate', duplicate_of: '55', duplicate_source: 'library' },
+      ]);
+    });
+  });
+
+  test('a failed torrent in the download list does not block a re-upload', async () => {
+    await withUserDb(async (userDb) => {
+      const processor = createProcessor([
+        { id: 55, hash: HASH, active: false, download_state: 'failed', assetType: 'torrent' },
+      ]);
+
+      await processor.processUpload(insertUpload(userDb), userDb);
+
+      expect(processor.apiCalls).toBe(1);
+    });
+  });
+
+  test('readd sends the upload even when it matches the archive', async () => {
+    await withUserDb(async (userDb) => {
+      userDb.db
+        .prepare('INSERT INTO archived_downloads (torrent_id, hash) VALUES (?, ?)')
+        .run('7', HASH);
+      const upload = insertUpload(userDb, { on_duplicate: 'readd' });
+      const processor = createProcessor();
+
+      await processor.processUpload(upload, userDb);
+
+      expect(processor.apiCalls).toBe(1);
+      const row = userDb.db
+        .prepare('SELECT status, duplicate_of FROM uploads WHERE id = ?')
+        .get(upload.id);
+      expect(row).toEqual({ status: 'completed', duplicate_of: null });
+    });
+  });
+
+  test('tag sends the upload and tags the new download', async () => {
+    await withUserDb(async (userDb) => {
+      userDb.db
+        .prepare('INSERT INTO archived_downloads (torrent_id, hash) VALUES (?, ?)')
+        .run('7', HASH);
+      const upload = insertUpload(userDb, { on_duplicate: 'tag' });
+      const processor = createProcessor();
+
+      await processor.processUpload(upload, userDb);
+
+      expect(processor.apiCalls).toBe(1);
+      const row = userDb.db
+        .prepare('SELECT status, duplicate_of, duplicate_source FROM uploads WHERE id = ?')
+        .get(upload.id);
+      expect(row).toEqual({ status: 'completed', duplicate_of: '7', duplicate_source: 'archive' });
+      const tagged = userDb.db
+        .prepare(
+          `
+          SELECT t.name FROM download_tags dt JOIN tags t ON t.id = dt.tag_id
+          WHERE dt.download_id = ?
+        `
+        )
+        .all('901');
+      expect(tagged).toEqual([{ name: DUPLICATE_UPLOAD_TAG_NAME }]);
+    });
+  });
+});
@@ -0,0 +1,231 @@
+import { afterEach, beforeEach, describe, expect, test } from 'bun:test';
+import UploadProcessor from '../UploadProcessor.js';
+import {
+  QUOTA_WAIT_DEFERRAL_MESSAGE,
+  SCHEDULED_UPLOAD_DEFERRAL_MESSAGE,
+  TORBOX_UNCACHED_CREATE_LIMIT,
+  UPLOAD_WINDOW_DEFERRAL_MESSAGE,
+} from '../uploadDeferral.js';
+import { getUploadScheduleDeferral, parseUploadSchedule } from '../uploadSchedule.js';
+import {
+  cleanupUploadTestEnv,
+  createUploadTestEnv,
+} from '../../routes/__tests__/helpers/uploadTestHelper.js';
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+describe('parseUploadSchedule', () => {
+  test('returns empty schedule columns when no fields are set', () => {
+    expect(parseUploadSchedule({})).toEqual({
+      schedule: {
+        scheduled_at: null,
+        window_start: null,
+        window_end: null,
+        window_timezone: null,
+        wait_for_quota: false,
+      },
+      error: null,
+    });
+  });
+
+  test('normalizes scheduled_at to SQL UTC and defaults the window timezone', () => {
+    const { schedule, error } = parseUploadSchedule(
+      {
+        scheduled_at: '2026-03-11T01:30:00+01:00',
+        window_start: '23:00',
+        window_end: '06:00',
+        wait_for_quota: true,
+      },
+      NOW.getTime()
+    );
+    expect(error).toBeNull();
+    expect(schedule).toEqual({
+      scheduled_at: '2026-03-11 00:30:00',
+      window_start: '23:00',
+      window_end: '06:00',
+      window_timezone: 'UTC',
+      wait_for_quota: true,
+    });
+  });
+
+  test('rejects malformed fields', () => {
+    expect(parseUploadSchedule({ scheduled_at: 'tomorrow' }).error).toMatch(/ISO 8601/);
+    expect(
+      parseUploadSchedule({ scheduled_at: '2027-01-01T00:00:00Z' }, NOW.getTime()).error
+    ).toMatch(/within 90 days/);
+    expect(parseUploadSchedule({ window_start: '23:00' }).error).toMatch(/HH:MM/);
+    expect(parseUploadSchedule({ window_start: '02:00', window_end: '02:00' }).error).toMatch(
+      /different/
+    );
+    expect(
+      parseUploadSchedule({ window_start: '01:00', window_end: '05:00', window_timezone: 'Mars' })
+        .error
+    ).toBe('Invalid window_timezone: Mars');
+    expect(parseUploadSchedule({ wait_for_quota: 'yes' }).error).toMatch(/boolean/);
+  });
+});
+
+describe('getUploadScheduleDeferral', () => {
+  test('holds uploads until scheduled_at', () => {
+    expect(getUploadScheduleDeferral({ scheduled_at: '2026-03-10 18:00:00' }, NOW)).toEqual({
+      nextAttemptAt: '2026-03-10 18:00:00',
+      message: SCHEDULED_UPLOAD_DEFERRAL_MESSAGE,
+    });
+    expect(getUploadScheduleDeferral({ scheduled_at: '2026-03-10 11:00:00' }, NOW)).toBeNull();
+  });
+
+  test('holds uploads until their daily window opens in the given timezone', () => {
+    const upload = { window_start: '01:00', window_end: '06:00', window_timezone: 'Europe/Berlin' };
+    expect(getUploadScheduleDeferral(upload, NOW)).toEqual({
+      nextAttemptAt: '2026-03-11 00:00:00',
+      message: UPLOAD_WINDOW_DEFERRAL_MESSAGE,
+    });
+    expect(getUploadScheduleDeferral(upload, new Date('2026-03-11T02:00:00Z'))).toBeNull();
+  });
+});
+
+describe('UploadProcessor scheduled uploads', () => {
+  let env;
+
+  beforeEach(async () => {
+    env = await createUploadTestEnv();
+  });
+
+  afterEach(() => {
+    cleanupUploadTestEnv(env);
+  });
+
+  async function withUserDb(fn) {
+    const userDb = await env.userDatabaseManager.getUserDatabase(env.authId);
+    try {
+      return await fn(userDb);
+    } finally {
+      env.userDatabaseManager.releaseConnection(env.authId);
+    }
+  }
+
+  function insertUpload(userDb, columns = {}) {
+    const names = Object.keys(columns);
+    userDb.db
+      .prepare(
+        `
+        INSERT INTO uploads (type, upload_type, url, name, status, queue_order${names.map((n) => `, ${n}`).join('')})
+        VALUES ('torrent', 'magnet', 'magnet:?xt=urn:btih:abc', 'scheduled', 'processing', 0${names.map(() => ', ?').join('')})
+      `
+      )
+      .run(...Object.values(columns));
+    return userDb.db.prepare('SELECT last_insert_rowid() as id').get().id;
+  }
+
+  function createProcessor() {
+    const processor = new UploadProcessor(env.userDatabaseManager, {
+      updateUploadCounters: async () => {},
+    });
+    processor.apiCalls = 0;
+    processor.getApiClient = async () => ({});
+    processor.makeApiRequest = async () => {
+      processor.apiCalls++;
+      return { status: 200, data: { success: true, data: { hash: 'abc', torrent_id: 1 } } };
+    };
+    return processor;
+  }
+
+  test('getQueuedUploads skips uploads scheduled for later', async () => {
+    await withUserDb(async (userDb) => {
+      insertUpload(userDb, { scheduled_at: '2999-01-01 00:00:00' });
+      userDb.db.prepare(`UPDATE uploads SET status = 'queued'`).run();
+
+      const processor = createProcessor();
+      expect(processor.getQueuedUploads(userDb, env.authId, 'torrent', { limit: 5 })).toEqual([]);
+    });
+  });
+
+  test('defers an upload outside its window without pausing the type', async () => {
+    await withUserDb(async (userDb) => {
+      const hour = new Date().getUTCHours();
+      const window_start = `${String((hour + 2) % 24).padStart(2, '0')}:00`;
+      const window_end = `${String((hour + 3) % 24).padStart(2, '0')}:00`;
+      const uploadId = insertUpload(userDb, { window_start, window_end });
+      const upload = userDb.db.prepare('SELECT * FROM uploads WHERE id = ?').get(uploadId);
+
+      const processor = createProcessor();
+      const result = await processor.processUpload({ ...upload, authId: env.authId }, userDb);
+
+      expect(result).toEqual({ success: false, stopTypeDrain: false });
+      expect(processor.apiCalls).toBe(0);
+      const row = userDb.db
+        .prepare('SELECT status, next_attempt_at, error_message FROM uploads WHERE id = ?')
+        .get(uploadId);
+      expect(row.status).toBe('queued');
+      expect(row.error_message).toBe(UPLOAD_WINDOW_DEFERRAL_MESSAGE);
+      expect(row.next_attempt_at.slice(11, 16)).toBe(window_start);
+    });
+  });
+
+  test('wait-for-quota uploads leave the reserve to other uploads', async () => {
+    await withUserDb(async (userDb) => {
+      const insertAttempt = userDb.db.prepare(
+        `
+        INSERT INTO upload_attempts (upload_id, type, status_code, success, is_cached, attempted_at)
+        VALUES (0, 'torrent', 200, 1, 0, datetime('now', '-10 minutes'))
+      `
+      );
+      for (let i = 0; i < TORBOX_UNCACHED_CREATE_LIMIT - 2; i++) {
+        insertAttempt.run();
+      }
+
+      const waitingId = insertUpload(userDb, { wait_for_quota: 1 });
+      const waiting = userDb.db.prepare('SELECT * FROM uploads WHERE id = ?').get(waitingId);
+      const processor = createProcessor();
+
+      const result = await processor.processUpload({ ...waiting, authId: env.authId }, userDb);
+      expect(result.success).toBe(false);
+      expect(processor.apiCalls).toBe(0);
+      const row = userDb.db
+        .prepare('SELECT next_attempt_at, error_message FROM uploads WHERE id = ?')
+        .get(waitingId);
+      expect(row.error_message).toBe(QUOTA_WAIT_DEFERRAL_MESSAGE);
+      expect(new Date(`${row.next_attempt_at.replace(' ', 'T')}Z`).getTime()).toBeGreaterThan(
+        Date.now() + 45 * 60 * 1000
+      );
+
+      const regularId = insertUpload(userDb);
+      const regular = userDb.db.prepare('SELECT * FROM uploads WHERE id = ?').get(regularId);
+      await processor.processUpload({ ...regular, authId: env.authId }, userDb);
+      expect(processor.apiCalls).toBe(1);
+    });
+  });
+
+  test('wait-for-quota does not hold back uploads TorBox already caches', async () => {
+    await withUserDb(async (userDb) => {
+      const insertAttempt = userDb.db.prepare(
+        `
+        INSERT INTO upload_attempts (upload_id, type, status_code, success, is_cached, attempted_at)
+        VALUES (0, 'torrent', 200, 1, 0, datetime('now', '-10 minutes'))
+      `
+      );
+      for (let i = 0; i < TORBOX_UNCACHED_CREATE_LIMIT - 2; i++) {
+        insertAttempt.run();
+      }
+
+      const cachedHash = 'c'.repeat(40);
+      const uploadId = insertUpload(userDb, { wait_for_quota: 1 });
+      userDb.db
+        .prepare('UPDATE uploads SET url = ? WHERE id = ?')
+        .run(`magnet:?xt=urn:btih:${cachedHash}`, uploadId);
+      const upload = userDb.db.prepare('SELECT * FROM uploads WHERE id = ?').get(uploadId);
+      const processor = createProcessor();
+      const checkedHashes = [];
+      processor.getApiClient = async () => ({
+        checkTorrentCached: async (hash) => {
+          checkedHashes.push(hash);
+          return true;
+        },
+      });
+
+      await processor.processUpload({ ...upload, authId: env.authId }, userDb);
+      expect(checkedHashes).toEqual([cachedHash]);
+      expect(processor.apiCalls).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+import { afterEach, beforeEach, describe, expect, test } from 'bun:test';
+import UploadProcessor from '../UploadProcessor.js';
+import { saveUploadTags, saveUploadTemplate } from '../uploadTemplates.js';
+import {
+  cleanupUploadTestEnv,
+  createUploadTestEnv,
+} from '../../routes/__tests__/helpers/uploadTestHelper.js';
+
+describe('UploadProcessor upload templates', () => {
+  let env;
+
+  beforeEach(async () => {
+    env = await createUploadTestEnv();
+  });
+
+  afterEach(() => {
+    cleanupUploadTestEnv(env);
+  });
+
+  async function withUserDb(fn) {
+    const userDb = await env.userDatabaseManager.getUserDatabase(env.authId);
+    try {
+      return await fn(userDb);
+    } finally {
+      env.userDatabaseManager.releaseConnection(env.authId);
+    }
+  }
+
+  function createTemplate(userDb, overrides = {}) {
+    const tagId = Number(
+      userDb.db.prepare("INSERT INTO tags (name) VALUES ('Templated')").run().lastInsertRowid
+    );
+    return saveUploadTemplate(userDb.db, null, {
+      name: 'Template',
+      seed: null,
+      allow_zip: true,
+      as_queued: false,
+      add_only_if_cached: false,
+      airlock: false,
+      tag_ids: [tagId],
+      ...overrides,
+    });
+  }
+
+  function insertUpload(userDb, templateId) {
+    const id = userDb.db
+      .prepare(
+        `
+        INSERT INTO uploads (type, upload_type, url, name, status, queue_order, template_id)
+        VALUES ('torrent', 'magnet', 'magnet:?xt=urn:btih:abc', 'example', 'processing', 0, ?)
+      `
+      )
+      .run(templateId).lastInsertRowid;
+    return {
+      ...userDb.db.prepare('SELECT * FROM uploads WHERE id = ?').get(id),
+      authId: env.authId,
+    };
+  }
+
+  function createProcessor() {
+    const processor = new UploadProcessor(env.userDatabaseManager, {
+      updateUploadCounters: async () => {},
+    });
+    processor.airlocked = [];
+    processor.getApiClient = async () => ({
+      setAirlock: async (download, airlocked) => {
+        processor.airlocked.push({ ...download, airlocked });
+        return { success: true };
+      },
+    });
+    processor.makeApiRequest = async () => ({
+      status: 200,
+      data: { success: true, data: { hash: 'abc', torrent_id: 901 } },
+    });
+    return processor;
+  }
+
+  test('tags and airlocks the new download from the upload template', async () => {
+    await withUserDb(async (userDb) => {
+      const template = createTemplate(userDb, { airlock: true });
+      const processor = createProcessor();
+
+      await processor.processUpload(insertUpload(userDb, template.id), userDb);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      const tagIds = userDb.db
+        .prepare('SELECT tag_id FROM download_tags WHERE download_id = ?')
+        .all('901')
+        .map((row) => row.tag_id);
+      expect(tagIds).toEqual(template.tag_ids);
+      expect(processor.airlocked).toEqual([{ id: 901, assetType: 'torrent', airlocked: true }]);
+    });
+  });
+
+  test('leaves airlock alone when the template does not ask for it', async () => {
+    await withUserDb(async (userDb) => {
+      const template = createTemplate(userDb);
+      const processor = createProcessor();
+
+      await processor.processUpload(insertUpload(userDb, template.id), userDb);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(
+        userDb.db
+          .prepare('SELECT COUNT(*) AS n FROM download_tags WHERE download_id = ?')
+          .get('901').n
+      ).toBe(1);
+      expect(processor.airlocked).toEqual([]);
+    });
+  });
+
+  test('adds tags the upload names itself when it has no template', async () => {
+    await withUserDb(async (userDb) => {
+      const tagId = Number(
+        userDb.db.prepare("INSERT INTO tags (name) VALUES ('tv-sonarr')").run().lastInsertRowid
+      );
+      const upload = insertUpload(userDb, null);
+      saveUploadTags(userDb.db, upload.id, [tagId]);
+
+      await createProcessor().processUpload(upload, userDb);
+
+      expect(
+        userDb.db
+          .prepare('SELECT tag_id FROM download_tags WHERE download_id = ?')
+          .all('901')
+          .map((row) => row.tag_id)
+      ).toEqual([tagId]);
+    });
+  });
+});
@@ -0,0 +1,224 @@
+import { describe, expect, test, beforeEach, afterEach, mock } from 'bun:test';
+import { Database } from 'bun:sqlite';
+import RuleEvaluator from '../RuleEvaluator.js';
+import AutomationEngine from '../AutomationEngine.js';
+import {
+  buildRestoreSource,
+  listRestorePoints,
+  recordRestorePoint,
+} from '../helpers/downloadRestorePoints.js';
+import { up as archivedUp } from '../../database/migrations/user/005_archived_downloads_schema.js';
+import { up as tagsUp } from '../../database/migrations/user/007_tags_schema.js';
+import { up as downloadTagsUp } from '../../database/migrations/user/008_download_tags_schema.js';
+import { up as protectedUp } from '../../database/migrations/user/020_protected_downloads_schema.js';
+import { up as restorePointsUp } from '../../database/migrations/user/028_download_restore_points.js';
+import { up as tagHierarchyUp } from '../../database/migrations/user/035_tag_hierarchy.js';
+
+const torrent = {
+  id: 42,
+  hash: 'abcdef',
+  name: 'Some Release',
+  tracker: 'udp://tracker.example:1337/announce',
+  airlocked: true,
+  assetType: 'torrent',
+};
+
+describe('download restore points', () => {
+  /** @type {import('bun:sqlite').Database} */
+  let db;
+  const originalWindow = process.env.AUTOMATION_UNDO_WINDOW_HOURS;
+
+  beforeEach(() => {
+    delete process.env.AUTOMATION_UNDO_WINDOW_HOURS;
+    db = new Database(':memory:');
+    archivedUp(db);
+    tagsUp(db);
+    downloadTagsUp(db);
+    protectedUp(db);
+    restorePointsUp(db);
+    tagHierarchyUp(db);
+    db.prepare("INSERT INTO tags (id, name) VALUES (1, 'movies'), (2, 'keep')").run();
+    db.prepare("INSERT INTO download_tags (tag_id, download_id) VALUES (1, '42'), (2, '42')").run();
+  });
+
+  afterEach(() => {
+    if (originalWindow === undefined) {
+      delete process.env.AUTOMATION_UNDO_WINDOW_HOURS;
+    } else {
+      process.env.AUTOMATION_UNDO_WINDOW_HOURS = originalWindow;
+    }
+    db.close();
+  });
+
+  const record = (overrides = {}, now) =>
+    recordRestorePoint(
+      db,
+      {
+        rule: { id: 7, name: 'Cleanup' },
+        actionType: 'delete',
+        download: torrent,
+        downloadId: '42',
+        assetType: 'torrent',
+        airlocked: true,
+        ...overrides,
+      },
+      now
+    );
+
+  test('builds a magnet from hash, name and tracker; web downloads use their URL', () => {
+    expect(buildRestoreSource(torrent, 'torrent')).toBe(
+      'magnet:?xt=urn:btih:abcdef&dn=Some%20Release&tr=udp%3A%2F%2Ftracker.example%3A1337%2Fannounce'
+    );
+    expect(buildRestoreSource({ original_url: 'https://host/file.zip' }, 'webdl')).toBe(
+      'https://host/file.zip'
+    );
+    expect(buildRestoreSource({ id: 1, hash: 'abc' }, 'usenet')).toBeNull();
+  });
+
+  test('snapshots tags and airlock state', () => {
+    const id = record();
+    const [point] = listRestorePoints(db);
+    expect(point).toMatchObject({
+      id,
+      rule_name: 'Cleanup',
+      action_type: 'delete',
+      download_id: '42',
+      tag_ids: [1, 2],
+      airlocked: true,
+    });
+  });
+
+  test('skips usenet downloads and a zero undo window', () => {
+    expect(record({ assetType: 'usenet' })).toBeNull();
+    process.env.AUTOMATION_UNDO_WINDOW_HOURS = '0';
+    expect(record()).toBeNull();
+    expect(listRestorePoints(db)).toEqual([]);
+  });
+
+  test('expired restore points are hidden and pruned by the next write', () => {
+    record({}, new Date('2020-01-01T00:00:00Z'));
+    expect(listRestorePoints(db)).toEqual([]);
+    record();
+    expect(db.prepare('SELECT COUNT(*) AS n FROM download_restore_points').get().n).toBe(1);
+  });
+
+  test('RuleEvaluator records a restore point only when the delete succeeds', async () => {
+    const apiClient = {
+      deleteDownload: mock(() => Promise.resolve({ success: true })),
+    };
+    const evaluator = new RuleEvaluator(db, apiClient);
+    await evaluator.executeAction({ type: 'delete' }, torrent, { rule: { id: 7, name: 'X' } });
+    expect(listRestorePoints(db)).toHaveLength(1);
+
+    apiClient.deleteDownload = mock(() =>
+      Promise.resolve({ success: false, isConnectionError: true })
+    );
+    await evaluator.executeAction({ type: 'delete' }, { ...torrent, id: 43 }, {});
+    expect(listRestorePoints(db)).toHaveLength(1);
+  });
+
+  describe('AutomationEngine.restoreDownload', () => {
+    function createEngine(apiClient) {
+      return new AutomationEngine(
+        'test-auth',
+        'encrypted',
+        { getUserDatabase: async () => ({ db }) },
+        null,
+        apiClient
+      );
+    }
+
+    test('re-adds the torrent and reapplies tags and airlock', async () => {
+      const restorePointId = record({ actionType: 'archive' });
+      db.prepare(
+        "INSERT INTO archived_downloads (torrent_id, hash, name) VALUES (42, 'abcdef', 'Some Release')"
+      ).run();
+      const apiClient = {
+        createTorrent: mock(() => Promise.resolve({ success: true, data: { torrent_id: 99 } })),
+        setAirlock: mock(() => Promise.resolve({ success: true })),
+      };
+
+      const result = await createEngine(apiClient).restoreDownload(restorePointId);
+
+      expect(result).toEqual({
+        restorePointId,
+        downloadId: '99',
+        assetType: 'torrent',
+        tagsRestored: 2,
+        airlockRestored: true,
+      });
+      expect(apiClient.createTorrent.mock.calls[0]).toEqual([
+        buildRestoreSource(torrent, 'torrent'),
+        { name: 'Some Release' },
+      ]);
+      expect(apiClient.setAirlock.mock.calls[0]).toEqual([
+        { id: '99', assetType: 'torrent' },
+        true,
+      ]);
+      expect(
+        db
+          .prepare("SELECT tag_id FROM download_tags WHERE download_id = '99' ORDER BY tag_id")
+          .all()
+      ).toEqual([{ tag_id: 1 }, { tag_id: 2 }]);
+      expect(db.prepare('SELECT COUNT(*) AS n FROM archived_downloads').get().n).toBe(0);
+      expect(listRestorePoints(db)).toEqual([]);
+    });
+
+    test('rejects unknown, restored and expired restore points', async () => {
+      const apiClient = {
+        createTorrent: mock(() => Promise.resolve({ success: true, data: { torrent_id: 99 } })),
+        setAirlock: mock(() => Promise.resolve({ success: true })),
+      };
+      const engine = createEngine(apiClient);
+
+      await expect(engine.restoreDownload(1234)).rejects.toMatchObject({ statusCode: 404 });
+
+      const restorePointId = record();
+      await engine.restoreDownload(restorePointId);
+      await expect(engine.restoreDownload(restorePointId)).rejects.toMatchObject({
+        statusCode: 409,
+      });
+
+      const expiredId = record({}, new Date('2020-01-01T00:00:00Z'));
+      await expect(engine.restoreDownload(expiredId)).rejects.toMatchObject({ statusCode: 410 });
+      expect(apiClient.createTorrent).toHaveBeenCalledTimes(1);
+    });
+
+    test('overlapping restores of the same point re-add the download only once', async () => {
+      const restorePointId = record();
+      const apiClient = {
+        createTorrent: mock(() => Promise.resolve({ success: true, data: { torrent_id: 99 } })),
+        setAirlock: mock(() => Promise.resolve({ success: true })),
+      };
+      const engine = createEngine(apiClient);
+
+      const results = await Promise.allSettled([
+        engine.restoreDownload(restorePointId),
+        engine.restoreDownload(restorePointId),
+      ]);
+
+      expect(results.map((r) => r.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(results.find((r) => r.status === 'rejected').reason.statusCode).toBe(409);
+      expect(apiClient.createTorrent).toHaveBeenCalledTimes(1);
+    });
+
+    test('a failed re-add releases the restore point for a retry', async () => {
+      const restorePointId = record();
+      const apiClient = {
+        createTorrent: mock(() => Promise.reject(new Error('TorBox unavailable'))),
+        setAirlock: mock(() => Promise.resolve({ success: true })),
+      };
+      const engine = createEngine(apiClient);
+
+      await expect(engine.restoreDownload(restorePointId)).rejects.toThrow('TorBox unavailable');
+      expect(listRestorePoints(db)).toHaveLength(1);
+
+      apiClient.createTorrent = mock(() =>
+        Promise.resolve({ success: true, data: { torrent_id: 99 } })
+      );
+      await expect(engine.restoreDownload(restorePointId)).resolves.toMatchObject({
+        downloadId: '99',
+      });
+    });
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, expect, test } from 'bun:test';
+import {
+  buildRuleBundle,
+  collectRuleTagIds,
+  mapRuleTagIds,
+  parseRuleBundle,
+  RULE_BUNDLE_FORMAT,
+  RULE_BUNDLE_VERSION,
+} from '../helpers/ruleBundle.js';
+
+const storedRule = {
+  id: 7,
+  name: 'Tag and archive',
+  enabled: true,
+  assetTypes: ['torrent'],
+  trigger: { type: 'tag_added', tagIds: [3] },
+  logicOperator: 'and',
+  groups: [
+    {
+      _key: 'g1',
+      logicOperator: 'and',
+      conditions: [{ _key: 'c1', type: 'TAGS', operator: 'has_any', value: [4] }],
+    },
+  ],
+  actions: [{ type: 'add_tag', tagIds: [5] }, { type: 'archive' }],
+  metadata: { createdAt: 1 },
+  execution_count: 12,
+  last_executed_at: '2026-01-01 00:00:00',
+};
+
+describe('rule bundles', () => {
+  test('collects tag ids from triggers, conditions and tag actions', () => {
+    expect(collectRuleTagIds(storedRule).sort()).toEqual([3, 4, 5]);
+  });
+
+  test('maps every tag reference', () => {
+    const mapped = mapRuleTagIds(storedRule, (id) => id * 10);
+    expect(mapped.trigger.tagIds).toEqual([30]);
+    expect(mapped.groups[0].conditions[0].value).toEqual([40]);
+    expect(mapped.actions[0].tagIds).toEqual([50]);
+    expect(storedRule.actions[0].tagIds).toEqual([5]);
+  });
+
+  test('exports portable rules with only referenced tags', () => {
+    const bundle = buildRuleBundle(
+      [storedRule],
+      [
+        { id: 3, name: 'New', created_at: 'x' },
+        { id: 4, name: 'Keep' },
+        { id: 5, name: 'Done' },
+        { id: 6, name: 'Unused' },
+      ]
+    );
+
+    expect(bundle.format).toBe(RULE_BUNDLE_FORMAT);
+    expect(bundle.tags.map((tag) => tag.name)).toEqual(['New', 'Keep', 'Done']);
+    const [rule] = bundle.rules;
+    expect(rule.id).toBeUndefined();
+    expect(rule.metadata).toBeUndefined();
+    expect(rule.execution_count).toBeUndefined();
+    expect(rule.groups[0]._key).toBeUndefined();
+    expect(rule.groups[0].conditions[0]._key).toBeUndefined();
+  });
+
+  test('parses bundles and upgrades legacy single-action rules', () => {
+    const { rules, tagNamesById } = parseRuleBundle({
+      format: RULE_BUNDLE_FORMAT,
+      version: RULE_BUNDLE_VERSION,
+      rules: [{ id: 1, name: 'Old', action: { type: 'delete' }, conditions: [] }],
+      tags: [{ id: 2, name: ' Spaced ' }],
+    });
+
+    expect(rules[0].actions).toEqual([{ type: 'delete' }]);
+    expect(rules[0].id).toBeUndefined();
+    expect(tagNamesById.get(2)).toBe('Spaced');
+  });
+
+  test('rejects malformed bundles as validation errors', () => {
+    const parse = (bundle) => () => parseRuleBundle(bundle);
+    expect(parse(null)).toThrow('bundle must be an object');
+    expect(parse({ format: 'other', version: 1, rules: [{}] })).toThrow('bundle format must be');
+    expect(parse({ format: RULE_BUNDLE_FORMAT, version: 2, rules: [{}] })).toThrow(
+      'Unsupported bundle version: 2'
+    );
+    expect(parse({ format: RULE_BUNDLE_FORMAT, version: 1, rules: [] })).toThrow(
+      'at least one rule'
+    );
+    try {
+      parseRuleBundle({ format: RULE_BUNDLE_FORMAT, version: 1, rules: [{}], tags: [{ id: 1 }] });
+    } catch (error) {
+      expect(error.isValidationError).toBe(true);
+    }
+  });
+});
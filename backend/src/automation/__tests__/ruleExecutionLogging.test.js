@@ -1,5 +1,7 @@
 import { describe, expect, test } from 'bun:test';
 import {
+  accumulateStepResults,
+  buildExecutionLogDetails,
   buildRuleExecutionMessage,
   shouldRecordRuleExecution,
 } from '../helpers/ruleExecutionLogging.js';
@@ -14,4 +16,55 @@ describe('ruleExecutionLogging', () => {
   test('shouldRecordRuleExecution when only protected skips occurred', () => {
     expect(shouldRecordRuleExecution({ successCount: 0, protectedSkippedCount: 1 })).toBe(true);
   });
+
+  test('webhook batches report deliveries and are recorded even when all fail', () => {
+    const failed = { actionType: 'webhook', successCount: 0, errorCount: 2 };
+    expect(shouldRecordRuleExecution(failed)).toBe(true);
+    expect(buildRuleExecutionMessage(failed)).toBe(
+      '0 webhook(s) delivered; 2 webhook delivery(ies) failed'
+    );
+    expect(
+      shouldRecordRuleExecution({ actionType: 'delete', successCount: 0, errorCount: 2 })
+    ).toBe(false);
+  });
+
+  test('pipelines log one row per step; single actions only carry their type', () => {
+    const steps = [
+      { index: 0, actionType: 'add_tag', successCount: 2, errorCount: 0 },
+      { index: 1, actionType: 'webhook', successCount: 0, errorCount: 2, haltedCount: 0 },
+    ];
+    expect(
+      shouldRecordRuleExecution({ successCount: 0, errorCount: 2, steps: [steps[1], steps[1]] })
+    ).toBe(true);
+    expect(buildExecutionLogDetails({ steps })).toEqual({
+      actionType: null,
+      steps: [
+        { index: 0, actionType: 'add_tag', itemsProcessed: 2, success: true, errorMessage: null },
+        {
+          index: 1,
+          actionType: 'webhook',
+          itemsProcessed: 0,
+          success: false,
+          errorMessage: '0 webhook(s) delivered; 2 webhook delivery(ies) failed',
+        },
+      ],
+    });
+    expect(buildExecutionLogDetails({ actionType: 'delete', steps: [steps[0]] })).toEqual({
+      actionType: 'delete',
+      steps: [],
+    });
+  });
+
+  test('accumulateStepResults sums chunk counts by step index', () => {
+    const totals = [];
+    accumulateStepResults(totals, [
+      { index: 0, actionType: 'archive', successCount: 1, errorCount: 0 },
+    ]);
+    accumulateStepResults(totals, [
+      { index: 0, actionType: 'archive', successCount: 2, errorCount: 1 },
+    ]);
+    expect(totals).toMatchObject([
+      { index: 0, actionType: 'archive', successCount: 3, errorCount: 1 },
+    ]);
+  });
 });
@@ -0,0 +1,214 @@
+import { describe, it, expect } from 'bun:test';
+import AutomationEngine from '../AutomationEngine.js';
+import PollingIntervalCalculator from '../helpers/PollingIntervalCalculator.js';
+import RuleValidator from '../helpers/RuleValidator.js';
+import RuleMigrationHelper from '../helpers/RuleMigrationHelper.js';
+import {
+  getNextRunTimes,
+  isWithinScheduleWindow,
+  parseCronExpression,
+  validateScheduleTrigger,
+} from '../helpers/ruleSchedule.js';
+
+const iso = (dates) => dates.map((d) => d.toISOString());
+
+describe('parseCronExpression', () => {
+  it('parses lists, ranges, steps and names', () => {
+    const schedule = parseCronExpression('0,30 2-4 */10 JAN-MAR mon-fri');
+    expect([...schedule.minutes]).toEqual([0, 30]);
+    expect([...schedule.hours]).toEqual([2, 3, 4]);
+    expect([...schedule.days]).toEqual([1, 11, 21, 31]);
+    expect([...schedule.months]).toEqual([1, 2, 3]);
+    expect([...schedule.weekdays]).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('expands macros and maps weekday 7 to Sunday', () => {
+    expect([...parseCronExpression('@daily').hours]).toEqual([0]);
+    expect([...parseCronExpression('0 0 * * 7').weekdays]).toEqual([0]);
+  });
+
+  it('rejects malformed expressions', () => {
+    expect(() => parseCronExpression('')).toThrow();
+    expect(() => parseCronExpression('* * * *')).toThrow('5 fields');
+    expect(() => parseCronExpression('60 * * * *')).toThrow('out of range');
+    expect(() => parseCronExpression('*/0 * * * *')).toThrow('step');
+    expect(() => parseCronExpression('5-1 * * * *')).toThrow('range');
+  });
+});
+
+describe('getNextRunTimes', () => {
+  const from = new Date('2026-06-01T12:00:00Z');
+
+  it('returns runs in the trigger timezone', () => {
+    const runs = getNextRunTimes(
+      { type: 'cron', expression: '0 3 * * *', timezone: 'Europe/Berlin' },
+      { from, count: 2 }
+    );
+    // 03:00 CEST is 01:00 UTC
+    expect(iso(runs)).toEqual(['2026-06-02T01:00:00.000Z', '2026-06-03T01:00:00.000Z']);
+  });
+
+  it('matches either day field when both are restricted', () => {
+    // 2026-06-01 is a Monday
+    const runs = getNextRunTimes({ type: 'cron', expression: '0 0 15 * FRI' }, { from, count: 3 });
+    expect(iso(runs)).toEqual([
+      '2026-06-05T00:00:00.000Z',
+      '2026-06-12T00:00:00.000Z',
+      '2026-06-15T00:00:00.000Z',
+    ]);
+  });
+
+  it('skips runs outside the active window, including windows that wrap midnight', () => {
+    const runs = getNextRunTimes(
+      { type: 'cron', expression: '0 * * * *', window: { start: '23:00', end: '01:00' } },
+      { from, count: 3 }
+    );
+    expect(iso(runs)).toEqual([
+      '2026-06-01T23:00:00.000Z',
+      '2026-06-02T00:00:00.000Z',
+      '2026-06-02T23:00:00.000Z',
+    ]);
+  });
+
+  it('skips whole days across DST changes', () => {
+    // Europe/Berlin springs forward on 2026-03-29 (23 hours) and falls back on 2026-10-25 (25 hours)
+    const monday = getNextRunTimes(
+      { type: 'cron', expression: '0 0 * * 1', timezone: 'Europe/Berlin' },
+      { from: new Date('2026-03-28T23:30:00Z'), count: 1 }
+    );
+    expect(iso(monday)).toEqual(['2026-03-29T22:00:00.000Z']);
+
+    const nightly = getNextRunTimes(
+      { type: 'cron', expression: '5 0 * * *', timezone: 'Europe/Berlin' },
+      { from: new Date('2026-10-24T22:30:00Z'), count: 2 }
+    );
+    expect(iso(nightly)).toEqual(['2026-10-25T23:05:00.000Z', '2026-10-26T23:05:00.000Z']);
+
+    // America/Santiago has no local midnight on 2026-09-06: the day starts at 01:00
+    const santiago = getNextRunTimes(
+      { type: 'cron', expression: '30 1 6 9 *', timezone: 'America/Santiago' },
+      { from: new Date('2026-09-05T12:00:00Z'), count: 1 }
+    );
+    expect(iso(santiago)).toEqual(['2026-09-06T04:30:00.000Z']);
+  });
+
+  it('returns nothing for interval triggers and invalid expressions', () => {
+    expect(getNextRunTimes({ type: 'interval', value: 30 }, { from })).toEqual([]);
+    expect(getNextRunTimes({ type: 'cron', expression: 'nope' }, { from })).toEqual([]);
+  });
+});
+
+describe('isWithinScheduleWindow', () => {
+  const trigger = { type: 'interval', value: 30, window: { start: '02:00', end: '06:00' } };
+
+  it('checks the window in the trigger timezone', () => {
+    expect(isWithinScheduleWindow(trigger, new Date('2026-06-01T03:00:00Z'))).toBe(true);
+    expect(isWithinScheduleWindow(trigger, new Date('2026-06-01T06:00:00Z'))).toBe(false);
+    expect(
+      isWithinScheduleWindow(
+        { ...trigger, timezone: 'America/New_York' },
+        new Date('2026-06-01T07:30:00Z')
+      )
+    ).toBe(true);
+  });
+
+  it('is always open without a window', () => {
+    expect(isWithinScheduleWindow({ type: 'interval', value: 30 })).toBe(true);
+  });
+});
+
+describe('validateScheduleTrigger', () => {
+  it('rejects bad timezones, windows and too-frequent cron runs', () => {
+    expect(validateScheduleTrigger({ type: 'cron', expression: '0 3 * * *' }, 30)).toEqual([]);
+    expect(
+      validateScheduleTrigger({ type: 'cron', expression: '0 3 * * *', timezone: 'Mars/Base' })
+    ).toEqual(['Invalid timezone: Mars/Base']);
+    expect(
+      validateScheduleTrigger({
+        type: 'interval',
+        value: 30,
+        window: { start: '2am', end: '06:00' },
+      })
+    ).toHaveLength(1);
+    expect(validateScheduleTrigger({ type: 'cron', expression: '*/10 * * * *' }, 30)[0]).toContain(
+      'more often than every 30 minutes'
+    );
+  });
+
+  it('is wired into RuleValidator', () => {
+    const validator = new RuleValidator('test-auth', (rule) =>
+      RuleMigrationHelper.migrateRuleToGroups(rule)
+    );
+    const rule = (trigger) => ({
+      name: 'Nightly',
+      enabled: true,
+      assetTypes: ['torrent'],
+      trigger,
+      groups: [{ logicOperator: 'and', conditions: [{ type: 'RATIO', operator: 'gt', value: 1 }] }],
+      action: { type: 'delete' },
+    });
+
+    expect(validator.validate(rule({ type: 'cron', expression: '0 3 * * *' })).valid).toBe(true);
+    expect(validator.validate(rule({ type: 'cron' })).errors).toContain(
+      'Cron expression must be a non-empty string'
+    );
+    expect(
+      validator.validate(rule({ type: 'download_added', window: { start: '02:00', end: '06:00' } }))
+        .valid
+    ).toBe(false);
+  });
+});
+
+describe('AutomationEngine schedule gating', () => {
+  const engine = new AutomationEngine(
+    'test-auth',
+    'encrypted',
+    { getUserDatabase: async () => ({ db: null }) },
+    null,
+    {}
+  );
+  const sqlite = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+  it('runs a cron rule once a run has passed since the last evaluation', () => {
+    const trigger = { type: 'cron', expression: '*/30 * * * *' };
+    const lastHour = sqlite(new Date(Date.now() - 60 * 60 * 1000));
+    expect(engine.shouldSkipRuleEvaluation({ trigger, last_evaluated_at: lastHour })).toBe(false);
+
+    const justNow = sqlite(new Date());
+    const nightly = { type: 'cron', expression: '0 3 1 1 *' };
+    expect(engine.shouldSkipRuleEvaluation({ trigger: nightly, last_evaluated_at: justNow })).toBe(
+      true
+    );
+  });
+
+  it('counts a never-evaluated cron rule from its last save', () => {
+    const trigger = { type: 'cron', expression: '0 3 1 1 *' };
+    expect(engine.shouldSkipRuleEvaluation({ trigger, updated_at: sqlite(new Date()) })).toBe(true);
+  });
+
+  it('skips interval rules outside their active window', () => {
+    const hour = new Date().getUTCHours();
+    const closed = {
+      type: 'interval',
+      value: 30,
+      window: {
+        start: `${String((hour + 2) % 24).padStart(2, '0')}:00`,
+        end: `${String((hour + 3) % 24).padStart(2, '0')}:00`,
+      },
+    };
+    expect(engine.shouldSkipRuleEvaluation({ trigger: closed })).toBe(true);
+    expect(engine._computeNextScheduledRunAt([{ trigger: closed }]).getUTCHours()).toBe(
+      (hour + 2) % 24
+    );
+  });
+
+  it('the poller wakes up for the next scheduled run', () => {
+    const now = Date.now();
+    const nextPollAt = PollingIntervalCalculator.calculateNextPollAt('test-auth', 'idle', 0, null, {
+      nextScheduledRunAt: new Date(now + 40 * 60 * 1000),
+    });
+    const minutes = (nextPollAt.getTime() - now) / 60000;
+    expect(minutes).toBeGreaterThanOrEqual(39.9);
+    expect(minutes).toBeLessThan(41);
+  });
+});
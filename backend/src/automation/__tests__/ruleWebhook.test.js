@@ -0,0 +1,155 @@
+import { describe, it, expect } from 'bun:test';
+import RuleValidator from '../helpers/RuleValidator.js';
+import RuleMigrationHelper from '../helpers/RuleMigrationHelper.js';
+import {
+  buildWebhookContext,
+  buildWebhookRequest,
+  renderWebhookTemplate,
+  sendWebhook,
+  validateWebhookAction,
+} from '../helpers/ruleWebhook.js';
+
+const context = buildWebhookContext(
+  { id: 4, name: 'Purge "old" seeds' },
+  { id: 12, name: 'Some.Release', hash: 'deadbeef', size: 3 * 1024 ** 3, assetType: 'torrent' },
+  'seeding'
+);
+
+const publicLookup = async () => [{ address: '93.184.216.34', family: 4 }];
+
+describe('buildWebhookRequest', () => {
+  it('sends rule and download details in the generic payload', () => {
+    const { url, payload } = buildWebhookRequest({ url: 'https://hooks.example.com/x' }, context);
+    expect(url).toBe('https://hooks.example.com/x');
+    expect(payload).toMatchObject({
+      event: 'automation_rule_matched',
+      rule: { id: 4, name: 'Purge "old" seeds' },
+      download: { name: 'Some.Release', hash: 'deadbeef', status: 'seeding', size: 3 * 1024 ** 3 },
+    });
+  });
+
+  it('formats a Discord embed', () => {
+    const { payload } = buildWebhookRequest(
+      { url: 'https://discord.com/api/webhooks/1/abc', format: 'discord' },
+      context
+    );
+    const [embed] = payload.embeds;
+    expect(embed.description).toBe('Some.Release');
+    expect(embed.fields).toContainEqual({ name: 'Size', value: '3.00 GB', inline: true });
+    expect(embed.fields).toContainEqual({ name: 'Hash', value: 'deadbeef' });
+  });
+
+  it('publishes ntfy messages to the server root with the topic in the body', () => {
+    const { url, payload } = buildWebhookRequest(
+      { url: 'https://ntfy.example.com/base/alerts', format: 'ntfy' },
+      context
+    );
+    expect(url).toBe('https://ntfy.example.com/base');
+    expect(payload.topic).toBe('alerts');
+    expect(payload.message).toContain('Some.Release');
+  });
+
+  it('renders templates with JSON-escaped values', () => {
+    const payload = renderWebhookTemplate(
+      '{"text": "{{rule.name}}: {{ download.name }} ({{download.size}})"}',
+      context
+    );
+    expect(payload.text).toBe(`Purge "old" seeds: Some.Release (${3 * 1024 ** 3})`);
+    expect(() => renderWebhookTemplate('{"x": "{{download.secret}}"}', context)).toThrow(
+      'Unknown webhook template placeholder'
+    );
+  });
+});
+
+describe('validateWebhookAction', () => {
+  it('requires a public HTTPS url and a known format', () => {
+    expect(validateWebhookAction({ type: 'webhook', url: 'https://hooks.example.com/x' })).toEqual(
+      []
+    );
+    expect(validateWebhookAction({ type: 'webhook' })).toEqual(['webhook action requires a url']);
+    expect(validateWebhookAction({ type: 'webhook', url: 'https://127.0.0.1/x' })[0]).toContain(
+      'not allowed'
+    );
+    expect(
+      validateWebhookAction({ type: 'webhook', url: 'https://hooks.example.com', format: 'irc' })
+    ).toHaveLength(1);
+    expect(
+      validateWebhookAction({ type: 'webhook', url: 'https://ntfy.sh/', format: 'ntfy' })[0]
+    ).toContain('topic');
+  });
+
+  it('checks templates render to JSON', () => {
+    expect(
+      validateWebhookAction({
+        type: 'webhook',
+        url: 'https://hooks.example.com/x',
+        template: '{"text": {{rule.name}}}',
+      })
+    ).toEqual(['Webhook template must render to valid JSON']);
+  });
+
+  it('is wired into RuleValidator', () => {
+    const validator = new RuleValidator('test-auth', (rule) =>
+      RuleMigrationHelper.migrateRuleToGroups(rule)
+    );
+    const rule = (action) => ({
+      name: 'Notify',
+      enabled: true,
+      assetTypes: ['usenet'],
+      trigger: { type: 'download_added' },
+      groups: [
+        { logicOperator: 'and', conditions: [{ type: 'NAME', operator: 'contains', value: 'a' }] },
+      ],
+      action,
+    });
+    expect(
+      validator.validate(rule({ type: 'webhook', url: 'https://hooks.example.com/x' })).valid
+    ).toBe(true);
+    expect(
+      validator.validate(rule({ type: 'webhook', url: 'http://hooks.example.com' })).valid
+    ).toBe(false);
+  });
+});
+
+describe('sendWebhook', () => {
+  it('POSTs JSON and reports delivery', async () => {
+    let request;
+    const fetchImpl = async (url, opts) => {
+      request = { url, ...opts };
+      return {
+        ok: true,
+        status: 204,
+        headers: { get: () => null },
+        body: null,
+        text: async () => '',
+      };
+    };
+    const result = await sendWebhook({ url: 'https://hooks.example.com/x' }, context, {
+      lookup: publicLookup,
+      fetchImpl,
+    });
+    expect(result).toMatchObject({ success: true, status: 204 });
+    expect(request.method).toBe('POST');
+    expect(request.headers['Content-Type']).toBe('application/json');
+    expect(JSON.parse(request.body).rule.name).toBe('Purge "old" seeds');
+  });
+
+  it('treats non-2xx responses as soft failures', async () => {
+    const fetchImpl = async () => ({
+      ok: false,
+      status: 429,
+      headers: { get: () => null },
+      body: null,
+      text: async () => 'slow down',
+    });
+    const result = await sendWebhook({ url: 'https://hooks.example.com/x' }, context, {
+      lookup: publicLookup,
+      fetchImpl,
+    });
+    expect(result).toEqual({
+      success: false,
+      status: 429,
+      error: 'Webhook responded with status 429',
+    });
+  });
+});
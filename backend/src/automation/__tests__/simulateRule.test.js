@@ -0,0 +1,165 @@
+import { describe, it, expect } from 'bun:test';
+import AutomationEngine from '../AutomationEngine.js';
+
+const downloads = [
+  { id: 1, name: 'Keep.Me', ratio: 3 },
+  { id: 2, name: 'Old.Seed', ratio: 2.5 },
+  { id: 3, name: 'Fresh', ratio: 0.1 },
+];
+
+function createEngine({ protectedIds = [], filterOut = [], storedRule = null } = {}) {
+  const engine = new AutomationEngine(
+    'test-auth',
+    'encrypted',
+    { getUserDatabase: async () => ({ db: null }) },
+    null,
+    {}
+  );
+  const calls = { executed: 0, lastEvaluatedUpdates: 0 };
+  engine.apiClient = { getTorrents: async () => downloads };
+  engine.ruleRepository = {
+    getRuleById: async (id) => (storedRule && storedRule.id === id ? storedRule : null),
+    updateLastEvaluatedAt: async () => calls.lastEvaluatedUpdates++,
+  };
+  engine.ruleExecutor = {
+    executeActions: async () => {
+      calls.executed++;
+      return { successCount: 0, errorCount: 0 };
+    },
+  };
+  engine.ruleFilter = {
+    filterTorrents: async (matching) => matching.filter((d) => !filterOut.includes(d.id)),
+  };
+  engine.getRuleEvaluator = async () => ({
+    analyzeRule: () => ({ needsTelemetry: false, needsTags: false, needsSpeed: false }),
+    evaluateRule: async (rule, scoped) => ({
+      matchingTorrents: scoped.filter((d) => d.ratio > 1),
+      tagsByDownloadId: new Map(),
+    }),
+    matchActionConditions: (conditions, targets) =>
+      targets.filter((d) => conditions.every((c) => d.ratio > c.value)),
+    extractDownloadId: (d) => String(d.id),
+    protectionService: {
+      getProtectedSet: (ids) => new Set(ids.filter((id) => protectedIds.includes(id))),
+    },
+  });
+  return { engine, calls };
+}
+
+const draft = (action) => ({
+  name: 'Clean up seeds',
+  enabled: true,
+  assetTypes: ['torrent'],
+  trigger: { type: 'interval', value: 60 },
+  groups: [{ logicOperator: 'and', conditions: [{ type: 'RATIO', operator: 'gt', value: 1 }] }],
+  action,
+});
+
+describe('AutomationEngine.simulateRule', () => {
+  it('reports matched downloads and protected skips for a delete draft without executing', async () => {
+    const { engine, calls } = createEngine({ protectedIds: ['1'] });
+    const result = await engine.simulateRule(draft({ type: 'delete' }));
+
+    expect(result).toMatchObject({
+      ruleId: null,
+      actionType: 'delete',
+      simulated: true,
+      totalTorrents: 3,
+      matchedTorrents: 2,
+      processedTorrents: 1,
+      protectedSkippedCount: 1,
+      skipped: false,
+    });
+    expect(result.items).toEqual([
+      {
+        id: 1,
+        name: 'Keep.Me',
+        assetType: 'torrent',
+        outcome: 'protected',
+        actions: [{ stepIndex: 0, type: 'delete', outcome: 'protected' }],
+      },
+      {
+        id: 2,
+        name: 'Old.Seed',
+        assetType: 'torrent',
+        outcome: 'would_apply',
+        actions: [{ stepIndex: 0, type: 'delete', outcome: 'would_apply' }],
+      },
+    ]);
+    expect(calls.executed).toBe(0);
+    expect(calls.lastEvaluatedUpdates).toBe(0);
+  });
+
+  it('ignores protection for non-destructive actions and marks filtered downloads', async () => {
+    const { engine } = createEngine({ protectedIds: ['1'], filterOut: [2] });
+    const result = await engine.simulateRule(draft({ type: 'add_tag', tagIds: [1] }));
+
+    expect(result.items.map((i) => i.outcome)).toEqual(['would_apply', 'filtered']);
+    expect(result.protectedSkippedCount).toBe(0);
+  });
+
+  it('lists the pipeline steps each download would go through', async () => {
+    const { engine } = createEngine({ protectedIds: ['1'] });
+    const rule = {
+      ...draft(undefined),
+      actions: [
+        { type: 'add_tag', tagIds: [1] },
+        { type: 'stop_seeding' },
+        {
+          type: 'delete',
+          conditions: [{ type: 'RATIO', operator: 'gt', value: 2.8 }],
+        },
+      ],
+    };
+    delete rule.action;
+    const result = await engine.simulateRule(rule);
+
+    expect(result.items.map((item) => item.actions)).toEqual([
+      [
+        { stepIndex: 0, type: 'add_tag', outcome: 'would_apply' },
+        { stepIndex: 1, type: 'stop_seeding', outcome: 'protected' },
+        { stepIndex: 2, type: 'delete', outcome: 'protected' },
+      ],
+      [
+        { stepIndex: 0, type: 'add_tag', outcome: 'would_apply' },
+        { stepIndex: 1, type: 'stop_seeding', outcome: 'would_apply' },
+        { stepIndex: 2, type: 'delete', outcome: 'condition_not_met' },
+      ],
+    ]);
+  });
+
+  it('simulates a saved rule by id', async () => {
+    const storedRule = { id: 7, ...draft({ type: 'archive' }) };
+    const { engine } = createEngine({ storedRule, filterOut: [1, 2] });
+    const result = await engine.simulateRule(7);
+
+    expect(result.ruleId).toBe(7);
+    expect(result.skipped).toBe(true);
+    expect(result.reason).toContain('filtered out');
+    await expect(engine.simulateRule(8)).rejects.toThrow('Rule with ID 8 not found');
+  });
+
+  it('rejects invalid drafts with a validation error', async () => {
+    const { engine } = createEngine();
+    await expect(engine.simulateRule(draft({ type: 'explode' }))).rejects.toMatchObject({
+      name: 'RuleValidationError',
+      isValidationError: true,
+    });
+  });
+
+  it('reports incompatible actions instead of fetching downloads', async () => {
+    const { engine } = createEngine();
+    engine.apiClient = {
+      getUsenetDownloads: async () => {
+        throw new Error('should not fetch');
+      },
+    };
+    const rule = { ...draft({ type: 'stop_seeding' }), assetTypes: ['usenet'] };
+    const stored = { id: 9, ...rule };
+    engine.ruleRepository.getRuleById = async () => stored;
+
+    const result = await engine.simulateRule(9);
+    expect(result.skipped).toBe(true);
+    expect(result.reason).toContain('not supported');
+  });
+});
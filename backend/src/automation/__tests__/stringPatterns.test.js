@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'bun:test';
+import RuleValidator from '../helpers/RuleValidator.js';
+import RuleMigrationHelper from '../helpers/RuleMigrationHelper.js';
+import {
+  MAX_PATTERN_LENGTH,
+  globToRegexSource,
+  isSafeRegex,
+  matchesPattern,
+  validatePattern,
+} from '../helpers/stringPatterns.js';
+
+describe('globToRegexSource', () => {
+  it('anchors the glob and escapes regex syntax', () => {
+    expect(globToRegexSource('*.S0?E*')).toBe('^.*\\.S0.E.*$');
+    expect(globToRegexSource('a+b(1)')).toBe('^a\\+b\\(1\\)$');
+  });
+});
+
+describe('isSafeRegex', () => {
+  it('accepts common release-name patterns', () => {
+    expect(isSafeRegex('S\\d{2}E\\d{2}')).toBe(true);
+    expect(isSafeRegex('-(GRP|OTHER)$')).toBe(true);
+    expect(isSafeRegex('(?:1080|2160)p[^.]*\\.mkv')).toBe(true);
+    expect(isSafeRegex('(\\d{2})+')).toBe(true);
+  });
+
+  it('rejects nested quantifiers and backreferences', () => {
+    expect(isSafeRegex('(a+)+$')).toBe(false);
+    expect(isSafeRegex('(\\w*\\s?)*')).toBe(false);
+    expect(isSafeRegex('((ab)*c){2,}')).toBe(false);
+    expect(isSafeRegex('(a)\\1')).toBe(false);
+  });
+
+  it('rejects repeated alternations and quantified groups repeated a fixed number of times', () => {
+    expect(isSafeRegex('(a|a)*b')).toBe(false);
+    expect(isSafeRegex('(a|aa)+$')).toBe(false);
+    expect(isSafeRegex('(ab|a.)*c')).toBe(false);
+    expect(isSafeRegex('((a|b)c)+')).toBe(false);
+    expect(isSafeRegex('(.*a){12}$')).toBe(false);
+    expect(isSafeRegex('(a{1,2})+')).toBe(false);
+    expect(isSafeRegex('(?:x264|x265){1}')).toBe(true);
+  });
+});
+
+describe('matchesPattern', () => {
+  it('matches regexes anywhere and globs against the whole value', () => {
+    expect(matchesPattern('matches_regex', 'Show.S01E02.1080p', 'S\\d{2}E\\d{2}')).toBe(true);
+    expect(matchesPattern('matches_glob', 'Show.S01E02.1080p', 'S??E??')).toBe(false);
+    expect(matchesPattern('matches_glob', 'Show.S01E02.1080p', '*.S??E??.*')).toBe(true);
+  });
+
+  it('is case-insensitive unless asked otherwise', () => {
+    expect(matchesPattern('matches_glob', 'movie-grp', '*-GRP')).toBe(true);
+    expect(matchesPattern('matches_glob', 'movie-grp', '*-GRP', true)).toBe(false);
+  });
+
+  it('never matches invalid or unsafe patterns', () => {
+    expect(matchesPattern('matches_regex', 'abc', '(')).toBe(false);
+    expect(matchesPattern('matches_regex', 'aaaa', '(a+)+')).toBe(false);
+    expect(matchesPattern('matches_regex', 'abc', null)).toBe(false);
+  });
+
+  it('matches in linear time, even for patterns that backtrack in RegExp', () => {
+    const started = Date.now();
+    expect(matchesPattern('matches_regex', 'a'.repeat(5000), 'a.*a.*a.*a.*a.*b')).toBe(false);
+    expect(matchesPattern('matches_glob', 'a'.repeat(5000), '*a*a*a*a*a*b')).toBe(false);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+});
+
+describe('validatePattern', () => {
+  it('reports syntax, length and safety problems', () => {
+    expect(validatePattern('matches_regex', 'S\\d{2}E\\d{2}')).toBeNull();
+    expect(validatePattern('matches_glob', '*[x')).toBeNull();
+    expect(validatePattern('matches_regex', '([a-z]')).toContain('not a valid regular expression');
+    expect(validatePattern('matches_regex', 'a'.repeat(MAX_PATTERN_LENGTH + 1))).toContain(
+      `at most ${MAX_PATTERN_LENGTH}`
+    );
+    expect(validatePattern('matches_regex', '(x+x+)+y')).toContain('backtrack catastrophically');
+    expect(validatePattern('matches_regex', '(a|a)+$')).toContain('backtrack catastrophically');
+    expect(validatePattern('matches_regex', 'x264(?!-GRP)')).toContain('lookarounds');
+  });
+
+  it('rejects patterns that time out on the probe inputs', () => {
+    expect(validatePattern('matches_regex', 'a.*a.*a.*a.*a.*b')).toContain('took longer than');
+    // Only backtracks on alternating characters
+    expect(validatePattern('matches_regex', 'a.*ba.*ba.*ba.*bc')).toContain('took longer than');
+    expect(validatePattern('matches_glob', '*a*a*a*a*a*b')).toContain('took longer than');
+    expect(validatePattern('matches_glob', '*.S??E??.*')).toBeNull();
+  });
+
+  it('is wired into RuleValidator', () => {
+    const validator = new RuleValidator('test-auth', (rule) =>
+      RuleMigrationHelper.migrateRuleToGroups(rule)
+    );
+    const rule = (condition) => ({
+      name: 'Pattern',
+      enabled: true,
+      assetTypes: ['torrent'],
+      trigger: { type: 'interval', value: 30 },
+      groups: [{ logicOperator: 'and', conditions: [condition] }],
+      action: { type: 'add_tag', tagIds: [1] },
+    });
+
+    expect(
+      validator.validate(
+        rule({
+          type: 'TRACKER',
+          operator: 'matches_glob',
+          value: '*.example.*',
+          caseSensitive: true,
+        })
+      ).valid
+    ).toBe(true);
+    expect(
+      validator.validate(rule({ type: 'NAME', operator: 'matches_regex', value: '(a+)+' })).errors
+    ).toContain(
+      'Group 0, condition 0 (NAME) pattern repeats a group containing a quantifier or alternation, or uses backreferences, which can backtrack catastrophically'
+    );
+    expect(
+      validator.validate(rule({ type: 'RATIO', operator: 'matches_regex', value: '1' })).valid
+    ).toBe(false);
+    expect(
+      validator.validate(
+        rule({ type: 'NAME', operator: 'contains', value: 'x', caseSensitive: 'yes' })
+      ).valid
+    ).toBe(false);
+  });
+});
@@ -0,0 +1,304 @@
+import { describe, it, expect } from 'bun:test';
+import AutomationEngine from '../AutomationEngine.js';
+import RuleValidator from '../helpers/RuleValidator.js';
+import RuleMigrationHelper from '../helpers/RuleMigrationHelper.js';
+import PollingIntervalCalculator from '../helpers/PollingIntervalCalculator.js';
+import {
+  EVENT_TRIGGER_POLL_INTERVAL_MINUTES,
+  MIN_INTERVAL_MINUTES,
+  parseEventTriggerPollInterval,
+} from '../helpers/constants.js';
+import {
+  getEventCursor,
+  isEventTrigger,
+  selectTriggeredDownloads,
+} from '../helpers/triggerEvents.js';
+
+const emptyChanges = () => ({
+  new: [],
+  updated: [],
+  removed: [],
+  stateTransitions: [],
+  terminalTransitions: [],
+});
+
+const ids = (downloads) => downloads.map((d) => `${d.assetType || 'torrent'}:${d.id}`);
+
+describe('selectTriggeredDownloads', () => {
+  const since = '2026-01-01 12:00:00';
+  const downloads = [
+    { id: 1, assetType: 'torrent', created_at: '2026-01-01T11:00:00Z' },
+    { id: 2, assetType: 'torrent', created_at: '2026-01-01T12:30:00Z', download_finished: true },
+    { id: 3, assetType: 'usenet', created_at: '2026-01-01T13:00:00Z' },
+    { id: 1, assetType: 'webdl', created_at: '2026-01-01T10:00:00Z' },
+  ];
+
+  it('download_added selects diff-new items and items created after the cursor', () => {
+    const changes = { ...emptyChanges(), new: [downloads[0]] };
+    const result = selectTriggeredDownloads({ type: 'download_added' }, downloads, changes, {
+      since,
+    });
+    expect(ids(result)).toEqual(['torrent:1', 'torrent:2', 'usenet:3']);
+  });
+
+  it('download_completed uses terminal transitions and cached arrivals', () => {
+    const changes = {
+      ...emptyChanges(),
+      terminalTransitions: [{ torrent_id: '1', from: 'downloading', to: 'completed' }],
+    };
+    const result = selectTriggeredDownloads({ type: 'download_completed' }, downloads, changes, {
+      since,
+    });
+    // webdl:1 shares the id but transitions are torrent-only
+    expect(ids(result)).toEqual(['torrent:1', 'torrent:2']);
+  });
+
+  it('download_completed ignores transitions between completed states', () => {
+    const changes = {
+      ...emptyChanges(),
+      stateTransitions: [{ torrent_id: '1', from: 'seeding', to: 'uploading' }],
+    };
+    const result = selectTriggeredDownloads({ type: 'download_completed' }, downloads, changes, {
+      since: null,
+    });
+    expect(result).toEqual([]);
+  });
+
+  it('status_changed filters by target statuses and matches any when none are set', () => {
+    const changes = {
+      ...emptyChanges(),
+      stateTransitions: [
+        { torrent_id: '1', from: 'queued', to: 'downloading' },
+        { torrent_id: '2', from: 'downloading', to: 'stalled' },
+      ],
+    };
+    const filtered = selectTriggeredDownloads(
+      { type: 'status_changed', statuses: ['stalled'] },
+      downloads,
+      changes
+    );
+    expect(ids(filtered)).toEqual(['torrent:2']);
+
+    const any = selectTriggeredDownloads({ type: 'status_changed' }, downloads, changes);
+    expect(ids(any)).toEqual(['torrent:1', 'torrent:2']);
+  });
+
+  it('became_stalled selects transitions into stalled', () => {
+    const changes = {
+      ...emptyChanges(),
+      stateTransitions: [
+        { torrent_id: '1', from: 'downloading', to: 'stalled' },
+        { torrent_id: '2', from: 'stalled', to: 'downloading' },
+      ],
+    };
+    const result = selectTriggeredDownloads({ type: 'became_stalled' }, downloads, changes);
+    expect(ids(result)).toEqual(['torrent:1']);
+  });
+
+  it('tag_added selects tagged downloads of any asset type', () => {
+    const result = selectTriggeredDownloads({ type: 'tag_added' }, downloads, emptyChanges(), {
+      taggedDownloadIds: new Set(['3']),
+    });
+    expect(ids(result)).toEqual(['usenet:3']);
+  });
+
+  it('returns nothing for interval and unknown triggers', () => {
+    const changes = { ...emptyChanges(), new: downloads };
+    expect(selectTriggeredDownloads({ type: 'interval', value: 30 }, downloads, changes)).toEqual(
+      []
+    );
+    expect(selectTriggeredDownloads({ type: 'bogus' }, downloads, changes)).toEqual([]);
+  });
+});
+
+describe('trigger helpers', () => {
+  it('isEventTrigger is false for interval and missing triggers', () => {
+    expect(isEventTrigger({ type: 'interval', value: 30 })).toBe(false);
+    expect(isEventTrigger(null)).toBe(false);
+    expect(isEventTrigger({ type: 'download_added' })).toBe(true);
+  });
+
+  it('getEventCursor falls back from last evaluation to last save', () => {
+    expect(
+      getEventCursor({
+        last_evaluated_at: '2026-01-02 00:00:00',
+        updated_at: '2026-01-01 00:00:00',
+      })
+    ).toBe('2026-01-02 00:00:00');
+    expect(getEventCursor({ updated_at: '2026-01-01 00:00:00' })).toBe('2026-01-01 00:00:00');
+    expect(getEventCursor({})).toBeNull();
+  });
+});
+
+describe('RuleValidator triggers', () => {
+  const validator = new RuleValidator('test-auth', (rule) =>
+    RuleMigrationHelper.migrateRuleToGroups(rule)
+  );
+  const ruleWithTrigger = (trigger, assetTypes = ['torrent']) => ({
+    name: 'Test',
+    enabled: true,
+    assetTypes,
+    trigger,
+    logicOperator: 'and',
+    groups: [
+      {
+        logicOperator: 'and',
+        conditions: [{ type: 'STATUS', operator: 'is_any_of', value: ['completed'] }],
+      },
+    ],
+    action: { type: 'delete' },
+  });
+
+  it('accepts event triggers', () => {
+    expect(validator.validate(ruleWithTrigger({ type: 'download_completed' })).valid).toBe(true);
+    expect(
+      validator.validate(ruleWithTrigger({ type: 'status_changed', statuses: ['stalled'] })).valid
+    ).toBe(true);
+    expect(validator.validate(ruleWithTrigger({ type: 'tag_added', tagIds: [1] })).valid).toBe(
+      true
+    );
+  });
+
+  it('rejects unknown trigger types and bad trigger fields', () => {
+    const unknown = validator.validate(ruleWithTrigger({ type: 'on_moon_phase' }));
+    expect(unknown.errors.some((e) => e.includes('Invalid trigger type'))).toBe(true);
+
+    const status = validator.validate(
+      ruleWithTrigger({ type: 'status_changed', statuses: ['paused'] })
+    );
+    expect(status.errors.some((e) => e.includes('statuses'))).toBe(true);
+
+    const tags = validator.validate(ruleWithTrigger({ type: 'tag_added', tagIds: ['x'] }));
+    expect(tags.errors.some((e) => e.includes('tagIds'))).toBe(true);
+  });
+
+  it('rejects shadow-diff triggers for usenet', () => {
+    const { valid, errors } = validator.validate(
+      ruleWithTrigger({ type: 'became_stalled' }, ['usenet'])
+    );
+    expect(valid).toBe(false);
+    expect(errors.some((e) => e.includes('Trigger became_stalled is not supported'))).toBe(true);
+    expect(validator.validate(ruleWithTrigger({ type: 'download_added' }, ['usenet'])).valid).toBe(
+      true
+    );
+  });
+});
+
+describe('AutomationEngine event triggers', () => {
+  const engine = new AutomationEngine(
+    'test-auth',
+    'encrypted',
+    { getUserDatabase: async () => ({ db: null }) },
+    null,
+    {}
+  );
+
+  it('falls back to 5 minutes for invalid event poll intervals', () => {
+    expect(parseEventTriggerPollInterval('2')).toBe(2);
+    expect(parseEventTriggerPollInterval('0.5')).toBe(0.5);
+    for (const raw of [undefined, '', 'abc', '0', '-3', 'Infinity']) {
+      expect(parseEventTriggerPollInterval(raw)).toBe(5);
+    }
+  });
+
+  it('event rules pull the minimum rule interval down to the event poll interval', () => {
+    expect(EVENT_TRIGGER_POLL_INTERVAL_MINUTES).toBeLessThan(MIN_INTERVAL_MINUTES);
+    expect(engine._computeMinRuleInterval([{ trigger: { type: 'interval', value: 120 } }])).toBe(
+      120
+    );
+    expect(engine._computeEventPollInterval([{ trigger: { type: 'interval', value: 120 } }])).toBe(
+      null
+    );
+    const rules = [
+      { trigger: { type: 'interval', value: 120 } },
+      { trigger: { type: 'download_added' } },
+    ];
+    expect(engine._computeMinRuleInterval(rules)).toBe(EVENT_TRIGGER_POLL_INTERVAL_MINUTES);
+    expect(engine._computeEventPollInterval(rules)).toBe(EVENT_TRIGGER_POLL_INTERVAL_MINUTES);
+  });
+
+  it('the poller polls event-rule users below the interval-rule floor, even when idle', () => {
+    const now = Date.now();
+    for (const mode of ['idle', 'active']) {
+      const nextPollAt = PollingIntervalCalculator.calculateNextPollAt('test-auth', mode, 0, null, {
+        eventPollInterval: EVENT_TRIGGER_POLL_INTERVAL_MINUTES,
+      });
+      const minutes = (nextPollAt.getTime() - now) / 60000;
+      expect(minutes).toBeGreaterThanOrEqual(EVENT_TRIGGER_POLL_INTERVAL_MINUTES - 0.1);
+      expect(minutes).toBeLessThan(EVENT_TRIGGER_POLL_INTERVAL_MINUTES + 1);
+    }
+    const withoutEvents = PollingIntervalCalculator.calculateNextPollAt('test-auth', 'idle', 0);
+    expect((withoutEvents.getTime() - now) / 60000).toBeGreaterThanOrEqual(MIN_INTERVAL_MINUTES);
+  });
+
+  it('event rules are never gated by the interval check', () => {
+    expect(
+      engine.shouldSkipRuleEvaluation({
+        trigger: { type: 'download_added' },
+        last_evaluated_at: new Date().toISOString(),
+      })
+    ).toBe(false);
+  });
+
+  it('evaluates event rules only against downloads the event fired for', async () => {
+    const evaluatedWith = [];
+    const updatedIds = [];
+    const ruleEvaluator = {
+      analyzeRule: () => ({ needsTelemetry: false, needsTags: false, needsSpeed: false }),
+      ruleCanUseChangedOnlyScope: () => false,
+      loadTagAddedDownloadIds: () => new Set(),
+    };
+    const stubEngine = Object.create(engine);
+    stubEngine.getRuleEvaluator = async () => ruleEvaluator;
+    stubEngine.ruleRepository = {
+      batchUpdateLastEvaluatedAt: async (ruleIds) => updatedIds.push(...ruleIds),
+    };
+    stubEngine.evaluateSingleRule = async (rule, torrents) => {
+      evaluatedWith.push({ ruleId: rule.id, ids: torrents.map((t) => t.id) });
+      return { executed: false, skipped: true, ruleId: rule.id };
+    };
+
+    const torrents = [
+      { id: 1, assetType: 'torrent' },
+      { id: 2, assetType: 'torrent' },
+    ];
+    const rules = [
+      { id: 10, assetTypes: ['torrent'], trigger: { type: 'became_stalled' } },
+      { id: 11, assetTypes: ['torrent'], trigger: { type: 'download_completed' } },
+    ];
+    const changes = {
+      ...emptyChanges(),
+      stateTransitions: [{ torrent_id: '2', from: 'downloading', to: 'stalled' }],
+    };
+
+    const result = await stubEngine.evaluateRulesBatch(rules, torrents, changes);
+
+    expect(evaluatedWith).toEqual([{ ruleId: 10, ids: [2] }]);
+    expect(result.skippedCount).toBe(2);
+    expect(updatedIds.sort()).toEqual([10, 11]);
+  });
+
+  it('skips event rules without advancing the cursor when no diff is available', async () => {
+    const updatedIds = [];
+    const stubEngine = Object.create(engine);
+    stubEngine.getRuleEvaluator = async () => ({
+      analyzeRule: () => ({ needsTelemetry: false, needsTags: false, needsSpeed: false }),
+      ruleCanUseChangedOnlyScope: () => false,
+    });
+    stubEngine.ruleRepository = {
+      batchUpdateLastEvaluatedAt: async (ruleIds) => updatedIds.push(...ruleIds),
+    };
+    stubEngine.evaluateSingleRule = async () => {
+      throw new Error('should not evaluate');
+    };
+
+    const result = await stubEngine.evaluateRulesBatch(
+      [{ id: 10, assetTypes: ['torrent'], trigger: { type: 'download_added' } }],
+      [{ id: 1 }],
+      null
+    );
+
+    expect(result.skippedCount).toBe(1);
+    expect(updatedIds).toEqual([]);
+  });
+});
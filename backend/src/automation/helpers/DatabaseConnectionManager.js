@@ -1,6 +1,7 @@
 import StateDiffEngine from '../StateDiffEngine.js';
 import DerivedFieldsEngine from '../DerivedFieldsEngine.js';
 import SpeedAggregator from '../SpeedAggregator.js';
+import ReleaseMetadataEngine from '../ReleaseMetadataEngine.js';
 import { isClosedDatabaseError } from '../../utils/dbErrors.js';
 import logger from '../../utils/logger.js';
 
@@ -15,6 +16,7 @@ class DatabaseConnectionManager {
     this.stateDiffEngine = new StateDiffEngine(userDb);
     this.derivedFieldsEngine = new DerivedFieldsEngine(userDb);
     this.speedAggregator = new SpeedAggregator(userDb);
+    this.releaseMetadataEngine = new ReleaseMetadataEngine(userDb);
   }
 
   /**
@@ -38,6 +40,7 @@ class DatabaseConnectionManager {
       this.stateDiffEngine = new StateDiffEngine(this.userDb);
       this.derivedFieldsEngine = new DerivedFieldsEngine(this.userDb);
       this.speedAggregator = new SpeedAggregator(this.userDb);
+      this.releaseMetadataEngine = new ReleaseMetadataEngine(this.userDb);
     }
   }
 
@@ -163,6 +166,14 @@ class DatabaseConnectionManager {
   getSpeedAggregator() {
     return this.speedAggregator;
   }
+
+  /**
+   * Get the release metadata engine
+   * @returns {ReleaseMetadataEngine} - Release metadata engine instance
+   */
+  getReleaseMetadataEngine() {
+    return this.releaseMetadataEngine;
+  }
 }
 
 export default DatabaseConnectionManager;
@@ -94,15 +94,20 @@ class PollingIntervalCalculator {
   /**
    * Apply minimum interval constraint to prevent excessive API calls
    * @param {number} intervalMinutes - Proposed interval in minutes
+   * @param {number|null} eventPollInterval - Event-trigger poll interval; lowers the production floor
    * @returns {number} - Enforced minimum interval in minutes
    */
-  static applyMinimumIntervalConstraint(intervalMinutes) {
+  static applyMinimumIntervalConstraint(intervalMinutes, eventPollInterval = null) {
     if (process.env.NODE_ENV === 'development') {
       // Dev uses DEV_INTERVAL_MULTIPLIER on base intervals; do not also enforce the
       // scaled production floor (30min × 0.1 = 3min), which blocked sub-minute polling.
       return Math.max(POLLING_CONFIG.minimum.development, intervalMinutes);
     }
-    return Math.max(POLLING_CONFIG.minimum.production, intervalMinutes);
+    const floor =
+      eventPollInterval !== null
+        ? Math.min(POLLING_CONFIG.minimum.production, eventPollInterval)
+        : POLLING_CONFIG.minimum.production;
+    return Math.max(floor, intervalMinutes);
   }
 
   /**
@@ -113,6 +118,10 @@ class PollingIntervalCalculator {
    * - idle: User has active rules but no recent executions -> poll every 60 minutes
    * - active: User has active rules and recent executions -> poll based on rule intervals or fallback logic
    *
+   * In every mode with rules, the interval is shortened to reach ruleResults.nextScheduledRunAt
+   * (still subject to the minimum interval), and capped at ruleResults.eventPollInterval so
+   * event-triggered rules react without waiting for the interval-rule floor.
+   *
    * @param {string} authId - User authentication ID
    * @param {string} pollingMode - Current polling mode ('no-rules' | 'idle' | 'active')
    * @param {number} nonTerminalCount - Count of non-terminal torrents
@@ -156,8 +165,34 @@ class PollingIntervalCalculator {
         break;
     }
 
+    // Wake up for the next cron run / active window instead of sleeping past it
+    if (pollingMode !== 'no-rules' && ruleResults?.nextScheduledRunAt) {
+      const minutesUntilScheduledRun = (ruleResults.nextScheduledRunAt.getTime() - now) / 60000;
+      if (minutesUntilScheduledRun < baseIntervalMinutes) {
+        logger.debug('Polling early for scheduled rule run', {
+          authId,
+          nextScheduledRunAt: ruleResults.nextScheduledRunAt.toISOString(),
+          baseIntervalMinutes,
+        });
+        baseIntervalMinutes = minutesUntilScheduledRun;
+      }
+    }
+
+    // Event-triggered rules only fire when a poll detects the event
+    const eventPollInterval =
+      pollingMode !== 'no-rules' ? (ruleResults?.eventPollInterval ?? null) : null;
+    if (eventPollInterval !== null) {
+      baseIntervalMinutes = Math.min(
+        baseIntervalMinutes,
+        applyIntervalMultiplier(eventPollInterval)
+      );
+    }
+
     // Enforce minimum interval constraint
-    baseIntervalMinutes = this.applyMinimumIntervalConstraint(baseIntervalMinutes);
+    baseIntervalMinutes = this.applyMinimumIntervalConstraint(
+      baseIntervalMinutes,
+      eventPollInterval
+    );
 
     // Convert to milliseconds and add stagger offset if provided
     const baseIntervalMs = baseIntervalMinutes * 60 * 1000;
@@ -1,50 +1,156 @@
+import cache from '../../utils/cache.js';
 import logger from '../../utils/logger.js';
 import {
   isDestructiveOperation,
   PROTECTION_SKIP_REASON,
 } from '../../config/destructiveDownloadOperations.mjs';
 import { isActiveDownloadLimitError } from '../../api/ApiClient.js';
+import RuleMigrationHelper from './RuleMigrationHelper.js';
+import { AUDIT_OUTCOMES, AUDIT_SKIP_REASONS } from './ruleActionAudit.js';
 
 /**
  * Executor for rule actions
  */
 class RuleExecutor {
-  constructor(authId, getRuleEvaluator) {
+  /**
+   * @param {string} authId
+   * @param {Function} getRuleEvaluator - Async getter for the user's RuleEvaluator
+   * @param {Object|null} [ruleFilter] - RuleFilter used to re-filter downloads between pipeline steps
+   */
+  constructor(authId, getRuleEvaluator, ruleFilter = null) {
     this.authId = authId;
     this.getRuleEvaluator = getRuleEvaluator;
+    this.ruleFilter = ruleFilter;
+  }
+
+  /**
+   * Run a rule's actions over the matched torrents, step by step.
+   *
+   * Single-action rules run exactly as before: the caller has already filtered the torrents.
+   * Pipelines re-filter before every step because earlier steps change state (tags, airlock),
+   * and each step's own `conditions` narrow it further. A step with `stopOnFailure` drops
+   * the downloads it failed on from the remaining steps.
+   *
+   * @param {Object} rule - Rule configuration (`actions` list, or a legacy `action`)
+   * @param {Array} torrents - Torrents to process
+   * @returns {Promise<Object>} - { successCount, errorCount, protectedSkippedCount, abortedCount, steps, audit }
+   */
+  async executeActions(rule, torrents) {
+    const { actions } = RuleMigrationHelper.migrateRuleToActions(rule);
+    const isPipeline = actions.length > 1;
+    const totals = { successCount: 0, errorCount: 0, protectedSkippedCount: 0, abortedCount: 0 };
+    const steps = [];
+    const audit = [];
+
+    // Resolve the evaluator once outside the loop to avoid N async pool lookups per rule execution
+    const ruleEvaluator = await this.getRuleEvaluator();
+
+    let remaining = torrents;
+    for (let index = 0; index < actions.length; index++) {
+      const action = actions[index];
+      let targets = remaining;
+      if (Array.isArray(action.conditions) && action.conditions.length > 0) {
+        targets = ruleEvaluator.matchActionConditions(action.conditions, targets);
+      }
+      if (isPipeline && this.ruleFilter && targets.length > 0) {
+        targets = await this.ruleFilter.filterTorrents(targets, action);
+      }
+
+      const stepResult =
+        targets.length > 0
+          ? await this.executeStep(rule, action, targets, ruleEvaluator)
+          : {
+              successCount: 0,
+              errorCount: 0,
+              protectedSkippedCount: 0,
+              abortedCount: 0,
+              audit: [],
+            };
+      for (const entry of stepResult.audit) {
+        audit.push(isPipeline ? { ...entry, stepIndex: index } : entry);
+      }
+
+      let haltedCount = 0;
+      if (action.stopOnFailure && stepResult.failedTorrents?.size > 0) {
+        const before = remaining.length;
+        remaining = remaining.filter((torrent) => !stepResult.failedTorrents.has(torrent));
+        if (index < actions.length - 1) {
+          haltedCount = before - remaining.length;
+        }
+      }
+
+      steps.push({
+        index,
+        actionType: action.type,
+        targetCount: targets.length,
+        successCount: stepResult.successCount,
+        errorCount: stepResult.errorCount,
+        protectedSkippedCount: stepResult.protectedSkippedCount,
+        abortedCount: stepResult.abortedCount,
+        haltedCount,
+      });
+      for (const key of Object.keys(totals)) {
+        totals[key] += stepResult[key];
+      }
+
+      if (remaining.length === 0) {
+        break;
+      }
+    }
+
+    // Actions change the list custom views are evaluated against
+    if (totals.successCount > 0) {
+      cache.invalidateViewDownloads(this.authId);
+    }
+
+    return { ...totals, steps, audit };
   }
 
   /**
-   * Execute actions on a list of torrents with bounded concurrency.
+   * Execute one action on a list of torrents with bounded concurrency.
    *
    * Previously actions ran serially: N matched torrents × 30s axios timeout = N×30s, which
    * easily exhausted the 180s per-user poll budget for rules that match many torrents.
    * Running up to RULE_ACTION_CONCURRENCY actions in parallel collapses that to
    * ceil(N / concurrency) × 30s, giving the poll enough headroom to complete.
    *
-   * @param {Object} rule - Rule configuration
+   * @param {Object} rule - Rule configuration (for logging and action context)
+   * @param {Object} action - Action step to run
    * @param {Array} torrents - Torrents to process
-   * @returns {Promise<Object>} - { successCount, errorCount, protectedSkippedCount, abortedCount }
+   * @param {Object} ruleEvaluator - Resolved RuleEvaluator
+   * @returns {Promise<Object>} - { successCount, errorCount, protectedSkippedCount, abortedCount, failedTorrents, audit }
    */
-  async executeActions(rule, torrents) {
+  async executeStep(rule, action, torrents, ruleEvaluator) {
     let successCount = 0;
     let errorCount = 0;
     let protectedSkippedCount = 0;
     let abortedCount = 0;
-
-    // Resolve the evaluator once outside the loop to avoid N async pool lookups per rule execution
-    const ruleEvaluator = await this.getRuleEvaluator();
+    // Torrents that errored or were aborted; used for stopOnFailure
+    const failedTorrents = new Set();
+    // One entry per download touched, persisted to rule_action_audit by the caller
+    const audit = [];
+    const recordOutcome = (torrent, outcome, reason = null) => {
+      audit.push({
+        downloadId: ruleEvaluator.extractDownloadId(torrent),
+        assetType: torrent.assetType || 'torrent',
+        name: torrent.name ?? null,
+        hash: torrent.hash ?? null,
+        actionType: action?.type,
+        outcome,
+        reason,
+      });
+    };
 
     // For tag actions, validate tag IDs once before starting the worker pool; pass skipValidation so handlers don't re-validate.
     const tagActionValidated =
-      (rule.action?.type === 'add_tag' || rule.action?.type === 'remove_tag') &&
-      Array.isArray(rule.action?.tagIds) &&
-      rule.action.tagIds.length > 0;
+      (action?.type === 'add_tag' || action?.type === 'remove_tag') &&
+      Array.isArray(action?.tagIds) &&
+      action.tagIds.length > 0;
     if (tagActionValidated) {
-      ruleEvaluator.validateTagIds(rule.action.tagIds);
+      ruleEvaluator.validateTagIds(action.tagIds);
     }
 
-    const actionType = rule.action?.type;
+    const actionType = action?.type;
     let protectedSet = null;
     if (isDestructiveOperation(actionType)) {
       const downloadIds = torrents.flatMap((torrent) => {
@@ -73,6 +179,10 @@ class RuleExecutor {
     const discardRemaining = () => {
       const remaining = queue.splice(0, queue.length);
       abortedCount += remaining.length;
+      remaining.forEach((torrent) => {
+        failedTorrents.add(torrent);
+        recordOutcome(torrent, AUDIT_OUTCOMES.SKIPPED, AUDIT_SKIP_REASONS.ABORTED);
+      });
     };
 
     const worker = async () => {
@@ -88,11 +198,12 @@ class RuleExecutor {
         // Re-check after dequeue — another worker may have aborted while we waited.
         if (abortRemaining) {
           abortedCount++;
+          failedTorrents.add(torrent);
+          recordOutcome(torrent, AUDIT_OUTCOMES.SKIPPED, AUDIT_SKIP_REASONS.ABORTED);
           continue;
         }
 
         try {
-          const action = rule.action;
           const currentActionType = action?.type;
           logger.debug('Executing action on torrent', {
             authId: this.authId,
@@ -107,16 +218,20 @@ class RuleExecutor {
           // Final abort check immediately before the outbound TorBox call.
           if (abortRemaining) {
             abortedCount++;
+            failedTorrents.add(torrent);
+            recordOutcome(torrent, AUDIT_OUTCOMES.SKIPPED, AUDIT_SKIP_REASONS.ABORTED);
             continue;
           }
 
           const result = await ruleEvaluator.executeAction(action, torrent, {
             skipValidation: tagActionValidated,
             protectedSet,
+            rule,
           });
 
           if (result?.skipped === true && result?.reason === PROTECTION_SKIP_REASON) {
             protectedSkippedCount++;
+            recordOutcome(torrent, AUDIT_OUTCOMES.SKIPPED, AUDIT_SKIP_REASONS.PROTECTED);
             logger.debug('Action skipped — download is protected', {
               authId: this.authId,
               ruleId: rule.id,
@@ -129,6 +244,7 @@ class RuleExecutor {
           }
 
           if (result?.applied === false) {
+            recordOutcome(torrent, AUDIT_OUTCOMES.SKIPPED, AUDIT_SKIP_REASONS.NO_CHANGE);
             logger.debug('Action skipped — no change (already applied)', {
               authId: this.authId,
               ruleId: rule.id,
@@ -144,6 +260,12 @@ class RuleExecutor {
           // — must not count as a successful action.
           if (result?.success === false || result?.isConnectionError === true) {
             errorCount++;
+            failedTorrents.add(torrent);
+            recordOutcome(
+              torrent,
+              AUDIT_OUTCOMES.FAILED,
+              result?.error || result?.message || 'Action failed'
+            );
             logger.debug('Action soft-failed (connection/API fallback)', {
               authId: this.authId,
               ruleId: rule.id,
@@ -157,6 +279,7 @@ class RuleExecutor {
           }
 
           successCount++;
+          recordOutcome(torrent, AUDIT_OUTCOMES.SUCCESS);
 
           logger.debug('Action successfully executed', {
             authId: this.authId,
@@ -169,6 +292,12 @@ class RuleExecutor {
         } catch (error) {
           // Active download limit: further force_starts in this batch cannot succeed.
           if (actionType === 'force_start' && isActiveDownloadLimitError(error)) {
+            failedTorrents.add(torrent);
+            recordOutcome(
+              torrent,
+              AUDIT_OUTCOMES.FAILED,
+              error.message || 'Active download limit reached'
+            );
             if (!abortRemaining) {
               abortRemaining = true;
               abortReason = error.message || 'Active download limit reached';
@@ -204,9 +333,11 @@ class RuleExecutor {
             torrentId: torrent.id,
             torrentName: torrent.name,
             torrentStatus,
-            action: rule.action?.type,
+            action: actionType,
           });
           errorCount++;
+          failedTorrents.add(torrent);
+          recordOutcome(torrent, AUDIT_OUTCOMES.FAILED, error.message || 'Action failed');
         }
       }
     };
@@ -214,7 +345,14 @@ class RuleExecutor {
     const workerCount = Math.min(concurrency, torrents.length);
     await Promise.all(Array.from({ length: workerCount }, worker));
 
-    return { successCount, errorCount, protectedSkippedCount, abortedCount };
+    return {
+      successCount,
+      errorCount,
+      protectedSkippedCount,
+      abortedCount,
+      failedTorrents,
+      audit,
+    };
   }
 }
 
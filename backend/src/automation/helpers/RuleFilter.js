@@ -356,6 +356,9 @@ class RuleFilter {
         // Archived downloads are removed from main list
         // Delete action removes downloads completely
         return matchingTorrents;
+      case 'webhook':
+        // Notifications have no "already applied" state
+        return matchingTorrents;
       default:
         // Unknown action type, don't filter
         logger.warn('Unknown action type, skipping filter', {
@@ -365,6 +368,28 @@ class RuleFilter {
         return matchingTorrents;
     }
   }
+
+  /**
+   * Filter torrents for a rule's action list. A pipeline keeps a torrent when any of its steps
+   * still applies; RuleExecutor re-filters per step once earlier steps have run.
+   * @param {Array} matchingTorrents - Torrents that matched the rule conditions
+   * @param {Array} actions - Action steps
+   * @param {Object} [options] - Passed through to filterTorrents
+   * @returns {Promise<Array>} - Filtered torrents, in original order
+   */
+  async filterTorrentsForActions(matchingTorrents, actions, options = {}) {
+    if (actions.length <= 1) {
+      return await this.filterTorrents(matchingTorrents, actions[0], options);
+    }
+
+    const kept = new Set();
+    for (const action of actions) {
+      const filtered = await this.filterTorrents(matchingTorrents, action, options);
+      filtered.forEach((torrent) => kept.add(torrent));
+      if (kept.size === matchingTorrents.length) break;
+    }
+    return matchingTorrents.filter((torrent) => kept.has(torrent));
+  }
 }
 
 export default RuleFilter;
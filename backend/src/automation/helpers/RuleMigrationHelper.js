@@ -1,5 +1,5 @@
 /**
- * Helper for migrating rules to groups structure
+ * Helper for migrating stored rules to the current structure (condition groups, action lists)
  */
 class RuleMigrationHelper {
   /**
@@ -39,6 +39,41 @@ class RuleMigrationHelper {
       ],
     };
   }
+
+  /**
+   * Normalize stored action config to a list of steps.
+   * action_config holds either a legacy single action object or an array of steps.
+   * @param {Object|Array|null} actionConfig
+   * @returns {Array} - Action steps
+   */
+  static normalizeActions(actionConfig) {
+    if (Array.isArray(actionConfig)) {
+      return actionConfig;
+    }
+    return actionConfig?.type ? [actionConfig] : [];
+  }
+
+  /**
+   * Migrate the old single `action` object to an ordered `actions` list
+   * @param {Object} rule - Rule to migrate
+   * @returns {Object} - Rule with `actions` and without `action`/`action_config`
+   */
+  static migrateRuleToActions(rule) {
+    const { action, action_config: actionConfig, ...rest } = rule;
+    if (Array.isArray(rule.actions)) {
+      return action === undefined && actionConfig === undefined ? rule : rest;
+    }
+    return { ...rest, actions: RuleMigrationHelper.normalizeActions(action ?? actionConfig) };
+  }
+
+  /**
+   * Apply every structural migration (groups, then actions)
+   * @param {Object} rule - Rule to migrate
+   * @returns {Object} - Migrated rule
+   */
+  static migrateRule(rule) {
+    return RuleMigrationHelper.migrateRuleToActions(RuleMigrationHelper.migrateRuleToGroups(rule));
+  }
 }
 
 export default RuleMigrationHelper;
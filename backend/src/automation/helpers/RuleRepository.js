@@ -1,6 +1,7 @@
 import logger from '../../utils/logger.js';
 import RuleMigrationHelper from './RuleMigrationHelper.js';
 import { normalizeAssetTypes } from './ruleCapabilities.js';
+import { AUDIT_RETENTION_DAYS } from './ruleActionAudit.js';
 
 /**
  * Repository for automation rule database operations
@@ -39,7 +40,7 @@ class RuleRepository {
 
   /**
    * Get automation rules from user database
-   * Always returns rules in the new group structure format
+   * Always returns rules in the current format (condition groups, `actions` list)
    * @param {Object} options - Optional filter options
    * @param {boolean} options.enabled - If true, only fetch enabled rules. If false, only fetch disabled rules. If undefined, fetch all rules.
    * @returns {Promise<Array>} - Array of automation rules
@@ -61,7 +62,7 @@ class RuleRepository {
 
     return rules.map((rule) => {
       const mappedRule = this.mapRuleFromDb(rule);
-      return RuleMigrationHelper.migrateRuleToGroups(mappedRule);
+      return RuleMigrationHelper.migrateRule(mappedRule);
     });
   }
 
@@ -75,7 +76,7 @@ class RuleRepository {
     const row = userDb.prepare('SELECT * FROM automation_rules WHERE id = ?').get(ruleId);
     if (!row) return null;
     const mappedRule = this.mapRuleFromDb(row);
-    return RuleMigrationHelper.migrateRuleToGroups(mappedRule);
+    return RuleMigrationHelper.migrateRule(mappedRule);
   }
 
   /**
@@ -111,7 +112,9 @@ class RuleRepository {
       enabled: rule.enabled === 1,
       assetTypes,
       trigger: JSON.parse(rule.trigger_config),
-      action: rule.action_config ? JSON.parse(rule.action_config) : null,
+      actions: RuleMigrationHelper.normalizeActions(
+        rule.action_config ? JSON.parse(rule.action_config) : null
+      ),
       metadata: rule.metadata ? JSON.parse(rule.metadata) : null,
       last_executed_at: rule.last_executed_at,
       last_evaluated_at: rule.last_evaluated_at,
@@ -256,8 +259,19 @@ class RuleRepository {
    * @param {number} itemsProcessed - Number of items processed
    * @param {boolean} success - Whether execution succeeded
    * @param {string|null} errorMessage - Optional error message
+   * @param {Object} [details]
+   * @param {string|null} [details.actionType] - Action type for single-action rules
+   * @param {Array<{ index: number, actionType: string, itemsProcessed: number, success: boolean, errorMessage: string|null }>} [details.steps]
+   *   Per-step results for action pipelines; each is logged as its own 'step' row after the summary row
    */
-  async recordExecution(ruleId, ruleName, itemsProcessed = 0, success = true, errorMessage = null) {
+  async recordExecution(
+    ruleId,
+    ruleName,
+    itemsProcessed = 0,
+    success = true,
+    errorMessage = null,
+    { actionType = null, steps = [] } = {}
+  ) {
     if (ruleId == null || ruleName == null) {
       logger.warn('Invalid parameters for rule execution record', {
         authId: this.authId,
@@ -286,14 +300,35 @@ class RuleRepository {
         )
         .run(ruleId);
 
-      userDb
-        .prepare(
-          `
-        INSERT INTO rule_execution_log (rule_id, rule_name, execution_type, items_processed, success, error_message)
-        VALUES (?, ?, ?, ?, ?, ?)
+      const insertLog = userDb.prepare(
+        `
+        INSERT INTO rule_execution_log
+          (rule_id, rule_name, execution_type, items_processed, success, error_message, step_index, action_type)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
       `
-        )
-        .run(ruleId, ruleName, 'execution', itemsProcessed, success ? 1 : 0, errorMessage);
+      );
+      insertLog.run(
+        ruleId,
+        ruleName,
+        'execution',
+        itemsProcessed,
+        success ? 1 : 0,
+        errorMessage,
+        null,
+        actionType
+      );
+      for (const step of steps) {
+        insertLog.run(
+          ruleId,
+          ruleName,
+          'step',
+          step.itemsProcessed,
+          step.success ? 1 : 0,
+          step.errorMessage,
+          step.index,
+          step.actionType
+        );
+      }
 
       return true;
     });
@@ -342,7 +377,7 @@ class RuleRepository {
 
     const doSave = userDb.transaction(() => {
       for (const rule of rules) {
-        const migratedRule = RuleMigrationHelper.migrateRuleToGroups(rule);
+        const migratedRule = RuleMigrationHelper.migrateRule(rule);
 
         const conditionsToStore =
           migratedRule.groups && Array.isArray(migratedRule.groups)
@@ -356,7 +391,7 @@ class RuleRepository {
         const enabled = migratedRule.enabled ? 1 : 0;
         const triggerConfig = JSON.stringify(migratedRule.trigger || migratedRule.trigger_config);
         const conditions = JSON.stringify(conditionsToStore);
-        const actionConfig = JSON.stringify(migratedRule.action || migratedRule.action_config);
+        const actionConfig = JSON.stringify(migratedRule.actions);
         const metadata = JSON.stringify(migratedRule.metadata || {});
         let assetTypesJson;
         try {
@@ -432,7 +467,7 @@ class RuleRepository {
 
         const saved = userDb.prepare('SELECT * FROM automation_rules WHERE id = ?').get(savedId);
         if (saved) {
-          savedRules.push(RuleMigrationHelper.migrateRuleToGroups(this.mapRuleFromDb(saved)));
+          savedRules.push(RuleMigrationHelper.migrateRule(this.mapRuleFromDb(saved)));
         }
       }
 
@@ -538,6 +573,100 @@ class RuleRepository {
     }
   }
 
+  /**
+   * Write per-download audit entries and prune rows past the retention window.
+   * Failures are logged, never thrown: auditing must not fail the action batch.
+   * @param {number} ruleId - Rule ID
+   * @param {string} ruleName - Rule name
+   * @param {Array<Object>} entries - `audit` from RuleExecutor.executeActions
+   * @returns {Promise<number>} - Rows written
+   */
+  async recordActionAudit(ruleId, ruleName, entries = []) {
+    if (!Array.isArray(entries) || entries.length === 0) return 0;
+    try {
+      const userDb = await this.getUserDb();
+      const insert = userDb.prepare(
+        `
+        INSERT INTO rule_action_audit
+          (rule_id, rule_name, download_id, asset_type, download_name, download_hash,
+           action_type, step_index, outcome, reason)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `
+      );
+      userDb.transaction(() => {
+        for (const entry of entries) {
+          if (entry?.downloadId == null || !entry.actionType) continue;
+          insert.run(
+            ruleId,
+            ruleName,
+            String(entry.downloadId),
+            entry.assetType || 'torrent',
+            entry.name ?? null,
+            entry.hash ?? null,
+            entry.actionType,
+            entry.stepIndex ?? null,
+            entry.outcome,
+            entry.reason ?? null
+          );
+        }
+        userDb
+          .prepare(`DELETE FROM rule_action_audit WHERE created_at < datetime('now', ?)`)
+          .run(`-${AUDIT_RETENTION_DAYS} days`);
+      })();
+      return entries.length;
+    } catch (error) {
+      logger.warn('Failed to record rule action audit', {
+        authId: this.authId,
+        ruleId,
+        ruleName,
+        entryCount: entries.length,
+        errorMessage: error.message,
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * List audit entries, newest first. `before` is an entry id for keyset pagination.
+   * @param {Object} [filters] - { ruleId, downloadId, outcome, search, before, limit }
+   * @returns {Promise<Array>} - rule_action_audit rows
+   */
+  async getActionAudit({ ruleId, downloadId, outcome, search, before, limit = 100 } = {}) {
+    const userDb = await this.getUserDb();
+    const clauses = [];
+    const params = [];
+    if (ruleId) {
+      clauses.push('rule_id = ?');
+      params.push(ruleId);
+    }
+    if (downloadId) {
+      clauses.push('download_id = ?');
+      params.push(downloadId);
+    }
+    if (outcome) {
+      clauses.push('outcome = ?');
+      params.push(outcome);
+    }
+    if (search) {
+      const pattern = `%${search}%`;
+      clauses.push('(download_name LIKE ? OR download_hash LIKE ? OR rule_name LIKE ?)');
+      params.push(pattern, pattern, pattern);
+    }
+    if (before) {
+      clauses.push('id < ?');
+      params.push(before);
+    }
+
+    let sql = 'SELECT * FROM rule_action_audit';
+    if (clauses.length > 0) {
+      sql += ` WHERE ${clauses.join(' AND ')}`;
+    }
+    sql += ' ORDER BY id DESC LIMIT ?';
+    params.push(limit);
+
+    return userDb.prepare(sql).all(...params);
+  }
+
   /**
    * Log rule execution (log-only; does not update rule stats).
    * @deprecated Prefer recordExecution() which updates rule stats atomically in a transaction.
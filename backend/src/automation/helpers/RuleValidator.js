@@ -1,11 +1,60 @@
 import logger from '../../utils/logger.js';
-import { MIN_INTERVAL_MINUTES } from './constants.js';
+import { MIN_INTERVAL_MINUTES, TRIGGER_TYPES } from './constants.js';
 import {
   isActionSupported,
   isConditionSupported,
+  isTriggerSupported,
   normalizeAssetTypes,
   AUTOMATION_RULE_CAPABILITIES_REGISTRY,
 } from './ruleCapabilities.js';
+import { validateScheduleTrigger } from './ruleSchedule.js';
+import { validateWebhookAction } from './ruleWebhook.js';
+import { PATTERN_OPERATORS, validatePattern } from './stringPatterns.js';
+
+/** Download states a status_changed trigger can target (see utils/torrentStatus.js) */
+const TRIGGER_STATUSES = [
+  'queued',
+  'downloading',
+  'seeding',
+  'completed',
+  'uploading',
+  'stalled',
+  'inactive',
+  'failed',
+  'metadl',
+  'checking_resume_data',
+];
+
+const VALID_ACTION_TYPES = [
+  'stop_seeding',
+  'delete',
+  'archive',
+  'force_start',
+  'add_tag',
+  'remove_tag',
+  'add_airlock',
+  'remove_airlock',
+  'webhook',
+];
+
+/** Actions after which the download is gone, so nothing may follow them in a pipeline */
+const TERMINAL_ACTION_TYPES = ['delete', 'archive'];
+
+const MAX_ACTION_STEPS = 10;
+
+/** Condition types compared with string operators (see RuleEvaluator.compareStringValues) */
+const STRING_CONDITION_TYPES = ['NAME', 'TRACKER', 'ORIGINAL_URL', 'FILE_NAME', 'RELEASE_GROUP'];
+
+/**
+ * @param {number|string} groupIndex - Group index, or a label such as 'Action 2'
+ * @param {number} condIndex
+ * @returns {string}
+ */
+function conditionLocation(groupIndex, condIndex) {
+  return typeof groupIndex === 'string'
+    ? `${groupIndex}, condition ${condIndex}`
+    : `Group ${groupIndex}, condition ${condIndex}`;
+}
 
 /**
  * Validator for automation rule configurations
@@ -90,10 +139,48 @@ class RuleValidator {
       if (typeof trigger !== 'object') {
         errors.push('Trigger must be an object');
       } else {
+        const validTriggerTypes = Object.values(TRIGGER_TYPES);
         if (trigger.type && typeof trigger.type !== 'string') {
           errors.push('Trigger type must be a string');
+        } else if (trigger.type && !validTriggerTypes.includes(trigger.type)) {
+          errors.push(
+            `Invalid trigger type: ${trigger.type}. Valid types: ${validTriggerTypes.join(', ')}`
+          );
+        } else if (
+          trigger.type &&
+          this._ruleAssetTypes &&
+          !isTriggerSupported(trigger.type, this._ruleAssetTypes)
+        ) {
+          errors.push(
+            `Trigger ${trigger.type} is not supported for asset types [${this._ruleAssetTypes.join(', ')}]`
+          );
+        }
+        if (trigger.type === TRIGGER_TYPES.STATUS_CHANGED && trigger.statuses !== undefined) {
+          if (
+            !Array.isArray(trigger.statuses) ||
+            trigger.statuses.some((status) => !TRIGGER_STATUSES.includes(status))
+          ) {
+            errors.push(
+              `status_changed trigger statuses must be an array of: ${TRIGGER_STATUSES.join(', ')}`
+            );
+          }
+        }
+        if (trigger.type === TRIGGER_TYPES.TAG_ADDED && trigger.tagIds !== undefined) {
+          if (
+            !Array.isArray(trigger.tagIds) ||
+            trigger.tagIds.some((id) => typeof id !== 'number' || id <= 0 || !Number.isInteger(id))
+          ) {
+            errors.push('tag_added trigger tagIds must be an array of positive integers');
+          }
+        }
+        if (trigger.type === TRIGGER_TYPES.INTERVAL || trigger.type === TRIGGER_TYPES.CRON) {
+          errors.push(...validateScheduleTrigger(trigger, MIN_INTERVAL_MINUTES));
+        } else if (trigger.window !== undefined || trigger.timezone !== undefined) {
+          errors.push(
+            'Trigger window and timezone are only supported for interval and cron triggers'
+          );
         }
-        if (trigger.type === 'interval') {
+        if (trigger.type === TRIGGER_TYPES.INTERVAL) {
           if (trigger.value === undefined || trigger.value === null) {
             errors.push('Interval trigger must have a value');
           } else if (typeof trigger.value !== 'number' || trigger.value < MIN_INTERVAL_MINUTES) {
@@ -107,53 +194,88 @@ class RuleValidator {
   }
 
   /**
-   * Validate action configuration
+   * Validate action configuration: a single legacy action object or an ordered list of steps
    * @param {Object} rule - Rule to validate
    * @param {Array} errors - Array to append errors to
    */
   validateAction(rule, errors) {
-    const action = rule.action || rule.action_config;
-    if (!action) {
+    const raw = Array.isArray(rule.actions) ? rule.actions : rule.action || rule.action_config;
+    if (!raw) {
       errors.push('Rule must have an action configuration');
-    } else if (typeof action !== 'object') {
+    } else if (typeof raw !== 'object') {
       errors.push('Action must be an object');
+    } else if (!Array.isArray(raw)) {
+      this.validateActionStep(raw, '', errors);
+    } else if (raw.length === 0) {
+      errors.push('Rule must have at least one action');
+    } else if (raw.length > MAX_ACTION_STEPS) {
+      errors.push(`Rule can have at most ${MAX_ACTION_STEPS} actions`);
     } else {
-      if (!action.type || typeof action.type !== 'string') {
-        errors.push('Action type is required and must be a string');
-      } else {
-        const validActionTypes = [
-          'stop_seeding',
-          'delete',
-          'archive',
-          'force_start',
-          'add_tag',
-          'remove_tag',
-          'add_airlock',
-          'remove_airlock',
-        ];
-        if (!validActionTypes.includes(action.type)) {
-          errors.push(
-            `Invalid action type: ${action.type}. Valid types: ${validActionTypes.join(', ')}`
-          );
-        } else if (this._ruleAssetTypes && !isActionSupported(action.type, this._ruleAssetTypes)) {
-          errors.push(
-            `Action ${action.type} is not supported for asset types [${this._ruleAssetTypes.join(', ')}]`
-          );
+      const isPipeline = raw.length > 1;
+      raw.forEach((step, index) => {
+        const label = isPipeline ? `Action ${index + 1}: ` : '';
+        this.validateActionStep(step, label, errors);
+        if (isPipeline && index < raw.length - 1 && TERMINAL_ACTION_TYPES.includes(step?.type)) {
+          errors.push(`${label}${step.type} removes the download and must be the last action`);
         }
+      });
+    }
+  }
 
-        // Validate action-specific fields
-        if (action.type === 'add_tag' || action.type === 'remove_tag') {
-          if (!Array.isArray(action.tagIds) || action.tagIds.length === 0) {
-            errors.push(`${action.type} action requires tagIds to be a non-empty array`);
-          } else {
-            const invalidTagIds = action.tagIds.filter(
-              (id) => typeof id !== 'number' || id <= 0 || !Number.isInteger(id)
-            );
-            if (invalidTagIds.length > 0) {
-              errors.push(`${action.type} action tagIds must be positive integers`);
-            }
+  /**
+   * Validate one action step
+   * @param {Object} action - Action step to validate
+   * @param {string} label - Error prefix identifying the step in a pipeline ('' for single actions)
+   * @param {Array} errors - Array to append errors to
+   */
+  validateActionStep(action, label, errors) {
+    if (typeof action !== 'object' || action === null) {
+      errors.push(`${label}Action must be an object`);
+      return;
+    }
+    if (!action.type || typeof action.type !== 'string') {
+      errors.push(`${label}Action type is required and must be a string`);
+    } else {
+      if (!VALID_ACTION_TYPES.includes(action.type)) {
+        errors.push(
+          `${label}Invalid action type: ${action.type}. Valid types: ${VALID_ACTION_TYPES.join(', ')}`
+        );
+      } else if (this._ruleAssetTypes && !isActionSupported(action.type, this._ruleAssetTypes)) {
+        errors.push(
+          `${label}Action ${action.type} is not supported for asset types [${this._ruleAssetTypes.join(', ')}]`
+        );
+      }
+
+      // Validate action-specific fields
+      if (action.type === 'add_tag' || action.type === 'remove_tag') {
+        if (!Array.isArray(action.tagIds) || action.tagIds.length === 0) {
+          errors.push(`${label}${action.type} action requires tagIds to be a non-empty array`);
+        } else {
+          const invalidTagIds = action.tagIds.filter(
+            (id) => typeof id !== 'number' || id <= 0 || !Number.isInteger(id)
+          );
+          if (invalidTagIds.length > 0) {
+            errors.push(`${label}${action.type} action tagIds must be positive integers`);
           }
         }
+      } else if (action.type === 'webhook') {
+        errors.push(...validateWebhookAction(action).map((message) => `${label}${message}`));
+      }
+    }
+
+    if (action.stopOnFailure !== undefined && typeof action.stopOnFailure !== 'boolean') {
+      errors.push(`${label}stopOnFailure must be a boolean`);
+    }
+
+    // Step conditions narrow the rule's matches for this action only (always AND-ed)
+    if (action.conditions !== undefined) {
+      if (!Array.isArray(action.conditions)) {
+        errors.push(`${label}Action conditions must be an array`);
+      } else {
+        const location = label ? label.slice(0, -2) : 'Action';
+        action.conditions.forEach((condition, condIndex) => {
+          this.validateCondition(condition, location, condIndex, errors);
+        });
       }
     }
   }
@@ -239,24 +361,24 @@ class RuleValidator {
   /**
    * Validate a single condition
    * @param {Object} condition - Condition to validate
-   * @param {number} groupIndex - Index of the group
+   * @param {number|string} groupIndex - Index of the group, or a label for action step conditions
    * @param {number} condIndex - Index of the condition
    * @param {Array} errors - Array to append errors to
    */
   validateCondition(condition, groupIndex, condIndex, errors) {
     if (typeof condition !== 'object' || condition === null) {
-      errors.push(`Group ${groupIndex}, condition ${condIndex} must be an object`);
+      errors.push(`${conditionLocation(groupIndex, condIndex)} must be an object`);
       return;
     }
 
     // Validate condition type
     if (!condition.type || typeof condition.type !== 'string') {
-      errors.push(`Group ${groupIndex}, condition ${condIndex} must have a type string`);
+      errors.push(`${conditionLocation(groupIndex, condIndex)} must have a type string`);
     } else {
       const validConditionTypes = AUTOMATION_RULE_CAPABILITIES_REGISTRY.allConditions;
       if (!validConditionTypes.includes(condition.type)) {
         errors.push(
-          `Group ${groupIndex}, condition ${condIndex} has invalid type: ${condition.type}`
+          `${conditionLocation(groupIndex, condIndex)} has invalid type: ${condition.type}`
         );
       } else if (
         this._ruleAssetTypes &&
@@ -273,7 +395,7 @@ class RuleValidator {
       const validOperators = this.getValidOperators();
       if (!validOperators.includes(condition.operator)) {
         errors.push(
-          `Group ${groupIndex}, condition ${condIndex} has invalid operator: ${condition.operator}`
+          `${conditionLocation(groupIndex, condIndex)} has invalid operator: ${condition.operator}`
         );
       }
     }
@@ -307,13 +429,14 @@ class RuleValidator {
       'is_none_of',
       'is_set',
       'is_not_set',
-      // String operators (for NAME, TRACKER)
+      // String operators (for NAME, TRACKER, ORIGINAL_URL, FILE_NAME, RELEASE_GROUP)
       'contains',
       'not_contains',
       'equals',
       'not_equals',
       'starts_with',
       'ends_with',
+      ...PATTERN_OPERATORS,
       // Boolean operators
       'is_true',
       'is_false',
@@ -330,10 +453,10 @@ class RuleValidator {
   validateConditionValue(condition, groupIndex, condIndex, errors) {
     if (condition.type === 'NAME') {
       if (!condition.value) {
-        errors.push(`Group ${groupIndex}, condition ${condIndex} (NAME) must have a value`);
+        errors.push(`${conditionLocation(groupIndex, condIndex)} (NAME) must have a value`);
       }
     } else if (condition.value === undefined) {
-      errors.push(`Group ${groupIndex}, condition ${condIndex} must have a value`);
+      errors.push(`${conditionLocation(groupIndex, condIndex)} must have a value`);
     }
   }
 
@@ -346,10 +469,27 @@ class RuleValidator {
    */
   validateConditionTypeSpecific(condition, groupIndex, condIndex, errors) {
     if (condition.type === 'STATUS' && !Array.isArray(condition.value)) {
-      errors.push(`Group ${groupIndex}, condition ${condIndex} (STATUS) value must be an array`);
+      errors.push(`${conditionLocation(groupIndex, condIndex)} (STATUS) value must be an array`);
     }
     if (condition.type === 'TAGS' && !Array.isArray(condition.value)) {
-      errors.push(`Group ${groupIndex}, condition ${condIndex} (TAGS) value must be an array`);
+      errors.push(`${conditionLocation(groupIndex, condIndex)} (TAGS) value must be an array`);
+    }
+    if (condition.type === 'FILE_EXTENSION') {
+      const extensions = Array.isArray(condition.value) ? condition.value : null;
+      if (
+        !extensions ||
+        !extensions.every((ext) => typeof ext === 'string') ||
+        !extensions.some((ext) => ext.trim() !== '')
+      ) {
+        errors.push(
+          `${conditionLocation(groupIndex, condIndex)} (FILE_EXTENSION) value must be a non-empty array of extensions`
+        );
+      }
+      if (condition.operator !== 'is_any_of' && condition.operator !== 'is_none_of') {
+        errors.push(
+          `${conditionLocation(groupIndex, condIndex)} (FILE_EXTENSION) operator must be is_any_of or is_none_of`
+        );
+      }
     }
     if (
       (condition.type === 'AVG_DOWNLOAD_SPEED' || condition.type === 'AVG_UPLOAD_SPEED') &&
@@ -357,9 +497,26 @@ class RuleValidator {
       (typeof condition.hours !== 'number' || condition.hours <= 0)
     ) {
       errors.push(
-        `Group ${groupIndex}, condition ${condIndex} (${condition.type}) hours must be a positive number`
+        `${conditionLocation(groupIndex, condIndex)} (${condition.type}) hours must be a positive number`
       );
     }
+    if (PATTERN_OPERATORS.includes(condition.operator)) {
+      if (!STRING_CONDITION_TYPES.includes(condition.type)) {
+        errors.push(
+          `${conditionLocation(groupIndex, condIndex)} (${condition.type}) does not support ${condition.operator}`
+        );
+      } else {
+        const patternError = validatePattern(condition.operator, condition.value);
+        if (patternError) {
+          errors.push(
+            `${conditionLocation(groupIndex, condIndex)} (${condition.type}) ${patternError}`
+          );
+        }
+      }
+    }
+    if (condition.caseSensitive !== undefined && typeof condition.caseSensitive !== 'boolean') {
+      errors.push(`${conditionLocation(groupIndex, condIndex)} caseSensitive must be a boolean`);
+    }
   }
 
   /**
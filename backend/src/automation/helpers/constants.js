@@ -3,6 +3,27 @@
  */
 export const INITIAL_POLL_INTERVAL_MINUTES = 30;
 export const MIN_INTERVAL_MINUTES = 30;
+
+const DEFAULT_EVENT_TRIGGER_POLL_INTERVAL_MINUTES = 5;
+
+/**
+ * @param {string|undefined} raw - EVENT_TRIGGER_POLL_INTERVAL_MINUTES
+ * @returns {number} Positive minutes; the default for unset, non-numeric or non-positive values
+ */
+export function parseEventTriggerPollInterval(raw) {
+  const minutes = Number(raw);
+  return raw && Number.isFinite(minutes) && minutes > 0
+    ? minutes
+    : DEFAULT_EVENT_TRIGGER_POLL_INTERVAL_MINUTES;
+}
+
+/**
+ * Poll interval for users with event-triggered rules. Events are only detected when the
+ * download list is polled, so these rules get their own, shorter floor than interval rules.
+ */
+export const EVENT_TRIGGER_POLL_INTERVAL_MINUTES = parseEventTriggerPollInterval(
+  process.env.EVENT_TRIGGER_POLL_INTERVAL_MINUTES
+); // Default: 5 minutes
 export const DEFAULT_RETRY_MAX_RETRIES = 3;
 export const DEFAULT_RETRY_INITIAL_DELAY_MS = 100;
 
@@ -22,3 +43,18 @@ export const MANUAL_EXECUTION_RATE_LIMIT_MS = parseInt(
  * application state (e.g. from getTorrentStatus when torrent is not downloading/seeding/queued).
  */
 export const TERMINAL_STATES = Object.freeze(['completed', 'failed', 'inactive']);
+
+/**
+ * Rule trigger types. Interval and cron rules are gated on last_evaluated_at (and an optional
+ * active window); the rest are event-driven and evaluated each poll against only the downloads
+ * the event fired for.
+ */
+export const TRIGGER_TYPES = Object.freeze({
+  INTERVAL: 'interval',
+  CRON: 'cron',
+  DOWNLOAD_ADDED: 'download_added',
+  DOWNLOAD_COMPLETED: 'download_completed',
+  STATUS_CHANGED: 'status_changed',
+  BECAME_STALLED: 'became_stalled',
+  TAG_ADDED: 'tag_added',
+});
@@ -0,0 +1,190 @@
+/**
+ * Restore points for downloads removed by automation rules (download_restore_points).
+ *
+ * A restore point keeps what is needed to add the download back within the undo window:
+ * a magnet link (torrents) or the original URL (web downloads), plus tag ids and airlock state.
+ * Usenet downloads have no re-addable source and get no restore point.
+ */
+import { formatSqliteUtc } from '../../utils/sqliteDatetime.js';
+import { getAutomationUndoWindowHours } from '../../config/automationUndo.js';
+
+export const RESTORABLE_ACTION_TYPES = new Set(['delete', 'archive']);
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const TRACKER_URL_RE = /^(udp|https?|wss?):\/\//i;
+
+/**
+ * @param {Object} download - Download as fetched from TorBox
+ * @param {string} assetType - torrent | usenet | webdl
+ * @returns {string|null} Magnet link or URL that re-adds the download, or null when there is none
+ */
+export function buildRestoreSource(download, assetType) {
+  if (assetType === 'torrent') {
+    if (typeof download.magnet === 'string' && download.magnet.startsWith('magnet:')) {
+      return download.magnet;
+    }
+    if (!download.hash) return null;
+    let magnet = `magnet:?xt=urn:btih:${download.hash}&dn=${encodeURIComponent(download.name || 'Unknown')}`;
+    if (typeof download.tracker === 'string' && TRACKER_URL_RE.test(download.tracker)) {
+      magnet += `&tr=${encodeURIComponent(download.tracker)}`;
+    }
+    return magnet;
+  }
+  if (assetType === 'webdl' && typeof download.original_url === 'string') {
+    return download.original_url || null;
+  }
+  return null;
+}
+
+function toRestorePoint(row) {
+  if (!row) return null;
+  let tagIds = [];
+  try {
+    tagIds = row.tag_ids ? JSON.parse(row.tag_ids) : [];
+  } catch {
+    tagIds = [];
+  }
+  return { ...row, tag_ids: tagIds, airlocked: row.airlocked === 1 };
+}
+
+/**
+ * Snapshot a download a rule is removing. Call before the download's tags are cleaned up.
+ * Expired restore points are pruned in the same transaction.
+ * @param {import('bun:sqlite').Database} db - User database
+ * @param {Object} params
+ * @param {Object|null} params.rule - Rule that ran the action ({ id, name })
+ * @param {string} params.actionType - delete | archive
+ * @param {Object} params.download - Download as fetched from TorBox
+ * @param {string} params.downloadId
+ * @param {string} params.assetType
+ * @param {boolean} params.airlocked
+ * @param {Date} [now]
+ * @returns {number|null} Restore point id, or null when not recorded
+ */
+export function recordRestorePoint(
+  db,
+  { rule, actionType, download, downloadId, assetType, airlocked },
+  now = new Date()
+) {
+  const windowHours = getAutomationUndoWindowHours();
+  if (windowHours === 0 || !RESTORABLE_ACTION_TYPES.has(actionType)) return null;
+  const source = buildRestoreSource(download, assetType);
+  if (!source) return null;
+
+  const tagIds = db
+    .prepare('SELECT tag_id FROM download_tags WHERE download_id = ?')
+    .all(downloadId)
+    .map((row) => row.tag_id);
+  const expiresAt = formatSqliteUtc(new Date(now.getTime() + windowHours * MS_PER_HOUR));
+
+  let id = null;
+  db.transaction(() => {
+    db.prepare('DELETE FROM download_restore_points WHERE expires_at < ?').run(
+      formatSqliteUtc(now)
+    );
+    const result = db
+      .prepare(
+        `
+        INSERT INTO download_restore_points
+          (rule_id, rule_name, action_type, download_id, asset_type, name, hash, source,
+           tag_ids, airlocked, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `
+      )
+      .run(
+        rule?.id ?? null,
+        rule?.name ?? null,
+        actionType,
+        downloadId,
+        assetType,
+        download.name ?? null,
+        download.hash ?? null,
+        source,
+        JSON.stringify(tagIds),
+        airlocked ? 1 : 0,
+        expiresAt
+      );
+    id = Number(result.lastInsertRowid);
+  })();
+  return id;
+}
+
+/**
+ * Restore points that can still be used: not restored and not expired, newest first.
+ * @param {import('bun:sqlite').Database} db
+ * @param {Date} [now]
+ * @returns {Object[]}
+ */
+export function listRestorePoints(db, now = new Date()) {
+  return db
+    .prepare(
+      `
+      SELECT * FROM download_restore_points
+      WHERE restored_at IS NULL AND expires_at >= ?
+      ORDER BY id DESC
+    `
+    )
+    .all(formatSqliteUtc(now))
+    .map(toRestorePoint);
+}
+
+/**
+ * @param {import('bun:sqlite').Database} db
+ * @param {number} id
+ * @returns {Object|null}
+ */
+export function getRestorePoint(db, id) {
+  return toRestorePoint(db.prepare('SELECT * FROM download_restore_points WHERE id = ?').get(id));
+}
+
+/**
+ * @param {Object} restorePoint
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export function isRestorePointExpired(restorePoint, now = new Date()) {
+  return restorePoint.expires_at < formatSqliteUtc(now);
+}
+
+/**
+ * Atomically claim a restore point so overlapping restores can't re-add the download twice.
+ * @param {import('bun:sqlite').Database} db
+ * @param {number} id
+ * @returns {boolean} - True when this call set restored_at; false when it was already set
+ */
+export function claimRestorePoint(db, id) {
+  const result = db
+    .prepare(
+      `
+      UPDATE download_restore_points
+      SET restored_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND restored_at IS NULL
+    `
+    )
+    .run(id);
+  return result.changes === 1;
+}
+
+/**
+ * Undo {@link claimRestorePoint} after the re-add failed, so the restore can be retried.
+ * @param {import('bun:sqlite').Database} db
+ * @param {number} id
+ */
+export function releaseRestorePoint(db, id) {
+  db.prepare('UPDATE download_restore_points SET restored_at = NULL WHERE id = ?').run(id);
+}
+
+/**
+ * @param {import('bun:sqlite').Database} db
+ * @param {number} id - Restore point previously claimed with {@link claimRestorePoint}
+ * @param {string|null} restoredDownloadId - Id TorBox assigned to the re-added download
+ */
+export function markRestorePointRestored(db, id, restoredDownloadId) {
+  db.prepare(
+    `
+    UPDATE download_restore_points
+    SET restored_download_id = ?
+    WHERE id = ?
+  `
+  ).run(restoredDownloadId, id);
+}
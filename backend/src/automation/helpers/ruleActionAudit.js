@@ -0,0 +1,71 @@
+/**
+ * Per-download audit trail for rule actions (rule_action_audit).
+ *
+ * Every download an action touches gets one row: success, failed (reason = error message)
+ * or skipped (reason = one of AUDIT_SKIP_REASONS). Rows keep the download name and hash
+ * so they stay readable after the download itself is gone.
+ */
+
+export const AUDIT_OUTCOMES = Object.freeze({
+  SUCCESS: 'success',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+});
+
+export const AUDIT_SKIP_REASONS = Object.freeze({
+  PROTECTED: 'protected',
+  NO_CHANGE: 'no_change',
+  ABORTED: 'aborted',
+});
+
+/** Audit rows older than this are pruned when new rows are written */
+export const AUDIT_RETENTION_DAYS = 30;
+
+export const DEFAULT_AUDIT_PAGE_SIZE = 100;
+export const MAX_AUDIT_PAGE_SIZE = 500;
+
+/**
+ * Parse audit list query parameters.
+ * @param {Object} query - { ruleId?, downloadId?, outcome?, search?, before?, limit? }
+ * @returns {{ filters?: Object, error?: string }}
+ */
+export function parseAuditQuery(query = {}) {
+  const filters = { limit: DEFAULT_AUDIT_PAGE_SIZE };
+
+  if (query.ruleId !== undefined && query.ruleId !== '') {
+    const ruleId = Number(query.ruleId);
+    if (!Number.isInteger(ruleId) || ruleId <= 0) {
+      return { error: 'ruleId must be a positive integer' };
+    }
+    filters.ruleId = ruleId;
+  }
+  if (query.downloadId !== undefined && query.downloadId !== '') {
+    filters.downloadId = String(query.downloadId);
+  }
+  if (query.outcome !== undefined && query.outcome !== '') {
+    if (!Object.values(AUDIT_OUTCOMES).includes(query.outcome)) {
+      return {
+        error: `outcome must be one of: ${Object.values(AUDIT_OUTCOMES).join(', ')}`,
+      };
+    }
+    filters.outcome = query.outcome;
+  }
+  if (typeof query.search === 'string' && query.search.trim() !== '') {
+    filters.search = query.search.trim().slice(0, 200);
+  }
+  if (query.before !== undefined && query.before !== '') {
+    const before = Number(query.before);
+    if (!Number.isInteger(before) || before <= 0) {
+      return { error: 'before must be a positive integer' };
+    }
+    filters.before = before;
+  }
+  if (query.limit !== undefined && query.limit !== '') {
+    const limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit <= 0) {
+      return { error: 'limit must be a positive integer' };
+    }
+    filters.limit = Math.min(limit, MAX_AUDIT_PAGE_SIZE);
+  }
+  return { filters };
+}
@@ -0,0 +1,175 @@
+/**
+ * Portable automation rule bundles (export/import between accounts).
+ *
+ * Bundle shape:
+ *   {
+ *     format: 'torbox-automation-rules',
+ *     version: 1,
+ *     exportedAt: ISO string,
+ *     rules: [{ name, enabled, assetTypes, trigger, logicOperator, groups, actions }],
+ *     tags: [{ id, name }]   // every tag id referenced by the rules, keyed by the exporting account's ids
+ *   }
+ *
+ * Tag ids only mean something inside one account, so import maps them through `tags` by name.
+ */
+import RuleMigrationHelper from './RuleMigrationHelper.js';
+import { TRIGGER_TYPES } from './constants.js';
+
+export const RULE_BUNDLE_FORMAT = 'torbox-automation-rules';
+export const RULE_BUNDLE_VERSION = 1;
+export const MAX_BUNDLE_RULES = 100;
+
+const TAG_ACTION_TYPES = new Set(['add_tag', 'remove_tag']);
+/** Same limit as POST /api/tags */
+const MAX_TAG_NAME_LENGTH = 100;
+
+function bundleError(message) {
+  return Object.assign(new Error(message), {
+    name: 'RuleValidationError',
+    statusCode: 400,
+    isValidationError: true,
+  });
+}
+
+function mapConditions(conditions, mapTagId) {
+  if (!Array.isArray(conditions)) return conditions;
+  return conditions.map((condition) =>
+    condition?.type === 'TAGS' && Array.isArray(condition.value)
+      ? { ...condition, value: condition.value.map(mapTagId) }
+      : condition
+  );
+}
+
+/**
+ * Rewrite every tag id a rule references: tag actions, TAGS conditions (rule groups and
+ * action steps) and tag_added triggers.
+ * @param {Object} rule - Rule with `groups` and `actions`
+ * @param {(tagId: number) => number} mapTagId
+ * @returns {Object} New rule
+ */
+export function mapRuleTagIds(rule, mapTagId) {
+  const trigger =
+    rule.trigger?.type === TRIGGER_TYPES.TAG_ADDED && Array.isArray(rule.trigger.tagIds)
+      ? { ...rule.trigger, tagIds: rule.trigger.tagIds.map(mapTagId) }
+      : rule.trigger;
+  const groups = Array.isArray(rule.groups)
+    ? rule.groups.map((group) => ({
+        ...group,
+        conditions: mapConditions(group.conditions, mapTagId),
+      }))
+    : rule.groups;
+  const actions = Array.isArray(rule.actions)
+    ? rule.actions.map((action) => {
+        const mapped = { ...action };
+        if (TAG_ACTION_TYPES.has(action?.type) && Array.isArray(action.tagIds)) {
+          mapped.tagIds = action.tagIds.map(mapTagId);
+        }
+        if (action?.conditions) {
+          mapped.conditions = mapConditions(action.conditions, mapTagId);
+        }
+        return mapped;
+      })
+    : rule.actions;
+  return { ...rule, trigger, groups, actions };
+}
+
+/**
+ * @param {Object} rule
+ * @returns {number[]} Distinct tag ids referenced by the rule
+ */
+export function collectRuleTagIds(rule) {
+  const ids = new Set();
+  mapRuleTagIds(rule, (tagId) => {
+    ids.add(tagId);
+    return tagId;
+  });
+  return [...ids];
+}
+
+/**
+ * Strip account-specific fields (ids, metadata, execution state) from a stored rule.
+ * @param {Object} rule - Rule as returned by RuleRepository
+ * @returns {Object}
+ */
+export function toPortableRule(rule) {
+  const migrated = RuleMigrationHelper.migrateRule(rule);
+  return {
+    name: migrated.name,
+    enabled: migrated.enabled === true,
+    assetTypes: migrated.assetTypes || ['torrent'],
+    trigger: migrated.trigger,
+    logicOperator: migrated.logicOperator || 'and',
+    groups: (migrated.groups || []).map(({ _key, ...group }) => ({
+      ...group,
+      conditions: (group.conditions || []).map(
+        ({ _key: _conditionKey, ...condition }) => condition
+      ),
+    })),
+    actions: migrated.actions.map(({ _key, ...action }) => action),
+  };
+}
+
+/**
+ * @param {Object[]} rules - Stored rules
+ * @param {Array<{ id: number, name: string }>} tags - The account's tags (only referenced ones are kept)
+ * @returns {Object} Rule bundle
+ */
+export function buildRuleBundle(rules, tags) {
+  const portableRules = rules.map(toPortableRule);
+  const referenced = new Set(portableRules.flatMap(collectRuleTagIds));
+  return {
+    format: RULE_BUNDLE_FORMAT,
+    version: RULE_BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    rules: portableRules,
+    tags: tags.filter((tag) => referenced.has(tag.id)).map(({ id, name }) => ({ id, name })),
+  };
+}
+
+/**
+ * Check the bundle envelope and normalize its rules to the current shape.
+ * @param {Object} bundle
+ * @returns {{ rules: Object[], tagNamesById: Map<number, string> }}
+ * @throws {Error} RuleValidationError when the bundle is malformed
+ */
+export function parseRuleBundle(bundle) {
+  if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+    throw bundleError('bundle must be an object');
+  }
+  if (bundle.format !== RULE_BUNDLE_FORMAT) {
+    throw bundleError(`bundle format must be ${RULE_BUNDLE_FORMAT}`);
+  }
+  if (bundle.version !== RULE_BUNDLE_VERSION) {
+    throw bundleError(`Unsupported bundle version: ${bundle.version}`);
+  }
+  if (!Array.isArray(bundle.rules) || bundle.rules.length === 0) {
+    throw bundleError('bundle must contain at least one rule');
+  }
+  if (bundle.rules.length > MAX_BUNDLE_RULES) {
+    throw bundleError(`bundle can contain at most ${MAX_BUNDLE_RULES} rules`);
+  }
+  if (bundle.tags !== undefined && !Array.isArray(bundle.tags)) {
+    throw bundleError('bundle tags must be an array');
+  }
+
+  const tagNamesById = new Map();
+  for (const tag of bundle.tags || []) {
+    if (!Number.isInteger(tag?.id) || typeof tag.name !== 'string' || tag.name.trim() === '') {
+      throw bundleError('bundle tags must have an integer id and a name');
+    }
+    if (tag.name.trim().length > MAX_TAG_NAME_LENGTH) {
+      throw bundleError(`bundle tag names must be ${MAX_TAG_NAME_LENGTH} characters or less`);
+    }
+    tagNamesById.set(tag.id, tag.name.trim());
+  }
+
+  const rules = bundle.rules.map((rule, index) => {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      throw bundleError(`Rule ${index + 1} must be an object`);
+    }
+    const { id: _id, metadata: _metadata, ...portable } = rule;
+    return RuleMigrationHelper.migrateRule(portable);
+  });
+
+  return { rules, tagNamesById };
+}
@@ -1,6 +1,15 @@
+const STEP_COUNT_KEYS = [
+  'targetCount',
+  'successCount',
+  'errorCount',
+  'protectedSkippedCount',
+  'abortedCount',
+  'haltedCount',
+];
+
 /**
  * Build rule execution log message from action batch results.
- * @param {{ errorCount?: number, protectedSkippedCount?: number }} result
+ * @param {{ actionType?: string, successCount?: number, errorCount?: number, protectedSkippedCount?: number, haltedCount?: number }} result
  * @returns {string|null}
  */
 export function buildRuleExecutionMessage(result = {}) {
@@ -8,21 +17,80 @@ export function buildRuleExecutionMessage(result = {}) {
   const errorCount = result.errorCount ?? 0;
   const protectedSkippedCount = result.protectedSkippedCount ?? 0;
 
-  if (errorCount > 0) {
+  if (result.actionType === 'webhook') {
+    // Delivery outcome is the whole point of a webhook rule, so always spell it out
+    parts.push(`${result.successCount ?? 0} webhook(s) delivered`);
+    if (errorCount > 0) {
+      parts.push(`${errorCount} webhook delivery(ies) failed`);
+    }
+  } else if (errorCount > 0) {
     parts.push(`${errorCount} actions failed`);
   }
   if (protectedSkippedCount > 0) {
     parts.push(`${protectedSkippedCount} action(s) skipped: download is protected`);
   }
+  if ((result.haltedCount ?? 0) > 0) {
+    parts.push(`${result.haltedCount} download(s) skipped the remaining actions (stop on failure)`);
+  }
 
   return parts.length > 0 ? parts.join('; ') : null;
 }
 
 /**
  * Whether an execution batch should be recorded in rule_execution_log.
- * @param {{ successCount?: number, protectedSkippedCount?: number }} result
+ * Failed webhook deliveries are recorded too so users can see notifications are not arriving.
+ * @param {{ actionType?: string, successCount?: number, errorCount?: number, protectedSkippedCount?: number }} result
  * @returns {boolean}
  */
 export function shouldRecordRuleExecution(result = {}) {
+  if (Array.isArray(result.steps) && result.steps.length > 1) {
+    return result.steps.some((step) => shouldRecordRuleExecution(step));
+  }
+  if (result.actionType === 'webhook' && (result.errorCount ?? 0) > 0) {
+    return true;
+  }
   return (result.successCount ?? 0) > 0 || (result.protectedSkippedCount ?? 0) > 0;
 }
+
+/**
+ * Add one chunk's per-step counts into the running totals (steps are matched by index).
+ * @param {Array<Object>} totals - Accumulated step results; mutated
+ * @param {Array<Object>} [steps] - Step results from RuleExecutor.executeActions
+ * @returns {Array<Object>} totals
+ */
+export function accumulateStepResults(totals, steps = []) {
+  for (const step of steps) {
+    const total = totals[step.index];
+    if (!total) {
+      totals[step.index] = { ...step };
+      continue;
+    }
+    for (const key of STEP_COUNT_KEYS) {
+      total[key] = (total[key] ?? 0) + (step[key] ?? 0);
+    }
+  }
+  return totals;
+}
+
+/**
+ * Extra recordExecution() details: the action type for single-action rules, one log row per
+ * step for pipelines.
+ * @param {{ actionType?: string|null, steps?: Array<Object> }} result
+ * @returns {{ actionType: string|null, steps: Array<Object> }}
+ */
+export function buildExecutionLogDetails(result = {}) {
+  const steps = Array.isArray(result.steps) ? result.steps.filter(Boolean) : [];
+  if (steps.length <= 1) {
+    return { actionType: result.actionType ?? steps[0]?.actionType ?? null, steps: [] };
+  }
+  return {
+    actionType: null,
+    steps: steps.map((step) => ({
+      index: step.index,
+      actionType: step.actionType,
+      itemsProcessed: step.successCount ?? 0,
+      success: (step.errorCount ?? 0) === 0 && (step.protectedSkippedCount ?? 0) === 0,
+      errorMessage: buildRuleExecutionMessage(step),
+    })),
+  };
+}
@@ -0,0 +1,10 @@
+export {
+  parseCronExpression,
+  getNextCronRun,
+  getNextRunTimes,
+  getNextWindowOpening,
+  isWithinScheduleWindow,
+  isValidTimezone,
+  isValidTimeOfDay,
+  validateScheduleTrigger,
+} from '../../../config/ruleSchedule.mjs';
@@ -0,0 +1,229 @@
+/**
+ * Webhook notification action for automation rules.
+ *
+ * Action shape:
+ *   { type: 'webhook', url: 'https://…', format?: 'generic' | 'discord' | 'ntfy', template?: string }
+ *
+ * `template` (generic format only) is a JSON document with {{placeholder}} tokens, e.g.
+ *   {"text": "{{rule.name}} matched {{download.name}}"}
+ * Values are JSON-escaped before substitution, so tokens belong inside string literals.
+ */
+import { safeExternalFetch } from '../../utils/safeExternalFetch.js';
+import { validateExternalUrl } from '../../utils/validateExternalUrl.js';
+
+export const WEBHOOK_FORMATS = Object.freeze(['generic', 'discord', 'ntfy']);
+
+export const WEBHOOK_TEMPLATE_PLACEHOLDERS = Object.freeze([
+  'rule.id',
+  'rule.name',
+  'download.id',
+  'download.name',
+  'download.hash',
+  'download.status',
+  'download.size',
+  'download.assetType',
+  'timestamp',
+]);
+
+const WEBHOOK_TIMEOUT_MS = 10_000;
+/** Webhook responses are not used; keep the read small. */
+const WEBHOOK_MAX_RESPONSE_BYTES = 64 * 1024;
+const MAX_TEMPLATE_LENGTH = 4000;
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+const SAMPLE_CONTEXT = {
+  rule: { id: 1, name: 'Sample rule' },
+  download: {
+    id: 1,
+    name: 'Sample download',
+    hash: 'abc123',
+    status: 'completed',
+    size: 1024,
+    assetType: 'torrent',
+  },
+  timestamp: '2026-01-01T00:00:00.000Z',
+};
+
+function formatBytes(bytes) {
+  if (!Number.isFinite(bytes) || bytes <= 0) return 'unknown';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 2)} ${units[unit]}`;
+}
+
+/**
+ * @param {Object} rule
+ * @param {Object} download
+ * @param {string} status - Resolved download status
+ * @returns {Object} Template context
+ */
+export function buildWebhookContext(rule, download, status) {
+  return {
+    rule: { id: rule?.id ?? null, name: rule?.name ?? '' },
+    download: {
+      id: download?.id ?? null,
+      name: download?.name ?? '',
+      hash: download?.hash ?? null,
+      status: status ?? null,
+      size: Number.isFinite(download?.size) ? download.size : null,
+      assetType: download?.assetType || 'torrent',
+    },
+    timestamp: new Date().toISOString(),
+  };
+}
+
+function lookupPlaceholder(context, path) {
+  return path.split('.').reduce((value, key) => value?.[key], context);
+}
+
+/**
+ * Substitute {{placeholders}} in a JSON template and parse the result.
+ * @param {string} template
+ * @param {Object} context - From buildWebhookContext
+ * @returns {Object} Parsed payload
+ * @throws {Error} When a placeholder is unknown or the rendered template is not valid JSON
+ */
+export function renderWebhookTemplate(template, context) {
+  const rendered = template.replace(PLACEHOLDER_PATTERN, (_, path) => {
+    if (!WEBHOOK_TEMPLATE_PLACEHOLDERS.includes(path)) {
+      throw new Error(`Unknown webhook template placeholder: {{${path}}}`);
+    }
+    const value = lookupPlaceholder(context, path);
+    return JSON.stringify(value == null ? '' : String(value)).slice(1, -1);
+  });
+  try {
+    return JSON.parse(rendered);
+  } catch {
+    throw new Error('Webhook template must render to valid JSON');
+  }
+}
+
+/**
+ * Build the request for a webhook delivery.
+ * @param {Object} action - Webhook action
+ * @param {Object} context - From buildWebhookContext
+ * @returns {{ url: string, payload: Object }}
+ */
+export function buildWebhookRequest(action, context) {
+  const { rule, download } = context;
+  const format = action.format || 'generic';
+  const title = `Automation rule "${rule.name}" matched`;
+  const summary = `${download.name} (${download.status || 'unknown'}, ${formatBytes(download.size)})`;
+
+  if (format === 'discord') {
+    return {
+      url: action.url,
+      payload: {
+        username: 'TorBox Manager',
+        embeds: [
+          {
+            title,
+            description: download.name,
+            timestamp: context.timestamp,
+            fields: [
+              { name: 'Status', value: download.status || 'unknown', inline: true },
+              { name: 'Size', value: formatBytes(download.size), inline: true },
+              ...(download.hash ? [{ name: 'Hash', value: download.hash }] : []),
+            ],
+          },
+        ],
+      },
+    };
+  }
+
+  if (format === 'ntfy') {
+    // JSON publishing goes to the server root with the topic in the body
+    const url = new URL(action.url);
+    const segments = url.pathname.split('/').filter(Boolean);
+    const topic = segments.pop();
+    url.pathname = `/${segments.join('/')}`;
+    return {
+      url: url.toString(),
+      payload: { topic, title, message: summary, tags: ['robot'] },
+    };
+  }
+
+  return {
+    url: action.url,
+    payload: action.template
+      ? renderWebhookTemplate(action.template, context)
+      : { event: 'automation_rule_matched', ...context },
+  };
+}
+
+/**
+ * Validate webhook action fields.
+ * @param {Object} action
+ * @returns {string[]} Error messages
+ */
+export function validateWebhookAction(action) {
+  const errors = [];
+  if (typeof action.url !== 'string' || action.url.trim() === '') {
+    errors.push('webhook action requires a url');
+  } else {
+    const validation = validateExternalUrl(action.url);
+    if (!validation.valid) {
+      errors.push(`webhook url is not allowed: ${validation.reason}`);
+    } else if (action.format === 'ntfy') {
+      const segments = new URL(action.url).pathname.split('/').filter(Boolean);
+      if (segments.length === 0) {
+        errors.push('ntfy webhook url must include a topic, e.g. https://ntfy.sh/my-topic');
+      }
+    }
+  }
+
+  if (action.format !== undefined && !WEBHOOK_FORMATS.includes(action.format)) {
+    errors.push(
+      `Invalid webhook format: ${action.format}. Valid formats: ${WEBHOOK_FORMATS.join(', ')}`
+    );
+  }
+
+  if (action.template !== undefined && action.template !== null && action.template !== '') {
+    if ((action.format || 'generic') !== 'generic') {
+      errors.push('webhook template is only supported for the generic format');
+    } else if (typeof action.template !== 'string') {
+      errors.push('webhook template must be a string');
+    } else if (action.template.length > MAX_TEMPLATE_LENGTH) {
+      errors.push(`webhook template must be at most ${MAX_TEMPLATE_LENGTH} characters`);
+    } else {
+      try {
+        renderWebhookTemplate(action.template, SAMPLE_CONTEXT);
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * POST the webhook payload through the SSRF guard.
+ * @param {Object} action - Webhook action
+ * @param {Object} context - From buildWebhookContext
+ * @param {Object} [deps] - { lookup, fetchImpl } for tests
+ * @returns {Promise<Object>} - { success, status } (non-2xx is a soft failure)
+ */
+export async function sendWebhook(action, context, deps = {}) {
+  const { url, payload } = buildWebhookRequest(action, context);
+  const response = await safeExternalFetch(url, {
+    method: 'POST',
+    body: JSON.stringify(payload),
+    headers: { 'Content-Type': 'application/json' },
+    timeoutMs: WEBHOOK_TIMEOUT_MS,
+    maxBytes: WEBHOOK_MAX_RESPONSE_BYTES,
+    ...deps,
+  });
+  if (!response.ok) {
+    return {
+      success: false,
+      status: response.status,
+      error: `Webhook responded with status ${response.status}`,
+    };
+  }
+  return { success: true, applied: true, status: response.status, message: 'Webhook delivered' };
+}
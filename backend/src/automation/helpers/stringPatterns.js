@@ -0,0 +1,159 @@
+/**
+ * Backend side of matches_regex / matches_glob conditions: save-time validation and matching.
+ * The backend matches with RE2 (linear time, no backtracking), so a pattern cannot stall the
+ * poller whatever it looks like. Browsers match the same patterns with RegExp through
+ * config/stringPatterns.mjs, which is why saving still rejects patterns that backtrack badly.
+ */
+import { RE2JS } from 're2js';
+import {
+  MAX_MATCH_INPUT_LENGTH,
+  MAX_PATTERN_LENGTH,
+  globToRegexSource,
+  isSafeRegex,
+} from '../../../config/stringPatterns.mjs';
+
+export {
+  PATTERN_OPERATORS,
+  MAX_PATTERN_LENGTH,
+  MAX_MATCH_INPUT_LENGTH,
+  globToRegexSource,
+  isSafeRegex,
+  compilePattern,
+} from '../../../config/stringPatterns.mjs';
+
+const REGEX_PROBE_BUDGET_MS = 100;
+const PROBE_CHARACTERS = ['a', '0', ' ', '.', '-', '_'];
+/** Characters combined pairwise into probe units; more would make the probe itself slow */
+const MAX_PROBE_POOL = 12;
+const MAX_PROBE_LITERAL_RUNS = 10;
+/**
+ * Probe input lengths grow 1.5x per step, so a pattern whose cost grows polynomially is caught a
+ * few steps after it crosses the budget instead of after running for minutes.
+ */
+const PROBE_LENGTHS = [];
+for (let length = 16; length < MAX_MATCH_INPUT_LENGTH - 1; length = Math.ceil(length * 1.5)) {
+  PROBE_LENGTHS.push(length);
+}
+PROBE_LENGTHS.push(MAX_MATCH_INPUT_LENGTH - 1);
+
+const MAX_COMPILED_MATCHERS = 200;
+/** @type {Map<string, RE2JS|null>} */
+const compiledMatchers = new Map();
+
+/**
+ * Units repeated into probe inputs: single characters, character pairs and the pattern's own
+ * literal runs, so `(ab|a.)*c` is probed with "ababab…" and not only "aaaa…".
+ * @param {string} source - Regular expression source
+ * @returns {string[]}
+ */
+function getProbeUnits(source) {
+  const literalRuns = source
+    .split(/\\.|[\^$.|?*+()[\]{}]/)
+    .filter((run) => run.length > 1)
+    .slice(0, MAX_PROBE_LITERAL_RUNS);
+  const literals = [...new Set(source.replace(/\\.|[\^$.|?*+()[\]{}]/g, ''))];
+  const pool = [...new Set([...PROBE_CHARACTERS, ...literals])].slice(0, MAX_PROBE_POOL);
+  const pairs = pool.flatMap((first) => pool.map((second) => first + second));
+  return [...new Set([...pool, ...pairs, ...literalRuns])];
+}
+
+/**
+ * Time RegExp (browser semantics) on probe inputs of growing length, each ending in a character
+ * no pattern expects.
+ * @param {string} source
+ * @returns {boolean} false when one length step ran over the budget
+ */
+function passesProbe(source) {
+  const regex = new RegExp(source, 'i');
+  const units = getProbeUnits(source);
+  for (const length of PROBE_LENGTHS) {
+    const started = performance.now();
+    for (const unit of units) {
+      regex.test(unit.repeat(Math.ceil(length / unit.length)).slice(0, length) + '\u0000');
+    }
+    if (performance.now() - started > REGEX_PROBE_BUDGET_MS) return false;
+  }
+  return true;
+}
+
+/**
+ * @param {string} operator - matches_regex | matches_glob
+ * @param {string} pattern
+ * @param {boolean} caseSensitive
+ * @returns {RE2JS|null} null when the pattern is invalid, too long, unsafe or not RE2 syntax
+ */
+function compileMatcher(operator, pattern, caseSensitive) {
+  const key = `${operator}:${caseSensitive ? 's' : 'i'}:${pattern}`;
+  if (compiledMatchers.has(key)) return compiledMatchers.get(key);
+
+  let matcher = null;
+  if (typeof pattern === 'string' && pattern.length <= MAX_PATTERN_LENGTH) {
+    const source = operator === 'matches_glob' ? globToRegexSource(pattern) : pattern;
+    try {
+      if (operator === 'matches_glob' || isSafeRegex(source)) {
+        matcher = RE2JS.compile(source, caseSensitive ? 0 : RE2JS.CASE_INSENSITIVE);
+      }
+    } catch {
+      matcher = null;
+    }
+  }
+
+  if (compiledMatchers.size >= MAX_COMPILED_MATCHERS) {
+    compiledMatchers.delete(compiledMatchers.keys().next().value);
+  }
+  compiledMatchers.set(key, matcher);
+  return matcher;
+}
+
+/**
+ * Validate a pattern before it is saved on a rule or view: RegExp and RE2 must both accept it,
+ * regexes must pass the static safety check, and RegExp must stay fast on long probe inputs.
+ * @param {string} operator - matches_regex | matches_glob
+ * @param {unknown} pattern
+ * @returns {string|null} Error message, or null when the pattern is usable
+ */
+export function validatePattern(operator, pattern) {
+  if (typeof pattern !== 'string' || pattern === '') {
+    return 'pattern must be a non-empty string';
+  }
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return `pattern must be at most ${MAX_PATTERN_LENGTH} characters`;
+  }
+
+  const source = operator === 'matches_glob' ? globToRegexSource(pattern) : pattern;
+  if (operator !== 'matches_glob') {
+    try {
+      new RegExp(source);
+    } catch (error) {
+      return `pattern is not a valid regular expression (${error.message})`;
+    }
+    if (!isSafeRegex(source)) {
+      return 'pattern repeats a group containing a quantifier or alternation, or uses backreferences, which can backtrack catastrophically';
+    }
+    try {
+      RE2JS.compile(source);
+    } catch {
+      return 'pattern uses syntax the backend cannot match, such as lookarounds';
+    }
+  }
+
+  if (!passesProbe(source)) {
+    return `pattern took longer than ${REGEX_PROBE_BUDGET_MS}ms on a test input`;
+  }
+  return null;
+}
+
+/**
+ * Match a value against a pattern condition in linear time. Same contract as the shared
+ * matchesPattern in config/stringPatterns.mjs.
+ * @param {string} operator - matches_regex | matches_glob
+ * @param {string|null|undefined} fieldValue
+ * @param {string} pattern
+ * @param {boolean} [caseSensitive]
+ * @returns {boolean} false for invalid patterns
+ */
+export function matchesPattern(operator, fieldValue, pattern, caseSensitive = false) {
+  const matcher = compileMatcher(operator, pattern, caseSensitive);
+  if (!matcher) return false;
+  return matcher.test(String(fieldValue ?? '').slice(0, MAX_MATCH_INPUT_LENGTH));
+}
@@ -0,0 +1,101 @@
+import { parseDbTimestamp } from '../../utils/dateUtils.js';
+import { TRIGGER_TYPES } from './constants.js';
+
+/** States a download is in once its payload is fully downloaded. */
+const COMPLETED_STATES = new Set(['completed', 'seeding', 'uploading']);
+
+const SCHEDULE_TRIGGER_TYPES = new Set([TRIGGER_TYPES.INTERVAL, TRIGGER_TYPES.CRON]);
+
+/**
+ * @param {Object|null} trigger
+ * @returns {boolean} True for every trigger type except the time-based ones (interval, cron)
+ */
+export function isEventTrigger(trigger) {
+  return !!trigger?.type && !SCHEDULE_TRIGGER_TYPES.has(trigger.type);
+}
+
+/**
+ * Point in time after which events count for a rule: the last evaluation, or the last save
+ * for a rule that has never been evaluated (so enabling a rule does not replay history).
+ * @param {Object} rule
+ * @returns {string|null} SQLite timestamp
+ */
+export function getEventCursor(rule) {
+  return rule?.last_evaluated_at || rule?.updated_at || rule?.created_at || null;
+}
+
+function downloadKey(download) {
+  return `${download.assetType || 'torrent'}:${download.id}`;
+}
+
+function createdAfter(download, cursorDate) {
+  if (!download?.created_at || Number.isNaN(cursorDate.getTime())) return false;
+  const created = new Date(download.created_at);
+  return !Number.isNaN(created.getTime()) && created > cursorDate;
+}
+
+/**
+ * Select the downloads an event trigger fired for in this poll cycle.
+ *
+ * State-based events come from the StateDiffEngine diff (torrents only). Downloads that were
+ * created after the cursor also count as added, which covers cached items that arrive already
+ * completed and never enter the shadow table.
+ *
+ * @param {Object} trigger - Rule trigger ({ type, statuses?, tagIds? })
+ * @param {Array} downloads - Full download list for the cycle
+ * @param {Object} changes - Diff from StateDiffEngine.processSnapshot
+ * @param {Object} [options]
+ * @param {string|null} [options.since] - Event cursor from getEventCursor
+ * @param {Set<string>} [options.taggedDownloadIds] - Downloads tagged since the cursor (tag_added)
+ * @returns {Array} Subset of downloads
+ */
+export function selectTriggeredDownloads(trigger, downloads, changes, options = {}) {
+  const { since = null, taggedDownloadIds = new Set() } = options;
+  const cursorDate = parseDbTimestamp(since);
+  const transitions = [
+    ...(changes?.stateTransitions || []),
+    ...(changes?.terminalTransitions || []),
+  ];
+  const ids = new Set();
+
+  const addTransitions = (predicate) => {
+    for (const transition of transitions) {
+      if (predicate(transition)) ids.add(`torrent:${transition.torrent_id}`);
+    }
+  };
+
+  switch (trigger?.type) {
+    case TRIGGER_TYPES.DOWNLOAD_ADDED:
+      for (const t of changes?.new || []) {
+        if (t?.id != null) ids.add(downloadKey(t));
+      }
+      for (const d of downloads) {
+        if (d?.id != null && createdAfter(d, cursorDate)) ids.add(downloadKey(d));
+      }
+      break;
+    case TRIGGER_TYPES.DOWNLOAD_COMPLETED:
+      addTransitions((tr) => COMPLETED_STATES.has(tr.to) && !COMPLETED_STATES.has(tr.from));
+      for (const d of downloads) {
+        if (d?.id != null && d.download_finished && createdAfter(d, cursorDate)) {
+          ids.add(downloadKey(d));
+        }
+      }
+      break;
+    case TRIGGER_TYPES.STATUS_CHANGED: {
+      const statuses = new Set(Array.isArray(trigger.statuses) ? trigger.statuses : []);
+      addTransitions((tr) => statuses.size === 0 || statuses.has(tr.to));
+      break;
+    }
+    case TRIGGER_TYPES.BECAME_STALLED:
+      addTransitions((tr) => tr.to === 'stalled');
+      break;
+    case TRIGGER_TYPES.TAG_ADDED:
+      // download_tags is keyed by bare download id, shared across asset types
+      return downloads.filter((d) => d?.id != null && taggedDownloadIds.has(String(d.id)));
+    default:
+      return [];
+  }
+
+  if (ids.size === 0) return [];
+  return downloads.filter((d) => d?.id != null && ids.has(downloadKey(d)));
+}
@@ -32,6 +32,23 @@ export const CONNECTION_SOFT_DEFERRAL_MESSAGE =
 export const TRANSIENT_TORBOX_DEFERRAL_MESSAGE =
   'TorBox is still processing a queued upload. Will retry automatically.';
 
+/** User-scheduled upload waiting for its start time (scheduled_at). */
+export const SCHEDULED_UPLOAD_DEFERRAL_MESSAGE = 'Scheduled upload. Will start at the set time.';
+
+/** Upload restricted to a daily window that is currently closed. */
+export const UPLOAD_WINDOW_DEFERRAL_MESSAGE =
+  'Outside the upload window. Will start when it opens.';
+
+/** Upload that only runs while spare uncached create quota is left in the hourly window. */
+export const QUOTA_WAIT_DEFERRAL_MESSAGE =
+  'Waiting for spare uncached create quota. Will start automatically.';
+
+export const SCHEDULE_DEFERRAL_MESSAGES = [
+  SCHEDULED_UPLOAD_DEFERRAL_MESSAGE,
+  UPLOAD_WINDOW_DEFERRAL_MESSAGE,
+  QUOTA_WAIT_DEFERRAL_MESSAGE,
+];
+
 export const RATE_LIMIT_DEFERRAL_MESSAGES = [
   RATE_LIMIT_DEFERRAL_MESSAGE,
   UNCACHED_RATE_LIMIT_DEFERRAL_MESSAGE,
@@ -43,6 +60,7 @@ export const TRANSIENT_DEFERRAL_MESSAGES = [
   CONNECTION_DEFERRAL_MESSAGE,
   CONNECTION_SOFT_DEFERRAL_MESSAGE,
   TRANSIENT_TORBOX_DEFERRAL_MESSAGE,
+  ...SCHEDULE_DEFERRAL_MESSAGES,
 ];
 
 /** Tagged pauses surfaced in stats (connection/transient only — rate limits use deferred stats). */
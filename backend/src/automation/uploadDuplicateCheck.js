@@ -0,0 +1,108 @@
+/**
+ * Pre-upload duplicate detection for torrents. Matches the upload's infohash against the live
+ * library (torrent_shadow, then the user's cached download list) and the archive before a
+ * create-quota slot is spent on it.
+ */
+
+import { assignDownloadTags } from '../utils/tags.js';
+import { normalizeInfoHash } from '../utils/torrentHash.js';
+import { getTorrentStatus } from '../utils/torrentStatus.js';
+
+export {
+  UPLOAD_DUPLICATE_ACTIONS,
+  DEFAULT_UPLOAD_DUPLICATE_ACTION,
+  isValidUploadDuplicateAction,
+} from '../../config/uploadDuplicateCheck.mjs';
+
+/** Tag put on the new download by the `tag` action (created on first use). */
+export const DUPLICATE_UPLOAD_TAG_NAME = 'Duplicate';
+
+/**
+ * Find a library or archived download with the given infohash. The library wins when both match.
+ * torrent_shadow only tracks non-terminal downloads, so finished items are matched against the
+ * user's download list when one is passed.
+ * @param {Object} db - bun:sqlite handle of the user database
+ * @param {string} hash - Normalized (lowercase hex) infohash
+ * @param {Array<Object>|null} [downloads] - Cached TorBox download list
+ * @returns {{ source: 'library'|'archive', downloadId: string, name: string|null }|null}
+ */
+export function findExistingDownloadByHash(db, hash, downloads = null) {
+  if (!hash) return null;
+
+  const live = db.prepare('SELECT torrent_id FROM torrent_shadow WHERE hash = ? LIMIT 1').get(hash);
+  if (live) {
+    return { source: 'library', downloadId: String(live.torrent_id), name: null };
+  }
+
+  const listed = findDownloadInListByHash(downloads, hash);
+  if (listed) {
+    return listed;
+  }
+
+  const archived = db
+    .prepare(
+      `
+      SELECT torrent_id, name FROM archived_downloads
+      WHERE LOWER(hash) = ?
+      ORDER BY archived_at DESC
+      LIMIT 1
+    `
+    )
+    .get(hash);
+  if (archived) {
+    return { source: 'archive', downloadId: String(archived.torrent_id), name: archived.name };
+  }
+
+  return null;
+}
+
+/**
+ * Find a torrent with the given infohash in a TorBox download list (mylist + queued rows).
+ * Failed and inactive torrents are left out so they can be uploaded again.
+ * @param {Array<Object>|null|undefined} downloads - Rows; non-torrent asset types are ignored
+ * @param {string} hash - Normalized (lowercase hex) infohash
+ * @returns {{ source: 'library', downloadId: string, name: string|null }|null}
+ */
+export function findDownloadInListByHash(downloads, hash) {
+  if (!hash || !Array.isArray(downloads)) return null;
+
+  const found = downloads.find((item) => {
+    if ((item.assetType || 'torrent') !== 'torrent') return false;
+    if (normalizeInfoHash(item.hash) !== hash) return false;
+    const status = getTorrentStatus(item);
+    return status !== 'failed' && status !== 'inactive';
+  });
+  if (!found) return null;
+  return { source: 'library', downloadId: String(found.id), name: found.name ?? null };
+}
+
+/**
+ * Reason shown on a skipped upload.
+ * @param {{ source: string, downloadId: string }} match
+ * @returns {string}
+ */
+export function describeDuplicateMatch(match) {
+  return match.source === 'library'
+    ? `Already in your library (download ${match.downloadId}). Skipped.`
+    : `Already in your archive (download ${match.downloadId}). Skipped.`;
+}
+
+/**
+ * Tag a download with DUPLICATE_UPLOAD_TAG_NAME, creating the tag if needed.
+ * @param {Object} db - bun:sqlite handle of the user database
+ * @param {string|number} downloadId
+ */
+export function tagDuplicateDownload(db, downloadId) {
+  db.transaction(() => {
+    let tag = db
+      .prepare('SELECT id FROM tags WHERE LOWER(name) = LOWER(?)')
+      .get(DUPLICATE_UPLOAD_TAG_NAME);
+    if (!tag) {
+      const result = db
+        .prepare('INSERT INTO tags (name) VALUES (?)')
+        .run(DUPLICATE_UPLOAD_TAG_NAME);
+      tag = { id: Number(result.lastInsertRowid) };
+    }
+    assignDownloadTags(db, downloadId, [tag.id]);
+  })();
+}
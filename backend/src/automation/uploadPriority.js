@@ -0,0 +1,51 @@
+import { DEFAULT_UPLOAD_MAX_IN_FLIGHT } from '../../config/uploadPriority.mjs';
+
+export {
+  UPLOAD_PRIORITIES,
+  DEFAULT_UPLOAD_PRIORITY,
+  DEFAULT_UPLOAD_MAX_IN_FLIGHT,
+  MAX_UPLOAD_MAX_IN_FLIGHT,
+  UPLOAD_PRIORITY_RANK_SQL,
+  compareQueuedUploads,
+  getUploadPriorityRank,
+  isValidUploadMaxInFlight,
+  isValidUploadPriority,
+} from '../../config/uploadPriority.mjs';
+
+const UPLOAD_TYPES = ['torrent', 'usenet', 'webdl'];
+
+/**
+ * Per-type in-flight limits for a user, with defaults for types never configured.
+ * @param {Object} db - bun:sqlite handle of the user database
+ * @returns {{ torrent: number, usenet: number, webdl: number }}
+ */
+export function getUploadMaxInFlightByType(db) {
+  const limits = Object.fromEntries(
+    UPLOAD_TYPES.map((type) => [type, DEFAULT_UPLOAD_MAX_IN_FLIGHT])
+  );
+  for (const row of db.prepare('SELECT type, max_in_flight FROM upload_type_settings').all()) {
+    if (row.type in limits) {
+      limits[row.type] = row.max_in_flight;
+    }
+  }
+  return limits;
+}
+
+/**
+ * @param {Object} db - bun:sqlite handle of the user database
+ * @param {Object<string, number>} limits - Validated limits keyed by upload type
+ */
+export function setUploadMaxInFlight(db, limits) {
+  const upsert = db.prepare(`
+    INSERT INTO upload_type_settings (type, max_in_flight, updated_at)
+    VALUES (?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(type) DO UPDATE SET
+      max_in_flight = excluded.max_in_flight,
+      updated_at = CURRENT_TIMESTAMP
+  `);
+  db.transaction(() => {
+    for (const [type, value] of Object.entries(limits)) {
+      upsert.run(type, value);
+    }
+  })();
+}
@@ -0,0 +1,97 @@
+import { formatSqlUtcDate, parseSqlUtcDate } from '../config/torboxRateLimitHeaders.js';
+import { getNextWindowOpening, isValidTimeOfDay, isValidTimezone } from './helpers/ruleSchedule.js';
+import {
+  SCHEDULED_UPLOAD_DEFERRAL_MESSAGE,
+  UPLOAD_WINDOW_DEFERRAL_MESSAGE,
+} from './uploadDeferral.js';
+
+/** Furthest ahead an upload may be scheduled. */
+export const MAX_UPLOAD_SCHEDULE_AHEAD_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate the optional schedule fields of an upload create request.
+ * @param {{ scheduled_at?: string, window_start?: string, window_end?: string,
+ *   window_timezone?: string, wait_for_quota?: boolean }} body
+ * @param {number} [nowMs]
+ * @returns {{ schedule: { scheduled_at: string|null, window_start: string|null,
+ *   window_end: string|null, window_timezone: string|null, wait_for_quota: boolean }|null,
+ *   error: string|null }} Column values ready for INSERT, or a validation error
+ */
+export function parseUploadSchedule(body, nowMs = Date.now()) {
+  const { scheduled_at, window_start, window_end, window_timezone, wait_for_quota } = body ?? {};
+  const schedule = {
+    scheduled_at: null,
+    window_start: null,
+    window_end: null,
+    window_timezone: null,
+    wait_for_quota: false,
+  };
+
+  if (scheduled_at != null && scheduled_at !== '') {
+    const startAt = typeof scheduled_at === 'string' ? new Date(scheduled_at) : null;
+    if (!startAt || Number.isNaN(startAt.getTime())) {
+      return { schedule: null, error: 'scheduled_at must be an ISO 8601 date-time' };
+    }
+    if (startAt.getTime() - nowMs > MAX_UPLOAD_SCHEDULE_AHEAD_DAYS * DAY_MS) {
+      return {
+        schedule: null,
+        error: `scheduled_at must be within ${MAX_UPLOAD_SCHEDULE_AHEAD_DAYS} days`,
+      };
+    }
+    // A time in the past is not an error — the upload simply starts right away.
+    schedule.scheduled_at = formatSqlUtcDate(startAt);
+  }
+
+  if (window_start != null || window_end != null) {
+    if (!isValidTimeOfDay(window_start) || !isValidTimeOfDay(window_end)) {
+      return { schedule: null, error: 'window_start and window_end must both be HH:MM (24h)' };
+    }
+    if (window_start === window_end) {
+      return { schedule: null, error: 'window_start and window_end must be different times' };
+    }
+    const timezone = window_timezone ?? 'UTC';
+    if (!isValidTimezone(timezone)) {
+      return { schedule: null, error: `Invalid window_timezone: ${timezone}` };
+    }
+    schedule.window_start = window_start;
+    schedule.window_end = window_end;
+    schedule.window_timezone = timezone;
+  }
+
+  if (wait_for_quota !== undefined && typeof wait_for_quota !== 'boolean') {
+    return { schedule: null, error: 'wait_for_quota must be a boolean' };
+  }
+  schedule.wait_for_quota = wait_for_quota === true;
+
+  return { schedule, error: null };
+}
+
+/**
+ * Time-based hold for a queued upload: its scheduled start, then its daily window.
+ * Quota waits depend on live usage and are checked by the processor.
+ * @param {Object} upload - Row with scheduled_at / window_* columns
+ * @param {Date} [now]
+ * @returns {{ nextAttemptAt: string, message: string }|null} Null when the upload may run now
+ */
+export function getUploadScheduleDeferral(upload, now = new Date()) {
+  if (upload.scheduled_at && parseSqlUtcDate(upload.scheduled_at) > now) {
+    return { nextAttemptAt: upload.scheduled_at, message: SCHEDULED_UPLOAD_DEFERRAL_MESSAGE };
+  }
+
+  if (upload.window_start && upload.window_end) {
+    const opensAt = getNextWindowOpening(
+      {
+        window: { start: upload.window_start, end: upload.window_end },
+        timezone: upload.window_timezone || 'UTC',
+      },
+      now
+    );
+    if (opensAt && opensAt > now) {
+      return { nextAttemptAt: formatSqlUtcDate(opensAt), message: UPLOAD_WINDOW_DEFERRAL_MESSAGE };
+    }
+  }
+
+  return null;
+}
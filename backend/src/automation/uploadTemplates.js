@@ -0,0 +1,289 @@
+/**
+ * Named upload templates. A template supplies create options for uploads that reference it and,
+ * once TorBox has returned the new download id, the tags and airlock state to apply to it.
+ * Uploads can also name tags of their own (`upload_tags`), applied at the same point.
+ */
+import { assignDownloadTags } from '../utils/tags.js';
+
+/** TorBox seed preference: 1 = auto, 2 = always seed, 3 = never seed. */
+export const UPLOAD_TEMPLATE_SEED_VALUES = Object.freeze([1, 2, 3]);
+export const MAX_UPLOAD_TEMPLATE_NAME_LENGTH = 100;
+
+/** Create options a template can supply; an explicit value on the upload wins. */
+const TEMPLATE_CREATE_OPTIONS = ['seed', 'allow_zip', 'as_queued', 'add_only_if_cached'];
+const TEMPLATE_FLAGS = ['allow_zip', 'as_queued', 'add_only_if_cached', 'airlock'];
+const TEMPLATE_FLAG_DEFAULTS = { allow_zip: true, as_queued: false, add_only_if_cached: false };
+
+const TEMPLATE_SELECT = `
+  id, name, seed, allow_zip, as_queued, add_only_if_cached, airlock, created_at, updated_at
+`;
+
+/**
+ * Validate a template create/update body.
+ * @param {Object} body
+ * @returns {{ template: { name: string, seed: number|null, allow_zip: boolean,
+ *   as_queued: boolean, add_only_if_cached: boolean, airlock: boolean, tag_ids: number[] }|null,
+ *   error: string|null }}
+ */
+export function parseUploadTemplate(body) {
+  const { name, seed = null, tag_ids = [] } = body ?? {};
+
+  if (typeof name !== 'string' || name.trim() === '') {
+    return { template: null, error: 'Template name is required and must be a non-empty string' };
+  }
+  if (name.trim().length > MAX_UPLOAD_TEMPLATE_NAME_LENGTH) {
+    return {
+      template: null,
+      error: `Template name must be ${MAX_UPLOAD_TEMPLATE_NAME_LENGTH} characters or less`,
+    };
+  }
+  if (seed !== null && !UPLOAD_TEMPLATE_SEED_VALUES.includes(seed)) {
+    return { template: null, error: 'seed must be 1 (auto), 2 (always) or 3 (never)' };
+  }
+  if (!Array.isArray(tag_ids) || !tag_ids.every((id) => Number.isInteger(id) && id > 0)) {
+    return { template: null, error: 'tag_ids must be an array of tag ids' };
+  }
+
+  const template = { name: name.trim(), seed, tag_ids: [...new Set(tag_ids)] };
+  for (const flag of TEMPLATE_FLAGS) {
+    const value = body[flag];
+    if (value !== undefined && typeof value !== 'boolean') {
+      return { template: null, error: `${flag} must be a boolean` };
+    }
+    template[flag] = value ?? TEMPLATE_FLAG_DEFAULTS[flag] ?? false;
+  }
+  return { template, error: null };
+}
+
+function toTemplate(row, tagIds) {
+  return {
+    ...row,
+    allow_zip: Boolean(row.allow_zip),
+    as_queued: Boolean(row.as_queued),
+    add_only_if_cached: Boolean(row.add_only_if_cached),
+    airlock: Boolean(row.airlock),
+    tag_ids: tagIds,
+  };
+}
+
+/**
+ * @param {Object} db - bun:sqlite handle of the user database
+ * @returns {Object[]} Templates by name, each with its tag_ids
+ */
+export function listUploadTemplates(db) {
+  const tagIdsByTemplate = new Map();
+  for (const { template_id, tag_id } of db
+    .prepare('SELECT template_id, tag_id FROM upload_template_tags ORDER BY tag_id')
+    .all()) {
+    if (!tagIdsByTemplate.has(template_id)) tagIdsByTemplate.set(template_id, []);
+    tagIdsByTemplate.get(template_id).push(tag_id);
+  }
+  return db
+    .prepare(`SELECT ${TEMPLATE_SELECT} FROM upload_templates ORDER BY name COLLATE NOCASE`)
+    .all()
+    .map((row) => toTemplate(row, tagIdsByTemplate.get(row.id) ?? []));
+}
+
+/**
+ * @param {Object} db
+ * @param {number} id
+ * @returns {Object|null}
+ */
+export function getUploadTemplate(db, id) {
+  const row = db.prepare(`SELECT ${TEMPLATE_SELECT} FROM upload_templates WHERE id = ?`).get(id);
+  if (!row) return null;
+  const tagIds = db
+    .prepare('SELECT tag_id FROM upload_template_tags WHERE template_id = ? ORDER BY tag_id')
+    .all(id)
+    .map((tag) => tag.tag_id);
+  return toTemplate(row, tagIds);
+}
+
+/**
+ * Insert or update a template and replace its tags.
+ * @param {Object} db
+ * @param {number|null} id - Null to create
+ * @param {Object} template - From parseUploadTemplate
+ * @returns {Object|null} The saved template, or null when `id` does not exist
+ * @throws {Error} With `code = 'UNKNOWN_TAG'` when a tag id does not exist
+ */
+export function saveUploadTemplate(db, id, template) {
+  return db.transaction(() => {
+    const knownTags = new Set(
+      db
+        .prepare('SELECT id FROM tags')
+        .all()
+        .map((tag) => tag.id)
+    );
+    const unknownTag = template.tag_ids.find((tagId) => !knownTags.has(tagId));
+    if (unknownTag !== undefined) {
+      const error = new Error(`Tag ${unknownTag} not found`);
+      error.code = 'UNKNOWN_TAG';
+      throw error;
+    }
+
+    const values = [
+      template.name,
+      template.seed,
+      template.allow_zip ? 1 : 0,
+      template.as_queued ? 1 : 0,
+      template.add_only_if_cached ? 1 : 0,
+      template.airlock ? 1 : 0,
+    ];
+    let templateId = id;
+    if (templateId == null) {
+      const result = db
+        .prepare(
+          `
+          INSERT INTO upload_templates (name, seed, allow_zip, as_queued, add_only_if_cached, airlock)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `
+        )
+        .run(...values);
+      templateId = Number(result.lastInsertRowid);
+    } else {
+      const result = db
+        .prepare(
+          `
+          UPDATE upload_templates
+          SET name = ?, seed = ?, allow_zip = ?, as_queued = ?, add_only_if_cached = ?,
+              airlock = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `
+        )
+        .run(...values, templateId);
+      if (result.changes === 0) return null;
+    }
+
+    db.prepare('DELETE FROM upload_template_tags WHERE template_id = ?').run(templateId);
+    const insertTag = db.prepare(
+      'INSERT INTO upload_template_tags (template_id, tag_id) VALUES (?, ?)'
+    );
+    for (const tagId of template.tag_ids) {
+      insertTag.run(templateId, tagId);
+    }
+    return getUploadTemplate(db, templateId);
+  })();
+}
+
+/**
+ * Look up the template an upload create request names.
+ * @param {Object} db
+ * @param {unknown} templateId - `template_id` from the request; null or undefined for none
+ * @param {Map<number, Object|null>} [cache] - Shared across the uploads of one batch
+ * @returns {{ template: Object|null, error: string|null }}
+ */
+export function resolveUploadTemplate(db, templateId, cache = new Map()) {
+  if (templateId === undefined || templateId === null) {
+    return { template: null, error: null };
+  }
+  if (!Number.isInteger(templateId) || templateId <= 0) {
+    return { template: null, error: 'template_id must be a positive integer' };
+  }
+  if (!cache.has(templateId)) {
+    cache.set(templateId, getUploadTemplate(db, templateId));
+  }
+  const template = cache.get(templateId);
+  return template
+    ? { template, error: null }
+    : { template: null, error: `Upload template ${templateId} not found` };
+}
+
+/**
+ * Validate the tags an upload create request names.
+ * @param {Object} db
+ * @param {unknown} tagIds - `tag_ids` from the request; null or undefined for none
+ * @param {{ known?: Set<number> }} [cache] - Shared across the uploads of one batch
+ * @returns {{ tagIds: number[], error: string|null }}
+ */
+export function resolveUploadTags(db, tagIds, cache = {}) {
+  if (tagIds === undefined || tagIds === null) {
+    return { tagIds: [], error: null };
+  }
+  if (!Array.isArray(tagIds) || !tagIds.every((id) => Number.isInteger(id) && id > 0)) {
+    return { tagIds: [], error: 'tag_ids must be an array of tag ids' };
+  }
+  cache.known ??= new Set(
+    db
+      .prepare('SELECT id FROM tags')
+      .all()
+      .map((tag) => tag.id)
+  );
+  const unknownTag = tagIds.find((id) => !cache.known.has(id));
+  if (unknownTag !== undefined) {
+    return { tagIds: [], error: `Tag ${unknownTag} not found` };
+  }
+  return { tagIds: [...new Set(tagIds)], error: null };
+}
+
+/**
+ * @param {Object} db
+ * @param {number} uploadId
+ * @param {number[]} tagIds - From resolveUploadTags
+ */
+export function saveUploadTags(db, uploadId, tagIds) {
+  const insert = db.prepare('INSERT OR IGNORE INTO upload_tags (upload_id, tag_id) VALUES (?, ?)');
+  for (const tagId of tagIds) {
+    insert.run(uploadId, tagId);
+  }
+}
+
+/**
+ * @param {Object} db
+ * @param {number} uploadId
+ * @returns {number[]}
+ */
+export function getUploadTagIds(db, uploadId) {
+  return db
+    .prepare('SELECT tag_id FROM upload_tags WHERE upload_id = ? ORDER BY tag_id')
+    .all(uploadId)
+    .map((tag) => tag.tag_id);
+}
+
+/**
+ * Add each upload's own `tag_ids` to a page of upload rows.
+ * @param {Object} db
+ * @param {Object[]} uploads
+ * @returns {Object[]}
+ */
+export function attachUploadTagIds(db, uploads) {
+  if (uploads.length === 0) return uploads;
+  const tagIdsByUpload = new Map();
+  const placeholders = uploads.map(() => '?').join(', ');
+  for (const { upload_id, tag_id } of db
+    .prepare(
+      `SELECT upload_id, tag_id FROM upload_tags WHERE upload_id IN (${placeholders}) ORDER BY tag_id`
+    )
+    .all(...uploads.map((upload) => upload.id))) {
+    if (!tagIdsByUpload.has(upload_id)) tagIdsByUpload.set(upload_id, []);
+    tagIdsByUpload.get(upload_id).push(tag_id);
+  }
+  return uploads.map((upload) => ({ ...upload, tag_ids: tagIdsByUpload.get(upload.id) ?? [] }));
+}
+
+/**
+ * Fill the create options an upload leaves unset from its template.
+ * @param {Object} upload - Create request fields
+ * @param {Object|null} template
+ * @returns {Object} Upload fields with the template's options applied
+ */
+export function applyUploadTemplate(upload, template) {
+  if (!template) return upload;
+  const merged = { ...upload };
+  for (const option of TEMPLATE_CREATE_OPTIONS) {
+    if (merged[option] === undefined && template[option] != null) {
+      merged[option] = template[option];
+    }
+  }
+  return merged;
+}
+
+/**
+ * Put the given local tags on a download.
+ * @param {Object} db
+ * @param {string|number} downloadId
+ * @param {number[]} tagIds
+ */
+export function addDownloadTags(db, downloadId, tagIds) {
+  assignDownloadTags(db, downloadId, tagIds);
+}
@@ -0,0 +1,14 @@
+export const DEFAULT_AUTOMATION_UNDO_WINDOW_HOURS = 72;
+
+/**
+ * How long a download removed by a rule (delete/archive) stays restorable.
+ * `0` disables restore points.
+ */
+export function getAutomationUndoWindowHours() {
+  const raw = process.env.AUTOMATION_UNDO_WINDOW_HOURS;
+  const parsed = parseInt(raw ?? String(DEFAULT_AUTOMATION_UNDO_WINDOW_HOURS), 10);
+  if (!Number.isFinite(parsed)) {
+    return DEFAULT_AUTOMATION_UNDO_WINDOW_HOURS;
+  }
+  return Math.max(0, parsed);
+}
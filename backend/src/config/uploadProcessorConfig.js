@@ -88,3 +88,9 @@ export const UPLOAD_EXTERNAL_RATE_LIMIT_RETRY_MS = parsePositiveInt(
   process.env.UPLOAD_EXTERNAL_RATE_LIMIT_RETRY_MS,
   5 * 60 * 1000
 );
+
+/**
+ * Uncached creates per hourly window left untouched by wait-for-quota uploads, so scheduled
+ * bulk adds never use up the budget that manual uploads need.
+ */
+export const UPLOAD_QUOTA_WAIT_RESERVE = parsePositiveInt(process.env.UPLOAD_QUOTA_WAIT_RESERVE, 2);
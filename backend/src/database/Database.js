@@ -8,12 +8,18 @@ import logger from '../utils/logger.js';
 import cache from '../utils/cache.js';
 import Semaphore from '../utils/semaphore.js';
 import { getMasterDbPath, getUserDbPath } from '../utils/dataPaths.js';
+import { issueHashedToken, parseHashedToken } from '../utils/hashedTokens.js';
 import {
   INACTIVITY_ELIGIBILITY_SQL,
   INACTIVITY_INELIGIBILITY_SQL,
 } from '../config/automationInactivity.js';
 import { UPLOAD_COUNTER_SYNC_CONCURRENCY } from '../config/uploadProcessorConfig.js';
 
+// Distinct from view share (tbs_) and access token (tbm_) prefixes
+const DOWNLOAD_CLIENT_SESSION_PREFIX = 'tbc_';
+// qBittorrent's default WebUI session timeout; *arr apps log in again on 403.
+const DOWNLOAD_CLIENT_SESSION_TTL = '+60 minutes';
+
 /**
  * Simple LRU cache with max size. Evicts least-recently-used entry on set() when full.
  */
@@ -507,6 +513,23 @@ class Database {
     ]);
   }
 
+  /**
+   * Row id of a user's API key. Personal access tokens embed it so they can find their owner.
+   */
+  getApiKeyId(authId) {
+    return this.getQuery('SELECT id FROM api_keys WHERE auth_id = ?', [authId])?.id ?? null;
+  }
+
+  /**
+   * Owner and encrypted key for an API key row id (active keys only)
+   */
+  getApiKeyById(id) {
+    return this.getQuery(
+      'SELECT auth_id, encrypted_key FROM api_keys WHERE id = ? AND is_active = 1',
+      [id]
+    );
+  }
+
   /**
    * Check why an API key is unavailable: 'inactive' (key exists but is_active=0), 'missing' (user in registry but no key), or null (user not found).
    */
@@ -750,6 +773,79 @@ class Database {
     return result?.changes ?? 0;
   }
 
+  /**
+   * Start a download client (qBittorrent API) session for an API key.
+   * @param {number} apiKeyId - api_keys row id
+   * @returns {string} Session token; only its hash is stored, so this is the only time it is seen
+   */
+  createDownloadClientSession(apiKeyId) {
+    const { token, tokenHash } = issueHashedToken(DOWNLOAD_CLIENT_SESSION_PREFIX, apiKeyId);
+    this.runQuery(
+      `
+      INSERT INTO download_client_sessions (api_key_id, token_hash, expires_at)
+      VALUES (?, ?, datetime('now', ?))
+    `,
+      [apiKeyId, tokenHash, DOWNLOAD_CLIENT_SESSION_TTL]
+    );
+    return token;
+  }
+
+  /**
+   * Owner of a live download client session. Each use extends the session by another TTL, like
+   * qBittorrent's sliding WebUI sessions.
+   * @param {string} token
+   * @returns {{ auth_id: string, encrypted_key: string }|null} null when unknown, expired or the
+   *   API key is inactive
+   */
+  touchDownloadClientSession(token) {
+    if (parseHashedToken(DOWNLOAD_CLIENT_SESSION_PREFIX, token) == null) return null;
+    const tokenHash = hashApiKey(token);
+    const { changes } = this.runQuery(
+      `
+      UPDATE download_client_sessions SET expires_at = datetime('now', ?)
+      WHERE token_hash = ? AND expires_at > datetime('now')
+    `,
+      [DOWNLOAD_CLIENT_SESSION_TTL, tokenHash]
+    );
+    if (changes === 0) return null;
+    return (
+      this.getQuery(
+        `
+        SELECT k.auth_id, k.encrypted_key
+        FROM download_client_sessions s
+        JOIN api_keys k ON k.id = s.api_key_id
+        WHERE s.token_hash = ? AND k.is_active = 1
+      `,
+        [tokenHash]
+      ) ?? null
+    );
+  }
+
+  /**
+   * End a download client session (logout).
+   * @param {string} token
+   * @returns {boolean} False when there was no such session
+   */
+  deleteDownloadClientSession(token) {
+    if (parseHashedToken(DOWNLOAD_CLIENT_SESSION_PREFIX, token) == null) return false;
+    const result = this.runQuery('DELETE FROM download_client_sessions WHERE token_hash = ?', [
+      hashApiKey(token),
+    ]);
+    return (result?.changes ?? 0) > 0;
+  }
+
+  /**
+   * Delete expired download client sessions (periodic cleanup; clients that stop polling never
+   * log out).
+   * @returns {number} Number of rows deleted
+   */
+  deleteExpiredDownloadClientSessions() {
+    const result = this.runQuery(
+      "DELETE FROM download_client_sessions WHERE expires_at <= datetime('now')"
+    );
+    return result?.changes ?? 0;
+  }
+
   /**
    * Update user status (keeps user_registry.status and api_keys.is_active in sync)
    * @param {string} authId - User authentication ID
@@ -0,0 +1,30 @@
+/**
+ * Logins of qBittorrent-compatible download clients (Sonarr, Radarr, …). Kept in the master
+ * database so every frontend replica sees the same sessions; only a hash of each session token is
+ * stored. Logging out deletes the row; expired rows are pruned periodically.
+ */
+export const up = (db) => {
+  db.prepare(
+    `
+    CREATE TABLE IF NOT EXISTS download_client_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      api_key_id INTEGER NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+      token_hash TEXT NOT NULL UNIQUE,
+      expires_at DATETIME NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `
+  ).run();
+
+  db.prepare(
+    `
+    CREATE INDEX IF NOT EXISTS idx_download_client_sessions_expires_at
+    ON download_client_sessions(expires_at)
+  `
+  ).run();
+};
+
+export const down = (db) => {
+  db.prepare('DROP INDEX IF EXISTS idx_download_client_sessions_expires_at').run();
+  db.prepare('DROP TABLE IF EXISTS download_client_sessions').run();
+};
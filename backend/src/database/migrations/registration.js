@@ -40,6 +40,18 @@ import * as user022_upload_attempts_is_cached from './user/022_upload_attempts_i
 import * as user023_upload_attempts_budget_index from './user/023_upload_attempts_budget_index.js';
 import * as user024_stremio_addons_schema from './user/024_stremio_addons_schema.js';
 import * as user025_tmdb_credentials_schema from './user/025_tmdb_credentials_schema.js';
+import * as user026_rule_execution_log_steps from './user/026_rule_execution_log_steps.js';
+import * as user027_rule_action_audit from './user/027_rule_action_audit.js';
+import * as user028_download_restore_points from './user/028_download_restore_points.js';
+import * as user029_upload_schedule from './user/029_upload_schedule.js';
+import * as user030_upload_priority_lanes from './user/030_upload_priority_lanes.js';
+import * as user031_upload_duplicate_check from './user/031_upload_duplicate_check.js';
+import * as user032_upload_templates from './user/032_upload_templates.js';
+import * as user033_access_tokens from './user/033_access_tokens.js';
+import * as user034_upload_tags from './user/034_upload_tags.js';
+import * as user035_tag_hierarchy from './user/035_tag_hierarchy.js';
+import * as user036_download_release_metadata from './user/036_download_release_metadata.js';
+import * as user037_custom_view_shares from './user/037_custom_view_shares.js';
 
 /** Keeps migration exports reachable for static analysis (see MigrationRunner). */
 export const MIGRATION_MODULE_BINDINGS = [
@@ -80,4 +92,16 @@ export const MIGRATION_MODULE_BINDINGS = [
   user023_upload_attempts_budget_index,
   user024_stremio_addons_schema,
   user025_tmdb_credentials_schema,
+  user026_rule_execution_log_steps,
+  user027_rule_action_audit,
+  user028_download_restore_points,
+  user029_upload_schedule,
+  user030_upload_priority_lanes,
+  user031_upload_duplicate_check,
+  user032_upload_templates,
+  user033_access_tokens,
+  user034_upload_tags,
+  user035_tag_hierarchy,
+  user036_download_release_metadata,
+  user037_custom_view_shares,
 ];
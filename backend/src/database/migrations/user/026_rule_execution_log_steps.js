@@ -0,0 +1,28 @@
+/**
+ * Add step_index and action_type to rule_execution_log so action pipelines can log each step
+ */
+export const up = (db) => {
+  const tableInfo = db.prepare('PRAGMA table_info(rule_execution_log)').all();
+
+  if (!tableInfo.some((col) => col.name === 'step_index')) {
+    db.prepare(
+      `
+      ALTER TABLE rule_execution_log
+      ADD COLUMN step_index INTEGER
+    `
+    ).run();
+  }
+
+  if (!tableInfo.some((col) => col.name === 'action_type')) {
+    db.prepare(
+      `
+      ALTER TABLE rule_execution_log
+      ADD COLUMN action_type TEXT
+    `
+    ).run();
+  }
+};
+
+export const down = () => {
+  // SQLite: columns left in place on rollback (harmless)
+};
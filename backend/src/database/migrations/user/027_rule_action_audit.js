@@ -0,0 +1,52 @@
+/**
+ * Per-download audit trail for automation rule actions.
+ * No FK to automation_rules: entries must outlive the rule that wrote them.
+ */
+export const up = (db) => {
+  db.prepare(
+    `
+    CREATE TABLE IF NOT EXISTS rule_action_audit (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      rule_id INTEGER,
+      rule_name TEXT NOT NULL,
+      download_id TEXT NOT NULL,
+      asset_type TEXT NOT NULL DEFAULT 'torrent',
+      download_name TEXT,
+      download_hash TEXT,
+      action_type TEXT NOT NULL,
+      step_index INTEGER,
+      outcome TEXT NOT NULL,
+      reason TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `
+  ).run();
+
+  db.prepare(
+    `
+    CREATE INDEX IF NOT EXISTS idx_rule_action_audit_created_at
+    ON rule_action_audit(created_at)
+  `
+  ).run();
+
+  db.prepare(
+    `
+    CREATE INDEX IF NOT EXISTS idx_rule_action_audit_rule_id
+    ON rule_action_audit(rule_id, created_at)
+  `
+  ).run();
+
+  db.prepare(
+    `
+    CREATE INDEX IF NOT EXISTS idx_rule_action_audit_download_id
+    ON rule_action_audit(download_id)
+  `
+  ).run();
+};
+
+export const down = (db) => {
+  db.prepare('DROP INDEX IF EXISTS idx_rule_action_audit_download_id').run();
+  db.prepare('DROP INDEX IF EXISTS idx_rule_action_audit_rule_id').run();
+  db.prepare('DROP INDEX IF EXISTS idx_rule_action_audit_created_at').run();
+  db.prepare('DROP TABLE IF EXISTS rule_action_audit').run();
+};
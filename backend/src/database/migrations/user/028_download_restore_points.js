@@ -0,0 +1,39 @@
+/**
+ * Restore points for downloads removed by automation rules (delete/archive), kept for the
+ * undo window so a misfiring rule can be reverted.
+ */
+export const up = (db) => {
+  db.prepare(
+    `
+    CREATE TABLE IF NOT EXISTS download_restore_points (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      rule_id INTEGER,
+      rule_name TEXT,
+      action_type TEXT NOT NULL,
+      download_id TEXT NOT NULL,
+      asset_type TEXT NOT NULL DEFAULT 'torrent',
+      name TEXT,
+      hash TEXT,
+      source TEXT NOT NULL,
+      tag_ids TEXT,
+      airlocked INTEGER NOT NULL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      restored_at DATETIME,
+      restored_download_id TEXT
+    )
+  `
+  ).run();
+
+  db.prepare(
+    `
+    CREATE INDEX IF NOT EXISTS idx_download_restore_points_expires_at
+    ON download_restore_points(expires_at)
+  `
+  ).run();
+};
+
+export const down = (db) => {
+  db.prepare('DROP INDEX IF EXISTS idx_download_restore_points_expires_at').run();
+  db.prepare('DROP TABLE IF EXISTS download_restore_points').run();
+};
@@ -0,0 +1,28 @@
+/**
+ * Deferred-start options for queued uploads: a fixed start time, a recurring daily window
+ * (in the user's timezone) and an opt-in to wait for spare uncached create quota.
+ */
+export const up = (db) => {
+  const tableInfo = db.prepare('PRAGMA table_info(uploads)').all();
+  const columns = new Set(tableInfo.map((col) => col.name));
+
+  if (!columns.has('scheduled_at')) {
+    db.prepare('ALTER TABLE uploads ADD COLUMN scheduled_at DATETIME').run();
+  }
+  if (!columns.has('window_start')) {
+    db.prepare('ALTER TABLE uploads ADD COLUMN window_start TEXT').run();
+  }
+  if (!columns.has('window_end')) {
+    db.prepare('ALTER TABLE uploads ADD COLUMN window_end TEXT').run();
+  }
+  if (!columns.has('window_timezone')) {
+    db.prepare('ALTER TABLE uploads ADD COLUMN window_timezone TEXT').run();
+  }
+  if (!columns.has('wait_for_quota')) {
+    db.prepare('ALTER TABLE uploads ADD COLUMN wait_for_quota BOOLEAN DEFAULT false').run();
+  }
+};
+
+export const down = () => {
+  // SQLite rollback would require table recreation; leave additive columns in place.
+};
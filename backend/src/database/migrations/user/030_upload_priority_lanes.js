@@ -0,0 +1,27 @@
+/**
+ * Priority lane per upload (urgent / normal / bulk) and per-user limits on how many uploads of
+ * each type a drain submits concurrently.
+ */
+export const up = (db) => {
+  const tableInfo = db.prepare('PRAGMA table_info(uploads)').all();
+  const columns = new Set(tableInfo.map((col) => col.name));
+
+  if (!columns.has('priority')) {
+    db.prepare("ALTER TABLE uploads ADD COLUMN priority TEXT NOT NULL DEFAULT 'normal'").run();
+  }
+
+  db.prepare(
+    `
+    CREATE TABLE IF NOT EXISTS upload_type_settings (
+      type TEXT PRIMARY KEY CHECK (type IN ('torrent', 'usenet', 'webdl')),
+      max_in_flight INTEGER NOT NULL DEFAULT 1,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `
+  ).run();
+};
+
+export const down = (db) => {
+  db.prepare('DROP TABLE IF EXISTS upload_type_settings').run();
+  // The priority column stays; SQLite rollback would require table recreation.
+};
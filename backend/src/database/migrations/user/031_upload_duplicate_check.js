@@ -0,0 +1,44 @@
+/**
+ * Pre-upload duplicate detection: per-upload choice of what to do when the infohash is already
+ * in the library or archive, the match that was found, and the hash on torrent_shadow to match on.
+ */
+export const up = (db) => {
+  const uploadColumns = new Set(
+    db
+      .prepare('PRAGMA table_info(uploads)')
+      .all()
+      .map((col) => col.name)
+  );
+
+  if (!uploadColumns.has('on_duplicate')) {
+    db.prepare("ALTER TABLE uploads ADD COLUMN on_duplicate TEXT NOT NULL DEFAULT 'skip'").run();
+  }
+  if (!uploadColumns.has('duplicate_of')) {
+    db.prepare('ALTER TABLE uploads ADD COLUMN duplicate_of TEXT').run();
+  }
+  if (!uploadColumns.has('duplicate_source')) {
+    db.prepare('ALTER TABLE uploads ADD COLUMN duplicate_source TEXT').run();
+  }
+
+  const shadowColumns = new Set(
+    db
+      .prepare('PRAGMA table_info(torrent_shadow)')
+      .all()
+      .map((col) => col.name)
+  );
+  if (!shadowColumns.has('hash')) {
+    db.prepare('ALTER TABLE torrent_shadow ADD COLUMN hash TEXT').run();
+  }
+
+  db.prepare(
+    `
+    CREATE INDEX IF NOT EXISTS idx_torrent_shadow_hash
+    ON torrent_shadow(hash)
+  `
+  ).run();
+};
+
+export const down = (db) => {
+  db.prepare('DROP INDEX IF EXISTS idx_torrent_shadow_hash').run();
+  // SQLite rollback would require table recreation; leave additive columns in place.
+};
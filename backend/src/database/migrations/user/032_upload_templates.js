@@ -0,0 +1,49 @@
+/**
+ * Named upload templates: create options applied when an upload references one, plus tags and
+ * airlock state applied to the new download once TorBox returns its id.
+ */
+export const up = (db) => {
+  db.prepare(
+    `
+    CREATE TABLE IF NOT EXISTS upload_templates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      seed INTEGER,
+      allow_zip INTEGER NOT NULL DEFAULT 1,
+      as_queued INTEGER NOT NULL DEFAULT 0,
+      add_only_if_cached INTEGER NOT NULL DEFAULT 0,
+      airlock INTEGER NOT NULL DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `
+  ).run();
+
+  db.prepare(
+    `
+    CREATE TABLE IF NOT EXISTS upload_template_tags (
+      template_id INTEGER NOT NULL,
+      tag_id INTEGER NOT NULL,
+      PRIMARY KEY (template_id, tag_id),
+      FOREIGN KEY (template_id) REFERENCES upload_templates (id) ON DELETE CASCADE,
+      FOREIGN KEY (tag_id) REFERENCES tags (id) ON DELETE CASCADE
+    )
+  `
+  ).run();
+
+  const columns = new Set(
+    db
+      .prepare('PRAGMA table_info(uploads)')
+      .all()
+      .map((col) => col.name)
+  );
+  if (!columns.has('template_id')) {
+    db.prepare('ALTER TABLE uploads ADD COLUMN template_id INTEGER').run();
+  }
+};
+
+export const down = (db) => {
+  db.prepare('DROP TABLE IF EXISTS upload_template_tags').run();
+  db.prepare('DROP TABLE IF EXISTS upload_templates').run();
+  // uploads.template_id stays; SQLite rollback would require table recreation.
+};
@@ -0,0 +1,26 @@
+/**
+ * Personal access tokens for the public /api/v1 routes. Only a hash of each token is stored;
+ * revoked tokens keep their row so the account page can list them.
+ */
+export const up = (db) => {
+  db.prepare(
+    `
+    CREATE TABLE IF NOT EXISTS access_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      token_hint TEXT NOT NULL,
+      scopes TEXT NOT NULL,
+      expires_at DATETIME,
+      revoked_at DATETIME,
+      last_used_at DATETIME,
+      last_used_ip TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `
+  ).run();
+};
+
+export const down = (db) => {
+  db.prepare('DROP TABLE IF EXISTS access_tokens').run();
+};
@@ -0,0 +1,21 @@
+/**
+ * Tags an upload asks for directly, added to the new download alongside its template's tags once
+ * TorBox returns the download id.
+ */
+export const up = (db) => {
+  db.prepare(
+    `
+    CREATE TABLE IF NOT EXISTS upload_tags (
+      upload_id INTEGER NOT NULL,
+      tag_id INTEGER NOT NULL,
+      PRIMARY KEY (upload_id, tag_id),
+      FOREIGN KEY (upload_id) REFERENCES uploads (id) ON DELETE CASCADE,
+      FOREIGN KEY (tag_id) REFERENCES tags (id) ON DELETE CASCADE
+    )
+  `
+  ).run();
+};
+
+export const down = (db) => {
+  db.prepare('DROP TABLE IF EXISTS upload_tags').run();
+};
@@ -0,0 +1,42 @@
+/**
+ * Tag colors, parent tags and mutually exclusive tag groups.
+ * parent_id and group_id are cleared by the tags API when the referenced row is deleted.
+ */
+export const up = (db) => {
+  db.prepare(
+    `
+    CREATE TABLE IF NOT EXISTS tag_groups (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `
+  ).run();
+
+  const columns = new Set(
+    db
+      .prepare('PRAGMA table_info(tags)')
+      .all()
+      .map((col) => col.name)
+  );
+  if (!columns.has('color')) {
+    db.prepare('ALTER TABLE tags ADD COLUMN color TEXT').run();
+  }
+  if (!columns.has('parent_id')) {
+    db.prepare('ALTER TABLE tags ADD COLUMN parent_id INTEGER').run();
+  }
+  if (!columns.has('group_id')) {
+    db.prepare('ALTER TABLE tags ADD COLUMN group_id INTEGER').run();
+  }
+
+  db.prepare('CREATE INDEX IF NOT EXISTS idx_tags_parent_id ON tags(parent_id)').run();
+  db.prepare('CREATE INDEX IF NOT EXISTS idx_tags_group_id ON tags(group_id)').run();
+};
+
+export const down = (db) => {
+  db.prepare('DROP INDEX IF EXISTS idx_tags_group_id').run();
+  db.prepare('DROP INDEX IF EXISTS idx_tags_parent_id').run();
+  db.prepare('DROP TABLE IF EXISTS tag_groups').run();
+  // tags.color / parent_id / group_id stay; SQLite rollback would require table recreation.
+};
@@ -0,0 +1,28 @@
+/**
+ * Release metadata parsed from each download's name (resolution, codec, season…), read by the
+ * RESOLUTION / SEASON / RELEASE_GROUP rule conditions. Rows are re-parsed when the name changes.
+ */
+export const up = (db) => {
+  db.prepare(
+    `
+    CREATE TABLE IF NOT EXISTS download_release_metadata (
+      download_id TEXT PRIMARY KEY,
+      asset_type TEXT NOT NULL DEFAULT 'torrent',
+      name TEXT NOT NULL,
+      resolution TEXT,
+      codec TEXT,
+      hdr TEXT,
+      source TEXT,
+      release_group TEXT,
+      season INTEGER,
+      episode INTEGER,
+      year INTEGER,
+      parsed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `
+  ).run();
+};
+
+export const down = (db) => {
+  db.prepare('DROP TABLE IF EXISTS download_release_metadata').run();
+};
@@ -0,0 +1,29 @@
+/**
+ * Read-only share links for custom views. Only a hash of each link token is stored; revoked
+ * links keep their row until the view is deleted.
+ */
+export const up = (db) => {
+  db.prepare(
+    `
+    CREATE TABLE IF NOT EXISTS custom_view_shares (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      view_id INTEGER NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      token_hint TEXT NOT NULL,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME,
+      last_viewed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (view_id) REFERENCES custom_views (id) ON DELETE CASCADE
+    )
+  `
+  ).run();
+
+  db.prepare(
+    'CREATE INDEX IF NOT EXISTS idx_custom_view_shares_view_id ON custom_view_shares(view_id)'
+  ).run();
+};
+
+export const down = (db) => {
+  db.prepare('DROP TABLE IF EXISTS custom_view_shares').run();
+};
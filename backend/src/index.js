@@ -33,6 +33,9 @@ import { setupTagsRoutes } from './routes/tags.js';
 import { setupDownloadTagsRoutes } from './routes/downloadTags.js';
 import { setupProtectedDownloadsRoutes } from './routes/protectedDownloads.js';
 import { setupUploadsRoutes } from './routes/uploads.js';
+import { setupUploadTemplatesRoutes } from './routes/uploadTemplates.js';
+import { setupAccessTokenRoutes } from './routes/accessTokens.js';
+import { setupDownloadClientSessionRoutes } from './routes/downloadClientSessions.js';
 import { setupLinkHistoryRoutes } from './routes/linkHistory.js';
 import UploadQuotaService from './services/UploadQuotaService.js';
 import ActivityTracker from './services/ActivityTracker.js';
@@ -243,6 +246,9 @@ class TorBoxBackend {
     setupDownloadTagsRoutes(this.app, this);
     setupProtectedDownloadsRoutes(this.app, this);
     setupUploadsRoutes(this.app, this);
+    setupUploadTemplatesRoutes(this.app, this);
+    setupAccessTokenRoutes(this.app, this);
+    setupDownloadClientSessionRoutes(this.app, this);
     setupLinkHistoryRoutes(this.app, this);
     setupActivityRoutes(this.app, this);
     setupAdminRoutes(this.app, this);
@@ -453,6 +459,18 @@ class TorBoxBackend {
         this.userDatabaseManager?.checkpointAllDatabases();
         this.masterDatabase?.checkpointWal();
       }, WAL_CHECKPOINT_INTERVAL_MS);
+
+      const DOWNLOAD_CLIENT_SESSION_PRUNE_INTERVAL_MS = 15 * 60 * 1000;
+      this.downloadClientSessionPruneIntervalId = setInterval(() => {
+        try {
+          const pruned = this.masterDatabase?.deleteExpiredDownloadClientSessions() ?? 0;
+          if (pruned > 0) {
+            logger.debug('Pruned expired download client sessions', { pruned });
+          }
+        } catch (err) {
+          logger.warn('Failed to prune download client sessions', { error: err.message });
+        }
+      }, DOWNLOAD_CLIENT_SESSION_PRUNE_INTERVAL_MS);
     } catch (error) {
       logger.error('Failed during startup warmup', error);
       process.exit(1);
@@ -625,6 +643,11 @@ class TorBoxBackend {
       this.memoryLogIntervalId = null;
     }
 
+    if (this.downloadClientSessionPruneIntervalId) {
+      clearInterval(this.downloadClientSessionPruneIntervalId);
+      this.downloadClientSessionPruneIntervalId = null;
+    }
+
     if (this.activityTracker) {
       try {
         this.activityTracker.flush();
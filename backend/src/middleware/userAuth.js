@@ -33,7 +33,7 @@ function extractDeclaredAuthId(req) {
   return req.query.authId || req.body?.authId || req.headers['x-auth-id'] || null;
 }
 
-function isServiceSecretConfigured() {
+export function isServiceSecretConfigured() {
   const secret = process.env.BACKEND_SERVICE_SECRET;
   return typeof secret === 'string' && secret.trim().length >= 16;
 }
@@ -0,0 +1,151 @@
+import { describe, expect, test, beforeEach, afterEach } from 'bun:test';
+import request from 'supertest';
+import { ACCESS_TOKEN_ROUTE_SCOPES } from '../../../config/accessTokens.mjs';
+import {
+  createUploadTestEnv,
+  cleanupUploadTestEnv,
+  buildUploadApp,
+} from './helpers/uploadTestHelper.js';
+
+const SERVICE_SECRET = 'test-service-secret-0123456789';
+
+describe('access token routes', () => {
+  let env;
+  let app;
+
+  beforeEach(async () => {
+    process.env.BACKEND_SERVICE_SECRET = SERVICE_SECRET;
+    env = await createUploadTestEnv();
+    app = buildUploadApp(env);
+  });
+
+  afterEach(() => {
+    cleanupUploadTestEnv(env);
+    delete process.env.BACKEND_SERVICE_SECRET;
+  });
+
+  async function createToken(body) {
+    return request(app).post('/api/access-tokens').set('x-api-key', env.apiKey).send(body);
+  }
+
+  function verify(token, scopes) {
+    return request(app)
+      .post('/api/backend/access-tokens/verify')
+      .set('x-backend-service-secret', SERVICE_SECRET)
+      .send({ token, scopes, ip: '203.0.113.7' });
+  }
+
+  test('issues a token that exchanges for the API key within its scopes', async () => {
+    const created = await createToken({
+      name: 'Uploader',
+      scopes: ['upload'],
+      expires_in_days: 30,
+    });
+    expect(created.status).toBe(200);
+    expect(created.body.token).toMatch(/^tbm_\d+_[A-Za-z0-9_-]{43}$/);
+    expect(created.body.accessToken).toMatchObject({
+      name: 'Uploader',
+      scopes: ['upload'],
+      status: 'active',
+      last_used_at: null,
+    });
+    expect(created.body.accessToken.token_hash).toBeUndefined();
+    const { token } = created.body;
+
+    const allowed = await verify(token, ['upload', 'read']);
+    expect(allowed.status).toBe(200);
+    expect(allowed.body.apiKey).toBe(env.apiKey);
+
+    expect((await verify(token, ['automation'])).status).toBe(403);
+    expect((await verify(`${token.slice(0, -1)}x`, ['upload'])).status).toBe(401);
+
+    const listed = await request(app).get('/api/access-tokens').set('x-api-key', env.apiKey);
+    expect(listed.body.tokens).toHaveLength(1);
+    expect(listed.body.tokens[0]).toMatchObject({ last_used_ip: '203.0.113.7' });
+    expect(listed.body.tokens[0].last_used_at).not.toBeNull();
+  });
+
+  test('a read-only token can list downloads but cannot upload or delete', async () => {
+    const { token } = (await createToken({ name: 'Reader', scopes: ['read'] })).body;
+    const routes = Object.keys(ACCESS_TOKEN_ROUTE_SCOPES);
+
+    const listRoutes = routes.filter((route) => route.endsWith('/mylist'));
+    expect(listRoutes).toEqual([
+      'GET /api/v1/torrents/mylist',
+      'GET /api/v1/usenet/mylist',
+      'GET /api/v1/webdl/mylist',
+    ]);
+    for (const route of listRoutes) {
+      expect((await verify(token, ACCESS_TOKEN_ROUTE_SCOPES[route])).status).toBe(200);
+    }
+
+    const uploadRoutes = routes.filter(
+      (route) => route.endsWith('/createtorrent') || route.endsWith('/batch')
+    );
+    expect(uploadRoutes).toHaveLength(4);
+    for (const route of uploadRoutes) {
+      expect((await verify(token, ACCESS_TOKEN_ROUTE_SCOPES[route])).status).toBe(403);
+    }
+
+    // Deletes only exist outside /api/v1, where access tokens are never accepted
+    expect(routes.filter((route) => route.startsWith('DELETE '))).toEqual([]);
+  });
+
+  test('revoked and expired tokens are rejected', async () => {
+    const revoked = (await createToken({ name: 'Revoked', scopes: ['read'] })).body;
+    const res = await request(app)
+      .delete(`/api/access-tokens/${revoked.accessToken.id}`)
+      .set('x-api-key', env.apiKey);
+    expect(res.status).toBe(200);
+    expect(
+      (
+        await request(app)
+          .delete(`/api/access-tokens/${revoked.accessToken.id}`)
+          .set('x-api-key', env.apiKey)
+      ).status
+    ).toBe(404);
+
+    const revokedRes = await verify(revoked.token, ['read']);
+    expect(revokedRes.status).toBe(401);
+    expect(revokedRes.body.error).toMatch(/revoked/);
+
+    const expired = (await createToken({ name: 'Expired', scopes: ['read'], expires_in_days: 7 }))
+      .body;
+    const userDb = await env.userDatabaseManager.getUserDatabase(env.authId);
+    try {
+      userDb.db
+        .prepare("UPDATE access_tokens SET expires_at = datetime('now', '-1 minute') WHERE id = ?")
+        .run(expired.accessToken.id);
+    } finally {
+      env.userDatabaseManager.releaseConnection(env.authId);
+    }
+
+    const expiredRes = await verify(expired.token, ['read']);
+    expect(expiredRes.status).toBe(401);
+    expect(expiredRes.body.error).toMatch(/expired/);
+
+    const listed = await request(app).get('/api/access-tokens').set('x-api-key', env.apiKey);
+    expect(listed.body.tokens.map(({ name, status }) => ({ name, status }))).toEqual([
+      { name: 'Expired', status: 'expired' },
+      { name: 'Revoked', status: 'revoked' },
+    ]);
+  });
+
+  test('rejects invalid create bodies and verification without the service secret', async () => {
+    expect((await createToken({ name: '', scopes: ['read'] })).status).toBe(400);
+    expect((await createToken({ name: 'No scopes', scopes: [] })).status).toBe(400);
+    expect((await createToken({ name: 'Bad scope', scopes: ['admin'] })).status).toBe(400);
+    expect(
+      (await createToken({ name: 'Bad expiry', scopes: ['read'], expires_in_days: 3 })).status
+    ).toBe(400);
+
+    const { token } = (await createToken({ name: 'Reader', scopes: ['read'] })).body;
+    const unauthenticated = await request(app)
+      .post('/api/backend/access-tokens/verify')
+      .send({ token, scopes: ['read'] });
+    expect(unauthenticated.status).toBe(401);
+
+    delete process.env.BACKEND_SERVICE_SECRET;
+    expect((await verify(token, ['read'])).status).toBe(503);
+  });
+});
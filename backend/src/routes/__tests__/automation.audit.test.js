@@ -0,0 +1,111 @@
+import { describe, expect, test, beforeEach, afterEach } from 'bun:test';
+import request from 'supertest';
+import {
+  createBackendTestEnv,
+  cleanupBackendTestEnv,
+  buildBackendApp,
+  createMockPollingScheduler,
+} from './helpers/backendTestHelper.js';
+import { setupAutomationRoutes } from '../automation.js';
+import RuleRepository from '../../automation/helpers/RuleRepository.js';
+
+describe('GET /api/automation/audit', () => {
+  let env;
+  let app;
+
+  beforeEach(async () => {
+    env = await createBackendTestEnv();
+    app = buildBackendApp({
+      ...env,
+      routeSetupFn: setupAutomationRoutes,
+      pollingScheduler: createMockPollingScheduler(),
+    });
+
+    const { db } = await env.userDatabaseManager.getUserDatabase(env.authId);
+    const repo = new RuleRepository(env.authId, () => Promise.resolve(db));
+    await repo.recordActionAudit(1, 'Tag finished', [
+      {
+        downloadId: '10',
+        name: 'Ubuntu ISO',
+        hash: 'abc',
+        actionType: 'add_tag',
+        outcome: 'success',
+      },
+      {
+        downloadId: '11',
+        name: 'Debian ISO',
+        hash: 'def',
+        actionType: 'add_tag',
+        outcome: 'skipped',
+        reason: 'no_change',
+      },
+    ]);
+    await repo.recordActionAudit(2, 'Cleanup', [
+      {
+        downloadId: '10',
+        name: 'Ubuntu ISO',
+        hash: 'abc',
+        actionType: 'delete',
+        outcome: 'failed',
+        reason: 'Not found',
+      },
+    ]);
+    env.userDatabaseManager.releaseConnection(env.authId);
+  });
+
+  afterEach(() => {
+    cleanupBackendTestEnv(env);
+  });
+
+  test('returns entries newest first', async () => {
+    const res = await request(app).get('/api/automation/audit').set('x-api-key', env.apiKey);
+
+    expect(res.status).toBe(200);
+    expect(res.body.entries.map((e) => [e.rule_name, e.download_id, e.outcome])).toEqual([
+      ['Cleanup', '10', 'failed'],
+      ['Tag finished', '11', 'skipped'],
+      ['Tag finished', '10', 'success'],
+    ]);
+    expect(res.body.entries[0].reason).toBe('Not found');
+    expect(res.body.nextCursor).toBeNull();
+  });
+
+  test('filters by rule, download, outcome and search', async () => {
+    const byRule = await request(app)
+      .get('/api/automation/audit?ruleId=1&outcome=skipped')
+      .set('x-api-key', env.apiKey);
+    expect(byRule.body.entries.map((e) => e.download_name)).toEqual(['Debian ISO']);
+
+    const byDownload = await request(app)
+      .get('/api/automation/audit?downloadId=10')
+      .set('x-api-key', env.apiKey);
+    expect(byDownload.body.entries.map((e) => e.action_type)).toEqual(['delete', 'add_tag']);
+
+    const bySearch = await request(app)
+      .get('/api/automation/audit?search=debian')
+      .set('x-api-key', env.apiKey);
+    expect(bySearch.body.entries).toHaveLength(1);
+  });
+
+  test('pages with the before cursor', async () => {
+    const first = await request(app)
+      .get('/api/automation/audit?limit=2')
+      .set('x-api-key', env.apiKey);
+    expect(first.body.entries).toHaveLength(2);
+    expect(first.body.nextCursor).toBe(first.body.entries[1].id);
+
+    const second = await request(app)
+      .get(`/api/automation/audit?limit=2&before=${first.body.nextCursor}`)
+      .set('x-api-key', env.apiKey);
+    expect(second.body.entries.map((e) => e.download_name)).toEqual(['Ubuntu ISO']);
+    expect(second.body.nextCursor).toBeNull();
+  });
+
+  test('rejects an unknown outcome', async () => {
+    const res = await request(app)
+      .get('/api/automation/audit?outcome=maybe')
+      .set('x-api-key', env.apiKey);
+    expect(res.status).toBe(400);
+    expect(res.body.success).toBe(false);
+  });
+});
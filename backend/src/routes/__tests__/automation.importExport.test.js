@@ -0,0 +1,145 @@
+import { describe, expect, test, beforeEach, afterEach } from 'bun:test';
+import request from 'supertest';
+import {
+  createBackendTestEnv,
+  cleanupBackendTestEnv,
+  buildBackendApp,
+  createMockPollingScheduler,
+} from './helpers/backendTestHelper.js';
+import { setupAutomationRoutes } from '../automation.js';
+
+function makeRule(overrides = {}) {
+  return {
+    name: 'Tag finished',
+    enabled: true,
+    assetTypes: ['torrent'],
+    trigger: { type: 'interval', value: 60 },
+    groups: [{ logicOperator: 'and', conditions: [{ type: 'RATIO', operator: 'gt', value: 1 }] }],
+    logicOperator: 'and',
+    actions: [{ type: 'add_tag', tagIds: [1] }],
+    ...overrides,
+  };
+}
+
+function makeBundle(rules, tags = [{ id: 1, name: 'Finished' }]) {
+  return { format: 'torbox-automation-rules', version: 1, rules, tags };
+}
+
+describe('automation rule import/export routes', () => {
+  let env;
+  let app;
+
+  beforeEach(async () => {
+    env = await createBackendTestEnv();
+    app = buildBackendApp({
+      ...env,
+      routeSetupFn: setupAutomationRoutes,
+      pollingScheduler: createMockPollingScheduler(),
+    });
+  });
+
+  afterEach(() => {
+    cleanupBackendTestEnv(env);
+  });
+
+  async function insertTag(name) {
+    const { db } = await env.userDatabaseManager.getUserDatabase(env.authId);
+    return Number(db.prepare('INSERT INTO tags (name) VALUES (?)').run(name).lastInsertRowid);
+  }
+
+  test('export includes the tags the rules reference', async () => {
+    await insertTag('Unused');
+    const tagId = await insertTag('Finished');
+    await request(app)
+      .post('/api/automation/rules')
+      .set('x-api-key', env.apiKey)
+      .send({ rules: [makeRule({ actions: [{ type: 'add_tag', tagIds: [tagId] }] })] });
+
+    const res = await request(app)
+      .get('/api/automation/rules/export')
+      .set('x-api-key', env.apiKey)
+      .send();
+
+    expect(res.status).toBe(200);
+    expect(res.body.bundle.rules).toHaveLength(1);
+    expect(res.body.bundle.rules[0].id).toBeUndefined();
+    expect(res.body.bundle.tags).toEqual([{ id: tagId, name: 'Finished' }]);
+  });
+
+  test('export rejects malformed ids', async () => {
+    const res = await request(app)
+      .get('/api/automation/rules/export?ids=1,abc')
+      .set('x-api-key', env.apiKey)
+      .send();
+
+    expect(res.status).toBe(400);
+  });
+
+  test('import remaps tag ids by name and creates missing tags', async () => {
+    const existingId = await insertTag('finished');
+    const res = await request(app)
+      .post('/api/automation/rules/import')
+      .set('x-api-key', env.apiKey)
+      .send({
+        bundle: makeBundle(
+          [makeRule(), makeRule({ name: 'Mark new', actions: [{ type: 'add_tag', tagIds: [2] }] })],
+          [
+            { id: 1, name: 'Finished' },
+            { id: 2, name: 'Fresh' },
+          ]
+        ),
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.imported).toBe(2);
+    expect(res.body.createdTags).toHaveLength(1);
+    expect(res.body.createdTags[0].name).toBe('Fresh');
+    const byName = Object.fromEntries(res.body.rules.map((rule) => [rule.name, rule]));
+    expect(byName['Tag finished'].actions[0].tagIds).toEqual([existingId]);
+    expect(byName['Mark new'].actions[0].tagIds).toEqual([res.body.createdTags[0].id]);
+  });
+
+  test('import skips incompatible rules and name clashes unless overwriting', async () => {
+    await request(app)
+      .post('/api/automation/rules')
+      .set('x-api-key', env.apiKey)
+      .send({ rules: [makeRule({ actions: [{ type: 'archive' }] })] });
+
+    const bundle = makeBundle([
+      makeRule(),
+      makeRule({ name: 'Seed less', assetTypes: ['usenet'], actions: [{ type: 'stop_seeding' }] }),
+    ]);
+    const skippedRes = await request(app)
+      .post('/api/automation/rules/import')
+      .set('x-api-key', env.apiKey)
+      .send({ bundle });
+
+    expect(skippedRes.status).toBe(200);
+    expect(skippedRes.body.imported).toBe(0);
+    expect(skippedRes.body.skipped.map((entry) => entry.name)).toEqual([
+      'Tag finished',
+      'Seed less',
+    ]);
+    expect(skippedRes.body.skipped[0].reason).toBe('A rule with this name already exists');
+    expect(skippedRes.body.skipped[1].reason).toContain('stop_seeding not supported');
+
+    const overwriteRes = await request(app)
+      .post('/api/automation/rules/import')
+      .set('x-api-key', env.apiKey)
+      .send({ bundle, overwrite: true });
+
+    expect(overwriteRes.body.updated).toBe(1);
+    expect(overwriteRes.body.rules).toHaveLength(1);
+    expect(overwriteRes.body.rules[0].actions[0].type).toBe('add_tag');
+  });
+
+  test('import rejects a malformed bundle', async () => {
+    const res = await request(app)
+      .post('/api/automation/rules/import')
+      .set('x-api-key', env.apiKey)
+      .send({ bundle: { format: 'something-else', version: 1, rules: [] } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain('bundle format');
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, expect, test, beforeEach, afterEach } from 'bun:test';
+import request from 'supertest';
+import {
+  createBackendTestEnv,
+  cleanupBackendTestEnv,
+  buildBackendApp,
+  createMockPollingScheduler,
+} from './helpers/backendTestHelper.js';
+import { setupAutomationRoutes } from '../automation.js';
+import { recordRestorePoint } from '../../automation/helpers/downloadRestorePoints.js';
+
+describe('automation restore point routes', () => {
+  let env;
+  let app;
+
+  beforeEach(async () => {
+    env = await createBackendTestEnv();
+    app = buildBackendApp({
+      ...env,
+      routeSetupFn: setupAutomationRoutes,
+      pollingScheduler: createMockPollingScheduler(),
+    });
+  });
+
+  afterEach(() => {
+    cleanupBackendTestEnv(env);
+  });
+
+  test('GET lists restorable downloads with the undo window', async () => {
+    const { db } = await env.userDatabaseManager.getUserDatabase(env.authId);
+    recordRestorePoint(db, {
+      rule: { id: 3, name: 'Cleanup' },
+      actionType: 'delete',
+      download: { id: 5, hash: 'abc', name: 'Ubuntu ISO' },
+      downloadId: '5',
+      assetType: 'torrent',
+      airlocked: false,
+    });
+    env.userDatabaseManager.releaseConnection(env.authId);
+
+    const res = await request(app)
+      .get('/api/automation/restore-points')
+      .set('x-api-key', env.apiKey);
+
+    expect(res.status).toBe(200);
+    expect(res.body.undoWindowHours).toBe(72);
+    expect(res.body.restorePoints).toHaveLength(1);
+    expect(res.body.restorePoints[0]).toMatchObject({
+      rule_name: 'Cleanup',
+      download_id: '5',
+      name: 'Ubuntu ISO',
+      tag_ids: [],
+      airlocked: false,
+    });
+  });
+
+  test('POST restore returns 404 for an unknown restore point', async () => {
+    const res = await request(app)
+      .post('/api/automation/restore-points/999/restore')
+      .set('x-api-key', env.apiKey);
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ success: false, error: 'Restore point not found' });
+  });
+});
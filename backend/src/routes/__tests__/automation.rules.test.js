@@ -119,4 +119,33 @@ describe('automation rule routes', () => {
     expect(res.body.success).toBe(true);
     expect(res.body.result).toBeDefined();
   });
+
+  test('POST /api/automation/rules stores action pipelines and migrates single actions', async () => {
+    const pipeline = [
+      { type: 'add_tag', tagIds: [1], stopOnFailure: true },
+      { type: 'archive', conditions: [{ type: 'AGE', operator: 'gt', value: 7 }] },
+    ];
+    const res = await request(app)
+      .post('/api/automation/rules')
+      .set('x-api-key', env.apiKey)
+      .send({
+        rules: [makeRule({ name: 'Legacy' }), makeRule({ name: 'Pipeline', actions: pipeline })],
+      });
+
+    expect(res.status).toBe(200);
+    const byName = Object.fromEntries(res.body.rules.map((rule) => [rule.name, rule]));
+    expect(byName.Legacy.actions).toEqual([{ type: 'archive' }]);
+    expect(byName.Legacy.action).toBeUndefined();
+    expect(byName.Pipeline.actions).toEqual(pipeline);
+  });
+
+  test('POST /api/automation/rules rejects actions after a delete step', async () => {
+    const res = await request(app)
+      .post('/api/automation/rules')
+      .set('x-api-key', env.apiKey)
+      .send({ rules: [makeRule({ actions: [{ type: 'delete' }, { type: 'stop_seeding' }] })] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain('must be the last action');
+  });
 });
@@ -0,0 +1,56 @@
+import { describe, expect, test, beforeEach, afterEach } from 'bun:test';
+import request from 'supertest';
+import {
+  createBackendTestEnv,
+  cleanupBackendTestEnv,
+  buildBackendApp,
+  createMockPollingScheduler,
+} from './helpers/backendTestHelper.js';
+import { setupAutomationRoutes } from '../automation.js';
+
+describe('POST /api/automation/rules/simulate', () => {
+  let env;
+  let app;
+
+  beforeEach(async () => {
+    env = await createBackendTestEnv();
+    app = buildBackendApp({
+      ...env,
+      routeSetupFn: setupAutomationRoutes,
+      pollingScheduler: createMockPollingScheduler(),
+    });
+  });
+
+  afterEach(() => {
+    cleanupBackendTestEnv(env);
+  });
+
+  test('rejects a request without a rule draft', async () => {
+    const res = await request(app)
+      .post('/api/automation/rules/simulate')
+      .set('x-api-key', env.apiKey)
+      .send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('rule must be an object');
+  });
+
+  test('returns validation errors for an invalid draft', async () => {
+    const res = await request(app)
+      .post('/api/automation/rules/simulate')
+      .set('x-api-key', env.apiKey)
+      .send({
+        rule: {
+          enabled: true,
+          assetTypes: ['torrent'],
+          trigger: { type: 'interval', value: 60 },
+          conditions: [],
+          action: { type: 'explode' },
+        },
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.success).toBe(false);
+    expect(res.body.error).toContain('Rule validation failed');
+  });
+});
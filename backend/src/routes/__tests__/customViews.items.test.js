@@ -0,0 +1,178 @@
+import { describe, expect, test, beforeEach, afterEach } from 'bun:test';
+import request from 'supertest';
+import {
+  createBackendTestEnv,
+  cleanupBackendTestEnv,
+  buildBackendApp,
+  createMockPollingScheduler,
+} from './helpers/backendTestHelper.js';
+import { setupCustomViewsRoutes } from '../customViews.js';
+import cache from '../../utils/cache.js';
+
+const GB = 1024 ** 3;
+
+const torrents = Array.from({ length: 5 }, (_, index) => ({
+  id: index + 1,
+  name: `Torrent ${index + 1}`,
+  size: (index + 1) * GB,
+  active: true,
+  download_finished: true,
+  download_present: true,
+  created_at: `2026-01-0${index + 1}T00:00:00Z`,
+}));
+
+const filtersFor = (filters) => ({
+  logicOperator: 'and',
+  groups: [{ logicOperator: 'and', filters }],
+});
+
+describe('custom view items and counts', () => {
+  let env;
+  let app;
+  let fetchCount;
+
+  beforeEach(async () => {
+    env = await createBackendTestEnv();
+    fetchCount = 0;
+    const apiClient = {
+      getTorrents: async () => {
+        fetchCount += 1;
+        return torrents;
+      },
+      getUsenetDownloads: async () => [],
+      getWebDownloads: async () => [{ id: 99, name: 'Web file', size: 10 * GB }],
+    };
+    app = buildBackendApp({
+      ...env,
+      pollingScheduler: {
+        ...createMockPollingScheduler(),
+        getOrCreateApiClient: () => apiClient,
+      },
+      routeSetupFn: setupCustomViewsRoutes,
+    });
+  });
+
+  afterEach(() => {
+    cache.invalidateViewDownloads(env.authId);
+    cleanupBackendTestEnv(env);
+  });
+
+  const createView = async (body) =>
+    (await request(app).post('/api/custom-views').set('x-api-key', env.apiKey).send(body)).body
+      .view;
+  const get = (url) => request(app).get(url).set('x-api-key', env.apiKey);
+
+  test('pages through a view with its saved sort', async () => {
+    const view = await createView({
+      name: 'Big torrents',
+      filters: filtersFor([{ column: 'size', operator: 'gte', value: 2 }]),
+      sort_field: 'size',
+      sort_direction: 'asc',
+      asset_type: 'torrents',
+    });
+
+    const first = await get(`/api/custom-views/${view.id}/items?limit=3`);
+    expect(first.status).toBe(200);
+    expect(first.body.items.map((item) => item.id)).toEqual([2, 3, 4]);
+    expect(first.body.pagination).toEqual({ page: 1, limit: 3, total: 4, totalPages: 2 });
+
+    const second = await get(`/api/custom-views/${view.id}/items?limit=3&page=2`);
+    expect(second.body.items.map((item) => item.id)).toEqual([5]);
+
+    const resorted = await get(
+      `/api/custom-views/${view.id}/items?sort_field=size&sort_direction=desc`
+    );
+    expect(resorted.body.items.map((item) => item.id)).toEqual([5, 4, 3, 2]);
+    expect(resorted.body.sort).toEqual({ field: 'size', direction: 'desc' });
+
+    // One mylist fetch served every page
+    expect(fetchCount).toBe(1);
+  });
+
+  test('rejects views that need browser data', async () => {
+    const view = await createView({
+      name: 'Downloaded',
+      filters: filtersFor([{ column: 'is_downloaded', operator: 'is_true' }]),
+    });
+    const res = await get(`/api/custom-views/${view.id}/items`);
+    expect(res.status).toBe(422);
+    expect(res.body).toMatchObject({
+      code: 'VIEW_NOT_SERVER_EVALUABLE',
+      unsupported: ['is_downloaded'],
+    });
+  });
+
+  test('refuses unsafe patterns on save and views still holding one', async () => {
+    const unsafe = filtersFor([{ column: 'name', operator: 'matches_regex', value: '(a+)+$' }]);
+    const created = await request(app)
+      .post('/api/custom-views')
+      .set('x-api-key', env.apiKey)
+      .send({ name: 'Unsafe', filters: unsafe });
+    expect(created.status).toBe(400);
+    expect(created.body.error).toContain('name pattern repeats a group');
+
+    const view = await createView({
+      name: 'Numbered',
+      filters: filtersFor([{ column: 'name', operator: 'matches_glob', value: 'Torrent ?' }]),
+    });
+    const updated = await request(app)
+      .put(`/api/custom-views/${view.id}`)
+      .set('x-api-key', env.apiKey)
+      .send({ filters: unsafe });
+    expect(updated.status).toBe(400);
+    expect((await get('/api/custom-views/counts')).body.counts).toEqual({ [view.id]: 5 });
+
+    // Saved before patterns were validated
+    const userDb = await env.userDatabaseManager.getUserDatabase(env.authId);
+    userDb.db
+      .prepare('UPDATE custom_views SET filters = ? WHERE id = ?')
+      .run(JSON.stringify(unsafe), view.id);
+    const items = await get(`/api/custom-views/${view.id}/items`);
+    expect(items.status).toBe(422);
+    expect(items.body.code).toBe('VIEW_INVALID_PATTERN');
+    expect((await get('/api/custom-views/counts')).body.counts).toEqual({});
+  });
+
+  test('returns 404 for unknown views', async () => {
+    expect((await get('/api/custom-views/999/items')).status).toBe(404);
+  });
+
+  test('counts evaluable views across asset types', async () => {
+    const big = await createView({
+      name: 'Big',
+      filters: filtersFor([{ column: 'size', operator: 'gt', value: 3 }]),
+    });
+    const searched = await createView({
+      name: 'Searched',
+      filters: filtersFor([]),
+      search_query: 'torrent',
+    });
+
+    const res = await get('/api/custom-views/counts');
+    expect(res.status).toBe(200);
+    expect(res.body.counts).toEqual({ [big.id]: 3 });
+    expect(res.body.counts[searched.id]).toBeUndefined();
+
+    const torrentsOnly = await get('/api/custom-views/counts?asset_type=torrents');
+    expect(torrentsOnly.body.counts).toEqual({ [big.id]: 2 });
+  });
+
+  test('concurrent requests share one snapshot until it is invalidated', async () => {
+    const view = await createView({ name: 'All', filters: filtersFor([]) });
+
+    const responses = await Promise.all([
+      get(`/api/custom-views/${view.id}/items`),
+      get('/api/custom-views/counts'),
+      get(`/api/custom-views/${view.id}/items?page=2`),
+    ]);
+    expect(responses.map((res) => res.status)).toEqual([200, 200, 200]);
+    expect(fetchCount).toBe(1);
+
+    await get('/api/custom-views/counts');
+    expect(fetchCount).toBe(1);
+
+    cache.invalidateViewDownloads(env.authId);
+    await get('/api/custom-views/counts');
+    expect(fetchCount).toBe(2);
+  });
+});
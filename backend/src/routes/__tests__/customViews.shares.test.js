@@ -0,0 +1,203 @@
+import { describe, expect, test, beforeEach, afterEach } from 'bun:test';
+import request from 'supertest';
+import {
+  createBackendTestEnv,
+  cleanupBackendTestEnv,
+  buildBackendApp,
+  createMockPollingScheduler,
+} from './helpers/backendTestHelper.js';
+import { setupCustomViewsRoutes } from '../customViews.js';
+import cache from '../../utils/cache.js';
+
+const GB = 1024 ** 3;
+
+const torrents = [
+  {
+    id: 1,
+    name: 'Ready Show S01',
+    size: 4 * GB,
+    progress: 1,
+    active: false,
+    download_finished: true,
+    download_present: true,
+    hash: 'abc',
+    tracker: 'udp://private.example',
+    created_at: '2026-01-01T00:00:00Z',
+  },
+  {
+    id: 2,
+    name: 'Still Going',
+    size: 8 * GB,
+    progress: 0.4,
+    active: true,
+    download_finished: false,
+    download_present: false,
+    created_at: '2026-01-02T00:00:00Z',
+  },
+];
+
+const filtersFor = (filters) => ({
+  logicOperator: 'and',
+  groups: [{ logicOperator: 'and', filters }],
+});
+
+describe('custom view share links', () => {
+  let env;
+  let app;
+  let fetchCount;
+
+  const buildApp = () => {
+    const apiClient = {
+      getTorrents: async () => {
+        fetchCount += 1;
+        return torrents;
+      },
+      getUsenetDownloads: async () => [],
+      getWebDownloads: async () => [],
+    };
+    return buildBackendApp({
+      ...env,
+      pollingScheduler: {
+        ...createMockPollingScheduler(),
+        getOrCreateApiClient: () => apiClient,
+      },
+      routeSetupFn: setupCustomViewsRoutes,
+    });
+  };
+
+  beforeEach(async () => {
+    env = await createBackendTestEnv();
+    fetchCount = 0;
+    app = buildApp();
+  });
+
+  afterEach(() => {
+    cache.invalidateViewDownloads(env.authId);
+    cleanupBackendTestEnv(env);
+  });
+
+  const createView = async (body) =>
+    (await request(app).post('/api/custom-views').set('x-api-key', env.apiKey).send(body)).body
+      .view;
+  const share = (viewId, body) =>
+    request(app).post(`/api/custom-views/${viewId}/shares`).set('x-api-key', env.apiKey).send(body);
+  const openShare = (token) => request(app).get(`/api/backend/view-shares/${token}`);
+
+  test('a share link shows only name, size, status and progress', async () => {
+    const view = await createView({
+      name: 'Ready to watch',
+      filters: filtersFor([
+        { column: 'download_state', operator: 'is_any_of', value: ['completed'] },
+      ]),
+    });
+
+    const created = await share(view.id, { expires_in_days: 7 });
+    expect(created.status).toBe(200);
+    expect(created.body.token).toMatch(/^tbs_\d+_/);
+    expect(created.body.share).toMatchObject({ view_id: view.id, status: 'active' });
+
+    const res = await openShare(created.body.token);
+    expect(res.status).toBe(200);
+    expect(res.body.view).toEqual({ name: 'Ready to watch' });
+    expect(res.body.items).toEqual([
+      { name: 'Ready Show S01', size: 4 * GB, status: 'completed', progress: 1 },
+    ]);
+    expect(res.body.pagination).toMatchObject({ page: 1, total: 1, totalPages: 1 });
+    expect(res.body.view.filters).toBeUndefined();
+
+    const listed = await request(app)
+      .get(`/api/custom-views/${view.id}/shares`)
+      .set('x-api-key', env.apiKey);
+    expect(listed.body.shares).toHaveLength(1);
+    expect(listed.body.shares[0].last_viewed_at).not.toBeNull();
+    expect(listed.body.shares[0].token_hash).toBeUndefined();
+  });
+
+  test('revoked, expired and unknown links are refused', async () => {
+    const view = await createView({ name: 'All', filters: filtersFor([]) });
+    const { token, share: created } = (await share(view.id, { expires_in_days: 1 })).body;
+
+    const revoked = await request(app)
+      .delete(`/api/custom-views/${view.id}/shares/${created.id}`)
+      .set('x-api-key', env.apiKey);
+    expect(revoked.status).toBe(200);
+    expect((await openShare(token)).status).toBe(404);
+
+    const second = (await share(view.id, { expires_in_days: 1 })).body.token;
+    const userDb = await env.userDatabaseManager.getUserDatabase(env.authId);
+    userDb.db
+      .prepare("UPDATE custom_view_shares SET expires_at = datetime('now', '-1 minute')")
+      .run();
+    expect((await openShare(second)).status).toBe(410);
+
+    expect((await openShare('tbs_1_nope')).status).toBe(404);
+    expect((await openShare(`${token.slice(0, -4)}AAAA`)).status).toBe(404);
+  });
+
+  test('validates expiry and refuses views that need browser data', async () => {
+    const view = await createView({
+      name: 'Downloaded',
+      filters: filtersFor([{ column: 'is_downloaded', operator: 'is_true' }]),
+    });
+    expect((await share(view.id, { expires_in_days: null })).status).toBe(400);
+
+    const res = await share(view.id, { expires_in_days: 7 });
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe('VIEW_NOT_SERVER_EVALUABLE');
+  });
+
+  test('refuses to share or serve views with invalid patterns', async () => {
+    const view = await createView({
+      name: 'Ready',
+      filters: filtersFor([{ column: 'name', operator: 'matches_glob', value: 'Ready*' }]),
+    });
+    const { token } = (await share(view.id, { expires_in_days: 7 })).body;
+    expect((await openShare(token)).status).toBe(200);
+
+    // Saved before patterns were validated
+    const userDb = await env.userDatabaseManager.getUserDatabase(env.authId);
+    userDb.db
+      .prepare('UPDATE custom_views SET filters = ? WHERE id = ?')
+      .run(
+        JSON.stringify(
+          filtersFor([{ column: 'name', operator: 'matches_regex', value: '(\\w+\\s?)*$' }])
+        ),
+        view.id
+      );
+
+    const res = await share(view.id, { expires_in_days: 7 });
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe('VIEW_INVALID_PATTERN');
+    expect((await openShare(token)).status).toBe(422);
+  });
+
+  test('deleting a view removes its links', async () => {
+    const view = await createView({ name: 'Gone', filters: filtersFor([]) });
+    const { token } = (await share(view.id, { expires_in_days: 7 })).body;
+
+    await request(app).delete(`/api/custom-views/${view.id}`).set('x-api-key', env.apiKey);
+    expect((await openShare(token)).status).toBe(404);
+  });
+
+  test('visitors read the cached snapshot and are rate limited per link owner', async () => {
+    process.env.VIEW_SHARE_RATE_LIMIT_MAX = '3';
+    try {
+      app = buildApp();
+      const view = await createView({ name: 'All', filters: filtersFor([]) });
+      const first = (await share(view.id, { expires_in_days: 7 })).body.token;
+      const second = (await share(view.id, { expires_in_days: 7 })).body.token;
+
+      const statuses = [];
+      for (const token of [first, second, first, second]) {
+        statuses.push(
+          (await request(app).get(`/api/backend/view-shares/${token}?refresh=true`)).status
+        );
+      }
+      // Both links belong to the same owner, so they share one budget
+      expect(statuses).toEqual([200, 200, 200, 429]);
+      expect(fetchCount).toBe(1);
+    } finally {
+      delete process.env.VIEW_SHARE_RATE_LIMIT_MAX;
+    }
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, expect, test, beforeEach, afterEach } from 'bun:test';
+import request from 'supertest';
+import {
+  createUploadTestEnv,
+  cleanupUploadTestEnv,
+  buildUploadApp,
+} from './helpers/uploadTestHelper.js';
+
+const SERVICE_SECRET = 'test-service-secret-0123456789';
+
+describe('download client session routes', () => {
+  let env;
+  let app;
+
+  beforeEach(async () => {
+    process.env.BACKEND_SERVICE_SECRET = SERVICE_SECRET;
+    env = await createUploadTestEnv();
+    app = buildUploadApp(env);
+  });
+
+  afterEach(() => {
+    cleanupUploadTestEnv(env);
+    delete process.env.BACKEND_SERVICE_SECRET;
+  });
+
+  async function login() {
+    const response = await request(app)
+      .post('/api/download-client-sessions')
+      .set('x-api-key', env.apiKey);
+    expect(response.status).toBe(200);
+    return response.body.token;
+  }
+
+  function verify(token) {
+    return request(app)
+      .post('/api/backend/download-client-sessions/verify')
+      .set('x-backend-service-secret', SERVICE_SECRET)
+      .send({ token });
+  }
+
+  test('exchanges a session token for the API key until logout', async () => {
+    const token = await login();
+    expect(token).toMatch(/^tbc_\d+_[A-Za-z0-9_-]{43}$/);
+
+    const verified = await verify(token);
+    expect(verified.status).toBe(200);
+    expect(verified.body.apiKey).toBe(env.apiKey);
+
+    expect((await verify(`${token.slice(0, -1)}x`)).status).toBe(401);
+    expect((await verify(env.apiKey)).status).toBe(401);
+    expect((await verify(token.replace(/^tbc_/, 'tbs_'))).status).toBe(401);
+
+    const logout = await request(app)
+      .delete('/api/backend/download-client-sessions')
+      .set('x-backend-service-secret', SERVICE_SECRET)
+      .send({ token });
+    expect(logout.status).toBe(200);
+    expect((await verify(token)).status).toBe(401);
+  });
+
+  test('slides the expiry on use and prunes expired sessions', async () => {
+    const live = await login();
+    const expired = await login();
+    env.masterDatabase.runQuery(
+      "UPDATE download_client_sessions SET expires_at = datetime('now', '-1 minute')"
+    );
+
+    expect((await verify(expired)).status).toBe(401);
+
+    env.masterDatabase.runQuery(
+      "UPDATE download_client_sessions SET expires_at = datetime('now', '+1 minute') WHERE id = 1"
+    );
+    expect((await verify(live)).status).toBe(200);
+    const { minutes } = env.masterDatabase.getQuery(
+      "SELECT (julianday(expires_at) - julianday('now')) * 1440 AS minutes FROM download_client_sessions WHERE id = 1"
+    );
+    expect(minutes).toBeGreaterThan(59);
+
+    expect(env.masterDatabase.deleteExpiredDownloadClientSessions()).toBe(1);
+    expect((await verify(live)).status).toBe(200);
+  });
+
+  test('refuses to hand out API keys without the service secret configured', async () => {
+    const token = await login();
+    delete process.env.BACKEND_SERVICE_SECRET;
+    expect((await verify(token)).status).toBe(503);
+  });
+});
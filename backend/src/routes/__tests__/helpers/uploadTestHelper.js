@@ -5,6 +5,9 @@ import DatabaseMaster from '../../../database/Database.js';
 import UserDatabaseManager from '../../../database/UserDatabaseManager.js';
 import { createRequireRegisteredUser } from '../../../middleware/userAuth.js';
 import { setupUploadsRoutes } from '../../uploads.js';
+import { setupUploadTemplatesRoutes } from '../../uploadTemplates.js';
+import { setupAccessTokenRoutes } from '../../accessTokens.js';
+import { setupDownloadClientSessionRoutes } from '../../downloadClientSessions.js';
 
 export async function createUploadTestEnv() {
   const tempDir = path.join(
@@ -63,5 +66,8 @@ export function buildUploadApp({
   };
 
   setupUploadsRoutes(app, backend);
+  setupUploadTemplatesRoutes(app, backend);
+  setupAccessTokenRoutes(app, backend);
+  setupDownloadClientSessionRoutes(app, backend);
   return app;
 }
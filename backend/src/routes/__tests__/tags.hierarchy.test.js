@@ -0,0 +1,141 @@
+import { describe, expect, test, beforeEach, afterEach } from 'bun:test';
+import request from 'supertest';
+import {
+  createBackendTestEnv,
+  cleanupBackendTestEnv,
+  buildBackendApp,
+} from './helpers/backendTestHelper.js';
+import { setupTagsRoutes } from '../tags.js';
+import { setupDownloadTagsRoutes } from '../downloadTags.js';
+
+describe('tag hierarchy and tag group routes', () => {
+  let env;
+  let app;
+
+  beforeEach(async () => {
+    env = await createBackendTestEnv();
+    app = buildBackendApp({
+      ...env,
+      routeSetupFn: (expressApp, backend) => {
+        setupTagsRoutes(expressApp, backend);
+        setupDownloadTagsRoutes(expressApp, backend);
+      },
+    });
+  });
+
+  afterEach(() => {
+    cleanupBackendTestEnv(env);
+  });
+
+  const createTag = (body) =>
+    request(app).post('/api/tags').set('x-api-key', env.apiKey).send(body);
+  const updateTag = (id, body) =>
+    request(app).put(`/api/tags/${id}`).set('x-api-key', env.apiKey).send(body);
+  const createGroup = (name) =>
+    request(app).post('/api/tag-groups').set('x-api-key', env.apiKey).send({ name });
+  const assign = (body) =>
+    request(app).post('/api/downloads/tags').set('x-api-key', env.apiKey).send(body);
+
+  test('creates tags with a color and parent and lists them', async () => {
+    const tv = (await createTag({ name: 'tv', color: '#3B82F6' })).body.tag;
+    expect(tv).toMatchObject({ name: 'tv', color: '#3b82f6', parent_id: null, group_id: null });
+
+    const anime = await createTag({ name: 'anime', parent_id: tv.id });
+    expect(anime.status).toBe(200);
+    expect(anime.body.tag).toMatchObject({ parent_id: tv.id, color: null });
+
+    const listed = await request(app).get('/api/tags').set('x-api-key', env.apiKey);
+    expect(listed.body.tags.find((tag) => tag.name === 'anime').parent_id).toBe(tv.id);
+
+    expect((await createTag({ name: 'bad', color: 'blue' })).status).toBe(400);
+    expect((await createTag({ name: 'orphan', parent_id: 9999 })).status).toBe(400);
+  });
+
+  test('rejects parent cycles and trees deeper than the limit', async () => {
+    const a = (await createTag({ name: 'a' })).body.tag;
+    const b = (await createTag({ name: 'b', parent_id: a.id })).body.tag;
+    const c = (await createTag({ name: 'c', parent_id: b.id })).body.tag;
+    const d = (await createTag({ name: 'd', parent_id: c.id })).body.tag;
+
+    const cycle = await updateTag(a.id, { parent_id: c.id });
+    expect(cycle.status).toBe(400);
+    expect(cycle.body.error).toMatch(/under itself/);
+
+    const tooDeep = await createTag({ name: 'e', parent_id: d.id });
+    expect(tooDeep.status).toBe(400);
+    expect(tooDeep.body.error).toMatch(/levels deep/);
+  });
+
+  test('PUT updates only the fields sent', async () => {
+    const tag = (await createTag({ name: 'movies', color: '#ff0000' })).body.tag;
+
+    const renamed = await updateTag(tag.id, { name: 'films' });
+    expect(renamed.body.tag).toMatchObject({ name: 'films', color: '#ff0000' });
+
+    const cleared = await updateTag(tag.id, { color: null });
+    expect(cleared.body.tag).toMatchObject({ name: 'films', color: null });
+
+    expect((await updateTag(tag.id, {})).status).toBe(400);
+  });
+
+  test('deleting a parent moves its children up a level', async () => {
+    const tv = (await createTag({ name: 'tv' })).body.tag;
+    const anime = (await createTag({ name: 'anime', parent_id: tv.id })).body.tag;
+    const seasonal = (await createTag({ name: 'seasonal', parent_id: anime.id })).body.tag;
+
+    await request(app).delete(`/api/tags/${anime.id}`).set('x-api-key', env.apiKey);
+
+    const fetched = await request(app).get(`/api/tags/${seasonal.id}`).set('x-api-key', env.apiKey);
+    expect(fetched.body.tag.parent_id).toBe(tv.id);
+  });
+
+  test('tags in an exclusive group replace each other on a download', async () => {
+    const group = (await createGroup('Quality')).body.group;
+    const hd = (await createTag({ name: '1080p', group_id: group.id })).body.tag;
+    const uhd = (await createTag({ name: '2160p', group_id: group.id })).body.tag;
+    const other = (await createTag({ name: 'keep' })).body.tag;
+
+    expect((await assign({ download_ids: ['1'], tag_ids: [hd.id, other.id] })).status).toBe(200);
+    expect((await assign({ download_ids: ['1'], tag_ids: [uhd.id] })).status).toBe(200);
+
+    const mappings = (await request(app).get('/api/downloads/tags').set('x-api-key', env.apiKey))
+      .body.mappings;
+    expect(mappings['1'].map((tag) => tag.name).sort()).toEqual(['2160p', 'keep']);
+
+    const conflict = await assign({ download_ids: ['2'], tag_ids: [hd.id, uhd.id] });
+    expect(conflict.status).toBe(400);
+    expect(conflict.body.error).toMatch(/Quality/);
+  });
+
+  test('a tag cannot join a group whose tags it already shares a download with', async () => {
+    const group = (await createGroup('Language')).body.group;
+    const en = (await createTag({ name: 'en', group_id: group.id })).body.tag;
+    const de = (await createTag({ name: 'de' })).body.tag;
+    await assign({ download_ids: ['1'], tag_ids: [en.id, de.id] });
+
+    expect((await updateTag(de.id, { group_id: group.id })).status).toBe(409);
+  });
+
+  test('tag group CRUD; deleting a group keeps its tags', async () => {
+    const group = (await createGroup('Source')).body.group;
+    expect((await createGroup('source')).status).toBe(409);
+    const web = (await createTag({ name: 'web', group_id: group.id })).body.tag;
+
+    const listed = await request(app).get('/api/tag-groups').set('x-api-key', env.apiKey);
+    expect(listed.body.groups).toEqual([expect.objectContaining({ name: 'Source', tag_count: 1 })]);
+
+    const renamed = await request(app)
+      .put(`/api/tag-groups/${group.id}`)
+      .set('x-api-key', env.apiKey)
+      .send({ name: 'Origin' });
+    expect(renamed.body.group.name).toBe('Origin');
+
+    const deleted = await request(app)
+      .delete(`/api/tag-groups/${group.id}`)
+      .set('x-api-key', env.apiKey);
+    expect(deleted.status).toBe(200);
+
+    const tag = await request(app).get(`/api/tags/${web.id}`).set('x-api-key', env.apiKey);
+    expect(tag.body.tag.group_id).toBeNull();
+  });
+});
@@ -0,0 +1,181 @@
+import { describe, expect, test, beforeEach, afterEach } from 'bun:test';
+import request from 'supertest';
+import {
+  createUploadTestEnv,
+  cleanupUploadTestEnv,
+  buildUploadApp,
+} from './helpers/uploadTestHelper.js';
+
+describe('upload template routes', () => {
+  let env;
+  let app;
+  let tagId;
+
+  beforeEach(async () => {
+    env = await createUploadTestEnv();
+    app = buildUploadApp(env);
+
+    const userDb = await env.userDatabaseManager.getUserDatabase(env.authId);
+    try {
+      tagId = Number(
+        userDb.db.prepare("INSERT INTO tags (name) VALUES ('Movies')").run().lastInsertRowid
+      );
+    } finally {
+      env.userDatabaseManager.releaseConnection(env.authId);
+    }
+  });
+
+  afterEach(() => {
+    cleanupUploadTestEnv(env);
+  });
+
+  async function createTemplate(body) {
+    return request(app).post('/api/upload-templates').set('x-api-key', env.apiKey).send(body);
+  }
+
+  test('creates, lists, updates and deletes a template', async () => {
+    const created = await createTemplate({
+      name: 'Never seed',
+      seed: 3,
+      allow_zip: false,
+      airlock: true,
+      tag_ids: [tagId],
+    });
+    expect(created.status).toBe(200);
+    expect(created.body.template).toMatchObject({
+      name: 'Never seed',
+      seed: 3,
+      allow_zip: false,
+      as_queued: false,
+      add_only_if_cached: false,
+      airlock: true,
+      tag_ids: [tagId],
+    });
+    const id = created.body.template.id;
+
+    const updated = await request(app)
+      .put(`/api/upload-templates/${id}`)
+      .set('x-api-key', env.apiKey)
+      .send({ name: 'Cached only', add_only_if_cached: true });
+    expect(updated.status).toBe(200);
+    expect(updated.body.template).toMatchObject({
+      id,
+      name: 'Cached only',
+      seed: null,
+      allow_zip: true,
+      add_only_if_cached: true,
+      airlock: false,
+      tag_ids: [],
+    });
+
+    const listed = await request(app).get('/api/upload-templates').set('x-api-key', env.apiKey);
+    expect(listed.body.templates.map((template) => template.name)).toEqual(['Cached only']);
+
+    const deleted = await request(app)
+      .delete(`/api/upload-templates/${id}`)
+      .set('x-api-key', env.apiKey);
+    expect(deleted.status).toBe(200);
+
+    const missing = await request(app)
+      .put(`/api/upload-templates/${id}`)
+      .set('x-api-key', env.apiKey)
+      .send({ name: 'Gone' });
+    expect(missing.status).toBe(404);
+  });
+
+  test('rejects invalid bodies, unknown tags and duplicate names', async () => {
+    expect((await createTemplate({ name: '' })).status).toBe(400);
+    expect((await createTemplate({ name: 'Bad seed', seed: 4 })).status).toBe(400);
+    expect((await createTemplate({ name: 'Bad flag', airlock: 'yes' })).status).toBe(400);
+
+    const unknownTag = await createTemplate({ name: 'Unknown tag', tag_ids: [tagId + 100] });
+    expect(unknownTag.status).toBe(400);
+    expect(unknownTag.body.error).toMatch(/not found/);
+
+    expect((await createTemplate({ name: 'Movies' })).status).toBe(200);
+    expect((await createTemplate({ name: 'movies' })).status).toBe(409);
+  });
+
+  test('batch uploads take unset options from their template', async () => {
+    const template = (await createTemplate({ name: 'Never seed', seed: 3, allow_zip: false })).body
+      .template;
+
+    const res = await request(app)
+      .post('/api/uploads/batch')
+      .set('x-api-key', env.apiKey)
+      .send({
+        uploads: [
+          {
+            type: 'torrent',
+            upload_type: 'magnet',
+            url: 'magnet:?xt=urn:btih:a',
+            name: 'Templated',
+            template_id: template.id,
+          },
+          {
+            type: 'torrent',
+            upload_type: 'magnet',
+            url: 'magnet:?xt=urn:btih:b',
+            name: 'Explicit seed',
+            seed: 1,
+            template_id: template.id,
+          },
+          {
+            type: 'torrent',
+            upload_type: 'magnet',
+            url: 'magnet:?xt=urn:btih:c',
+            name: 'Missing template',
+            template_id: template.id + 100,
+          },
+        ],
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.meta.failed).toBe(1);
+    expect(res.body.data.errors[0].error).toMatch(/not found/);
+    expect(
+      res.body.data.uploads.map(({ name, seed, allow_zip, template_id }) => ({
+        name,
+        seed,
+        allow_zip,
+        template_id,
+      }))
+    ).toEqual([
+      { name: 'Templated', seed: 3, allow_zip: 0, template_id: template.id },
+      { name: 'Explicit seed', seed: 1, allow_zip: 0, template_id: template.id },
+    ]);
+  });
+
+  test('uploads keep the tags they name and list them back', async () => {
+    const res = await request(app)
+      .post('/api/uploads/batch')
+      .set('x-api-key', env.apiKey)
+      .send({
+        uploads: [
+          {
+            type: 'torrent',
+            upload_type: 'magnet',
+            url: 'magnet:?xt=urn:btih:a',
+            name: 'Tagged',
+            tag_ids: [tagId],
+          },
+          {
+            type: 'torrent',
+            upload_type: 'magnet',
+            url: 'magnet:?xt=urn:btih:b',
+            name: 'Unknown tag',
+            tag_ids: [tagId + 100],
+          },
+        ],
+      });
+    expect(res.body.meta.failed).toBe(1);
+    expect(res.body.data.errors[0].error).toBe(`Tag ${tagId + 100} not found`);
+
+    const listed = await request(buildUploadApp({ ...env, uploadProcessor: null }))
+      .get('/api/uploads')
+      .set('x-api-key', env.apiKey);
+    expect(listed.body.data.map(({ name, tag_ids }) => ({ name, tag_ids }))).toEqual([
+      { name: 'Tagged', tag_ids: [tagId] },
+    ]);
+  });
+});
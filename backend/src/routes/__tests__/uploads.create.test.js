@@ -109,4 +109,55 @@ describe('upload create routes', () => {
     expect(res.status).toBe(400);
     expect(res.body.success).toBe(false);
   });
+
+  test('POST /api/uploads stores a schedule and holds the upload until its start time', async () => {
+    const scheduledAt = new Date(Date.now() + 2 * 60 * 60 * 1000);
+    const res = await request(app).post('/api/uploads').set('x-api-key', env.apiKey).send({
+      type: 'torrent',
+      upload_type: 'magnet',
+      url: 'magnet:?xt=urn:btih:later',
+      name: 'Later',
+      scheduled_at: scheduledAt.toISOString(),
+      window_start: '01:00',
+      window_end: '06:00',
+      window_timezone: 'Europe/Berlin',
+      wait_for_quota: true,
+    });
+
+    expect(res.status).toBe(200);
+    const expectedAt = scheduledAt.toISOString().replace('T', ' ').substring(0, 19);
+    expect(res.body.data).toMatchObject({
+      scheduled_at: expectedAt,
+      next_attempt_at: expectedAt,
+      window_start: '01:00',
+      window_end: '06:00',
+      window_timezone: 'Europe/Berlin',
+      wait_for_quota: 1,
+    });
+  });
+
+  test('POST /api/uploads/batch rejects rows with an invalid schedule', async () => {
+    const uploads = [
+      { type: 'torrent', upload_type: 'magnet', url: 'magnet:?xt=urn:btih:a', name: 'Now' },
+      {
+        type: 'torrent',
+        upload_type: 'magnet',
+        url: 'magnet:?xt=urn:btih:b',
+        name: 'Half window',
+        window_start: '22:00',
+      },
+    ];
+
+    const res = await request(app)
+      .post('/api/uploads/batch')
+      .set('x-api-key', env.apiKey)
+      .send({ uploads });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.uploads).toHaveLength(1);
+    expect(res.body.data.uploads[0].scheduled_at).toBeNull();
+    expect(res.body.data.errors[0].error).toBe(
+      'window_start and window_end must both be HH:MM (24h)'
+    );
+  });
 });
@@ -107,4 +107,50 @@ describe('upload duplicate resolution routes', () => {
     expect(res.body.data.completed).toBe(1);
     expect(res.body.data.retried).toBe(1);
   });
+
+  test('POST /api/uploads validates on_duplicate', async () => {
+    const res = await request(app).post('/api/uploads').set('x-api-key', env.apiKey).send({
+      type: 'torrent',
+      upload_type: 'magnet',
+      url: 'magnet:?xt=urn:btih:abc123',
+      name: 'Duplicate Magnet',
+      on_duplicate: 'overwrite',
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/Invalid on_duplicate/);
+  });
+
+  test('POST /api/uploads/:id/retry re-queues a skipped duplicate to be added anyway', async () => {
+    const id = await createFailedDuplicate();
+    const userDb = await env.userDatabaseManager.getUserDatabase(env.authId);
+    try {
+      userDb.db
+        .prepare(
+          `
+          UPDATE uploads
+          SET status = 'duplicate', duplicate_of = '99', duplicate_source = 'library',
+              error_message = 'Already in your library (download 99). Skipped.'
+          WHERE id = ?
+        `
+        )
+        .run(id);
+    } finally {
+      env.userDatabaseManager.releaseConnection(env.authId);
+    }
+
+    const res = await request(app)
+      .post(`/api/uploads/${id}/retry`)
+      .set('x-api-key', env.apiKey)
+      .send();
+
+    expect(res.status).toBe(200);
+    expect(res.body.completedFromTorbox).toBeUndefined();
+    expect(res.body.data).toMatchObject({
+      status: 'queued',
+      on_duplicate: 'readd',
+      duplicate_of: null,
+      error_message: null,
+    });
+  });
 });
@@ -0,0 +1,111 @@
+import { describe, expect, test, beforeEach, afterEach } from 'bun:test';
+import request from 'supertest';
+import UploadProcessor from '../../automation/UploadProcessor.js';
+import {
+  createUploadTestEnv,
+  cleanupUploadTestEnv,
+  buildUploadApp,
+} from './helpers/uploadTestHelper.js';
+
+describe('upload reorder route', () => {
+  let env;
+  let app;
+
+  beforeEach(async () => {
+    env = await createUploadTestEnv();
+    app = buildUploadApp(env);
+  });
+
+  afterEach(() => {
+    cleanupUploadTestEnv(env);
+  });
+
+  async function createUploads(uploads) {
+    const res = await request(app)
+      .post('/api/uploads/batch')
+      .set('x-api-key', env.apiKey)
+      .send({ uploads });
+    return res.body.data.uploads;
+  }
+
+  function magnet(name, extra = {}) {
+    return {
+      type: 'torrent',
+      upload_type: 'magnet',
+      url: `magnet:?xt=urn:btih:${name}`,
+      name,
+      ...extra,
+    };
+  }
+
+  test('POST /api/uploads/batch stores priority and rejects unknown lanes', async () => {
+    const res = await request(app)
+      .post('/api/uploads/batch')
+      .set('x-api-key', env.apiKey)
+      .send({ uploads: [magnet('a', { priority: 'urgent' }), magnet('b', { priority: 'asap' })] });
+
+    expect(res.body.data.uploads.map((u) => u.priority)).toEqual(['urgent']);
+    expect(res.body.data.errors[0].error).toMatch(/Invalid priority/);
+  });
+
+  test('GET /api/uploads lists queued uploads lane first', async () => {
+    await createUploads([
+      magnet('bulk', { priority: 'bulk' }),
+      magnet('normal'),
+      magnet('urgent', { priority: 'urgent' }),
+    ]);
+
+    const appWithProcessor = buildUploadApp({
+      ...env,
+      uploadProcessor: new UploadProcessor(env.userDatabaseManager, env.masterDatabase),
+    });
+    const res = await request(appWithProcessor)
+      .get('/api/uploads?status=queued')
+      .set('x-api-key', env.apiKey);
+
+    expect(res.body.data.map((u) => u.name)).toEqual(['urgent', 'normal', 'bulk']);
+    expect(res.body.uploadStatistics.byType.torrent.maxInFlight).toBe(1);
+  });
+
+  test('PATCH /api/uploads/reorder moves an upload to another lane', async () => {
+    const [upload] = await createUploads([magnet('a')]);
+
+    const res = await request(app)
+      .patch('/api/uploads/reorder')
+      .set('x-api-key', env.apiKey)
+      .send({ id: upload.id, priority: 'bulk' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.priority).toBe('bulk');
+    expect(res.body.data.queue_order).toBe(upload.queue_order);
+  });
+
+  test('PATCH /api/uploads/reorder updates per-type in-flight limits', async () => {
+    const res = await request(app)
+      .patch('/api/uploads/reorder')
+      .set('x-api-key', env.apiKey)
+      .send({ max_in_flight: { usenet: 3 } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.maxInFlight).toEqual({ torrent: 1, usenet: 3, webdl: 1 });
+
+    const invalid = await request(app)
+      .patch('/api/uploads/reorder')
+      .set('x-api-key', env.apiKey)
+      .send({ max_in_flight: { usenet: 0 } });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toMatch(/max_in_flight/);
+  });
+
+  test('PATCH /api/uploads/reorder still requires both orders for a move', async () => {
+    const [upload] = await createUploads([magnet('a')]);
+
+    const res = await request(app)
+      .patch('/api/uploads/reorder')
+      .set('x-api-key', env.apiKey)
+      .send({ id: upload.id, new_order: 3 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('id, old_order, and new_order are required');
+  });
+});
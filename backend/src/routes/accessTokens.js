@@ -0,0 +1,225 @@
+import { validateNumericIdMiddleware } from '../middleware/validation.js';
+import { isServiceSecretConfigured, requireInternalServiceAuth } from '../middleware/userAuth.js';
+import logger from '../utils/logger.js';
+import { decrypt } from '../utils/crypto.js';
+import { serverErrorPayload } from '../utils/httpErrors.js';
+import {
+  createAccessToken,
+  isValidAccessTokenScope,
+  listAccessTokens,
+  parseAccessToken,
+  parseAccessTokenRequest,
+  revokeAccessToken,
+  verifyAccessToken,
+} from '../utils/accessTokens.js';
+
+const VERIFY_ERRORS = {
+  invalid: { status: 401, error: 'Invalid access token' },
+  revoked: { status: 401, error: 'Access token has been revoked' },
+  expired: { status: 401, error: 'Access token has expired' },
+  scope: { status: 403, error: 'Access token is not allowed to do this' },
+};
+
+function sendVerifyError(res, reason) {
+  const { status, error } = VERIFY_ERRORS[reason];
+  (res.locals ??= {}).expectedClientError = true;
+  return res.status(status).json({ success: false, error });
+}
+
+/**
+ * Personal access token routes
+ */
+export function setupAccessTokenRoutes(app, backend) {
+  const { userRateLimiter } = backend;
+
+  // GET /api/access-tokens - List tokens, including revoked and expired ones
+  app.get(
+    '/api/access-tokens',
+    backend.requireRegisteredUser,
+    userRateLimiter,
+    async (req, res) => {
+      try {
+        const authId = req.validatedAuthId;
+
+        if (!backend.userDatabaseManager) {
+          return res.status(503).json({
+            success: false,
+            error: 'Service is initializing, please try again in a moment',
+          });
+        }
+
+        const userDb = await backend.userDatabaseManager.getUserDatabase(authId);
+        res.json({ success: true, tokens: listAccessTokens(userDb.db) });
+      } catch (error) {
+        logger.error('Error fetching access tokens', error, {
+          endpoint: '/api/access-tokens',
+          method: 'GET',
+          authId: req.validatedAuthId,
+        });
+        res.status(500).json(serverErrorPayload(error));
+      } finally {
+        if (req.validatedAuthId && backend.userDatabaseManager) {
+          backend.userDatabaseManager.releaseConnection(req.validatedAuthId);
+        }
+      }
+    }
+  );
+
+  // POST /api/access-tokens - Issue a token; the response is the only time it is shown
+  app.post(
+    '/api/access-tokens',
+    backend.requireRegisteredUser,
+    userRateLimiter,
+    async (req, res) => {
+      try {
+        const authId = req.validatedAuthId;
+
+        const { token: request, error } = parseAccessTokenRequest(req.body);
+        if (error) {
+          return res.status(400).json({ success: false, error });
+        }
+
+        if (!backend.userDatabaseManager) {
+          return res.status(503).json({
+            success: false,
+            error: 'Service is initializing, please try again in a moment',
+          });
+        }
+
+        const apiKeyId = backend.masterDatabase.getApiKeyId(authId);
+        if (apiKeyId == null) {
+          return res.status(404).json({ success: false, error: 'User not registered' });
+        }
+
+        const userDb = await backend.userDatabaseManager.getUserDatabase(authId);
+        const { token, accessToken } = createAccessToken(userDb.db, apiKeyId, request);
+
+        logger.info('Access token created', {
+          authId,
+          tokenId: accessToken.id,
+          scopes: accessToken.scopes,
+        });
+        res.json({ success: true, token, accessToken });
+      } catch (error) {
+        logger.error('Error creating access token', error, {
+          endpoint: '/api/access-tokens',
+          method: 'POST',
+          authId: req.validatedAuthId,
+        });
+        res.status(500).json(serverErrorPayload(error));
+      } finally {
+        if (req.validatedAuthId && backend.userDatabaseManager) {
+          backend.userDatabaseManager.releaseConnection(req.validatedAuthId);
+        }
+      }
+    }
+  );
+
+  // DELETE /api/access-tokens/:id - Revoke a token (the row stays, marked revoked)
+  app.delete(
+    '/api/access-tokens/:id',
+    backend.requireRegisteredUser,
+    validateNumericIdMiddleware('id'),
+    userRateLimiter,
+    async (req, res) => {
+      try {
+        const authId = req.validatedAuthId;
+        const tokenId = req.validatedIds.id;
+
+        if (!backend.userDatabaseManager) {
+          return res.status(503).json({
+            success: false,
+            error: 'Service is initializing, please try again in a moment',
+          });
+        }
+
+        const userDb = await backend.userDatabaseManager.getUserDatabase(authId);
+        if (!revokeAccessToken(userDb.db, tokenId)) {
+          return res.status(404).json({ success: false, error: 'Access token not found' });
+        }
+
+        logger.info('Access token revoked', { authId, tokenId });
+        res.json({ success: true, message: 'Access token revoked' });
+      } catch (error) {
+        logger.error('Error revoking access token', error, {
+          endpoint: `/api/access-tokens/${req.params.id}`,
+          method: 'DELETE',
+          tokenId: req.validatedIds?.id,
+          authId: req.validatedAuthId,
+        });
+        res.status(500).json(serverErrorPayload(error));
+      } finally {
+        if (req.validatedAuthId && backend.userDatabaseManager) {
+          backend.userDatabaseManager.releaseConnection(req.validatedAuthId);
+        }
+      }
+    }
+  );
+
+  // POST /api/backend/access-tokens/verify - Exchange a token for its owner's TorBox API key
+  // when it carries one of the scopes the calling v1 route accepts (Next.js server only)
+  app.post('/api/backend/access-tokens/verify', requireInternalServiceAuth, async (req, res) => {
+    let authId = null;
+    try {
+      // This route hands out decrypted API keys, so unlike the other internal routes it is
+      // never open without the shared secret.
+      if (!isServiceSecretConfigured()) {
+        return res.status(503).json({
+          success: false,
+          error: 'Personal access tokens require BACKEND_SERVICE_SECRET to be set',
+        });
+      }
+
+      const { token, scopes, ip = null } = req.body ?? {};
+
+      if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(isValidAccessTokenScope)) {
+        return res.status(400).json({
+          success: false,
+          error: 'scopes must be a non-empty array of upload, read, automation',
+        });
+      }
+
+      const apiKeyId = parseAccessToken(token);
+      const keyRow = apiKeyId == null ? null : backend.masterDatabase.getApiKeyById(apiKeyId);
+      if (!keyRow) {
+        return sendVerifyError(res, 'invalid');
+      }
+
+      if (!backend.userDatabaseManager) {
+        return res.status(503).json({
+          success: false,
+          error: 'Service is initializing, please try again in a moment',
+        });
+      }
+
+      authId = keyRow.auth_id;
+      const userDb = await backend.userDatabaseManager.getUserDatabase(authId);
+      const { accessToken, error } = verifyAccessToken(
+        userDb.db,
+        token,
+        scopes,
+        typeof ip === 'string' ? ip : null
+      );
+      if (error) {
+        return sendVerifyError(res, error);
+      }
+
+      res.json({
+        success: true,
+        apiKey: decrypt(keyRow.encrypted_key),
+        tokenId: accessToken.id,
+      });
+    } catch (error) {
+      logger.error('Error verifying access token', error, {
+        endpoint: '/api/backend/access-tokens/verify',
+        method: 'POST',
+        authId,
+      });
+      res.status(500).json(serverErrorPayload(error));
+    } finally {
+      if (authId && backend.userDatabaseManager) {
+        backend.userDatabaseManager.releaseConnection(authId);
+      }
+    }
+  });
+}
@@ -61,6 +61,7 @@ function readUserAutomationStats(userDb) {
             SUM(items_processed) as items
           FROM rule_execution_log
           WHERE executed_at >= datetime('now', '-7 days')
+          AND execution_type != 'step'
         `
     )
     .get();
@@ -151,6 +151,7 @@ export function setupMetricsRoutes(router, backend) {
             SUM(CASE WHEN success = 0 THEN 1 ELSE 0 END) as failed
           FROM rule_execution_log
           WHERE executed_at >= datetime('now', '-7 days')
+          AND execution_type != 'step'
         `
             )
             .get();
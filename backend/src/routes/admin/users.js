@@ -543,6 +543,7 @@ export function setupUserRoutes(router, backend) {
         SUM(items_processed) as total_items_processed
       FROM rule_execution_log
       WHERE executed_at >= datetime('now', '-7 days')
+      AND execution_type != 'step'
     `
           )
           .get();
@@ -3,7 +3,11 @@ import logger from '../utils/logger.js';
 import { serverErrorPayload } from '../utils/httpErrors.js';
 import RuleRepository from '../automation/helpers/RuleRepository.js';
 import AutomationEngine from '../automation/AutomationEngine.js';
-import { isTagActionType, notifyTagsChanged } from '../utils/userEvents.js';
+import { buildRuleBundle } from '../automation/helpers/ruleBundle.js';
+import { parseAuditQuery } from '../automation/helpers/ruleActionAudit.js';
+import { listRestorePoints } from '../automation/helpers/downloadRestorePoints.js';
+import { getAutomationUndoWindowHours } from '../config/automationUndo.js';
+import { batchChangedTags, notifyTagsChanged } from '../utils/userEvents.js';
 import { reactivateUserForManualAutomation } from '../config/automationInactivity.js';
 
 /**
@@ -59,16 +63,20 @@ function sendEngineUnavailableResponse(res, backend, authId) {
 export function setupAutomationRoutes(app, backend) {
   const { userRateLimiter, pollingScheduler, eventNotifier } = backend;
 
-  // GET /api/automation/events - SSE stream; notifies when this user's poll completes with changes (no rate limit for long-lived connection)
+  // GET /api/automation/events - SSE stream; pushes download list deltas and tag/protection changes (no rate limit for long-lived connection)
+  // Query: since - last list rev the client applied, to replay missed deltas on reconnect
   if (eventNotifier) {
     app.get('/api/automation/events', backend.requireRegisteredUser, (req, res) => {
       const authId = req.validatedAuthId;
+      const since = Number(req.query.since);
       res.setHeader('Content-Type', 'text/event-stream');
       res.setHeader('Cache-Control', 'no-cache');
       res.setHeader('Connection', 'keep-alive');
       res.setHeader('X-Accel-Buffering', 'no');
       res.flushHeaders?.();
-      eventNotifier.subscribe(authId, res);
+      eventNotifier.subscribe(authId, res, {
+        sinceRev: req.query.since != null && Number.isSafeInteger(since) ? since : null,
+      });
       req.on('close', () => eventNotifier.unsubscribe(authId, res));
     });
   }
@@ -163,6 +171,249 @@ export function setupAutomationRoutes(app, backend) {
     }
   );
 
+  // POST /api/automation/rules/simulate - Dry-run an unsaved rule draft (engine on demand)
+  app.post(
+    '/api/automation/rules/simulate',
+    backend.requireRegisteredUser,
+    userRateLimiter,
+    async (req, res) => {
+      const authId = req.validatedAuthId;
+      const { rule } = req.body || {};
+      if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        return res.status(400).json({ success: false, error: 'rule must be an object' });
+      }
+      try {
+        const engine = await getEngineForRequest(backend, authId);
+        if (!engine) {
+          return sendEngineUnavailableResponse(res, backend, authId);
+        }
+        const result = await engine.simulateRule(rule);
+        res.json({ success: true, result });
+      } catch (error) {
+        if (error?.isValidationError || error?.name === 'RuleValidationError') {
+          return res.status(400).json({ success: false, error: error.message });
+        }
+        logger.error('Error simulating rule draft', error, {
+          endpoint: '/api/automation/rules/simulate',
+          method: 'POST',
+          authId,
+        });
+        res.status(500).json(serverErrorPayload(error));
+      }
+    }
+  );
+
+  // GET /api/automation/rules/export - Export rules as a portable bundle; ?ids=1,2 limits the export (direct DB, no engine)
+  app.get(
+    '/api/automation/rules/export',
+    backend.requireRegisteredUser,
+    userRateLimiter,
+    async (req, res) => {
+      const authId = req.validatedAuthId;
+      let ruleIds = null;
+      if (req.query.ids !== undefined) {
+        ruleIds = String(req.query.ids)
+          .split(',')
+          .map((id) => Number(id.trim()));
+        if (ruleIds.length === 0 || ruleIds.some((id) => !Number.isInteger(id) || id <= 0)) {
+          return res
+            .status(400)
+            .json({ success: false, error: 'ids must be a comma-separated list of rule ids' });
+        }
+      }
+      const userDatabaseManager = backend.userDatabaseManager;
+      if (!userDatabaseManager) {
+        return res.status(503).json({ success: false, error: 'Service initializing' });
+      }
+      let userDbConnection;
+      try {
+        userDbConnection = await userDatabaseManager.getUserDatabase(authId);
+        if (!userDbConnection?.db) {
+          return res.status(404).json({ success: false, error: 'User not found' });
+        }
+        const repo = new RuleRepository(authId, () => Promise.resolve(userDbConnection.db));
+        const allRules = await repo.getRules();
+        const rules = ruleIds ? allRules.filter((rule) => ruleIds.includes(rule.id)) : allRules;
+        if (rules.length === 0) {
+          return res.status(404).json({ success: false, error: 'No rules to export' });
+        }
+        const tags = userDbConnection.db.prepare('SELECT id, name FROM tags').all();
+        res.json({ success: true, bundle: buildRuleBundle(rules, tags) });
+      } catch (error) {
+        logger.error('Error exporting automation rules', error, {
+          endpoint: '/api/automation/rules/export',
+          method: 'GET',
+          authId,
+        });
+        res.status(500).json(serverErrorPayload(error));
+      } finally {
+        if (authId && userDatabaseManager) {
+          userDatabaseManager.releaseConnection(authId);
+        }
+      }
+    }
+  );
+
+  // POST /api/automation/rules/import - Import a rule bundle: { bundle, overwrite?, createMissingTags? } (engine on demand)
+  app.post(
+    '/api/automation/rules/import',
+    backend.requireRegisteredUser,
+    userRateLimiter,
+    async (req, res) => {
+      const authId = req.validatedAuthId;
+      const { bundle, overwrite, createMissingTags } = req.body || {};
+      if (overwrite !== undefined && typeof overwrite !== 'boolean') {
+        return res.status(400).json({ success: false, error: 'overwrite must be a boolean' });
+      }
+      if (createMissingTags !== undefined && typeof createMissingTags !== 'boolean') {
+        return res
+          .status(400)
+          .json({ success: false, error: 'createMissingTags must be a boolean' });
+      }
+      try {
+        const engine = await getEngineForRequest(backend, authId);
+        if (!engine) {
+          return sendEngineUnavailableResponse(res, backend, authId);
+        }
+        const result = await engine.importRuleBundle(bundle, { overwrite, createMissingTags });
+        if (result.imported > 0 || result.updated > 0) {
+          await engine.reloadRules();
+          invalidateSchedulerEngine(pollingScheduler, authId);
+          if (pollingScheduler) {
+            for (const rule of result.rules) {
+              if (!rule.enabled && rule.id != null) {
+                cancelPendingActionsForRule(pollingScheduler, authId, rule.id);
+              }
+            }
+            await pollingScheduler.refreshPollers();
+          }
+        }
+        if (result.createdTags.length > 0) {
+          notifyTagsChanged(backend, authId);
+        }
+        res.json({ success: true, ...result });
+      } catch (error) {
+        if (error?.isValidationError || error?.name === 'RuleValidationError') {
+          return res.status(400).json({ success: false, error: error.message });
+        }
+        logger.error('Error importing automation rules', error, {
+          endpoint: '/api/automation/rules/import',
+          method: 'POST',
+          authId,
+        });
+        res.status(500).json(serverErrorPayload(error));
+      }
+    }
+  );
+
+  // GET /api/automation/audit - Per-download action audit, newest first; filters: ruleId, downloadId, outcome, search, before (id cursor), limit (direct DB, no engine)
+  app.get(
+    '/api/automation/audit',
+    backend.requireRegisteredUser,
+    userRateLimiter,
+    async (req, res) => {
+      const authId = req.validatedAuthId;
+      const { filters, error: queryError } = parseAuditQuery(req.query);
+      if (queryError) {
+        return res.status(400).json({ success: false, error: queryError });
+      }
+      const userDatabaseManager = backend.userDatabaseManager;
+      if (!userDatabaseManager) {
+        return res.status(503).json({ success: false, error: 'Service initializing' });
+      }
+      let userDbConnection;
+      try {
+        userDbConnection = await userDatabaseManager.getUserDatabase(authId);
+        if (!userDbConnection?.db) {
+          return res.status(404).json({ success: false, error: 'User not found' });
+        }
+        const repo = new RuleRepository(authId, () => Promise.resolve(userDbConnection.db));
+        const entries = await repo.getActionAudit(filters);
+        const nextCursor = entries.length === filters.limit ? entries[entries.length - 1].id : null;
+        res.json({ success: true, entries, nextCursor });
+      } catch (error) {
+        logger.error('Error fetching automation audit', error, {
+          endpoint: '/api/automation/audit',
+          method: 'GET',
+          authId,
+        });
+        res.status(500).json(serverErrorPayload(error));
+      } finally {
+        if (authId && userDatabaseManager) {
+          userDatabaseManager.releaseConnection(authId);
+        }
+      }
+    }
+  );
+
+  // GET /api/automation/restore-points - Downloads removed by rules that can still be restored (direct DB, no engine)
+  app.get(
+    '/api/automation/restore-points',
+    backend.requireRegisteredUser,
+    userRateLimiter,
+    async (req, res) => {
+      const authId = req.validatedAuthId;
+      const userDatabaseManager = backend.userDatabaseManager;
+      if (!userDatabaseManager) {
+        return res.status(503).json({ success: false, error: 'Service initializing' });
+      }
+      try {
+        const userDbConnection = await userDatabaseManager.getUserDatabase(authId);
+        if (!userDbConnection?.db) {
+          return res.status(404).json({ success: false, error: 'User not found' });
+        }
+        res.json({
+          success: true,
+          restorePoints: listRestorePoints(userDbConnection.db),
+          undoWindowHours: getAutomationUndoWindowHours(),
+        });
+      } catch (error) {
+        logger.error('Error fetching restore points', error, {
+          endpoint: '/api/automation/restore-points',
+          method: 'GET',
+          authId,
+        });
+        res.status(500).json(serverErrorPayload(error));
+      } finally {
+        userDatabaseManager.releaseConnection(authId);
+      }
+    }
+  );
+
+  // POST /api/automation/restore-points/:id/restore - Re-add a removed download and reapply its tags (engine on demand)
+  app.post(
+    '/api/automation/restore-points/:id/restore',
+    backend.requireRegisteredUser,
+    validateNumericIdMiddleware('id'),
+    userRateLimiter,
+    async (req, res) => {
+      const authId = req.validatedAuthId;
+      const restorePointId = req.validatedIds.id;
+      try {
+        const engine = await getEngineForRequest(backend, authId);
+        if (!engine) {
+          return sendEngineUnavailableResponse(res, backend, authId);
+        }
+        const result = await engine.restoreDownload(restorePointId);
+        if (result.tagsRestored > 0) {
+          notifyTagsChanged(backend, authId);
+        }
+        res.json({ success: true, result });
+      } catch (error) {
+        if (error?.name === 'RestoreError') {
+          return res.status(error.statusCode).json({ success: false, error: error.message });
+        }
+        logger.error('Error restoring download', error, {
+          endpoint: `/api/automation/restore-points/${req.params.id}/restore`,
+          method: 'POST',
+          restorePointId,
+          authId,
+        });
+        res.status(500).json(serverErrorPayload(error));
+      }
+    }
+  );
+
   // PUT /api/automation/rules/:id - Update rule status (engine on demand)
   app.put(
     '/api/automation/rules/:id',
@@ -291,7 +542,7 @@ export function setupAutomationRoutes(app, backend) {
     }
   );
 
-  // POST /api/automation/rules/:id/run - Manually execute a rule (engine on demand)
+  // POST /api/automation/rules/:id/run - Manually execute a rule, or dry-run it with { simulate: true } (engine on demand)
   app.post(
     '/api/automation/rules/:id/run',
     backend.requireRegisteredUser,
@@ -301,6 +552,15 @@ export function setupAutomationRoutes(app, backend) {
       const authId = req.validatedAuthId;
       const ruleId = req.validatedIds.id;
       try {
+        if (req.body?.simulate === true) {
+          const engine = await getEngineForRequest(backend, authId);
+          if (!engine) {
+            return sendEngineUnavailableResponse(res, backend, authId);
+          }
+          const result = await engine.simulateRule(ruleId);
+          return res.json({ success: true, result });
+        }
+
         if (!reactivateUserForManualAutomation(backend, authId)) {
           backend.pollingScheduler?.recordInactivitySkip?.('manual');
           return res.json({ success: false, skipped: true, reason: 'user_inactive' });
@@ -318,7 +578,7 @@ export function setupAutomationRoutes(app, backend) {
               backend.pollingScheduler.pollKickoutMs
             )
           : await runRule();
-        if (result?.successCount > 0 && isTagActionType(result.actionType)) {
+        if (batchChangedTags(result)) {
           notifyTagsChanged(backend, authId);
         }
         if (!res.headersSent) {
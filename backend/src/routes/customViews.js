@@ -1,6 +1,27 @@
+import rateLimit from 'express-rate-limit';
 import { validateNumericIdMiddleware } from '../middleware/validation.js';
+import { requireInternalServiceAuth } from '../middleware/userAuth.js';
 import logger from '../utils/logger.js';
 import { serverErrorPayload } from '../utils/httpErrors.js';
+import { parseRateLimitMax } from '../utils/ip.js';
+import {
+  CustomViewEvaluator,
+  DEFAULT_VIEW_SORT,
+  getInvalidViewPatterns,
+  getUnsupportedViewParts,
+  getViewStatusLabel,
+  loadViewDownloads,
+} from '../services/CustomViewEvaluator.js';
+import {
+  VIEW_SHARE_EXPIRY_DAYS,
+  VIEW_SHARE_PAGE_SIZE,
+  createViewShare,
+  isValidViewShareExpiry,
+  listViewShares,
+  parseViewShareToken,
+  resolveViewShare,
+  revokeViewShare,
+} from '../utils/viewShares.js';
 
 /**
  * Helper function to parse JSON fields in custom views
@@ -33,12 +54,69 @@ function parseViewJsonFields(view) {
 const VIEW_SELECT_COLUMNS =
   'id, name, filters, sort_field, sort_direction, visible_columns, asset_type, search_query, sort_order, created_at, updated_at';
 
+const VIEW_ASSET_TYPES = ['torrents', 'usenet', 'webdl'];
+
+function sendApiKeyUnavailable(res, backend, authId) {
+  const reason = backend.masterDatabase.getApiKeyUnavailableReason(authId);
+  if (reason === 'inactive') {
+    return res.status(403).json({
+      success: false,
+      error: 'API key is inactive. Please re-add your API key in Settings.',
+      code: 'API_KEY_INACTIVE',
+    });
+  }
+  return res.status(403).json({
+    success: false,
+    error: 'API key missing. Please add your API key in Settings.',
+    code: 'API_KEY_MISSING',
+  });
+}
+
+const SHARE_RESOLVE_ERRORS = {
+  invalid: { status: 404, error: 'Share link not found' },
+  revoked: { status: 404, error: 'Share link not found' },
+  expired: { status: 410, error: 'Share link has expired' },
+};
+
+/** The fields a share link shows, and nothing else from the download. */
+function toSharedItem(download) {
+  return {
+    name: download.name ?? '',
+    size: Number(download.size) || 0,
+    status: getViewStatusLabel(download),
+    progress: Number(download.progress) || 0,
+  };
+}
+
+/** `asset_type` query param: list the client shows, used for views saved without one. */
+function parseAssetTypeParam(value) {
+  return VIEW_ASSET_TYPES.includes(value) ? value : null;
+}
+
 /**
  * Custom views routes
  */
 export function setupCustomViewsRoutes(app, backend) {
   const { userRateLimiter } = backend;
 
+  // Share links are public and every visitor arrives through the Next.js server, so page loads
+  // are capped per link owner: together with the cached list snapshot this bounds the TorBox
+  // calls anonymous visitors can cause.
+  const viewShareRateLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: parseRateLimitMax(process.env.VIEW_SHARE_RATE_LIMIT_MAX, 60),
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: (req) => `view-share:${parseViewShareToken(req.params.token) ?? 'invalid'}`,
+    handler: (req, res) => {
+      res.status(429).json({
+        success: false,
+        error: 'Too many requests for this shared view, please try again later.',
+        code: 'VIEW_SHARE_RATE_LIMIT',
+      });
+    },
+  });
+
   // GET /api/custom-views - List all custom views
   app.get('/api/custom-views', backend.requireRegisteredUser, userRateLimiter, async (req, res) => {
     try {
@@ -113,6 +191,14 @@ export function setupCustomViewsRoutes(app, backend) {
           });
         }
 
+        const invalidPatterns = getInvalidViewPatterns(filters);
+        if (invalidPatterns.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid filter pattern: ${invalidPatterns.join('; ')}`,
+          });
+        }
+
         const userDb = await backend.userDatabaseManager.getUserDatabase(authId);
 
         const maxOrderResult = userDb.db
@@ -165,6 +251,56 @@ export function setupCustomViewsRoutes(app, backend) {
     }
   );
 
+  // GET /api/custom-views/counts - Match counts for every server-evaluable view
+  // Query: asset_type (list shown, for views saved without one), refresh=true to skip the snapshot cache
+  app.get(
+    '/api/custom-views/counts',
+    backend.requireRegisteredUser,
+    userRateLimiter,
+    async (req, res) => {
+      try {
+        const authId = req.validatedAuthId;
+
+        if (!backend.userDatabaseManager) {
+          return res.status(503).json({
+            success: false,
+            error: 'Service is initializing, please try again in a moment',
+          });
+        }
+
+        const userDb = await backend.userDatabaseManager.getUserDatabase(authId);
+        const views = userDb.db
+          .prepare(
+            `SELECT ${VIEW_SELECT_COLUMNS} FROM custom_views ORDER BY sort_order ASC, id ASC`
+          )
+          .all()
+          .map(parseViewJsonFields);
+
+        const downloads = await loadViewDownloads(backend, authId, {
+          refresh: req.query.refresh === 'true',
+        });
+        if (!downloads) return sendApiKeyUnavailable(res, backend, authId);
+
+        const counts = new CustomViewEvaluator(userDb.db).count(views, downloads, {
+          assetType: parseAssetTypeParam(req.query.asset_type),
+        });
+        // Views left out need a client-side count (browser-only columns or a search query)
+        res.json({ success: true, counts });
+      } catch (error) {
+        logger.error('Error counting custom views', error, {
+          endpoint: '/api/custom-views/counts',
+          method: 'GET',
+          authId: req.validatedAuthId,
+        });
+        res.status(500).json(serverErrorPayload(error));
+      } finally {
+        if (req.validatedAuthId && backend.userDatabaseManager) {
+          backend.userDatabaseManager.releaseConnection(req.validatedAuthId);
+        }
+      }
+    }
+  );
+
   // GET /api/custom-views/:id - Get single custom view
   app.get(
     '/api/custom-views/:id',
@@ -220,6 +356,358 @@ export function setupCustomViewsRoutes(app, backend) {
     }
   );
 
+  // GET /api/custom-views/:id/items - One page of the downloads in a view, evaluated server-side
+  // Query: page, limit, sort_field, sort_direction (default to the view's), asset_type, refresh
+  app.get(
+    '/api/custom-views/:id/items',
+    backend.requireRegisteredUser,
+    validateNumericIdMiddleware('id'),
+    userRateLimiter,
+    async (req, res) => {
+      try {
+        const authId = req.validatedAuthId;
+        const viewId = req.validatedIds.id;
+
+        if (!backend.userDatabaseManager) {
+          return res.status(503).json({
+            success: false,
+            error: 'Service is initializing, please try again in a moment',
+          });
+        }
+
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || 100, 1000));
+
+        const userDb = await backend.userDatabaseManager.getUserDatabase(authId);
+        const row = userDb.db
+          .prepare(`SELECT ${VIEW_SELECT_COLUMNS} FROM custom_views WHERE id = ?`)
+          .get(viewId);
+
+        if (!row) {
+          return res.status(404).json({
+            success: false,
+            error: 'Custom view not found',
+          });
+        }
+
+        const view = parseViewJsonFields(row);
+        const unsupported = getUnsupportedViewParts(view);
+        if (unsupported.length > 0) {
+          return res.status(422).json({
+            success: false,
+            error: 'This view filters on data only the browser has; evaluate it client-side',
+            code: 'VIEW_NOT_SERVER_EVALUABLE',
+            unsupported,
+          });
+        }
+
+        const invalidPatterns = getInvalidViewPatterns(view.filters);
+        if (invalidPatterns.length > 0) {
+          return res.status(422).json({
+            success: false,
+            error: `Fix this view's filters first: ${invalidPatterns.join('; ')}`,
+            code: 'VIEW_INVALID_PATTERN',
+          });
+        }
+
+        const downloads = await loadViewDownloads(backend, authId, {
+          refresh: req.query.refresh === 'true',
+        });
+        if (!downloads) return sendApiKeyUnavailable(res, backend, authId);
+
+        const sortField = req.query.sort_field || view.sort_field || DEFAULT_VIEW_SORT.field;
+        const requestedDirection = req.query.sort_direction || view.sort_direction;
+        const sortDirection = ['asc', 'desc'].includes(requestedDirection)
+          ? requestedDirection
+          : DEFAULT_VIEW_SORT.direction;
+
+        const matched = new CustomViewEvaluator(userDb.db).evaluate(view, downloads, {
+          sortField,
+          sortDirection,
+          assetType: parseAssetTypeParam(req.query.asset_type),
+        });
+        const total = matched.length;
+        const offset = (page - 1) * limit;
+
+        res.json({
+          success: true,
+          items: matched.slice(offset, offset + limit),
+          sort: { field: sortField, direction: sortDirection },
+          pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+          },
+        });
+      } catch (error) {
+        logger.error('Error evaluating custom view', error, {
+          endpoint: `/api/custom-views/${req.params.id}/items`,
+          method: 'GET',
+          viewId: req.validatedIds?.id,
+          authId: req.validatedAuthId,
+        });
+        res.status(500).json(serverErrorPayload(error));
+      } finally {
+        if (req.validatedAuthId && backend.userDatabaseManager) {
+          backend.userDatabaseManager.releaseConnection(req.validatedAuthId);
+        }
+      }
+    }
+  );
+
+  // GET /api/custom-views/:id/shares - Share links of a view, including revoked and expired ones
+  app.get(
+    '/api/custom-views/:id/shares',
+    backend.requireRegisteredUser,
+    validateNumericIdMiddleware('id'),
+    userRateLimiter,
+    async (req, res) => {
+      try {
+        const authId = req.validatedAuthId;
+        const viewId = req.validatedIds.id;
+
+        if (!backend.userDatabaseManager) {
+          return res.status(503).json({
+            success: false,
+            error: 'Service is initializing, please try again in a moment',
+          });
+        }
+
+        const userDb = await backend.userDatabaseManager.getUserDatabase(authId);
+        res.json({ success: true, shares: listViewShares(userDb.db, viewId) });
+      } catch (error) {
+        logger.error('Error fetching custom view shares', error, {
+          endpoint: `/api/custom-views/${req.params.id}/shares`,
+          method: 'GET',
+          viewId: req.validatedIds?.id,
+          authId: req.validatedAuthId,
+        });
+        res.status(500).json(serverErrorPayload(error));
+      } finally {
+        if (req.validatedAuthId && backend.userDatabaseManager) {
+          backend.userDatabaseManager.releaseConnection(req.validatedAuthId);
+        }
+      }
+    }
+  );
+
+  // POST /api/custom-views/:id/shares - Issue a read-only share link; the response is the only
+  // time the token is shown
+  app.post(
+    '/api/custom-views/:id/shares',
+    backend.requireRegisteredUser,
+    validateNumericIdMiddleware('id'),
+    userRateLimiter,
+    async (req, res) => {
+      try {
+        const authId = req.validatedAuthId;
+        const viewId = req.validatedIds.id;
+        const { expires_in_days } = req.body ?? {};
+
+        if (!isValidViewShareExpiry(expires_in_days)) {
+          return res.status(400).json({
+            success: false,
+            error: `expires_in_days must be one of ${VIEW_SHARE_EXPIRY_DAYS.join(', ')}`,
+          });
+        }
+
+        if (!backend.userDatabaseManager) {
+          return res.status(503).json({
+            success: false,
+            error: 'Service is initializing, please try again in a moment',
+          });
+        }
+
+        const apiKeyId = backend.masterDatabase.getApiKeyId(authId);
+        if (apiKeyId == null) {
+          return res.status(404).json({ success: false, error: 'User not registered' });
+        }
+
+        const userDb = await backend.userDatabaseManager.getUserDatabase(authId);
+        const row = userDb.db
+          .prepare(`SELECT ${VIEW_SELECT_COLUMNS} FROM custom_views WHERE id = ?`)
+          .get(viewId);
+        if (!row) {
+          return res.status(404).json({
+            success: false,
+            error: 'Custom view not found',
+          });
+        }
+
+        // The shared page is rendered by the backend, so the view must evaluate there
+        const unsupported = getUnsupportedViewParts(parseViewJsonFields(row));
+        if (unsupported.length > 0) {
+          return res.status(422).json({
+            success: false,
+            error: 'Views that filter on browser-only data or a search query cannot be shared',
+            code: 'VIEW_NOT_SERVER_EVALUABLE',
+            unsupported,
+          });
+        }
+
+        const invalidPatterns = getInvalidViewPatterns(parseViewJsonFields(row).filters);
+        if (invalidPatterns.length > 0) {
+          return res.status(422).json({
+            success: false,
+            error: `Fix this view's filters before sharing it: ${invalidPatterns.join('; ')}`,
+            code: 'VIEW_INVALID_PATTERN',
+          });
+        }
+
+        const { token, share } = createViewShare(userDb.db, apiKeyId, viewId, expires_in_days);
+        logger.info('Custom view share created', { authId, viewId, shareId: share.id });
+        res.json({ success: true, token, share });
+      } catch (error) {
+        logger.error('Error creating custom view share', error, {
+          endpoint: `/api/custom-views/${req.params.id}/shares`,
+          method: 'POST',
+          viewId: req.validatedIds?.id,
+          authId: req.validatedAuthId,
+        });
+        res.status(500).json(serverErrorPayload(error));
+      } finally {
+        if (req.validatedAuthId && backend.userDatabaseManager) {
+          backend.userDatabaseManager.releaseConnection(req.validatedAuthId);
+        }
+      }
+    }
+  );
+
+  // DELETE /api/custom-views/:id/shares/:shareId - Revoke a share link
+  app.delete(
+    '/api/custom-views/:id/shares/:shareId',
+    backend.requireRegisteredUser,
+    validateNumericIdMiddleware('id'),
+    validateNumericIdMiddleware('shareId'),
+    userRateLimiter,
+    async (req, res) => {
+      try {
+        const authId = req.validatedAuthId;
+        const { id: viewId, shareId } = req.validatedIds;
+
+        if (!backend.userDatabaseManager) {
+          return res.status(503).json({
+            success: false,
+            error: 'Service is initializing, please try again in a moment',
+          });
+        }
+
+        const userDb = await backend.userDatabaseManager.getUserDatabase(authId);
+        if (!revokeViewShare(userDb.db, viewId, shareId)) {
+          return res.status(404).json({ success: false, error: 'Share link not found' });
+        }
+
+        logger.info('Custom view share revoked', { authId, viewId, shareId });
+        res.json({ success: true, message: 'Share link revoked' });
+      } catch (error) {
+        logger.error('Error revoking custom view share', error, {
+          endpoint: `/api/custom-views/${req.params.id}/shares/${req.params.shareId}`,
+          method: 'DELETE',
+          viewId: req.validatedIds?.id,
+          authId: req.validatedAuthId,
+        });
+        res.status(500).json(serverErrorPayload(error));
+      } finally {
+        if (req.validatedAuthId && backend.userDatabaseManager) {
+          backend.userDatabaseManager.releaseConnection(req.validatedAuthId);
+        }
+      }
+    }
+  );
+
+  // GET /api/backend/view-shares/:token - Public page data for a share link (Next.js server only)
+  // Query: page. Returns the view name and name/size/status/progress of matching downloads,
+  // from the cached list snapshot; visitors can never make it refetch.
+  app.get(
+    '/api/backend/view-shares/:token',
+    requireInternalServiceAuth,
+    viewShareRateLimiter,
+    async (req, res) => {
+      let authId = null;
+      try {
+        const apiKeyId = parseViewShareToken(req.params.token);
+        const keyRow = apiKeyId == null ? null : backend.masterDatabase.getApiKeyById(apiKeyId);
+        if (!keyRow) {
+          (res.locals ??= {}).expectedClientError = true;
+          return res
+            .status(404)
+            .json({ success: false, error: SHARE_RESOLVE_ERRORS.invalid.error });
+        }
+
+        if (!backend.userDatabaseManager) {
+          return res.status(503).json({
+            success: false,
+            error: 'Service is initializing, please try again in a moment',
+          });
+        }
+
+        authId = keyRow.auth_id;
+        const userDb = await backend.userDatabaseManager.getUserDatabase(authId);
+        const { share, error } = resolveViewShare(userDb.db, req.params.token);
+        if (error) {
+          const { status, error: message } = SHARE_RESOLVE_ERRORS[error];
+          (res.locals ??= {}).expectedClientError = true;
+          return res.status(status).json({ success: false, error: message });
+        }
+
+        const view = parseViewJsonFields(
+          userDb.db
+            .prepare(`SELECT ${VIEW_SELECT_COLUMNS} FROM custom_views WHERE id = ?`)
+            .get(share.view_id)
+        );
+        // The view may have gained a browser-only filter since it was shared, or predate pattern
+        // validation
+        if (
+          getUnsupportedViewParts(view).length > 0 ||
+          getInvalidViewPatterns(view.filters).length > 0
+        ) {
+          return res.status(422).json({
+            success: false,
+            error: 'This view can no longer be shared',
+            code: 'VIEW_NOT_SERVER_EVALUABLE',
+          });
+        }
+
+        const downloads = await loadViewDownloads(backend, authId);
+        if (!downloads) {
+          return res.status(503).json({ success: false, error: 'Shared view is unavailable' });
+        }
+
+        const matched = new CustomViewEvaluator(userDb.db).evaluate(view, downloads, {
+          sortField: view.sort_field || DEFAULT_VIEW_SORT.field,
+          sortDirection: view.sort_direction || DEFAULT_VIEW_SORT.direction,
+        });
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const offset = (page - 1) * VIEW_SHARE_PAGE_SIZE;
+
+        res.json({
+          success: true,
+          view: { name: view.name },
+          expires_at: share.expires_at,
+          items: matched.slice(offset, offset + VIEW_SHARE_PAGE_SIZE).map(toSharedItem),
+          pagination: {
+            page,
+            limit: VIEW_SHARE_PAGE_SIZE,
+            total: matched.length,
+            totalPages: Math.ceil(matched.length / VIEW_SHARE_PAGE_SIZE),
+          },
+        });
+      } catch (error) {
+        logger.error('Error loading shared custom view', error, {
+          endpoint: '/api/backend/view-shares/:token',
+          method: 'GET',
+          authId,
+        });
+        res.status(500).json(serverErrorPayload(error));
+      } finally {
+        if (authId && backend.userDatabaseManager) {
+          backend.userDatabaseManager.releaseConnection(authId);
+        }
+      }
+    }
+  );
+
   // PUT /api/custom-views/:id - Update custom view
   app.put(
     '/api/custom-views/:id',
@@ -247,6 +735,14 @@ export function setupCustomViewsRoutes(app, backend) {
           });
         }
 
+        const invalidPatterns = filters === undefined ? [] : getInvalidViewPatterns(filters);
+        if (invalidPatterns.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid filter pattern: ${invalidPatterns.join('; ')}`,
+          });
+        }
+
         const userDb = await backend.userDatabaseManager.getUserDatabase(authId);
 
         // Check if exists
@@ -0,0 +1,85 @@
+import { isServiceSecretConfigured, requireInternalServiceAuth } from '../middleware/userAuth.js';
+import logger from '../utils/logger.js';
+import { decrypt } from '../utils/crypto.js';
+import { serverErrorPayload } from '../utils/httpErrors.js';
+
+/**
+ * Download client (qBittorrent API) sessions. The Next.js shim logs clients in with their TorBox
+ * API key and keeps only the session token in the SID cookie; any replica can exchange it here.
+ */
+export function setupDownloadClientSessionRoutes(app, backend) {
+  const { userRateLimiter } = backend;
+
+  // POST /api/download-client-sessions - Log a download client in as the calling user
+  app.post(
+    '/api/download-client-sessions',
+    backend.requireRegisteredUser,
+    userRateLimiter,
+    (req, res) => {
+      try {
+        const apiKeyId = backend.masterDatabase.getApiKeyId(req.validatedAuthId);
+        if (apiKeyId == null) {
+          return res.status(404).json({ success: false, error: 'User not registered' });
+        }
+
+        res.json({
+          success: true,
+          token: backend.masterDatabase.createDownloadClientSession(apiKeyId),
+        });
+      } catch (error) {
+        logger.error('Error creating download client session', error, {
+          endpoint: '/api/download-client-sessions',
+          method: 'POST',
+          authId: req.validatedAuthId,
+        });
+        res.status(500).json(serverErrorPayload(error));
+      }
+    }
+  );
+
+  // POST /api/backend/download-client-sessions/verify - Exchange a session token for its owner's
+  // TorBox API key, extending the session (Next.js server only)
+  app.post(
+    '/api/backend/download-client-sessions/verify',
+    requireInternalServiceAuth,
+    (req, res) => {
+      try {
+        // Hands out decrypted API keys, so never open without the shared secret.
+        if (!isServiceSecretConfigured()) {
+          return res.status(503).json({
+            success: false,
+            error: 'Download client logins require BACKEND_SERVICE_SECRET to be set',
+          });
+        }
+
+        const session = backend.masterDatabase.touchDownloadClientSession(req.body?.token);
+        if (!session) {
+          (res.locals ??= {}).expectedClientError = true;
+          return res.status(401).json({ success: false, error: 'Invalid or expired session' });
+        }
+
+        res.json({ success: true, apiKey: decrypt(session.encrypted_key) });
+      } catch (error) {
+        logger.error('Error verifying download client session', error, {
+          endpoint: '/api/backend/download-client-sessions/verify',
+          method: 'POST',
+        });
+        res.status(500).json(serverErrorPayload(error));
+      }
+    }
+  );
+
+  // DELETE /api/backend/download-client-sessions - Log a download client out (Next.js server only)
+  app.delete('/api/backend/download-client-sessions', requireInternalServiceAuth, (req, res) => {
+    try {
+      backend.masterDatabase.deleteDownloadClientSession(req.body?.token);
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Error deleting download client session', error, {
+        endpoint: '/api/backend/download-client-sessions',
+        method: 'DELETE',
+      });
+      res.status(500).json(serverErrorPayload(error));
+    }
+  });
+}
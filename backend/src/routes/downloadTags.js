@@ -2,6 +2,7 @@ import { validateNumericId } from '../middleware/validation.js';
 import logger from '../utils/logger.js';
 import { serverErrorPayload } from '../utils/httpErrors.js';
 import { notifyTagsChanged } from '../utils/userEvents.js';
+import { assignDownloadTags, findTagGroupConflict } from '../utils/tags.js';
 
 /**
  * Download tags routes
@@ -31,7 +32,10 @@ export function setupDownloadTagsRoutes(app, backend) {
           SELECT 
             dt.download_id,
             t.id as tag_id,
-            t.name as tag_name
+            t.name as tag_name,
+            t.color as tag_color,
+            t.parent_id as tag_parent_id,
+            t.group_id as tag_group_id
           FROM download_tags dt
           INNER JOIN tags t ON dt.tag_id = t.id
           ORDER BY dt.download_id, t.name
@@ -49,6 +53,9 @@ export function setupDownloadTagsRoutes(app, backend) {
           result[downloadId].push({
             id: mapping.tag_id,
             name: mapping.tag_name,
+            color: mapping.tag_color,
+            parent_id: mapping.tag_parent_id,
+            group_id: mapping.tag_group_id,
           });
         }
 
@@ -191,6 +198,15 @@ export function setupDownloadTagsRoutes(app, backend) {
               error: 'One or more tag IDs are invalid',
             });
           }
+
+          const groupConflict =
+            operation === 'remove' ? null : findTagGroupConflict(userDb.db, tag_ids);
+          if (groupConflict) {
+            return res.status(400).json({
+              success: false,
+              error: `Only one tag from the "${groupConflict.name}" group can be applied`,
+            });
+          }
         }
 
         // Use transaction for atomicity
@@ -208,27 +224,13 @@ export function setupDownloadTagsRoutes(app, backend) {
               .run(...download_ids);
 
             // Add new tags
-            if (tag_ids.length > 0) {
-              const insertStmt = userDb.db.prepare(`
-                INSERT OR IGNORE INTO download_tags (tag_id, download_id)
-                VALUES (?, ?)
-              `);
-              for (const downloadId of download_ids) {
-                for (const tagId of tag_ids) {
-                  insertStmt.run(tagId, downloadId);
-                }
-              }
+            for (const downloadId of download_ids) {
+              assignDownloadTags(userDb.db, downloadId, tag_ids);
             }
           } else if (operation === 'add') {
-            // Add tags (ignore duplicates)
-            const insertStmt = userDb.db.prepare(`
-              INSERT OR IGNORE INTO download_tags (tag_id, download_id)
-              VALUES (?, ?)
-            `);
+            // Add tags (ignore duplicates; a group tag replaces the download's other tag of that group)
             for (const downloadId of download_ids) {
-              for (const tagId of tag_ids) {
-                insertStmt.run(tagId, downloadId);
-              }
+              assignDownloadTags(userDb.db, downloadId, tag_ids);
             }
           } else if (operation === 'remove') {
             // Remove tags
@@ -2,6 +2,98 @@ import { validateNumericIdMiddleware } from '../middleware/validation.js';
 import logger from '../utils/logger.js';
 import { serverErrorPayload } from '../utils/httpErrors.js';
 import { notifyTagsChanged } from '../utils/userEvents.js';
+import { getTagParentError, isValidTagColor } from '../utils/tags.js';
+
+const TAG_COLUMNS = 'id, name, color, parent_id, group_id, created_at, updated_at';
+
+/**
+ * Validate the optional color / parent_id / group_id of a tag body.
+ * Only keys present in the body end up in `fields`, so PUT can update them one at a time.
+ * @param {Object} db - user database
+ * @param {Object} body - request body
+ * @param {number|null} tagId - tag being updated, null when creating
+ * @returns {{ error: string, status?: number } | { fields: Object }}
+ */
+function readTagHierarchyFields(db, body, tagId) {
+  const fields = {};
+
+  if (body.color !== undefined) {
+    if (body.color !== null && !isValidTagColor(body.color)) {
+      return { error: 'Tag color must be a hex color such as #3b82f6' };
+    }
+    fields.color = body.color === null ? null : body.color.toLowerCase();
+  }
+
+  if (body.parent_id !== undefined) {
+    if (body.parent_id === null) {
+      fields.parent_id = null;
+    } else {
+      const parentId = Number(body.parent_id);
+      if (!Number.isInteger(parentId) || parentId <= 0) {
+        return { error: 'parent_id must be a tag id or null' };
+      }
+      const parentError = getTagParentError(db, tagId, parentId);
+      if (parentError) {
+        return { error: parentError };
+      }
+      fields.parent_id = parentId;
+    }
+  }
+
+  if (body.group_id !== undefined) {
+    if (body.group_id === null) {
+      fields.group_id = null;
+    } else {
+      const groupId = Number(body.group_id);
+      if (!Number.isInteger(groupId) || groupId <= 0) {
+        return { error: 'group_id must be a tag group id or null' };
+      }
+      if (!db.prepare('SELECT id FROM tag_groups WHERE id = ?').get(groupId)) {
+        return { error: 'Tag group not found' };
+      }
+      // Joining a group must not leave a download holding two of its tags.
+      const clash =
+        tagId != null &&
+        db
+          .prepare(
+            `
+            SELECT 1
+            FROM download_tags own
+            INNER JOIN download_tags other ON other.download_id = own.download_id
+            INNER JOIN tags t ON t.id = other.tag_id
+            WHERE own.tag_id = ? AND other.tag_id != ? AND t.group_id = ?
+            LIMIT 1
+          `
+          )
+          .get(tagId, tagId, groupId);
+      if (clash) {
+        return {
+          status: 409,
+          error: 'Some downloads already have another tag from this group',
+        };
+      }
+      fields.group_id = groupId;
+    }
+  }
+
+  return { fields };
+}
+
+/**
+ * @param {unknown} name
+ * @param {string} label - 'Tag' or 'Tag group'
+ * @returns {{ error: string } | { value: string }}
+ */
+function readName(name, label) {
+  if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    return { error: `${label} name is required and must be a non-empty string` };
+  }
+  const trimmedName = name.trim();
+  if (trimmedName.length > 100) {
+    return { error: `${label} name must be 100 characters or less` };
+  }
+  return { value: trimmedName };
+}
 
 /**
  * Tags routes
@@ -29,12 +121,15 @@ export function setupTagsRoutes(app, backend) {
           SELECT 
             t.id,
             t.name,
+            t.color,
+            t.parent_id,
+            t.group_id,
             t.created_at,
             t.updated_at,
             COUNT(dt.id) as usage_count
           FROM tags t
           LEFT JOIN download_tags dt ON t.id = dt.tag_id
-          GROUP BY t.id, t.name, t.created_at, t.updated_at
+          GROUP BY t.id
           ORDER BY t.name ASC
         `
         )
@@ -67,21 +162,11 @@ export function setupTagsRoutes(app, backend) {
         });
       }
 
-      const { name } = req.body;
-      if (!name || typeof name !== 'string' || name.trim().length === 0) {
-        return res.status(400).json({
-          success: false,
-          error: 'Tag name is required and must be a non-empty string',
-        });
-      }
-
-      const trimmedName = name.trim();
-      if (trimmedName.length > 100) {
-        return res.status(400).json({
-          success: false,
-          error: 'Tag name must be 100 characters or less',
-        });
+      const name = readName(req.body?.name, 'Tag');
+      if (name.error) {
+        return res.status(400).json({ success: false, error: name.error });
       }
+      const trimmedName = name.value;
 
       const userDb = await backend.userDatabaseManager.getUserDatabase(authId);
 
@@ -101,23 +186,23 @@ export function setupTagsRoutes(app, backend) {
         });
       }
 
+      const hierarchy = readTagHierarchyFields(userDb.db, req.body, null);
+      if (hierarchy.error) {
+        return res.status(hierarchy.status || 400).json({ success: false, error: hierarchy.error });
+      }
+      const { color = null, parent_id = null, group_id = null } = hierarchy.fields;
+
       const result = userDb.db
         .prepare(
           `
-          INSERT INTO tags (name)
-          VALUES (?)
+          INSERT INTO tags (name, color, parent_id, group_id)
+          VALUES (?, ?, ?, ?)
         `
         )
-        .run(trimmedName);
+        .run(trimmedName, color, parent_id, group_id);
 
       const tag = userDb.db
-        .prepare(
-          `
-          SELECT id, name, created_at, updated_at
-          FROM tags
-          WHERE id = ?
-        `
-        )
+        .prepare(`SELECT ${TAG_COLUMNS} FROM tags WHERE id = ?`)
         .get(result.lastInsertRowid);
 
       res.json({ success: true, tag });
@@ -161,13 +246,16 @@ export function setupTagsRoutes(app, backend) {
           SELECT 
             t.id,
             t.name,
+            t.color,
+            t.parent_id,
+            t.group_id,
             t.created_at,
             t.updated_at,
             COUNT(dt.id) as usage_count
           FROM tags t
           LEFT JOIN download_tags dt ON t.id = dt.tag_id
           WHERE t.id = ?
-          GROUP BY t.id, t.name, t.created_at, t.updated_at
+          GROUP BY t.id
         `
           )
           .get(tagId);
@@ -206,7 +294,7 @@ export function setupTagsRoutes(app, backend) {
       try {
         const authId = req.validatedAuthId;
         const tagId = req.validatedIds.id;
-        const { name } = req.body;
+        const body = req.body || {};
 
         if (!backend.userDatabaseManager) {
           return res.status(503).json({
@@ -215,19 +303,14 @@ export function setupTagsRoutes(app, backend) {
           });
         }
 
-        if (!name || typeof name !== 'string' || name.trim().length === 0) {
-          return res.status(400).json({
-            success: false,
-            error: 'Tag name is required and must be a non-empty string',
-          });
-        }
-
-        const trimmedName = name.trim();
-        if (trimmedName.length > 100) {
-          return res.status(400).json({
-            success: false,
-            error: 'Tag name must be 100 characters or less',
-          });
+        // Partial update: name, color, parent_id and group_id are each optional.
+        let trimmedName = null;
+        if (body.name !== undefined) {
+          const name = readName(body.name, 'Tag');
+          if (name.error) {
+            return res.status(400).json({ success: false, error: name.error });
+          }
+          trimmedName = name.value;
         }
 
         const userDb = await backend.userDatabaseManager.getUserDatabase(authId);
@@ -248,19 +331,38 @@ export function setupTagsRoutes(app, backend) {
           });
         }
 
-        // Check for case-insensitive duplicate (excluding current tag)
-        const duplicate = userDb.db
-          .prepare(
-            `
-          SELECT id FROM tags WHERE LOWER(name) = LOWER(?) AND id != ?
-        `
-          )
-          .get(trimmedName, tagId);
+        const hierarchy = readTagHierarchyFields(userDb.db, body, tagId);
+        if (hierarchy.error) {
+          return res
+            .status(hierarchy.status || 400)
+            .json({ success: false, error: hierarchy.error });
+        }
 
-        if (duplicate) {
-          return res.status(409).json({
+        const updates = { ...hierarchy.fields };
+        if (trimmedName !== null) {
+          // Check for case-insensitive duplicate (excluding current tag)
+          const duplicate = userDb.db
+            .prepare(
+              `
+            SELECT id FROM tags WHERE LOWER(name) = LOWER(?) AND id != ?
+          `
+            )
+            .get(trimmedName, tagId);
+
+          if (duplicate) {
+            return res.status(409).json({
+              success: false,
+              error: 'A tag with this name already exists',
+            });
+          }
+          updates.name = trimmedName;
+        }
+
+        const columns = Object.keys(updates);
+        if (columns.length === 0) {
+          return res.status(400).json({
             success: false,
-            error: 'A tag with this name already exists',
+            error: 'Nothing to update; send name, color, parent_id or group_id',
           });
         }
 
@@ -268,21 +370,13 @@ export function setupTagsRoutes(app, backend) {
           .prepare(
             `
           UPDATE tags
-          SET name = ?, updated_at = CURRENT_TIMESTAMP
+          SET ${columns.map((column) => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
           WHERE id = ?
         `
           )
-          .run(trimmedName, tagId);
+          .run(...columns.map((column) => updates[column]), tagId);
 
-        const tag = userDb.db
-          .prepare(
-            `
-          SELECT id, name, created_at, updated_at
-          FROM tags
-          WHERE id = ?
-        `
-          )
-          .get(tagId);
+        const tag = userDb.db.prepare(`SELECT ${TAG_COLUMNS} FROM tags WHERE id = ?`).get(tagId);
 
         notifyTagsChanged(backend, authId);
 
@@ -327,7 +421,7 @@ export function setupTagsRoutes(app, backend) {
         const existing = userDb.db
           .prepare(
             `
-          SELECT id FROM tags WHERE id = ?
+          SELECT id, parent_id FROM tags WHERE id = ?
         `
           )
           .get(tagId);
@@ -339,14 +433,19 @@ export function setupTagsRoutes(app, backend) {
           });
         }
 
-        // Delete (cascade will remove download_tags associations)
-        userDb.db
-          .prepare(
-            `
+        // Children move up to the deleted tag's parent; cascade removes download_tags associations
+        userDb.db.transaction(() => {
+          userDb.db
+            .prepare('UPDATE tags SET parent_id = ? WHERE parent_id = ?')
+            .run(existing.parent_id ?? null, tagId);
+          userDb.db
+            .prepare(
+              `
           DELETE FROM tags WHERE id = ?
         `
-          )
-          .run(tagId);
+            )
+            .run(tagId);
+        })();
 
         notifyTagsChanged(backend, authId);
 
@@ -366,4 +465,209 @@ export function setupTagsRoutes(app, backend) {
       }
     }
   );
+
+  // GET /api/tag-groups - List exclusive tag groups with member counts
+  app.get('/api/tag-groups', backend.requireRegisteredUser, userRateLimiter, async (req, res) => {
+    try {
+      const authId = req.validatedAuthId;
+
+      if (!backend.userDatabaseManager) {
+        return res.status(503).json({
+          success: false,
+          error: 'Service is initializing, please try again in a moment',
+        });
+      }
+
+      const userDb = await backend.userDatabaseManager.getUserDatabase(authId);
+
+      const groups = userDb.db
+        .prepare(
+          `
+          SELECT
+            g.id,
+            g.name,
+            g.created_at,
+            g.updated_at,
+            COUNT(t.id) as tag_count
+          FROM tag_groups g
+          LEFT JOIN tags t ON t.group_id = g.id
+          GROUP BY g.id
+          ORDER BY g.name ASC
+        `
+        )
+        .all();
+
+      res.json({ success: true, groups });
+    } catch (error) {
+      logger.error('Error fetching tag groups', error, {
+        endpoint: '/api/tag-groups',
+        method: 'GET',
+        authId: req.validatedAuthId,
+      });
+      res.status(500).json(serverErrorPayload(error));
+    } finally {
+      if (req.validatedAuthId && backend.userDatabaseManager) {
+        backend.userDatabaseManager.releaseConnection(req.validatedAuthId);
+      }
+    }
+  });
+
+  // POST /api/tag-groups - Create tag group
+  app.post('/api/tag-groups', backend.requireRegisteredUser, userRateLimiter, async (req, res) => {
+    try {
+      const authId = req.validatedAuthId;
+
+      if (!backend.userDatabaseManager) {
+        return res.status(503).json({
+          success: false,
+          error: 'Service is initializing, please try again in a moment',
+        });
+      }
+
+      const name = readName(req.body?.name, 'Tag group');
+      if (name.error) {
+        return res.status(400).json({ success: false, error: name.error });
+      }
+
+      const userDb = await backend.userDatabaseManager.getUserDatabase(authId);
+
+      if (userDb.db.prepare('SELECT id FROM tag_groups WHERE name = ?').get(name.value)) {
+        return res.status(409).json({
+          success: false,
+          error: 'A tag group with this name already exists',
+        });
+      }
+
+      const result = userDb.db.prepare('INSERT INTO tag_groups (name) VALUES (?)').run(name.value);
+      const group = userDb.db
+        .prepare('SELECT id, name, created_at, updated_at FROM tag_groups WHERE id = ?')
+        .get(result.lastInsertRowid);
+
+      res.json({ success: true, group: { ...group, tag_count: 0 } });
+    } catch (error) {
+      logger.error('Error creating tag group', error, {
+        endpoint: '/api/tag-groups',
+        method: 'POST',
+        authId: req.validatedAuthId,
+      });
+      res.status(500).json(serverErrorPayload(error));
+    } finally {
+      if (req.validatedAuthId && backend.userDatabaseManager) {
+        backend.userDatabaseManager.releaseConnection(req.validatedAuthId);
+      }
+    }
+  });
+
+  // PUT /api/tag-groups/:id - Rename tag group
+  app.put(
+    '/api/tag-groups/:id',
+    backend.requireRegisteredUser,
+    validateNumericIdMiddleware('id'),
+    userRateLimiter,
+    async (req, res) => {
+      try {
+        const authId = req.validatedAuthId;
+        const groupId = req.validatedIds.id;
+
+        if (!backend.userDatabaseManager) {
+          return res.status(503).json({
+            success: false,
+            error: 'Service is initializing, please try again in a moment',
+          });
+        }
+
+        const name = readName(req.body?.name, 'Tag group');
+        if (name.error) {
+          return res.status(400).json({ success: false, error: name.error });
+        }
+
+        const userDb = await backend.userDatabaseManager.getUserDatabase(authId);
+
+        if (!userDb.db.prepare('SELECT id FROM tag_groups WHERE id = ?').get(groupId)) {
+          return res.status(404).json({ success: false, error: 'Tag group not found' });
+        }
+        if (
+          userDb.db
+            .prepare('SELECT id FROM tag_groups WHERE name = ? AND id != ?')
+            .get(name.value, groupId)
+        ) {
+          return res.status(409).json({
+            success: false,
+            error: 'A tag group with this name already exists',
+          });
+        }
+
+        userDb.db
+          .prepare('UPDATE tag_groups SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+          .run(name.value, groupId);
+        const group = userDb.db
+          .prepare('SELECT id, name, created_at, updated_at FROM tag_groups WHERE id = ?')
+          .get(groupId);
+
+        notifyTagsChanged(backend, authId);
+
+        res.json({ success: true, group });
+      } catch (error) {
+        logger.error('Error updating tag group', error, {
+          endpoint: `/api/tag-groups/${req.params.id}`,
+          method: 'PUT',
+          groupId: req.validatedIds?.id,
+          authId: req.validatedAuthId,
+        });
+        res.status(500).json(serverErrorPayload(error));
+      } finally {
+        if (req.validatedAuthId && backend.userDatabaseManager) {
+          backend.userDatabaseManager.releaseConnection(req.validatedAuthId);
+        }
+      }
+    }
+  );
+
+  // DELETE /api/tag-groups/:id - Delete tag group; its tags stay, no longer exclusive
+  app.delete(
+    '/api/tag-groups/:id',
+    backend.requireRegisteredUser,
+    validateNumericIdMiddleware('id'),
+    userRateLimiter,
+    async (req, res) => {
+      try {
+        const authId = req.validatedAuthId;
+        const groupId = req.validatedIds.id;
+
+        if (!backend.userDatabaseManager) {
+          return res.status(503).json({
+            success: false,
+            error: 'Service is initializing, please try again in a moment',
+          });
+        }
+
+        const userDb = await backend.userDatabaseManager.getUserDatabase(authId);
+
+        if (!userDb.db.prepare('SELECT id FROM tag_groups WHERE id = ?').get(groupId)) {
+          return res.status(404).json({ success: false, error: 'Tag group not found' });
+        }
+
+        userDb.db.transaction(() => {
+          userDb.db.prepare('UPDATE tags SET group_id = NULL WHERE group_id = ?').run(groupId);
+          userDb.db.prepare('DELETE FROM tag_groups WHERE id = ?').run(groupId);
+        })();
+
+        notifyTagsChanged(backend, authId);
+
+        res.json({ success: true, message: 'Tag group deleted successfully' });
+      } catch (error) {
+        logger.error('Error deleting tag group', error, {
+          endpoint: `/api/tag-groups/${req.params.id}`,
+          method: 'DELETE',
+          groupId: req.validatedIds?.id,
+          authId: req.validatedAuthId,
+        });
+        res.status(500).json(serverErrorPayload(error));
+      } finally {
+        if (req.validatedAuthId && backend.userDatabaseManager) {
+          backend.userDatabaseManager.releaseConnection(req.validatedAuthId);
+        }
+      }
+    }
+  );
 }
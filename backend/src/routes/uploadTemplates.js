@@ -0,0 +1,203 @@
+import { validateNumericIdMiddleware } from '../middleware/validation.js';
+import logger from '../utils/logger.js';
+import { serverErrorPayload } from '../utils/httpErrors.js';
+import {
+  getUploadTemplate,
+  listUploadTemplates,
+  parseUploadTemplate,
+  saveUploadTemplate,
+} from '../automation/uploadTemplates.js';
+
+function findNameConflict(db, name, excludeId = null) {
+  return db
+    .prepare('SELECT id FROM upload_templates WHERE LOWER(name) = LOWER(?) AND id IS NOT ?')
+    .get(name, excludeId);
+}
+
+/**
+ * Validate the body, then create (id = null) or replace a template. Sends the response.
+ */
+function saveTemplateFromRequest(req, res, userDb, id) {
+  const { template, error } = parseUploadTemplate(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  if (findNameConflict(userDb.db, template.name, id)) {
+    return res.status(409).json({
+      success: false,
+      error: 'An upload template with this name already exists',
+    });
+  }
+
+  try {
+    const saved = saveUploadTemplate(userDb.db, id, template);
+    if (!saved) {
+      return res.status(404).json({ success: false, error: 'Upload template not found' });
+    }
+    return res.json({ success: true, template: saved });
+  } catch (saveError) {
+    if (saveError.code === 'UNKNOWN_TAG') {
+      return res.status(400).json({ success: false, error: saveError.message });
+    }
+    throw saveError;
+  }
+}
+
+/**
+ * Upload template routes
+ */
+export function setupUploadTemplatesRoutes(app, backend) {
+  const { userRateLimiter } = backend;
+
+  // GET /api/upload-templates - List templates with their tag ids
+  app.get(
+    '/api/upload-templates',
+    backend.requireRegisteredUser,
+    userRateLimiter,
+    async (req, res) => {
+      try {
+        const authId = req.validatedAuthId;
+
+        if (!backend.userDatabaseManager) {
+          return res.status(503).json({
+            success: false,
+            error: 'Service is initializing, please try again in a moment',
+          });
+        }
+
+        const userDb = await backend.userDatabaseManager.getUserDatabase(authId);
+        res.json({ success: true, templates: listUploadTemplates(userDb.db) });
+      } catch (error) {
+        logger.error('Error fetching upload templates', error, {
+          endpoint: '/api/upload-templates',
+          method: 'GET',
+          authId: req.validatedAuthId,
+        });
+        res.status(500).json(serverErrorPayload(error));
+      } finally {
+        if (req.validatedAuthId && backend.userDatabaseManager) {
+          backend.userDatabaseManager.releaseConnection(req.validatedAuthId);
+        }
+      }
+    }
+  );
+
+  // POST /api/upload-templates - Create template
+  app.post(
+    '/api/upload-templates',
+    backend.requireRegisteredUser,
+    userRateLimiter,
+    async (req, res) => {
+      try {
+        const authId = req.validatedAuthId;
+
+        if (!backend.userDatabaseManager) {
+          return res.status(503).json({
+            success: false,
+            error: 'Service is initializing, please try again in a moment',
+          });
+        }
+
+        const userDb = await backend.userDatabaseManager.getUserDatabase(authId);
+        saveTemplateFromRequest(req, res, userDb, null);
+      } catch (error) {
+        logger.error('Error creating upload template', error, {
+          endpoint: '/api/upload-templates',
+          method: 'POST',
+          authId: req.validatedAuthId,
+        });
+        res.status(500).json(serverErrorPayload(error));
+      } finally {
+        if (req.validatedAuthId && backend.userDatabaseManager) {
+          backend.userDatabaseManager.releaseConnection(req.validatedAuthId);
+        }
+      }
+    }
+  );
+
+  // PUT /api/upload-templates/:id - Replace template
+  app.put(
+    '/api/upload-templates/:id',
+    backend.requireRegisteredUser,
+    validateNumericIdMiddleware('id'),
+    userRateLimiter,
+    async (req, res) => {
+      try {
+        const authId = req.validatedAuthId;
+
+        if (!backend.userDatabaseManager) {
+          return res.status(503).json({
+            success: false,
+            error: 'Service is initializing, please try again in a moment',
+          });
+        }
+
+        const userDb = await backend.userDatabaseManager.getUserDatabase(authId);
+        saveTemplateFromRequest(req, res, userDb, req.validatedIds.id);
+      } catch (error) {
+        logger.error('Error updating upload template', error, {
+          endpoint: `/api/upload-templates/${req.params.id}`,
+          method: 'PUT',
+          templateId: req.validatedIds?.id,
+          authId: req.validatedAuthId,
+        });
+        res.status(500).json(serverErrorPayload(error));
+      } finally {
+        if (req.validatedAuthId && backend.userDatabaseManager) {
+          backend.userDatabaseManager.releaseConnection(req.validatedAuthId);
+        }
+      }
+    }
+  );
+
+  // DELETE /api/upload-templates/:id - Delete template
+  app.delete(
+    '/api/upload-templates/:id',
+    backend.requireRegisteredUser,
+    validateNumericIdMiddleware('id'),
+    userRateLimiter,
+    async (req, res) => {
+      try {
+        const authId = req.validatedAuthId;
+        const templateId = req.validatedIds.id;
+
+        if (!backend.userDatabaseManager) {
+          return res.status(503).json({
+            success: false,
+            error: 'Service is initializing, please try again in a moment',
+          });
+        }
+
+        const userDb = await backend.userDatabaseManager.getUserDatabase(authId);
+
+        if (!getUploadTemplate(userDb.db, templateId)) {
+          return res.status(404).json({ success: false, error: 'Upload template not found' });
+        }
+
+        // Uploads still queued with this template are sent with the options they were created
+        // with, but no longer get its tags or airlock.
+        userDb.db.transaction(() => {
+          userDb.db
+            .prepare('UPDATE uploads SET template_id = NULL WHERE template_id = ?')
+            .run(templateId);
+          userDb.db.prepare('DELETE FROM upload_templates WHERE id = ?').run(templateId);
+        })();
+
+        res.json({ success: true, message: 'Upload template deleted successfully' });
+      } catch (error) {
+        logger.error('Error deleting upload template', error, {
+          endpoint: `/api/upload-templates/${req.params.id}`,
+          method: 'DELETE',
+          templateId: req.validatedIds?.id,
+          authId: req.validatedAuthId,
+        });
+        res.status(500).json(serverErrorPayload(error));
+      } finally {
+        if (req.validatedAuthId && backend.userDatabaseManager) {
+          backend.userDatabaseManager.releaseConnection(req.validatedAuthId);
+        }
+      }
+    }
+  );
+}
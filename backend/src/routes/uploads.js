@@ -23,6 +23,29 @@ import {
   alignCreateQuotaWindowForBlockedGate,
 } from '../automation/uploadDeferral.js';
 import { attachCreateWasCached } from '../automation/uploadAttemptLookup.js';
+import { parseUploadSchedule } from '../automation/uploadSchedule.js';
+import {
+  DEFAULT_UPLOAD_PRIORITY,
+  MAX_UPLOAD_MAX_IN_FLIGHT,
+  UPLOAD_PRIORITIES,
+  UPLOAD_PRIORITY_RANK_SQL,
+  getUploadMaxInFlightByType,
+  isValidUploadMaxInFlight,
+  isValidUploadPriority,
+  setUploadMaxInFlight,
+} from '../automation/uploadPriority.js';
+import {
+  DEFAULT_UPLOAD_DUPLICATE_ACTION,
+  UPLOAD_DUPLICATE_ACTIONS,
+  isValidUploadDuplicateAction,
+} from '../automation/uploadDuplicateCheck.js';
+import {
+  applyUploadTemplate,
+  attachUploadTagIds,
+  resolveUploadTags,
+  resolveUploadTemplate,
+  saveUploadTags,
+} from '../automation/uploadTemplates.js';
 
 const DEFAULT_MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
 const parsedMaxUploadBytes = parseInt(process.env.MAX_UPLOAD_FILE_SIZE ?? '', 10);
@@ -71,10 +94,15 @@ function validateFileExtension(type, upload_type, filePathOrName) {
 const UPLOAD_DETAIL_SELECT = `
   id, type, upload_type, file_path, url, name, status,
   error_message, retry_count, seed, allow_zip, as_queued, add_only_if_cached, password,
-  queue_order, torbox_hash, torbox_torrent_id, torbox_auth_id,
-  last_processed_at, completed_at, created_at, updated_at, next_attempt_at
+  queue_order, priority, torbox_hash, torbox_torrent_id, torbox_auth_id,
+  last_processed_at, completed_at, created_at, updated_at, next_attempt_at,
+  scheduled_at, window_start, window_end, window_timezone, wait_for_quota,
+  on_duplicate, duplicate_of, duplicate_source, template_id
 `;
 
+const INVALID_PRIORITY_ERROR = `Invalid priority. Must be ${UPLOAD_PRIORITIES.join(', ')}`;
+const INVALID_ON_DUPLICATE_ERROR = `Invalid on_duplicate. Must be ${UPLOAD_DUPLICATE_ACTIONS.join(', ')}`;
+
 function getUploadProcessorClient(backend) {
   if (!backend.uploadProcessor) {
     throw new Error('Upload processor is not available');
@@ -199,6 +227,33 @@ function requeueFailedUpload(userDb, uploadId, queueOrder) {
   );
 }
 
+/**
+ * Send a skipped duplicate to TorBox anyway: back to the end of the queue with the duplicate
+ * check turned off for this row.
+ */
+function requeueDuplicateUpload(userDb, uploadId, queueOrder) {
+  return (
+    userDb.db
+      .prepare(
+        `
+      UPDATE uploads
+      SET status = 'queued',
+          on_duplicate = 'readd',
+          error_message = NULL,
+          duplicate_of = NULL,
+          duplicate_source = NULL,
+          torbox_hash = NULL,
+          next_attempt_at = NULL,
+          queue_order = ?,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+        AND status = 'duplicate'
+    `
+      )
+      .run(queueOrder, uploadId).changes > 0
+  );
+}
+
 function nudgeUploadProcessor(backend, authId) {
   if (!backend.uploadProcessor?.isRunning) {
     return;
@@ -422,26 +477,25 @@ export function setupUploadsRoutes(app, backend) {
           `
           INSERT INTO uploads (
             type, upload_type, file_path, url, name, status,
-            seed, allow_zip, as_queued, add_only_if_cached, password, queue_order,
-            next_attempt_at, created_at, updated_at
+            seed, allow_zip, as_queued, add_only_if_cached, password, queue_order, priority,
+            scheduled_at, window_start, window_end, window_timezone, wait_for_quota,
+            on_duplicate, template_id, next_attempt_at, created_at, updated_at
+          )
+          VALUES (
+            ?, ?, ?, ?, ?, 'queued', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+            ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
           )
-          VALUES (?, ?, ?, ?, ?, 'queued', ?, ?, ?, ?, ?, ?, NULL, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
         `
         );
 
         const selectStmt = userDb.db.prepare(
-          `
-          SELECT id, type, upload_type, file_path, url, name, status,
-                 error_message, retry_count, seed, allow_zip, as_queued, add_only_if_cached, password,
-                 queue_order, torbox_hash, torbox_torrent_id, torbox_auth_id,
-                 last_processed_at, completed_at, created_at, updated_at, next_attempt_at
-          FROM uploads
-          WHERE id = ?
-        `
+          `SELECT ${UPLOAD_DETAIL_SELECT} FROM uploads WHERE id = ?`
         );
 
         const createdUploads = [];
         const errors = [];
+        const templateCache = new Map();
+        const tagCache = {};
 
         // Use transaction for batch insert; read MAX(queue_order) inside the
         // transaction so concurrent requests cannot compute the same next value.
@@ -455,6 +509,25 @@ export function setupUploadsRoutes(app, backend) {
           let currentQueueOrder = (maxOrderResult?.max_order ?? -1) + 1;
           const results = [];
           for (const upload of uploads) {
+            const { template, error: templateError } = resolveUploadTemplate(
+              userDb.db,
+              upload.template_id,
+              templateCache
+            );
+            if (templateError) {
+              errors.push({ upload, error: templateError });
+              continue;
+            }
+            const { tagIds, error: tagError } = resolveUploadTags(
+              userDb.db,
+              upload.tag_ids,
+              tagCache
+            );
+            if (tagError) {
+              errors.push({ upload, error: tagError });
+              continue;
+            }
+
             const {
               type,
               upload_type,
@@ -466,7 +539,9 @@ export function setupUploadsRoutes(app, backend) {
               as_queued,
               add_only_if_cached,
               password,
-            } = upload;
+              priority = DEFAULT_UPLOAD_PRIORITY,
+              on_duplicate = DEFAULT_UPLOAD_DUPLICATE_ACTION,
+            } = applyUploadTemplate(upload, template);
 
             // Validation
             if (!type || !VALID_TYPES.has(type)) {
@@ -533,6 +608,22 @@ export function setupUploadsRoutes(app, backend) {
               continue;
             }
 
+            if (!isValidUploadPriority(priority)) {
+              errors.push({ upload, error: INVALID_PRIORITY_ERROR });
+              continue;
+            }
+
+            if (!isValidUploadDuplicateAction(on_duplicate)) {
+              errors.push({ upload, error: INVALID_ON_DUPLICATE_ERROR });
+              continue;
+            }
+
+            const { schedule, error: scheduleError } = parseUploadSchedule(upload);
+            if (scheduleError) {
+              errors.push({ upload, error: scheduleError });
+              continue;
+            }
+
             try {
               const result = insertStmt.run(
                 type,
@@ -545,8 +636,18 @@ export function setupUploadsRoutes(app, backend) {
                 as_queued !== undefined ? as_queued : false,
                 add_only_if_cached !== undefined ? add_only_if_cached : false,
                 password || null,
-                currentQueueOrder++
+                currentQueueOrder++,
+                priority,
+                schedule.scheduled_at,
+                schedule.window_start,
+                schedule.window_end,
+                schedule.window_timezone,
+                schedule.wait_for_quota,
+                on_duplicate,
+                template?.id ?? null,
+                schedule.scheduled_at
               );
+              saveUploadTags(userDb.db, Number(result.lastInsertRowid), tagIds);
 
               const createdUpload = selectStmt.get(result.lastInsertRowid);
               results.push(createdUpload);
@@ -624,11 +725,9 @@ export function setupUploadsRoutes(app, backend) {
         file_path,
         url,
         name,
-        seed,
-        allow_zip,
-        as_queued,
-        add_only_if_cached,
         password,
+        priority = DEFAULT_UPLOAD_PRIORITY,
+        on_duplicate = DEFAULT_UPLOAD_DUPLICATE_ACTION,
       } = req.body;
 
       // Validation
@@ -700,8 +799,52 @@ export function setupUploadsRoutes(app, backend) {
         });
       }
 
+      if (!isValidUploadPriority(priority)) {
+        return res.status(400).json({
+          success: false,
+          error: INVALID_PRIORITY_ERROR,
+        });
+      }
+
+      if (!isValidUploadDuplicateAction(on_duplicate)) {
+        return res.status(400).json({
+          success: false,
+          error: INVALID_ON_DUPLICATE_ERROR,
+        });
+      }
+
+      const { schedule, error: scheduleError } = parseUploadSchedule(req.body);
+      if (scheduleError) {
+        return res.status(400).json({
+          success: false,
+          error: scheduleError,
+        });
+      }
+
       const userDb = await backend.userDatabaseManager.getUserDatabase(authId);
 
+      const { template, error: templateError } = resolveUploadTemplate(
+        userDb.db,
+        req.body.template_id
+      );
+      if (templateError) {
+        return res.status(400).json({
+          success: false,
+          error: templateError,
+        });
+      }
+      const { tagIds, error: tagError } = resolveUploadTags(userDb.db, req.body.tag_ids);
+      if (tagError) {
+        return res.status(400).json({
+          success: false,
+          error: tagError,
+        });
+      }
+      const { seed, allow_zip, as_queued, add_only_if_cached } = applyUploadTemplate(
+        req.body,
+        template
+      );
+
       // Read MAX(queue_order) and insert inside a transaction so concurrent
       // create requests cannot compute the same next value.
       const insertUpload = userDb.db.transaction(() => {
@@ -716,10 +859,14 @@ export function setupUploadsRoutes(app, backend) {
             `
             INSERT INTO uploads (
               type, upload_type, file_path, url, name, status,
-              seed, allow_zip, as_queued, add_only_if_cached, password, queue_order,
-              next_attempt_at, created_at, updated_at
+              seed, allow_zip, as_queued, add_only_if_cached, password, queue_order, priority,
+              scheduled_at, window_start, window_end, window_timezone, wait_for_quota,
+              on_duplicate, template_id, next_attempt_at, created_at, updated_at
+            )
+            VALUES (
+              ?, ?, ?, ?, ?, 'queued', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+              ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
             )
-            VALUES (?, ?, ?, ?, ?, 'queued', ?, ?, ?, ?, ?, ?, NULL, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
           `
           )
           .run(
@@ -733,8 +880,18 @@ export function setupUploadsRoutes(app, backend) {
             as_queued !== undefined ? as_queued : false,
             add_only_if_cached !== undefined ? add_only_if_cached : false,
             password || null,
-            queueOrder
+            queueOrder,
+            priority,
+            schedule.scheduled_at,
+            schedule.window_start,
+            schedule.window_end,
+            schedule.window_timezone,
+            schedule.wait_for_quota,
+            on_duplicate,
+            template?.id ?? null,
+            schedule.scheduled_at
           );
+        saveUploadTags(userDb.db, Number(result.lastInsertRowid), tagIds);
 
         return { queueOrder, result };
       });
@@ -743,16 +900,7 @@ export function setupUploadsRoutes(app, backend) {
 
       // Get created upload
       const upload = userDb.db
-        .prepare(
-          `
-            SELECT id, type, upload_type, file_path, url, name, status,
-                   error_message, retry_count, seed, allow_zip, as_queued, add_only_if_cached, password,
-                   queue_order, torbox_hash, torbox_torrent_id, torbox_auth_id,
-                   last_processed_at, completed_at, created_at, updated_at, next_attempt_at
-            FROM uploads
-            WHERE id = ?
-          `
-        )
+        .prepare(`SELECT ${UPLOAD_DETAIL_SELECT} FROM uploads WHERE id = ?`)
         .get(result.lastInsertRowid);
 
       logger.info('Upload created', {
@@ -873,6 +1021,7 @@ export function setupUploadsRoutes(app, backend) {
       };
 
       const rateLimitSync = backend.uploadProcessor?.getRateLimitSyncContext(authId, userDb) ?? {};
+      const maxInFlightByType = getUploadMaxInFlightByType(userDb.db);
       const { byType: deferralByType, retryAt } = getUploadDeferralStatistics(
         userDb,
         rateLimitSync
@@ -908,6 +1057,7 @@ export function setupUploadsRoutes(app, backend) {
           pausedCount: deferral.pausedCount,
           pausedUntil: deferral.pausedUntil,
           pauseReason: deferral.pauseReason,
+          maxInFlight: maxInFlightByType[typeKey],
         };
       };
 
@@ -920,15 +1070,15 @@ export function setupUploadsRoutes(app, backend) {
         retryAt,
       };
 
-      // Build ORDER BY - queued items by queue_order, others by last activity
+      // Build ORDER BY - queued items in drain order (lane, then queue_order), others by last activity
       // last_processed_at reflects when an item was last attempted; fall back to created_at if never processed
       const recentFirst = 'COALESCE(last_processed_at, created_at) DESC';
       const orderBy =
         status === 'queued'
-          ? 'ORDER BY queue_order ASC'
+          ? `ORDER BY ${UPLOAD_PRIORITY_RANK_SQL} ASC, queue_order ASC`
           : status
             ? `ORDER BY ${recentFirst}`
-            : `ORDER BY CASE WHEN status = "queued" THEN 0 ELSE 1 END, queue_order ASC, ${recentFirst}`;
+            : `ORDER BY CASE WHEN status = "queued" THEN 0 ELSE 1 END, ${UPLOAD_PRIORITY_RANK_SQL} ASC, queue_order ASC, ${recentFirst}`;
 
       // Get paginated results
       const query = `
@@ -940,7 +1090,10 @@ export function setupUploadsRoutes(app, backend) {
         `;
       params.push(limit, offset);
 
-      const uploads = attachCreateWasCached(userDb, userDb.db.prepare(query).all(...params));
+      const uploads = attachUploadTagIds(
+        userDb.db,
+        attachCreateWasCached(userDb, userDb.db.prepare(query).all(...params))
+      );
 
       res.json({
         success: true,
@@ -1271,7 +1424,7 @@ export function setupUploadsRoutes(app, backend) {
     }
   );
 
-  // POST /api/uploads/:id/retry - Retry failed upload
+  // POST /api/uploads/:id/retry - Retry failed upload, or add a skipped duplicate anyway
   app.post(
     '/api/uploads/:id/retry',
     backend.requireRegisteredUser,
@@ -1302,15 +1455,19 @@ export function setupUploadsRoutes(app, backend) {
           });
         }
 
-        if (upload.status !== 'failed') {
+        if (upload.status !== 'failed' && upload.status !== 'duplicate') {
           return res.status(400).json({
             success: false,
-            error: 'Can only retry failed uploads',
+            error: 'Can only retry failed or duplicate uploads',
           });
         }
 
-        const { completedIds, toRequeue, torboxUnavailable } =
-          await resolveDuplicateRetriesBeforeRequeue(backend, authId, userDb, [upload]);
+        // A duplicate is already known to be in the library, so the TorBox lookup below would
+        // just mark it completed again; retrying one means "add it anyway".
+        const isDuplicate = upload.status === 'duplicate';
+        const { completedIds, toRequeue, torboxUnavailable } = isDuplicate
+          ? { completedIds: [], toRequeue: [upload] }
+          : await resolveDuplicateRetriesBeforeRequeue(backend, authId, userDb, [upload]);
 
         if (torboxUnavailable) {
           const unavailableUpload = userDb.db
@@ -1346,7 +1503,9 @@ export function setupUploadsRoutes(app, backend) {
             .get('queued');
 
           const queueOrder = (maxOrderResult?.max_order ?? -1) + 1;
-          const requeued = requeueFailedUpload(userDb, uploadId, queueOrder);
+          const requeued = isDuplicate
+            ? requeueDuplicateUpload(userDb, uploadId, queueOrder)
+            : requeueFailedUpload(userDb, uploadId, queueOrder);
           return { queueOrder, requeued };
         });
 
@@ -1384,7 +1543,8 @@ export function setupUploadsRoutes(app, backend) {
     }
   );
 
-  // PATCH /api/uploads/reorder - Update queue order for a single item
+  // PATCH /api/uploads/reorder - Move a queued item (queue_order and/or priority lane) and/or
+  // update the per-type in-flight limits
   app.patch(
     '/api/uploads/reorder',
     backend.requireRegisteredUser,
@@ -1400,17 +1560,65 @@ export function setupUploadsRoutes(app, backend) {
           });
         }
 
-        const { id, old_order, new_order } = req.body;
+        const { id, old_order, new_order, priority, max_in_flight } = req.body;
+        const hasOrderChange = old_order !== undefined || new_order !== undefined;
 
         // Validate required fields
-        if (id === undefined || old_order === undefined || new_order === undefined) {
+        if (id === undefined && max_in_flight === undefined) {
+          return res.status(400).json({
+            success: false,
+            error: 'id with old_order and new_order or priority, or max_in_flight is required',
+          });
+        }
+
+        if (id === undefined && (hasOrderChange || priority !== undefined)) {
+          return res.status(400).json({
+            success: false,
+            error: 'id is required with old_order, new_order or priority',
+          });
+        }
+
+        if (id !== undefined && !hasOrderChange && priority === undefined) {
+          return res.status(400).json({
+            success: false,
+            error: 'old_order and new_order, or priority, are required with id',
+          });
+        }
+
+        if (hasOrderChange && (old_order === undefined || new_order === undefined)) {
           return res.status(400).json({
             success: false,
             error: 'id, old_order, and new_order are required',
           });
         }
 
-        if (!validateNumericId(id)) {
+        if (priority !== undefined && !isValidUploadPriority(priority)) {
+          return res.status(400).json({
+            success: false,
+            error: INVALID_PRIORITY_ERROR,
+          });
+        }
+
+        if (max_in_flight !== undefined) {
+          const entries =
+            max_in_flight && typeof max_in_flight === 'object' && !Array.isArray(max_in_flight)
+              ? Object.entries(max_in_flight)
+              : [];
+          const invalid =
+            entries.length === 0 ||
+            entries.some(
+              ([type, value]) =>
+                !['torrent', 'usenet', 'webdl'].includes(type) || !isValidUploadMaxInFlight(value)
+            );
+          if (invalid) {
+            return res.status(400).json({
+              success: false,
+              error: `max_in_flight must map torrent, usenet or webdl to an integer from 1 to ${MAX_UPLOAD_MAX_IN_FLIGHT}`,
+            });
+          }
+        }
+
+        if (id !== undefined && !validateNumericId(id)) {
           return res.status(400).json({
             success: false,
             error: 'Invalid id. Must be a positive integer.',
@@ -1421,7 +1629,7 @@ export function setupUploadsRoutes(app, backend) {
         const oldOrder = parseInt(old_order, 10);
         const newOrder = parseInt(new_order, 10);
 
-        if (oldOrder === newOrder) {
+        if (hasOrderChange && oldOrder === newOrder) {
           return res.status(400).json({
             success: false,
             error: 'old_order and new_order must be different',
@@ -1430,9 +1638,22 @@ export function setupUploadsRoutes(app, backend) {
 
         const userDb = await backend.userDatabaseManager.getUserDatabase(authId);
 
+        if (max_in_flight !== undefined) {
+          setUploadMaxInFlight(userDb.db, max_in_flight);
+          logger.info('Upload in-flight limits updated', { authId, maxInFlight: max_in_flight });
+        }
+
+        if (id === undefined) {
+          return res.json({
+            success: true,
+            data: null,
+            maxInFlight: getUploadMaxInFlightByType(userDb.db),
+          });
+        }
+
         // Validate upload exists, belongs to user, and is queued
         const upload = userDb.db
-          .prepare('SELECT id, status, queue_order FROM uploads WHERE id = ?')
+          .prepare('SELECT id, status, queue_order, priority FROM uploads WHERE id = ?')
           .get(uploadId);
 
         if (!upload) {
@@ -1450,7 +1671,7 @@ export function setupUploadsRoutes(app, backend) {
         }
 
         // Verify old_order matches current queue_order
-        if (upload.queue_order !== oldOrder) {
+        if (hasOrderChange && upload.queue_order !== oldOrder) {
           return res.status(400).json({
             success: false,
             error: 'old_order does not match current queue_order',
@@ -1461,7 +1682,7 @@ export function setupUploadsRoutes(app, backend) {
         // If moving down (new_order > old_order), shift items up
         // If moving up (new_order < old_order), shift items down
         userDb.db.transaction(() => {
-          if (newOrder > oldOrder) {
+          if (hasOrderChange && newOrder > oldOrder) {
             // Moving down: shift items between old_order+1 and new_order up by 1
             userDb.db
               .prepare(
@@ -1475,7 +1696,7 @@ export function setupUploadsRoutes(app, backend) {
               `
               )
               .run(oldOrder, newOrder);
-          } else {
+          } else if (hasOrderChange) {
             // Moving up: shift items between new_order and old_order-1 down by 1
             userDb.db
               .prepare(
@@ -1491,36 +1712,40 @@ export function setupUploadsRoutes(app, backend) {
               .run(newOrder, oldOrder);
           }
 
-          // Update the moved item's queue_order
+          // Update the moved item's queue_order and lane
           userDb.db
             .prepare(
-              'UPDATE uploads SET queue_order = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'
+              `
+              UPDATE uploads
+              SET queue_order = ?, priority = ?, updated_at = CURRENT_TIMESTAMP
+              WHERE id = ?
+            `
             )
-            .run(newOrder, uploadId);
+            .run(
+              hasOrderChange ? newOrder : upload.queue_order,
+              priority ?? upload.priority,
+              uploadId
+            );
         })();
 
         // Get updated upload
         const updatedUpload = userDb.db
-          .prepare(
-            `
-            SELECT id, type, upload_type, file_path, url, name, status,
-                   error_message, retry_count, seed, allow_zip, as_queued, add_only_if_cached, password,
-                   queue_order, torbox_hash, torbox_torrent_id, torbox_auth_id,
-                   last_processed_at, completed_at, created_at, updated_at, next_attempt_at
-            FROM uploads
-            WHERE id = ?
-          `
-          )
+          .prepare(`SELECT ${UPLOAD_DETAIL_SELECT} FROM uploads WHERE id = ?`)
           .get(uploadId);
 
         logger.info('Queue order updated', {
           authId,
           uploadId,
-          oldOrder,
-          newOrder,
+          oldOrder: upload.queue_order,
+          newOrder: updatedUpload.queue_order,
+          priority: updatedUpload.priority,
         });
 
-        res.json({ success: true, data: updatedUpload });
+        res.json({
+          success: true,
+          data: updatedUpload,
+          maxInFlight: getUploadMaxInFlightByType(userDb.db),
+        });
       } catch (error) {
         logger.error('Error reordering uploads', error, {
           endpoint: '/api/uploads/reorder',
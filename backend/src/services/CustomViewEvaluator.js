@@ -0,0 +1,421 @@
+import {
+  CLIENT_ONLY_VIEW_COLUMNS,
+  SERVER_VIEW_COLUMNS,
+  VIEW_ASSET_TYPE_BY_DOWNLOAD_ASSET_TYPE,
+} from '../../config/customViewColumns.mjs';
+import { parseReleaseName, resolutionToLines } from '../../config/releaseName.mjs';
+import { expandTagIdsWithAncestors } from '../../config/tagHierarchy.mjs';
+import {
+  DOWNLOAD_SORT_FIELD_TYPES,
+  DOWNLOAD_STATUS_SORT_PRIORITY,
+  compareNumbers,
+  compareSortKeys,
+  convertNumber,
+  getHoursFromNow,
+  isTruthy,
+  matchesBoolean,
+  matchesFilterGroups,
+  matchesHours,
+  matchesMultiSelect,
+  matchesTags,
+  matchesText,
+  toNumber,
+} from '../../config/viewFilters.mjs';
+import ApiClient from '../api/ApiClient.js';
+import { tagDownloadsWithAssetType } from '../automation/helpers/downloadFetch.js';
+import {
+  PATTERN_OPERATORS,
+  matchesPattern,
+  validatePattern,
+} from '../automation/helpers/stringPatterns.js';
+import cache from '../utils/cache.js';
+import { decrypt } from '../utils/crypto.js';
+import { getTorrentStatus } from '../utils/torrentStatus.js';
+import { loadTagParentMap } from '../utils/tags.js';
+import { DownloadProtectionService } from './DownloadProtectionService.js';
+
+/** Backend asset types for each custom view asset_type. */
+const DOWNLOAD_ASSET_TYPES_BY_VIEW_ASSET_TYPE = Object.freeze(
+  Object.fromEntries(
+    Object.entries(VIEW_ASSET_TYPE_BY_DOWNLOAD_ASSET_TYPE).map(([assetType, viewAssetType]) => [
+      viewAssetType,
+      assetType,
+    ])
+  )
+);
+
+/** Statuses the download list files under Downloading (see normalizeStatusLabelForFilter). */
+const DOWNLOADING_ALIASES = new Set(['metadl', 'checking_resume_data']);
+
+export const DEFAULT_VIEW_SORT = Object.freeze({ field: 'created_at', direction: 'desc' });
+
+/** validatePattern results by operator and pattern; views are checked on every count and page. */
+const MAX_CACHED_PATTERN_ERRORS = 200;
+const patternErrors = new Map();
+
+/**
+ * Same id resolution as the download list, so rows line up with download_tags.
+ * @param {Object} download
+ * @returns {string|null}
+ */
+function getDownloadId(download) {
+  return (
+    download.id?.toString() ||
+    download.torrent_id?.toString() ||
+    download.usenet_id?.toString() ||
+    download.web_id?.toString() ||
+    null
+  );
+}
+
+function getFileCount(download) {
+  if (download.fileCount != null) return download.fileCount;
+  if (download.files?.length) return download.files.length;
+  return download.file_count ?? 0;
+}
+
+/**
+ * Download list status label (`downloading`, `seeding`, …) as filters and share links see it.
+ * @param {Object} download
+ * @returns {string}
+ */
+export function getViewStatusLabel(download) {
+  const status = getTorrentStatus(download);
+  return DOWNLOADING_ALIASES.has(status) ? 'downloading' : status;
+}
+
+/**
+ * Parts of a saved view the backend cannot evaluate: client-only or unknown filter columns and
+ * a free-text search query.
+ * @param {{ filters?: Object, search_query?: string|null }} view
+ * @returns {string[]}
+ */
+export function getUnsupportedViewParts(view) {
+  const unsupported = new Set();
+  for (const group of view?.filters?.groups || []) {
+    for (const filter of group?.filters || []) {
+      if (!filter?.column) continue;
+      if (CLIENT_ONLY_VIEW_COLUMNS.includes(filter.column) || !SERVER_VIEW_COLUMNS[filter.column]) {
+        unsupported.add(filter.column);
+      }
+    }
+  }
+  if (view?.search_query?.trim()) unsupported.add('search_query');
+  return [...unsupported];
+}
+
+/**
+ * Pattern filters (matches_regex / matches_glob) in a view that validatePattern rejects. Views
+ * saved before patterns were validated may still hold some; they are not evaluated.
+ * @param {Object|Array|null|undefined} filters - Grouped filters or a bare array of rows
+ * @returns {string[]} One message per invalid row, e.g. `name pattern must be a non-empty string`
+ */
+export function getInvalidViewPatterns(filters) {
+  const rows = Array.isArray(filters)
+    ? filters
+    : (filters?.groups || []).flatMap((group) => group?.filters || []);
+  const invalid = [];
+  for (const filter of rows) {
+    if (!filter?.column || !PATTERN_OPERATORS.includes(filter.operator)) continue;
+    const key = `${filter.operator}:${typeof filter.value === 'string' ? filter.value : ''}`;
+    let error = patternErrors.get(key);
+    if (error === undefined) {
+      error = validatePattern(filter.operator, filter.value);
+      if (patternErrors.size >= MAX_CACHED_PATTERN_ERRORS) {
+        patternErrors.delete(patternErrors.keys().next().value);
+      }
+      patternErrors.set(key, error);
+    }
+    if (error) invalid.push(`${filter.column} ${error}`);
+  }
+  return invalid;
+}
+
+/**
+ * Backend asset types a view covers.
+ * @param {{ asset_type?: string|null }} view
+ * @param {string|null} [fallbackViewAssetType] - List the client is showing when the view has none
+ * @returns {string[]}
+ */
+export function getViewDownloadAssetTypes(view, fallbackViewAssetType = null) {
+  const viewAssetType =
+    view?.asset_type && view.asset_type !== 'all' ? view.asset_type : fallbackViewAssetType;
+  const assetType = DOWNLOAD_ASSET_TYPES_BY_VIEW_ASSET_TYPE[viewAssetType];
+  return assetType ? [assetType] : Object.keys(VIEW_ASSET_TYPE_BY_DOWNLOAD_ASSET_TYPE);
+}
+
+/** In-flight snapshot fetches by authId, so concurrent requests share one set of mylist calls. */
+const pendingViewDownloads = new Map();
+
+/**
+ * Whole download list (every asset type, every mylist page) for server-side view evaluation.
+ * Snapshots are cached (see cache.viewDownloadsCache) so pages of items, the sidebar counts and
+ * share links reuse one fetch; the cache is dropped when the backend changes the list itself.
+ * @param {Object} backend - Backend context (masterDatabase, pollingScheduler)
+ * @param {string} authId
+ * @param {{ refresh?: boolean }} [options] - refresh skips the snapshot cache
+ * @returns {Promise<Array|null>} null when the user has no API key
+ */
+export async function loadViewDownloads(backend, authId, { refresh = false } = {}) {
+  if (!refresh) {
+    const cached = cache.getViewDownloads(authId);
+    if (cached) return cached;
+  }
+
+  const pending = pendingViewDownloads.get(authId);
+  if (pending) return pending;
+
+  const fetching = fetchViewDownloads(backend, authId, refresh).finally(() => {
+    pendingViewDownloads.delete(authId);
+  });
+  pendingViewDownloads.set(authId, fetching);
+  return fetching;
+}
+
+async function fetchViewDownloads(backend, authId, refresh) {
+  const apiKeyRow = backend.masterDatabase.getApiKey(authId);
+  if (!apiKeyRow?.encrypted_key) return null;
+  const apiClient = backend.pollingScheduler?.getOrCreateApiClient
+    ? backend.pollingScheduler.getOrCreateApiClient(authId, apiKeyRow.encrypted_key)
+    : new ApiClient(decrypt(apiKeyRow.encrypted_key), { authId });
+
+  // Sequential, like automation fetches, to hold one mylist response at a time
+  const downloads = [
+    ...tagDownloadsWithAssetType(await apiClient.getTorrents(refresh), 'torrent'),
+    ...tagDownloadsWithAssetType(await apiClient.getUsenetDownloads(refresh), 'usenet'),
+    ...tagDownloadsWithAssetType(await apiClient.getWebDownloads(refresh), 'webdl'),
+  ];
+  cache.setViewDownloads(authId, downloads);
+  return downloads;
+}
+
+/**
+ * Custom View Evaluator
+ * Evaluates saved custom view filter trees against a download list snapshot, with tags and
+ * protection flags from the user database, so clients can page through a view (or count it)
+ * without loading the whole library.
+ */
+export class CustomViewEvaluator {
+  /**
+   * @param {import('bun:sqlite').Database} db - User database
+   */
+  constructor(db) {
+    this.db = db;
+    this.protectionService = new DownloadProtectionService(db);
+  }
+
+  /**
+   * Stored data the filters read, loaded once per evaluation.
+   * @returns {{ tagIdsByDownloadId: Map<string, number[]>, parentById: Map, protectedIds: Set<string>, releaseByName: Map<string, Object> }}
+   */
+  loadContext() {
+    const tagIdsByDownloadId = new Map();
+    for (const row of this.db.prepare('SELECT download_id, tag_id FROM download_tags').all()) {
+      const downloadId = String(row.download_id);
+      if (!tagIdsByDownloadId.has(downloadId)) tagIdsByDownloadId.set(downloadId, []);
+      tagIdsByDownloadId.get(downloadId).push(row.tag_id);
+    }
+
+    return {
+      tagIdsByDownloadId,
+      parentById: loadTagParentMap(this.db),
+      protectedIds: this.protectionService.getProtectedSet(),
+      releaseByName: new Map(),
+    };
+  }
+
+  /**
+   * Release fields parsed from the name, as the download list does (stored metadata can lag a
+   * rename until the next poll).
+   * @private
+   */
+  _getRelease(download, context) {
+    const name = typeof download.name === 'string' ? download.name : '';
+    let release = context.releaseByName.get(name);
+    if (!release) {
+      release = parseReleaseName(name);
+      context.releaseByName.set(name, release);
+    }
+    return release;
+  }
+
+  /**
+   * @private
+   * @returns {*} Raw value of a column for one download
+   */
+  _getColumnValue(download, column, def, context) {
+    if (def.source === 'release') return this._getRelease(download, context)[column];
+    if (def.source === 'protection') return context.protectedIds.has(getDownloadId(download));
+    if (column === 'file_count') return getFileCount(download);
+    return download[def.itemField || column];
+  }
+
+  /**
+   * Whether one download matches one filter row (download list semantics).
+   * @param {Object} download
+   * @param {{ column: string, operator: string, value: * }} filter
+   * @param {ReturnType<CustomViewEvaluator['loadContext']>} context
+   * @returns {boolean}
+   */
+  matchesFilter(download, filter, context) {
+    const def = SERVER_VIEW_COLUMNS[filter.column];
+    if (!def || filter.operator === undefined) return true;
+
+    switch (def.kind) {
+      case 'status':
+        if (filter.column === 'asset_type') {
+          const assetType =
+            VIEW_ASSET_TYPE_BY_DOWNLOAD_ASSET_TYPE[download.assetType || 'torrent'] || '';
+          return matchesMultiSelect(filter.operator, assetType, filter.value);
+        }
+        return matchesMultiSelect(filter.operator, getViewStatusLabel(download), filter.value);
+      case 'tags': {
+        const tagIds = context.tagIdsByDownloadId.get(getDownloadId(download)) || [];
+        const matchableIds = expandTagIdsWithAncestors(tagIds, context.parentById);
+        return matchesTags(filter.operator, tagIds, matchableIds, filter.value);
+      }
+      case 'boolean':
+        return matchesBoolean(
+          filter.operator,
+          this._getColumnValue(download, filter.column, def, context)
+        );
+      default:
+        break;
+    }
+
+    const value = this._getColumnValue(download, filter.column, def, context);
+    if (value === null || value === undefined) return false;
+
+    switch (def.kind) {
+      case 'number':
+        return compareNumbers(
+          filter.operator,
+          convertNumber(value, def.conversion),
+          toNumber(filter.value)
+        );
+      case 'time':
+      case 'timestamp': {
+        const hours = getHoursFromNow(value, def.conversion);
+        if (hours === null) return false;
+        return matchesHours(def.kind, filter.operator, hours, filter.value);
+      }
+      case 'text':
+        // Patterns run on the backend's linear-time matcher, not RegExp
+        if (PATTERN_OPERATORS.includes(filter.operator)) {
+          return matchesPattern(
+            filter.operator,
+            value,
+            filter.value,
+            filter.caseSensitive === true
+          );
+        }
+        return matchesText(filter, value);
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Whether a download matches a view's filter tree (groups of rows, like itemMatchesFilters).
+   * @param {Object} download
+   * @param {Object} filters
+   * @param {ReturnType<CustomViewEvaluator['loadContext']>} context
+   * @returns {boolean}
+   */
+  matches(download, filters, context) {
+    return matchesFilterGroups(filters, (filter) => this.matchesFilter(download, filter, context));
+  }
+
+  /**
+   * Downloads in a view, sorted.
+   * @param {{ filters?: Object, asset_type?: string|null }} view
+   * @param {Array<Object>} downloads - Snapshot rows tagged with assetType
+   * @param {{ sortField?: string, sortDirection?: 'asc'|'desc', assetType?: string|null }} [options]
+   *   assetType: list the client is showing, for views saved without an asset type
+   * @returns {Array<Object>}
+   */
+  evaluate(view, downloads, options = {}) {
+    const context = this.loadContext();
+    const assetTypes = new Set(getViewDownloadAssetTypes(view, options.assetType));
+    const matched = downloads.filter(
+      (download) =>
+        assetTypes.has(download.assetType || 'torrent') &&
+        this.matches(download, view.filters, context)
+    );
+    return this.sort(
+      matched,
+      options.sortField || DEFAULT_VIEW_SORT.field,
+      options.sortDirection || DEFAULT_VIEW_SORT.direction,
+      context
+    );
+  }
+
+  /**
+   * Sort like the download list does for the same column.
+   * @param {Array<Object>} downloads
+   * @param {string} sortField
+   * @param {'asc'|'desc'} sortDirection
+   * @param {ReturnType<CustomViewEvaluator['loadContext']>} context
+   * @returns {Array<Object>}
+   */
+  sort(downloads, sortField, sortDirection, context) {
+    const type = DOWNLOAD_SORT_FIELD_TYPES[sortField] || 'text';
+    const sortValue = (download) => {
+      switch (type) {
+        case 'numeric':
+          return Number(download[sortField]) || 0;
+        case 'date':
+          return new Date(download[sortField] || 0).getTime() || 0;
+        case 'status':
+          // Higher priority first on ascending, as in the download list
+          return -(DOWNLOAD_STATUS_SORT_PRIORITY[getTorrentStatus(download)] ?? -1);
+        case 'file_count':
+          return getFileCount(download);
+        case 'boolean':
+          return sortField === 'is_protected'
+            ? Number(context.protectedIds.has(getDownloadId(download)))
+            : Number(isTruthy(download[sortField]));
+        case 'release': {
+          const value = this._getRelease(download, context)[sortField];
+          return sortField === 'resolution' ? resolutionToLines(value) : value;
+        }
+        default:
+          return String(download[sortField] || '').toLowerCase();
+      }
+    };
+
+    const keyed = downloads.map((download) => ({ download, key: sortValue(download) }));
+    const direction = sortDirection === 'asc' ? 1 : -1;
+    keyed.sort((a, b) => compareSortKeys(a.key, b.key) * direction);
+    return keyed.map(({ download }) => download);
+  }
+
+  /**
+   * Match counts per view over one snapshot. Views the backend cannot evaluate, or with invalid
+   * patterns, are left out.
+   * @param {Array<Object>} views - Parsed custom views
+   * @param {Array<Object>} downloads
+   * @param {{ assetType?: string|null }} [options]
+   * @returns {Record<number, number>}
+   */
+  count(views, downloads, options = {}) {
+    const context = this.loadContext();
+    const counts = {};
+    for (const view of views) {
+      if (getUnsupportedViewParts(view).length > 0) continue;
+      if (getInvalidViewPatterns(view.filters).length > 0) continue;
+      const assetTypes = new Set(getViewDownloadAssetTypes(view, options.assetType));
+      counts[view.id] = downloads.reduce(
+        (total, download) =>
+          assetTypes.has(download.assetType || 'torrent') &&
+          this.matches(download, view.filters, context)
+            ? total + 1
+            : total,
+        0
+      );
+    }
+    return counts;
+  }
+}
+
+export default CustomViewEvaluator;
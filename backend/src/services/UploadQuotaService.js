@@ -19,7 +19,7 @@ import { getUploadQuotaLimits, isUnlimitedTier, UPLOAD_TIERS } from '../config/u
 import { runWithConcurrency } from '../routes/admin/concurrency.js';
 
 const ACTIVE_STATUSES = new Set(['queued', 'processing']);
-const DELETABLE_STATUSES = new Set(['completed', 'failed']);
+const DELETABLE_STATUSES = new Set(['completed', 'failed', 'duplicate']);
 
 export default class UploadQuotaService {
   constructor(masterDatabase) {
@@ -195,7 +195,7 @@ export default class UploadQuotaService {
         FROM uploads
         WHERE file_path IS NOT NULL
           AND (file_deleted IS NULL OR file_deleted = 0)
-          AND status IN ('completed', 'failed')
+          AND status IN ('completed', 'failed', 'duplicate')
         ORDER BY created_at ASC, id ASC
       `
       )
@@ -0,0 +1,223 @@
+import { describe, expect, test, beforeEach } from 'bun:test';
+import { Database } from 'bun:sqlite';
+import {
+  CustomViewEvaluator,
+  getUnsupportedViewParts,
+  getViewDownloadAssetTypes,
+} from '../CustomViewEvaluator.js';
+import { up as createProtectedDownloads } from '../../database/migrations/user/020_protected_downloads_schema.js';
+
+const GB = 1024 ** 3;
+
+const view = (filters, extra = {}) => ({
+  id: 1,
+  asset_type: null,
+  filters: { logicOperator: 'and', groups: [{ logicOperator: 'and', filters }] },
+  ...extra,
+});
+
+const downloads = [
+  {
+    id: 1,
+    name: 'Show.S01E02.1080p.WEB.x264-GRP',
+    size: 20 * GB,
+    progress: 1,
+    active: true,
+    download_finished: true,
+    download_present: true,
+    created_at: '2026-01-01T00:00:00Z',
+    assetType: 'torrent',
+  },
+  {
+    id: 2,
+    name: 'Movie.2021.2160p.BluRay-OTHER',
+    size: 2 * GB,
+    progress: 0.25,
+    active: true,
+    download_finished: false,
+    download_present: false,
+    download_state: 'metaDL',
+    created_at: '2026-02-01T00:00:00Z',
+    assetType: 'torrent',
+  },
+  {
+    id: 3,
+    name: 'sample clip',
+    size: 0.5 * GB,
+    progress: 1,
+    active: false,
+    download_finished: true,
+    download_present: true,
+    original_url: 'https://www.example.com/file.mkv',
+    created_at: '2026-03-01T00:00:00Z',
+    assetType: 'webdl',
+  },
+];
+
+describe('CustomViewEvaluator', () => {
+  /** @type {import('bun:sqlite').Database} */
+  let db;
+  /** @type {CustomViewEvaluator} */
+  let evaluator;
+
+  const ids = (rows) => rows.map((row) => row.id);
+
+  beforeEach(() => {
+    db = new Database(':memory:');
+    db.exec(`
+      CREATE TABLE tags (id INTEGER PRIMARY KEY, name TEXT, parent_id INTEGER);
+      CREATE TABLE download_tags (download_id TEXT, tag_id INTEGER);
+    `);
+    createProtectedDownloads(db);
+    evaluator = new CustomViewEvaluator(db);
+  });
+
+  test('applies download list units and status labels', () => {
+    expect(
+      ids(evaluator.evaluate(view([{ column: 'size', operator: 'gt', value: 1 }]), downloads))
+    ).toEqual([2, 1]);
+    expect(
+      ids(evaluator.evaluate(view([{ column: 'progress', operator: 'lt', value: 50 }]), downloads))
+    ).toEqual([2]);
+    // metaDL downloads count as Downloading
+    expect(
+      ids(
+        evaluator.evaluate(
+          view([{ column: 'download_state', operator: 'is_any_of', value: ['downloading'] }]),
+          downloads
+        )
+      )
+    ).toEqual([2]);
+  });
+
+  test('matches tags through their ancestors and protection flags', () => {
+    db.exec(`
+      INSERT INTO tags (id, name, parent_id) VALUES (1, 'tv', NULL), (2, 'anime', 1);
+      INSERT INTO download_tags (download_id, tag_id) VALUES ('1', 2);
+      INSERT INTO protected_downloads (download_id) VALUES ('3');
+    `);
+    expect(
+      ids(
+        evaluator.evaluate(view([{ column: 'tags', operator: 'is_any_of', value: [1] }]), downloads)
+      )
+    ).toEqual([1]);
+    expect(
+      ids(evaluator.evaluate(view([{ column: 'tags', operator: 'is_not_set' }]), downloads))
+    ).toEqual([3, 2]);
+    expect(
+      ids(evaluator.evaluate(view([{ column: 'is_protected', operator: 'is_true' }]), downloads))
+    ).toEqual([3]);
+  });
+
+  test('reads release fields and source hosts', () => {
+    expect(
+      ids(
+        evaluator.evaluate(
+          view([{ column: 'resolution', operator: 'gte', value: 2160 }]),
+          downloads
+        )
+      )
+    ).toEqual([2]);
+    expect(
+      ids(
+        evaluator.evaluate(
+          view([{ column: 'original_url', operator: 'equals', value: 'example.com' }]),
+          downloads
+        )
+      )
+    ).toEqual([3]);
+  });
+
+  test('matches name patterns in linear time', () => {
+    expect(
+      ids(
+        evaluator.evaluate(
+          view([{ column: 'name', operator: 'matches_regex', value: 'S\\d{2}E\\d{2}' }]),
+          downloads
+        )
+      )
+    ).toEqual([1]);
+    // Would backtrack for a long time in RegExp
+    const slow = { ...downloads[2], name: 'a'.repeat(2000) };
+    expect(
+      evaluator.evaluate(
+        view([{ column: 'name', operator: 'matches_regex', value: 'a.*a.*a.*a.*a.*b' }]),
+        [slow]
+      )
+    ).toEqual([]);
+  });
+
+  test('combines groups with OR and scopes to the view asset type', () => {
+    const filters = {
+      logicOperator: 'or',
+      groups: [
+        {
+          logicOperator: 'and',
+          filters: [{ column: 'name', operator: 'contains', value: 'show' }],
+        },
+        {
+          logicOperator: 'and',
+          filters: [{ column: 'name', operator: 'contains', value: 'clip' }],
+        },
+      ],
+    };
+    expect(ids(evaluator.evaluate({ filters }, downloads))).toEqual([3, 1]);
+    expect(ids(evaluator.evaluate({ filters, asset_type: 'torrents' }, downloads))).toEqual([1]);
+    expect(ids(evaluator.evaluate({ filters }, downloads, { assetType: 'webdl' }))).toEqual([3]);
+  });
+
+  test('sorts like the download list', () => {
+    const all = view([]);
+    expect(
+      ids(evaluator.evaluate(all, downloads, { sortField: 'size', sortDirection: 'asc' }))
+    ).toEqual([3, 2, 1]);
+    expect(
+      ids(evaluator.evaluate(all, downloads, { sortField: 'resolution', sortDirection: 'asc' }))
+    ).toEqual([3, 1, 2]);
+    expect(
+      ids(evaluator.evaluate(all, downloads, { sortField: 'name', sortDirection: 'asc' }))
+    ).toEqual([2, 3, 1]);
+  });
+
+  test('counts every evaluable view and skips the rest', () => {
+    const counts = evaluator.count(
+      [
+        view([{ column: 'size', operator: 'gt', value: 1 }], { id: 1 }),
+        view([{ column: 'is_downloaded', operator: 'is_true' }], { id: 2 }),
+        view([], { id: 3, search_query: 'show' }),
+      ],
+      downloads
+    );
+    expect(counts).toEqual({ 1: 2 });
+  });
+});
+
+describe('getUnsupportedViewParts', () => {
+  test('lists client-only and unknown columns and search queries', () => {
+    expect(
+      getUnsupportedViewParts(
+        view(
+          [
+            { column: 'is_downloaded', operator: 'is_true' },
+            { column: 'not_a_column', operator: 'eq', value: 1 },
+            { column: 'size', operator: 'gt', value: 1 },
+          ],
+          { search_query: ' x ' }
+        )
+      )
+    ).toEqual(['is_downloaded', 'not_a_column', 'search_query']);
+    expect(getUnsupportedViewParts(view([{ column: 'tags', operator: 'is_set' }]))).toEqual([]);
+  });
+});
+
+describe('getViewDownloadAssetTypes', () => {
+  test('uses the view type, then the fallback, then every type', () => {
+    expect(getViewDownloadAssetTypes({ asset_type: 'usenet' }, 'webdl')).toEqual(['usenet']);
+    expect(getViewDownloadAssetTypes({ asset_type: null }, 'torrents')).toEqual(['torrent']);
+    expect(getViewDownloadAssetTypes({ asset_type: 'all' })).toEqual([
+      'torrent',
+      'usenet',
+      'webdl',
+    ]);
+  });
+});
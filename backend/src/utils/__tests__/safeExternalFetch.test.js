@@ -145,6 +145,30 @@ describe('safeExternalFetch', () => {
     expect(fetched).toBe(false);
   });
 
+  test('resends the body on 307 and drops it on 303', async () => {
+    delete process.env.STREMIO_ALLOW_HTTP;
+    const lookup = async () => [{ address: '93.184.216.34', family: 4 }];
+    const requests = [];
+    const fetchImpl = async (url, opts) => {
+      requests.push({ url, method: opts.method, body: opts.body });
+      if (requests.length === 1) return jsonResponse(307, '', { location: '/moved' });
+      if (requests.length === 2) return jsonResponse(303, '', { location: '/done' });
+      return jsonResponse(200, { ok: true });
+    };
+
+    await safeExternalFetch('https://hooks.example.com/in', {
+      lookup,
+      fetchImpl,
+      method: 'POST',
+      body: '{"a":1}',
+    });
+    expect(requests).toEqual([
+      { url: 'https://hooks.example.com/in', method: 'POST', body: '{"a":1}' },
+      { url: 'https://hooks.example.com/moved', method: 'POST', body: '{"a":1}' },
+      { url: 'https://hooks.example.com/done', method: 'GET', body: undefined },
+    ]);
+  });
+
   // restore env after suite
   test('cleanup env', () => {
     if (prevAllowHttp === undefined) delete process.env.STREMIO_ALLOW_HTTP;
@@ -1,4 +1,5 @@
-import { describe, expect, test, mock, beforeEach } from 'bun:test';
+import { describe, expect, test, mock, beforeEach, afterAll } from 'bun:test';
+import * as realSafeExternalFetch from '../safeExternalFetch.js';
 
 let inFlight = 0;
 let maxInFlight = 0;
@@ -11,8 +12,17 @@ const fetchMock = mock(async () => {
   return { ok: true, status: 200, json: { images: {} }, text: '{}' };
 });
 
+// Module mocks outlive this file and patch the module other test files import; hand calls
+// back to the real implementation once this file is done.
+const { safeExternalFetch: realFetch } = realSafeExternalFetch;
+let mockFetch = true;
+afterAll(() => {
+  mockFetch = false;
+});
+
 mock.module('../safeExternalFetch.js', () => ({
-  safeExternalFetch: (...args) => fetchMock(...args),
+  ...realSafeExternalFetch,
+  safeExternalFetch: (...args) => (mockFetch ? fetchMock(...args) : realFetch(...args)),
 }));
 
 const { tmdbFetch, TMDB_FETCH_CONCURRENCY, tmdbErrorPayload } = await import('../tmdbClient.js');
@@ -1,9 +1,19 @@
-import { describe, expect, test, mock, beforeEach } from 'bun:test';
+import { describe, expect, test, mock, beforeEach, afterAll } from 'bun:test';
+import * as realSafeExternalFetch from '../safeExternalFetch.js';
 
 const fetchMock = mock(() => Promise.resolve({ ok: false, status: 404, json: null }));
 
+// Module mocks outlive this file and patch the module other test files import; hand calls
+// back to the real implementation once this file is done.
+const { safeExternalFetch: realFetch } = realSafeExternalFetch;
+let mockFetch = true;
+afterAll(() => {
+  mockFetch = false;
+});
+
 mock.module('../safeExternalFetch.js', () => ({
-  safeExternalFetch: (...args) => fetchMock(...args),
+  ...realSafeExternalFetch,
+  safeExternalFetch: (...args) => (mockFetch ? fetchMock(...args) : realFetch(...args)),
 }));
 
 const { findTmdbByImdbId, findTmdbByTmdbId } = await import('../tmdbClient.js');
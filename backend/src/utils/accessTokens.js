@@ -0,0 +1,145 @@
+/**
+ * Personal access tokens: hashed tokens (see hashedTokens.js) reading
+ * `tbm_<api key row id>_<secret>`, stored with their scopes.
+ */
+import {
+  HASHED_TOKEN_STATUS_COLUMN,
+  findHashedToken,
+  issueHashedToken,
+  parseHashedToken,
+  revokeHashedToken,
+} from './hashedTokens.js';
+import {
+  ACCESS_TOKEN_EXPIRY_DAYS,
+  ACCESS_TOKEN_PREFIX,
+  MAX_ACCESS_TOKEN_NAME_LENGTH,
+  isValidAccessTokenScope,
+} from '../../config/accessTokens.mjs';
+
+export * from '../../config/accessTokens.mjs';
+
+const TOKEN_SELECT = `
+  id, name, token_hint, scopes, expires_at, revoked_at, last_used_at, last_used_ip, created_at,
+  ${HASHED_TOKEN_STATUS_COLUMN}
+`;
+
+/**
+ * @param {string} token
+ * @returns {number|null} API key row id the token was issued under, or null when malformed
+ */
+export function parseAccessToken(token) {
+  return parseHashedToken(ACCESS_TOKEN_PREFIX, token);
+}
+
+/**
+ * Validate a token create body.
+ * @param {Object} body
+ * @returns {{ token: { name: string, scopes: string[], expires_in_days: number|null }|null,
+ *   error: string|null }}
+ */
+export function parseAccessTokenRequest(body) {
+  const { name, scopes, expires_in_days = null } = body ?? {};
+
+  if (typeof name !== 'string' || name.trim() === '') {
+    return { token: null, error: 'Token name is required and must be a non-empty string' };
+  }
+  if (name.trim().length > MAX_ACCESS_TOKEN_NAME_LENGTH) {
+    return {
+      token: null,
+      error: `Token name must be ${MAX_ACCESS_TOKEN_NAME_LENGTH} characters or less`,
+    };
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(isValidAccessTokenScope)) {
+    return { token: null, error: 'scopes must be a non-empty array of upload, read, automation' };
+  }
+  if (!ACCESS_TOKEN_EXPIRY_DAYS.includes(expires_in_days)) {
+    return {
+      token: null,
+      error: `expires_in_days must be one of ${ACCESS_TOKEN_EXPIRY_DAYS.map(String).join(', ')}`,
+    };
+  }
+
+  return {
+    token: { name: name.trim(), scopes: [...new Set(scopes)], expires_in_days },
+    error: null,
+  };
+}
+
+function toAccessToken(row) {
+  return { ...row, scopes: JSON.parse(row.scopes) };
+}
+
+/**
+ * @param {Object} db - bun:sqlite handle of the user database
+ * @returns {Object[]} Tokens newest first, without their hashes
+ */
+export function listAccessTokens(db) {
+  return db
+    .prepare(`SELECT ${TOKEN_SELECT} FROM access_tokens ORDER BY created_at DESC, id DESC`)
+    .all()
+    .map(toAccessToken);
+}
+
+/**
+ * Issue a token. The raw token is only ever returned here.
+ * @param {Object} db
+ * @param {number} apiKeyId - Owner's api_keys row id in the master database
+ * @param {{ name: string, scopes: string[], expires_in_days: number|null }} request
+ * @returns {{ token: string, accessToken: Object }}
+ */
+export function createAccessToken(db, apiKeyId, request) {
+  const { token, tokenHash, tokenHint } = issueHashedToken(ACCESS_TOKEN_PREFIX, apiKeyId);
+
+  const result = db
+    .prepare(
+      `
+      INSERT INTO access_tokens (name, token_hash, token_hint, scopes, expires_at)
+      VALUES (?, ?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', ?) END)
+    `
+    )
+    .run(
+      request.name,
+      tokenHash,
+      tokenHint,
+      JSON.stringify(request.scopes),
+      request.expires_in_days,
+      `+${request.expires_in_days} days`
+    );
+
+  const row = db
+    .prepare(`SELECT ${TOKEN_SELECT} FROM access_tokens WHERE id = ?`)
+    .get(Number(result.lastInsertRowid));
+  return { token, accessToken: toAccessToken(row) };
+}
+
+/**
+ * @param {Object} db
+ * @param {number} id
+ * @returns {boolean} False when the token does not exist or was already revoked
+ */
+export function revokeAccessToken(db, id) {
+  return revokeHashedToken(db, 'access_tokens', id);
+}
+
+/**
+ * Check a presented token against the owner's database and record the use when it passes.
+ * @param {Object} db
+ * @param {string} token
+ * @param {string[]} acceptedScopes - The token needs at least one of these
+ * @param {string|null} [ip]
+ * @returns {{ accessToken: Object|null, error: 'invalid'|'revoked'|'expired'|'scope'|null }}
+ */
+export function verifyAccessToken(db, token, acceptedScopes, ip = null) {
+  const { row, error } = findHashedToken(db, 'access_tokens', TOKEN_SELECT, token);
+  if (error) return { accessToken: null, error };
+
+  const accessToken = toAccessToken(row);
+  if (!acceptedScopes.some((scope) => accessToken.scopes.includes(scope))) {
+    return { accessToken: null, error: 'scope' };
+  }
+
+  db.prepare(
+    'UPDATE access_tokens SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = ? WHERE id = ?'
+  ).run(ip, accessToken.id);
+  return { accessToken, error: null };
+}
@@ -42,6 +42,15 @@ class Cache {
       ttl: 300000,
       noUpdateTTL: true,
     });
+
+    // Download list snapshots for server-side custom views, so pages of items, the sidebar
+    // counts and share links share one mylist fetch. Few entries: a snapshot is a whole library.
+    // Dropped early when uploads or automation change the list; clients can ask for refresh=true.
+    this.viewDownloadsCache = new TTLCache({
+      max: 50,
+      ttl: 120000,
+      noUpdateTTL: true,
+    });
   }
 
   /**
@@ -194,6 +203,32 @@ class Cache {
     this.recentRuleExecutionsCache.delete(`recentRuleExecutions:${authId}`);
   }
 
+  /**
+   * Get the cached download list snapshot for custom view evaluation
+   * @param {string} authId - User authentication ID
+   * @returns {Array|undefined} - Downloads of every asset type, or undefined if not cached
+   */
+  getViewDownloads(authId) {
+    return this.viewDownloadsCache.get(`viewDownloads:${authId}`);
+  }
+
+  /**
+   * Cache the download list snapshot for custom view evaluation
+   * @param {string} authId - User authentication ID
+   * @param {Array} downloads - Downloads of every asset type, tagged with assetType
+   */
+  setViewDownloads(authId, downloads) {
+    this.viewDownloadsCache.set(`viewDownloads:${authId}`, downloads);
+  }
+
+  /**
+   * Invalidate the download list snapshot for a user (call after the list changes)
+   * @param {string} authId - User authentication ID
+   */
+  invalidateViewDownloads(authId) {
+    this.viewDownloadsCache.delete(`viewDownloads:${authId}`);
+  }
+
   /**
    * Clear all caches
    */
@@ -203,6 +238,7 @@ class Cache {
     this.userDbPathCache.clear();
     this.activeUsersCache.clear();
     this.recentRuleExecutionsCache.clear();
+    this.viewDownloadsCache.clear();
     logger.debug('Cleared all caches');
   }
 }
@@ -0,0 +1,95 @@
+/**
+ * Owner-addressed secrets stored as hashes, behind personal access tokens, view share links and
+ * download client sessions. A token reads `<prefix><api key row id>_<secret>`: the row id finds
+ * the owner's user database, where only a SHA-256 hash of the whole token and a short hint for
+ * listings are kept. Tables holding them have `token_hash`, `token_hint`, `expires_at` and
+ * `revoked_at` columns. Download client sessions live in the master database instead and only
+ * use issueHashedToken and parseHashedToken.
+ */
+import crypto from 'crypto';
+import { hashApiKey } from './crypto.js';
+
+const HINT_SECRET_LENGTH = 4;
+
+const tokenPatterns = new Map();
+
+function getTokenPattern(prefix) {
+  let pattern = tokenPatterns.get(prefix);
+  if (!pattern) {
+    pattern = new RegExp(`^${prefix}(\\d+)_([A-Za-z0-9_-]{43})$`);
+    tokenPatterns.set(prefix, pattern);
+  }
+  return pattern;
+}
+
+/** `status` select column: revoked, expired (a NULL expires_at never expires) or active. */
+export const HASHED_TOKEN_STATUS_COLUMN = `
+  CASE
+    WHEN revoked_at IS NOT NULL THEN 'revoked'
+    WHEN expires_at IS NOT NULL AND expires_at <= datetime('now') THEN 'expired'
+    ELSE 'active'
+  END AS status
+`;
+
+/**
+ * @param {string} prefix
+ * @param {string} token
+ * @returns {number|null} API key row id the token was issued under, or null when malformed
+ */
+export function parseHashedToken(prefix, token) {
+  const match = typeof token === 'string' ? getTokenPattern(prefix).exec(token) : null;
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Generate a token. The raw token must only be returned to its owner once, right after this.
+ * @param {string} prefix
+ * @param {number} apiKeyId - Owner's api_keys row id in the master database
+ * @returns {{ token: string, tokenHash: string, tokenHint: string }}
+ */
+export function issueHashedToken(prefix, apiKeyId) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const token = `${prefix}${apiKeyId}_${secret}`;
+  return {
+    token,
+    tokenHash: hashApiKey(token),
+    tokenHint: `${prefix}${apiKeyId}_…${secret.slice(-HINT_SECRET_LENGTH)}`,
+  };
+}
+
+/**
+ * Look a presented token up by its hash.
+ * @param {Object} db - bun:sqlite handle of the owner's user database
+ * @param {string} table
+ * @param {string} columns - Select list, including HASHED_TOKEN_STATUS_COLUMN
+ * @param {string} token
+ * @returns {{ row: Object|null, error: 'invalid'|'revoked'|'expired'|null }}
+ */
+export function findHashedToken(db, table, columns, token) {
+  const row = db
+    .prepare(`SELECT ${columns} FROM ${table} WHERE token_hash = ?`)
+    .get(hashApiKey(token));
+  if (!row) return { row: null, error: 'invalid' };
+  if (row.status !== 'active') return { row: null, error: row.status };
+  return { row, error: null };
+}
+
+/**
+ * @param {Object} db
+ * @param {string} table
+ * @param {number} id
+ * @param {Object<string, *>} [scope] - Further column values the row must have (e.g. its view)
+ * @returns {boolean} False when the token does not exist or was already revoked
+ */
+export function revokeHashedToken(db, table, id, scope = {}) {
+  const scopeColumns = Object.keys(scope);
+  return (
+    db
+      .prepare(
+        `UPDATE ${table} SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?${scopeColumns
+          .map((column) => ` AND ${column} = ?`)
+          .join('')} AND revoked_at IS NULL`
+      )
+      .run(id, ...Object.values(scope)).changes > 0
+  );
+}
@@ -119,6 +119,8 @@ async function readBodyLimited(response, maxBytes) {
 
 /**
  * SSRF-safe HTTP(S) fetch with timeout, redirect re-validation, and body size limit.
+ * A request `body` follows fetch redirect semantics: 307/308 resend it, other redirects
+ * downgrade to GET without a body.
  *
  * @returns {{ ok: boolean, status: number, url: string, text: string, json?: any }}
  */
@@ -129,6 +131,7 @@ export async function safeExternalFetch(
     maxBytes = DEFAULT_MAX_BYTES,
     headers = {},
     method = 'GET',
+    body,
     lookup,
     fetchImpl,
   } = {}
@@ -136,6 +139,8 @@ export async function safeExternalFetch(
   const deps = { lookup };
   const doFetch = fetchImpl || fetch;
   let currentUrl = await validateAndResolve(inputUrl, deps);
+  let currentMethod = method;
+  let currentBody = body;
   let redirects = 0;
 
   const controller = new AbortController();
@@ -146,7 +151,8 @@ export async function safeExternalFetch(
       let response;
       try {
         response = await doFetch(currentUrl.toString(), {
-          method,
+          method: currentMethod,
+          body: currentBody,
           redirect: 'manual',
           signal: controller.signal,
           headers: {
@@ -178,6 +184,10 @@ export async function safeExternalFetch(
         }
         const next = new URL(location, currentUrl);
         currentUrl = await validateAndResolve(next.toString(), deps);
+        if (response.status !== 307 && response.status !== 308) {
+          currentMethod = currentMethod === 'HEAD' ? 'HEAD' : 'GET';
+          currentBody = undefined;
+        }
         continue;
       }
 
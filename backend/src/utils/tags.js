@@ -0,0 +1,106 @@
+/**
+ * Tag hierarchy and exclusive tag groups over a user database.
+ * Every code path that puts tags on a download goes through assignDownloadTags, so a download
+ * never carries two tags of one group.
+ */
+import {
+  MAX_TAG_DEPTH,
+  buildTagParentMap,
+  getTagAncestorIds,
+  getTagSubtreeHeight,
+  wouldCreateTagCycle,
+} from '../../config/tagHierarchy.mjs';
+
+export * from '../../config/tagHierarchy.mjs';
+
+/**
+ * @param {Object} db - bun:sqlite handle of the user database
+ * @returns {Map<number, number|null>} tag id -> parent id
+ */
+export function loadTagParentMap(db) {
+  return buildTagParentMap(db.prepare('SELECT id, parent_id FROM tags').all());
+}
+
+/**
+ * Why `parentId` cannot become the parent of `tagId` (null for a new tag), or null when it can.
+ * @param {Object} db
+ * @param {number|null} tagId
+ * @param {number} parentId
+ * @returns {string|null}
+ */
+export function getTagParentError(db, tagId, parentId) {
+  const parentById = loadTagParentMap(db);
+  if (!parentById.has(parentId)) {
+    return 'Parent tag not found';
+  }
+  if (tagId != null && wouldCreateTagCycle(tagId, parentId, parentById)) {
+    return 'A tag cannot be placed under itself or one of its children';
+  }
+  const parentLevel = getTagAncestorIds(parentId, parentById).length + 1;
+  const height = tagId != null ? getTagSubtreeHeight(tagId, parentById) : 0;
+  if (parentLevel + 1 + height > MAX_TAG_DEPTH) {
+    return `Tags can be nested at most ${MAX_TAG_DEPTH} levels deep`;
+  }
+  return null;
+}
+
+/**
+ * First exclusive group that more than one of `tagIds` belongs to.
+ * @param {Object} db
+ * @param {number[]} tagIds
+ * @returns {{ id: number, name: string }|null}
+ */
+export function findTagGroupConflict(db, tagIds) {
+  if (tagIds.length < 2) return null;
+  const placeholders = tagIds.map(() => '?').join(',');
+  return (
+    db
+      .prepare(
+        `
+        SELECT g.id, g.name
+        FROM tags t
+        INNER JOIN tag_groups g ON g.id = t.group_id
+        WHERE t.id IN (${placeholders})
+        GROUP BY g.id, g.name
+        HAVING COUNT(*) > 1
+        LIMIT 1
+      `
+      )
+      .get(...tagIds) ?? null
+  );
+}
+
+/**
+ * Put tags on a download. A tag in an exclusive group replaces any other tag of that group the
+ * download has; when `tagIds` itself holds several, the last one wins.
+ * @param {Object} db
+ * @param {string|number} downloadId
+ * @param {number[]} tagIds
+ * @returns {number} rows inserted (tags the download did not have yet)
+ */
+export function assignDownloadTags(db, downloadId, tagIds) {
+  if (tagIds.length === 0) return 0;
+  const id = String(downloadId);
+  const groupOf = db.prepare('SELECT group_id FROM tags WHERE id = ?');
+  const removeGroupSiblings = db.prepare(`
+    DELETE FROM download_tags
+    WHERE download_id = ?
+      AND tag_id != ?
+      AND tag_id IN (SELECT id FROM tags WHERE group_id = ?)
+  `);
+  const insert = db.prepare(
+    'INSERT OR IGNORE INTO download_tags (tag_id, download_id) VALUES (?, ?)'
+  );
+
+  let inserted = 0;
+  db.transaction(() => {
+    for (const tagId of tagIds) {
+      const groupId = groupOf.get(tagId)?.group_id ?? null;
+      if (groupId != null) {
+        removeGroupSiblings.run(id, tagId, groupId);
+      }
+      inserted += insert.run(tagId, id).changes ?? 0;
+    }
+  })();
+  return inserted;
+}
@@ -10,6 +10,18 @@ export function isTagActionType(actionType) {
   return actionType === 'add_tag' || actionType === 'remove_tag';
 }
 
+/**
+ * Whether an action batch changed download tags (any successful tag step in a pipeline).
+ * @param {{ actionType?: string, successCount?: number, steps?: Array<{ actionType: string, successCount: number }> }} result
+ * @returns {boolean}
+ */
+export function batchChangedTags(result) {
+  if (Array.isArray(result?.steps) && result.steps.length > 0) {
+    return result.steps.some((step) => step.successCount > 0 && isTagActionType(step.actionType));
+  }
+  return result?.successCount > 0 && isTagActionType(result?.actionType);
+}
+
 /**
  * Notify connected clients that download-tag mappings changed.
  * @param {{ eventNotifier?: { notify: (authId: string, payload: object) => void } }} backend
@@ -0,0 +1,100 @@
+/**
+ * Read-only custom view share links: hashed tokens (see hashedTokens.js) reading
+ * `tbs_<api key row id>_<secret>`, each tied to one view.
+ */
+import {
+  HASHED_TOKEN_STATUS_COLUMN,
+  findHashedToken,
+  issueHashedToken,
+  parseHashedToken,
+  revokeHashedToken,
+} from './hashedTokens.js';
+import { VIEW_SHARE_EXPIRY_DAYS, VIEW_SHARE_PREFIX } from '../../config/viewShares.mjs';
+
+export * from '../../config/viewShares.mjs';
+
+const SHARE_SELECT = `
+  id, view_id, token_hint, expires_at, revoked_at, last_viewed_at, created_at,
+  ${HASHED_TOKEN_STATUS_COLUMN}
+`;
+
+/**
+ * @param {string} token
+ * @returns {number|null} API key row id the link was issued under, or null when malformed
+ */
+export function parseViewShareToken(token) {
+  return parseHashedToken(VIEW_SHARE_PREFIX, token);
+}
+
+/**
+ * @param {unknown} value - `expires_in_days` from a share create body
+ * @returns {boolean}
+ */
+export function isValidViewShareExpiry(value) {
+  return VIEW_SHARE_EXPIRY_DAYS.includes(value);
+}
+
+/**
+ * @param {Object} db - bun:sqlite handle of the user database
+ * @param {number} viewId
+ * @returns {Object[]} Links of a view newest first, without their hashes
+ */
+export function listViewShares(db, viewId) {
+  return db
+    .prepare(
+      `SELECT ${SHARE_SELECT} FROM custom_view_shares WHERE view_id = ? ORDER BY created_at DESC, id DESC`
+    )
+    .all(viewId);
+}
+
+/**
+ * Issue a share link token. The raw token is only ever returned here.
+ * @param {Object} db
+ * @param {number} apiKeyId - Owner's api_keys row id in the master database
+ * @param {number} viewId
+ * @param {number} expiresInDays - One of VIEW_SHARE_EXPIRY_DAYS
+ * @returns {{ token: string, share: Object }}
+ */
+export function createViewShare(db, apiKeyId, viewId, expiresInDays) {
+  const { token, tokenHash, tokenHint } = issueHashedToken(VIEW_SHARE_PREFIX, apiKeyId);
+
+  const result = db
+    .prepare(
+      `
+      INSERT INTO custom_view_shares (view_id, token_hash, token_hint, expires_at)
+      VALUES (?, ?, ?, datetime('now', ?))
+    `
+    )
+    .run(viewId, tokenHash, tokenHint, `+${expiresInDays} days`);
+
+  const share = db
+    .prepare(`SELECT ${SHARE_SELECT} FROM custom_view_shares WHERE id = ?`)
+    .get(Number(result.lastInsertRowid));
+  return { token, share };
+}
+
+/**
+ * @param {Object} db
+ * @param {number} viewId
+ * @param {number} shareId
+ * @returns {boolean} False when the link does not exist or was already revoked
+ */
+export function revokeViewShare(db, viewId, shareId) {
+  return revokeHashedToken(db, 'custom_view_shares', shareId, { view_id: viewId });
+}
+
+/**
+ * Check a presented link token against the owner's database and record the visit when it passes.
+ * @param {Object} db
+ * @param {string} token
+ * @returns {{ share: Object|null, error: 'invalid'|'revoked'|'expired'|null }}
+ */
+export function resolveViewShare(db, token) {
+  const { row: share, error } = findHashedToken(db, 'custom_view_shares', SHARE_SELECT, token);
+  if (error) return { share: null, error };
+
+  db.prepare('UPDATE custom_view_shares SET last_viewed_at = CURRENT_TIMESTAMP WHERE id = ?').run(
+    share.id
+  );
+  return { share, error: null };
+}
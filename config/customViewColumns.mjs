@@ -0,0 +1,2 @@
+// Frontend and tooling import from config/; implementation lives in backend/config/.
+export * from '../backend/config/customViewColumns.mjs';
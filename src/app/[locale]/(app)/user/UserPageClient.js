@@ -3,6 +3,7 @@
 import React, { useState, useEffect } from 'react';
 import { useTranslations } from 'next-intl';
 import UserProfile from '@/components/user/UserProfile';
+import AccessTokens from '@/components/user/AccessTokens';
 import ReferralUpgradeCard from '@/components/referral/ReferralUpgradeCard';
 import Toast from '@/components/shared/Toast';
 import { useSession } from '@/components/shared/hooks/useSession';
@@ -38,6 +39,7 @@ export default function UserPageClient() {
           <ErrorBoundary>
             <ReferralUpgradeCard apiKey={apiKey} onToast={setToast} />
             <UserProfile apiKey={apiKey} setToast={setToast} />
+            <AccessTokens apiKey={apiKey} setToast={setToast} />
           </ErrorBoundary>
         </div>
       </div>
@@ -0,0 +1,144 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { useLocale, useTranslations } from 'next-intl';
+import { formatDate, formatSize } from '@/components/downloads/utils/formatters';
+import Spinner from '@/components/shared/Spinner';
+
+/**
+ * Public, read-only page behind a custom view share link. Needs no API key: the token in the URL
+ * is checked by the backend, which only returns each download's name, size, status and progress.
+ */
+export default function SharedViewPageClient({ token }) {
+  const t = useTranslations('SharedView');
+  const statusT = useTranslations('Statuses');
+  const locale = useLocale();
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState({ loading: true, data: null, status: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`/api/shared-views/${encodeURIComponent(token)}?page=${page}`, { cache: 'no-store' })
+      .then(async (response) => {
+        const data = await response.json().catch(() => ({}));
+        if (!cancelled) setResult({ loading: false, data, status: response.status });
+      })
+      .catch(() => {
+        if (!cancelled) setResult({ loading: false, data: null, status: 500 });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [token, page]);
+
+  const goToPage = (next) => {
+    setResult((current) => ({ ...current, loading: true }));
+    setPage(next);
+  };
+
+  const { loading, data, status } = result;
+  const pagination = data?.pagination;
+
+  let errorMessage = null;
+  if (!loading && !data?.success) {
+    if (status === 404) errorMessage = t('notFound');
+    else if (status === 410) errorMessage = t('expired');
+    else errorMessage = t('unavailable');
+  }
+
+  return (
+    <main className="min-h-dvh bg-surface px-4 py-8 text-sm text-primary-text dark:bg-surface-dark dark:text-primary-text-dark">
+      <div className="mx-auto max-w-4xl">
+        {loading && !data && (
+          <div className="flex justify-center py-16">
+            <Spinner />
+          </div>
+        )}
+
+        {errorMessage && (
+          <div className="rounded-xl border border-border/60 p-6 text-center dark:border-border-dark/60">
+            <p className="text-base font-medium">{errorMessage}</p>
+          </div>
+        )}
+
+        {data?.success && (
+          <>
+            <header className="mb-4">
+              <h1 className="text-xl font-semibold tracking-tight">{data.view.name}</h1>
+              <p className="mt-1 text-muted dark:text-muted-dark">
+                {t('readOnly')}
+                {' · '}
+                {t('expiresAt', { date: formatDate(data.expires_at, locale) })}
+                {' · '}
+                {t('itemCount', { count: pagination.total })}
+              </p>
+            </header>
+
+            {data.items.length === 0 ? (
+              <p className="text-muted dark:text-muted-dark">{t('empty')}</p>
+            ) : (
+              <ul
+                className={`divide-y divide-border rounded-xl border border-border/60 dark:divide-border-dark dark:border-border-dark/60 ${loading ? 'opacity-60' : ''}`}
+              >
+                {data.items.map((item, index) => (
+                  <li key={`${pagination.page}-${index}`} className="px-4 py-3">
+                    <div className="flex items-center justify-between gap-3">
+                      <span className="min-w-0 break-all font-medium">{item.name}</span>
+                      <span className="shrink-0 tabular-nums text-muted dark:text-muted-dark">
+                        {formatSize(item.size, locale)}
+                      </span>
+                    </div>
+                    <div className="mt-1.5 flex items-center gap-3">
+                      <span className="w-28 shrink-0 text-xs text-muted dark:text-muted-dark">
+                        {statusT(item.status)}
+                      </span>
+                      <div
+                        className="h-1.5 flex-1 overflow-hidden rounded-full bg-surface-alt dark:bg-surface-alt-dark"
+                        role="progressbar"
+                        aria-valuemin={0}
+                        aria-valuemax={100}
+                        aria-valuenow={Math.round(item.progress * 100)}
+                      >
+                        <div
+                          className="h-full bg-accent dark:bg-accent-dark"
+                          style={{ width: `${Math.round(item.progress * 100)}%` }}
+                        />
+                      </div>
+                      <span className="w-10 shrink-0 text-right text-xs tabular-nums text-muted dark:text-muted-dark">
+                        {Math.round(item.progress * 100)}%
+                      </span>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {pagination.totalPages > 1 && (
+              <nav className="mt-4 flex items-center justify-between">
+                <button
+                  type="button"
+                  onClick={() => goToPage(page - 1)}
+                  disabled={loading || page <= 1}
+                  className="ui-btn-ghost disabled:opacity-50"
+                >
+                  {t('previous')}
+                </button>
+                <span className="text-muted dark:text-muted-dark">
+                  {t('pageOf', { page: pagination.page, total: pagination.totalPages })}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => goToPage(page + 1)}
+                  disabled={loading || page >= pagination.totalPages}
+                  className="ui-btn-ghost disabled:opacity-50"
+                >
+                  {t('next')}
+                </button>
+              </nav>
+            )}
+          </>
+        )}
+      </div>
+    </main>
+  );
+}
@@ -0,0 +1,12 @@
+import SharedViewPageClient from './SharedViewPageClient';
+import { pageMetadata } from '@/utils/pageMetadata';
+
+export const metadata = {
+  ...pageMetadata('Shared view', 'A read-only list of downloads shared from TorBox Manager.'),
+  robots: { index: false, follow: false },
+};
+
+export default async function SharedViewPage({ params }) {
+  const { token } = await params;
+  return <SharedViewPageClient token={token} />;
+}
@@ -0,0 +1,51 @@
+import { NextResponse } from 'next/server';
+import { headers } from 'next/headers';
+import crypto from 'crypto';
+import { isBackendDisabled, getBackendDisabledResponse } from '@/utils/backendCheck';
+import { backendHttpRequest, backendProxyHeaders } from '@/utils/backendRequest';
+import { sanitizeError } from '@/utils/sanitizeError';
+import { backendProxyErrorResponse, logRouteError } from '@/utils/routeLog';
+const BACKEND_URL = process.env.BACKEND_URL || 'http://torbox-backend:3001';
+
+/**
+ * Hash an API key to create a unique user identifier (matches backend implementation)
+ */
+function hashApiKey(apiKey) {
+  if (!apiKey) {
+    throw new Error('API key is required');
+  }
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/** Revoke a token -> { success, message } */
+export async function DELETE(request, { params }) {
+  if (isBackendDisabled()) {
+    return getBackendDisabledResponse('Access tokens are disabled when backend is disabled');
+  }
+
+  try {
+    const headersList = await headers();
+    const apiKey = headersList.get('x-api-key');
+
+    if (!apiKey) {
+      return NextResponse.json({ success: false, error: 'API key is required' }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const url = new URL(`${BACKEND_URL}/api/access-tokens/${id}`);
+    url.searchParams.set('authId', hashApiKey(apiKey));
+
+    const response = await backendHttpRequest(url, {
+      method: 'DELETE',
+      headers: backendProxyHeaders(apiKey),
+    });
+
+    if (response.ok) {
+      return NextResponse.json(response.data);
+    }
+    return backendProxyErrorResponse(response, 'Error revoking access token in backend');
+  } catch (error) {
+    logRouteError('Error revoking access token in backend', error);
+    return NextResponse.json({ success: false, error: sanitizeError(error) }, { status: 500 });
+  }
+}
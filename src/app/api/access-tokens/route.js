@@ -0,0 +1,84 @@
+import { NextResponse } from 'next/server';
+import { headers } from 'next/headers';
+import crypto from 'crypto';
+import { isBackendDisabled, getBackendDisabledResponse } from '@/utils/backendCheck';
+import { backendHttpGet, backendHttpRequest, backendProxyHeaders } from '@/utils/backendRequest';
+import { sanitizeError } from '@/utils/sanitizeError';
+import { backendProxyErrorResponse, logRouteError } from '@/utils/routeLog';
+const BACKEND_URL = process.env.BACKEND_URL || 'http://torbox-backend:3001';
+
+/**
+ * Hash an API key to create a unique user identifier (matches backend implementation)
+ */
+function hashApiKey(apiKey) {
+  if (!apiKey) {
+    throw new Error('API key is required');
+  }
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/** Issued access tokens (without secrets) -> { success, tokens } */
+export async function GET() {
+  if (isBackendDisabled()) {
+    return getBackendDisabledResponse('Access tokens are disabled when backend is disabled');
+  }
+
+  try {
+    const headersList = await headers();
+    const apiKey = headersList.get('x-api-key');
+
+    if (!apiKey) {
+      return NextResponse.json({ success: false, error: 'API key is required' }, { status: 401 });
+    }
+
+    const authId = hashApiKey(apiKey);
+    const url = new URL(`${BACKEND_URL}/api/access-tokens`);
+    url.searchParams.set('authId', authId);
+
+    const response = await backendHttpGet(url, { headers: backendProxyHeaders(apiKey) });
+
+    if (response.ok) {
+      return NextResponse.json(response.data);
+    }
+    return backendProxyErrorResponse(response, 'Error fetching access tokens from backend');
+  } catch (error) {
+    logRouteError('Error fetching access tokens from backend', error);
+    return NextResponse.json({ success: false, error: sanitizeError(error) }, { status: 500 });
+  }
+}
+
+/** Issue a token -> { success, token, accessToken }; `token` is not retrievable again */
+export async function POST(request) {
+  if (isBackendDisabled()) {
+    return getBackendDisabledResponse('Access tokens are disabled when backend is disabled');
+  }
+
+  try {
+    const headersList = await headers();
+    const apiKey = headersList.get('x-api-key');
+
+    if (!apiKey) {
+      return NextResponse.json({ success: false, error: 'API key is required' }, { status: 401 });
+    }
+
+    const body = await request.json();
+    const requestBody = JSON.stringify({ ...body, authId: hashApiKey(apiKey) });
+
+    const response = await backendHttpRequest(`${BACKEND_URL}/api/access-tokens`, {
+      method: 'POST',
+      headers: backendProxyHeaders(apiKey, {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(requestBody),
+      }),
+      body: requestBody,
+    });
+
+    if (response.ok) {
+      return NextResponse.json(response.data);
+    }
+    return backendProxyErrorResponse(response, 'Error creating access token in backend');
+  } catch (error) {
+    logRouteError('Error creating access token in backend', error);
+    return NextResponse.json({ success: false, error: sanitizeError(error) }, { status: 500 });
+  }
+}
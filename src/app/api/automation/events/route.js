@@ -8,8 +8,9 @@ const BACKEND_URL = process.env.BACKEND_URL || 'http://torbox-backend:3001';
 /**
  * GET /api/automation/events
  * Proxies SSE stream from backend so frontend can use same-origin fetch with x-api-key.
- * When backend automation poll completes with changes, backend sends "changed" event;
- * frontend can refetch torrents on that event instead of relying only on 15s polling.
+ * After each automation poll the backend pushes download list deltas (`downloads_delta`), which
+ * the frontend applies to its lists instead of refetching them. `?since=<rev>` is forwarded so a
+ * reconnecting client gets the deltas it missed.
  */
 export async function GET(request) {
   if (isBackendDisabled()) {
@@ -22,7 +23,10 @@ export async function GET(request) {
     return NextResponse.json({ success: false, error: 'API key is required' }, { status: 401 });
   }
 
-  const url = `${BACKEND_URL}/api/automation/events`;
+  const since = new URL(request.url).searchParams.get('since');
+  const url = `${BACKEND_URL}/api/automation/events${
+    since ? `?since=${encodeURIComponent(since)}` : ''
+  }`;
   try {
     const res = await fetch(url, {
       method: 'GET',
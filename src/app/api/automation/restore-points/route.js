@@ -0,0 +1,50 @@
+import { NextResponse } from 'next/server';
+import { headers } from 'next/headers';
+import crypto from 'crypto';
+import { isBackendDisabled, getBackendDisabledResponse } from '@/utils/backendCheck';
+import { backendHttpGet, backendProxyHeaders } from '@/utils/backendRequest';
+import { sanitizeError } from '@/utils/sanitizeError';
+import { backendProxyErrorResponse, logRouteError } from '@/utils/routeLog';
+const BACKEND_URL = process.env.BACKEND_URL || 'http://torbox-backend:3001';
+
+/**
+ * Hash an API key to create a unique user identifier (matches backend implementation)
+ */
+function hashApiKey(apiKey) {
+  if (!apiKey) {
+    throw new Error('API key is required');
+  }
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/** Downloads removed by rules that can still be restored -> { success, restorePoints, undoWindowHours } */
+export async function GET() {
+  if (isBackendDisabled()) {
+    return getBackendDisabledResponse(
+      'Automation rules feature is disabled when backend is disabled'
+    );
+  }
+
+  try {
+    const headersList = await headers();
+    const apiKey = headersList.get('x-api-key');
+
+    if (!apiKey) {
+      return NextResponse.json({ success: false, error: 'API key is required' }, { status: 401 });
+    }
+
+    const authId = hashApiKey(apiKey);
+    const url = new URL(`${BACKEND_URL}/api/automation/restore-points`);
+    url.searchParams.set('authId', authId);
+
+    const response = await backendHttpGet(url, { headers: backendProxyHeaders(apiKey) });
+
+    if (response.ok) {
+      return NextResponse.json(response.data);
+    }
+    return backendProxyErrorResponse(response, 'Error fetching restore points from backend');
+  } catch (error) {
+    logRouteError('Error fetching restore points from backend', error);
+    return NextResponse.json({ success: false, error: sanitizeError(error) }, { status: 500 });
+  }
+}
@@ -36,9 +36,17 @@ export async function POST(request, { params }) {
     const url = new URL(`${BACKEND_URL}/api/automation/rules/${id}/run`);
     url.searchParams.set('authId', authId);
 
+    // Body is optional; only { simulate: true } is forwarded (dry run)
+    const body = await request.json().catch(() => ({}));
+    const requestBody = JSON.stringify({ simulate: body?.simulate === true });
+
     const response = await backendHttpRequest(url, {
       method: 'POST',
-      headers: backendProxyHeaders(apiKey),
+      headers: backendProxyHeaders(apiKey, {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(requestBody),
+      }),
+      body: requestBody,
       timeoutMs: 30000,
     });
 
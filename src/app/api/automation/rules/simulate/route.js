@@ -0,0 +1,66 @@
+import { NextResponse } from 'next/server';
+import { headers } from 'next/headers';
+import crypto from 'crypto';
+import { isBackendDisabled, getBackendDisabledResponse } from '@/utils/backendCheck';
+import { backendHttpRequest, backendProxyHeaders } from '@/utils/backendRequest';
+import { sanitizeError } from '@/utils/sanitizeError';
+const BACKEND_URL = process.env.BACKEND_URL || 'http://torbox-backend:3001';
+
+/**
+ * Hash an API key to create a unique user identifier (matches backend implementation)
+ */
+function hashApiKey(apiKey) {
+  if (!apiKey) {
+    throw new Error('API key is required');
+  }
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/** Dry-run an unsaved rule draft: { rule } -> { success, result } */
+export async function POST(request) {
+  if (isBackendDisabled()) {
+    return getBackendDisabledResponse(
+      'Automation rules feature is disabled when backend is disabled'
+    );
+  }
+
+  try {
+    const headersList = await headers();
+    const apiKey = headersList.get('x-api-key');
+
+    if (!apiKey) {
+      return NextResponse.json({ success: false, error: 'API key is required' }, { status: 401 });
+    }
+
+    const { rule } = await request.json();
+    const authId = hashApiKey(apiKey);
+    const url = new URL(`${BACKEND_URL}/api/automation/rules/simulate`);
+    url.searchParams.set('authId', authId);
+
+    const requestBody = JSON.stringify({ rule });
+    const response = await backendHttpRequest(url, {
+      method: 'POST',
+      headers: backendProxyHeaders(apiKey, {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(requestBody),
+      }),
+      body: requestBody,
+      timeoutMs: 30000,
+    });
+
+    if (response.ok) {
+      return NextResponse.json(response.data);
+    }
+    const errorData = response.data || {};
+    return NextResponse.json(
+      {
+        success: false,
+        error: errorData.error || `Backend responded with status: ${response.status}`,
+      },
+      { status: response.status }
+    );
+  } catch (error) {
+    console.error('Error simulating automation rule:', error);
+    return NextResponse.json({ success: false, error: sanitizeError(error) }, { status: 500 });
+  }
+}
@@ -0,0 +1,64 @@
+import { NextResponse } from 'next/server';
+import { headers } from 'next/headers';
+import crypto from 'crypto';
+import { isBackendDisabled, getBackendDisabledResponse } from '@/utils/backendCheck';
+import { backendHttpGet, backendProxyHeaders } from '@/utils/backendRequest';
+import { sanitizeError } from '@/utils/sanitizeError';
+const BACKEND_URL = process.env.BACKEND_URL || 'http://torbox-backend:3001';
+
+const FORWARDED_PARAMS = ['page', 'limit', 'sort_field', 'sort_direction', 'asset_type', 'refresh'];
+
+/**
+ * Hash an API key to create a unique user identifier (matches backend implementation)
+ */
+function hashApiKey(apiKey) {
+  if (!apiKey) {
+    throw new Error('API key is required');
+  }
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/** One page of a custom view, evaluated by the backend against the whole library. */
+export async function GET(request, { params }) {
+  if (isBackendDisabled()) {
+    return getBackendDisabledResponse('Custom views feature is disabled when backend is disabled');
+  }
+
+  try {
+    const headersList = await headers();
+    const apiKey = headersList.get('x-api-key');
+
+    if (!apiKey) {
+      return NextResponse.json({ success: false, error: 'API key is required' }, { status: 401 });
+    }
+
+    const authId = hashApiKey(apiKey);
+    const { id } = await params;
+    const { searchParams } = new URL(request.url);
+    const url = new URL(`${BACKEND_URL}/api/custom-views/${id}/items`);
+    url.searchParams.set('authId', authId);
+    for (const key of FORWARDED_PARAMS) {
+      const value = searchParams.get(key);
+      if (value != null) url.searchParams.set(key, value);
+    }
+
+    const response = await backendHttpGet(url, { headers: backendProxyHeaders(apiKey) });
+
+    if (response.ok) {
+      return NextResponse.json(response.data);
+    }
+    // 422 VIEW_NOT_SERVER_EVALUABLE tells the client to filter locally; keep its code and details
+    const errorData = response.data || {};
+    return NextResponse.json(
+      {
+        ...errorData,
+        success: false,
+        error: errorData.error || `Backend responded with status: ${response.status}`,
+      },
+      { status: response.status }
+    );
+  } catch (error) {
+    console.error('Error fetching custom view items from backend:', error);
+    return NextResponse.json({ success: false, error: sanitizeError(error) }, { status: 500 });
+  }
+}
@@ -0,0 +1,85 @@
+import { NextResponse } from 'next/server';
+import { headers } from 'next/headers';
+import crypto from 'crypto';
+import { isBackendDisabled, getBackendDisabledResponse } from '@/utils/backendCheck';
+import { backendHttpGet, backendHttpRequest, backendProxyHeaders } from '@/utils/backendRequest';
+import { sanitizeError } from '@/utils/sanitizeError';
+import { backendProxyErrorResponse, logRouteError } from '@/utils/routeLog';
+const BACKEND_URL = process.env.BACKEND_URL || 'http://torbox-backend:3001';
+
+/**
+ * Hash an API key to create a unique user identifier (matches backend implementation)
+ */
+function hashApiKey(apiKey) {
+  if (!apiKey) {
+    throw new Error('API key is required');
+  }
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/** Share links of a view (without tokens) -> { success, shares } */
+export async function GET(request, { params }) {
+  if (isBackendDisabled()) {
+    return getBackendDisabledResponse('Custom views feature is disabled when backend is disabled');
+  }
+
+  try {
+    const headersList = await headers();
+    const apiKey = headersList.get('x-api-key');
+
+    if (!apiKey) {
+      return NextResponse.json({ success: false, error: 'API key is required' }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const url = new URL(`${BACKEND_URL}/api/custom-views/${id}/shares`);
+    url.searchParams.set('authId', hashApiKey(apiKey));
+
+    const response = await backendHttpGet(url, { headers: backendProxyHeaders(apiKey) });
+
+    if (response.ok) {
+      return NextResponse.json(response.data);
+    }
+    return backendProxyErrorResponse(response, 'Error fetching view share links from backend');
+  } catch (error) {
+    logRouteError('Error fetching view share links from backend', error);
+    return NextResponse.json({ success: false, error: sanitizeError(error) }, { status: 500 });
+  }
+}
+
+/** Issue a share link -> { success, token, share }; `token` is not retrievable again */
+export async function POST(request, { params }) {
+  if (isBackendDisabled()) {
+    return getBackendDisabledResponse('Custom views feature is disabled when backend is disabled');
+  }
+
+  try {
+    const headersList = await headers();
+    const apiKey = headersList.get('x-api-key');
+
+    if (!apiKey) {
+      return NextResponse.json({ success: false, error: 'API key is required' }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const body = await request.json();
+    const requestBody = JSON.stringify({ ...body, authId: hashApiKey(apiKey) });
+
+    const response = await backendHttpRequest(`${BACKEND_URL}/api/custom-views/${id}/shares`, {
+      method: 'POST',
+      headers: backendProxyHeaders(apiKey, {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(requestBody),
+      }),
+      body: requestBody,
+    });
+
+    if (response.ok) {
+      return NextResponse.json(response.data);
+    }
+    return backendProxyErrorResponse(response, 'Error creating view share link in backend');
+  } catch (error) {
+    logRouteError('Error creating view share link in backend', error);
+    return NextResponse.json({ success: false, error: sanitizeError(error) }, { status: 500 });
+  }
+}
@@ -0,0 +1,60 @@
+import { NextResponse } from 'next/server';
+import { headers } from 'next/headers';
+import crypto from 'crypto';
+import { isBackendDisabled, getBackendDisabledResponse } from '@/utils/backendCheck';
+import { backendHttpGet, backendProxyHeaders } from '@/utils/backendRequest';
+import { sanitizeError } from '@/utils/sanitizeError';
+const BACKEND_URL = process.env.BACKEND_URL || 'http://torbox-backend:3001';
+
+/**
+ * Hash an API key to create a unique user identifier (matches backend implementation)
+ */
+function hashApiKey(apiKey) {
+  if (!apiKey) {
+    throw new Error('API key is required');
+  }
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/** Match counts per custom view; views the backend cannot evaluate are omitted. */
+export async function GET(request) {
+  if (isBackendDisabled()) {
+    return getBackendDisabledResponse('Custom views feature is disabled when backend is disabled');
+  }
+
+  try {
+    const headersList = await headers();
+    const apiKey = headersList.get('x-api-key');
+
+    if (!apiKey) {
+      return NextResponse.json({ success: false, error: 'API key is required' }, { status: 401 });
+    }
+
+    const authId = hashApiKey(apiKey);
+    const { searchParams } = new URL(request.url);
+    const url = new URL(`${BACKEND_URL}/api/custom-views/counts`);
+    url.searchParams.set('authId', authId);
+    for (const key of ['asset_type', 'refresh']) {
+      const value = searchParams.get(key);
+      if (value != null) url.searchParams.set(key, value);
+    }
+
+    const response = await backendHttpGet(url, { headers: backendProxyHeaders(apiKey) });
+
+    if (response.ok) {
+      return NextResponse.json(response.data);
+    }
+    const errorData = response.data || {};
+    return NextResponse.json(
+      {
+        success: false,
+        error: errorData.error || `Backend responded with status: ${response.status}`,
+        ...(errorData.code ? { code: errorData.code } : {}),
+      },
+      { status: response.status }
+    );
+  } catch (error) {
+    console.error('Error fetching custom view counts from backend:', error);
+    return NextResponse.json({ success: false, error: sanitizeError(error) }, { status: 500 });
+  }
+}
@@ -3,6 +3,7 @@ import fs from 'fs';
 import os from 'os';
 import path from 'path';
 import zlib from 'zlib';
+import { createLockFileSyncCoordinator } from '../downloadListSyncCoordination.js';
 
 const fetchFullDownloadListMock = mock(async () => ({
   success: true,
@@ -52,6 +53,7 @@ describe('downloadListSync', () => {
   let setDownloadListSyncCacheForTests;
   let setDownloadListSyncCacheMetaForTests;
   let setDownloadListSyncDiskOptionsForTests;
+  let setDownloadListSyncCoordinator;
   let flushMutationReconcileTimerForTests;
   let clearDownloadListSyncCacheOnlyForTests;
   let clearDownloadListSyncCoordinationForTests;
@@ -99,6 +101,7 @@ describe('downloadListSync', () => {
       setDownloadListSyncCacheForTests,
       setDownloadListSyncCacheMetaForTests,
       setDownloadListSyncDiskOptionsForTests,
+      setDownloadListSyncCoordinator,
       flushMutationReconcileTimerForTests,
       clearDownloadListSyncCacheOnlyForTests,
       clearDownloadListSyncCoordinationForTests,
@@ -971,7 +974,7 @@ describe('downloadListSync', () => {
       ).rejects.toThrow('TorBox unavailable');
     });
 
-    test('full reconcile skips publish when trusted mutation occurs during reconcile', async () => {
+    test('trusted mutation during a full reconcile applies after the reconcile publishes', async () => {
       setDownloadListSyncCacheForTests(API_KEY, TYPE, [
         item(1, '2020-01-02'),
         item(2, '2020-01-01'),
@@ -984,15 +987,15 @@ describe('downloadListSync', () => {
       fetchFullDownloadListMock.mockImplementation(() => pending);
 
       const reconcilePromise = runFullReconciliation(API_KEY, TYPE, { blocking: false });
-
-      await patchCacheRemoveIds(API_KEY, TYPE, [2]);
+      // Waits for the reconcile's lock instead of interleaving with it.
+      const patchPromise = patchCacheRemoveIds(API_KEY, TYPE, [2]);
 
       resolveFetch({
         success: true,
         data: [item(1, '2020-01-02'), item(2, '2020-01-01')],
         pageCount: 1,
       });
-      await reconcilePromise;
+      await Promise.all([reconcilePromise, patchPromise]);
 
       const entry = getDownloadListSyncCacheEntry(API_KEY, TYPE);
       expect(entry.data.map((row) => row.id)).toEqual([1]);
@@ -1149,4 +1152,96 @@ describe('downloadListSync', () => {
       expect(Buffer.compare(fs.readFileSync(bodyPath), fs.readFileSync(revPath))).toBe(0);
     });
   });
+
+  describe('cross-replica coordination', () => {
+    const lockPathForKey = (key) =>
+      path.join(testDiskDir, `${key.replace(/[^a-zA-Z0-9_-]/g, '_')}.lock`);
+    const lockKey = () =>
+      `${require('crypto').createHash('sha256').update(API_KEY).digest('hex')}:${TYPE}`;
+
+    /** A second replica sharing the cache dir, with its own lock table. */
+    function otherReplica() {
+      return createLockFileSyncCoordinator({ lockPathForKey, pollMs: 10 });
+    }
+
+    beforeEach(() => {
+      setDownloadListSyncCoordinator(createLockFileSyncCoordinator({ lockPathForKey, pollMs: 10 }));
+    });
+
+    test('full reconcile waiting on another replica adopts its publish', async () => {
+      setDownloadListSyncCacheForTests(API_KEY, TYPE, [item(1, '2020-01-02')]);
+      const release = otherReplica().tryAcquire(lockKey());
+      expect(release).not.toBeNull();
+
+      const pending = runFullReconciliation(API_KEY, TYPE, { blocking: true });
+      await new Promise((resolve) => setTimeout(resolve, 30));
+      const rev = setDownloadListSyncCacheForTests(API_KEY, TYPE, [
+        item(2, '2020-01-03'),
+        item(1, '2020-01-02'),
+      ]);
+      release();
+
+      await expect(pending).resolves.toEqual({ success: true, skipped: true });
+      expect(fetchFullDownloadListMock).not.toHaveBeenCalled();
+      expect(getDownloadListSyncCacheEntry(API_KEY, TYPE).rev).toBe(rev);
+    });
+
+    test('shallow refresh waiting on another replica skips the TorBox poll', async () => {
+      setDownloadListSyncCacheForTests(API_KEY, TYPE, [item(1, '2020-01-02')]);
+      setDownloadListSyncCacheMetaForTests(API_KEY, TYPE, { lastShallowPollAt: 0 });
+      const release = otherReplica().tryAcquire(lockKey());
+
+      const pending = ensureShallowRefreshIfStale(API_KEY, TYPE);
+      await new Promise((resolve) => setTimeout(resolve, 30));
+      setDownloadListSyncCacheMetaForTests(API_KEY, TYPE, { lastShallowPollAt: Date.now() });
+      release();
+
+      await expect(pending).resolves.toBe(true);
+      expect(fetchShallowDownloadListMock).not.toHaveBeenCalled();
+    });
+
+    test('shallow failure backoff persisted by another replica is honored', async () => {
+      setDownloadListSyncCacheForTests(API_KEY, TYPE, [item(1, '2020-01-02')]);
+      setDownloadListSyncCacheMetaForTests(API_KEY, TYPE, {
+        lastShallowPollAt: 0,
+        lastShallowAttemptAt: 0,
+      });
+      fetchShallowDownloadListMock.mockResolvedValueOnce(shallowResult([item(1, '2020-01-02')]));
+      await ensureShallowRefreshIfStale(API_KEY, TYPE);
+      fetchShallowDownloadListMock.mockClear();
+
+      setDownloadListSyncCacheMetaForTests(API_KEY, TYPE, {
+        lastShallowPollAt: 0,
+        lastShallowAttemptAt: Date.now(),
+        shallowFailureCount: 1,
+        lastShallowError: 'TorBox unavailable',
+      });
+
+      await expect(ensureShallowRefreshIfStale(API_KEY, TYPE)).resolves.toBe(false);
+      expect(fetchShallowDownloadListMock).not.toHaveBeenCalled();
+    });
+
+    test('mirror replaced by a newer rev falls back to the immutable rev body', () => {
+      const rev = setDownloadListSyncCacheForTests(API_KEY, TYPE, [item(1, '2020-01-02')]);
+      setDownloadListSyncCacheForTests(API_KEY, TYPE, [item(2, '2020-01-03')]);
+      const keyHash = require('crypto').createHash('sha256').update(API_KEY).digest('hex');
+      const metaPath = path.join(testDiskDir, `${keyHash}_torrents.json`);
+      const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+      meta.rev = rev;
+      fs.writeFileSync(metaPath, JSON.stringify(meta));
+
+      const cached = getDownloadListSyncCacheEntry(API_KEY, TYPE);
+      expect(cached.rev).toBe(rev);
+      expect(cached.data.map((row) => row.id)).toEqual([1]);
+    });
+
+    test('locks are released after a refresh', async () => {
+      setDownloadListSyncCacheForTests(API_KEY, TYPE, [item(1, '2020-01-02')]);
+      fetchShallowDownloadListMock.mockResolvedValueOnce(shallowResult([item(1, '2020-01-02')]));
+
+      await runShallowRefresh(API_KEY, TYPE, { blocking: true });
+
+      expect(fs.existsSync(lockPathForKey(lockKey()))).toBe(false);
+    });
+  });
 });
@@ -0,0 +1,174 @@
+import { describe, expect, test, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  createLocalSyncCoordinator,
+  createLockFileSyncCoordinator,
+  createSyncCoordinatorFromEnv,
+} from '../downloadListSyncCoordination.js';
+
+describe('downloadListSyncCoordination', () => {
+  /** @type {string} */
+  let dir;
+  const lockPathForKey = (key) => path.join(dir, `${key}.lock`);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'download-list-sync-lock-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    delete process.env.DOWNLOAD_SYNC_COORDINATION;
+  });
+
+  test('lock file excludes a second replica until released', () => {
+    const a = createLockFileSyncCoordinator({ lockPathForKey });
+    const b = createLockFileSyncCoordinator({ lockPathForKey });
+
+    const release = a.tryAcquire('user_torrents');
+    expect(release).toBeFunction();
+    expect(b.tryAcquire('user_torrents')).toBeNull();
+    expect(b.tryAcquire('user_usenet')).toBeFunction();
+
+    release();
+    expect(fs.existsSync(lockPathForKey('user_torrents'))).toBe(false);
+    expect(b.tryAcquire('user_torrents')).toBeFunction();
+  });
+
+  test('lock serializes holders within a replica', async () => {
+    const coordinator = createLockFileSyncCoordinator({ lockPathForKey, pollMs: 5 });
+
+    const outer = coordinator.tryAcquire('user_torrents');
+    expect(coordinator.tryAcquire('user_torrents')).toBeNull();
+
+    const waiting = coordinator.acquire('user_torrents', { waitMs: 1000 });
+    outer();
+    const inner = await waiting;
+    expect(inner).toBeFunction();
+    expect(fs.existsSync(lockPathForKey('user_torrents'))).toBe(true);
+    inner();
+    expect(fs.existsSync(lockPathForKey('user_torrents'))).toBe(false);
+  });
+
+  test('local coordinator serializes holders of one key', async () => {
+    const coordinator = createLocalSyncCoordinator();
+
+    const release = coordinator.tryAcquire('user_torrents');
+    expect(coordinator.tryAcquire('user_torrents')).toBeNull();
+    expect(coordinator.tryAcquire('user_usenet')).toBeFunction();
+    await expect(coordinator.acquire('user_torrents', { waitMs: 10 })).resolves.toBeNull();
+
+    setTimeout(release, 10);
+    const acquired = await coordinator.acquire('user_torrents');
+    expect(acquired).toBeFunction();
+    acquired();
+  });
+
+  test('stale lock left by a crashed replica is taken over', () => {
+    fs.writeFileSync(lockPathForKey('user_torrents'), JSON.stringify({ token: 'gone' }));
+    const old = new Date(Date.now() - 60_000);
+    fs.utimesSync(lockPathForKey('user_torrents'), old, old);
+
+    const coordinator = createLockFileSyncCoordinator({ lockPathForKey, staleMs: 30_000 });
+    const release = coordinator.tryAcquire('user_torrents');
+
+    expect(release).toBeFunction();
+    release();
+    expect(fs.existsSync(lockPathForKey('user_torrents'))).toBe(false);
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  test('a stale lock is taken over by only one replica', () => {
+    fs.writeFileSync(lockPathForKey('user_torrents'), JSON.stringify({ token: 'gone' }));
+    const old = new Date(Date.now() - 60_000);
+    fs.utimesSync(lockPathForKey('user_torrents'), old, old);
+
+    const a = createLockFileSyncCoordinator({ lockPathForKey, staleMs: 30_000 });
+    const b = createLockFileSyncCoordinator({ lockPathForKey, staleMs: 30_000 });
+    const release = a.tryAcquire('user_torrents');
+    expect(release).toBeFunction();
+    // b sees a fresh lock now; it must not remove it.
+    expect(b.tryAcquire('user_torrents')).toBeNull();
+    expect(fs.existsSync(lockPathForKey('user_torrents'))).toBe(true);
+    release();
+  });
+
+  test('a lock refreshed during a takeover race is left alone', () => {
+    const a = createLockFileSyncCoordinator({ lockPathForKey, staleMs: 30_000 });
+    const release = a.tryAcquire('user_torrents');
+    const token = JSON.parse(fs.readFileSync(lockPathForKey('user_torrents'), 'utf8')).token;
+
+    // b judged the lock stale, then a refreshed it before b claimed the takeover.
+    const statSync = fs.statSync;
+    let calls = 0;
+    fs.statSync = (...args) => {
+      calls += 1;
+      return calls === 1 ? { mtimeMs: 0 } : statSync(...args);
+    };
+    try {
+      const b = createLockFileSyncCoordinator({ lockPathForKey, staleMs: 30_000 });
+      expect(b.tryAcquire('user_torrents')).toBeNull();
+    } finally {
+      fs.statSync = statSync;
+    }
+
+    expect(JSON.parse(fs.readFileSync(lockPathForKey('user_torrents'), 'utf8')).token).toBe(token);
+    expect(fs.readdirSync(dir)).toEqual(['user_torrents.lock']);
+    release();
+  });
+
+  test('a replica claiming the takeover of a stale lock keeps others out', () => {
+    fs.writeFileSync(lockPathForKey('user_torrents'), JSON.stringify({ token: 'gone' }));
+    const old = new Date(Date.now() - 60_000);
+    fs.utimesSync(lockPathForKey('user_torrents'), old, old);
+    const claimPath = `${lockPathForKey('user_torrents')}.gone.takeover`;
+    fs.writeFileSync(claimPath, '');
+
+    const b = createLockFileSyncCoordinator({ lockPathForKey, staleMs: 30_000 });
+    expect(b.tryAcquire('user_torrents')).toBeNull();
+    expect(JSON.parse(fs.readFileSync(lockPathForKey('user_torrents'), 'utf8')).token).toBe('gone');
+
+    // A claim left by a replica that crashed mid-takeover goes stale too.
+    fs.utimesSync(claimPath, old, old);
+    const release = b.tryAcquire('user_torrents');
+    expect(release).toBeFunction();
+    release();
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  test('the heartbeat stops refreshing a lock another replica took over', async () => {
+    const a = createLockFileSyncCoordinator({ lockPathForKey, staleMs: 3000 });
+    const release = a.tryAcquire('user_torrents');
+    fs.writeFileSync(lockPathForKey('user_torrents'), JSON.stringify({ token: 'other' }));
+    const old = new Date(Date.now() - 60_000);
+    fs.utimesSync(lockPathForKey('user_torrents'), old, old);
+
+    await new Promise((resolve) => setTimeout(resolve, 1100));
+    expect(fs.statSync(lockPathForKey('user_torrents')).mtimeMs).toBe(old.getTime());
+    release();
+    expect(JSON.parse(fs.readFileSync(lockPathForKey('user_torrents'), 'utf8')).token).toBe(
+      'other'
+    );
+  });
+
+  test('acquire waits for release and gives up after waitMs', async () => {
+    const a = createLockFileSyncCoordinator({ lockPathForKey, pollMs: 5 });
+    const b = createLockFileSyncCoordinator({ lockPathForKey, pollMs: 5 });
+    const release = a.tryAcquire('user_torrents');
+
+    await expect(b.acquire('user_torrents', { waitMs: 20 })).resolves.toBeNull();
+
+    setTimeout(release, 20);
+    const acquired = await b.acquire('user_torrents', { waitMs: 1000 });
+    expect(acquired).toBeFunction();
+    acquired();
+  });
+
+  test('env selects the lock file coordinator and defaults to local', () => {
+    expect(createSyncCoordinatorFromEnv({ lockPathForKey }).name).toBe('local');
+    process.env.DOWNLOAD_SYNC_COORDINATION = 'lockfile';
+    expect(createSyncCoordinatorFromEnv({ lockPathForKey }).name).toBe('lockfile');
+    expect(createLocalSyncCoordinator().tryAcquire('user_torrents')).toBeFunction();
+  });
+});
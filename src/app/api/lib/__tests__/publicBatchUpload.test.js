@@ -0,0 +1,25 @@
+import { describe, expect, test } from 'bun:test';
+import { validatePublicBatchUploads } from '../publicBatchUpload.js';
+
+describe('validatePublicBatchUploads', () => {
+  test('accepts batches of the endpoint type', () => {
+    expect(validatePublicBatchUploads([{ type: 'usenet', upload_type: 'file' }], 'usenet')).toBe(
+      null
+    );
+    expect(validatePublicBatchUploads([{ type: 'webdl', upload_type: 'link' }], 'webdl')).toBe(
+      null
+    );
+  });
+
+  test('rejects uploads of another type', () => {
+    expect(
+      validatePublicBatchUploads(
+        [
+          { type: 'webdl', upload_type: 'link' },
+          { type: 'torrent', upload_type: 'magnet' },
+        ],
+        'webdl'
+      )
+    ).toBe('Only webdl uploads are supported by this endpoint');
+  });
+});
@@ -44,6 +44,32 @@ describe('toPublicUploadResponse', () => {
     });
   });
 
+  test('uses the TorBox id field and wording of the upload type', () => {
+    const response = toPublicUploadResponse({
+      id: 7,
+      type: 'usenet',
+      status: 'completed',
+      queue_order: 0,
+      torbox_hash: 'hash-value',
+      torbox_torrent_id: 55,
+      torbox_auth_id: 'auth-value',
+    });
+
+    expect(response.detail).toBe('Usenet Download Created Successfully');
+    expect(response.data).toEqual({
+      upload_id: 7,
+      status: 'completed',
+      queue_order: 0,
+      hash: 'hash-value',
+      usenetdownload_id: 55,
+      auth_id: 'auth-value',
+    });
+    expect(toPublicUploadResponse({ id: 8, type: 'webdl', status: 'queued' }).data).toHaveProperty(
+      'webdownload_id',
+      null
+    );
+  });
+
   test('includes error_message for failed uploads', () => {
     expect(
       toPublicUploadResponse({
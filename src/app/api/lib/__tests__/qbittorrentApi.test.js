@@ -0,0 +1,289 @@
+import { describe, expect, test, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  resetDownloadListSyncForTests,
+  setDownloadListSyncCacheForTests,
+  setDownloadListSyncDiskOptionsForTests,
+} from '../downloadListSync.js';
+import { handleQbittorrentRequest, magnetInfoHash, toQbittorrentState } from '../qbittorrentApi.js';
+
+const API_KEY = 'test-api-key-qbittorrent';
+const HASH_A = 'a'.repeat(40);
+const HASH_QUEUED = 'c12fe1c06bba254a9dc9f519b335aa7c1367a88a';
+const SERVICE_SECRET = 'test-service-secret-qbittorrent';
+
+/**
+ * Stand-in for both TorBox and the TorBox Manager backend, answering the calls the shim makes.
+ */
+function createFakeServices() {
+  const state = {
+    tags: [{ id: 1, name: 'tv-sonarr' }],
+    mappings: { 10: [{ id: 1, name: 'tv-sonarr' }] },
+    uploads: [
+      {
+        id: 7,
+        type: 'torrent',
+        status: 'queued',
+        name: 'Queued.Show.S01E02',
+        url: `magnet:?xt=urn:btih:${HASH_QUEUED}&dn=Queued.Show.S01E02`,
+        tag_ids: [1],
+        created_at: '2026-01-02 03:04:05',
+      },
+    ],
+    created: [],
+    deletedUploads: [],
+    torboxDeletes: [],
+    sessions: new Map(),
+  };
+
+  const json = (body, status = 200) => Response.json(body, { status });
+
+  async function fetchFake(url, init = {}) {
+    const { pathname } = new URL(String(url));
+    const method = init.method || 'GET';
+    const body = init.body ? JSON.parse(init.body) : null;
+    const apiKey = init.headers?.['x-api-key'];
+    if (pathname.startsWith('/api/backend/download-client-sessions')) {
+      if (init.headers?.['x-backend-service-secret'] !== SERVICE_SECRET) {
+        return json({ success: false, error: 'Forbidden' }, 403);
+      }
+      if (method === 'DELETE') {
+        state.sessions.delete(body.token);
+        return json({ success: true });
+      }
+      return state.sessions.has(body.token)
+        ? json({ success: true, apiKey: state.sessions.get(body.token) })
+        : json({ success: false, error: 'Invalid or expired session' }, 401);
+    }
+    if (pathname.startsWith('/api/') && apiKey !== API_KEY) {
+      return json({ success: false, error: 'User not registered' }, 404);
+    }
+
+    if (pathname === '/api/download-client-sessions' && method === 'POST') {
+      const token = `tbc_1_${'s'.repeat(42)}${state.sessions.size}`;
+      state.sessions.set(token, apiKey);
+      return json({ success: true, token });
+    }
+    if (pathname === '/api/tags' && method === 'GET') return json({ tags: state.tags });
+    if (pathname === '/api/tags' && method === 'POST') {
+      const tag = { id: state.tags.length + 1, name: body.name };
+      state.tags.push(tag);
+      return json({ success: true, tag });
+    }
+    if (pathname === '/api/downloads/tags') return json({ mappings: state.mappings });
+    if (pathname === '/api/uploads' && method === 'GET') return json({ data: state.uploads });
+    if (pathname === '/api/uploads' && method === 'POST') {
+      state.created.push(body);
+      return json({ success: true, data: { id: 100 + state.created.length, ...body } });
+    }
+    if (pathname.startsWith('/api/uploads/') && method === 'DELETE') {
+      state.deletedUploads.push(Number(pathname.split('/').pop()));
+      return json({ success: true });
+    }
+    if (pathname === '/api/downloads/protect/assert') return json({ success: true });
+    if (pathname === '/v1/api/torrents/controltorrent') {
+      state.torboxDeletes.push(body.torrent_id);
+      return json({ success: true });
+    }
+    throw new Error(`Unexpected fetch ${method} ${url}`);
+  }
+
+  return { state, fetchFake };
+}
+
+function qbRequest(
+  pathName,
+  { method = 'GET', form, query = '', cookie = null, apiKey = API_KEY, headers = {} } = {}
+) {
+  const request = new Request(`http://localhost/api/v2/${pathName}${query}`, {
+    method,
+    headers: {
+      ...(cookie ? { cookie } : {}),
+      ...(apiKey ? { 'x-api-key': apiKey } : {}),
+      ...headers,
+    },
+    body: form,
+  });
+  return handleQbittorrentRequest(request, pathName.split('/'));
+}
+
+describe('qbittorrentApi helpers', () => {
+  test('magnetInfoHash reads hex and base32 info hashes', () => {
+    expect(magnetInfoHash(`magnet:?xt=urn:btih:${HASH_QUEUED.toUpperCase()}`)).toBe(HASH_QUEUED);
+    expect(magnetInfoHash('magnet:?xt=urn:btih:YEX6DQDLXISUVHOJ6UM3GNNKPQJWPKEK&dn=x')).toBe(
+      HASH_QUEUED
+    );
+    expect(magnetInfoHash('https://example.com/file.torrent')).toBe(null);
+  });
+
+  test('toQbittorrentState maps TorBox progress onto qBittorrent states', () => {
+    expect(toQbittorrentState({ status: 'queued' })).toBe('queuedDL');
+    expect(toQbittorrentState({ download_state: 'metaDL', active: true })).toBe('metaDL');
+    expect(toQbittorrentState({ download_state: 'downloading', active: true })).toBe('downloading');
+    expect(toQbittorrentState({ download_state: 'stalled (no seeds)', active: true })).toBe(
+      'stalledDL'
+    );
+    expect(
+      toQbittorrentState({ download_finished: true, download_present: true, active: true })
+    ).toBe('uploading');
+    expect(toQbittorrentState({ download_finished: true, download_present: true })).toBe(
+      'pausedUP'
+    );
+    expect(toQbittorrentState({ download_finished: true, download_present: false })).toBe(
+      'checkingUP'
+    );
+    expect(toQbittorrentState({ download_state: 'error' })).toBe('error');
+  });
+});
+
+describe('qBittorrent API shim', () => {
+  let originalFetch;
+  let originalServiceSecret;
+  let services;
+  let testDiskDir;
+
+  beforeEach(async () => {
+    originalServiceSecret = process.env.BACKEND_SERVICE_SECRET;
+    process.env.BACKEND_SERVICE_SECRET = SERVICE_SECRET;
+    await resetDownloadListSyncForTests();
+    testDiskDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qbittorrent-api-'));
+    setDownloadListSyncDiskOptionsForTests({ dir: testDiskDir });
+    setDownloadListSyncCacheForTests(API_KEY, 'torrents', [
+      {
+        id: 10,
+        hash: HASH_A.toUpperCase(),
+        name: 'Finished.Show.S01E01',
+        size: 1000,
+        progress: 1,
+        download_finished: true,
+        download_present: true,
+        active: false,
+        ratio: 1.5,
+        created_at: '2026-01-01T00:00:00Z',
+        files: [{ name: 'Finished.Show.S01E01/episode.mkv', size: 1000 }],
+      },
+      { id: 11, hash: 'b'.repeat(40), name: 'Untagged', size: 500, progress: 0.5, active: true },
+    ]);
+
+    services = createFakeServices();
+    originalFetch = globalThis.fetch;
+    globalThis.fetch = services.fetchFake;
+  });
+
+  afterEach(async () => {
+    globalThis.fetch = originalFetch;
+    if (originalServiceSecret === undefined) delete process.env.BACKEND_SERVICE_SECRET;
+    else process.env.BACKEND_SERVICE_SECRET = originalServiceSecret;
+    await resetDownloadListSyncForTests();
+    fs.rmSync(testDiskDir, { recursive: true, force: true });
+  });
+
+  test('logs in with the TorBox API key and rejects anything else', async () => {
+    const form = new URLSearchParams({ username: 'admin', password: API_KEY });
+    const ok = await qbRequest('auth/login', { method: 'POST', form, apiKey: null });
+    expect(await ok.text()).toBe('Ok.');
+    const setCookie = ok.headers.get('set-cookie');
+    expect(setCookie).toMatch(
+      /^SID=tbc_\d+_[A-Za-z0-9_-]{43}; HttpOnly; SameSite=Strict; Path=\/api\/v2$/
+    );
+    expect(setCookie).not.toContain(API_KEY);
+
+    const cookie = setCookie.split(';')[0];
+    expect((await qbRequest('torrents/info', { cookie, apiKey: null })).status).toBe(200);
+    // The cookie is an opaque session token; the API key itself is not a session.
+    expect(
+      (await qbRequest('torrents/info', { cookie: `SID=${API_KEY}`, apiKey: null })).status
+    ).toBe(403);
+
+    const bad = new URLSearchParams({ username: 'admin', password: 'wrong' });
+    expect(
+      await (await qbRequest('auth/login', { method: 'POST', form: bad, apiKey: null })).text()
+    ).toBe('Fails.');
+    expect((await qbRequest('torrents/info', { apiKey: null })).status).toBe(403);
+
+    await qbRequest('auth/logout', { method: 'POST', cookie, apiKey: null });
+    expect(services.state.sessions.size).toBe(0);
+    expect((await qbRequest('torrents/info', { cookie, apiKey: null })).status).toBe(403);
+  });
+
+  test('refuses GET logins and marks the cookie Secure behind HTTPS', async () => {
+    const viaQuery = await qbRequest('auth/login', {
+      query: `?username=admin&password=${API_KEY}`,
+      apiKey: null,
+    });
+    expect(viaQuery.status).toBe(405);
+    expect(services.state.sessions.size).toBe(0);
+
+    const response = await qbRequest('auth/login', {
+      method: 'POST',
+      form: new URLSearchParams({ username: 'admin', password: API_KEY }),
+      apiKey: null,
+      headers: { 'x-forwarded-proto': 'https' },
+    });
+    expect(await response.text()).toBe('Ok.');
+    expect(response.headers.get('set-cookie')).toEndWith('; Secure');
+  });
+
+  test('lists TorBox torrents and queued uploads, filtered by category', async () => {
+    const all = await (await qbRequest('torrents/info')).json();
+    expect(all.map(({ hash, state }) => ({ hash, state }))).toEqual([
+      { hash: HASH_A, state: 'pausedUP' },
+      { hash: 'b'.repeat(40), state: 'downloading' },
+      { hash: HASH_QUEUED, state: 'queuedDL' },
+    ]);
+    expect(all[0]).toMatchObject({
+      category: 'tv-sonarr',
+      progress: 1,
+      ratio: 1.5,
+      content_path: '/downloads/Finished.Show.S01E01',
+    });
+
+    const sonarr = await (
+      await qbRequest('torrents/info', { query: '?category=tv-sonarr' })
+    ).json();
+    expect(sonarr.map((torrent) => torrent.name)).toEqual([
+      'Finished.Show.S01E01',
+      'Queued.Show.S01E02',
+    ]);
+
+    const categories = await (await qbRequest('torrents/categories')).json();
+    expect(categories).toEqual({ 'tv-sonarr': { name: 'tv-sonarr', savePath: '/downloads' } });
+  });
+
+  test('adds magnets to the upload queue tagged with the category, creating it', async () => {
+    const form = new FormData();
+    form.set('urls', 'magnet:?xt=urn:btih:' + 'd'.repeat(40) + '\nhttps://example.com/x.torrent');
+    form.set('category', 'radarr');
+    form.set('paused', 'true');
+
+    const response = await qbRequest('torrents/add', { method: 'POST', form });
+    expect(await response.text()).toBe('Ok.');
+    expect(services.state.tags.map((tag) => tag.name)).toEqual(['tv-sonarr', 'radarr']);
+    expect(services.state.created).toEqual([
+      expect.objectContaining({ upload_type: 'magnet', tag_ids: [2], as_queued: true }),
+      expect.objectContaining({
+        upload_type: 'link',
+        url: 'https://example.com/x.torrent',
+        tag_ids: [2],
+      }),
+    ]);
+  });
+
+  test('deletes TorBox torrents and queued uploads by hash', async () => {
+    const form = new URLSearchParams({ hashes: `${HASH_A}|${HASH_QUEUED}`, deleteFiles: 'true' });
+    const response = await qbRequest('torrents/delete', { method: 'POST', form });
+    expect(response.status).toBe(200);
+    expect(services.state.torboxDeletes).toEqual([10]);
+    expect(services.state.deletedUploads).toEqual([7]);
+  });
+
+  test('refuses to delete every torrent with hashes=all', async () => {
+    const form = new URLSearchParams({ hashes: 'all', deleteFiles: 'true' });
+    const response = await qbRequest('torrents/delete', { method: 'POST', form });
+    expect(response.status).toBe(400);
+    expect(services.state.torboxDeletes).toEqual([]);
+    expect(services.state.deletedUploads).toEqual([]);
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, expect, test } from 'bun:test';
-import { resolveTorboxApiKeyFromHeaders } from '../resolveTorboxApiKey.js';
+import { resolveTorboxApiKeyFromHeaders, resolveTorboxCredential } from '../resolveTorboxApiKey.js';
 
 describe('resolveTorboxApiKeyFromHeaders', () => {
   test('extracts bearer token before x-api-key', () => {
@@ -27,3 +27,33 @@ describe('resolveTorboxApiKeyFromHeaders', () => {
     expect(resolveTorboxApiKeyFromHeaders(headers)).toBe(null);
   });
 });
+
+describe('resolveTorboxCredential', () => {
+  test('passes TorBox API keys through', async () => {
+    const headers = new Headers({ 'x-api-key': 'header-key' });
+
+    expect(
+      await resolveTorboxCredential(headers, { route: 'POST /api/v1/torrents/batch' })
+    ).toEqual({
+      apiKey: 'header-key',
+      response: null,
+    });
+  });
+
+  test('rejects personal access tokens on routes that accept no scopes', async () => {
+    const headers = new Headers({ Authorization: `Bearer tbm_1_${'a'.repeat(43)}` });
+
+    const { apiKey, response } = await resolveTorboxCredential(headers);
+    expect(apiKey).toBe(null);
+    expect(response.status).toBe(403);
+  });
+
+  test('rejects personal access tokens on routes without an access token scope', async () => {
+    const headers = new Headers({ Authorization: `Bearer tbm_1_${'a'.repeat(43)}` });
+
+    const { response } = await resolveTorboxCredential(headers, {
+      route: 'DELETE /api/torrents',
+    });
+    expect(response.status).toBe(403);
+  });
+});
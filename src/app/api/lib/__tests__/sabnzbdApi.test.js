@@ -0,0 +1,269 @@
+import { describe, expect, test, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  resetDownloadListSyncForTests,
+  setDownloadListSyncCacheForTests,
+  setDownloadListSyncDiskOptionsForTests,
+} from '../downloadListSync.js';
+import {
+  formatTimeLeft,
+  handleSabnzbdRequest,
+  resetSabnzbdDownloadLinksForTests,
+} from '../sabnzbdApi.js';
+
+const API_KEY = 'test-api-key-sabnzbd';
+
+/**
+ * Stand-in for both TorBox and the TorBox Manager backend, answering the calls the shim makes.
+ */
+function createFakeServices() {
+  const state = {
+    tags: [{ id: 1, name: 'tv' }],
+    mappings: { 21: [{ id: 1, name: 'tv' }] },
+    uploads: [
+      // Picked up by TorBox as usenet download 20.
+      {
+        id: 5,
+        status: 'completed',
+        name: 'Show.S01E01',
+        torbox_torrent_id: 20,
+        tag_ids: [1],
+      },
+      { id: 6, status: 'queued', name: 'Show.S01E02', priority: 'urgent', tag_ids: [1] },
+      { id: 8, status: 'failed', name: 'Broken', error_message: 'Invalid NZB', tag_ids: [] },
+    ],
+    staged: [],
+    created: [],
+    deletedUploads: [],
+    torboxDeletes: [],
+    linkRequests: [],
+  };
+
+  const json = (body, status = 200) => Response.json(body, { status });
+
+  async function fetchFake(url, init = {}) {
+    const { pathname } = new URL(String(url));
+    const method = init.method || 'GET';
+    const body = init.body ? JSON.parse(init.body) : null;
+    if (pathname.startsWith('/api/') && init.headers?.['x-api-key'] !== API_KEY) {
+      return json({ success: false, error: 'User not registered' }, 404);
+    }
+
+    if (pathname === '/api/tags' && method === 'GET') return json({ tags: state.tags });
+    if (pathname === '/api/tags' && method === 'POST') {
+      const tag = { id: state.tags.length + 1, name: body.name };
+      state.tags.push(tag);
+      return json({ success: true, tag });
+    }
+    if (pathname === '/api/downloads/tags') return json({ mappings: state.mappings });
+    if (pathname === '/api/uploads' && method === 'GET') return json({ data: state.uploads });
+    if (pathname === '/api/uploads/file' && method === 'POST') {
+      state.staged.push(body);
+      return json({ success: true, data: { file_path: `/staged/${body.filename}` } });
+    }
+    if (pathname === '/api/uploads' && method === 'POST') {
+      state.created.push(body);
+      return json({ success: true, data: { id: 40 + state.created.length, ...body } });
+    }
+    if (pathname.startsWith('/api/uploads/') && method === 'DELETE') {
+      state.deletedUploads.push(Number(pathname.split('/').pop()));
+      return json({ success: true });
+    }
+    if (pathname === '/api/downloads/protect/assert') return json({ success: true });
+    if (pathname === '/v1/api/usenet/requestdl') {
+      const usenetId = new URL(String(url)).searchParams.get('usenet_id');
+      state.linkRequests.push(Number(usenetId));
+      return json({ success: true, data: `https://cdn.torbox.example/dl/${usenetId}?sig=abc` });
+    }
+    if (pathname === '/v1/api/usenet/controlusenetdownload') {
+      state.torboxDeletes.push(body.usenet_id);
+      return json({ success: true });
+    }
+    throw new Error(`Unexpected fetch ${method} ${url}`);
+  }
+
+  return { state, fetchFake };
+}
+
+async function sabRequest(query, { form, apiKey = API_KEY } = {}) {
+  const params = new URLSearchParams({
+    output: 'json',
+    ...(apiKey && { apikey: apiKey }),
+    ...query,
+  });
+  const request = new Request(`http://localhost/api/sabnzbd/api?${params}`, {
+    method: form ? 'POST' : 'GET',
+    body: form,
+  });
+  return (await handleSabnzbdRequest(request)).json();
+}
+
+describe('formatTimeLeft', () => {
+  test('formats seconds as H:MM:SS', () => {
+    expect(formatTimeLeft(3725)).toBe('1:02:05');
+    expect(formatTimeLeft(null)).toBe('0:00:00');
+  });
+});
+
+describe('SABnzbd API shim', () => {
+  let originalFetch;
+  let services;
+  let testDiskDir;
+
+  beforeEach(async () => {
+    await resetDownloadListSyncForTests();
+    testDiskDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sabnzbd-api-'));
+    setDownloadListSyncDiskOptionsForTests({ dir: testDiskDir });
+    setDownloadListSyncCacheForTests(API_KEY, 'usenet', [
+      {
+        id: 20,
+        name: 'Show.S01E01',
+        size: 2 * 1024 * 1024,
+        progress: 1,
+        download_finished: true,
+        download_present: true,
+        updated_at: '2026-01-01T00:00:00Z',
+      },
+      {
+        id: 21,
+        name: 'Show.S01E03',
+        size: 4 * 1024 * 1024,
+        progress: 0.25,
+        active: true,
+        eta: 90,
+        download_speed: 2048,
+      },
+    ]);
+
+    services = createFakeServices();
+    originalFetch = globalThis.fetch;
+    globalThis.fetch = services.fetchFake;
+  });
+
+  afterEach(async () => {
+    globalThis.fetch = originalFetch;
+    resetSabnzbdDownloadLinksForTests();
+    await resetDownloadListSyncForTests();
+    fs.rmSync(testDiskDir, { recursive: true, force: true });
+  });
+
+  test('checks the API key like SABnzbd', async () => {
+    expect(await sabRequest({ mode: 'version' }, { apiKey: null })).toEqual({ version: '4.3.3' });
+    expect(await sabRequest({ mode: 'queue' }, { apiKey: null })).toEqual({
+      status: false,
+      error: 'API Key Required',
+    });
+    expect(await sabRequest({ mode: 'queue' }, { apiKey: 'wrong' })).toEqual({
+      status: false,
+      error: 'API Key Incorrect',
+    });
+    expect(await sabRequest({ mode: 'get_cats' })).toEqual({ categories: ['*', 'tv'] });
+  });
+
+  test('queue lists downloading and queued NZBs under their tag category', async () => {
+    const { queue } = await sabRequest({ mode: 'queue', category: 'tv' });
+    expect(queue.kbpersec).toBe('2.00');
+    expect(queue.slots).toEqual([
+      expect.objectContaining({
+        nzo_id: 'SABnzbd_nzo_torbox21',
+        status: 'Downloading',
+        mb: '4.00',
+        mbleft: '3.00',
+        percentage: '25',
+        timeleft: '0:01:30',
+      }),
+      expect.objectContaining({
+        nzo_id: 'SABnzbd_nzo_tbm6',
+        status: 'Queued',
+        priority: 'High',
+        cat: 'tv',
+      }),
+    ]);
+  });
+
+  test('history keeps the upload nzo_id and points storage at the TorBox download', async () => {
+    const { history } = await sabRequest({ mode: 'history' });
+    expect(history.slots.map(({ nzo_id, status }) => ({ nzo_id, status }))).toEqual([
+      { nzo_id: 'SABnzbd_nzo_tbm5', status: 'Completed' },
+      { nzo_id: 'SABnzbd_nzo_tbm8', status: 'Failed' },
+    ]);
+    expect(history.slots[0].category).toBe('tv');
+    expect(history.slots[0].storage).toBe('https://cdn.torbox.example/dl/20?sig=abc');
+    expect(JSON.stringify(history)).not.toContain(API_KEY);
+    expect(history.slots[1].fail_message).toBe('Invalid NZB');
+
+    // Links are cached between polls.
+    await sabRequest({ mode: 'history' });
+    expect(services.state.linkRequests).toEqual([20]);
+  });
+
+  test('addfile and addurl queue usenet uploads tagged with the category', async () => {
+    const form = new FormData();
+    form.set('name', new File(['<nzb/>'], 'Movie.2024.nzb'));
+    const added = await sabRequest({ mode: 'addfile', cat: 'movies', priority: '-1' }, { form });
+    expect(added).toEqual({ status: true, nzo_ids: ['SABnzbd_nzo_tbm41'] });
+
+    await sabRequest({ mode: 'addurl', name: 'https://indexer.example/get/1.nzb', cat: 'tv' });
+
+    expect(services.state.staged).toEqual([
+      {
+        file_data: Buffer.from('<nzb/>').toString('base64'),
+        filename: 'Movie.2024.nzb',
+        type: 'usenet',
+      },
+    ]);
+    expect(services.state.created).toEqual([
+      expect.objectContaining({
+        type: 'usenet',
+        upload_type: 'file',
+        file_path: '/staged/Movie.2024.nzb',
+        name: 'Movie.2024',
+        priority: 'bulk',
+        tag_ids: [2],
+      }),
+      expect.objectContaining({
+        upload_type: 'link',
+        url: 'https://indexer.example/get/1.nzb',
+        tag_ids: [1],
+      }),
+    ]);
+  });
+
+  test('deletes from the queue and, with del_files, from TorBox via history', async () => {
+    await sabRequest({
+      mode: 'queue',
+      name: 'delete',
+      value: 'SABnzbd_nzo_tbm6,SABnzbd_nzo_torbox21',
+    });
+    // Download 21 was not added through this API, so it is left alone.
+    expect(services.state.deletedUploads).toEqual([6]);
+    expect(services.state.torboxDeletes).toEqual([]);
+
+    await sabRequest({
+      mode: 'history',
+      name: 'delete',
+      value: 'SABnzbd_nzo_tbm5',
+      del_files: '1',
+    });
+    expect(services.state.deletedUploads).toEqual([6, 5]);
+    expect(services.state.torboxDeletes).toEqual([20]);
+  });
+
+  test('delete all only touches NZBs added through this API', async () => {
+    setDownloadListSyncCacheForTests(API_KEY, 'usenet', [
+      { id: 20, name: 'Show.S01E01', download_finished: true, download_present: true },
+      { id: 21, name: 'Show.S01E03', progress: 0.25, active: true },
+      { id: 22, name: 'Added.Elsewhere', download_finished: true, download_present: true },
+    ]);
+
+    await sabRequest({ mode: 'queue', name: 'delete', value: 'all' });
+    expect(services.state.deletedUploads).toEqual([6]);
+    expect(services.state.torboxDeletes).toEqual([]);
+
+    await sabRequest({ mode: 'history', name: 'delete', value: 'all', del_files: '1' });
+    expect(services.state.deletedUploads).toEqual([6, 5, 8]);
+    expect(services.state.torboxDeletes).toEqual([20]);
+  });
+});
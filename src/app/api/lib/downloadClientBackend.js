@@ -0,0 +1,57 @@
+/**
+ * Backend calls shared by the download client compatibility APIs (qBittorrent, SABnzbd).
+ */
+import { backendProxyHeaders } from '@/utils/backendRequest';
+import { safeJsonParse } from '@/utils/safeJsonParse';
+
+const BACKEND_URL = process.env.BACKEND_URL || 'http://torbox-backend:3001';
+
+/**
+ * JSON request to the backend as the given user, or as the server alone for internal routes.
+ * @param {string|null} apiKey
+ * @param {string} path - e.g. `/api/tags`
+ * @param {{ method?: string, body?: object }} [options]
+ * @returns {Promise<object>} Parsed body
+ * @throws {Error} With the backend `status` when the response is not 2xx
+ */
+export async function backendJson(apiKey, path, { method = 'GET', body } = {}) {
+  const response = await fetch(`${BACKEND_URL}${path}`, {
+    cache: 'no-store',
+    method,
+    headers: backendProxyHeaders(apiKey, { 'Content-Type': 'application/json' }),
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const data = await safeJsonParse(response);
+  if (!response.ok) {
+    throw Object.assign(
+      new Error(data.error || `Backend responded with status: ${response.status}`),
+      { status: response.status }
+    );
+  }
+  return data;
+}
+
+/** @returns {Promise<{ id: number, name: string }[]>} */
+export async function listTags(apiKey) {
+  return (await backendJson(apiKey, '/api/tags')).tags || [];
+}
+
+/**
+ * Find a tag by name (case-insensitive, like the tags API), creating it when missing. A created
+ * tag is appended to `tags`.
+ * @param {string} apiKey
+ * @param {string} name
+ * @param {{ id: number, name: string }[]} tags - Result of listTags
+ */
+export async function ensureTag(apiKey, name, tags) {
+  const existing = tags.find((tag) => tag.name.toLowerCase() === name.toLowerCase());
+  if (existing) return existing;
+  const { tag } = await backendJson(apiKey, '/api/tags', { method: 'POST', body: { name } });
+  tags.push(tag);
+  return tag;
+}
+
+/** @returns {Promise<Record<string, { id: number, name: string }[]>>} Tags by download id */
+export async function listDownloadTags(apiKey) {
+  return (await backendJson(apiKey, '/api/downloads/tags')).mappings || {};
+}
@@ -8,13 +8,16 @@
  * No durable in-memory catalog — only lightweight per-key coordination
  * (coalesced promises) stays in process RAM. Shallow failure backoff is also
  * persisted in disk meta so restarts honor TorBox fault holds.
- * Single Next.js instance assumed (Docker Compose default).
+ * Replicas sharing the cache directory coordinate refreshes and rev allocation
+ * through a per-key lock (downloadListSyncCoordination); the default is a
+ * single Next.js instance with no cross-process locking.
  */
 
 import fs from 'fs';
 import path from 'path';
 import zlib from 'zlib';
 import { hashApiKey } from '@/app/api/lib/hashApiKey';
+import { createSyncCoordinatorFromEnv } from '@/app/api/lib/downloadListSyncCoordination';
 import {
   fetchFullDownloadList,
   fetchShallowDownloadList,
@@ -31,6 +34,8 @@ const RECONCILE_INTERVAL_MS =
 const RECONCILE_JITTER_MS = Number(process.env.DOWNLOAD_SYNC_RECONCILE_JITTER_MS) || 60 * 1000;
 const SHALLOW_FRESHNESS_MS = Number(process.env.DOWNLOAD_SYNC_SHALLOW_FRESHNESS_MS) || 10 * 1000;
 const MUTATION_RECONCILE_DELAY_MS = 30 * 1000;
+/** A full reconcile outwaits another one in progress instead of fetching the list again. */
+const FULL_RECONCILE_LOCK_WAIT_MS = 2 * 60 * 1000;
 const RECONCILE_FAILURE_BACKOFF_BASE_MS = 15 * 1000;
 const RECONCILE_FAILURE_BACKOFF_MAX_MS = RECONCILE_INTERVAL_MS;
 /** Client faults (e.g. PLAN_RESTRICTED) — avoid hammering TorBox on every poll. */
@@ -57,6 +62,8 @@ let diskCacheDirOverride = null;
 let diskDirEnsured = null;
 /** @type {number} */
 let diskFailureLogAt = 0;
+/** @type {import('./downloadListSyncCoordination').SyncCoordinator | null} */
+let syncCoordinator = null;
 
 /** @type {Map<string, ReturnType<typeof setTimeout>>} */
 const mutationReconcileTimers = new Map();
@@ -164,10 +171,23 @@ function diskPathsForKey(key) {
     metaPath: `${base}.json`,
     bodyPath: `${base}.gz`,
     revPath: (rev) => `${base}.rev.${rev}.gz`,
+    lockPath: `${base}.lock`,
     stem: safeDiskFilename(key),
   };
 }
 
+function getSyncCoordinator() {
+  if (!syncCoordinator) {
+    syncCoordinator = createSyncCoordinatorFromEnv({
+      lockPathForKey: (key) => {
+        ensureDiskDir();
+        return diskPathsForKey(key).lockPath;
+      },
+    });
+  }
+  return syncCoordinator;
+}
+
 function logDiskFailure(message) {
   const now = Date.now();
   if (now - diskFailureLogAt < RECONCILE_FAILURE_LOG_RATE_MS) return;
@@ -360,24 +380,39 @@ function persistEntryMeta(key, entry) {
 }
 
 /**
+ * Gzip body for the rev meta points at. Another replica may replace the mirror between our meta
+ * and body reads; the immutable rev file still holds the body then.
  * @param {string} key
- * @returns {CacheEntry | null}
+ * @param {number} rev
+ * @returns {Buffer | null} null when the entry is unreadable (caller deletes it)
  */
-function readDiskEntry(key) {
-  const shell = readDiskMetaOnly(key);
-  if (!shell) return null;
+function readDiskBodyForRev(key, rev) {
   const compressedBody = readDiskBodyOnly(key);
-  if (!compressedBody) {
-    deleteDiskEntry(key);
+  if (!compressedBody) return null;
+  try {
+    const parsed = decompressBody(compressedBody);
+    if (parsed?.rev == null || parsed.rev === rev) return compressedBody;
+  } catch {
     return null;
   }
+  const { revPath } = diskPathsForKey(key);
   try {
-    const parsed = decompressBody(compressedBody);
-    if (parsed?.rev != null && parsed.rev !== shell.rev) {
-      deleteDiskEntry(key);
-      return null;
-    }
+    const revBody = fs.readFileSync(revPath(rev));
+    return Buffer.isBuffer(revBody) && revBody.length > 0 ? revBody : null;
   } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {string} key
+ * @returns {CacheEntry | null}
+ */
+function readDiskEntry(key) {
+  const shell = readDiskMetaOnly(key);
+  if (!shell) return null;
+  const compressedBody = readDiskBodyForRev(key, shell.rev);
+  if (!compressedBody) {
     deleteDiskEntry(key);
     return null;
   }
@@ -393,21 +428,11 @@ function readDiskEntry(key) {
  */
 function ensureEntryBody(entry, key) {
   if (entry?.compressedBody) return true;
-  const compressedBody = readDiskBodyOnly(key);
+  const compressedBody = readDiskBodyForRev(key, entry.rev);
   if (!compressedBody) {
     deleteDiskEntry(key);
     return false;
   }
-  try {
-    const parsed = decompressBody(compressedBody);
-    if (parsed?.rev != null && parsed.rev !== entry.rev) {
-      deleteDiskEntry(key);
-      return false;
-    }
-  } catch {
-    deleteDiskEntry(key);
-    return false;
-  }
   entry.compressedBody = compressedBody;
   return true;
 }
@@ -440,6 +465,20 @@ export function cachedListSyncError(message) {
   return error;
 }
 
+/**
+ * Another replica is refreshing or writing the key. Held locks are touched far more often than
+ * the TTL, so an older one was abandoned.
+ * @param {string} lockPath
+ * @param {number} now
+ */
+function isLockFileHeld(lockPath, now) {
+  try {
+    return now - fs.statSync(lockPath).mtimeMs <= CACHE_TTL_MS;
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Remove disk entries whose lastAccess exceeds CACHE_TTL_MS.
  */
@@ -468,6 +507,8 @@ function evictExpiredDiskEntries() {
       if (now - (meta.lastAccess || 0) <= CACHE_TTL_MS) continue;
 
       const stem = name.slice(0, -'.json'.length);
+      const lockPath = path.join(dir, `${stem}.lock`);
+      if (isLockFileHeld(lockPath, now)) continue;
       let skipDelete = false;
       for (const key of [...syncStateByKey.keys()]) {
         if (safeDiskFilename(key) !== stem) continue;
@@ -491,6 +532,11 @@ function evictExpiredDiskEntries() {
       } catch {
         /* ignore */
       }
+      try {
+        fs.unlinkSync(lockPath);
+      } catch {
+        /* no lock, or abandoned by a crashed replica */
+      }
       const prefix = `${stem}.rev.`;
       for (const revName of names) {
         if (!revName.startsWith(prefix) || !revName.endsWith('.gz')) continue;
@@ -853,7 +899,20 @@ function getEntry(authId, type, { touch = true, body = true } = {}) {
     const now = Date.now();
     if (now - entry.lastAccess >= LAST_ACCESS_TOUCH_INTERVAL_MS) {
       entry.lastAccess = now;
-      writeDiskMeta(key, entry);
+      // Best effort: a replica holding the lock may be publishing a newer rev; rewriting the
+      // meta read above would roll it back. Its write refreshes lastAccess anyway.
+      const release = getSyncCoordinator().tryAcquire(key);
+      if (release) {
+        try {
+          const latest = readDiskMetaOnly(key);
+          if (latest) {
+            latest.lastAccess = now;
+            writeDiskMeta(key, latest);
+          }
+        } finally {
+          release();
+        }
+      }
     }
   }
   return entry;
@@ -1020,6 +1079,28 @@ function isBackgroundReconcileDue(authId, type, entry) {
   return Date.now() >= Math.max(dueAt, attemptDueAt);
 }
 
+/**
+ * Run `task` holding the key's lock, which serializes holders in this process and, with the
+ * lock file coordinator, across replicas. The uncontended path stays synchronous up to the task's
+ * first await.
+ * @template T
+ * @param {string} key
+ * @param {{ waitMs?: number, onBusy: () => T }} options — onBusy: result when another holder
+ *   keeps the lock for the whole wait
+ * @param {() => Promise<T>} task
+ * @returns {Promise<T>}
+ */
+async function withSyncLock(key, { waitMs, onBusy }, task) {
+  const coordinator = getSyncCoordinator();
+  const release = coordinator.tryAcquire(key) ?? (await coordinator.acquire(key, { waitMs }));
+  if (!release) return onBusy();
+  try {
+    return await task();
+  } finally {
+    release();
+  }
+}
+
 /**
  * @param {string} apiKey
  * @param {string} type
@@ -1041,12 +1122,20 @@ export async function runFullReconciliation(apiKey, type, { blocking = true } =
     return undefined;
   }
 
-  const reconcileTask = (async () => {
+  const requestedAt = Date.now();
+  const onBusy = () => ({ success: true, skipped: true });
+  const lockOptions = { waitMs: FULL_RECONCILE_LOCK_WAIT_MS, onBusy };
+  const reconcileTask = withSyncLock(key, lockOptions, async () => {
     const now = Date.now();
     const existingEntry = getEntry(authId, type, { touch: false, body: false });
     const publishGenerationAtStart = state.publishGeneration;
     const revAtStart = existingEntry?.rev ?? null;
 
+    // Another replica reconciled while this one waited for the lock.
+    if ((existingEntry?.lastFullReconcileAt ?? 0) > requestedAt) {
+      return { success: true, skipped: true };
+    }
+
     if (existingEntry) {
       patchEntry(authId, type, existingEntry, {
         reconcileState: 'reconciling',
@@ -1130,7 +1219,7 @@ export async function runFullReconciliation(apiKey, type, { blocking = true } =
       }
       return { success: false, error, reconcileError };
     }
-  })();
+  });
 
   state.fullReconcilePromise = reconcileTask;
   reconcileTask.finally(() => {
@@ -1172,7 +1261,10 @@ async function runShallowRefresh(apiKey, type, { blocking = true } = {}) {
     return undefined;
   }
 
-  const refreshTask = (async () => {
+  const requestedAt = Date.now();
+  // Wait no longer than the data stays fresh; the lock holder is refreshing this list anyway.
+  const lockOptions = { waitMs: SHALLOW_FRESHNESS_MS, onBusy: () => ({ success: true }) };
+  const refreshTask = withSyncLock(key, lockOptions, async () => {
     const attemptAt = Date.now();
     state.lastShallowAttemptAt = attemptAt;
 
@@ -1181,6 +1273,10 @@ async function runShallowRefresh(apiKey, type, { blocking = true } = {}) {
       if (!entry) {
         return { success: false };
       }
+      // Another replica polled TorBox while this one waited for the lock.
+      if ((entry.lastShallowPollAt ?? 0) > requestedAt) {
+        return { success: true };
+      }
 
       const revBefore = entry.rev;
       const prevList = getEntryData(entry);
@@ -1191,10 +1287,8 @@ async function runShallowRefresh(apiKey, type, { blocking = true } = {}) {
         throw new Error('SHALLOW_FETCH_FAILED');
       }
 
-      if (state.fullReconcilePromise) {
-        await state.fullReconcilePromise.catch(() => {});
-      }
-
+      // A full reconcile cannot publish while this refresh holds the lock; revs moved by
+      // trusted mutations before it are caught below.
       const currentEntry = getEntry(authId, type, { touch: false, body: false });
       if (!currentEntry || !diskEntryExists(key)) {
         return { success: false };
@@ -1262,7 +1356,7 @@ async function runShallowRefresh(apiKey, type, { blocking = true } = {}) {
       logReconcileFailure(type, state.lastShallowError, state.shallowFailureCount, 'shallow');
       return { success: false };
     }
-  })();
+  });
 
   state.shallowRefreshPromise = refreshTask;
   refreshTask.finally(() => {
@@ -1294,12 +1388,16 @@ async function ensureShallowRefreshIfStale(apiKey, type, { force = false } = {})
   const lastPoll = entry.lastShallowPollAt || 0;
   if (!force && Date.now() - lastPoll < SHALLOW_FRESHNESS_MS) return false;
 
+  // Meta carries failures other replicas persisted; state covers this process's attempt in flight.
+  const stateFailures = state.shallowFailureCount || 0;
+  const metaFailures = entry.shallowFailureCount || 0;
+  const failureCount = Math.max(stateFailures, metaFailures);
   const shallowBackoff = effectiveShallowFailureBackoffMs(
-    state.shallowFailureCount || 0,
-    state.lastShallowError
+    failureCount,
+    metaFailures > stateFailures ? entry.lastShallowError : state.lastShallowError
   );
-  const lastAttempt = state.lastShallowAttemptAt || 0;
-  if (state.shallowFailureCount > 0 && Date.now() - lastAttempt < shallowBackoff) return false;
+  const lastAttempt = Math.max(state.lastShallowAttemptAt || 0, entry.lastShallowAttemptAt || 0);
+  if (failureCount > 0 && Date.now() - lastAttempt < shallowBackoff) return false;
 
   await runShallowRefresh(apiKey, type, { blocking: true });
   return true;
@@ -1425,19 +1523,22 @@ export async function patchCacheRemoveIds(apiKey, type, ids) {
 
   const authId = hashApiKey(apiKey);
   const key = getCacheKey(authId, type);
-  const entry = getEntry(authId, type);
-  if (!entry) return;
-
-  const state = getSyncState(key);
-  state.publishGeneration += 1;
-
-  const idSet = new Set(ids);
-  const data = getEntryData(entry).filter((item) => !idSet.has(item.id));
-  writeEntry(authId, type, data, {
-    reconcileState: 'stale',
-    isMultiPage: entry.isMultiPage,
+  const onBusy = () => scheduleMutationReconcile(apiKey, type);
+  await withSyncLock(key, { onBusy }, async () => {
+    const entry = getEntry(authId, type);
+    if (!entry) return;
+
+    const state = getSyncState(key);
+    state.publishGeneration += 1;
+
+    const idSet = new Set(ids);
+    const data = getEntryData(entry).filter((item) => !idSet.has(item.id));
+    writeEntry(authId, type, data, {
+      reconcileState: 'stale',
+      isMultiPage: entry.isMultiPage,
+    });
+    scheduleMutationReconcile(apiKey, type);
   });
-  scheduleMutationReconcile(apiKey, type);
 }
 
 /**
@@ -1542,6 +1643,18 @@ export function buildListSyncResponse(result, cacheHeaders) {
   });
 }
 
+/**
+ * Catalog rows for server-side consumers that need the list itself rather than a sync response.
+ * Same freshness rules as handleListSyncRequest.
+ * @param {string} apiKey
+ * @param {string} type
+ * @returns {Promise<object[]>}
+ */
+export async function readDownloadList(apiKey, type) {
+  const result = await handleListSyncRequest({ apiKey, type, rev: null, bypassCache: false });
+  return getSnapshotData(result);
+}
+
 /** @internal test helper */
 export async function resetDownloadListSyncForTests() {
   for (const timer of mutationReconcileTimers.values()) {
@@ -1561,6 +1674,7 @@ export async function resetDownloadListSyncForTests() {
   syncStateByKey.clear();
   diskCacheDirOverride = null;
   diskDirEnsured = null;
+  syncCoordinator = null;
 }
 
 /**
@@ -1672,6 +1786,15 @@ export function setDownloadListSyncCacheMetaForTests(apiKey, type, meta) {
   }
 }
 
+/**
+ * Replace the cross-replica coordinator (see downloadListSyncCoordination). Pass null to go back
+ * to the one DOWNLOAD_SYNC_COORDINATION selects.
+ * @param {import('./downloadListSyncCoordination').SyncCoordinator | null} coordinator
+ */
+export function setDownloadListSyncCoordinator(coordinator) {
+  syncCoordinator = coordinator;
+}
+
 /** @internal test helper */
 export function setDownloadListSyncDiskOptionsForTests({ dir = null } = {}) {
   diskCacheDirOverride = dir;
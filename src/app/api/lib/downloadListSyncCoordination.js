@@ -0,0 +1,225 @@
+/**
+ * Cross-process coordination for the download list sync cache.
+ * downloadListSync holds a per-key lock around everything that allocates a rev or rewrites meta,
+ * and around TorBox refreshes so replicas sharing the cache directory do not refresh the same
+ * list twice.
+ *
+ * Both coordinators serialize holders of one key inside the process, so two writers in the same
+ * Next.js instance never interleave.
+ *
+ * - `local` (default): in-process locking only; enough for a single Next.js instance.
+ * - `lockfile`: in-process locking plus `<key>.lock` files created with O_EXCL next to the
+ *   snapshots. Needs DOWNLOAD_SYNC_DISK_CACHE_DIR on a volume every replica mounts.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import { randomUUID } from 'crypto';
+
+const DEFAULT_LOCK_STALE_MS = 2 * 60 * 1000;
+// Callers that should outwait a long holder (full reconciles) pass their own waitMs.
+const DEFAULT_LOCK_WAIT_MS = 5 * 1000;
+const LOCK_POLL_MS = 100;
+
+/**
+ * @typedef {object} SyncCoordinator
+ * @property {string} name
+ * @property {(key: string) => (() => void) | null} tryAcquire — lock now or return null
+ * @property {(key: string, options?: { waitMs?: number }) => Promise<(() => void) | null>} acquire —
+ *   wait up to `waitMs` (default 5 s) for the lock; null on timeout
+ */
+
+/**
+ * Per-key mutex for one process. `lockOuter` takes the cross-process part of the lock once the
+ * key is free in this process; it returns its unlock function, or null when that part is busy.
+ * @param {{ lockOuter?: (key: string) => (() => void) | null, pollMs?: number }} [options]
+ *   pollMs — how often to retry a busy outer lock; without one, waiters only wake on release
+ * @returns {Pick<SyncCoordinator, 'tryAcquire' | 'acquire'>}
+ */
+function createKeyedLocks({ lockOuter = () => () => {}, pollMs = Infinity } = {}) {
+  /** @type {Set<string>} */
+  const held = new Set();
+  /** @type {Map<string, Set<() => void>>} */
+  const waitersByKey = new Map();
+
+  const wake = (key) => {
+    const waiters = waitersByKey.get(key);
+    if (!waiters) return;
+    waitersByKey.delete(key);
+    for (const resolve of waiters) resolve();
+  };
+
+  const waitForRelease = (key, ms) =>
+    new Promise((resolve) => {
+      let waiters = waitersByKey.get(key);
+      if (!waiters) {
+        waiters = new Set();
+        waitersByKey.set(key, waiters);
+      }
+      const done = () => {
+        clearTimeout(timer);
+        waiters.delete(done);
+        resolve();
+      };
+      const timer = setTimeout(done, ms);
+      waiters.add(done);
+    });
+
+  const tryAcquire = (key) => {
+    if (held.has(key)) return null;
+    const unlock = lockOuter(key);
+    if (!unlock) return null;
+    held.add(key);
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      unlock();
+      held.delete(key);
+      wake(key);
+    };
+  };
+
+  return {
+    tryAcquire,
+    acquire: async (key, { waitMs = DEFAULT_LOCK_WAIT_MS } = {}) => {
+      const deadline = Date.now() + waitMs;
+      for (;;) {
+        const release = tryAcquire(key);
+        if (release) return release;
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) return null;
+        await waitForRelease(key, held.has(key) ? remaining : Math.min(remaining, pollMs));
+      }
+    },
+  };
+}
+
+/** @returns {SyncCoordinator} */
+export function createLocalSyncCoordinator() {
+  return { name: 'local', ...createKeyedLocks() };
+}
+
+/**
+ * @param {{ lockPathForKey: (key: string) => string, staleMs?: number, pollMs?: number }} options
+ *   lockPathForKey — lock file in the shared cache dir (which must exist); staleMs — age after
+ *   which a lock whose holder stopped refreshing it is taken over
+ * @returns {SyncCoordinator}
+ */
+export function createLockFileSyncCoordinator({
+  lockPathForKey,
+  staleMs = DEFAULT_LOCK_STALE_MS,
+  pollMs = LOCK_POLL_MS,
+}) {
+  const isStale = (filePath) => {
+    try {
+      return Date.now() - fs.statSync(filePath).mtimeMs > staleMs;
+    } catch {
+      return false;
+    }
+  };
+
+  const readOwnerToken = (filePath) => {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8')).token ?? null;
+    } catch {
+      return null;
+    }
+  };
+
+  /**
+   * Remove a stale lock so the caller can create its own. Replicas racing for the same stale lock
+   * each try to create `<lock>.<stale owner token>.takeover` with O_EXCL; that single atomic create
+   * picks the one that removes it. The winner re-reads the lock first and leaves it alone when its
+   * owner changed or refreshed it meanwhile.
+   * @returns {boolean} whether the stale lock is gone
+   */
+  const removeStaleLock = (filePath) => {
+    if (!isStale(filePath)) return false;
+    const staleToken = readOwnerToken(filePath);
+    const claimPath = `${filePath}.${staleToken ?? 'unreadable'}.takeover`;
+    // A replica that crashed mid-takeover leaves its claim behind.
+    if (isStale(claimPath)) fs.rmSync(claimPath, { force: true });
+    try {
+      fs.writeFileSync(claimPath, '', { flag: 'wx', mode: 0o600 });
+    } catch {
+      return false;
+    }
+    try {
+      if (readOwnerToken(filePath) !== staleToken || !isStale(filePath)) return false;
+      fs.rmSync(filePath, { force: true });
+      return true;
+    } finally {
+      fs.rmSync(claimPath, { force: true });
+    }
+  };
+
+  const lockFile = (key) => {
+    const filePath = lockPathForKey(key);
+    const token = randomUUID();
+    const owner = JSON.stringify({ token, host: os.hostname(), pid: process.pid });
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        fs.writeFileSync(filePath, owner, { flag: 'wx', mode: 0o600 });
+      } catch (error) {
+        if (error?.code !== 'EEXIST') throw error;
+        // A crashed holder never releases; take the lock over once it stops being refreshed.
+        if (attempt === 0 && removeStaleLock(filePath)) continue;
+        return null;
+      }
+
+      // Long full reconciles outlive staleMs; keep the lock fresh while it is held.
+      const heartbeat = setInterval(
+        () => {
+          // Never refresh a lock another replica took over; it would look held forever.
+          if (readOwnerToken(filePath) !== token) {
+            clearInterval(heartbeat);
+            return;
+          }
+          const now = new Date();
+          try {
+            fs.utimesSync(filePath, now, now);
+          } catch {
+            /* lock gone; release is a no-op */
+          }
+        },
+        Math.max(1000, Math.floor(staleMs / 3))
+      );
+      heartbeat.unref?.();
+
+      return () => {
+        clearInterval(heartbeat);
+        if (readOwnerToken(filePath) !== token) return; // already released or taken over
+        try {
+          fs.unlinkSync(filePath);
+        } catch {
+          /* already released */
+        }
+      };
+    }
+    return null;
+  };
+
+  return { name: 'lockfile', ...createKeyedLocks({ lockOuter: lockFile, pollMs }) };
+}
+
+/**
+ * Coordinator selected by DOWNLOAD_SYNC_COORDINATION (`local` | `lockfile`).
+ * @param {{ lockPathForKey: (key: string) => string }} options
+ * @returns {SyncCoordinator}
+ */
+export function createSyncCoordinatorFromEnv({ lockPathForKey }) {
+  const mode = (process.env.DOWNLOAD_SYNC_COORDINATION || 'local').trim().toLowerCase();
+  if (mode === 'lockfile') {
+    return createLockFileSyncCoordinator({
+      lockPathForKey,
+      staleMs: Number(process.env.DOWNLOAD_SYNC_LOCK_STALE_MS) || DEFAULT_LOCK_STALE_MS,
+    });
+  }
+  if (mode !== 'local') {
+    console.warn(`[downloadListSync] unknown DOWNLOAD_SYNC_COORDINATION "${mode}", using local`);
+  }
+  return createLocalSyncCoordinator();
+}
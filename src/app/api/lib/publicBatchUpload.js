@@ -0,0 +1,162 @@
+import { NextResponse } from 'next/server';
+import { sanitizeError } from '@/utils/sanitizeError';
+import { getPublicUploadType, toPublicUploadResponse } from '@/app/api/lib/publicUploadResponse';
+import { readJsonFromResponse } from '@/utils/fetchResponse';
+
+const BACKEND_URL = process.env.BACKEND_URL || 'http://torbox-backend:3001';
+
+/**
+ * @param {unknown} uploads - `uploads` from the request body
+ * @param {'torrent'|'usenet'|'webdl'} type - The only upload type the endpoint accepts
+ * @returns {string|null} Validation error
+ */
+export function validatePublicBatchUploads(uploads, type) {
+  if (!Array.isArray(uploads) || uploads.length === 0) {
+    return 'uploads array is required and must not be empty';
+  }
+
+  if (uploads.length > 1000) {
+    return 'Maximum 1000 uploads per batch request';
+  }
+
+  if (uploads.some((upload) => upload.type !== type)) {
+    return `Only ${type} uploads are supported by this endpoint`;
+  }
+
+  return null;
+}
+
+/**
+ * Stage any base64 files, then queue the batch on the backend. Every upload goes through the same
+ * queue, quota and duplicate handling as uploads made in the app; poll GET /api/v1/uploads/:id.
+ * @param {Request} request
+ * @param {string} apiKey
+ * @param {'torrent'|'usenet'|'webdl'} type
+ */
+export async function queuePublicBatchUploads(request, apiKey, type) {
+  try {
+    const body = await request.json();
+    const { uploads } = body;
+    const validationError = validatePublicBatchUploads(uploads, type);
+
+    if (validationError) {
+      return NextResponse.json({ success: false, error: validationError }, { status: 400 });
+    }
+
+    const fileUploadPromises = uploads.reduce((acc, upload) => {
+      if (upload.upload_type === 'file' && upload.file_data) {
+        acc.push(
+          (async () => {
+            const fileUploadResponse = await fetch(`${BACKEND_URL}/api/uploads/file`, {
+              method: 'POST',
+              cache: 'no-store',
+              headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': apiKey,
+              },
+              body: JSON.stringify({
+                file_data: upload.file_data,
+                filename: upload.filename,
+                type,
+              }),
+            });
+
+            if (!fileUploadResponse.ok) {
+              const errorData = await fileUploadResponse.json().catch(() => ({}));
+              return { upload, error: errorData.error || 'Failed to save file' };
+            }
+
+            const fileUploadData = await fileUploadResponse.json();
+            return { upload, file_path: fileUploadData.data.file_path };
+          })()
+        );
+      }
+      return acc;
+    }, []);
+
+    const fileUploadResults = await Promise.all(fileUploadPromises);
+    const filePathMap = new Map();
+    const fileUploadErrors = [];
+
+    fileUploadResults.forEach((result) => {
+      if (result.error) {
+        fileUploadErrors.push(result);
+      } else {
+        filePathMap.set(result.upload, result.file_path);
+      }
+    });
+
+    const preparedUploads = uploads.reduce((acc, upload) => {
+      if (upload.upload_type !== 'file' || filePathMap.has(upload)) {
+        const prepared = { ...upload, type };
+        if (upload.upload_type === 'file') {
+          prepared.file_path = filePathMap.get(upload);
+          delete prepared.file_data;
+          delete prepared.filename;
+        }
+        acc.push(prepared);
+      }
+      return acc;
+    }, []);
+
+    const response = await fetch(`${BACKEND_URL}/api/uploads/batch`, {
+      method: 'POST',
+      cache: 'no-store',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+      },
+      body: JSON.stringify({ uploads: preparedUploads }),
+    });
+
+    const { ok: responseOk, status: responseStatus, data } = await readJsonFromResponse(response);
+
+    if (!responseOk) {
+      const cleanupPromises = Array.from(filePathMap.values()).map((filePath) =>
+        fetch(`${BACKEND_URL}/api/uploads/file`, {
+          method: 'DELETE',
+          cache: 'no-store',
+          headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': apiKey,
+          },
+          body: JSON.stringify({ file_path: filePath }),
+        }).catch((cleanupError) => {
+          console.error(
+            `Error cleaning up file ${filePath} after batch creation failure:`,
+            cleanupError
+          );
+        })
+      );
+      await Promise.allSettled(cleanupPromises);
+
+      return NextResponse.json(
+        {
+          success: false,
+          error: data.error || `Backend responded with status: ${responseStatus}`,
+          detail: data.detail,
+        },
+        { status: responseStatus }
+      );
+    }
+
+    const errors = [
+      ...fileUploadErrors,
+      ...((Array.isArray(data.data?.errors) && data.data.errors) || []),
+    ];
+
+    return NextResponse.json({
+      success: true,
+      error: null,
+      detail: `${getPublicUploadType(type).plural} Queued Successfully`,
+      data: {
+        uploads: (data.data?.uploads || []).map((upload) => toPublicUploadResponse(upload).data),
+        errors: errors.length > 0 ? errors : undefined,
+      },
+      meta: data.meta,
+    });
+  } catch (error) {
+    console.error(`Error creating public ${type} batch upload:`, error);
+    return NextResponse.json({ success: false, error: sanitizeError(error) }, { status: 500 });
+  }
+}
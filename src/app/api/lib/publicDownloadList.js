@@ -0,0 +1,39 @@
+import { isTorboxFetchTimeout } from '@/app/api/lib/torboxFetch';
+import { readDownloadList } from '@/app/api/lib/downloadListSync';
+import { resolveTorboxApiKey } from '@/app/api/lib/resolveTorboxApiKey';
+import { publicApiErrorResponse, sanitizeError } from '@/utils/sanitizeError';
+import { logRouteError } from '@/utils/routeLog';
+
+const LIST_DETAIL = {
+  torrents: 'Torrents Retrieved Successfully',
+  usenet: 'Usenet Downloads Retrieved Successfully',
+  webdl: 'Web Downloads Retrieved Successfully',
+};
+
+/**
+ * GET /api/v1/{torrents,usenet,webdl}/mylist: the synced download list (mylist + queued rows)
+ * in the TorBox response envelope, readable with a `read` access token.
+ * @param {'torrents' | 'usenet' | 'webdl'} type
+ * @returns {Promise<Response>}
+ */
+export async function getPublicDownloadList(type) {
+  const auth = await resolveTorboxApiKey({ route: `GET /api/v1/${type}/mylist` });
+  if (auth.response) return auth.response;
+
+  try {
+    const data = await readDownloadList(auth.apiKey, type);
+    return Response.json(
+      { success: true, error: null, detail: LIST_DETAIL[type], data },
+      { headers: { 'Cache-Control': 'no-store', Vary: 'Authorization, x-api-key' } }
+    );
+  } catch (error) {
+    logRouteError(`Error fetching ${type} for v1 list`, error);
+
+    if (isTorboxFetchTimeout(error)) {
+      return Response.json({ success: false, error: sanitizeError(error) }, { status: 408 });
+    }
+
+    const { body, status } = publicApiErrorResponse(error);
+    return Response.json(body, { status });
+  }
+}
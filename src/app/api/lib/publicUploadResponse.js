@@ -1,11 +1,26 @@
+const PUBLIC_UPLOAD_TYPES = {
+  torrent: { idField: 'torrent_id', noun: 'Torrent', plural: 'Torrents' },
+  usenet: { idField: 'usenetdownload_id', noun: 'Usenet Download', plural: 'Usenet Downloads' },
+  webdl: { idField: 'webdownload_id', noun: 'Web Download', plural: 'Web Downloads' },
+};
+
+/**
+ * TorBox naming for an upload type: the id field its create endpoint returns and the nouns used in
+ * `detail` strings. Unknown types fall back to torrent.
+ */
+export function getPublicUploadType(type) {
+  return PUBLIC_UPLOAD_TYPES[type] ?? PUBLIC_UPLOAD_TYPES.torrent;
+}
+
 export function toPublicUploadResponse(upload) {
+  const { idField, noun } = getPublicUploadType(upload.type);
   const isCompleted = upload.status === 'completed';
   const data = {
     upload_id: upload.id,
     status: upload.status,
     queue_order: upload.queue_order ?? null,
     hash: isCompleted ? (upload.torbox_hash ?? null) : null,
-    torrent_id: isCompleted ? (upload.torbox_torrent_id ?? null) : null,
+    [idField]: isCompleted ? (upload.torbox_torrent_id ?? null) : null,
     auth_id: isCompleted ? (upload.torbox_auth_id ?? null) : null,
   };
 
@@ -18,14 +33,19 @@ export function toPublicUploadResponse(upload) {
     error: null,
     detail:
       upload.status === 'completed'
-        ? 'Torrent Created Successfully'
+        ? `${noun} Created Successfully`
         : upload.status === 'failed'
-          ? 'Torrent Upload Failed'
-          : 'Torrent Queued Successfully',
+          ? `${noun} Upload Failed`
+          : `${noun} Queued Successfully`,
     data,
   };
 }
 
+/** One entry of the v1 upload list: the single-upload `data` plus the upload's type and name. */
+export function toPublicUploadListItem(upload) {
+  return { ...toPublicUploadResponse(upload).data, type: upload.type, name: upload.name };
+}
+
 export function toPublicUploadError(error, status = 400, detail = null) {
   return Response.json(
     {
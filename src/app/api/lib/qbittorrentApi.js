@@ -0,0 +1,503 @@
+/**
+ * qBittorrent WebUI API v2 subset for Sonarr/Radarr-style download clients. The TorBox API key is
+ * the WebUI password; categories are TorBox Manager tags. Torrents come from the download list
+ * sync cache plus upload queue entries TorBox has not seen yet.
+ */
+import { isAccessToken } from '../../../../config/accessTokens.mjs';
+import { deleteDownloadItem } from '@/app/api/lib/deleteDownloadItem';
+import {
+  backendJson,
+  ensureTag,
+  listDownloadTags,
+  listTags,
+} from '@/app/api/lib/downloadClientBackend';
+import { readDownloadList } from '@/app/api/lib/downloadListSync';
+import { queueTorrentUpload } from '@/app/api/lib/queueTorrentUpload';
+import { resolveTorboxApiKeyFromHeaders } from '@/app/api/lib/resolveTorboxApiKey';
+import { isBackendDisabled } from '@/utils/backendCheck';
+import { parseUtcDate } from '@/utils/parseUtcDate';
+import { logRouteError } from '@/utils/routeLog';
+import { safeJsonParse } from '@/utils/safeJsonParse';
+import { sanitizeError } from '@/utils/sanitizeError';
+import { isQueuedItem } from '@/utils/utility';
+
+export const QBITTORRENT_APP_VERSION = 'v4.6.7';
+export const QBITTORRENT_WEBAPI_VERSION = '2.9.3';
+export const SESSION_COOKIE = 'SID';
+
+// Uploads still in our queue; completed and duplicate ones are already in the TorBox list.
+const PENDING_UPLOAD_STATES = { queued: 'queuedDL', processing: 'metaDL', failed: 'error' };
+const COMPLETED_STATES = new Set(['uploading', 'pausedUP', 'checkingUP']);
+// qBittorrent reports an unknown ETA as 100 days.
+const UNKNOWN_ETA = 8640000;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/** Where the *arr host sees finished downloads, e.g. a TorBox WebDAV/rclone mount. */
+export function getSavePath() {
+  return (process.env.QBITTORRENT_SAVE_PATH || '/downloads').replace(/\/+$/, '');
+}
+
+function text(body, status = 200, headers = {}) {
+  return new Response(body, {
+    status,
+    headers: { 'Content-Type': 'text/plain; charset=UTF-8', ...headers },
+  });
+}
+
+function readCookie(request, name) {
+  for (const part of (request.headers.get('cookie') || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+/**
+ * Logged-in clients. Sessions live in the backend so every replica sees them; the SID cookie only
+ * carries the session token, so the API key never leaves the server after auth/login. The backend
+ * slides the expiry on each use (qBittorrent's one hour; *arr apps log in again on 403) and prunes
+ * expired sessions.
+ * @param {string|null} token
+ * @returns {Promise<string|null>} API key of the session's owner
+ */
+async function readSession(token) {
+  if (!token) return null;
+  try {
+    const { apiKey } = await backendJson(null, '/api/backend/download-client-sessions/verify', {
+      method: 'POST',
+      body: { token },
+    });
+    return apiKey || null;
+  } catch (error) {
+    if (error.status !== 401) logRouteError('[qBittorrent session] Error', error);
+    return null;
+  }
+}
+
+function sessionCookie(request, value, extra = '') {
+  const url = new URL(request.url);
+  const https =
+    url.protocol === 'https:' ||
+    request.headers.get('x-forwarded-proto')?.split(',')[0].trim() === 'https';
+  return `${SESSION_COOKIE}=${value}; HttpOnly; SameSite=Strict; Path=/api/v2${extra}${https ? '; Secure' : ''}`;
+}
+
+/**
+ * TorBox API key of a logged-in client: the session behind the SID cookie set by auth/login,
+ * or the usual x-api-key / Bearer headers for scripts. Personal access tokens only work on /api/v1.
+ * @param {Request} request
+ * @returns {Promise<string|null>}
+ */
+export async function resolveSessionApiKey(request) {
+  const apiKey =
+    (await readSession(readCookie(request, SESSION_COOKIE))) ||
+    resolveTorboxApiKeyFromHeaders(request.headers);
+  return apiKey && !isAccessToken(apiKey) ? apiKey : null;
+}
+
+/**
+ * Lowercase hex info hash of a magnet link (base32 hashes are converted).
+ * @param {string} url
+ * @returns {string|null}
+ */
+export function magnetInfoHash(url) {
+  const match = /[?&]xt=urn:btih:([a-z0-9]+)/i.exec(url || '');
+  if (!match) return null;
+  const hash = match[1];
+  if (/^[0-9a-f]{40}$/i.test(hash)) return hash.toLowerCase();
+  if (hash.length !== 32) return null;
+
+  let bits = '';
+  for (const char of hash.toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index < 0) return null;
+    bits += index.toString(2).padStart(5, '0');
+  }
+  return bits
+    .match(/.{4}/g)
+    .map((nibble) => parseInt(nibble, 2).toString(16))
+    .join('');
+}
+
+/**
+ * qBittorrent state for a TorBox torrent. Finished torrents are "UP" states so *arr clients
+ * treat them as ready to import; finished but not yet downloadable from TorBox reads as checking.
+ * @param {object} item - TorBox mylist/queued torrent
+ * @returns {string}
+ */
+export function toQbittorrentState(item) {
+  const state = String(item.download_state || '').toLowerCase();
+  if (isQueuedItem(item) || state === 'queued') return 'queuedDL';
+  if (state.includes('error') || state.includes('failed')) return 'error';
+  if (item.download_finished) {
+    if (!item.download_present) return 'checkingUP';
+    return item.active ? 'uploading' : 'pausedUP';
+  }
+  if (state.includes('meta')) return 'metaDL';
+  if (state.includes('stalled')) return 'stalledDL';
+  if (state.includes('checking')) return 'checkingDL';
+  return item.active ? 'downloading' : 'pausedDL';
+}
+
+function toUnixSeconds(value) {
+  if (!value) return -1;
+  const ms = parseUtcDate(value).getTime();
+  return Number.isFinite(ms) ? Math.floor(ms / 1000) : -1;
+}
+
+function splitTags(tags, category) {
+  const names = tags.map((tag) => tag.name);
+  const primary = category && names.includes(category) ? category : (names[0] ?? '');
+  return { category: primary, tags: names.filter((name) => name !== primary).join(', ') };
+}
+
+/**
+ * @param {object} item - TorBox torrent
+ * @param {{ tags?: { name: string }[], category?: string|null, savePath: string }} options
+ */
+export function toQbittorrentTorrent(item, { tags = [], category = null, savePath }) {
+  const size = Number(item.size) || 0;
+  const progress = Math.min(Math.max(Number(item.progress) || 0, 0), 1);
+  const state = toQbittorrentState(item);
+  const done = COMPLETED_STATES.has(state);
+  const singleFile = item.files?.length === 1 && !item.files[0].name?.includes('/');
+  const contentName = singleFile ? item.files[0].name : item.name;
+
+  return {
+    hash: String(item.hash || '').toLowerCase(),
+    name: item.name || '',
+    size,
+    total_size: size,
+    progress: done ? 1 : progress,
+    amount_left: done ? 0 : Math.round(size * (1 - progress)),
+    dlspeed: Number(item.download_speed) || 0,
+    upspeed: Number(item.upload_speed) || 0,
+    eta: done ? 0 : Number(item.eta) > 0 ? Number(item.eta) : UNKNOWN_ETA,
+    state,
+    ...splitTags(tags, category),
+    save_path: savePath,
+    content_path: `${savePath}/${contentName || ''}`,
+    added_on: toUnixSeconds(item.created_at),
+    completion_on: done ? toUnixSeconds(item.updated_at) : -1,
+    ratio: Number(item.ratio) || 0,
+    num_seeds: Number(item.seeds) || 0,
+    num_leechs: Number(item.peers) || 0,
+    ratio_limit: -2,
+    seeding_time_limit: -2,
+  };
+}
+
+/**
+ * @param {object} upload - Upload queue row (with tag_ids)
+ * @param {{ tagsById: Map<number, { name: string }>, category?: string|null, savePath: string }} options
+ * @returns {object|null} Null when the upload has no known hash yet (queued .torrent files)
+ */
+export function uploadToQbittorrentTorrent(upload, { tagsById, category = null, savePath }) {
+  const hash = upload.torbox_hash?.toLowerCase() || magnetInfoHash(upload.url);
+  if (!hash) return null;
+  const tags = (upload.tag_ids || []).map((id) => tagsById.get(id)).filter(Boolean);
+
+  return {
+    ...toQbittorrentTorrent(
+      { hash, name: upload.name, size: upload.file_size_bytes, created_at: upload.created_at },
+      { tags, category, savePath }
+    ),
+    state: PENDING_UPLOAD_STATES[upload.status],
+  };
+}
+
+async function listPendingUploads(apiKey) {
+  const { data = [] } = await backendJson(apiKey, '/api/uploads?type=torrent&limit=1000');
+  return data.filter((upload) => upload.status in PENDING_UPLOAD_STATES);
+}
+
+function parseHashes(value) {
+  if (!value) return null;
+  if (value === 'all') return 'all';
+  return new Set(value.split('|').map((hash) => hash.trim().toLowerCase()));
+}
+
+/**
+ * Every torrent the client can see: TorBox torrents first, then pending uploads whose hash
+ * TorBox does not know yet.
+ */
+async function collectTorrents(apiKey, { category = null } = {}) {
+  const savePath = getSavePath();
+  const [items, tags, mappings, uploads] = await Promise.all([
+    readDownloadList(apiKey, 'torrents'),
+    listTags(apiKey),
+    listDownloadTags(apiKey),
+    listPendingUploads(apiKey),
+  ]);
+  const tagsById = new Map(tags.map((tag) => [tag.id, tag]));
+
+  const torrents = items
+    .filter((item) => item.hash)
+    .map((item) => ({
+      item,
+      torrent: toQbittorrentTorrent(item, { tags: mappings[item.id] || [], category, savePath }),
+    }));
+  const known = new Set(torrents.map(({ torrent }) => torrent.hash));
+
+  for (const upload of uploads) {
+    const torrent = uploadToQbittorrentTorrent(upload, { tagsById, category, savePath });
+    if (torrent && !known.has(torrent.hash)) {
+      known.add(torrent.hash);
+      torrents.push({ upload, torrent });
+    }
+  }
+  return torrents;
+}
+
+function hasCategory(torrent, category) {
+  if (category === '') return torrent.category === '';
+  return (
+    torrent.category === category ||
+    torrent.tags.split(', ').some((name) => name.toLowerCase() === category.toLowerCase())
+  );
+}
+
+/** Only form posts, like qBittorrent, so the API key never ends up in a URL or access log. */
+async function login(request) {
+  if (request.method !== 'POST') return text('Method Not Allowed', 405, { Allow: 'POST' });
+
+  let token;
+  try {
+    const apiKey = String((await request.formData()).get('password') || '').trim();
+    if (!apiKey || isAccessToken(apiKey)) return text('Fails.');
+    // Also checks the key: the backend only opens sessions for registered users.
+    ({ token } = await backendJson(apiKey, '/api/download-client-sessions', { method: 'POST' }));
+  } catch {
+    return text('Fails.');
+  }
+  return text('Ok.', 200, { 'Set-Cookie': sessionCookie(request, token) });
+}
+
+async function logout(request) {
+  const token = readCookie(request, SESSION_COOKIE);
+  if (token) {
+    try {
+      await backendJson(null, '/api/backend/download-client-sessions', {
+        method: 'DELETE',
+        body: { token },
+      });
+    } catch (error) {
+      logRouteError('[qBittorrent auth/logout] Error', error);
+    }
+  }
+  return text('', 200, { 'Set-Cookie': sessionCookie(request, '', '; Max-Age=0') });
+}
+
+async function torrentsInfo(request, apiKey) {
+  const params = new URL(request.url).searchParams;
+  const category = params.get('category');
+  const hashes = parseHashes(params.get('hashes'));
+
+  const torrents = (await collectTorrents(apiKey, { category }))
+    .map(({ torrent }) => torrent)
+    .filter((torrent) => category == null || hasCategory(torrent, category))
+    .filter((torrent) => !hashes || hashes === 'all' || hashes.has(torrent.hash));
+  return Response.json(torrents);
+}
+
+async function findTorrent(request, apiKey) {
+  const hash = new URL(request.url).searchParams.get('hash')?.toLowerCase();
+  const torrents = hash ? await collectTorrents(apiKey) : [];
+  return torrents.find(({ torrent }) => torrent.hash === hash) ?? null;
+}
+
+async function torrentProperties(request, apiKey) {
+  const found = await findTorrent(request, apiKey);
+  if (!found) return text('Not Found', 404);
+  const { torrent } = found;
+  return Response.json({
+    save_path: torrent.save_path,
+    total_size: torrent.total_size,
+    addition_date: torrent.added_on,
+    completion_date: torrent.completion_on,
+    share_ratio: torrent.ratio,
+    eta: torrent.eta,
+    dl_speed: torrent.dlspeed,
+    up_speed: torrent.upspeed,
+    seeds: torrent.num_seeds,
+    peers: torrent.num_leechs,
+    seeding_time: 0,
+  });
+}
+
+async function torrentFiles(request, apiKey) {
+  const found = await findTorrent(request, apiKey);
+  if (!found) return text('Not Found', 404);
+  const { item, torrent } = found;
+  const files = (item?.files || []).map((file, index) => ({
+    index,
+    name: file.name,
+    size: Number(file.size) || 0,
+    progress: torrent.progress,
+    priority: 1,
+    is_seed: torrent.progress === 1,
+  }));
+  return Response.json(files);
+}
+
+async function addTorrents(request, apiKey) {
+  const form = await request.formData();
+  const urls = String(form.get('urls') || '')
+    .split(/\r?\n/)
+    .map((url) => url.trim())
+    .filter(Boolean);
+  const files = form.getAll('torrents').filter((file) => typeof file === 'object');
+  if (urls.length === 0 && files.length === 0) return text('Fails.');
+
+  const tags = await listTags(apiKey);
+  const tagNames = [form.get('category'), ...String(form.get('tags') || '').split(',')]
+    .map((name) => String(name || '').trim())
+    .filter(Boolean);
+  const tagIds = [];
+  for (const name of tagNames) {
+    tagIds.push((await ensureTag(apiKey, name, tags)).id);
+  }
+
+  const paused = ['true', '1'].includes(form.get('paused') || form.get('stopped'));
+  const rename = form.get('rename');
+  const entries = [
+    ...urls.map((url) => [url.startsWith('magnet:') ? 'magnet' : 'link', url]),
+    ...files.map((file) => ['file', file]),
+  ];
+
+  let added = 0;
+  for (const [field, value] of entries) {
+    const entry = new FormData();
+    entry.set(field, value);
+    if (rename) entry.set('name', rename);
+    if (paused) entry.set('as_queued', 'true');
+    const { response } = await queueTorrentUpload(entry, apiKey, { tagIds });
+    if (response) {
+      const { error } = await safeJsonParse(response);
+      logRouteError('[qBittorrent torrents/add] Upload not queued', error);
+    } else {
+      added += 1;
+    }
+  }
+  return text(added > 0 ? 'Ok.' : 'Fails.');
+}
+
+async function deleteTorrents(request, apiKey) {
+  const form = await request.formData();
+  // hashes=all would wipe the whole TorBox library; deletes must name their torrents.
+  if (form.get('hashes') === 'all') return text('Deleting all torrents is not supported', 400);
+  const hashes = parseHashes(form.get('hashes'));
+  if (!hashes) return text('Missing hashes', 400);
+
+  const torrents = await collectTorrents(apiKey);
+  for (const { item, upload, torrent } of torrents) {
+    if (!hashes.has(torrent.hash)) continue;
+    // Protected downloads are refused by deleteDownloadItem; qBittorrent has no way to report it.
+    if (item) {
+      const response = await deleteDownloadItem({
+        apiKey,
+        id: item.id,
+        queued: isQueuedItem(item),
+      });
+      if (!response.ok) {
+        const { error } = await safeJsonParse(response);
+        logRouteError('[qBittorrent torrents/delete] Not deleted', error);
+      }
+    } else {
+      await backendJson(apiKey, `/api/uploads/${upload.id}`, { method: 'DELETE' });
+    }
+  }
+  return text('');
+}
+
+async function listCategories(apiKey) {
+  const savePath = getSavePath();
+  const categories = {};
+  for (const tag of await listTags(apiKey)) {
+    categories[tag.name] = { name: tag.name, savePath };
+  }
+  return Response.json(categories);
+}
+
+async function createCategory(request, apiKey) {
+  const name = String((await request.formData()).get('category') || '').trim();
+  if (!name) return text('Invalid category name', 400);
+  await ensureTag(apiKey, name, await listTags(apiKey));
+  return text('');
+}
+
+async function setCategory(request, apiKey) {
+  const form = await request.formData();
+  const hashes = parseHashes(form.get('hashes'));
+  const name = String(form.get('category') || '').trim();
+  if (!hashes || !name) return text('Missing hashes or category', 400);
+
+  const tag = await ensureTag(apiKey, name, await listTags(apiKey));
+  const downloadIds = (await readDownloadList(apiKey, 'torrents'))
+    .filter((item) => hashes === 'all' || hashes.has(String(item.hash || '').toLowerCase()))
+    .map((item) => item.id);
+  if (downloadIds.length > 0) {
+    await backendJson(apiKey, '/api/downloads/tags', {
+      method: 'POST',
+      body: { download_ids: downloadIds, tag_ids: [tag.id], operation: 'add' },
+    });
+  }
+  return text('');
+}
+
+function preferences() {
+  return Response.json({
+    save_path: getSavePath(),
+    temp_path_enabled: false,
+    queueing_enabled: false,
+    max_ratio_enabled: false,
+    max_ratio: -1,
+    max_seeding_time_enabled: false,
+    max_seeding_time: -1,
+    dht: true,
+  });
+}
+
+const ROUTES = {
+  'GET app/version': () => text(QBITTORRENT_APP_VERSION),
+  'GET app/webapiVersion': () => text(QBITTORRENT_WEBAPI_VERSION),
+  'GET app/preferences': preferences,
+  'GET torrents/info': torrentsInfo,
+  'GET torrents/properties': torrentProperties,
+  'GET torrents/files': torrentFiles,
+  'GET torrents/categories': (request, apiKey) => listCategories(apiKey),
+  'POST torrents/add': addTorrents,
+  'POST torrents/delete': deleteTorrents,
+  'POST torrents/createCategory': createCategory,
+  'POST torrents/setCategory': setCategory,
+};
+
+/**
+ * Dispatch /api/v2/<path>. Unknown endpoints answer 404 like qBittorrent; anything but
+ * auth/login without a session answers 403.
+ * @param {Request} request
+ * @param {string[]} pathSegments
+ * @returns {Promise<Response>}
+ */
+export async function handleQbittorrentRequest(request, pathSegments = []) {
+  const path = pathSegments.join('/');
+  if (isBackendDisabled()) {
+    return text('The qBittorrent API requires the backend', 503);
+  }
+
+  if (path === 'auth/login') return login(request);
+  if (path === 'auth/logout') return logout(request);
+
+  const apiKey = await resolveSessionApiKey(request);
+  if (!apiKey) return text('Forbidden', 403);
+
+  const handler = ROUTES[`${request.method === 'HEAD' ? 'GET' : request.method} ${path}`];
+  if (!handler) return text('Not Found', 404);
+
+  try {
+    return await handler(request, apiKey);
+  } catch (error) {
+    logRouteError(`[qBittorrent ${path}] Error`, error);
+    return text(sanitizeError(error), 500);
+  }
+}
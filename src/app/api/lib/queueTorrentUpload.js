@@ -25,7 +25,7 @@ async function cleanupStagedFile(apiKey, filePath) {
 }
 
 export async function queueTorrentUpload(requestOrFormData, apiKey, options = {}) {
-  const { allowLink = true } = options;
+  const { allowLink = true, tagIds = null } = options;
   const formData =
     typeof requestOrFormData.formData === 'function'
       ? await requestOrFormData.formData()
@@ -119,6 +119,9 @@ export async function queueTorrentUpload(requestOrFormData, apiKey, options = {}
     if (formFlag(asQueued)) {
       requestBody.as_queued = true;
     }
+    if (tagIds?.length) {
+      requestBody.tag_ids = tagIds;
+    }
 
     const uploadResponse = await fetch(`${BACKEND_URL}/api/uploads`, {
       cache: 'no-store',
@@ -1,5 +1,14 @@
 import { headers } from 'next/headers';
 import { NextResponse } from 'next/server';
+import { ACCESS_TOKEN_ROUTE_SCOPES, isAccessToken } from '../../../../config/accessTokens.mjs';
+import { backendHttpRequest, backendProxyHeaders } from '@/utils/backendRequest';
+import { isBackendDisabled } from '@/utils/backendCheck';
+
+const BACKEND_URL = process.env.BACKEND_URL || 'http://torbox-backend:3001';
+
+function authError(error, status) {
+  return { apiKey: null, response: NextResponse.json({ success: false, error }, { status }) };
+}
 
 export function resolveTorboxApiKeyFromHeaders(headersList) {
   const authorization = headersList.get('authorization');
@@ -13,20 +22,69 @@ export function resolveTorboxApiKeyFromHeaders(headersList) {
 }
 
 /**
- * Resolve TorBox API key from Authorization: Bearer or x-api-key.
+ * Ask the backend for the TorBox API key behind a personal access token. The backend checks
+ * the token's scopes, expiry and revocation and records the use.
+ */
+async function exchangeAccessToken(token, scopes, headersList) {
+  if (isBackendDisabled()) {
+    return authError('Personal access tokens require the backend', 401);
+  }
+
+  const ip = headersList.get('x-forwarded-for')?.split(',')[0].trim() || null;
+  const body = JSON.stringify({ token, scopes, ip });
+  const { ok, status, data } = await backendHttpRequest(
+    `${BACKEND_URL}/api/backend/access-tokens/verify`,
+    {
+      method: 'POST',
+      headers: backendProxyHeaders(null, {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+      }),
+      body,
+      lenientJson: true,
+    }
+  );
+
+  if (!ok || !data.apiKey) {
+    return authError(data.error || 'Access token could not be verified', status || 500);
+  }
+  return { apiKey: data.apiKey, response: null };
+}
+
+/**
+ * Resolve the caller's TorBox API key from the given request headers.
+ * @param {Headers} headersList
+ * @param {{ route?: string }} [options] - ACCESS_TOKEN_ROUTE_SCOPES key of the calling v1 route;
+ *   routes that pass none only accept raw TorBox API keys
  * @returns {Promise<{ apiKey: string, response: null } | { apiKey: null, response: NextResponse }>}
  */
-export async function resolveTorboxApiKey() {
-  const apiKey = resolveTorboxApiKeyFromHeaders(await headers());
+export async function resolveTorboxCredential(headersList, { route } = {}) {
+  const apiKey = resolveTorboxApiKeyFromHeaders(headersList);
   if (!apiKey) {
-    return {
-      apiKey: null,
-      response: NextResponse.json(
-        { success: false, error: 'API key is required' },
-        { status: 401 }
-      ),
-    };
+    return authError('API key is required', 401);
+  }
+
+  if (isAccessToken(apiKey)) {
+    const scopes = route ? ACCESS_TOKEN_ROUTE_SCOPES[route] : null;
+    if (!scopes?.length) {
+      return authError('Personal access tokens are only accepted by the /api/v1 API', 403);
+    }
+    try {
+      return await exchangeAccessToken(apiKey, scopes, headersList);
+    } catch {
+      return authError('Access token could not be verified', 503);
+    }
   }
 
   return { apiKey, response: null };
 }
+
+/**
+ * Resolve TorBox API key from Authorization: Bearer or x-api-key. Public v1 routes pass their
+ * ACCESS_TOKEN_ROUTE_SCOPES key so access tokens with a matching scope are accepted.
+ * @param {{ route?: string }} [options]
+ * @returns {Promise<{ apiKey: string, response: null } | { apiKey: null, response: NextResponse }>}
+ */
+export async function resolveTorboxApiKey(options) {
+  return resolveTorboxCredential(await headers(), options);
+}
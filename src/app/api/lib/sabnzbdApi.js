@@ -0,0 +1,456 @@
+/**
+ * SABnzbd `api?mode=` subset for NZB automation tools. The TorBox API key is the SABnzbd API key;
+ * categories are TorBox Manager tags. NZBs are queued as usenet uploads, and downloads TorBox
+ * finished show up in history with a TorBox download link as their storage path.
+ */
+import { API_BASE, API_VERSION, TORBOX_MANAGER_VERSION } from '@/components/constants';
+import { isAccessToken } from '../../../../config/accessTokens.mjs';
+import { deleteDownloadItem } from '@/app/api/lib/deleteDownloadItem';
+import {
+  backendJson,
+  ensureTag,
+  listDownloadTags,
+  listTags,
+} from '@/app/api/lib/downloadClientBackend';
+import { readDownloadList } from '@/app/api/lib/downloadListSync';
+import { torboxFetch } from '@/app/api/lib/torboxFetch';
+import { isBackendDisabled } from '@/utils/backendCheck';
+import { logRouteError } from '@/utils/routeLog';
+import { safeJsonParse } from '@/utils/safeJsonParse';
+import { sanitizeError } from '@/utils/sanitizeError';
+import { isQueuedItem } from '@/utils/utility';
+
+export const SABNZBD_VERSION = '4.3.3';
+
+// Queue rows from our upload queue and rows for TorBox downloads that did not come through it.
+const UPLOAD_NZO_PREFIX = 'SABnzbd_nzo_tbm';
+const DOWNLOAD_NZO_PREFIX = 'SABnzbd_nzo_torbox';
+const NO_CATEGORY = '*';
+
+const PRIORITY_LANES = { 2: 'urgent', 1: 'urgent', 0: 'normal', [-1]: 'bulk' };
+const PRIORITY_NAMES = { urgent: 'High', normal: 'Normal', bulk: 'Low' };
+const UPLOAD_QUEUE_STATUS = { queued: 'Queued', processing: 'Fetching' };
+
+// TorBox download links stay valid for hours; history is polled every minute or so.
+const DOWNLOAD_LINK_TTL_MS = 30 * 60 * 1000;
+const MAX_CACHED_DOWNLOAD_LINKS = 1000;
+/** @type {Map<string, { url: string, expiresAt: number }>} */
+const downloadLinks = new Map();
+
+function sabJson(body) {
+  return Response.json(body);
+}
+
+function sabError(error) {
+  return Response.json({ status: false, error });
+}
+
+/**
+ * @param {number|null|undefined} seconds
+ * @returns {string} `H:MM:SS`, as SABnzbd formats `timeleft`
+ */
+export function formatTimeLeft(seconds) {
+  const total = Math.max(0, Math.floor(Number(seconds) || 0));
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${Math.floor(total / 3600)}:${pad(Math.floor((total % 3600) / 60))}:${pad(total % 60)}`;
+}
+
+/** Where the client host sees finished downloads, e.g. a TorBox WebDAV/rclone mount. */
+export function getCompleteDir() {
+  return (process.env.SABNZBD_COMPLETE_DIR || '/downloads').replace(/\/+$/, '');
+}
+
+/**
+ * TorBox download link of a finished usenet download (a zip when it has several files). The link
+ * is a signed CDN URL, so unlike the requestdl URL it does not carry the API key.
+ * @param {string} apiKey
+ * @param {number|string} usenetId
+ * @returns {Promise<string>} Empty when TorBox did not hand out a link
+ */
+async function usenetDownloadLink(apiKey, usenetId) {
+  const key = `${apiKey}:${usenetId}`;
+  const now = Date.now();
+  const cached = downloadLinks.get(key);
+  if (cached && cached.expiresAt > now) return cached.url;
+
+  const params = new URLSearchParams({
+    token: apiKey,
+    usenet_id: String(usenetId),
+    zip_link: 'true',
+  });
+  try {
+    const response = await torboxFetch(
+      `${API_BASE}/${API_VERSION}/api/usenet/requestdl?${params}`,
+      {
+        cache: 'no-store',
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+          'User-Agent': `TorBoxManager/${TORBOX_MANAGER_VERSION}`,
+        },
+      }
+    );
+    const { data } = await safeJsonParse(response);
+    if (!response.ok || typeof data !== 'string') {
+      throw new Error(`API responded with status: ${response.status}`);
+    }
+
+    for (const [cachedKey, link] of downloadLinks) {
+      if (link.expiresAt <= now) downloadLinks.delete(cachedKey);
+    }
+    if (downloadLinks.size >= MAX_CACHED_DOWNLOAD_LINKS) {
+      downloadLinks.delete(downloadLinks.keys().next().value);
+    }
+    downloadLinks.set(key, { url: data, expiresAt: now + DOWNLOAD_LINK_TTL_MS });
+    return data;
+  } catch (error) {
+    logRouteError('[SABnzbd history] No download link', error);
+    return '';
+  }
+}
+
+/** @internal test helper */
+export function resetSabnzbdDownloadLinksForTests() {
+  downloadLinks.clear();
+}
+
+function categoryOf(tags, category) {
+  const names = tags.map((tag) => tag.name);
+  if (category && names.some((name) => name.toLowerCase() === category.toLowerCase())) {
+    return category;
+  }
+  return names[0] ?? NO_CATEGORY;
+}
+
+function isFinished(item) {
+  return Boolean(item.download_finished && item.download_present);
+}
+
+function isFailed(item) {
+  const state = String(item.download_state || '').toLowerCase();
+  return state.includes('error') || state.includes('failed');
+}
+
+/**
+ * Join TorBox usenet downloads with the uploads that created them, so an NZB keeps the nzo_id
+ * it was given by addfile/addurl after TorBox picks it up.
+ */
+async function collectJobs(apiKey, category) {
+  const [items, tags, mappings, { data: uploads = [] }] = await Promise.all([
+    readDownloadList(apiKey, 'usenet'),
+    listTags(apiKey),
+    listDownloadTags(apiKey),
+    backendJson(apiKey, '/api/uploads?type=usenet&limit=1000'),
+  ]);
+  const tagsById = new Map(tags.map((tag) => [tag.id, tag]));
+  const uploadTags = (upload) =>
+    (upload?.tag_ids || []).map((id) => tagsById.get(id)).filter(Boolean);
+  const uploadsByDownloadId = new Map(
+    uploads
+      .filter((upload) => upload.torbox_torrent_id != null)
+      .map((upload) => [Number(upload.torbox_torrent_id), upload])
+  );
+
+  const listed = new Set();
+  const jobs = items.map((item) => {
+    const upload = uploadsByDownloadId.get(Number(item.id));
+    if (upload) listed.add(upload.id);
+    return {
+      nzoId: upload ? `${UPLOAD_NZO_PREFIX}${upload.id}` : `${DOWNLOAD_NZO_PREFIX}${item.id}`,
+      item,
+      upload,
+      // Until the processor has tagged the download, its upload's tags stand in.
+      category: categoryOf(mappings[item.id] || uploadTags(upload), category),
+    };
+  });
+
+  // Completed uploads the list cache has not caught up with yet stay in the queue until it does.
+  for (const upload of uploads) {
+    if (
+      upload.status in UPLOAD_QUEUE_STATUS ||
+      upload.status === 'failed' ||
+      (upload.status === 'completed' && !listed.has(upload.id))
+    ) {
+      jobs.push({
+        nzoId: `${UPLOAD_NZO_PREFIX}${upload.id}`,
+        item: null,
+        upload,
+        category: categoryOf(uploadTags(upload), category),
+      });
+    }
+  }
+
+  return category && category !== NO_CATEGORY
+    ? jobs.filter((job) => job.category.toLowerCase() === category.toLowerCase())
+    : jobs;
+}
+
+function toQueueSlot({ nzoId, item, upload, category }, index) {
+  const bytes = Number(item?.size ?? upload?.file_size_bytes) || 0;
+  const progress = Math.min(Math.max(Number(item?.progress) || 0, 0), 1);
+  let status = UPLOAD_QUEUE_STATUS[upload?.status] ?? 'Fetching';
+  if (item) {
+    status = isQueuedItem(item) ? 'Queued' : item.active ? 'Downloading' : 'Paused';
+  }
+
+  return {
+    index,
+    nzo_id: nzoId,
+    filename: item?.name || upload?.name || '',
+    cat: category,
+    priority: PRIORITY_NAMES[upload?.priority] ?? 'Normal',
+    status,
+    mb: (bytes / 1024 / 1024).toFixed(2),
+    mbleft: ((bytes * (1 - progress)) / 1024 / 1024).toFixed(2),
+    percentage: String(Math.round(progress * 100)),
+    timeleft: formatTimeLeft(item?.eta),
+  };
+}
+
+function isFailedJob(job) {
+  return !job.item || isFailed(job.item);
+}
+
+async function toHistorySlot(apiKey, job) {
+  const { nzoId, item, upload, category } = job;
+  const failed = isFailedJob(job);
+  const name = item?.name || upload?.name || '';
+  return {
+    nzo_id: nzoId,
+    name,
+    nzb_name: upload?.name || name,
+    category,
+    bytes: Number(item?.size) || 0,
+    status: failed ? 'Failed' : 'Completed',
+    fail_message: failed ? upload?.error_message || item?.download_state || 'Failed' : '',
+    storage: failed ? '' : await usenetDownloadLink(apiKey, item.id),
+    completed: Math.floor(Date.parse(item?.updated_at || item?.created_at || 0) / 1000) || 0,
+    download_time: 0,
+  };
+}
+
+function isHistoryJob(job) {
+  return job.item ? isFinished(job.item) || isFailed(job.item) : job.upload.status === 'failed';
+}
+
+function page(list, params) {
+  const start = Math.max(0, parseInt(params.get('start'), 10) || 0);
+  const limit = parseInt(params.get('limit'), 10);
+  return limit > 0 ? list.slice(start, start + limit) : list.slice(start);
+}
+
+async function deleteJobs(apiKey, jobs, { deleteDownloads }) {
+  for (const job of jobs) {
+    if (job.item && deleteDownloads) {
+      const response = await deleteDownloadItem({
+        apiKey,
+        id: job.item.id,
+        assetType: 'usenet',
+        queued: isQueuedItem(job.item),
+      });
+      if (!response.ok) {
+        const { error } = await safeJsonParse(response);
+        logRouteError('[SABnzbd delete] Not deleted', error);
+      }
+    }
+    if (job.upload) {
+      await backendJson(apiKey, `/api/uploads/${job.upload.id}`, { method: 'DELETE' });
+    }
+  }
+}
+
+/**
+ * Jobs a delete may touch. Only NZBs added through this API (upload nzo_ids) can be deleted, so
+ * `all` never reaches TorBox downloads the user added elsewhere.
+ */
+function selectJobs(jobs, value) {
+  const ids = new Set(String(value || '').split(','));
+  return jobs.filter(
+    (job) => job.nzoId.startsWith(UPLOAD_NZO_PREFIX) && (value === 'all' || ids.has(job.nzoId))
+  );
+}
+
+async function queue(params, apiKey) {
+  if (params.get('name') === 'delete') {
+    const jobs = (await collectJobs(apiKey)).filter((job) => !isHistoryJob(job));
+    await deleteJobs(apiKey, selectJobs(jobs, params.get('value')), { deleteDownloads: true });
+    return sabJson({ status: true });
+  }
+
+  const jobs = (await collectJobs(apiKey, params.get('category'))).filter(
+    (job) => !isHistoryJob(job)
+  );
+  const slots = jobs.map(toQueueSlot);
+  const bytesPerSecond = jobs.reduce(
+    (sum, job) => sum + (Number(job.item?.download_speed) || 0),
+    0
+  );
+  return sabJson({
+    queue: {
+      status: slots.length > 0 ? 'Downloading' : 'Idle',
+      paused: false,
+      kbpersec: (bytesPerSecond / 1024).toFixed(2),
+      noofslots: slots.length,
+      noofslots_total: slots.length,
+      slots: page(slots, params),
+    },
+  });
+}
+
+async function history(params, apiKey) {
+  if (params.get('name') === 'delete') {
+    const value = params.get('value');
+    let jobs = (await collectJobs(apiKey)).filter(isHistoryJob);
+    jobs =
+      value === 'failed' ? selectJobs(jobs.filter(isFailedJob), 'all') : selectJobs(jobs, value);
+    await deleteJobs(apiKey, jobs, { deleteDownloads: params.get('del_files') === '1' });
+    return sabJson({ status: true });
+  }
+
+  const jobs = (await collectJobs(apiKey, params.get('category')))
+    .filter(isHistoryJob)
+    .filter((job) => params.get('failed_only') !== '1' || isFailedJob(job));
+  // Only the requested page asks TorBox for download links.
+  const slots = await Promise.all(page(jobs, params).map((job) => toHistorySlot(apiKey, job)));
+  return sabJson({ history: { noofslots: jobs.length, slots } });
+}
+
+async function addNzb(params, apiKey, { file, url }) {
+  const tags = await listTags(apiKey);
+  const category = params.get('cat');
+  const tagIds =
+    category && category !== NO_CATEGORY ? [(await ensureTag(apiKey, category, tags)).id] : [];
+
+  let filePath = null;
+  if (file) {
+    const staged = await backendJson(apiKey, '/api/uploads/file', {
+      method: 'POST',
+      body: {
+        file_data: Buffer.from(await file.arrayBuffer()).toString('base64'),
+        filename: file.name || 'upload.nzb',
+        type: 'usenet',
+      },
+    });
+    filePath = staged.data.file_path;
+  }
+
+  const priority = Number(params.get('priority'));
+  try {
+    const { data } = await backendJson(apiKey, '/api/uploads', {
+      method: 'POST',
+      body: {
+        type: 'usenet',
+        upload_type: file ? 'file' : 'link',
+        file_path: filePath,
+        url: url ?? null,
+        name: params.get('nzbname') || file?.name?.replace(/\.nzb$/i, '') || url,
+        priority: PRIORITY_LANES[priority] ?? 'normal',
+        ...(priority === -2 && { as_queued: true }),
+        ...(tagIds.length > 0 && { tag_ids: tagIds }),
+      },
+    });
+    return sabJson({ status: true, nzo_ids: [`${UPLOAD_NZO_PREFIX}${data.id}`] });
+  } catch (error) {
+    if (filePath) {
+      await backendJson(apiKey, '/api/uploads/file', {
+        method: 'DELETE',
+        body: { file_path: filePath },
+      }).catch(() => {});
+    }
+    throw error;
+  }
+}
+
+function getConfig(tags) {
+  const categories = [NO_CATEGORY, ...tags.map((tag) => tag.name)].map((name, order) => ({
+    name,
+    order,
+    pp: '',
+    script: 'Default',
+    dir: '',
+    priority: -100,
+  }));
+  return sabJson({
+    config: {
+      misc: {
+        complete_dir: getCompleteDir(),
+        download_dir: '',
+        pre_check: false,
+        history_retention: '',
+        enable_tv_sorting: false,
+        enable_movie_sorting: false,
+        enable_date_sorting: false,
+      },
+      categories,
+    },
+  });
+}
+
+/**
+ * Read parameters from the query string and, for POSTs, the form body (addfile sends the NZB
+ * as multipart `name` or `nzbfile`).
+ */
+async function readParams(request) {
+  const params = new URL(request.url).searchParams;
+  let file = null;
+  if (request.method === 'POST') {
+    const form = await request.formData().catch(() => null);
+    for (const [key, value] of form ?? []) {
+      if (typeof value === 'object') {
+        file ??= value;
+      } else if (!params.has(key)) {
+        params.set(key, value);
+      }
+    }
+  }
+  return { params, file };
+}
+
+/**
+ * Dispatch `api?mode=`. Like SABnzbd, failures answer 200 with `{ status: false, error }`.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+export async function handleSabnzbdRequest(request) {
+  const { params, file } = await readParams(request);
+  const mode = params.get('mode');
+
+  if (mode === 'version') return sabJson({ version: SABNZBD_VERSION });
+  if (mode === 'auth') return sabJson({ auth: 'apikey' });
+  if (isBackendDisabled()) return sabError('The SABnzbd API requires the backend');
+
+  const apiKey = (params.get('apikey') || params.get('ma_password') || '').trim();
+  if (!apiKey) return sabError('API Key Required');
+  if (isAccessToken(apiKey)) return sabError('API Key Incorrect');
+
+  try {
+    let tags;
+    try {
+      tags = await listTags(apiKey);
+    } catch (error) {
+      if ([401, 403, 404].includes(error.status)) return sabError('API Key Incorrect');
+      throw error;
+    }
+
+    switch (mode) {
+      case 'get_config':
+        return getConfig(tags);
+      case 'get_cats':
+        return sabJson({ categories: [NO_CATEGORY, ...tags.map((tag) => tag.name)] });
+      case 'queue':
+        return await queue(params, apiKey);
+      case 'history':
+        return await history(params, apiKey);
+      case 'addfile':
+        if (!file) return sabError('No NZB file');
+        return await addNzb(params, apiKey, { file });
+      case 'addurl':
+        if (!params.get('name')) return sabError('No URL');
+        return await addNzb(params, apiKey, { url: params.get('name') });
+      default:
+        return sabError('not implemented');
+    }
+  } catch (error) {
+    logRouteError(`[SABnzbd ${mode}] Error`, error);
+    return sabError(sanitizeError(error));
+  }
+}
@@ -0,0 +1,10 @@
+import { handleSabnzbdRequest } from '@/app/api/lib/sabnzbdApi';
+
+/** SABnzbd `api?mode=` subset for NZB automation tools; see docs/api/sabnzbd.md */
+export async function GET(request) {
+  return handleSabnzbdRequest(request);
+}
+
+export async function POST(request) {
+  return handleSabnzbdRequest(request);
+}
@@ -0,0 +1,48 @@
+import { NextResponse } from 'next/server';
+import { isBackendDisabled, getBackendDisabledResponse } from '@/utils/backendCheck';
+import { backendHttpGet, backendProxyHeaders } from '@/utils/backendRequest';
+import { sanitizeError } from '@/utils/sanitizeError';
+import { logRouteError } from '@/utils/routeLog';
+import { isViewShareToken } from '../../../../../config/viewShares.mjs';
+const BACKEND_URL = process.env.BACKEND_URL || 'http://torbox-backend:3001';
+
+/**
+ * One page of a shared custom view -> { success, view, expires_at, items, pagination }.
+ * Public: the link token is the only credential, and the backend route is internal-only.
+ */
+export async function GET(request, { params }) {
+  if (isBackendDisabled()) {
+    return getBackendDisabledResponse('Shared views are disabled when backend is disabled');
+  }
+
+  try {
+    const { token } = await params;
+    if (!isViewShareToken(token)) {
+      return NextResponse.json({ success: false, error: 'Share link not found' }, { status: 404 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const url = new URL(`${BACKEND_URL}/api/backend/view-shares/${encodeURIComponent(token)}`);
+    const page = searchParams.get('page');
+    if (page != null) url.searchParams.set('page', page);
+
+    const response = await backendHttpGet(url, { headers: backendProxyHeaders(null) });
+
+    if (response.ok) {
+      return NextResponse.json(response.data, { headers: { 'Cache-Control': 'no-store' } });
+    }
+    // 404 (unknown/revoked) and 410 (expired) are shown as-is on the shared page
+    const errorData = response.data || {};
+    return NextResponse.json(
+      {
+        success: false,
+        error: errorData.error || `Backend responded with status: ${response.status}`,
+        ...(errorData.code ? { code: errorData.code } : {}),
+      },
+      { status: response.status }
+    );
+  } catch (error) {
+    logRouteError('Error fetching shared view from backend', error);
+    return NextResponse.json({ success: false, error: sanitizeError(error) }, { status: 500 });
+  }
+}
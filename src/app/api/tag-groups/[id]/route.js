@@ -0,0 +1,87 @@
+import { NextResponse } from 'next/server';
+import { headers } from 'next/headers';
+import crypto from 'crypto';
+import { isBackendDisabled, getBackendDisabledResponse } from '@/utils/backendCheck';
+import { backendHttpRequest, backendProxyHeaders } from '@/utils/backendRequest';
+import { sanitizeError } from '@/utils/sanitizeError';
+import { backendProxyErrorResponse, logRouteError } from '@/utils/routeLog';
+const BACKEND_URL = process.env.BACKEND_URL || 'http://torbox-backend:3001';
+
+/**
+ * Hash an API key to create a unique user identifier (matches backend implementation)
+ */
+function hashApiKey(apiKey) {
+  if (!apiKey) {
+    throw new Error('API key is required');
+  }
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/** Rename a tag group -> { success, group } */
+export async function PUT(request, { params }) {
+  if (isBackendDisabled()) {
+    return getBackendDisabledResponse('Tag groups are disabled when backend is disabled');
+  }
+
+  try {
+    const headersList = await headers();
+    const apiKey = headersList.get('x-api-key');
+
+    if (!apiKey) {
+      return NextResponse.json({ success: false, error: 'API key is required' }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const body = await request.json();
+    const requestBody = JSON.stringify({ ...body, authId: hashApiKey(apiKey) });
+
+    const response = await backendHttpRequest(`${BACKEND_URL}/api/tag-groups/${id}`, {
+      method: 'PUT',
+      headers: backendProxyHeaders(apiKey, {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(requestBody),
+      }),
+      body: requestBody,
+    });
+
+    if (response.ok) {
+      return NextResponse.json(response.data);
+    }
+    return backendProxyErrorResponse(response, 'Error updating tag group in backend');
+  } catch (error) {
+    logRouteError('Error updating tag group in backend', error);
+    return NextResponse.json({ success: false, error: sanitizeError(error) }, { status: 500 });
+  }
+}
+
+export async function DELETE(request, { params }) {
+  if (isBackendDisabled()) {
+    return getBackendDisabledResponse('Tag groups are disabled when backend is disabled');
+  }
+
+  try {
+    const headersList = await headers();
+    const apiKey = headersList.get('x-api-key');
+
+    if (!apiKey) {
+      return NextResponse.json({ success: false, error: 'API key is required' }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const url = new URL(`${BACKEND_URL}/api/tag-groups/${id}`);
+    url.searchParams.set('authId', hashApiKey(apiKey));
+
+    const response = await backendHttpRequest(url, {
+      method: 'DELETE',
+      headers: backendProxyHeaders(apiKey),
+    });
+
+    if (response.ok) {
+      return NextResponse.json(response.data);
+    }
+    return backendProxyErrorResponse(response, 'Error deleting tag group from backend');
+  } catch (error) {
+    logRouteError('Error deleting tag group from backend', error);
+    return NextResponse.json({ success: false, error: sanitizeError(error) }, { status: 500 });
+  }
+}
@@ -0,0 +1,53 @@
+import { isBackendDisabled, getBackendDisabledResponse } from '@/utils/backendCheck';
+import { sanitizeError } from '@/utils/sanitizeError';
+import { readJsonFromResponse } from '@/utils/fetchResponse';
+import { resolveTorboxApiKey } from '@/app/api/lib/resolveTorboxApiKey';
+
+const BACKEND_URL = process.env.BACKEND_URL || 'http://torbox-backend:3001';
+
+export async function POST(_request, { params }) {
+  if (isBackendDisabled()) {
+    return getBackendDisabledResponse('Automation rules are disabled when backend is disabled');
+  }
+
+  const auth = await resolveTorboxApiKey({ route: 'POST /api/v1/automation/rules/:id/run' });
+  if (auth.response) return auth.response;
+
+  try {
+    const { id } = await params;
+    const response = await fetch(
+      `${BACKEND_URL}/api/automation/rules/${encodeURIComponent(id)}/run`,
+      {
+        method: 'POST',
+        cache: 'no-store',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': auth.apiKey,
+        },
+        body: JSON.stringify({}),
+      }
+    );
+
+    const { ok: responseOk, status: responseStatus, data } = await readJsonFromResponse(response);
+
+    if (!responseOk) {
+      return Response.json(
+        {
+          success: false,
+          error: data.error || `Backend responded with status: ${responseStatus}`,
+          detail: data.detail,
+        },
+        { status: responseStatus }
+      );
+    }
+
+    return Response.json({
+      success: data.success !== false,
+      error: null,
+      detail: data.skipped ? 'Rule Run Skipped' : 'Rule Run Successfully',
+      data: data.skipped ? { skipped: true, reason: data.reason } : data.result,
+    });
+  } catch (error) {
+    return Response.json({ success: false, error: sanitizeError(error) }, { status: 500 });
+  }
+}
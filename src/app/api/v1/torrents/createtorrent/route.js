@@ -8,7 +8,7 @@ export async function POST(request) {
     return getBackendDisabledResponse('Upload logs feature is disabled when backend is disabled');
   }
 
-  const auth = await resolveTorboxApiKey();
+  const auth = await resolveTorboxApiKey({ route: 'POST /api/v1/torrents/createtorrent' });
   if (auth.response) return auth.response;
 
   const contentType = request.headers.get('content-type') || '';
@@ -11,7 +11,7 @@ export async function GET(_request, { params }) {
     return getBackendDisabledResponse('Upload logs feature is disabled when backend is disabled');
   }
 
-  const auth = await resolveTorboxApiKey();
+  const auth = await resolveTorboxApiKey({ route: 'GET /api/v1/uploads/:id' });
   if (auth.response) return auth.response;
 
   try {
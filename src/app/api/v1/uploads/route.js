@@ -0,0 +1,56 @@
+import { isBackendDisabled, getBackendDisabledResponse } from '@/utils/backendCheck';
+import { sanitizeError } from '@/utils/sanitizeError';
+import { readJsonFromResponse } from '@/utils/fetchResponse';
+import { resolveTorboxApiKey } from '@/app/api/lib/resolveTorboxApiKey';
+import { toPublicUploadListItem } from '@/app/api/lib/publicUploadResponse';
+
+const BACKEND_URL = process.env.BACKEND_URL || 'http://torbox-backend:3001';
+const FORWARDED_PARAMS = ['status', 'type', 'page', 'limit'];
+
+export async function GET(request) {
+  if (isBackendDisabled()) {
+    return getBackendDisabledResponse('Upload logs feature is disabled when backend is disabled');
+  }
+
+  const auth = await resolveTorboxApiKey({ route: 'GET /api/v1/uploads' });
+  if (auth.response) return auth.response;
+
+  try {
+    const { searchParams } = new URL(request.url);
+    const query = new URLSearchParams();
+    for (const param of FORWARDED_PARAMS) {
+      if (searchParams.has(param)) query.set(param, searchParams.get(param));
+    }
+
+    const response = await fetch(`${BACKEND_URL}/api/uploads?${query}`, {
+      method: 'GET',
+      cache: 'no-store',
+      headers: {
+        'x-api-key': auth.apiKey,
+      },
+    });
+
+    const { ok: responseOk, status: responseStatus, data } = await readJsonFromResponse(response);
+
+    if (!responseOk) {
+      return Response.json(
+        {
+          success: false,
+          error: data.error || `Backend responded with status: ${responseStatus}`,
+          detail: data.detail,
+        },
+        { status: responseStatus }
+      );
+    }
+
+    return Response.json({
+      success: true,
+      error: null,
+      detail: 'Uploads Retrieved Successfully',
+      data: (data.data ?? []).map(toPublicUploadListItem),
+      pagination: data.pagination,
+    });
+  } catch (error) {
+    return Response.json({ success: false, error: sanitizeError(error) }, { status: 500 });
+  }
+}
@@ -0,0 +1,14 @@
+import { isBackendDisabled, getBackendDisabledResponse } from '@/utils/backendCheck';
+import { resolveTorboxApiKey } from '@/app/api/lib/resolveTorboxApiKey';
+import { queuePublicBatchUploads } from '@/app/api/lib/publicBatchUpload';
+
+export async function POST(request) {
+  if (isBackendDisabled()) {
+    return getBackendDisabledResponse('Upload logs feature is disabled when backend is disabled');
+  }
+
+  const auth = await resolveTorboxApiKey({ route: 'POST /api/v1/webdl/batch' });
+  if (auth.response) return auth.response;
+
+  return queuePublicBatchUploads(request, auth.apiKey, 'webdl');
+}
@@ -0,0 +1,5 @@
+import { getPublicDownloadList } from '@/app/api/lib/publicDownloadList';
+
+export async function GET() {
+  return getPublicDownloadList('webdl');
+}
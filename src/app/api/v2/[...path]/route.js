@@ -0,0 +1,12 @@
+import { handleQbittorrentRequest } from '@/app/api/lib/qbittorrentApi';
+
+/** qBittorrent WebUI API v2 subset for *arr download clients; see docs/api/qbittorrent.md */
+export async function GET(request, { params }) {
+  const { path } = await params;
+  return handleQbittorrentRequest(request, path);
+}
+
+export async function POST(request, { params }) {
+  const { path } = await params;
+  return handleQbittorrentRequest(request, path);
+}
@@ -65,6 +65,14 @@ export const COLUMNS = {
   airlocked: { key: 'airlocked', sortable: true },
   is_protected: { key: 'is_protected', sortable: true },
   tags: { key: 'tags', sortable: false },
+  resolution: { key: 'resolution', sortable: true },
+  codec: { key: 'codec', sortable: true },
+  hdr: { key: 'hdr', sortable: true },
+  source: { key: 'source', sortable: true },
+  release_group: { key: 'release_group', sortable: true },
+  season: { key: 'season', sortable: true },
+  episode: { key: 'episode', sortable: true },
+  year: { key: 'year', sortable: true },
 };
 
 // Status options for the downloads page
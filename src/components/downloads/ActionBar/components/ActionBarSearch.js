@@ -6,6 +6,7 @@ import { useDownloadsDataContext } from '@/components/downloads/DownloadsDataCon
 import { useDownloadsFilterContext } from '@/components/downloads/DownloadsFilterContext';
 import { useDownloadsUIContext } from '@/components/downloads/DownloadsUIContext';
 import Dropdown from '@/components/shared/Dropdown';
+import { useTagsStore } from '@/store/tagsStore';
 import { useTranslations } from 'next-intl';
 import SearchBar from './SearchBar';
 
@@ -13,6 +14,7 @@ export default function ActionBarSearch({ itemTypePlural }) {
   const { activeColumns } = useDownloadsDataContext();
   const { search, setSearch, sortField, sortDirection, handleSort } = useDownloadsFilterContext();
   const { displayViewMode: viewMode } = useDownloadsUIContext();
+  const tags = useTagsStore((s) => s.tags);
   const t = useTranslations('Columns');
 
   const sortOptions = useMemo(
@@ -32,6 +34,7 @@ export default function ActionBarSearch({ itemTypePlural }) {
         search={search}
         onSearchChange={setSearch}
         itemTypePlural={itemTypePlural}
+        tags={tags}
         className="min-w-0 w-full basis-full sm:basis-auto sm:w-44 sm:flex-none md:w-52 lg:w-60"
       />
 
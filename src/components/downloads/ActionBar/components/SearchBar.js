@@ -7,13 +7,30 @@ import Times from '@/components/icons/Times';
 import Tooltip from '@/components/shared/Tooltip';
 import useIsMobile from '@/hooks/useIsMobile';
 import { useTranslations } from 'next-intl';
+import {
+  getSearchQuerySuggestions,
+  parseSearchQuery,
+} from '@/components/downloads/filters/searchQueryLanguage';
 
-export default function SearchBar({ search, onSearchChange, itemTypePlural, className = '' }) {
+const EMPTY_TAGS = [];
+
+export default function SearchBar({
+  search,
+  onSearchChange,
+  itemTypePlural,
+  tags = EMPTY_TAGS,
+  className = '',
+}) {
   const t = useTranslations('SearchBar');
   const isMobile = useIsMobile();
   const inputId = useId();
+  const listboxId = useId();
   const inputRef = useRef(null);
   const [draft, setDraft] = useState(search);
+  const [caret, setCaret] = useState(null);
+  const [isFocused, setIsFocused] = useState(false);
+  const [suggestionsDismissed, setSuggestionsDismissed] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
   const lastEmittedRef = useRef(search);
 
   useEffect(() => {
@@ -36,6 +53,7 @@ export default function SearchBar({ search, onSearchChange, itemTypePlural, clas
           <li>{t('searchDownloadsHelpAnd')}</li>
           <li>{t('searchDownloadsHelpPhrase')}</li>
           <li>{t('searchDownloadsHelpExclude')}</li>
+          <li>{t('searchDownloadsHelpFields')}</li>
         </ul>
         <p className="text-primary-text/70 dark:text-primary-text-dark/70">
           {t('searchDownloadsHelpCombine')}
@@ -45,9 +63,24 @@ export default function SearchBar({ search, onSearchChange, itemTypePlural, clas
     [t]
   );
 
-  const handleChange = useCallback(
-    (e) => {
-      const value = e.target.value;
+  const suggestions = useMemo(
+    () =>
+      isFocused && !suggestionsDismissed
+        ? getSearchQuerySuggestions(draft, caret ?? draft.length, { tags })
+        : null,
+    [draft, caret, tags, isFocused, suggestionsDismissed]
+  );
+  const suggestionItems = useMemo(() => suggestions?.items ?? [], [suggestions]);
+  const queryErrors = useMemo(
+    () => (isFocused ? parseSearchQuery(draft, { tags }).errors : []),
+    [draft, tags, isFocused]
+  );
+  const showSuggestions = suggestionItems.length > 0;
+  // Errors for the word being typed would flash on every keystroke; autocomplete covers it.
+  const showErrors = !showSuggestions && queryErrors.length > 0;
+
+  const emitDraft = useCallback(
+    (value) => {
       setDraft(value);
       lastEmittedRef.current = value;
       onSearchChange(value);
@@ -55,23 +88,72 @@ export default function SearchBar({ search, onSearchChange, itemTypePlural, clas
     [onSearchChange]
   );
 
+  const handleChange = useCallback(
+    (e) => {
+      setCaret(e.target.selectionStart);
+      setSuggestionsDismissed(false);
+      setActiveIndex(0);
+      emitDraft(e.target.value);
+    },
+    [emitDraft]
+  );
+
   const handleClear = useCallback(() => {
-    setDraft('');
-    lastEmittedRef.current = '';
-    onSearchChange('');
-  }, [onSearchChange]);
+    setCaret(null);
+    emitDraft('');
+  }, [emitDraft]);
+
+  const acceptSuggestion = useCallback(
+    (item) => {
+      if (!suggestions) return;
+      const next = draft.slice(0, suggestions.from) + item.value + draft.slice(suggestions.to);
+      const nextCaret = suggestions.from + item.value.length;
+      setCaret(nextCaret);
+      setActiveIndex(0);
+      emitDraft(next);
+      requestAnimationFrame(() => {
+        inputRef.current?.focus();
+        inputRef.current?.setSelectionRange(nextCaret, nextCaret);
+      });
+    },
+    [draft, suggestions, emitDraft]
+  );
 
   const handleKeyDown = useCallback(
     (e) => {
+      if (showSuggestions) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+          e.preventDefault();
+          const step = e.key === 'ArrowDown' ? 1 : -1;
+          setActiveIndex(
+            (index) => (index + step + suggestionItems.length) % suggestionItems.length
+          );
+          return;
+        }
+        if (e.key === 'Enter' || e.key === 'Tab') {
+          e.preventDefault();
+          acceptSuggestion(suggestionItems[Math.min(activeIndex, suggestionItems.length - 1)]);
+          return;
+        }
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          setSuggestionsDismissed(true);
+          return;
+        }
+      }
       if (e.key === 'Escape' && draft) {
         e.preventDefault();
         handleClear();
         inputRef.current?.blur();
       }
     },
-    [draft, handleClear]
+    [showSuggestions, suggestionItems, activeIndex, acceptSuggestion, draft, handleClear]
   );
 
+  const handleSelect = useCallback((e) => {
+    setCaret(e.target.selectionStart);
+  }, []);
+
   const hasQuery = Boolean(draft?.trim());
 
   return (
@@ -100,13 +182,27 @@ export default function SearchBar({ search, onSearchChange, itemTypePlural, clas
             id={inputId}
             type="text"
             enterKeyHint="search"
-            role="searchbox"
+            role="combobox"
+            aria-autocomplete="list"
+            aria-expanded={showSuggestions}
+            aria-controls={listboxId}
+            aria-activedescendant={
+              showSuggestions
+                ? `${listboxId}-${Math.min(activeIndex, suggestionItems.length - 1)}`
+                : undefined
+            }
             autoComplete="off"
             spellCheck={false}
             placeholder={placeholder}
             value={draft}
             onChange={handleChange}
             onKeyDown={handleKeyDown}
+            onSelect={handleSelect}
+            onFocus={() => setIsFocused(true)}
+            onBlur={() => {
+              setIsFocused(false);
+              setSuggestionsDismissed(false);
+            }}
             className="w-full min-w-0 bg-transparent py-1.5 pl-9 pr-8 text-sm text-primary-text dark:text-primary-text-dark
             placeholder:text-primary-text/50 dark:placeholder:text-primary-text-dark/50
             focus:outline-hidden"
@@ -125,6 +221,54 @@ export default function SearchBar({ search, onSearchChange, itemTypePlural, clas
             </button>
           )}
         </div>
+        {(showSuggestions || showErrors) && (
+          <div className="z-overlay-popover absolute left-0 right-0 top-full mt-1 overflow-hidden rounded-md border border-border bg-surface shadow-lg dark:border-border-dark dark:bg-surface-dark">
+            {showSuggestions ? (
+              <ul
+                id={listboxId}
+                role="listbox"
+                aria-label={t('searchSuggestionsAria')}
+                className="max-h-64 overflow-y-auto py-1"
+              >
+                {suggestionItems.map((item, index) => (
+                  <li
+                    key={item.value}
+                    id={`${listboxId}-${index}`}
+                    role="option"
+                    aria-selected={index === activeIndex}
+                    // Keep focus in the input so the caret position survives the click.
+                    onMouseDown={(e) => {
+                      e.preventDefault();
+                      acceptSuggestion(item);
+                    }}
+                    onMouseEnter={() => setActiveIndex(index)}
+                    className={`flex cursor-pointer items-center justify-between gap-3 px-3 py-1.5 text-sm text-primary-text dark:text-primary-text-dark ${
+                      index === activeIndex ? 'bg-surface-alt dark:bg-surface-alt-dark' : ''
+                    }`}
+                  >
+                    <span className="truncate font-mono">{item.label}</span>
+                    {item.hint && (
+                      <span className="shrink-0 font-mono text-xs text-primary-text/50 dark:text-primary-text-dark/50">
+                        {item.hint}
+                      </span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <ul
+                className="space-y-1 px-3 py-2 text-xs text-red-500 dark:text-red-400"
+                role="status"
+              >
+                {queryErrors.map((error) => (
+                  <li key={`${error.code}:${error.term}`}>
+                    {t(`queryErrors.${error.code}`, { term: error.term })}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
       </div>
 
       <Tooltip content={searchHelpContent} position="bottom">
@@ -3,8 +3,10 @@ export {
   normalizeAssetTypes,
   getSupportedConditions,
   getSupportedActions,
+  getSupportedTriggers,
   isConditionSupported,
   isActionSupported,
+  isTriggerSupported,
   AUTOMATION_RULE_CAPABILITIES_REGISTRY,
 } from '../../../../config/ruleCapabilities.mjs';
 
@@ -0,0 +1,237 @@
+'use client';
+
+import { useId, useState } from 'react';
+import { useLocale } from 'next-intl';
+import { parseUtcDate } from '@/utils/parseUtcDate';
+import Select from '@/components/shared/Select';
+import { getActionDisplayName } from '../utils';
+
+const AUDIT_OUTCOMES = ['success', 'failed', 'skipped'];
+
+const outcomeClassNames = {
+  success:
+    'bg-label-success-bg text-label-success-text dark:bg-label-success-bg-dark dark:text-label-success-text-dark',
+  failed:
+    'bg-label-danger-bg text-label-danger-text dark:bg-label-danger-bg-dark dark:text-label-danger-text-dark',
+  skipped:
+    'bg-surface-hover text-primary-text/70 dark:bg-surface-hover-dark dark:text-primary-text-dark/70',
+};
+
+const secondaryButtonClassName =
+  'px-3 py-1 text-sm text-primary-text dark:text-primary-text-dark border border-border dark:border-border-dark rounded-md hover:bg-surface-hover dark:hover:bg-surface-hover-dark transition-colors disabled:opacity-50 disabled:cursor-not-allowed';
+
+function AuditTimestamp({ timestamp }) {
+  const locale = useLocale();
+  const date = parseUtcDate(timestamp);
+  return Number.isNaN(date.getTime()) ? timestamp : date.toLocaleString(locale);
+}
+
+/** Skip reasons are codes; failure reasons are error messages shown as-is */
+function formatReason(entry, t) {
+  if (!entry.reason) return null;
+  if (entry.outcome === 'skipped') {
+    return t(`audit.skipReasons.${entry.reason}`);
+  }
+  return entry.reason;
+}
+
+/**
+ * Timeline of every download rule actions touched, filterable by rule, download and outcome.
+ * Clicking a download narrows the timeline to that download.
+ */
+export default function ActionAuditModal({
+  actionAudit,
+  rules,
+  onFilterChange,
+  onLoadMore,
+  onClose,
+  t,
+}) {
+  const ruleSelectId = useId();
+  const outcomeSelectId = useId();
+  const searchId = useId();
+  const [search, setSearch] = useState(actionAudit?.filters?.search || '');
+
+  if (!actionAudit) return null;
+
+  const { filters = {}, entries = [], nextCursor, isLoading, error } = actionAudit;
+  const downloadFilterName = filters.downloadId
+    ? entries.find((entry) => entry.download_id === filters.downloadId)?.download_name ||
+      filters.downloadId
+    : null;
+
+  return (
+    <div className="fixed inset-0 bg-neutral-950/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-surface dark:bg-surface-dark border border-border dark:border-border-dark rounded-lg p-6 max-w-3xl w-full max-h-[80vh] overflow-hidden flex flex-col shadow-2xl">
+        <div className="flex justify-between items-start mb-4 gap-4">
+          <div>
+            <h3 className="text-lg font-semibold text-primary-text dark:text-primary-text-dark">
+              {t('audit.title')}
+            </h3>
+            <p className="text-sm text-primary-text/70 dark:text-primary-text-dark/70 mt-1">
+              {t('audit.description')}
+            </p>
+          </div>
+          <button type="button" onClick={onClose} className={secondaryButtonClassName}>
+            {t('close')}
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-end gap-2 mb-3">
+          <div className="w-44">
+            <label htmlFor={ruleSelectId} className="sr-only">
+              {t('audit.rule')}
+            </label>
+            <Select
+              id={ruleSelectId}
+              value={filters.ruleId || ''}
+              onChange={(e) => onFilterChange('ruleId', e.target.value)}
+            >
+              <option value="">{t('audit.allRules')}</option>
+              {rules
+                .filter((rule) => rule.id != null)
+                .map((rule) => (
+                  <option key={rule.id} value={String(rule.id)}>
+                    {rule.name}
+                  </option>
+                ))}
+            </Select>
+          </div>
+          <div className="w-36">
+            <label htmlFor={outcomeSelectId} className="sr-only">
+              {t('audit.outcome')}
+            </label>
+            <Select
+              id={outcomeSelectId}
+              value={filters.outcome || ''}
+              onChange={(e) => onFilterChange('outcome', e.target.value)}
+            >
+              <option value="">{t('audit.allOutcomes')}</option>
+              {AUDIT_OUTCOMES.map((outcome) => (
+                <option key={outcome} value={outcome}>
+                  {t(`audit.outcomes.${outcome}`)}
+                </option>
+              ))}
+            </Select>
+          </div>
+          <form
+            className="flex-1 min-w-40"
+            onSubmit={(e) => {
+              e.preventDefault();
+              onFilterChange('search', search.trim());
+            }}
+          >
+            <label htmlFor={searchId} className="sr-only">
+              {t('audit.searchPlaceholder')}
+            </label>
+            <input
+              id={searchId}
+              type="search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              onBlur={() => {
+                if (search.trim() !== (filters.search || '')) {
+                  onFilterChange('search', search.trim());
+                }
+              }}
+              placeholder={t('audit.searchPlaceholder')}
+              className="w-full px-3 py-1.5 text-sm text-primary-text dark:text-primary-text-dark border border-border dark:border-border-dark rounded-md bg-transparent"
+            />
+          </form>
+        </div>
+
+        {downloadFilterName && (
+          <div className="flex items-center gap-2 mb-3 text-sm text-primary-text/80 dark:text-primary-text-dark/80">
+            <span className="truncate">
+              {t('audit.downloadFilter', { name: downloadFilterName })}
+            </span>
+            <button
+              type="button"
+              onClick={() => onFilterChange('downloadId', '')}
+              className="text-xs text-accent dark:text-accent-dark hover:text-accent/80 dark:hover:text-accent-dark/80"
+            >
+              {t('audit.clearDownloadFilter')}
+            </button>
+          </div>
+        )}
+
+        {error && (
+          <div className="mb-3 text-sm text-label-danger-text dark:text-label-danger-text-dark">
+            <strong>{t('error')}:</strong> {error}
+          </div>
+        )}
+
+        <div className="flex-1 overflow-y-auto">
+          {entries.length === 0 && !isLoading ? (
+            <div className="text-center text-muted dark:text-muted-dark py-8">
+              {t('audit.empty')}
+            </div>
+          ) : (
+            <ol className="space-y-2">
+              {entries.map((entry) => {
+                const reason = formatReason(entry, t);
+                return (
+                  <li
+                    key={entry.id}
+                    className="p-3 border border-border dark:border-border-dark rounded-lg bg-surface-alt dark:bg-surface-alt-dark"
+                  >
+                    <div className="flex justify-between items-start gap-2">
+                      <button
+                        type="button"
+                        onClick={() => onFilterChange('downloadId', entry.download_id)}
+                        className="min-w-0 text-left text-sm font-medium text-primary-text dark:text-primary-text-dark hover:text-accent dark:hover:text-accent-dark truncate"
+                        title={entry.download_hash || entry.download_id}
+                      >
+                        {entry.download_name || entry.download_id}
+                      </button>
+                      <span
+                        className={`shrink-0 text-xs px-2 py-1 rounded ${outcomeClassNames[entry.outcome] || outcomeClassNames.skipped}`}
+                      >
+                        {t(`audit.outcomes.${entry.outcome}`)}
+                      </span>
+                    </div>
+                    <div className="mt-1 flex flex-wrap gap-x-3 gap-y-1 text-xs text-primary-text/70 dark:text-primary-text-dark/70">
+                      <span>
+                        <AuditTimestamp timestamp={entry.created_at} />
+                      </span>
+                      <span>{entry.rule_name}</span>
+                      <span>
+                        {getActionDisplayName(entry.action_type, t)}
+                        {entry.step_index != null &&
+                          ` (${t('pipeline.stepLabel', { number: entry.step_index + 1 })})`}
+                      </span>
+                    </div>
+                    {reason && (
+                      <div
+                        className={`mt-1 text-xs ${
+                          entry.outcome === 'failed'
+                            ? 'text-label-danger-text dark:text-label-danger-text-dark'
+                            : 'text-primary-text/70 dark:text-primary-text-dark/70'
+                        }`}
+                      >
+                        {reason}
+                      </div>
+                    )}
+                  </li>
+                );
+              })}
+            </ol>
+          )}
+        </div>
+
+        {(nextCursor || isLoading) && (
+          <div className="flex justify-center pt-3">
+            <button
+              type="button"
+              onClick={onLoadMore}
+              disabled={isLoading}
+              className={secondaryButtonClassName}
+            >
+              {isLoading ? t('audit.loading') : t('audit.loadMore')}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
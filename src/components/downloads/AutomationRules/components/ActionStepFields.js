@@ -0,0 +1,178 @@
+'use client';
+
+import { useId } from 'react';
+import { ACTION_TYPES } from '../constants';
+import ConditionFilterInput from './ConditionFilterInput';
+import WebhookActionFields from './WebhookActionFields';
+import Select from '@/components/shared/Select';
+import { createActionStep } from '../utils';
+import TagSelector from '@/components/downloads/Tags/TagSelector';
+
+const stepButtonClassName =
+  'px-2 py-1 text-xs text-primary-text dark:text-primary-text-dark hover:bg-surface dark:hover:bg-surface-dark rounded transition-colors disabled:opacity-40 disabled:cursor-not-allowed';
+
+/**
+ * One step of a rule's action pipeline: type, type-specific fields,
+ * optional step conditions and the stop-on-failure flag.
+ */
+export default function ActionStepFields({
+  action,
+  actionIndex,
+  totalActions,
+  actionOptions,
+  onUpdate,
+  onRemove,
+  onMove,
+  onAddCondition,
+  onUpdateCondition,
+  onRemoveCondition,
+  t,
+  apiKey,
+  assetTypes,
+}) {
+  const selectId = useId();
+  const stopOnFailureId = useId();
+  const conditions = action.conditions || [];
+  const isPipeline = totalActions > 1;
+  const isLast = actionIndex === totalActions - 1;
+
+  return (
+    <div className="border border-border dark:border-border-dark rounded-md bg-surface-alt dark:bg-surface-alt-dark">
+      {isPipeline && (
+        <div className="flex items-center justify-between gap-2 p-2 border-b border-border dark:border-border-dark">
+          <span className="text-xs font-medium text-primary-text/70 dark:text-primary-text-dark/70">
+            {t('pipeline.stepLabel', { number: actionIndex + 1 })}
+          </span>
+          <div className="flex items-center gap-1">
+            <button
+              type="button"
+              onClick={() => onMove(actionIndex, -1)}
+              disabled={actionIndex === 0}
+              className={stepButtonClassName}
+              title={t('pipeline.moveUp')}
+              aria-label={t('pipeline.moveUp')}
+            >
+              ↑
+            </button>
+            <button
+              type="button"
+              onClick={() => onMove(actionIndex, 1)}
+              disabled={isLast}
+              className={stepButtonClassName}
+              title={t('pipeline.moveDown')}
+              aria-label={t('pipeline.moveDown')}
+            >
+              ↓
+            </button>
+            <button
+              type="button"
+              onClick={() => onRemove(actionIndex)}
+              className="px-2 py-1 text-xs text-red-500 hover:text-red-400 hover:bg-red-500/10 dark:hover:bg-red-500/20 rounded transition-colors"
+              title={t('pipeline.removeAction')}
+              aria-label={t('pipeline.removeAction')}
+            >
+              ×
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="p-2 space-y-2">
+        <div className="w-48">
+          <label htmlFor={selectId} className="sr-only">
+            {t('action')}
+          </label>
+          <Select
+            id={selectId}
+            value={action.type}
+            onChange={(e) => onUpdate(actionIndex, createActionStep(e.target.value, action))}
+          >
+            {actionOptions.map((opt) => (
+              <option key={opt.value} value={opt.value} title={opt.desc}>
+                {opt.label}
+              </option>
+            ))}
+          </Select>
+        </div>
+
+        {/* Tag Selector for add_tag and remove_tag actions */}
+        {(action.type === ACTION_TYPES.ADD_TAG || action.type === ACTION_TYPES.REMOVE_TAG) && (
+          <fieldset className="border-0 p-0 m-0 min-w-0">
+            <legend className="block text-sm font-medium text-primary-text dark:text-primary-text-dark mb-1">
+              {t('actions.selectTags')}
+            </legend>
+            <TagSelector
+              value={action.tagIds || []}
+              onChange={(tagIds) => onUpdate(actionIndex, { ...action, tagIds })}
+              apiKey={apiKey}
+              className="w-full"
+              exclusiveGroups={action.type === ACTION_TYPES.ADD_TAG}
+            />
+          </fieldset>
+        )}
+        {action.type === ACTION_TYPES.WEBHOOK && (
+          <WebhookActionFields
+            action={action}
+            onChange={(next) => onUpdate(actionIndex, next)}
+            t={t}
+          />
+        )}
+
+        {/* Step conditions narrow the rule's matches for this action only */}
+        {isPipeline && (
+          <div className="space-y-2">
+            {conditions.length > 0 && (
+              <p className="text-xs text-primary-text/70 dark:text-primary-text-dark/70">
+                {t('pipeline.onlyWhen')}
+              </p>
+            )}
+            {conditions.map((condition, conditionIndex) => (
+              <ConditionFilterInput
+                key={condition._key || conditionIndex}
+                condition={condition}
+                index={conditionIndex}
+                totalConditions={conditions.length}
+                onUpdate={(idx, field, val) => onUpdateCondition(actionIndex, idx, field, val)}
+                onRemove={(idx) => onRemoveCondition(actionIndex, idx)}
+                t={t}
+                apiKey={apiKey}
+                assetTypes={assetTypes}
+              />
+            ))}
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <button
+                type="button"
+                onClick={() => onAddCondition(actionIndex)}
+                className="text-xs text-accent dark:text-accent-dark hover:text-accent/80 dark:hover:text-accent-dark/80"
+              >
+                + {t('pipeline.addStepCondition')}
+              </button>
+              {!isLast && (
+                <label
+                  htmlFor={stopOnFailureId}
+                  className="flex items-center gap-2 text-xs text-primary-text dark:text-primary-text-dark"
+                  title={t('pipeline.stopOnFailureDescription')}
+                >
+                  <input
+                    id={stopOnFailureId}
+                    type="checkbox"
+                    checked={action.stopOnFailure === true}
+                    onChange={(e) => {
+                      const { stopOnFailure: _stopOnFailure, ...rest } = action;
+                      onUpdate(
+                        actionIndex,
+                        e.target.checked ? { ...rest, stopOnFailure: true } : rest
+                      );
+                    }}
+                    className="accent-accent dark:accent-accent-dark"
+                  />
+                  {t('pipeline.stopOnFailure')}
+                </label>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,7 +1,10 @@
 'use client';
 
 import { CONDITION_TYPES, BOOLEAN_OPERATORS, TAG_OPERATORS } from '../constants';
-import { isTagPresenceOperator } from '@/components/downloads/filters/tagFilterHelpers';
+import {
+  buildTagFilterOptions,
+  isTagPresenceOperator,
+} from '@/components/downloads/filters/tagFilterHelpers';
 import {
   isBooleanCondition,
   isSpeedAverageCondition,
@@ -62,10 +65,7 @@ export default function ConditionFilterInput({
     }
   };
 
-  const tagOptions = tags.map((tag) => ({
-    label: tag.name,
-    value: tag.id,
-  }));
+  const tagOptions = buildTagFilterOptions(tags);
 
   const conditionTypeOptions = getConditionTypeOptions(t, assetTypes);
   const operatorOptions = buildOperatorOptions(condition, t);
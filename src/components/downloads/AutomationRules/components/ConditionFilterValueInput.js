@@ -1,43 +1,17 @@
 'use client';
 
-import { CONDITION_TYPES } from '../constants';
+import { CONDITION_TYPES, STRING_OPERATORS } from '../constants';
 import { tagOperatorNeedsTagSelection } from '@/components/downloads/filters/tagFilterHelpers';
 import {
   isBooleanCondition,
   isStringCondition,
+  isFileExtensionCondition,
   isSpeedAverageCondition,
   getConditionUnit,
+  getStatusOptions,
 } from '../utils';
 import Select from '@/components/shared/Select';
 import MultiSelect from '@/components/shared/MultiSelect';
-import { STATUS_OPTIONS } from '@/components/constants';
-
-const getStatusOptions = () => {
-  const labelToValue = {
-    Queued: 'queued',
-    Downloading: 'downloading',
-    Seeding: 'seeding',
-    Completed: 'completed',
-    Uploading: 'uploading',
-    Stalled: 'stalled',
-    Inactive: 'inactive',
-    Failed: 'failed',
-  };
-  return STATUS_OPTIONS.reduce((acc, opt) => {
-    if (
-      opt.hidden ||
-      opt.label === 'All' ||
-      opt.label === 'Meta_DL' ||
-      opt.label === 'Checking_Resume_Data'
-    )
-      return acc;
-    acc.push({
-      label: opt.label,
-      value: labelToValue[opt.label] || opt.label.toLowerCase().replace(/\s+/g, '_'),
-    });
-    return acc;
-  }, []);
-};
 
 export default function ConditionFilterValueInput({ condition, onFieldChange, tagOptions, t }) {
   if (!condition.type) return null;
@@ -69,6 +43,19 @@ export default function ConditionFilterValueInput({ condition, onFieldChange, ta
     );
   }
 
+  if (isFileExtensionCondition(condition.type)) {
+    const extensions = Array.isArray(condition.value) ? condition.value : [];
+    return (
+      <input
+        type="text"
+        value={extensions.join(',')}
+        onChange={(e) => onFieldChange('value', e.target.value ? e.target.value.split(',') : [])}
+        placeholder={t('conditions.fileExtensionPlaceholder')}
+        className="w-full sm:flex-1 sm:min-w-[120px] px-3 py-1.5 text-sm text-primary-text dark:text-primary-text-dark border border-border dark:border-border-dark rounded-md bg-transparent"
+      />
+    );
+  }
+
   if (isBooleanCondition(condition.type)) {
     return (
       <Select
@@ -88,19 +75,38 @@ export default function ConditionFilterValueInput({ condition, onFieldChange, ta
 
   if (isStringCondition(condition.type)) {
     return (
-      <input
-        type="text"
-        value={condition.value || ''}
-        onChange={(e) => onFieldChange('value', e.target.value)}
-        placeholder={
-          condition.type === CONDITION_TYPES.NAME
-            ? t('conditions.namePlaceholder')
-            : condition.type === CONDITION_TYPES.ORIGINAL_URL
-              ? t('conditions.originalUrlPlaceholder')
-              : t('conditions.trackerPlaceholder')
-        }
-        className="w-full sm:flex-1 sm:min-w-[120px] px-3 py-1.5 text-sm text-primary-text dark:text-primary-text-dark border border-border dark:border-border-dark rounded-md bg-transparent"
-      />
+      <>
+        <input
+          type="text"
+          value={condition.value || ''}
+          onChange={(e) => onFieldChange('value', e.target.value)}
+          placeholder={
+            condition.operator === STRING_OPERATORS.MATCHES_REGEX
+              ? t('conditions.regexPlaceholder')
+              : condition.operator === STRING_OPERATORS.MATCHES_GLOB
+                ? t('conditions.globPlaceholder')
+                : condition.type === CONDITION_TYPES.NAME
+                  ? t('conditions.namePlaceholder')
+                  : condition.type === CONDITION_TYPES.FILE_NAME
+                    ? t('conditions.fileNamePlaceholder')
+                    : condition.type === CONDITION_TYPES.ORIGINAL_URL
+                      ? t('conditions.originalUrlPlaceholder')
+                      : condition.type === CONDITION_TYPES.RELEASE_GROUP
+                        ? t('conditions.releaseGroupPlaceholder')
+                        : t('conditions.trackerPlaceholder')
+          }
+          className="w-full sm:flex-1 sm:min-w-[120px] px-3 py-1.5 text-sm text-primary-text dark:text-primary-text-dark border border-border dark:border-border-dark rounded-md bg-transparent"
+        />
+        <label className="flex items-center gap-2 text-xs text-primary-text dark:text-primary-text-dark whitespace-nowrap">
+          <input
+            type="checkbox"
+            checked={condition.caseSensitive === true}
+            onChange={(e) => onFieldChange('caseSensitive', e.target.checked || undefined)}
+            className="accent-accent dark:accent-accent-dark"
+          />
+          {t('conditions.caseSensitive')}
+        </label>
+      </>
     );
   }
 
@@ -0,0 +1,135 @@
+'use client';
+
+import { useId, useState } from 'react';
+
+const checkboxLabelClassName =
+  'flex items-start gap-2 text-sm text-primary-text dark:text-primary-text-dark';
+
+export default function ImportRulesModal({ ruleImport, onConfirm, onClose, t }) {
+  const [overwrite, setOverwrite] = useState(false);
+  const [createMissingTags, setCreateMissingTags] = useState(true);
+  const overwriteId = useId();
+  const createTagsId = useId();
+
+  if (!ruleImport) return null;
+
+  const { fileName, bundle, result, error, isImporting } = ruleImport;
+  const bundleRules = bundle?.rules || [];
+
+  return (
+    <div className="fixed inset-0 bg-neutral-950/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-surface dark:bg-surface-dark border border-border dark:border-border-dark rounded-lg p-6 max-w-lg w-full max-h-[70vh] overflow-hidden flex flex-col shadow-2xl">
+        <div className="flex justify-between items-start mb-4 gap-4">
+          <div className="min-w-0">
+            <h3 className="text-lg font-semibold text-primary-text dark:text-primary-text-dark">
+              {t('ruleBundle.importTitle')}
+            </h3>
+            <p className="text-sm text-primary-text/70 dark:text-primary-text-dark/70 mt-1 truncate">
+              {fileName}
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-3 py-1 text-sm text-primary-text dark:text-primary-text-dark border border-border dark:border-border-dark rounded-md hover:bg-surface-hover dark:hover:bg-surface-hover-dark transition-colors"
+          >
+            {t('close')}
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-3 text-sm text-label-danger-text dark:text-label-danger-text-dark">
+            <strong>{t('error')}:</strong> {error}
+          </div>
+        )}
+
+        {result ? (
+          <div className="flex-1 overflow-y-auto text-sm space-y-2 text-primary-text/80 dark:text-primary-text-dark/80">
+            <p>
+              {t('ruleBundle.resultSummary', {
+                imported: result.imported,
+                updated: result.updated,
+                skipped: result.skipped.length,
+              })}
+            </p>
+            {result.createdTags.length > 0 && (
+              <p>
+                <strong>{t('ruleBundle.createdTags')}:</strong>{' '}
+                {result.createdTags.map((tag) => tag.name).join(', ')}
+              </p>
+            )}
+            {result.skipped.length > 0 && (
+              <ul className="space-y-1">
+                {result.skipped.map((entry, index) => (
+                  <li
+                    key={`${entry.name}-${index}`}
+                    className="px-3 py-2 border border-border dark:border-border-dark rounded-md"
+                  >
+                    <span className="font-medium text-primary-text dark:text-primary-text-dark">
+                      {entry.name}
+                    </span>
+                    <span className="block text-xs">{entry.reason}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        ) : (
+          bundle && (
+            <>
+              <div className="flex-1 overflow-y-auto mb-4">
+                <p className="text-sm text-primary-text/80 dark:text-primary-text-dark/80 mb-2">
+                  {t('ruleBundle.rulesInFile', { count: bundleRules.length })}
+                </p>
+                <ul className="space-y-1">
+                  {bundleRules.map((rule, index) => (
+                    <li
+                      key={`${rule?.name}-${index}`}
+                      className="px-3 py-1.5 text-sm text-primary-text dark:text-primary-text-dark border border-border dark:border-border-dark rounded-md truncate"
+                    >
+                      {rule?.name || '—'}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+
+              <div className="space-y-2 mb-4">
+                <label htmlFor={overwriteId} className={checkboxLabelClassName}>
+                  <input
+                    id={overwriteId}
+                    type="checkbox"
+                    checked={overwrite}
+                    onChange={(e) => setOverwrite(e.target.checked)}
+                    className="mt-0.5 accent-accent dark:accent-accent-dark"
+                  />
+                  {t('ruleBundle.overwrite')}
+                </label>
+                <label htmlFor={createTagsId} className={checkboxLabelClassName}>
+                  <input
+                    id={createTagsId}
+                    type="checkbox"
+                    checked={createMissingTags}
+                    onChange={(e) => setCreateMissingTags(e.target.checked)}
+                    className="mt-0.5 accent-accent dark:accent-accent-dark"
+                  />
+                  {t('ruleBundle.createMissingTags')}
+                </label>
+              </div>
+
+              <div className="flex justify-end">
+                <button
+                  type="button"
+                  onClick={() => onConfirm({ overwrite, createMissingTags })}
+                  disabled={isImporting || bundleRules.length === 0}
+                  className="px-3 py-1.5 text-sm bg-accent dark:bg-accent-dark text-white rounded-md hover:bg-accent/90 dark:hover:bg-accent-dark/90 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isImporting ? t('ruleBundle.importing') : t('ruleBundle.import')}
+                </button>
+              </div>
+            </>
+          )
+        )}
+      </div>
+    </div>
+  );
+}
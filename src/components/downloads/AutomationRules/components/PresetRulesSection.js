@@ -28,7 +28,7 @@ export default function PresetRulesSection({ onApplyPreset, t }) {
                   ? `${conditions[0].type} ${conditions[0].operator} ${conditions[0].value}`
                   : `${conditions.length} conditions`;
               })()}{' '}
-              → {preset.action.type}
+              → {preset.actions.map((action) => action.type).join(' → ')}
             </div>
           </button>
         ))}
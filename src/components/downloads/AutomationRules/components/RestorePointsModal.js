@@ -0,0 +1,108 @@
+'use client';
+
+import { useLocale } from 'next-intl';
+import { parseUtcDate } from '@/utils/parseUtcDate';
+import Spinner from '@/components/shared/Spinner';
+import { getActionDisplayName } from '../utils';
+
+function RestorePointDate({ timestamp }) {
+  const locale = useLocale();
+  const date = parseUtcDate(timestamp);
+  return Number.isNaN(date.getTime()) ? timestamp : date.toLocaleString(locale);
+}
+
+/**
+ * Downloads removed by delete/archive rules that are still inside the undo window.
+ */
+export default function RestorePointsModal({ restorePoints, onRestore, onClose, t }) {
+  if (!restorePoints) return null;
+
+  const { items = [], undoWindowHours, isLoading, error, restoringId } = restorePoints;
+
+  return (
+    <div className="fixed inset-0 bg-neutral-950/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-surface dark:bg-surface-dark border border-border dark:border-border-dark rounded-lg p-6 max-w-2xl w-full max-h-[70vh] overflow-hidden flex flex-col shadow-2xl">
+        <div className="flex justify-between items-start mb-4 gap-4">
+          <div>
+            <h3 className="text-lg font-semibold text-primary-text dark:text-primary-text-dark">
+              {t('restorePoints.title')}
+            </h3>
+            {undoWindowHours != null && (
+              <p className="text-sm text-primary-text/70 dark:text-primary-text-dark/70 mt-1">
+                {undoWindowHours > 0
+                  ? t('restorePoints.description', { hours: undoWindowHours })
+                  : t('restorePoints.disabled')}
+              </p>
+            )}
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-3 py-1 text-sm text-primary-text dark:text-primary-text-dark border border-border dark:border-border-dark rounded-md hover:bg-surface-hover dark:hover:bg-surface-hover-dark transition-colors"
+          >
+            {t('close')}
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-3 text-sm text-label-danger-text dark:text-label-danger-text-dark">
+            <strong>{t('error')}:</strong> {error}
+          </div>
+        )}
+
+        <div className="flex-1 overflow-y-auto">
+          {isLoading ? (
+            <div className="flex justify-center py-8">
+              <Spinner size="md" className="text-primary-text dark:text-primary-text-dark" />
+            </div>
+          ) : items.length === 0 ? (
+            <div className="text-center text-muted dark:text-muted-dark py-8">
+              {t('restorePoints.empty')}
+            </div>
+          ) : (
+            <ul className="space-y-2">
+              {items.map((item) => (
+                <li
+                  key={item.id}
+                  className="flex items-center justify-between gap-3 p-3 border border-border dark:border-border-dark rounded-lg bg-surface-alt dark:bg-surface-alt-dark"
+                >
+                  <div className="min-w-0">
+                    <div
+                      className="text-sm font-medium text-primary-text dark:text-primary-text-dark truncate"
+                      title={item.hash || item.download_id}
+                    >
+                      {item.name || item.download_id}
+                    </div>
+                    <div className="mt-1 flex flex-wrap gap-x-3 gap-y-1 text-xs text-primary-text/70 dark:text-primary-text-dark/70">
+                      <span>
+                        <RestorePointDate timestamp={item.created_at} />
+                      </span>
+                      <span>
+                        {getActionDisplayName(item.action_type, t)}
+                        {item.rule_name && ` · ${item.rule_name}`}
+                      </span>
+                      <span>
+                        {t('restorePoints.expires')}{' '}
+                        <RestorePointDate timestamp={item.expires_at} />
+                      </span>
+                    </div>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => onRestore(item.id)}
+                    disabled={restoringId != null}
+                    className="shrink-0 px-3 py-1.5 text-sm bg-accent dark:bg-accent-dark text-white rounded-md hover:bg-accent/90 dark:hover:bg-accent-dark/90 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {restoringId === item.id
+                      ? t('restorePoints.restoring')
+                      : t('restorePoints.restore')}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
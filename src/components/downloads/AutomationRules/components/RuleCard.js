@@ -1,7 +1,7 @@
 'use client';
 
-import { Clock, Delete, Edit, Play } from '@/components/icons';
-import { getRuleConditionText } from '../utils';
+import { Clock, Delete, Download, Edit, Eye, Play } from '@/components/icons';
+import { getRuleConditionText, getTriggerSummary } from '../utils';
 import LastEvaluatedAtValue from './LastEvaluatedAtValue';
 
 export default function RuleCard({
@@ -12,6 +12,9 @@ export default function RuleCard({
   onViewLogs,
   onRun,
   isRunning,
+  onSimulate,
+  isSimulating,
+  onExport,
   t,
   commonT,
 }) {
@@ -74,6 +77,29 @@ export default function RuleCard({
               )}
             </button>
           )}
+          {onSimulate && (
+            <button
+              type="button"
+              onClick={() => onSimulate(rule.id)}
+              disabled={isSimulating}
+              className="text-primary-text/70 dark:text-primary-text-dark/70 hover:opacity-80 disabled:opacity-50 disabled:cursor-not-allowed"
+              title={t('simulation.previewRule')}
+              aria-label={t('simulation.previewRule')}
+            >
+              <Eye />
+            </button>
+          )}
+          {onExport && rule.id != null && (
+            <button
+              type="button"
+              onClick={() => onExport(rule.id)}
+              className="text-primary-text/70 dark:text-primary-text-dark/70 hover:opacity-80"
+              title={t('ruleBundle.exportRule')}
+              aria-label={t('ruleBundle.exportRule')}
+            >
+              <Download />
+            </button>
+          )}
           <button
             type="button"
             onClick={() => onViewLogs(rule.id)}
@@ -104,9 +130,8 @@ export default function RuleCard({
         </div>
       </div>
       <div className="mt-2 text-sm text-primary-text/70 dark:text-primary-text-dark/70">
-        Every {rule.trigger?.value ?? 30} {commonT('minutes')}, if{' '}
-        {getRuleConditionText(rule, t, commonT)}, then{' '}
-        {rule.action?.type?.replace('_', ' ') || 'unknown'}
+        {getTriggerSummary(rule.trigger, t)}, if {getRuleConditionText(rule, t, commonT)}, then{' '}
+        {rule.actions?.map((action) => action.type?.replace('_', ' ')).join(' → ') || 'unknown'}
       </div>
       {rule.last_evaluated_at && (
         <div className="flex gap-1 mt-1 text-xs text-primary-text/50 dark:text-primary-text-dark/50">
@@ -1,12 +1,13 @@
 'use client';
 
 import { useId } from 'react';
-import { LOGIC_OPERATORS, ACTION_TYPES } from '../constants';
+import { LOGIC_OPERATORS, MAX_ACTION_STEPS, TERMINAL_ACTION_TYPES } from '../constants';
 import ConditionFilterGroup from './ConditionFilterGroup';
 import AssetTypesSelector from './AssetTypesSelector';
+import TriggerSelector from './TriggerSelector';
+import ActionStepFields from './ActionStepFields';
 import Select from '@/components/shared/Select';
 import { getSupportedActionOptions } from '../utils';
-import TagSelector from '@/components/downloads/Tags/TagSelector';
 import { useTranslations } from 'next-intl';
 
 export default function RuleForm({
@@ -14,12 +15,21 @@ export default function RuleForm({
   onRuleChange,
   onSubmit,
   onCancel,
+  onSimulate,
+  isSimulating,
   onAddGroup,
   onRemoveGroup,
   onUpdateGroup,
   onAddCondition,
   onRemoveCondition,
   onUpdateCondition,
+  onAddAction,
+  onRemoveAction,
+  onMoveAction,
+  onUpdateAction,
+  onAddActionCondition,
+  onUpdateActionCondition,
+  onRemoveActionCondition,
   editingRuleId,
   t,
   commonT,
@@ -29,11 +39,10 @@ export default function RuleForm({
   const ruleGroups = rule.groups || [];
   const groupLogicOperator = rule.logicOperator || LOGIC_OPERATORS.AND;
   const ruleAssetTypes = rule.assetTypes?.length ? rule.assetTypes : ['torrent'];
+  const ruleActions = rule.actions || [];
   const actionOptions = getSupportedActionOptions(t, ruleAssetTypes);
   const automationRulesT = useTranslations('AutomationRules');
-  const triggerValueId = useId();
   const ruleNameId = useId();
-  const actionSelectId = useId();
   return (
     <div className="mt-4 p-4 border border-border dark:border-border-dark rounded-lg">
       <div className="space-y-4">
@@ -62,35 +71,14 @@ export default function RuleForm({
         />
 
         {/* Trigger */}
-        <div>
-          <label
-            htmlFor={triggerValueId}
-            className="block text-sm font-medium text-primary-text dark:text-primary-text-dark mb-1"
-          >
-            {t('checkEvery')}
-          </label>
-          <div className="flex items-center gap-2">
-            <input
-              id={triggerValueId}
-              type="number"
-              value={rule.trigger.value}
-              onChange={(e) =>
-                onRuleChange({
-                  ...rule,
-                  trigger: {
-                    ...rule.trigger,
-                    value: parseInt(e.target.value) || 30,
-                  },
-                })
-              }
-              className="w-24 px-3 py-1.5 text-sm text-primary-text dark:text-primary-text-dark border border-border dark:border-border-dark rounded-md bg-transparent"
-              min="30"
-            />
-            <span className="text-sm text-primary-text dark:text-primary-text-dark">
-              {commonT('minutes')}
-            </span>
-          </div>
-        </div>
+        <TriggerSelector
+          trigger={rule.trigger}
+          assetTypes={ruleAssetTypes}
+          onChange={(trigger) => onRuleChange({ ...rule, trigger })}
+          t={t}
+          commonT={commonT}
+          apiKey={apiKey}
+        />
 
         {/* Conditions */}
         <div>
@@ -166,81 +154,63 @@ export default function RuleForm({
           )}
         </div>
 
-        {/* Action */}
+        {/* Actions (run in order) */}
         <div>
-          <label
-            htmlFor={actionSelectId}
-            className="block text-sm font-medium text-primary-text dark:text-primary-text-dark mb-1"
-          >
-            {t('action')}
-          </label>
-          <div className="w-48">
-            <Select
-              id={actionSelectId}
-              value={rule.action.type}
-              onChange={(e) => {
-                const newActionType = e.target.value;
-                // Preserve tagIds when switching between add_tag and remove_tag
-                // Initialize as empty array when switching to tag actions from non-tag actions
-                let tagIds;
-                if (
-                  newActionType === ACTION_TYPES.ADD_TAG ||
-                  newActionType === ACTION_TYPES.REMOVE_TAG
-                ) {
-                  if (
-                    rule.action.type === ACTION_TYPES.ADD_TAG ||
-                    rule.action.type === ACTION_TYPES.REMOVE_TAG
-                  ) {
-                    // Preserve existing tagIds when switching between tag actions
-                    tagIds = rule.action.tagIds || [];
-                  } else {
-                    // Initialize empty array when switching from non-tag to tag action
-                    tagIds = [];
-                  }
-                }
-
-                onRuleChange({
-                  ...rule,
-                  action: {
-                    type: newActionType,
-                    ...(tagIds !== undefined && { tagIds }),
-                  },
-                });
-              }}
-            >
-              {actionOptions.map((opt) => (
-                <option key={opt.value} value={opt.value} title={opt.desc}>
-                  {opt.label}
-                </option>
-              ))}
-            </Select>
+          <div className="flex items-center justify-between mb-2">
+            <span className="block text-sm font-medium text-primary-text dark:text-primary-text-dark">
+              {ruleActions.length > 1 ? t('pipeline.actions') : t('action')}
+            </span>
+            {ruleActions.length < MAX_ACTION_STEPS && (
+              <button
+                type="button"
+                onClick={onAddAction}
+                className="text-xs text-accent dark:text-accent-dark hover:text-accent/80 dark:hover:text-accent-dark/80"
+              >
+                + {t('pipeline.addAction')}
+              </button>
+            )}
           </div>
-          {/* Tag Selector for add_tag and remove_tag actions */}
-          {(rule.action.type === ACTION_TYPES.ADD_TAG ||
-            rule.action.type === ACTION_TYPES.REMOVE_TAG) && (
-            <fieldset className="mt-2 border-0 p-0 m-0 min-w-0">
-              <legend className="block text-sm font-medium text-primary-text dark:text-primary-text-dark mb-1">
-                {t('actions.selectTags')}
-              </legend>
-              <TagSelector
-                value={rule.action.tagIds || []}
-                onChange={(tagIds) =>
-                  onRuleChange({
-                    ...rule,
-                    action: {
-                      ...rule.action,
-                      tagIds: tagIds,
-                    },
-                  })
-                }
+          <div className="space-y-2">
+            {ruleActions.map((action, actionIndex) => (
+              <ActionStepFields
+                key={action._key || actionIndex}
+                action={action}
+                actionIndex={actionIndex}
+                totalActions={ruleActions.length}
+                actionOptions={actionOptions}
+                onUpdate={onUpdateAction}
+                onRemove={onRemoveAction}
+                onMove={onMoveAction}
+                onAddCondition={onAddActionCondition}
+                onUpdateCondition={onUpdateActionCondition}
+                onRemoveCondition={onRemoveActionCondition}
+                t={t}
                 apiKey={apiKey}
-                className="w-full"
+                assetTypes={ruleAssetTypes}
               />
-            </fieldset>
-          )}
+            ))}
+          </div>
+          {ruleActions.length > 1 &&
+            ruleActions
+              .slice(0, -1)
+              .some((action) => TERMINAL_ACTION_TYPES.includes(action.type)) && (
+              <p className="mt-2 text-xs text-label-danger-text dark:text-label-danger-text-dark">
+                {t('pipeline.terminalNotLast')}
+              </p>
+            )}
         </div>
 
         <div className="flex justify-end gap-2 mt-4">
+          {onSimulate && (
+            <button
+              type="button"
+              onClick={onSimulate}
+              disabled={isSimulating}
+              className="px-3 py-1.5 text-sm text-primary-text dark:text-primary-text-dark border border-border dark:border-border-dark rounded-md hover:bg-surface-hover dark:hover:bg-surface-hover-dark transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isSimulating ? t('simulation.previewing') : t('simulation.previewRule')}
+            </button>
+          )}
           <button
             type="button"
             onClick={onCancel}
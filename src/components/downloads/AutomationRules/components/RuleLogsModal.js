@@ -3,6 +3,7 @@
 import { useLocale } from 'next-intl';
 import { parseUtcDate } from '@/utils/parseUtcDate';
 import { ACTION_TYPES } from '../constants';
+import { getActionDisplayName } from '../utils';
 import LastEvaluatedAtValue from './LastEvaluatedAtValue';
 
 function formatLogTimestamp(timestamp, locale) {
@@ -22,41 +23,6 @@ function LogTimestamp({ timestamp }) {
   return formatLogTimestamp(timestamp, locale);
 }
 
-/**
- * Get display name for action type
- * Converts action type (e.g., 'add_tag') to translation key (e.g., 'addTag')
- */
-function getActionDisplayName(actionType, t) {
-  if (!actionType) return 'Execution';
-
-  // Convert action type to translation key format
-  // e.g., 'add_tag' -> 'addTag', 'stop_seeding' -> 'stopSeeding'
-  const translationKey = actionType
-    .split('_')
-    .map((word, index) => (index === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1)))
-    .join('');
-
-  // Try to get translation, fallback to formatted action type
-  try {
-    const translation = t(`actions.${translationKey}`);
-    // If translation returns the key itself, it means translation doesn't exist
-    if (translation === `actions.${translationKey}`) {
-      // Fallback: format the action type nicely
-      return actionType
-        .split('_')
-        .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
-        .join(' ');
-    }
-    return translation;
-  } catch (e) {
-    // Fallback: format the action type nicely
-    return actionType
-      .split('_')
-      .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
-      .join(' ');
-  }
-}
-
 export default function RuleLogsModal({
   ruleId,
   ruleName,
@@ -137,6 +103,8 @@ export default function RuleLogsModal({
                       <div>
                         <strong>{t('action')}:</strong>{' '}
                         {log.actionType ? getActionDisplayName(log.actionType, t) : log.action}
+                        {log.stepIndex != null &&
+                          ` (${t('pipeline.stepLabel', { number: log.stepIndex + 1 })})`}
                       </div>
                     )}
                     {log.itemsAffected > 0 && (
@@ -0,0 +1,129 @@
+'use client';
+
+import { getActionDisplayName } from '../utils';
+
+const OUTCOME_STYLES = {
+  would_apply:
+    'bg-label-warning-bg text-label-warning-text dark:bg-label-warning-bg-dark dark:text-label-warning-text-dark',
+  protected:
+    'bg-label-success-bg text-label-success-text dark:bg-label-success-bg-dark dark:text-label-success-text-dark',
+  filtered:
+    'bg-surface-alt text-primary-text/70 dark:bg-surface-alt-dark dark:text-primary-text-dark/70',
+  condition_not_met:
+    'bg-surface-alt text-primary-text/70 dark:bg-surface-alt-dark dark:text-primary-text-dark/70',
+};
+
+const OUTCOME_LABEL_KEYS = {
+  would_apply: 'wouldApply',
+  protected: 'protected',
+  filtered: 'filtered',
+  condition_not_met: 'conditionNotMet',
+};
+
+function OutcomeBadge({ outcome, t }) {
+  return (
+    <span
+      className={`shrink-0 text-xs px-2 py-0.5 rounded ${OUTCOME_STYLES[outcome] || OUTCOME_STYLES.filtered}`}
+    >
+      {t(`simulation.outcomes.${OUTCOME_LABEL_KEYS[outcome] || 'filtered'}`)}
+    </span>
+  );
+}
+
+export default function SimulationResultModal({ simulation, onClose, t }) {
+  if (!simulation) return null;
+
+  const { result, error } = simulation;
+  const items = result?.items || [];
+
+  return (
+    <div className="fixed inset-0 bg-neutral-950/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-surface dark:bg-surface-dark border border-border dark:border-border-dark rounded-lg p-6 max-w-2xl w-full max-h-[70vh] overflow-hidden flex flex-col shadow-2xl">
+        <div className="flex justify-between items-start mb-4 gap-4">
+          <div>
+            <h3 className="text-lg font-semibold text-primary-text dark:text-primary-text-dark">
+              {t('simulation.title')}
+              {simulation.ruleName ? ` - ${simulation.ruleName}` : ''}
+            </h3>
+            <p className="text-sm text-primary-text/70 dark:text-primary-text-dark/70 mt-1">
+              {t('simulation.dryRunNotice')}
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-3 py-1 text-sm text-primary-text dark:text-primary-text-dark border border-border dark:border-border-dark rounded-md hover:bg-surface-hover dark:hover:bg-surface-hover-dark transition-colors"
+          >
+            {t('close')}
+          </button>
+        </div>
+
+        {error ? (
+          <div className="text-sm text-label-danger-text dark:text-label-danger-text-dark">
+            <strong>{t('error')}:</strong> {error}
+          </div>
+        ) : (
+          <>
+            <div className="text-sm space-y-1 text-primary-text/80 dark:text-primary-text-dark/80 mb-3">
+              {result.actionType && (
+                <p>
+                  <strong>{t('action')}:</strong> {getActionDisplayName(result.actionType, t)}
+                </p>
+              )}
+              {!result.actionType && result.actionTypes?.length > 0 && (
+                <p>
+                  <strong>{t('pipeline.actions')}:</strong>{' '}
+                  {result.actionTypes.map((type) => getActionDisplayName(type, t)).join(' → ')}
+                </p>
+              )}
+              <p>
+                {t('simulation.summary', {
+                  total: result.totalTorrents,
+                  matched: result.matchedTorrents,
+                  affected: result.processedTorrents,
+                  protected: result.protectedSkippedCount,
+                })}
+              </p>
+              {result.skipped && result.matchedTorrents === 0 && (
+                <p>{result.reason || t('simulation.noMatches')}</p>
+              )}
+            </div>
+
+            <div className="flex-1 overflow-y-auto">
+              <ul className="space-y-1">
+                {items.map((item) => (
+                  <li
+                    key={`${item.assetType}:${item.id}`}
+                    className="px-3 py-2 border border-border dark:border-border-dark rounded-md"
+                  >
+                    <div className="flex justify-between items-center gap-3">
+                      <span className="text-sm text-primary-text dark:text-primary-text-dark truncate">
+                        {item.name || item.id}
+                      </span>
+                      <OutcomeBadge outcome={item.outcome} t={t} />
+                    </div>
+                    {item.actions?.length > 1 && (
+                      <ol className="mt-2 space-y-1">
+                        {item.actions.map((step) => (
+                          <li
+                            key={step.stepIndex}
+                            className="flex justify-between items-center gap-3 text-xs text-primary-text/70 dark:text-primary-text-dark/70"
+                          >
+                            <span>
+                              {step.stepIndex + 1}. {getActionDisplayName(step.type, t)}
+                            </span>
+                            <OutcomeBadge outcome={step.outcome} t={t} />
+                          </li>
+                        ))}
+                      </ol>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
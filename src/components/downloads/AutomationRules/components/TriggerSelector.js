@@ -0,0 +1,264 @@
+'use client';
+
+import { useId, useMemo } from 'react';
+import { useLocale } from 'next-intl';
+import { TRIGGER_TYPES } from '../constants';
+import {
+  getStatusOptions,
+  getSupportedTriggerOptions,
+  isEventTrigger,
+  isScheduleTrigger,
+} from '../utils';
+import { getNextRunTimes } from '../schedule';
+import Select from '@/components/shared/Select';
+import MultiSelect from '@/components/shared/MultiSelect';
+import TagSelector from '@/components/downloads/Tags/TagSelector';
+
+const DEFAULT_WINDOW = { start: '02:00', end: '06:00' };
+
+const getBrowserTimezone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const getTimezoneOptions = (selected) => {
+  const zones =
+    typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : ['UTC'];
+  return zones.includes(selected) ? zones : [selected, ...zones];
+};
+
+const inputClassName =
+  'px-3 py-1.5 text-sm text-primary-text dark:text-primary-text-dark border border-border dark:border-border-dark rounded-md bg-transparent';
+
+function NextRunsPreview({ trigger, t }) {
+  const locale = useLocale();
+  const runs = useMemo(() => getNextRunTimes(trigger, { count: 5 }), [trigger]);
+  const timeZone = trigger.timezone || 'UTC';
+
+  if (runs.length === 0) {
+    return (
+      <p className="mt-2 text-xs text-red-500 dark:text-red-400">{t('trigger.noUpcomingRuns')}</p>
+    );
+  }
+
+  return (
+    <div className="mt-2">
+      <span className="block text-xs text-primary-text/60 dark:text-primary-text-dark/60 mb-1">
+        {t('trigger.nextRuns')}
+      </span>
+      <ul className="text-xs text-primary-text/80 dark:text-primary-text-dark/80 space-y-0.5">
+        {runs.map((run) => (
+          <li key={run.getTime()}>
+            {run.toLocaleString(locale, { timeZone, dateStyle: 'medium', timeStyle: 'short' })}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default function TriggerSelector({ trigger, assetTypes, onChange, t, commonT, apiKey }) {
+  const triggerTypeId = useId();
+  const triggerValueId = useId();
+  const expressionId = useId();
+  const timezoneId = useId();
+  const triggerType = trigger?.type || TRIGGER_TYPES.INTERVAL;
+  const options = getSupportedTriggerOptions(t, assetTypes);
+  const timezone = trigger?.timezone || 'UTC';
+
+  const handleTypeChange = (type) => {
+    const schedule = isScheduleTrigger(trigger)
+      ? {
+          ...(trigger?.timezone && { timezone: trigger.timezone }),
+          ...(trigger?.window && { window: trigger.window }),
+        }
+      : {};
+    if (type === TRIGGER_TYPES.INTERVAL) {
+      onChange({ type, value: 30, ...schedule });
+    } else if (type === TRIGGER_TYPES.CRON) {
+      onChange({ type, expression: '0 3 * * *', timezone: getBrowserTimezone(), ...schedule });
+    } else if (type === TRIGGER_TYPES.STATUS_CHANGED) {
+      onChange({ type, statuses: [] });
+    } else if (type === TRIGGER_TYPES.TAG_ADDED) {
+      onChange({ type, tagIds: [] });
+    } else {
+      onChange({ type });
+    }
+  };
+
+  return (
+    <div>
+      <label
+        htmlFor={triggerTypeId}
+        className="block text-sm font-medium text-primary-text dark:text-primary-text-dark mb-1"
+      >
+        {t('trigger.label')}
+      </label>
+      <div className="w-64">
+        <Select
+          id={triggerTypeId}
+          value={triggerType}
+          onChange={(e) => handleTypeChange(e.target.value)}
+        >
+          {options.map((opt) => (
+            <option key={opt.value} value={opt.value}>
+              {opt.label}
+            </option>
+          ))}
+        </Select>
+      </div>
+
+      {triggerType === TRIGGER_TYPES.INTERVAL && (
+        <div className="mt-2">
+          <label
+            htmlFor={triggerValueId}
+            className="block text-sm font-medium text-primary-text dark:text-primary-text-dark mb-1"
+          >
+            {t('checkEvery')}
+          </label>
+          <div className="flex items-center gap-2">
+            <input
+              id={triggerValueId}
+              type="number"
+              value={trigger?.value ?? 30}
+              onChange={(e) =>
+                onChange({
+                  ...trigger,
+                  value: parseInt(e.target.value) || 30,
+                })
+              }
+              className={`w-24 ${inputClassName}`}
+              min="30"
+            />
+            <span className="text-sm text-primary-text dark:text-primary-text-dark">
+              {commonT('minutes')}
+            </span>
+          </div>
+        </div>
+      )}
+
+      {triggerType === TRIGGER_TYPES.CRON && (
+        <div className="mt-2">
+          <label
+            htmlFor={expressionId}
+            className="block text-sm font-medium text-primary-text dark:text-primary-text-dark mb-1"
+          >
+            {t('trigger.cronExpression')}
+          </label>
+          <input
+            id={expressionId}
+            type="text"
+            value={trigger?.expression || ''}
+            onChange={(e) => onChange({ ...trigger, expression: e.target.value })}
+            placeholder="0 3 * * *"
+            className={`w-48 font-mono ${inputClassName}`}
+          />
+          <p className="mt-1 text-xs text-primary-text/60 dark:text-primary-text-dark/60">
+            {t('trigger.cronHint')}
+          </p>
+        </div>
+      )}
+
+      {isScheduleTrigger(trigger) && (
+        <div className="mt-2 space-y-2">
+          <label className="flex items-center gap-2 text-sm text-primary-text dark:text-primary-text-dark">
+            <input
+              type="checkbox"
+              checked={!!trigger?.window}
+              onChange={(e) => {
+                const { window: _window, ...rest } = trigger || {};
+                onChange(
+                  e.target.checked
+                    ? {
+                        ...rest,
+                        window: DEFAULT_WINDOW,
+                        timezone: rest.timezone || getBrowserTimezone(),
+                      }
+                    : rest
+                );
+              }}
+            />
+            {t('trigger.onlyBetween')}
+          </label>
+          {trigger?.window && (
+            <div className="flex flex-wrap items-center gap-2">
+              <input
+                type="time"
+                value={trigger.window.start}
+                onChange={(e) =>
+                  onChange({ ...trigger, window: { ...trigger.window, start: e.target.value } })
+                }
+                aria-label={t('trigger.windowStart')}
+                className={inputClassName}
+              />
+              <span className="text-sm text-primary-text dark:text-primary-text-dark">
+                {t('trigger.windowAnd')}
+              </span>
+              <input
+                type="time"
+                value={trigger.window.end}
+                onChange={(e) =>
+                  onChange({ ...trigger, window: { ...trigger.window, end: e.target.value } })
+                }
+                aria-label={t('trigger.windowEnd')}
+                className={inputClassName}
+              />
+            </div>
+          )}
+          {(triggerType === TRIGGER_TYPES.CRON || trigger?.window) && (
+            <div>
+              <label
+                htmlFor={timezoneId}
+                className="block text-sm font-medium text-primary-text dark:text-primary-text-dark mb-1"
+              >
+                {t('trigger.timezone')}
+              </label>
+              <div className="w-64">
+                <Select
+                  id={timezoneId}
+                  value={timezone}
+                  onChange={(e) => onChange({ ...trigger, timezone: e.target.value })}
+                >
+                  {getTimezoneOptions(timezone).map((zone) => (
+                    <option key={zone} value={zone}>
+                      {zone}
+                    </option>
+                  ))}
+                </Select>
+              </div>
+            </div>
+          )}
+          {triggerType === TRIGGER_TYPES.CRON && <NextRunsPreview trigger={trigger} t={t} />}
+        </div>
+      )}
+
+      {triggerType === TRIGGER_TYPES.STATUS_CHANGED && (
+        <div className="mt-2 w-full sm:w-96">
+          <MultiSelect
+            value={Array.isArray(trigger?.statuses) ? trigger.statuses : []}
+            onChange={(statuses) => onChange({ ...trigger, statuses })}
+            options={getStatusOptions()}
+            placeholder={t('trigger.anyStatus')}
+          />
+        </div>
+      )}
+
+      {triggerType === TRIGGER_TYPES.TAG_ADDED && (
+        <fieldset className="mt-2 border-0 p-0 m-0 min-w-0">
+          <legend className="block text-xs text-primary-text/60 dark:text-primary-text-dark/60 mb-1">
+            {t('trigger.tagsHint')}
+          </legend>
+          <TagSelector
+            value={trigger?.tagIds || []}
+            onChange={(tagIds) => onChange({ ...trigger, tagIds })}
+            apiKey={apiKey}
+            className="w-full"
+          />
+        </fieldset>
+      )}
+
+      {isEventTrigger(trigger) && (
+        <p className="mt-2 text-xs text-primary-text/60 dark:text-primary-text-dark/60">
+          {t('trigger.eventHint')}
+        </p>
+      )}
+    </div>
+  );
+}
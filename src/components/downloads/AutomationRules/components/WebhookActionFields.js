@@ -0,0 +1,100 @@
+'use client';
+
+import { useId } from 'react';
+import { WEBHOOK_FORMATS } from '../constants';
+import Select from '@/components/shared/Select';
+
+const inputClassName =
+  'w-full px-3 py-1.5 text-sm text-primary-text dark:text-primary-text-dark border border-border dark:border-border-dark rounded-md bg-transparent';
+
+const FORMAT_LABEL_KEYS = {
+  [WEBHOOK_FORMATS.GENERIC]: 'generic',
+  [WEBHOOK_FORMATS.DISCORD]: 'discord',
+  [WEBHOOK_FORMATS.NTFY]: 'ntfy',
+};
+
+export default function WebhookActionFields({ action, onChange, t }) {
+  const urlId = useId();
+  const formatId = useId();
+  const templateId = useId();
+  const format = action.format || WEBHOOK_FORMATS.GENERIC;
+
+  return (
+    <div className="mt-2 space-y-2 w-full sm:w-[28rem]">
+      <div>
+        <label
+          htmlFor={formatId}
+          className="block text-sm font-medium text-primary-text dark:text-primary-text-dark mb-1"
+        >
+          {t('webhook.format')}
+        </label>
+        <div className="w-48">
+          <Select
+            id={formatId}
+            value={format}
+            onChange={(e) => {
+              const { template: _template, ...rest } = action;
+              const nextFormat = e.target.value;
+              onChange(
+                nextFormat === WEBHOOK_FORMATS.GENERIC
+                  ? { ...action, format: nextFormat }
+                  : { ...rest, format: nextFormat }
+              );
+            }}
+          >
+            {Object.values(WEBHOOK_FORMATS).map((value) => (
+              <option key={value} value={value}>
+                {t(`webhook.formats.${FORMAT_LABEL_KEYS[value]}`)}
+              </option>
+            ))}
+          </Select>
+        </div>
+      </div>
+
+      <div>
+        <label
+          htmlFor={urlId}
+          className="block text-sm font-medium text-primary-text dark:text-primary-text-dark mb-1"
+        >
+          {t('webhook.url')}
+        </label>
+        <input
+          id={urlId}
+          type="url"
+          value={action.url || ''}
+          onChange={(e) => onChange({ ...action, url: e.target.value })}
+          placeholder={
+            format === WEBHOOK_FORMATS.NTFY
+              ? 'https://ntfy.sh/my-topic'
+              : format === WEBHOOK_FORMATS.DISCORD
+                ? 'https://discord.com/api/webhooks/…'
+                : 'https://example.com/webhook'
+          }
+          className={inputClassName}
+        />
+      </div>
+
+      {format === WEBHOOK_FORMATS.GENERIC && (
+        <div>
+          <label
+            htmlFor={templateId}
+            className="block text-sm font-medium text-primary-text dark:text-primary-text-dark mb-1"
+          >
+            {t('webhook.template')}
+          </label>
+          <textarea
+            id={templateId}
+            rows={3}
+            value={action.template || ''}
+            onChange={(e) => onChange({ ...action, template: e.target.value })}
+            placeholder='{"text": "{{rule.name}}: {{download.name}}"}'
+            className={`font-mono ${inputClassName}`}
+          />
+          <p className="mt-1 text-xs text-primary-text/60 dark:text-primary-text-dark/60">
+            {t('webhook.templateHint', { example: '{{download.name}}' })}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -11,6 +11,7 @@ import {
   isTimestampBasedCondition,
   isBooleanCondition,
   isStringCondition,
+  isFileExtensionCondition,
   getOperatorsForConditionType,
 } from '../utils';
 
@@ -27,7 +28,8 @@ export function buildOperatorOptions(condition, t) {
       (!isBooleanCondition(condition.type) &&
         !isStringCondition(condition.type) &&
         condition.type !== CONDITION_TYPES.STATUS &&
-        condition.type !== CONDITION_TYPES.TAGS)
+        condition.type !== CONDITION_TYPES.TAGS &&
+        !isFileExtensionCondition(condition.type))
     ) {
       const labels = {
         [COMPARISON_OPERATORS.GT]: t('operators.gt'),
@@ -45,6 +47,8 @@ export function buildOperatorOptions(condition, t) {
         [STRING_OPERATORS.ENDS_WITH]: t('stringOperators.endsWith'),
         [STRING_OPERATORS.NOT_EQUALS]: t('stringOperators.notEquals'),
         [STRING_OPERATORS.NOT_CONTAINS]: t('stringOperators.notContains'),
+        [STRING_OPERATORS.MATCHES_REGEX]: t('stringOperators.matchesRegex'),
+        [STRING_OPERATORS.MATCHES_GLOB]: t('stringOperators.matchesGlob'),
       };
       label = labels[op] || op;
     } else if (isBooleanCondition(condition.type)) {
@@ -53,7 +57,10 @@ export function buildOperatorOptions(condition, t) {
         [BOOLEAN_OPERATORS.IS_FALSE]: t('booleanValues.false'),
       };
       label = labels[op] || op;
-    } else if (condition.type === CONDITION_TYPES.STATUS) {
+    } else if (
+      condition.type === CONDITION_TYPES.STATUS ||
+      isFileExtensionCondition(condition.type)
+    ) {
       const labels = {
         [MULTI_SELECT_OPERATORS.IS_ANY_OF]: t('multiSelectOperators.isAnyOf'),
         [MULTI_SELECT_OPERATORS.IS_NONE_OF]: t('multiSelectOperators.isNoneOf'),
@@ -1,5 +1,11 @@
 export const TRIGGER_TYPES = {
   INTERVAL: 'interval',
+  CRON: 'cron',
+  DOWNLOAD_ADDED: 'download_added',
+  DOWNLOAD_COMPLETED: 'download_completed',
+  STATUS_CHANGED: 'status_changed',
+  BECAME_STALLED: 'became_stalled',
+  TAG_ADDED: 'tag_added',
 };
 
 /** Asset types automation rules can target (singular torrent per API). */
@@ -42,11 +48,19 @@ export const CONDITION_TYPES = {
   AVAILABILITY: 'AVAILABILITY',
   FILE_SIZE: 'FILE_SIZE',
   FILE_COUNT: 'FILE_COUNT',
+  FILE_EXTENSION: 'FILE_EXTENSION',
+  LARGEST_FILE_SIZE: 'LARGEST_FILE_SIZE',
+  FILE_NAME: 'FILE_NAME',
   NAME: 'NAME',
   PRIVATE: 'PRIVATE',
   CACHED: 'CACHED',
   ALLOW_ZIP: 'ALLOW_ZIP',
 
+  // Release name
+  RESOLUTION: 'RESOLUTION',
+  SEASON: 'SEASON',
+  RELEASE_GROUP: 'RELEASE_GROUP',
+
   // Tags
   TAGS: 'TAGS',
 
@@ -96,6 +110,8 @@ export const STRING_OPERATORS = {
   ENDS_WITH: 'ends_with',
   NOT_EQUALS: 'not_equals',
   NOT_CONTAINS: 'not_contains',
+  MATCHES_REGEX: 'matches_regex',
+  MATCHES_GLOB: 'matches_glob',
 };
 
 export const LOGIC_OPERATORS = {
@@ -112,4 +128,17 @@ export const ACTION_TYPES = {
   REMOVE_TAG: 'remove_tag',
   ADD_AIRLOCK: 'add_airlock',
   REMOVE_AIRLOCK: 'remove_airlock',
+  WEBHOOK: 'webhook',
+};
+
+/** Mirrors the backend pipeline limit in RuleValidator */
+export const MAX_ACTION_STEPS = 10;
+
+/** Actions that remove the download; they must be the last step of a pipeline */
+export const TERMINAL_ACTION_TYPES = [ACTION_TYPES.DELETE, ACTION_TYPES.ARCHIVE];
+
+export const WEBHOOK_FORMATS = {
+  GENERIC: 'generic',
+  DISCORD: 'discord',
+  NTFY: 'ntfy',
 };
@@ -28,8 +28,6 @@ export function getDefaultNewRule() {
         ],
       },
     ],
-    action: {
-      type: ACTION_TYPES.STOP_SEEDING,
-    },
+    actions: [{ type: ACTION_TYPES.STOP_SEEDING }],
   };
 }
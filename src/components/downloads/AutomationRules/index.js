@@ -7,6 +7,10 @@ import PresetRulesSection from './components/PresetRulesSection';
 import EmptyState from './components/EmptyState';
 import RuleLogsModal from './components/RuleLogsModal';
 import ExecutionResult from './components/ExecutionResult';
+import SimulationResultModal from './components/SimulationResultModal';
+import ImportRulesModal from './components/ImportRulesModal';
+import ActionAuditModal from './components/ActionAuditModal';
+import RestorePointsModal from './components/RestorePointsModal';
 import { useAutomationRulesPage } from './useAutomationRulesPage';
 
 export default function AutomationRules({ apiKey: apiKeyProp = '' }) {
@@ -23,6 +27,9 @@ export default function AutomationRules({ apiKey: apiKeyProp = '' }) {
     runningRuleId,
     executionResult,
     setExecutionResult,
+    simulation,
+    setSimulation,
+    isSimulating,
     apiKey,
     newRule,
     rules,
@@ -36,12 +43,35 @@ export default function AutomationRules({ apiKey: apiKeyProp = '' }) {
     handleViewLogs,
     clearRuleLogs,
     handleRunRule,
+    handleSimulateRule,
+    handleSimulateDraft,
+    ruleImport,
+    setRuleImport,
+    handleExportRules,
+    handleImportFile,
+    handleConfirmImport,
+    actionAudit,
+    setActionAudit,
+    handleOpenActionAudit,
+    handleActionAuditFilterChange,
+    handleLoadMoreActionAudit,
+    restorePoints,
+    setRestorePoints,
+    handleOpenRestorePoints,
+    handleRestoreDownload,
     handleAddGroup,
     handleRemoveGroup,
     handleUpdateGroup,
     handleAddCondition,
     handleRemoveCondition,
     handleUpdateCondition,
+    handleAddAction,
+    handleRemoveAction,
+    handleMoveAction,
+    handleUpdateAction,
+    handleAddActionCondition,
+    handleRemoveActionCondition,
+    handleUpdateActionCondition,
     handleCancelForm,
     activeRules,
     viewingRule,
@@ -66,14 +96,59 @@ export default function AutomationRules({ apiKey: apiKeyProp = '' }) {
             ({activeRules.length} rule{activeRules.length === 1 ? '' : 's'} active)
           </span>
         </div>
-        {!isAddingRule && rules.length > 0 && (
-          <button
-            type="button"
-            onClick={() => setIsAddingRule(true)}
-            className="shrink-0 inline-flex items-center gap-1 text-sm text-accent dark:text-accent-dark hover:text-accent/80 dark:hover:text-accent-dark/80 transition-colors"
-          >
-            + {t('addRule')}
-          </button>
+        {!isAddingRule && (
+          <div className="flex shrink-0 items-center gap-4">
+            {isBackendMode && (
+              <button
+                type="button"
+                onClick={() => handleOpenActionAudit()}
+                className="text-sm text-primary-text/70 dark:text-primary-text-dark/70 hover:text-primary-text dark:hover:text-primary-text-dark transition-colors"
+              >
+                {t('audit.open')}
+              </button>
+            )}
+            {isBackendMode && (
+              <button
+                type="button"
+                onClick={handleOpenRestorePoints}
+                className="text-sm text-primary-text/70 dark:text-primary-text-dark/70 hover:text-primary-text dark:hover:text-primary-text-dark transition-colors"
+              >
+                {t('restorePoints.open')}
+              </button>
+            )}
+            {isBackendMode && (
+              <label className="cursor-pointer text-sm text-primary-text/70 dark:text-primary-text-dark/70 hover:text-primary-text dark:hover:text-primary-text-dark transition-colors">
+                {t('ruleBundle.import')}
+                <input
+                  type="file"
+                  accept="application/json,.json"
+                  className="sr-only"
+                  onChange={(e) => {
+                    handleImportFile(e.target.files?.[0]);
+                    e.target.value = '';
+                  }}
+                />
+              </label>
+            )}
+            {isBackendMode && rules.length > 0 && (
+              <button
+                type="button"
+                onClick={() => handleExportRules()}
+                className="text-sm text-primary-text/70 dark:text-primary-text-dark/70 hover:text-primary-text dark:hover:text-primary-text-dark transition-colors"
+              >
+                {t('ruleBundle.exportAll')}
+              </button>
+            )}
+            {rules.length > 0 && (
+              <button
+                type="button"
+                onClick={() => setIsAddingRule(true)}
+                className="inline-flex items-center gap-1 text-sm text-accent dark:text-accent-dark hover:text-accent/80 dark:hover:text-accent-dark/80 transition-colors"
+              >
+                + {t('addRule')}
+              </button>
+            )}
+          </div>
         )}
       </div>
 
@@ -93,12 +168,21 @@ export default function AutomationRules({ apiKey: apiKeyProp = '' }) {
           onRuleChange={handleRuleChange}
           onSubmit={handleAddRule}
           onCancel={handleCancelForm}
+          onSimulate={isBackendMode ? handleSimulateDraft : undefined}
+          isSimulating={isSimulating}
           onAddGroup={handleAddGroup}
           onRemoveGroup={handleRemoveGroup}
           onUpdateGroup={handleUpdateGroup}
           onAddCondition={handleAddCondition}
           onRemoveCondition={handleRemoveCondition}
           onUpdateCondition={handleUpdateCondition}
+          onAddAction={handleAddAction}
+          onRemoveAction={handleRemoveAction}
+          onMoveAction={handleMoveAction}
+          onUpdateAction={handleUpdateAction}
+          onAddActionCondition={handleAddActionCondition}
+          onUpdateActionCondition={handleUpdateActionCondition}
+          onRemoveActionCondition={handleRemoveActionCondition}
           editingRuleId={editingRuleId}
           t={t}
           commonT={commonT}
@@ -126,6 +210,9 @@ export default function AutomationRules({ apiKey: apiKeyProp = '' }) {
               onViewLogs={handleViewLogs}
               onRun={handleRunRule}
               isRunning={runningRuleId === rule.id}
+              onSimulate={isBackendMode ? handleSimulateRule : undefined}
+              isSimulating={isSimulating}
+              onExport={isBackendMode ? (ruleId) => handleExportRules([ruleId]) : undefined}
               t={t}
               commonT={commonT}
             />
@@ -144,6 +231,33 @@ export default function AutomationRules({ apiKey: apiKeyProp = '' }) {
         t={t}
         commonT={commonT}
       />
+
+      <SimulationResultModal simulation={simulation} onClose={() => setSimulation(null)} t={t} />
+
+      <ImportRulesModal
+        key={ruleImport?.fileName}
+        ruleImport={ruleImport}
+        onConfirm={handleConfirmImport}
+        onClose={() => setRuleImport(null)}
+        t={t}
+      />
+
+      <ActionAuditModal
+        key={actionAudit ? 'audit-open' : 'audit-closed'}
+        actionAudit={actionAudit}
+        rules={rules}
+        onFilterChange={handleActionAuditFilterChange}
+        onLoadMore={handleLoadMoreActionAudit}
+        onClose={() => setActionAudit(null)}
+        t={t}
+      />
+
+      <RestorePointsModal
+        restorePoints={restorePoints}
+        onRestore={handleRestoreDownload}
+        onClose={() => setRestorePoints(null)}
+        t={t}
+      />
     </div>
   );
 }
@@ -18,7 +18,7 @@ export const createPresetRules = (t) => [
         ],
       },
     ],
-    action: { type: 'delete' },
+    actions: [{ type: 'delete' }],
   },
   {
     name: t('presets.deleteStalled'),
@@ -31,7 +31,7 @@ export const createPresetRules = (t) => [
         conditions: [{ type: CONDITION_TYPES.DOWNLOAD_STALLED_TIME, operator: 'gt', value: 60 }],
       },
     ],
-    action: { type: 'delete' },
+    actions: [{ type: 'delete' }],
   },
   {
     name: t('presets.deleteQueued'),
@@ -51,7 +51,7 @@ export const createPresetRules = (t) => [
         ],
       },
     ],
-    action: { type: 'delete' },
+    actions: [{ type: 'delete' }],
   },
   {
     name: t('presets.stopSeedingLowRatio'),
@@ -67,7 +67,7 @@ export const createPresetRules = (t) => [
         ],
       },
     ],
-    action: { type: 'stop_seeding' },
+    actions: [{ type: 'stop_seeding' }],
   },
   {
     name: t('presets.deleteIncomplete'),
@@ -83,6 +83,6 @@ export const createPresetRules = (t) => [
         ],
       },
     ],
-    action: { type: 'delete' },
+    actions: [{ type: 'delete' }],
   },
 ];
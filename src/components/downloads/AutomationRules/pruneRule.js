@@ -1,9 +1,13 @@
-import { ACTION_TYPES, CONDITION_TYPES } from './constants';
-import { getSupportedActions, getSupportedConditions } from './capabilities';
-import { getDefaultOperatorForConditionType, getDefaultValueForConditionType } from './utils';
+import { ACTION_TYPES, CONDITION_TYPES, TRIGGER_TYPES } from './constants';
+import { getSupportedActions, getSupportedConditions, getSupportedTriggers } from './capabilities';
+import {
+  createActionStep,
+  getDefaultOperatorForConditionType,
+  getDefaultValueForConditionType,
+} from './utils';
 
 /**
- * Remove conditions/actions unsupported for the given asset types (intersection).
+ * Remove conditions/actions/triggers unsupported for the given asset types (intersection).
  * @param {Object} rule
  * @param {string[]} assetTypes
  * @returns {Object}
@@ -17,14 +21,21 @@ export function pruneRuleForAssetTypes(rule, assetTypes) {
     conditions: (group.conditions || []).filter((c) => allowedConditions.has(c.type)),
   }));
 
-  let action = rule.action;
-  if (!action?.type || !allowedActions.has(action.type)) {
-    const firstAction = getSupportedActions(assetTypes)[0] || ACTION_TYPES.DELETE;
-    if (firstAction === ACTION_TYPES.ADD_TAG || firstAction === ACTION_TYPES.REMOVE_TAG) {
-      action = { type: firstAction, tagIds: [] };
-    } else {
-      action = { type: firstAction };
-    }
+  // Drop unsupported pipeline steps (and step conditions); keep at least one action
+  let actions = (rule.actions || [])
+    .filter((action) => allowedActions.has(action?.type))
+    .map((action) =>
+      action.conditions
+        ? { ...action, conditions: action.conditions.filter((c) => allowedConditions.has(c.type)) }
+        : action
+    );
+  if (actions.length === 0) {
+    actions = [createActionStep(getSupportedActions(assetTypes)[0] || ACTION_TYPES.DELETE)];
+  }
+
+  let trigger = rule.trigger;
+  if (trigger?.type && !getSupportedTriggers(assetTypes).includes(trigger.type)) {
+    trigger = { type: TRIGGER_TYPES.INTERVAL, value: 30 };
   }
 
   const defaultConditionType = getSupportedConditions(assetTypes)[0] || CONDITION_TYPES.STATUS;
@@ -42,7 +53,8 @@ export function pruneRuleForAssetTypes(rule, assetTypes) {
   return {
     ...rule,
     assetTypes,
+    trigger,
     groups,
-    action,
+    actions,
   };
 }
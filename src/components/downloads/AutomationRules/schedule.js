@@ -0,0 +1,5 @@
+export {
+  getNextRunTimes,
+  isValidTimezone,
+  validateScheduleTrigger,
+} from '../../../../config/ruleSchedule.mjs';
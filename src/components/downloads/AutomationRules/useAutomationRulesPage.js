@@ -6,9 +6,14 @@ import { useAutomationRules } from '@/components/shared/hooks/useAutomationRules
 import { useBackendMode } from '@/hooks/useBackendMode';
 import { isBackendAvailable } from '@/utils/backendModeCache';
 import { getItem } from '@/utils/storage';
-import { CONDITION_TYPES, LOGIC_OPERATORS } from './constants';
-import { getSupportedConditions } from './capabilities';
-import { getDefaultOperatorForConditionType, getDefaultValueForConditionType } from './utils';
+import { useTagsStore } from '@/store/tagsStore';
+import { CONDITION_TYPES, LOGIC_OPERATORS, MAX_ACTION_STEPS } from './constants';
+import { getSupportedActions, getSupportedConditions } from './capabilities';
+import {
+  createActionStep,
+  getDefaultOperatorForConditionType,
+  getDefaultValueForConditionType,
+} from './utils';
 import { pruneRuleForAssetTypes } from './pruneRule';
 import { getDefaultNewRule } from './defaultNewRule';
 
@@ -22,9 +27,14 @@ export function useAutomationRulesPage(apiKeyProp = '') {
   const [ruleLogs, setRuleLogs] = useState({});
   const [runningRuleId, setRunningRuleId] = useState(null);
   const [executionResult, setExecutionResult] = useState(null);
+  const [simulation, setSimulation] = useState(null);
+  const [isSimulating, setIsSimulating] = useState(false);
+  const [ruleImport, setRuleImport] = useState(null);
+  const [actionAudit, setActionAudit] = useState(null);
+  const [restorePoints, setRestorePoints] = useState(null);
   const apiKey = apiKeyProp || getItem('torboxApiKey');
   const [newRule, setNewRule] = useState(() => getDefaultNewRule());
-  const { rules, saveRules, loading } = useAutomationRules(apiKey);
+  const { rules, saveRules, importRules, loading } = useAutomationRules(apiKey);
 
   // Backend mode indicator
   const isBackendMode = backendMode === 'backend';
@@ -253,16 +263,20 @@ export function useAutomationRulesPage(apiKeyProp = '') {
 
       if (response.ok) {
         const data = await response.json();
-        // Find the rule to get its action type
+        // Find the rule to get its action type (older log rows have no action_type)
         const rule = rules.find((r) => r.id === ruleId || r.id === numericId);
-        const ruleActionType = rule?.action?.type;
+        const ruleActionType = rule?.actions?.length === 1 ? rule.actions[0].type : undefined;
 
         // Transform backend log format to frontend format
         const transformedLogs = (data.logs || []).map((log) => {
+          const actionType = log.action_type || ruleActionType;
           return {
+            id: log.id,
             timestamp: log.executed_at, // Backend uses executed_at
-            action: ruleActionType || log.execution_type || 'execution', // Pass action type for translation
-            actionType: ruleActionType, // Keep original action type for translation
+            action: actionType || log.execution_type || 'execution', // Pass action type for translation
+            actionType, // Keep original action type for translation
+            // Pipeline rules log one 'step' row per action next to the execution summary
+            stepIndex: log.execution_type === 'step' ? log.step_index : null,
             itemsAffected: log.items_processed || 0, // Backend uses items_processed
             success: log.success === 1 || log.success === true, // Convert 1/0 to boolean
             error: log.error_message || null, // Backend uses error_message
@@ -423,6 +437,209 @@ export function useAutomationRulesPage(apiKeyProp = '') {
     }
   };
 
+  // Dry run: evaluate a rule and report what it would do without executing anything
+  const requestSimulation = async (url, body, ruleName) => {
+    if (!isBackendMode || isSimulating) return;
+    try {
+      setIsSimulating(true);
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'x-api-key': apiKey,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || !data.success) {
+        setSimulation({ ruleName, error: data.error || `HTTP ${response.status}` });
+        return;
+      }
+      setSimulation({ ruleName, result: data.result });
+    } catch (error) {
+      console.error('[Automation Rule Preview] Error simulating rule:', error);
+      setSimulation({ ruleName, error: error.message });
+    } finally {
+      setIsSimulating(false);
+    }
+  };
+
+  const handleSimulateRule = async (ruleId) => {
+    const numericId = typeof ruleId === 'string' ? parseInt(ruleId, 10) : ruleId;
+    if (!numericId || isNaN(numericId) || numericId <= 0) return;
+    const rule = rules.find((r) => r.id === ruleId);
+    await requestSimulation(
+      `/api/automation/rules/${numericId}/run`,
+      { simulate: true },
+      rule?.name
+    );
+  };
+
+  const handleSimulateDraft = async () => {
+    await requestSimulation('/api/automation/rules/simulate', { rule: newRule }, newRule.name);
+  };
+
+  // Rule bundles: export downloads a JSON file; import parses a file, then the modal confirms options
+  const handleExportRules = async (ruleIds = null) => {
+    if (!isBackendMode) return;
+    try {
+      const query = ruleIds?.length ? `?ids=${ruleIds.join(',')}` : '';
+      const response = await fetch(`/api/automation/rules/export${query}`, {
+        headers: {
+          'x-api-key': apiKey,
+        },
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+
+      const singleRule = ruleIds?.length === 1 ? data.bundle.rules[0]?.name : null;
+      const fileName = singleRule
+        ? `automation-rule-${singleRule.replace(/[^\w-]+/g, '-').toLowerCase()}.json`
+        : `automation-rules-${new Date().toISOString().slice(0, 10)}.json`;
+      const blob = new Blob([JSON.stringify(data.bundle, null, 2)], { type: 'application/json' });
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = fileName;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (error) {
+      console.error('Error exporting automation rules:', error);
+    }
+  };
+
+  const handleImportFile = async (file) => {
+    if (!file) return;
+    try {
+      const bundle = JSON.parse(await file.text());
+      if (!Array.isArray(bundle?.rules)) {
+        throw new Error('Missing rules');
+      }
+      setRuleImport({ fileName: file.name, bundle });
+    } catch {
+      setRuleImport({ fileName: file.name, error: t('ruleBundle.invalidFile') });
+    }
+  };
+
+  const handleConfirmImport = async (options) => {
+    if (!ruleImport?.bundle || ruleImport.isImporting) return;
+    setRuleImport((prev) => ({ ...prev, isImporting: true, error: null }));
+    try {
+      const result = await importRules({ bundle: ruleImport.bundle, ...options });
+      if (result.createdTags?.length > 0) {
+        useTagsStore.getState().loadTags(apiKey, { force: true });
+      }
+      setRuleImport((prev) => ({ ...prev, isImporting: false, result }));
+    } catch (error) {
+      console.error('Error importing automation rules:', error);
+      setRuleImport((prev) => ({ ...prev, isImporting: false, error: error.message }));
+    }
+  };
+
+  // Action history: per-download audit rows, newest first, paged with the `before` id cursor
+  const loadActionAudit = async (filters, { append = false } = {}) => {
+    if (!isBackendMode) return;
+    setActionAudit((prev) => ({ ...prev, filters, isLoading: true, error: null }));
+    try {
+      const params = new URLSearchParams();
+      for (const [key, value] of Object.entries(filters)) {
+        if (value) params.set(key, value);
+      }
+      if (append && actionAudit?.nextCursor) {
+        params.set('before', actionAudit.nextCursor);
+      }
+      const response = await fetch(`/api/automation/audit?${params}`, {
+        headers: {
+          'x-api-key': apiKey,
+        },
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+      setActionAudit((prev) => ({
+        ...prev,
+        entries: append ? [...(prev?.entries || []), ...data.entries] : data.entries,
+        nextCursor: data.nextCursor,
+        isLoading: false,
+      }));
+    } catch (error) {
+      console.error('Error loading action history:', error);
+      setActionAudit((prev) => ({ ...prev, isLoading: false, error: error.message }));
+    }
+  };
+
+  const handleOpenActionAudit = (filters = {}) => {
+    setActionAudit({ filters, entries: [], nextCursor: null });
+    loadActionAudit(filters);
+  };
+
+  const handleActionAuditFilterChange = (field, value) => {
+    loadActionAudit({ ...actionAudit?.filters, [field]: value });
+  };
+
+  const handleLoadMoreActionAudit = () => {
+    if (!actionAudit?.nextCursor || actionAudit.isLoading) return;
+    loadActionAudit(actionAudit.filters, { append: true });
+  };
+
+  // Undo window: downloads removed by delete/archive rules that can still be re-added
+  const handleOpenRestorePoints = async () => {
+    if (!isBackendMode) return;
+    setRestorePoints({ items: [], isLoading: true });
+    try {
+      const response = await fetch('/api/automation/restore-points', {
+        headers: {
+          'x-api-key': apiKey,
+        },
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+      setRestorePoints({
+        items: data.restorePoints,
+        undoWindowHours: data.undoWindowHours,
+        isLoading: false,
+      });
+    } catch (error) {
+      console.error('Error loading restore points:', error);
+      setRestorePoints({ items: [], isLoading: false, error: error.message });
+    }
+  };
+
+  const handleRestoreDownload = async (restorePointId) => {
+    if (restorePoints?.restoringId) return;
+    setRestorePoints((prev) => ({ ...prev, restoringId: restorePointId, error: null }));
+    try {
+      const response = await fetch(`/api/automation/restore-points/${restorePointId}/restore`, {
+        method: 'POST',
+        headers: {
+          'x-api-key': apiKey,
+        },
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+      if (data.result.tagsRestored > 0) {
+        useTagsStore.getState().loadTags(apiKey, { force: true });
+      }
+      setRestorePoints((prev) => ({
+        ...prev,
+        items: prev.items.filter((item) => item.id !== restorePointId),
+        restoringId: null,
+      }));
+    } catch (error) {
+      console.error('Error restoring download:', error);
+      setRestorePoints((prev) => ({ ...prev, restoringId: null, error: error.message }));
+    }
+  };
+
   // Helper functions for managing groups and conditions
   const handleAddGroup = () => {
     setNewRule((prevRule) => {
@@ -533,6 +750,92 @@ export function useAutomationRulesPage(apiKeyProp = '') {
     });
   };
 
+  // Helper functions for managing the action pipeline
+  const updateActions = (updater) => {
+    setNewRule((prevRule) => ({ ...prevRule, actions: updater([...(prevRule.actions || [])]) }));
+  };
+
+  const handleAddAction = () => {
+    setNewRule((prevRule) => {
+      const actions = prevRule.actions || [];
+      if (actions.length >= MAX_ACTION_STEPS) return prevRule;
+      const assetTypes = prevRule.assetTypes?.length ? prevRule.assetTypes : ['torrent'];
+      const step = createActionStep(getSupportedActions(assetTypes)[0]);
+      step._key = Math.random().toString(36).substring(2, 15);
+      return { ...prevRule, actions: [...actions, step] };
+    });
+  };
+
+  const handleRemoveAction = (actionIndex) => {
+    updateActions((actions) => {
+      if (actions.length <= 1) return actions;
+      const remaining = actions.filter((_, i) => i !== actionIndex);
+      if (remaining.length > 1) return remaining;
+      // A lone action runs on every match; step-only settings would be hidden in the form
+      const { conditions: _conditions, stopOnFailure: _stopOnFailure, ...action } = remaining[0];
+      return [action];
+    });
+  };
+
+  const handleMoveAction = (actionIndex, offset) => {
+    updateActions((actions) => {
+      const target = actionIndex + offset;
+      if (target < 0 || target >= actions.length) return actions;
+      [actions[actionIndex], actions[target]] = [actions[target], actions[actionIndex]];
+      return actions;
+    });
+  };
+
+  const handleUpdateAction = (actionIndex, action) => {
+    updateActions((actions) => {
+      actions[actionIndex] = action;
+      return actions;
+    });
+  };
+
+  const updateActionConditions = (actionIndex, updater) => {
+    updateActions((actions) => {
+      const conditions = updater([...(actions[actionIndex].conditions || [])]);
+      const { conditions: _conditions, ...rest } = actions[actionIndex];
+      actions[actionIndex] = conditions.length > 0 ? { ...rest, conditions } : rest;
+      return actions;
+    });
+  };
+
+  const handleAddActionCondition = (actionIndex) => {
+    setNewRule((prevRule) => {
+      const assetTypes = prevRule.assetTypes?.length ? prevRule.assetTypes : ['torrent'];
+      const defaultType = getSupportedConditions(assetTypes)[0] || CONDITION_TYPES.STATUS;
+      const actions = [...(prevRule.actions || [])];
+      actions[actionIndex] = {
+        ...actions[actionIndex],
+        conditions: [
+          ...(actions[actionIndex].conditions || []),
+          {
+            _key: Math.random().toString(36).substring(2, 15),
+            type: defaultType,
+            operator: getDefaultOperatorForConditionType(defaultType),
+            value: getDefaultValueForConditionType(defaultType),
+          },
+        ],
+      };
+      return { ...prevRule, actions };
+    });
+  };
+
+  const handleRemoveActionCondition = (actionIndex, conditionIndex) => {
+    updateActionConditions(actionIndex, (conditions) =>
+      conditions.filter((_, i) => i !== conditionIndex)
+    );
+  };
+
+  const handleUpdateActionCondition = (actionIndex, conditionIndex, field, value) => {
+    updateActionConditions(actionIndex, (conditions) => {
+      conditions[conditionIndex] = { ...conditions[conditionIndex], [field]: value };
+      return conditions;
+    });
+  };
+
   const handleCancelForm = () => {
     setIsAddingRule(false);
     setEditingRuleId(null);
@@ -555,6 +858,9 @@ export function useAutomationRulesPage(apiKeyProp = '') {
     runningRuleId,
     executionResult,
     setExecutionResult,
+    simulation,
+    setSimulation,
+    isSimulating,
     apiKey,
     newRule,
     rules,
@@ -568,12 +874,35 @@ export function useAutomationRulesPage(apiKeyProp = '') {
     handleViewLogs,
     clearRuleLogs,
     handleRunRule,
+    handleSimulateRule,
+    handleSimulateDraft,
+    ruleImport,
+    setRuleImport,
+    handleExportRules,
+    handleImportFile,
+    handleConfirmImport,
+    actionAudit,
+    setActionAudit,
+    handleOpenActionAudit,
+    handleActionAuditFilterChange,
+    handleLoadMoreActionAudit,
+    restorePoints,
+    setRestorePoints,
+    handleOpenRestorePoints,
+    handleRestoreDownload,
     handleAddGroup,
     handleRemoveGroup,
     handleUpdateGroup,
     handleAddCondition,
     handleRemoveCondition,
     handleUpdateCondition,
+    handleAddAction,
+    handleRemoveAction,
+    handleMoveAction,
+    handleUpdateAction,
+    handleAddActionCondition,
+    handleRemoveActionCondition,
+    handleUpdateActionCondition,
     handleCancelForm,
     activeRules,
     viewingRule,
@@ -1,4 +1,5 @@
 import {
+  TRIGGER_TYPES,
   CONDITION_TYPES,
   ACTION_TYPES,
   LOGIC_OPERATORS,
@@ -8,14 +9,16 @@ import {
   STRING_OPERATORS,
   TAG_OPERATORS,
   AUTOMATION_TAG_OPERATORS,
+  WEBHOOK_FORMATS,
 } from './constants';
-import { getSupportedActions, getSupportedConditions } from './capabilities';
+import { getSupportedActions, getSupportedConditions, getSupportedTriggers } from './capabilities';
 import {
   getGroupedFilterFields,
   getConditionUnitFromRegistry,
   getColumnKeyForConditionType,
   getConditionValueKind,
 } from '../filters/filterFieldRegistry';
+import { STATUS_OPTIONS } from '@/components/constants';
 
 // Helper to check if a condition type is time-based (relative duration)
 export const isTimeBasedCondition = (conditionType) => {
@@ -32,11 +35,19 @@ export const isBooleanCondition = (conditionType) => {
 
 // Helper to check if a condition type is string-based
 export const isStringCondition = (conditionType) => {
-  return [CONDITION_TYPES.TRACKER, CONDITION_TYPES.NAME, CONDITION_TYPES.ORIGINAL_URL].includes(
-    conditionType
-  );
+  return [
+    CONDITION_TYPES.TRACKER,
+    CONDITION_TYPES.NAME,
+    CONDITION_TYPES.ORIGINAL_URL,
+    CONDITION_TYPES.FILE_NAME,
+    CONDITION_TYPES.RELEASE_GROUP,
+  ].includes(conditionType);
 };
 
+// FILE_EXTENSION holds a list of extensions matched with is_any_of / is_none_of
+export const isFileExtensionCondition = (conditionType) =>
+  getConditionValueKind(conditionType) === 'list';
+
 // Helper to check if a condition type requires hours parameter
 export const isSpeedAverageCondition = (conditionType) => {
   return [CONDITION_TYPES.AVG_DOWNLOAD_SPEED, CONDITION_TYPES.AVG_UPLOAD_SPEED].includes(
@@ -58,7 +69,8 @@ export const getConditionText = (conditions, logicOperator, t, commonT) => {
       !isStringCondition(condition.type) &&
       !isBooleanCondition(condition.type) &&
       condition.type !== CONDITION_TYPES.STATUS &&
-      condition.type !== CONDITION_TYPES.TAGS;
+      condition.type !== CONDITION_TYPES.TAGS &&
+      !isFileExtensionCondition(condition.type);
     const numOpT = usesNumericComparisonLabels ? t(`operators.${operator}`) : null;
 
     // Time / State
@@ -135,6 +147,16 @@ export const getConditionText = (conditions, logicOperator, t, commonT) => {
       return `file size ${numOpT} ${condition.value} GB`;
     } else if (condition.type === CONDITION_TYPES.FILE_COUNT) {
       return `file count ${numOpT} ${condition.value}`;
+    } else if (condition.type === CONDITION_TYPES.FILE_EXTENSION) {
+      const extensions = Array.isArray(condition.value)
+        ? condition.value.map((ext) => ext.trim()).filter(Boolean)
+        : [];
+      const has = condition.operator === MULTI_SELECT_OPERATORS.IS_NONE_OF ? 'no' : 'a';
+      return `has ${has} file ending in ${extensions.join(', ') || '(none)'}`;
+    } else if (condition.type === CONDITION_TYPES.LARGEST_FILE_SIZE) {
+      return `largest file ${numOpT} ${condition.value} MB`;
+    } else if (condition.type === CONDITION_TYPES.FILE_NAME) {
+      return `file name ${textOpT} "${condition.value}"`;
     } else if (condition.type === CONDITION_TYPES.NAME) {
       return `name ${textOpT} "${condition.value}"`;
     } else if (condition.type === CONDITION_TYPES.PRIVATE) {
@@ -215,6 +237,12 @@ export const getConditionText = (conditions, logicOperator, t, commonT) => {
       return `tracker ${textOpT} "${condition.value}"`;
     } else if (condition.type === CONDITION_TYPES.ORIGINAL_URL) {
       return `source url ${textOpT} "${condition.value}"`;
+    } else if (condition.type === CONDITION_TYPES.RESOLUTION) {
+      return `resolution ${numOpT} ${condition.value}p`;
+    } else if (condition.type === CONDITION_TYPES.SEASON) {
+      return `season ${numOpT} ${condition.value}`;
+    } else if (condition.type === CONDITION_TYPES.RELEASE_GROUP) {
+      return `release group ${textOpT} "${condition.value}"`;
     }
 
     return '';
@@ -260,6 +288,9 @@ export const getOperatorsForConditionType = (conditionType) => {
   if (conditionType === CONDITION_TYPES.TAGS) {
     return AUTOMATION_TAG_OPERATORS;
   }
+  if (isFileExtensionCondition(conditionType)) {
+    return Object.values(MULTI_SELECT_OPERATORS);
+  }
   if (isBooleanCondition(conditionType)) {
     return Object.values(BOOLEAN_OPERATORS);
   }
@@ -280,6 +311,9 @@ export const getDefaultOperatorForConditionType = (conditionType) => {
   if (conditionType === CONDITION_TYPES.TAGS) {
     return TAG_OPERATORS.IS_ANY_OF;
   }
+  if (isFileExtensionCondition(conditionType)) {
+    return MULTI_SELECT_OPERATORS.IS_ANY_OF;
+  }
   if (isBooleanCondition(conditionType)) {
     return BOOLEAN_OPERATORS.IS_TRUE;
   }
@@ -298,6 +332,9 @@ export const getDefaultValueForConditionType = (conditionType) => {
   if (conditionType === CONDITION_TYPES.TAGS) {
     return [];
   }
+  if (isFileExtensionCondition(conditionType)) {
+    return [];
+  }
   if (isBooleanCondition(conditionType)) {
     return true;
   }
@@ -336,6 +373,95 @@ const getFlatConditionTypeOptions = (t, assetTypes = null) => {
 
 export { getFlatConditionTypeOptions };
 
+export const getStatusOptions = () => {
+  const labelToValue = {
+    Queued: 'queued',
+    Downloading: 'downloading',
+    Seeding: 'seeding',
+    Completed: 'completed',
+    Uploading: 'uploading',
+    Stalled: 'stalled',
+    Inactive: 'inactive',
+    Failed: 'failed',
+  };
+  return STATUS_OPTIONS.reduce((acc, opt) => {
+    if (
+      opt.hidden ||
+      opt.label === 'All' ||
+      opt.label === 'Meta_DL' ||
+      opt.label === 'Checking_Resume_Data'
+    )
+      return acc;
+    acc.push({
+      label: opt.label,
+      value: labelToValue[opt.label] || opt.label.toLowerCase().replace(/\s+/g, '_'),
+    });
+    return acc;
+  }, []);
+};
+
+const TRIGGER_LABEL_KEYS = {
+  [TRIGGER_TYPES.INTERVAL]: 'interval',
+  [TRIGGER_TYPES.CRON]: 'cron',
+  [TRIGGER_TYPES.DOWNLOAD_ADDED]: 'downloadAdded',
+  [TRIGGER_TYPES.DOWNLOAD_COMPLETED]: 'downloadCompleted',
+  [TRIGGER_TYPES.STATUS_CHANGED]: 'statusChanged',
+  [TRIGGER_TYPES.BECAME_STALLED]: 'becameStalled',
+  [TRIGGER_TYPES.TAG_ADDED]: 'tagAdded',
+};
+
+export const isScheduleTrigger = (trigger) =>
+  !trigger?.type || trigger.type === TRIGGER_TYPES.INTERVAL || trigger.type === TRIGGER_TYPES.CRON;
+
+export const isEventTrigger = (trigger) => !!trigger?.type && !isScheduleTrigger(trigger);
+
+export function getSupportedTriggerOptions(t, assetTypes) {
+  const supported = new Set(getSupportedTriggers(assetTypes || ['torrent']));
+  return Object.values(TRIGGER_TYPES)
+    .filter((type) => supported.has(type))
+    .map((type) => ({ value: type, label: t(`trigger.types.${TRIGGER_LABEL_KEYS[type]}`) }));
+}
+
+/** Short trigger phrase for rule summaries, e.g. "Every 30 minutes" or "When a download is added". */
+export const getTriggerSummary = (trigger, t) => {
+  const key = TRIGGER_LABEL_KEYS[trigger?.type] || TRIGGER_LABEL_KEYS[TRIGGER_TYPES.INTERVAL];
+  const summary = t(`trigger.summary.${key}`, {
+    minutes: trigger?.value ?? 30,
+    expression: trigger?.expression ?? '',
+  });
+  if (!trigger?.window) return summary;
+  return t('trigger.summary.withWindow', {
+    summary,
+    start: trigger.window.start,
+    end: trigger.window.end,
+  });
+};
+
+const isTagAction = (type) => type === ACTION_TYPES.ADD_TAG || type === ACTION_TYPES.REMOVE_TAG;
+
+/**
+ * Build a fresh pipeline step of the given type.
+ * Tag selections carry over when switching between add_tag and remove_tag;
+ * step conditions and stopOnFailure are kept across type changes.
+ * @param {string} type - Action type
+ * @param {Object} [previous] - Step being replaced
+ * @returns {Object}
+ */
+export function createActionStep(type, previous = null) {
+  const step = { type };
+  if (previous?._key) step._key = previous._key;
+  if (isTagAction(type)) {
+    step.tagIds = isTagAction(previous?.type) ? previous.tagIds || [] : [];
+  }
+  if (type === ACTION_TYPES.WEBHOOK) {
+    step.url = '';
+    step.format = WEBHOOK_FORMATS.GENERIC;
+  }
+  if (previous?.conditions) step.conditions = previous.conditions;
+  if (previous?.stopOnFailure) step.stopOnFailure = true;
+  return step;
+}
+
 export function getSupportedActionOptions(t, assetTypes) {
   const supported = new Set(getSupportedActions(assetTypes || ['torrent']));
   const all = [
@@ -379,6 +505,46 @@ export function getSupportedActionOptions(t, assetTypes) {
       label: t('actions.removeAirlock'),
       desc: t('actions.removeAirlockDescription'),
     },
+    {
+      value: ACTION_TYPES.WEBHOOK,
+      label: t('actions.webhook'),
+      desc: t('actions.webhookDescription'),
+    },
   ];
   return all.filter((opt) => supported.has(opt.value));
 }
+
+/**
+ * Get display name for action type
+ * Converts action type (e.g., 'add_tag') to translation key (e.g., 'addTag')
+ */
+export function getActionDisplayName(actionType, t) {
+  if (!actionType) return 'Execution';
+
+  // Convert action type to translation key format
+  // e.g., 'add_tag' -> 'addTag', 'stop_seeding' -> 'stopSeeding'
+  const translationKey = actionType
+    .split('_')
+    .map((word, index) => (index === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1)))
+    .join('');
+
+  // Try to get translation, fallback to formatted action type
+  try {
+    const translation = t(`actions.${translationKey}`);
+    // If translation returns the key itself, it means translation doesn't exist
+    if (translation === `actions.${translationKey}`) {
+      // Fallback: format the action type nicely
+      return actionType
+        .split('_')
+        .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+    }
+    return translation;
+  } catch (e) {
+    // Fallback: format the action type nicely
+    return actionType
+      .split('_')
+      .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  }
+}
@@ -24,6 +24,7 @@ import {
 import {
   tagOperatorNeedsTagSelection,
   isTagPresenceOperator,
+  buildTagFilterOptions,
 } from '@/components/downloads/filters/tagFilterHelpers';
 import { useTags } from '@/components/shared/hooks/useTags';
 import Select from '@/components/shared/Select';
@@ -127,12 +128,7 @@ export default function FilterInput({
   };
 
   // Get tag options for MultiSelect
-  const getTagOptions = () => {
-    return tags.map((tag) => ({
-      label: tag.name,
-      value: tag.id,
-    }));
-  };
+  const getTagOptions = () => buildTagFilterOptions(tags);
 
   const columnGroups = getGroupedFilterableColumns(
     activeType,
@@ -165,6 +161,8 @@ export default function FilterInput({
         [STRING_OPERATORS.ENDS_WITH]: automationRulesT('stringOperators.endsWith'),
         [STRING_OPERATORS.NOT_EQUALS]: automationRulesT('stringOperators.notEquals'),
         [STRING_OPERATORS.NOT_CONTAINS]: automationRulesT('stringOperators.notContains'),
+        [STRING_OPERATORS.MATCHES_REGEX]: automationRulesT('stringOperators.matchesRegex'),
+        [STRING_OPERATORS.MATCHES_GLOB]: automationRulesT('stringOperators.matchesGlob'),
       };
       label = labels[op] || op;
     } else if (isBooleanColumn(filter.column)) {
@@ -288,13 +286,32 @@ export default function FilterInput({
               <option value="false">{automationRulesT('booleanValues.false')}</option>
             </Select>
           ) : isTextColumn(filter.column) ? (
-            <input
-              type="text"
-              value={filter.value || ''}
-              onChange={(e) => handleFieldChange('value', e.target.value)}
-              placeholder={customViewsT('enterValuePlaceholder')}
-              className="w-full sm:flex-1 sm:min-w-[120px] px-3 py-1.5 text-sm text-primary-text dark:text-primary-text-dark border border-border dark:border-border-dark rounded-md bg-transparent"
-            />
+            <>
+              <input
+                type="text"
+                value={filter.value || ''}
+                onChange={(e) => handleFieldChange('value', e.target.value)}
+                placeholder={
+                  filter.operator === STRING_OPERATORS.MATCHES_REGEX
+                    ? automationRulesT('conditions.regexPlaceholder')
+                    : filter.operator === STRING_OPERATORS.MATCHES_GLOB
+                      ? automationRulesT('conditions.globPlaceholder')
+                      : customViewsT('enterValuePlaceholder')
+                }
+                className="w-full sm:flex-1 sm:min-w-[120px] px-3 py-1.5 text-sm text-primary-text dark:text-primary-text-dark border border-border dark:border-border-dark rounded-md bg-transparent"
+              />
+              <label className="flex items-center gap-2 text-xs text-primary-text dark:text-primary-text-dark whitespace-nowrap">
+                <input
+                  type="checkbox"
+                  checked={filter.caseSensitive === true}
+                  onChange={(e) =>
+                    handleFieldChange('caseSensitive', e.target.checked || undefined)
+                  }
+                  className="accent-accent dark:accent-accent-dark"
+                />
+                {automationRulesT('conditions.caseSensitive')}
+              </label>
+            </>
           ) : isNumberColumn(filter.column) ||
             isTimeColumn(filter.column) ||
             isTimestampColumn(filter.column) ? (
@@ -0,0 +1,245 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { useLocale, useTranslations } from 'next-intl';
+import { Copy, Link, X } from '@/components/icons';
+import ModalSheet from '@/components/shared/ModalSheet';
+import ModalSheetHandle from '@/components/shared/ModalSheetHandle';
+import Spinner from '@/components/shared/Spinner';
+import { formatDate } from '@/components/downloads/utils/formatters';
+import { useCustomViewsStore } from '@/store/customViewsStore';
+import ShareViewPreview from './ShareViewPreview';
+import {
+  DEFAULT_VIEW_SHARE_EXPIRY_DAYS,
+  VIEW_SHARE_EXPIRY_DAYS,
+} from '../../../../../config/viewShares.mjs';
+
+const STATUS_CLASS_NAMES = {
+  active: 'text-emerald-500 dark:text-emerald-400',
+  expired: 'text-muted dark:text-muted-dark',
+  revoked: 'text-red-500 dark:text-red-400',
+};
+
+/**
+ * Create and revoke read-only links to a custom view. A link's URL is shown once, right after it
+ * is created; the list afterwards only knows its hint.
+ */
+export default function ShareViewModal({ isOpen, onClose, view, apiKey }) {
+  const t = useTranslations('ShareView');
+  const locale = useLocale();
+  const loadViewShares = useCustomViewsStore((s) => s.loadViewShares);
+  const createViewShare = useCustomViewsStore((s) => s.createViewShare);
+  const revokeViewShare = useCustomViewsStore((s) => s.revokeViewShare);
+
+  const [shares, setShares] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [expiresInDays, setExpiresInDays] = useState(DEFAULT_VIEW_SHARE_EXPIRY_DAYS);
+  const [newLink, setNewLink] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [shareable, setShareable] = useState(true);
+
+  const viewId = view?.id;
+
+  useEffect(() => {
+    if (!isOpen || viewId == null) return undefined;
+    let cancelled = false;
+    loadViewShares(apiKey, viewId)
+      .then((loaded) => {
+        if (!cancelled) setShares(loaded);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, apiKey, viewId, loadViewShares]);
+
+  const refreshShares = async () => {
+    setShares(await loadViewShares(apiKey, viewId));
+  };
+
+  const handleCreate = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const token = await createViewShare(apiKey, viewId, expiresInDays);
+      setNewLink(`${window.location.origin}/${locale}/shared/${token}`);
+      setCopied(false);
+      await refreshShares();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (shareId) => {
+    setError(null);
+    try {
+      await revokeViewShare(apiKey, viewId, shareId);
+      await refreshShares();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const copyNewLink = async () => {
+    try {
+      await navigator.clipboard.writeText(newLink);
+      setCopied(true);
+    } catch (err) {
+      console.error('Failed to copy share link:', err);
+      setError(t('copyFailed'));
+    }
+  };
+
+  return (
+    <ModalSheet
+      open={isOpen}
+      onClose={onClose}
+      closeLabel={t('close')}
+      aria-labelledby="share-view-title"
+      aria-describedby="share-view-description"
+    >
+      <div onClick={(e) => e.stopPropagation()} className="flex min-h-0 flex-1 flex-col">
+        <ModalSheetHandle />
+        <div className="relative shrink-0 border-b border-border/50 px-4 pb-2.5 sm:px-5 sm:pb-4 sm:pt-5 dark:border-border-dark/50">
+          <div className="relative flex items-center gap-2 sm:items-start sm:gap-3">
+            <div
+              className="hidden size-11 shrink-0 items-center justify-center rounded-xl bg-accent/15 text-accent ring-1 ring-accent/20 dark:bg-accent-dark/15 dark:text-accent-dark dark:ring-accent-dark/25 sm:flex"
+              aria-hidden
+            >
+              <Link className="size-5" />
+            </div>
+            <div className="min-w-0 flex-1 sm:pt-0.5">
+              <h2
+                id="share-view-title"
+                className="truncate text-base font-semibold tracking-tight text-primary-text dark:text-primary-text-dark sm:text-lg"
+              >
+                {t('title', { name: view?.name ?? '' })}
+              </h2>
+              <p
+                id="share-view-description"
+                className="mt-1 text-sm leading-relaxed text-primary-text/60 dark:text-primary-text-dark/60"
+              >
+                {t('description')}
+              </p>
+            </div>
+            <button
+              type="button"
+              onClick={onClose}
+              className="-mr-1 inline-flex size-8 shrink-0 items-center justify-center rounded-lg text-primary-text/60 transition-colors hover:bg-surface-alt hover:text-primary-text dark:text-primary-text-dark/60 dark:hover:bg-surface-alt-dark dark:hover:text-primary-text-dark sm:-mt-1 sm:size-9 sm:rounded-xl"
+              aria-label={t('close')}
+            >
+              <X className="size-5" aria-hidden />
+            </button>
+          </div>
+        </div>
+
+        <div className="min-h-0 flex-1 overflow-y-auto px-4 py-3 text-sm text-primary-text dark:text-primary-text-dark sm:px-5 sm:py-4">
+          {newLink && (
+            <div className="mb-4 rounded-xl border border-accent/40 p-3 dark:border-accent-dark/40">
+              <p className="mb-2 font-medium">{t('newLinkNotice')}</p>
+              <div className="flex items-center gap-2">
+                <code className="flex-1 break-all text-xs">{newLink}</code>
+                <button
+                  type="button"
+                  onClick={copyNewLink}
+                  className="text-accent dark:text-accent-dark"
+                  aria-label={t('copy')}
+                >
+                  <Copy className="size-4" />
+                </button>
+              </div>
+              {copied && (
+                <p className="mt-1 text-xs text-emerald-500 dark:text-emerald-400">{t('copied')}</p>
+              )}
+            </div>
+          )}
+
+          <div className="mb-4 flex flex-wrap items-center gap-3">
+            <select
+              value={expiresInDays}
+              onChange={(e) => setExpiresInDays(Number(e.target.value))}
+              aria-label={t('expiry')}
+              className="rounded-md border border-border bg-transparent px-2 py-1 text-sm text-primary-text dark:border-border-dark dark:text-primary-text-dark"
+            >
+              {VIEW_SHARE_EXPIRY_DAYS.map((days) => (
+                <option key={days} value={days}>
+                  {t('expiryDays', { days })}
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={handleCreate}
+              disabled={saving || viewId == null || !shareable}
+              className="ui-btn-accent !px-4"
+            >
+              {t('create')}
+            </button>
+          </div>
+
+          {error && <p className="mb-3 text-red-500 dark:text-red-400">{error}</p>}
+
+          {isOpen && (
+            <ShareViewPreview apiKey={apiKey} viewId={viewId} onShareableChange={setShareable} />
+          )}
+
+          {loading && (
+            <div className="flex justify-center py-4">
+              <Spinner />
+            </div>
+          )}
+          {!loading && shares.length === 0 && (
+            <p className="text-muted dark:text-muted-dark">{t('empty')}</p>
+          )}
+
+          {shares.length > 0 && (
+            <ul className="divide-y divide-border dark:divide-border-dark">
+              {shares.map((share) => (
+                <li
+                  key={share.id}
+                  className="flex flex-wrap items-center justify-between gap-2 py-2"
+                >
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                      <code className="text-xs text-muted dark:text-muted-dark">
+                        {share.token_hint}
+                      </code>
+                      <span className={`text-xs ${STATUS_CLASS_NAMES[share.status]}`}>
+                        {t(`status.${share.status}`)}
+                      </span>
+                    </div>
+                    <div className="text-xs text-muted dark:text-muted-dark">
+                      {t('expiresAt', { date: formatDate(share.expires_at, locale) })}
+                      {' · '}
+                      {share.last_viewed_at
+                        ? t('lastViewed', { date: formatDate(share.last_viewed_at, locale) })
+                        : t('neverViewed')}
+                    </div>
+                  </div>
+                  {share.status === 'active' && (
+                    <button
+                      type="button"
+                      onClick={() => handleRevoke(share.id)}
+                      className="text-red-500 hover:underline dark:text-red-400"
+                    >
+                      {t('revoke')}
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </ModalSheet>
+  );
+}
@@ -0,0 +1,114 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { useLocale, useTranslations } from 'next-intl';
+import Spinner from '@/components/shared/Spinner';
+import { formatSize } from '@/components/downloads/utils/formatters';
+import { useCustomViewsStore } from '@/store/customViewsStore';
+
+const PREVIEW_PAGE_SIZE = 10;
+
+/**
+ * The downloads a view's share links show right now, paged by the backend with the view's saved
+ * sort. Views that filter on browser-only data or hold invalid patterns cannot be shared;
+ * onShareableChange reports that.
+ */
+export default function ShareViewPreview({ apiKey, viewId, onShareableChange }) {
+  const t = useTranslations('ShareView');
+  const locale = useLocale();
+  const loadViewItems = useCustomViewsStore((s) => s.loadViewItems);
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState({ loading: true, data: null, error: null });
+
+  useEffect(() => {
+    if (viewId == null) return undefined;
+    let cancelled = false;
+    loadViewItems(apiKey, viewId, { page, limit: PREVIEW_PAGE_SIZE })
+      .then((data) => {
+        if (cancelled) return;
+        setResult({ loading: false, data, error: null });
+        onShareableChange?.(true);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        const browserOnly = err.code === 'VIEW_NOT_SERVER_EVALUABLE';
+        setResult({
+          loading: false,
+          data: null,
+          error: browserOnly ? t('notShareable') : err.message,
+        });
+        // The backend refuses links to views with invalid patterns too; its message says why
+        if (browserOnly || err.code === 'VIEW_INVALID_PATTERN') onShareableChange?.(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [apiKey, viewId, page, loadViewItems, onShareableChange, t]);
+
+  const goToPage = (next) => {
+    setResult((current) => ({ ...current, loading: true }));
+    setPage(next);
+  };
+
+  const { loading, data, error } = result;
+  const pagination = data?.pagination;
+
+  if (loading && !data) {
+    return (
+      <div className="flex justify-center py-4">
+        <Spinner />
+      </div>
+    );
+  }
+  if (error) {
+    return <p className="mb-4 text-muted dark:text-muted-dark">{error}</p>;
+  }
+
+  return (
+    <section className="mb-4">
+      <h3 className="mb-2 font-medium">{t('previewTitle', { count: pagination?.total ?? 0 })}</h3>
+      {data.items.length === 0 ? (
+        <p className="text-muted dark:text-muted-dark">{t('previewEmpty')}</p>
+      ) : (
+        <ul
+          className={`divide-y divide-border rounded-xl border border-border/60 dark:divide-border-dark dark:border-border-dark/60 ${loading ? 'opacity-60' : ''}`}
+        >
+          {data.items.map((item) => (
+            <li
+              key={`${item.assetType}-${item.id}`}
+              className="flex items-center justify-between gap-3 px-3 py-2"
+            >
+              <span className="min-w-0 truncate">{item.name}</span>
+              <span className="shrink-0 text-xs tabular-nums text-muted dark:text-muted-dark">
+                {formatSize(item.size, locale)}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {pagination.totalPages > 1 && (
+        <nav className="mt-2 flex items-center justify-between text-xs">
+          <button
+            type="button"
+            onClick={() => goToPage(page - 1)}
+            disabled={loading || page <= 1}
+            className="ui-btn-ghost disabled:opacity-50"
+          >
+            {t('previewPrevious')}
+          </button>
+          <span className="text-muted dark:text-muted-dark">
+            {t('previewPageOf', { page: pagination.page, total: pagination.totalPages })}
+          </span>
+          <button
+            type="button"
+            onClick={() => goToPage(page + 1)}
+            disabled={loading || page >= pagination.totalPages}
+            className="ui-btn-ghost disabled:opacity-50"
+          >
+            {t('previewNext')}
+          </button>
+        </nav>
+      )}
+    </section>
+  );
+}
@@ -2,6 +2,7 @@
 
 import { useMemo } from 'react';
 import { useTranslations } from 'next-intl';
+import { useTagsStore } from '@/store/tagsStore';
 import { countDownloadsMatchingFilters, hasActiveFilters } from '../../filters/filterHelpers';
 
 export default function ViewFilterPreview({
@@ -14,14 +15,16 @@ export default function ViewFilterPreview({
   showPreviewButton = true,
 }) {
   const t = useTranslations('CustomViews');
+  const tags = useTagsStore((s) => s.tags);
 
   const { matched, total } = useMemo(
     () =>
       countDownloadsMatchingFilters(filters, previewItems, {
         assetType,
         searchQuery,
+        tags,
       }),
-    [filters, previewItems, assetType, searchQuery]
+    [filters, previewItems, assetType, searchQuery, tags]
   );
 
   const filtersActive = hasActiveFilters(filters);
@@ -212,6 +212,8 @@ export default function Downloads({ apiKey, onApiKeyChange }) {
               search={filterData.search}
               tagManagerOpen={filterData.tagManagerOpen}
               setTagManagerOpen={filterData.setTagManagerOpen}
+              sharingView={filterData.sharingView}
+              setSharingView={filterData.setSharingView}
             />
           )}
 
@@ -5,6 +5,9 @@ import MobileFiltersDrawer from './FiltersSidebar/MobileFiltersDrawer';
 
 const FilterEditorModal = dynamic(() => import('./FilterEditorModal'), { ssr: false });
 const TagManager = dynamic(() => import('./Tags/TagManager'), { ssr: false });
+const ShareViewModal = dynamic(() => import('./CustomViews/components/ShareViewModal'), {
+  ssr: false,
+});
 
 export default function DownloadsModals({
   isBackendAvailable,
@@ -30,6 +33,8 @@ export default function DownloadsModals({
   search,
   tagManagerOpen,
   setTagManagerOpen,
+  sharingView,
+  setSharingView,
 }) {
   if (!isBackendAvailable) return null;
 
@@ -68,6 +73,15 @@ export default function DownloadsModals({
           apiKey={apiKey}
         />
       )}
+      {sharingView && (
+        <ShareViewModal
+          key={sharingView.id}
+          isOpen={Boolean(sharingView)}
+          onClose={() => setSharingView(null)}
+          view={sharingView}
+          apiKey={apiKey}
+        />
+      )}
     </>
   );
 }
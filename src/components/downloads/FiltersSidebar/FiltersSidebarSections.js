@@ -36,6 +36,7 @@ export default function FiltersSidebarSections({
   onClearViews,
   onEditView,
   onRenameView,
+  onShareView,
   onRenameTag,
   onReorderViews,
   onOpenTagManager,
@@ -130,6 +131,7 @@ export default function FiltersSidebarSections({
             onClearViews={onClearViews}
             onEditView={onEditView}
             onRenameView={onRenameView}
+            onShareView={onShareView}
             onDeleteView={handleDeleteView}
             sortMode={viewsSortMode}
             onExitSortMode={handleExitViewsSortMode}
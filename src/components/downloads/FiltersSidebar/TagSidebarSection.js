@@ -6,6 +6,7 @@ import SidebarListItem from './SidebarListItem';
 import SidebarOverflowMenu from './SidebarOverflowMenu';
 import { matchesSidebarSearch } from './sidebarSearch';
 import { useSidebarShiftSelect } from './sidebarRangeSelect';
+import { getTagPath, orderTagsAsTree } from '../../../../config/tagHierarchy.mjs';
 
 const EMPTY_TAGS = [];
 const EMPTY_TAG_COUNTS = {};
@@ -32,10 +33,13 @@ export default function TagSidebarSection({
     [activeTagIds]
   );
 
-  const filteredTags = useMemo(
-    () => tags.filter((tag) => matchesSidebarSearch(searchQuery, tag.name)),
-    [tags, searchQuery]
-  );
+  // Parents before children, labelled by path; counts and filters include child tags.
+  const filteredTags = useMemo(() => {
+    const tagsById = new Map(tags.map((tag) => [tag.id, tag]));
+    return orderTagsAsTree(tags)
+      .map(({ tag }) => ({ ...tag, path: getTagPath(tag, tagsById) }))
+      .filter((tag) => matchesSidebarSearch(searchQuery, tag.path));
+  }, [tags, searchQuery]);
 
   const selectedCount = activeTagSet.size;
   const hasSearchQuery = searchQuery.trim().length > 0;
@@ -136,8 +140,17 @@ export default function TagSidebarSection({
                 key={tag.id}
                 itemId={tagId}
                 itemIndex={index}
-                label={tag.name}
+                label={tag.path}
                 count={tagCounts[tag.id]}
+                leading={
+                  tag.color ? (
+                    <span
+                      className="size-2 shrink-0 rounded-full"
+                      style={{ backgroundColor: tag.color }}
+                      aria-hidden
+                    />
+                  ) : null
+                }
                 isActive={tagIsActive}
                 disabled={disabled}
                 title={tagIsActive ? t('toggleFilterOff') : t('toggleFilterOn')}
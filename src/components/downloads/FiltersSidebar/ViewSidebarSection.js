@@ -95,6 +95,7 @@ export default function ViewSidebarSection({
   onClearViews,
   onEditView,
   onRenameView,
+  onShareView,
   onDeleteView,
   sortMode = false,
   onExitSortMode,
@@ -207,6 +208,11 @@ export default function ViewSidebarSection({
             label: t('menuRename'),
             onClick: () => onRenameView?.(view),
           },
+          {
+            id: 'share',
+            label: t('menuShare'),
+            onClick: () => onShareView?.(view),
+          },
           {
             id: 'delete',
             label: t('menuDelete'),
@@ -224,6 +230,7 @@ export default function ViewSidebarSection({
       onDeleteView,
       onEditView,
       onRenameView,
+      onShareView,
       t,
     ]
   );
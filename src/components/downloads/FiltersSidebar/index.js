@@ -48,6 +48,7 @@ export default function FiltersSidebar({
   onClearSources,
   onEditView,
   onRenameView,
+  onShareView,
   onRenameTag,
   onDeleteTag,
   onNewFilter,
@@ -77,7 +78,8 @@ export default function FiltersSidebar({
 
   const { tagCounts, viewCounts, trackerEntries, sourceEntries } = useFiltersSidebarCounts(
     activeAssetType,
-    views
+    views,
+    apiKey
   );
 
   const showTrackerSection = activeAssetType === 'all' || activeAssetType === 'torrents';
@@ -221,6 +223,7 @@ export default function FiltersSidebar({
           onClearViews={onClearViews}
           onEditView={onEditView}
           onRenameView={onRenameView}
+          onShareView={onShareView}
           onRenameTag={onRenameTag}
           onReorderViews={onReorderViews}
           onOpenTagManager={onOpenTagManager}
@@ -1,10 +1,11 @@
 'use client';
 
-import { useLayoutEffect, useMemo, useRef } from 'react';
+import { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
 import { useShallow } from 'zustand/react/shallow';
 import { useTorboxDownloadsStore } from '@/store/torboxDownloadsStore';
 import { useDownloadTagsStore } from '@/store/downloadTagsStore';
 import { useDownloadHistoryStore } from '@/store/downloadHistoryStore';
+import { useCustomViewsStore } from '@/store/customViewsStore';
 import {
   countDownloadsPerTagFromStore,
   countDownloadsPerViewFromStore,
@@ -15,6 +16,9 @@ import { selectViewOrderedIds } from '@/store/torboxDownloadsSelectors';
 import { formatTrackerLabel } from '@/components/downloads/filters/trackerDisplay';
 import { formatSourceLabel } from '@/components/downloads/filters/sourceDisplay';
 
+// Lets a burst of list changes (a page of new downloads arriving) settle into one counts request
+const SERVER_VIEW_COUNTS_DEBOUNCE_MS = 1000;
+
 function buildSortedEntries(counts, getKey, formatLabel) {
   return Object.entries(counts)
     .map(([key, count]) => ({
@@ -55,10 +59,51 @@ function rowRefsUnchanged(viewIds, entities, cachedIds, cachedRowRefs) {
   return true;
 }
 
+/**
+ * View counts from the backend, which evaluates views against the whole library. Refetched when
+ * the views or the list shown change; a changed list size asks the backend to refresh its
+ * snapshot too. null until loaded for the list shown.
+ */
+function useServerViewCounts(apiKey, activeAssetType, views, downloadCount) {
+  const loadViewCounts = useCustomViewsStore((s) => s.loadViewCounts);
+  const [loaded, setLoaded] = useState(null);
+  const lastRequestRef = useRef(null);
+
+  useEffect(() => {
+    if (!apiKey || !views?.length) {
+      setLoaded(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      const previous = lastRequestRef.current;
+      const refresh =
+        previous?.apiKey === apiKey &&
+        previous.downloadCount > 0 &&
+        previous.downloadCount !== downloadCount;
+      lastRequestRef.current = { apiKey, downloadCount };
+      loadViewCounts(apiKey, activeAssetType, { refresh }).then((counts) => {
+        if (!cancelled) setLoaded({ apiKey, activeAssetType, counts });
+      });
+    }, SERVER_VIEW_COUNTS_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [apiKey, activeAssetType, views, downloadCount, loadViewCounts]);
+
+  return loaded?.apiKey === apiKey && loaded.activeAssetType === activeAssetType
+    ? loaded.counts
+    : null;
+}
+
 /**
  * Sidebar counts and tracker/source lists derived from entity store (single subscription).
+ * View counts come from the backend where it can evaluate the view, else from the store.
  */
-export function useFiltersSidebarCounts(activeAssetType, views) {
+export function useFiltersSidebarCounts(activeAssetType, views, apiKey) {
   const torboxSlice = useTorboxDownloadsStore(
     useShallow((s) => ({
       entities: s.entities,
@@ -72,6 +117,7 @@ export function useFiltersSidebarCounts(activeAssetType, views) {
     () => selectViewOrderedIds(torboxSlice, activeAssetType),
     [torboxSlice, activeAssetType]
   );
+  const serverViewCounts = useServerViewCounts(apiKey, activeAssetType, views, viewIds.length);
 
   const countsCacheRef = useRef({
     viewIds: [],
@@ -80,6 +126,7 @@ export function useFiltersSidebarCounts(activeAssetType, views) {
     views,
     tagMappings: null,
     downloadHistory: null,
+    serverViewCounts: null,
     tagCounts: {},
     viewCounts: {},
     trackerEntries: [],
@@ -92,7 +139,8 @@ export function useFiltersSidebarCounts(activeAssetType, views) {
       cache.activeAssetType === activeAssetType &&
       cache.views === views &&
       cache.tagMappings === tagMappings &&
-      cache.downloadHistory === downloadHistory;
+      cache.downloadHistory === downloadHistory &&
+      cache.serverViewCounts === serverViewCounts;
 
     const refsUnchanged =
       metaUnchanged &&
@@ -113,13 +161,22 @@ export function useFiltersSidebarCounts(activeAssetType, views) {
       torboxSlice,
       activeAssetType,
       tagMappings,
-      downloadHistory
+      downloadHistory,
+      serverViewCounts
     );
     const trackerEntries = buildTrackerEntries(torboxSlice);
     const sourceEntries = buildSourceEntries(torboxSlice);
 
     return { tagCounts, viewCounts, trackerEntries, sourceEntries };
-  }, [torboxSlice, activeAssetType, views, tagMappings, downloadHistory, viewIds]);
+  }, [
+    torboxSlice,
+    activeAssetType,
+    views,
+    tagMappings,
+    downloadHistory,
+    serverViewCounts,
+    viewIds,
+  ]);
 
   useLayoutEffect(() => {
     countsCacheRef.current = {
@@ -129,12 +186,22 @@ export function useFiltersSidebarCounts(activeAssetType, views) {
       views,
       tagMappings,
       downloadHistory,
+      serverViewCounts,
       tagCounts: counts.tagCounts,
       viewCounts: counts.viewCounts,
       trackerEntries: counts.trackerEntries,
       sourceEntries: counts.sourceEntries,
     };
-  }, [viewIds, torboxSlice.entities, activeAssetType, views, tagMappings, downloadHistory, counts]);
+  }, [
+    viewIds,
+    torboxSlice.entities,
+    activeAssetType,
+    views,
+    tagMappings,
+    downloadHistory,
+    serverViewCounts,
+    counts,
+  ]);
 
   return counts;
 }
@@ -2,6 +2,7 @@
 
 import { useEffect, useState, useSyncExternalStore } from 'react';
 import { useUpload } from '../shared/hooks/useUpload';
+import { useUploadTemplates } from '../shared/hooks/useUploadTemplates';
 import useIsMobile from '@/hooks/useIsMobile';
 import { useTranslations } from 'next-intl';
 import Toast from '../shared/Toast';
@@ -35,7 +36,10 @@ export default function ItemUploader({ apiKey, activeType = 'torrents' }) {
     progress,
     webdlPassword,
     setWebdlPassword,
+    uploadSchedule,
+    setUploadSchedule,
   } = useUpload(apiKey, activeType);
+  const { templates: uploadTemplates } = useUploadTemplates(apiKey);
 
   const [isExpanded, setIsExpanded] = useState(() => {
     const states = getExpandedStates();
@@ -181,6 +185,9 @@ export default function ItemUploader({ apiKey, activeType = 'torrents' }) {
           setShowOptions={setShowOptions}
           globalOptions={globalOptions}
           updateGlobalOptions={updateGlobalOptions}
+          uploadSchedule={uploadSchedule}
+          setUploadSchedule={setUploadSchedule}
+          uploadTemplates={uploadTemplates}
           items={items}
           setItems={setItems}
           uploadItems={uploadItems}
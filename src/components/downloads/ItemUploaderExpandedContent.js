@@ -2,6 +2,7 @@
 
 import { DropZone } from '../shared/DropZone';
 import TorrentOptions from './TorrentOptions';
+import UploadScheduleOptions from './UploadScheduleOptions';
 import UploadItemList from './UploadItemList';
 import UploadProgress from './UploadProgress';
 import { phEvent } from '@/utils/sa';
@@ -25,6 +26,9 @@ export default function ItemUploaderExpandedContent({
   setShowOptions,
   globalOptions,
   updateGlobalOptions,
+  uploadSchedule,
+  setUploadSchedule,
+  uploadTemplates,
   items,
   setItems,
   uploadItems,
@@ -98,6 +102,15 @@ export default function ItemUploaderExpandedContent({
         />
       )}
 
+      <UploadScheduleOptions
+        uploadSchedule={uploadSchedule}
+        setUploadSchedule={setUploadSchedule}
+        showDuplicateOption={activeType === 'torrents'}
+        templates={uploadTemplates}
+        disabled={isUploading}
+        t={t}
+      />
+
       <UploadItemList
         items={items}
         setItems={setItems}
@@ -2,6 +2,7 @@
 
 import { useMemo } from 'react';
 import { Check, Hash, MagnifyingGlass } from '@/components/icons';
+import { selectTagInGroup } from '../../../../config/tagHierarchy.mjs';
 
 const EMPTY_ARRAY = [];
 
@@ -16,6 +17,8 @@ function TagChipSkeleton() {
 
 /**
  * Inline multi-select for tags — toggle chips in a scrollable panel (no dropdown).
+ * Chips show `tag.path` when set. With `exclusiveGroups`, picking a tag deselects the other
+ * tags of its group.
  */
 export default function InlineTagMultiSelect({
   tags = EMPTY_ARRAY,
@@ -31,6 +34,7 @@ export default function InlineTagMultiSelect({
   noResultsMessage = 'No tags match your search.',
   isTagDisabled,
   variant = 'add',
+  exclusiveGroups = false,
   className = '',
   'aria-label': ariaLabel = 'Select tags',
 }) {
@@ -39,13 +43,15 @@ export default function InlineTagMultiSelect({
   const filteredTags = useMemo(() => {
     const q = searchQuery.trim().toLowerCase();
     if (!q) return tags;
-    return tags.filter((tag) => tag.name.toLowerCase().includes(q));
+    return tags.filter((tag) => (tag.path ?? tag.name).toLowerCase().includes(q));
   }, [tags, searchQuery]);
 
   const toggleTag = (tagId) => {
     if (disabled || isTagDisabled?.(tags.find((t) => t.id === tagId))) return;
     if (selectedSet.has(tagId)) {
       onChange(value.filter((id) => id !== tagId));
+    } else if (exclusiveGroups) {
+      onChange(selectTagInGroup(value, tagId, tags));
     } else {
       onChange([...value, tagId]);
     }
@@ -128,10 +134,14 @@ export default function InlineTagMultiSelect({
                           dark:hover:border-accent-dark/35 dark:hover:bg-accent-dark/5`
                     }
                   `}
-                  title={tag.name}
+                  title={tag.path ?? tag.name}
                 >
-                  <Hash className="size-3.5 shrink-0 opacity-70" aria-hidden />
-                  <span className="truncate">{tag.name}</span>
+                  <Hash
+                    className="size-3.5 shrink-0 opacity-70"
+                    style={tag.color ? { color: tag.color, opacity: 1 } : undefined}
+                    aria-hidden
+                  />
+                  <span className="truncate">{tag.path ?? tag.name}</span>
                   {isSelected ? (
                     <Check className="size-3.5 shrink-0 opacity-90" aria-hidden />
                   ) : null}
@@ -217,6 +217,7 @@ function TagAssignmentModalBody({ downloadIds = EMPTY_ARRAY, apiKey, onClose, on
               allowCreate={mode === 'add'}
               tagOptions={mode === 'remove' ? assignedTagsUnion : null}
               variant={mode}
+              exclusiveGroups={mode === 'add'}
             />
           </>
         )}
@@ -1,45 +1,60 @@
 'use client';
 
+import { useMemo } from 'react';
+import { useTagsStore } from '@/store/tagsStore';
+import { getTagPath } from '../../../../config/tagHierarchy.mjs';
+import { tagColorStyle } from './tagColors';
+
 const EMPTY_ARRAY = [];
 
 /**
  * TagDisplay component - displays tags as chips/badges
  * @param {Object} props
- * @param {Array} props.tags - Array of tag objects { id, name }
+ * @param {Array} props.tags - Array of tag objects { id, name, color? }
  * @param {Function} props.onTagClick - Optional callback when tag is clicked
  * @param {string} props.className - Additional CSS classes
  */
 export default function TagDisplay({ tags = EMPTY_ARRAY, onTagClick, className = '' }) {
+  const allTags = useTagsStore((s) => s.tags);
+  const tagsById = useMemo(() => new Map(allTags.map((tag) => [tag.id, tag])), [allTags]);
+
   if (!tags || tags.length === 0) {
     return null;
   }
 
   return (
     <div className={`flex min-w-0 flex-row gap-1.5 overflow-hidden ${className}`}>
-      {tags.map((tag) => (
-        <span
-          key={tag.id}
-          role={onTagClick ? 'button' : undefined}
-          tabIndex={onTagClick ? 0 : undefined}
-          onClick={() => onTagClick && onTagClick(tag)}
-          onKeyDown={(e) => {
-            if (onTagClick && (e.key === 'Enter' || e.key === ' ')) {
-              e.preventDefault();
-              onTagClick(tag);
+      {tags.map((tag) => {
+        const color = tag.color ?? tagsById.get(tag.id)?.color;
+        const path = tagsById.has(tag.id) ? getTagPath(tag, tagsById) : tag.name;
+        return (
+          <span
+            key={tag.id}
+            role={onTagClick ? 'button' : undefined}
+            tabIndex={onTagClick ? 0 : undefined}
+            onClick={() => onTagClick && onTagClick(tag)}
+            onKeyDown={(e) => {
+              if (onTagClick && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                onTagClick(tag);
+              }
+            }}
+            className={`
+            inline-flex min-w-0 max-w-[8rem] shrink items-center truncate px-2 py-0.5 text-xs font-medium rounded-md border
+            ${
+              color
+                ? ''
+                : 'bg-accent/10 dark:bg-accent-dark/10 text-accent dark:text-accent-dark border-accent/20 dark:border-accent-dark/20'
             }
-          }}
-          className={`
-            inline-flex min-w-0 max-w-[8rem] shrink items-center truncate px-2 py-0.5 text-xs font-medium rounded-md
-            bg-accent/10 dark:bg-accent-dark/10
-            text-accent dark:text-accent-dark
-            border border-accent/20 dark:border-accent-dark/20
             ${onTagClick ? 'cursor-pointer hover:bg-accent/20 dark:hover:bg-accent-dark/20 transition-colors' : ''}
           `}
-          title={onTagClick ? `Filter by ${tag.name}` : tag.name}
-        >
-          {tag.name}
-        </span>
-      ))}
+            style={tagColorStyle(color)}
+            title={onTagClick ? `Filter by ${path}` : path}
+          >
+            {tag.name}
+          </span>
+        );
+      })}
     </div>
   );
 }
@@ -0,0 +1,96 @@
+'use client';
+
+import { useState } from 'react';
+import { Plus, X } from '@/components/icons';
+
+/**
+ * Exclusive tag groups in TagManager: a download carries at most one tag of each group,
+ * so adding `2160p` replaces `1080p` when both are in "Quality".
+ * @param {Object} props
+ * @param {Array<{ id: number, name: string, tag_count?: number }>} props.groups
+ * @param {(name: string) => Promise<unknown>} props.onCreate
+ * @param {(id: number) => Promise<unknown>} props.onDelete
+ * @param {boolean} props.loading
+ * @param {Function} props.t - DownloadsFilters translations
+ */
+export default function TagGroupsSection({ groups, onCreate, onDelete, loading, t }) {
+  const [newGroupName, setNewGroupName] = useState('');
+
+  const handleCreate = async () => {
+    const name = newGroupName.trim();
+    if (!name) return;
+    try {
+      await onCreate(name);
+      setNewGroupName('');
+    } catch {
+      // useTags surfaces errors
+    }
+  };
+
+  return (
+    <section className="mt-3" aria-labelledby="tag-groups-title">
+      <h3
+        id="tag-groups-title"
+        className="text-xs font-semibold uppercase tracking-wide text-primary-text/55 dark:text-primary-text-dark/55"
+      >
+        {t('tagGroups')}
+      </h3>
+      <p className="mt-0.5 text-xs text-primary-text/55 dark:text-primary-text-dark/55">
+        {t('tagGroupsHint')}
+      </p>
+      <div className="mt-2 flex flex-wrap items-center gap-1.5">
+        {groups.map((group) => (
+          <span
+            key={group.id}
+            className="inline-flex items-center gap-1 rounded-full border border-border/70 bg-surface py-0.5 pl-2.5 pr-1 text-xs font-medium text-primary-text dark:border-border-dark/70 dark:bg-surface-dark dark:text-primary-text-dark"
+          >
+            {group.name}
+            {group.tag_count !== undefined && (
+              <span className="tabular-nums text-primary-text/50 dark:text-primary-text-dark/50">
+                {group.tag_count}
+              </span>
+            )}
+            <button
+              type="button"
+              onClick={() => onDelete(group.id).catch(() => {})}
+              disabled={loading}
+              className="inline-flex size-5 items-center justify-center rounded-full text-primary-text/50 hover:bg-red-500/10 hover:text-red-600 dark:text-primary-text-dark/50 dark:hover:text-red-400"
+              title={t('tagGroupDelete', { name: group.name })}
+            >
+              <X className="size-3" aria-hidden />
+            </button>
+          </span>
+        ))}
+        <form
+          className="inline-flex items-center gap-1"
+          onSubmit={(e) => {
+            e.preventDefault();
+            handleCreate();
+          }}
+        >
+          <input
+            type="text"
+            value={newGroupName}
+            onChange={(e) => setNewGroupName(e.target.value)}
+            placeholder={t('tagGroupNewPrompt')}
+            disabled={loading}
+            className="w-36 rounded-full border border-border/60 bg-transparent px-2.5 py-0.5 text-xs
+              text-primary-text placeholder:text-primary-text/40
+              focus:border-accent/40 focus:outline-hidden focus:ring-2 focus:ring-accent/10
+              dark:border-border-dark/60 dark:text-primary-text-dark
+              dark:focus:border-accent-dark/40 dark:focus:ring-accent-dark/10"
+            aria-label={t('tagGroupNewPrompt')}
+          />
+          <button
+            type="submit"
+            disabled={!newGroupName.trim() || loading}
+            className="inline-flex size-6 items-center justify-center rounded-full text-accent hover:bg-accent/10 disabled:opacity-40 dark:text-accent-dark dark:hover:bg-accent-dark/10"
+            title={t('tagGroupAdd')}
+          >
+            <Plus className="size-3.5" aria-hidden />
+          </button>
+        </form>
+      </div>
+    </section>
+  );
+}
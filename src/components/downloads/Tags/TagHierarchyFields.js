@@ -0,0 +1,97 @@
+'use client';
+
+import { useMemo } from 'react';
+import { Check } from '@/components/icons';
+import Select from '@/components/shared/Select';
+import {
+  buildTagParentMap,
+  getTagPath,
+  orderTagsAsTree,
+  wouldCreateTagCycle,
+} from '../../../../config/tagHierarchy.mjs';
+import { TAG_COLOR_PRESETS } from './tagColors';
+
+/**
+ * Color, parent tag and exclusive group pickers for the tag being edited in TagManager.
+ * @param {Object} props
+ * @param {{ id: number }} props.tag - Tag being edited
+ * @param {Array} props.tags - All tags
+ * @param {Array<{ id: number, name: string }>} props.groups - Exclusive tag groups
+ * @param {{ color: string|null, parent_id: number|null, group_id: number|null }} props.value
+ * @param {(next: Object) => void} props.onChange
+ * @param {Function} props.t - DownloadsFilters translations
+ */
+export default function TagHierarchyFields({ tag, tags, groups, value, onChange, t }) {
+  // A tag cannot move under itself or one of its descendants.
+  const parentOptions = useMemo(() => {
+    const parentById = buildTagParentMap(tags);
+    const tagsById = new Map(tags.map((row) => [row.id, row]));
+    return orderTagsAsTree(tags)
+      .filter(({ tag: option }) => !wouldCreateTagCycle(tag.id, option.id, parentById))
+      .map(({ tag: option }) => ({ id: option.id, label: getTagPath(option, tagsById) }));
+  }, [tag.id, tags]);
+
+  return (
+    <div className="mt-2 space-y-2 pl-10">
+      <div
+        className="flex flex-wrap items-center gap-1.5"
+        role="radiogroup"
+        aria-label={t('tagColor')}
+      >
+        <button
+          type="button"
+          role="radio"
+          aria-checked={value.color == null}
+          onClick={() => onChange({ ...value, color: null })}
+          className="inline-flex size-6 items-center justify-center rounded-full border border-border/80 bg-surface text-[10px] text-primary-text/60 dark:border-border-dark/80 dark:bg-surface-dark dark:text-primary-text-dark/60"
+          title={t('tagColorNone')}
+        >
+          {value.color == null ? <Check className="size-3" aria-hidden /> : null}
+        </button>
+        {TAG_COLOR_PRESETS.map((color) => (
+          <button
+            key={color}
+            type="button"
+            role="radio"
+            aria-checked={value.color === color}
+            onClick={() => onChange({ ...value, color })}
+            className="inline-flex size-6 items-center justify-center rounded-full text-white ring-offset-1 focus-visible:outline-hidden focus-visible:ring-2 focus-visible:ring-accent/40"
+            style={{ backgroundColor: color }}
+            title={color}
+          >
+            {value.color === color ? <Check className="size-3" aria-hidden /> : null}
+          </button>
+        ))}
+      </div>
+      <div className="grid grid-cols-1 gap-2 sm:grid-cols-2">
+        <Select
+          value={value.parent_id != null ? String(value.parent_id) : ''}
+          onChange={(e) =>
+            onChange({ ...value, parent_id: e.target.value ? Number(e.target.value) : null })
+          }
+          searchable={parentOptions.length > 10}
+        >
+          <option value="">{t('tagParentNone')}</option>
+          {parentOptions.map((option) => (
+            <option key={option.id} value={String(option.id)}>
+              {option.label}
+            </option>
+          ))}
+        </Select>
+        <Select
+          value={value.group_id != null ? String(value.group_id) : ''}
+          onChange={(e) =>
+            onChange({ ...value, group_id: e.target.value ? Number(e.target.value) : null })
+          }
+        >
+          <option value="">{t('tagGroupNone')}</option>
+          {groups.map((group) => (
+            <option key={group.id} value={String(group.id)}>
+              {group.name}
+            </option>
+          ))}
+        </Select>
+      </div>
+    </div>
+  );
+}
@@ -7,6 +7,9 @@ import { useTags } from '@/components/shared/hooks/useTags';
 import ModalSheet from '@/components/shared/ModalSheet';
 import ModalSheetHandle from '@/components/shared/ModalSheetHandle';
 import { TAG_SEARCH_MIN_COUNT } from './constants';
+import TagGroupsSection from './TagGroupsSection';
+import TagHierarchyFields from './TagHierarchyFields';
+import { getTagPath, orderTagsAsTree } from '../../../../config/tagHierarchy.mjs';
 
 function TagRowSkeleton() {
   return (
@@ -19,9 +22,17 @@ function TagRowSkeleton() {
 
 function TagRow({
   tag,
+  depth,
+  path,
+  label,
+  groupName,
+  allTags,
+  groups,
   isEditing,
   editName,
   onEditNameChange,
+  editFields,
+  onEditFieldsChange,
   onStartEdit,
   onCancelEdit,
   onSaveEdit,
@@ -131,6 +142,14 @@ function TagRow({
             <X className="size-4" aria-hidden />
           </button>
         </div>
+        <TagHierarchyFields
+          tag={tag}
+          tags={allTags}
+          groups={groups}
+          value={editFields}
+          onChange={onEditFieldsChange}
+          t={t}
+        />
       </li>
     );
   }
@@ -140,17 +159,27 @@ function TagRow({
       className="group flex items-center gap-2 rounded-xl border border-border/50 bg-surface-alt/30 px-2 py-1.5
         transition-colors hover:border-border hover:bg-surface-alt/60
         dark:border-border-dark/50 dark:bg-surface-alt-dark/20 dark:hover:border-border-dark dark:hover:bg-surface-alt-dark/40"
+      style={depth ? { marginLeft: `${depth * 1.25}rem` } : undefined}
     >
       <span
         className="inline-flex size-8 shrink-0 items-center justify-center rounded-lg
           bg-accent/10 text-accent dark:bg-accent-dark/10 dark:text-accent-dark"
+        style={tag.color ? { color: tag.color, backgroundColor: `${tag.color}1a` } : undefined}
         aria-hidden
       >
         <Hash className="size-3.5" />
       </span>
-      <span className="min-w-0 flex-1 truncate text-sm font-medium text-primary-text dark:text-primary-text-dark">
-        {tag.name}
+      <span
+        className="min-w-0 flex-1 truncate text-sm font-medium text-primary-text dark:text-primary-text-dark"
+        title={path}
+      >
+        {label}
       </span>
+      {groupName && (
+        <span className="shrink-0 rounded-md border border-border/60 px-1.5 py-0.5 text-[11px] text-primary-text/55 dark:border-border-dark/60 dark:text-primary-text-dark/55">
+          {groupName}
+        </span>
+      )}
       {tag.usage_count !== undefined && (
         <span className="shrink-0 rounded-md bg-surface px-2 py-0.5 text-[11px] font-medium tabular-nums text-primary-text/55 dark:bg-surface-dark dark:text-primary-text-dark/55">
           {t('tagUsageCount', { count: tag.usage_count })}
@@ -185,16 +214,19 @@ function TagRow({
 }
 
 /**
- * TagManager — modal for creating, renaming, and deleting tags.
+ * TagManager — modal for creating, renaming, and deleting tags, and for arranging them
+ * (color, parent tag, exclusive group).
  */
 export default function TagManager({ isOpen, onClose, apiKey }) {
   const t = useTranslations('DownloadsFilters');
   const tActions = useTranslations('CustomViews');
   const tCommon = useTranslations('Common');
-  const { tags, loading, createTag, updateTag, deleteTag } = useTags(apiKey);
+  const { tags, groups, loading, createTag, updateTag, deleteTag, createTagGroup, deleteTagGroup } =
+    useTags(apiKey);
 
   const [editingId, setEditingId] = useState(null);
   const [editName, setEditName] = useState('');
+  const [editFields, setEditFields] = useState(null);
   const [newTagName, setNewTagName] = useState('');
   const [searchQuery, setSearchQuery] = useState('');
   const [pendingDelete, setPendingDelete] = useState(null);
@@ -204,6 +236,7 @@ export default function TagManager({ isOpen, onClose, apiKey }) {
   const resetState = useCallback(() => {
     setEditingId(null);
     setEditName('');
+    setEditFields(null);
     setNewTagName('');
     setSearchQuery('');
     setPendingDelete(null);
@@ -227,6 +260,7 @@ export default function TagManager({ isOpen, onClose, apiKey }) {
       if (editingId != null) {
         setEditingId(null);
         setEditName('');
+        setEditFields(null);
         return;
       }
       if (pendingDelete) {
@@ -240,35 +274,62 @@ export default function TagManager({ isOpen, onClose, apiKey }) {
     return () => document.removeEventListener('keydown', onKeyDown);
   }, [isOpen, editingId, pendingDelete]);
 
-  const sortedTags = useMemo(
-    () =>
-      [...tags].sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' })),
-    [tags]
+  // Tree order with full paths; a search matches paths and lists hits without indentation.
+  const treeRows = useMemo(() => {
+    const tagsById = new Map(tags.map((tag) => [tag.id, tag]));
+    return orderTagsAsTree(tags).map(({ tag, depth }) => ({
+      tag,
+      depth,
+      path: getTagPath(tag, tagsById),
+      label: tag.name,
+    }));
+  }, [tags]);
+
+  const groupNameById = useMemo(
+    () => new Map(groups.map((group) => [group.id, group.name])),
+    [groups]
   );
 
-  const filteredTags = useMemo(() => {
+  const filteredRows = useMemo(() => {
     const q = searchQuery.trim().toLowerCase();
-    if (!q) return sortedTags;
-    return sortedTags.filter((tag) => tag.name.toLowerCase().includes(q));
-  }, [sortedTags, searchQuery]);
+    if (!q) return treeRows;
+    return treeRows
+      .filter((row) => row.path.toLowerCase().includes(q))
+      .map((row) => ({ ...row, depth: 0, label: row.path }));
+  }, [treeRows, searchQuery]);
 
-  const showSearch = sortedTags.length > TAG_SEARCH_MIN_COUNT;
+  const showSearch = tags.length > TAG_SEARCH_MIN_COUNT;
 
   const handleStartEdit = (tag) => {
     setPendingDelete(null);
     setEditingId(tag.id);
     setEditName(tag.name);
+    setEditFields({
+      color: tag.color ?? null,
+      parent_id: tag.parent_id ?? null,
+      group_id: tag.group_id ?? null,
+    });
   };
 
   const handleCancelEdit = () => {
     setEditingId(null);
     setEditName('');
+    setEditFields(null);
   };
 
   const handleSaveEdit = async () => {
     if (!editingId || !editName.trim()) return;
+    const tag = tags.find((row) => row.id === editingId);
+    // Send only what changed so an unchanged group is not re-checked for conflicts.
+    const changes = {};
+    if (editName.trim() !== tag?.name) changes.name = editName.trim();
+    for (const key of ['color', 'parent_id', 'group_id']) {
+      if ((tag?.[key] ?? null) !== editFields[key]) changes[key] = editFields[key];
+    }
     try {
-      await updateTag(editingId, editName.trim());
+      if (Object.keys(changes).length > 0) {
+        await updateTag(editingId, changes);
+      }
       handleCancelEdit();
     } catch {
       // useTags surfaces errors
@@ -397,6 +458,14 @@ export default function TagManager({ isOpen, onClose, apiKey }) {
             </button>
           </form>
 
+          <TagGroupsSection
+            groups={groups}
+            onCreate={createTagGroup}
+            onDelete={deleteTagGroup}
+            loading={loading}
+            t={t}
+          />
+
           {showSearch && (
             <div className="relative mt-3">
               <MagnifyingGlass
@@ -442,19 +511,27 @@ export default function TagManager({ isOpen, onClose, apiKey }) {
                 {t('tagManagerEmptyHint')}
               </p>
             </div>
-          ) : filteredTags.length === 0 ? (
+          ) : filteredRows.length === 0 ? (
             <p className="py-8 text-center text-sm text-primary-text/60 dark:text-primary-text-dark/60">
               {t('tagManagerNoResults', { query: searchQuery.trim() })}
             </p>
           ) : (
             <ul className="space-y-1.5" role="list">
-              {filteredTags.map((tag) => (
+              {filteredRows.map(({ tag, depth, path, label }) => (
                 <TagRow
                   key={tag.id}
                   tag={tag}
+                  depth={depth}
+                  path={path}
+                  label={label}
+                  groupName={groupNameById.get(tag.group_id)}
+                  allTags={tags}
+                  groups={groups}
                   isEditing={editingId === tag.id}
                   editName={editName}
                   onEditNameChange={setEditName}
+                  editFields={editFields}
+                  onEditFieldsChange={setEditFields}
                   onStartEdit={() => handleStartEdit(tag)}
                   onCancelEdit={handleCancelEdit}
                   onSaveEdit={handleSaveEdit}
@@ -6,6 +6,7 @@ import { Plus } from '@/components/icons';
 import { useTags } from '@/components/shared/hooks/useTags';
 import InlineTagMultiSelect from './InlineTagMultiSelect';
 import { TAG_SEARCH_MIN_COUNT } from './constants';
+import { getTagPath, orderTagsAsTree, selectTagInGroup } from '../../../../config/tagHierarchy.mjs';
 
 const EMPTY_ARRAY = [];
 
@@ -20,6 +21,8 @@ const EMPTY_ARRAY = [];
  * @param {boolean} props.allowCreate
  * @param {Array<{id: number, name: string}>|null} props.tagOptions - When set, use this list instead of all tags
  * @param {'add'|'remove'} props.variant - Visual style for selected chips
+ * @param {boolean} props.exclusiveGroups - Selecting a tag deselects others of its group (when the
+ *   selection is applied to downloads rather than matched against them)
  */
 export default function TagSelector({
   value = EMPTY_ARRAY,
@@ -30,6 +33,7 @@ export default function TagSelector({
   allowCreate = false,
   tagOptions = null,
   variant = 'add',
+  exclusiveGroups = false,
 }) {
   const t = useTranslations('DownloadsFilters');
   const { tags, loading, createTag } = useTags(apiKey);
@@ -38,18 +42,14 @@ export default function TagSelector({
   const [isCreating, setIsCreating] = useState(false);
   const createInputRef = useRef(null);
 
-  const sortedTags = useMemo(
-    () =>
-      [...tags].sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' })),
-    [tags]
-  );
-
+  // Tree order (parents before children) with each chip labelled by its full path, e.g. tv/anime.
   const displayTags = useMemo(() => {
-    const source = tagOptions ?? sortedTags;
-    return [...source].sort((a, b) =>
-      a.name.localeCompare(b.name, undefined, { sensitivity: 'base' })
-    );
-  }, [tagOptions, sortedTags]);
+    const tagsById = new Map(tags.map((tag) => [tag.id, tag]));
+    return orderTagsAsTree(tagOptions ?? tags).map(({ tag }) => ({
+      ...tag,
+      path: tagsById.has(tag.id) ? getTagPath(tag, tagsById) : tag.name,
+    }));
+  }, [tagOptions, tags]);
 
   const showSearch = displayTags.length > TAG_SEARCH_MIN_COUNT;
 
@@ -61,7 +61,7 @@ export default function TagSelector({
     try {
       const newTag = await createTag(name);
       setNewTagName('');
-      onChange([...value, newTag.id]);
+      onChange(exclusiveGroups ? selectTagInGroup(value, newTag.id, tags) : [...value, newTag.id]);
       createInputRef.current?.focus();
     } catch (error) {
       console.error('Failed to create tag:', error);
@@ -128,6 +128,7 @@ export default function TagSelector({
         emptyMessage={tagOptions ? t('tagAssignmentNoAssignedTags') : t('noTags')}
         noResultsMessage={t('tagManagerNoResults', { query: searchQuery.trim() })}
         variant={variant}
+        exclusiveGroups={exclusiveGroups}
         aria-label={t('tagAssignmentSelectLabel')}
       />
     </div>
@@ -0,0 +1,22 @@
+/** Preset swatches offered by the tag editor; any `#rrggbb` is accepted by the API. */
+export const TAG_COLOR_PRESETS = [
+  '#ef4444',
+  '#f97316',
+  '#eab308',
+  '#22c55e',
+  '#14b8a6',
+  '#3b82f6',
+  '#8b5cf6',
+  '#ec4899',
+  '#64748b',
+];
+
+/**
+ * Inline chip style for a tag color (tinted background and border, solid text).
+ * @param {string|null|undefined} color - `#rrggbb`
+ * @returns {Object|undefined}
+ */
+export function tagColorStyle(color) {
+  if (!color) return undefined;
+  return { color, backgroundColor: `${color}1a`, borderColor: `${color}40` };
+}
@@ -0,0 +1,157 @@
+'use client';
+
+import { useId } from 'react';
+import { Question } from '@/components/icons';
+import Tooltip from '@/components/shared/Tooltip';
+import { useBackendMode } from '@/hooks/useBackendMode';
+import { UPLOAD_DUPLICATE_ACTIONS } from '../../../config/uploadDuplicateCheck.mjs';
+
+const SCHEDULE_MODES = ['now', 'at', 'window', 'quota'];
+
+const inputClassName =
+  'px-2 py-1 text-sm border border-border dark:border-border-dark rounded-md bg-transparent text-primary-text dark:text-primary-text-dark focus:ring-1 focus:ring-accent/20 dark:focus:ring-accent-dark/20 focus:border-accent dark:focus:border-accent-dark transition-colors disabled:opacity-50';
+
+/**
+ * When the backend queue should start the pending items: right away, at a set time, inside a
+ * daily window, or only while spare uncached create quota is left. Torrents also get a choice of
+ * what to do when they are already in the library, and any saved upload template can be picked.
+ * Hidden in local mode.
+ */
+export default function UploadScheduleOptions({
+  uploadSchedule,
+  setUploadSchedule,
+  showDuplicateOption = false,
+  templates = [],
+  disabled,
+  t,
+}) {
+  const modeId = useId();
+  const duplicateId = useId();
+  const templateId = useId();
+  const { mode: backendMode } = useBackendMode();
+  const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const update = (changes) => setUploadSchedule({ ...uploadSchedule, ...changes });
+
+  if (backendMode !== 'backend') return null;
+
+  return (
+    <div className="mt-3 flex flex-wrap items-center gap-2 text-sm text-primary-text dark:text-primary-text-dark">
+      <label
+        htmlFor={modeId}
+        className="text-xs text-primary-text/70 dark:text-primary-text-dark/70 uppercase tracking-wide"
+      >
+        {t('schedule.label')}
+      </label>
+      <select
+        id={modeId}
+        value={uploadSchedule.mode}
+        onChange={(e) => update({ mode: e.target.value })}
+        disabled={disabled}
+        className={inputClassName}
+      >
+        {SCHEDULE_MODES.map((mode) => (
+          <option key={mode} value={mode}>
+            {t(`schedule.modes.${mode}`)}
+          </option>
+        ))}
+      </select>
+
+      {uploadSchedule.mode === 'at' && (
+        <input
+          type="datetime-local"
+          value={uploadSchedule.scheduledAt}
+          onChange={(e) => update({ scheduledAt: e.target.value })}
+          disabled={disabled}
+          aria-label={t('schedule.startAt')}
+          className={inputClassName}
+        />
+      )}
+
+      {uploadSchedule.mode === 'window' && (
+        <>
+          <input
+            type="time"
+            value={uploadSchedule.windowStart}
+            onChange={(e) => update({ windowStart: e.target.value })}
+            disabled={disabled}
+            aria-label={t('schedule.windowStart')}
+            className={inputClassName}
+          />
+          <span className="text-primary-text/70 dark:text-primary-text-dark/70">–</span>
+          <input
+            type="time"
+            value={uploadSchedule.windowEnd}
+            onChange={(e) => update({ windowEnd: e.target.value })}
+            disabled={disabled}
+            aria-label={t('schedule.windowEnd')}
+            className={inputClassName}
+          />
+          <span className="text-xs text-primary-text/70 dark:text-primary-text-dark/70">
+            {timezone}
+          </span>
+        </>
+      )}
+
+      {uploadSchedule.mode !== 'now' && (
+        <Tooltip content={t(`schedule.help.${uploadSchedule.mode}`)}>
+          <Question />
+        </Tooltip>
+      )}
+
+      {showDuplicateOption && (
+        <>
+          <label
+            htmlFor={duplicateId}
+            className="ml-2 text-xs text-primary-text/70 dark:text-primary-text-dark/70 uppercase tracking-wide"
+          >
+            {t('duplicate.label')}
+          </label>
+          <select
+            id={duplicateId}
+            value={uploadSchedule.onDuplicate}
+            onChange={(e) => update({ onDuplicate: e.target.value })}
+            disabled={disabled}
+            className={inputClassName}
+          >
+            {UPLOAD_DUPLICATE_ACTIONS.map((action) => (
+              <option key={action} value={action}>
+                {t(`duplicate.actions.${action}`)}
+              </option>
+            ))}
+          </select>
+          <Tooltip content={t('duplicate.help')}>
+            <Question />
+          </Tooltip>
+        </>
+      )}
+
+      {templates.length > 0 && (
+        <>
+          <label
+            htmlFor={templateId}
+            className="ml-2 text-xs text-primary-text/70 dark:text-primary-text-dark/70 uppercase tracking-wide"
+          >
+            {t('template.label')}
+          </label>
+          <select
+            id={templateId}
+            value={uploadSchedule.templateId}
+            onChange={(e) => update({ templateId: e.target.value })}
+            disabled={disabled}
+            className={inputClassName}
+          >
+            <option value="">{t('template.none')}</option>
+            {templates.map((template) => (
+              <option key={template.id} value={String(template.id)}>
+                {template.name}
+              </option>
+            ))}
+          </select>
+          <Tooltip content={t('template.help')}>
+            <Question />
+          </Tooltip>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,8 +1,9 @@
-import { describe, expect, test } from 'bun:test';
+import { afterEach, describe, expect, test } from 'bun:test';
 import { TAG_OPERATORS, STRING_OPERATORS } from '@/components/downloads/AutomationRules/constants';
 import { tagOperatorNeedsTagSelection } from '../tagFilterHelpers';
 import { itemMatchesFilters } from '../filterEvaluation';
 import { buildTrackerFilter, buildSourceFilter } from '../filterHelpers';
+import { useTagsStore } from '@/store/tagsStore';
 
 const filtersWithTagRule = (operator, value = []) => ({
   logicOperator: 'and',
@@ -36,6 +37,42 @@ describe('itemMatchesFilters tags column', () => {
   });
 });
 
+describe('itemMatchesFilters tag hierarchy', () => {
+  afterEach(() => {
+    useTagsStore.setState({ tags: [] });
+  });
+
+  test('a parent tag matches downloads tagged with its descendants', () => {
+    // tv (1) > anime (2) > seasonal (3); movies (4)
+    useTagsStore.setState({
+      tags: [
+        { id: 1, name: 'tv', parent_id: null },
+        { id: 2, name: 'anime', parent_id: 1 },
+        { id: 3, name: 'seasonal', parent_id: 2 },
+        { id: 4, name: 'movies', parent_id: null },
+      ],
+    });
+    const seasonal = { tags: [{ id: 3, name: 'seasonal' }] };
+
+    expect(itemMatchesFilters(seasonal, filtersWithTagRule(TAG_OPERATORS.IS_ANY_OF, [1]))).toBe(
+      true
+    );
+    expect(itemMatchesFilters(seasonal, filtersWithTagRule(TAG_OPERATORS.IS_NONE_OF, [2]))).toBe(
+      false
+    );
+    expect(itemMatchesFilters(seasonal, filtersWithTagRule(TAG_OPERATORS.IS_ALL_OF, [1, 4]))).toBe(
+      false
+    );
+    // A child does not match a filter on its parent's download.
+    expect(
+      itemMatchesFilters(
+        { tags: [{ id: 1, name: 'tv' }] },
+        filtersWithTagRule(TAG_OPERATORS.IS_ANY_OF, [2])
+      )
+    ).toBe(false);
+  });
+});
+
 describe('tagFilterHelpers', () => {
   test('tagOperatorNeedsTagSelection identifies tag-picking operators', () => {
     expect(tagOperatorNeedsTagSelection(TAG_OPERATORS.IS_ANY_OF)).toBe(true);
@@ -237,3 +274,47 @@ describe('itemMatchesFilters unit conversions', () => {
     expect(itemMatchesFilters({ active: false }, filters)).toBe(false);
   });
 });
+
+describe('itemMatchesFilters name patterns', () => {
+  const nameFilter = (operator, value, extra = {}) => ({
+    logicOperator: 'and',
+    groups: [{ logicOperator: 'and', filters: [{ column: 'name', operator, value, ...extra }] }],
+  });
+
+  test('matches_regex finds the pattern anywhere in the name', () => {
+    const filters = nameFilter(STRING_OPERATORS.MATCHES_REGEX, 'S\\d{2}E\\d{2}');
+    expect(itemMatchesFilters({ name: 'Show.s01e02.1080p' }, filters)).toBe(true);
+    expect(itemMatchesFilters({ name: 'Show.Season.1' }, filters)).toBe(false);
+  });
+
+  test('matches_glob must match the whole name', () => {
+    const filters = nameFilter(STRING_OPERATORS.MATCHES_GLOB, '*-GRP');
+    expect(itemMatchesFilters({ name: 'Movie.2024-grp' }, filters)).toBe(true);
+    expect(itemMatchesFilters({ name: 'Movie.2024-GRP.mkv' }, filters)).toBe(false);
+  });
+
+  test('caseSensitive applies to plain and pattern operators', () => {
+    const item = { name: 'Movie.2024-grp' };
+    expect(
+      itemMatchesFilters(
+        item,
+        nameFilter(STRING_OPERATORS.CONTAINS, 'GRP', { caseSensitive: true })
+      )
+    ).toBe(false);
+    expect(
+      itemMatchesFilters(
+        item,
+        nameFilter(STRING_OPERATORS.MATCHES_GLOB, '*-grp', { caseSensitive: true })
+      )
+    ).toBe(true);
+  });
+
+  test('invalid and unsafe regexes match nothing', () => {
+    expect(
+      itemMatchesFilters({ name: 'abc' }, nameFilter(STRING_OPERATORS.MATCHES_REGEX, '('))
+    ).toBe(false);
+    expect(
+      itemMatchesFilters({ name: 'aaaa' }, nameFilter(STRING_OPERATORS.MATCHES_REGEX, '(a+)+'))
+    ).toBe(false);
+  });
+});
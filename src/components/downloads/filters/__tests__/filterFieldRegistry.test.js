@@ -8,6 +8,10 @@ import {
   getFieldByColumnKey,
 } from '../filterFieldRegistry';
 import { CONDITION_TYPES } from '@/components/downloads/AutomationRules/constants';
+import {
+  CLIENT_ONLY_VIEW_COLUMNS,
+  SERVER_VIEW_COLUMNS,
+} from '../../../../../config/customViewColumns.mjs';
 
 const automationT = (key) => {
   const map = {
@@ -51,6 +55,19 @@ describe('filterFieldRegistry', () => {
     expect(values.indexOf('airlocked')).toBeLessThan(values.indexOf('is_downloaded'));
   });
 
+  test('file-level conditions are automation-only metadata fields', () => {
+    const automationMetadata = getGroupedFilterFields('automation', { automationT }).find(
+      (g) => g.label === 'Metadata'
+    );
+    const values = automationMetadata.options.map((o) => o.value);
+    expect(values.indexOf(CONDITION_TYPES.FILE_COUNT)).toBeLessThan(
+      values.indexOf(CONDITION_TYPES.FILE_EXTENSION)
+    );
+    expect(values).toContain(CONDITION_TYPES.LARGEST_FILE_SIZE);
+    expect(values).toContain(CONDITION_TYPES.FILE_NAME);
+    expect(getFieldByColumnKey('file_extension')?.customView).toBe(false);
+  });
+
   test('automation-only telemetry fields are excluded from custom views', () => {
     expect(getFieldByColumnKey('download_stalled_time')?.automation).toBe(true);
     expect(getFieldByColumnKey('download_stalled_time')?.customView).toBe(false);
@@ -98,4 +115,25 @@ describe('filterFieldRegistry', () => {
     const groupsInDefs = [...new Set(FILTER_FIELD_DEFINITIONS.map((d) => d.group))];
     expect(groupsInDefs).toEqual(GROUP_ORDER);
   });
+
+  test('server-side view columns match the custom view fields', () => {
+    const viewFields = FILTER_FIELD_DEFINITIONS.filter(
+      (def) => def.customView && !CLIENT_ONLY_VIEW_COLUMNS.includes(def.columnKey)
+    );
+    expect(Object.keys(SERVER_VIEW_COLUMNS).sort()).toEqual(
+      viewFields.map((def) => def.columnKey).sort()
+    );
+    for (const def of viewFields) {
+      const server = SERVER_VIEW_COLUMNS[def.columnKey];
+      expect([def.columnKey, server.kind]).toEqual([def.columnKey, def.valueKind]);
+      expect([def.columnKey, server.conversion ?? null]).toEqual([
+        def.columnKey,
+        def.valueConversion ?? null,
+      ]);
+      expect([def.columnKey, server.itemField ?? def.columnKey]).toEqual([
+        def.columnKey,
+        def.itemField ?? def.columnKey,
+      ]);
+    }
+  });
 });
@@ -0,0 +1,216 @@
+import { describe, expect, test } from 'bun:test';
+import {
+  formatSearchQuery,
+  getSearchQuerySuggestions,
+  parseSearchQuery,
+} from '../searchQueryLanguage.js';
+import { itemMatchesFilters } from '../filterEvaluation.js';
+
+const tags = [
+  { id: 1, name: 'anime', parent_id: null },
+  { id: 2, name: 'movies', parent_id: null },
+  { id: 3, name: '4k', parent_id: 2 },
+];
+
+describe('parseSearchQuery', () => {
+  test('compiles field terms into one AND group and keeps free text', () => {
+    const parsed = parseSearchQuery(
+      'tag:anime size:>10GB status:seeding tracker:foo -name:sample added:<7d frieren',
+      { tags }
+    );
+    expect(parsed.text).toBe('frieren');
+    expect(parsed.errors).toEqual([]);
+    expect(parsed.filters).toEqual({
+      logicOperator: 'and',
+      groups: [
+        {
+          logicOperator: 'and',
+          filters: [
+            { column: 'tags', operator: 'is_any_of', value: [1] },
+            { column: 'size', operator: 'gt', value: 10 },
+            { column: 'download_state', operator: 'is_any_of', value: ['seeding'] },
+            { column: 'tracker', operator: 'contains', value: 'foo' },
+            { column: 'name', operator: 'not_contains', value: 'sample' },
+            { column: 'age', operator: 'lt', value: 168 },
+          ],
+        },
+      ],
+    });
+  });
+
+  test('returns no filters for plain text', () => {
+    expect(parseSearchQuery('"season 1" -sample')).toEqual({
+      text: '"season 1" -sample',
+      filters: null,
+      errors: [],
+    });
+  });
+
+  test('converts units to the registry units', () => {
+    const rows = parseSearchQuery('size:<=500mb eta:<2h seeding:>=3d progress:50% resolution:>=4k')
+      .filters.groups[0].filters;
+    expect(rows).toEqual([
+      { column: 'size', operator: 'lte', value: 0.488281 },
+      { column: 'eta', operator: 'lt', value: 120 },
+      { column: 'seeding_time', operator: 'gte', value: 72 },
+      { column: 'progress', operator: 'eq', value: 50 },
+      { column: 'resolution', operator: 'gte', value: 2160 },
+    ]);
+  });
+
+  test('negates operators and flags', () => {
+    const rows = parseSearchQuery('-size:>1gb -status:queued -is:cached -is:tagged name:=exact')
+      .filters.groups[0].filters;
+    expect(rows).toEqual([
+      { column: 'size', operator: 'lte', value: 1 },
+      { column: 'download_state', operator: 'is_none_of', value: ['queued'] },
+      { column: 'cached', operator: 'is_false', value: false },
+      { column: 'tags', operator: 'is_not_set', value: [] },
+      { column: 'name', operator: 'equals', value: 'exact' },
+    ]);
+  });
+
+  test('OR between terms builds a single OR group', () => {
+    expect(parseSearchQuery('status:seeding OR status:queued').filters).toEqual({
+      logicOperator: 'and',
+      groups: [
+        {
+          logicOperator: 'or',
+          filters: [
+            { column: 'download_state', operator: 'is_any_of', value: ['seeding'] },
+            { column: 'download_state', operator: 'is_any_of', value: ['queued'] },
+          ],
+        },
+      ],
+    });
+  });
+
+  test('OR binds looser than AND', () => {
+    const { filters } = parseSearchQuery('is:private size:>5 OR tag:anime', { tags });
+    expect(filters.logicOperator).toBe('or');
+    expect(filters.groups.map((group) => group.filters.length)).toEqual([2, 1]);
+  });
+
+  test('parenthesised OR groups sit beside AND terms', () => {
+    const { filters } = parseSearchQuery('is:private (tracker:a OR tracker:b)');
+    expect(filters).toEqual({
+      logicOperator: 'and',
+      groups: [
+        {
+          logicOperator: 'and',
+          filters: [{ column: 'private', operator: 'is_true', value: true }],
+        },
+        {
+          logicOperator: 'or',
+          filters: [
+            { column: 'tracker', operator: 'contains', value: 'a' },
+            { column: 'tracker', operator: 'contains', value: 'b' },
+          ],
+        },
+      ],
+    });
+  });
+
+  test('negated groups apply De Morgan', () => {
+    const group = parseSearchQuery('-(tracker:a OR tracker:b)').filters.groups[0];
+    expect(group).toEqual({
+      logicOperator: 'and',
+      filters: [
+        { column: 'tracker', operator: 'not_contains', value: 'a' },
+        { column: 'tracker', operator: 'not_contains', value: 'b' },
+      ],
+    });
+  });
+
+  test('OR between free-text words stays text', () => {
+    const parsed = parseSearchQuery('matrix OR 1999 is:cached');
+    expect(parsed.text).toBe('matrix OR 1999');
+    expect(parsed.filters.groups[0].filters).toHaveLength(1);
+  });
+
+  test('ignores incomplete terms while typing', () => {
+    expect(parseSearchQuery('tag:')).toEqual({ text: '', filters: null, errors: [] });
+    expect(parseSearchQuery('is:cached OR ').filters.groups[0].filters).toHaveLength(1);
+  });
+
+  test('reports terms it cannot compile', () => {
+    const parsed = parseSearchQuery('tag:nope status:bogus size:big -ratio:2', { tags });
+    expect(parsed.filters).toBeNull();
+    expect(parsed.errors.map((error) => error.code)).toEqual([
+      'unknownTag',
+      'unknownValue',
+      'invalidValue',
+      'cannotNegate',
+    ]);
+
+    const mixed = parseSearchQuery('(tracker:a OR tracker:b is:private)');
+    expect(mixed.errors).toEqual([
+      { code: 'tooComplex', term: '(tracker:a OR tracker:b is:private)' },
+    ]);
+  });
+
+  test('resolves child tags by path', () => {
+    const rows = parseSearchQuery('tag:movies/4k', { tags }).filters.groups[0].filters;
+    expect(rows[0].value).toEqual([3]);
+  });
+
+  test('compiled filters evaluate against download rows', () => {
+    const { filters } = parseSearchQuery('size:>10GB -name:sample');
+    const gb = 1024 ** 3;
+    expect(itemMatchesFilters({ name: 'Show S01', size: 20 * gb }, filters)).toBe(true);
+    expect(itemMatchesFilters({ name: 'Show sample', size: 20 * gb }, filters)).toBe(false);
+    expect(itemMatchesFilters({ name: 'Show S01', size: 2 * gb }, filters)).toBe(false);
+  });
+});
+
+describe('formatSearchQuery', () => {
+  test('round-trips compiled queries', () => {
+    for (const query of [
+      'tag:anime size:>10GB status:seeding,queued -tracker:foo added:<1w',
+      'status:seeding OR status:queued',
+      'is:private (tracker:a OR tracker:b) frieren',
+      'tag:movies/4k resolution:>=2160p -is:cached',
+    ]) {
+      const parsed = parseSearchQuery(query, { tags });
+      const formatted = formatSearchQuery(parsed, { tags });
+      expect(parseSearchQuery(formatted, { tags })).toEqual(parsed);
+    }
+  });
+
+  test('returns null for rows without query syntax', () => {
+    const filters = {
+      logicOperator: 'and',
+      groups: [
+        {
+          logicOperator: 'and',
+          filters: [{ column: 'name', operator: 'matches_regex', value: 'x' }],
+        },
+      ],
+    };
+    expect(formatSearchQuery({ filters })).toBeNull();
+  });
+});
+
+describe('getSearchQuerySuggestions', () => {
+  test('suggests field names for the word under the caret', () => {
+    const query = 'frieren st';
+    const { from, to, items } = getSearchQuerySuggestions(query, query.length);
+    expect([from, to]).toEqual([8, 10]);
+    expect(items[0]).toEqual({ value: 'status:', label: 'status:', hint: 'status:seeding' });
+  });
+
+  test('suggests tag paths and list values', () => {
+    expect(getSearchQuerySuggestions('-tag:4', 6, { tags }).items).toEqual([
+      { value: '-tag:movies/4k ', label: 'movies/4k' },
+    ]);
+    const labels = getSearchQuerySuggestions('status:seeding,que', 18).items.map(
+      (item) => item.value
+    );
+    expect(labels).toContain('status:seeding,queued ');
+  });
+
+  test('suggests nothing inside phrases or for unknown fields', () => {
+    expect(getSearchQuerySuggestions('"sta', 4).items).toEqual([]);
+    expect(getSearchQuerySuggestions('foo:b', 5).items).toEqual([]);
+  });
+});
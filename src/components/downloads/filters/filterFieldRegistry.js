@@ -2,7 +2,7 @@ import { CONDITION_TYPES } from '../AutomationRules/constants';
 
 /** @typedef {'lifecycle'|'seeding'|'downloading'|'stalled'|'metadata'} FilterFieldGroup */
 
-/** @typedef {'number'|'text'|'boolean'|'status'|'tags'|'time'|'timestamp'} FilterValueKind */
+/** @typedef {'number'|'text'|'boolean'|'status'|'tags'|'time'|'timestamp'|'list'} FilterValueKind */
 
 /**
  * @typedef {object} FilterFieldDef
@@ -380,11 +380,45 @@ export const FILTER_FIELD_DEFINITIONS = [
     descriptionKey: 'fileCountDescription',
     unit: 'count',
   },
+  {
+    conditionType: CONDITION_TYPES.FILE_EXTENSION,
+    columnKey: 'file_extension',
+    group: 'metadata',
+    order: 5,
+    valueKind: 'list',
+    customView: false,
+    automation: true,
+    labelKey: 'fileExtension',
+    descriptionKey: 'fileExtensionDescription',
+  },
+  {
+    conditionType: CONDITION_TYPES.LARGEST_FILE_SIZE,
+    columnKey: 'largest_file_size',
+    group: 'metadata',
+    order: 6,
+    valueKind: 'number',
+    customView: false,
+    automation: true,
+    labelKey: 'largestFileSize',
+    descriptionKey: 'largestFileSizeDescription',
+    unit: 'MB',
+  },
+  {
+    conditionType: CONDITION_TYPES.FILE_NAME,
+    columnKey: 'file_name',
+    group: 'metadata',
+    order: 7,
+    valueKind: 'text',
+    customView: false,
+    automation: true,
+    labelKey: 'fileName',
+    descriptionKey: 'fileNameDescription',
+  },
   {
     conditionType: CONDITION_TYPES.NAME,
     columnKey: 'name',
     group: 'metadata',
-    order: 5,
+    order: 8,
     valueKind: 'text',
     customView: true,
     automation: true,
@@ -395,7 +429,7 @@ export const FILTER_FIELD_DEFINITIONS = [
     conditionType: CONDITION_TYPES.ORIGINAL_URL,
     columnKey: 'original_url',
     group: 'metadata',
-    order: 6,
+    order: 9,
     valueKind: 'text',
     customView: true,
     automation: true,
@@ -406,7 +440,7 @@ export const FILTER_FIELD_DEFINITIONS = [
     conditionType: CONDITION_TYPES.PRIVATE,
     columnKey: 'private',
     group: 'metadata',
-    order: 7,
+    order: 10,
     valueKind: 'boolean',
     torrentOnly: true,
     customView: true,
@@ -418,7 +452,7 @@ export const FILTER_FIELD_DEFINITIONS = [
     conditionType: CONDITION_TYPES.CACHED,
     columnKey: 'cached',
     group: 'metadata',
-    order: 8,
+    order: 11,
     valueKind: 'boolean',
     customView: true,
     automation: true,
@@ -429,7 +463,7 @@ export const FILTER_FIELD_DEFINITIONS = [
     conditionType: CONDITION_TYPES.ALLOW_ZIP,
     columnKey: 'allow_zip',
     group: 'metadata',
-    order: 9,
+    order: 12,
     valueKind: 'boolean',
     customView: true,
     automation: true,
@@ -440,7 +474,7 @@ export const FILTER_FIELD_DEFINITIONS = [
     conditionType: CONDITION_TYPES.IS_AIRLOCKED,
     columnKey: 'airlocked',
     group: 'metadata',
-    order: 10,
+    order: 13,
     valueKind: 'boolean',
     customView: true,
     automation: true,
@@ -450,7 +484,7 @@ export const FILTER_FIELD_DEFINITIONS = [
   {
     columnKey: 'is_downloaded',
     group: 'metadata',
-    order: 11,
+    order: 14,
     valueKind: 'boolean',
     customView: true,
     automation: false,
@@ -460,7 +494,7 @@ export const FILTER_FIELD_DEFINITIONS = [
   {
     columnKey: 'is_protected',
     group: 'metadata',
-    order: 12,
+    order: 15,
     valueKind: 'boolean',
     customView: true,
     automation: false,
@@ -471,13 +505,98 @@ export const FILTER_FIELD_DEFINITIONS = [
     conditionType: CONDITION_TYPES.TAGS,
     columnKey: 'tags',
     group: 'metadata',
-    order: 13,
+    order: 16,
     valueKind: 'tags',
     customView: true,
     automation: true,
     labelKey: 'tags',
     descriptionKey: 'tagsDescription',
   },
+  // Release metadata parsed from the download name (config/releaseName.mjs)
+  {
+    conditionType: CONDITION_TYPES.RESOLUTION,
+    columnKey: 'resolution',
+    group: 'metadata',
+    order: 17,
+    valueKind: 'number',
+    customView: true,
+    automation: true,
+    labelKey: 'resolution',
+    descriptionKey: 'resolutionDescription',
+    unit: 'p',
+  },
+  {
+    conditionType: CONDITION_TYPES.SEASON,
+    columnKey: 'season',
+    group: 'metadata',
+    order: 18,
+    valueKind: 'number',
+    customView: true,
+    automation: true,
+    labelKey: 'season',
+    descriptionKey: 'seasonDescription',
+  },
+  {
+    columnKey: 'episode',
+    group: 'metadata',
+    order: 19,
+    valueKind: 'number',
+    customView: true,
+    automation: false,
+    customLabelKey: 'episode',
+    customDescriptionKey: 'episodeDescription',
+  },
+  {
+    conditionType: CONDITION_TYPES.RELEASE_GROUP,
+    columnKey: 'release_group',
+    group: 'metadata',
+    order: 20,
+    valueKind: 'text',
+    customView: true,
+    automation: true,
+    labelKey: 'releaseGroup',
+    descriptionKey: 'releaseGroupDescription',
+  },
+  {
+    columnKey: 'codec',
+    group: 'metadata',
+    order: 21,
+    valueKind: 'text',
+    customView: true,
+    automation: false,
+    customLabelKey: 'codec',
+    customDescriptionKey: 'codecDescription',
+  },
+  {
+    columnKey: 'hdr',
+    group: 'metadata',
+    order: 22,
+    valueKind: 'text',
+    customView: true,
+    automation: false,
+    customLabelKey: 'hdr',
+    customDescriptionKey: 'hdrDescription',
+  },
+  {
+    columnKey: 'source',
+    group: 'metadata',
+    order: 23,
+    valueKind: 'text',
+    customView: true,
+    automation: false,
+    customLabelKey: 'source',
+    customDescriptionKey: 'sourceDescription',
+  },
+  {
+    columnKey: 'year',
+    group: 'metadata',
+    order: 24,
+    valueKind: 'number',
+    customView: true,
+    automation: false,
+    customLabelKey: 'year',
+    customDescriptionKey: 'yearDescription',
+  },
 ];
 
 const GROUP_ORDER = ['lifecycle', 'seeding', 'downloading', 'stalled', 'metadata'];
@@ -592,15 +711,7 @@ export function getGroupedFilterFields(surface, options = {}) {
           ? automationT(`conditions.${def.descriptionKey}`)
           : undefined;
       } else if (def.customLabelKey) {
-        if (def.customLabelKey === 'is_protected_filter' && columnT) {
-          fieldLabel = columnT('is_protected_filter');
-        } else if (def.customLabelKey === 'is_downloaded' && columnT) {
-          fieldLabel = columnT('is_downloaded');
-        } else if (def.customLabelKey === 'asset_type' && columnT) {
-          fieldLabel = columnT('asset_type');
-        } else {
-          fieldLabel = def.customLabelKey;
-        }
+        fieldLabel = columnT ? columnT(def.customLabelKey) : def.customLabelKey;
         description = def.customDescriptionKey
           ? customViewsT?.(def.customDescriptionKey)
           : undefined;
@@ -8,7 +8,9 @@ import { COMBINE_MODES, isAllCombineMode } from './sidebarCombineMode';
 import { isTagsColumn } from '../CustomViews/utils';
 import { LEGACY_COLUMN_MIGRATIONS } from './filterFieldRegistry';
 import { itemMatchesFilters } from './filterEvaluation';
+import { getMatchableTagIds } from './tagFilterHelpers';
 import { itemMatchesDownloadSearch } from '../utils/downloadSearch';
+import { parseSearchQuery } from './searchQueryLanguage';
 
 export const EMPTY_FILTERS = {
   logicOperator: LOGIC_OPERATORS.AND,
@@ -518,15 +520,15 @@ export function getSourceCombineMode(filters) {
 }
 
 /**
- * Count downloads per tag ID from TBM-enriched download items.
+ * Count downloads per tag ID from TBM-enriched download items (parents include their children).
  */
 function countDownloadsPerTag(enrichedDownloads) {
   const counts = {};
   if (!enrichedDownloads?.length) return counts;
 
   for (const item of enrichedDownloads) {
-    for (const tag of item.tags || []) {
-      counts[tag.id] = (counts[tag.id] || 0) + 1;
+    for (const tagId of getMatchableTagIds(item.tags)) {
+      counts[tagId] = (counts[tagId] || 0) + 1;
     }
   }
   return counts;
@@ -541,11 +543,12 @@ function isViewCompatibleWithAssetTab(viewAssetType, activeAssetType) {
 
 /**
  * Count downloads matching filter rules (and optional search), for view editor preview.
+ * `tags` resolves `tag:` terms in the search query.
  */
 export function countDownloadsMatchingFilters(
   filters,
   enrichedDownloads,
-  { assetType = null, searchQuery = null } = {}
+  { assetType = null, searchQuery = null, tags = [] } = {}
 ) {
   const items = enrichedDownloads || [];
   const normalized = mergeViewAssetTypeFilter(filters, assetType);
@@ -556,10 +559,13 @@ export function countDownloadsMatchingFilters(
     return { matched: 0, total: items.length };
   }
 
+  const searchFilters = query ? parseSearchQuery(query, { tags }).filters : null;
+
   let matched = 0;
   for (const item of items) {
     if (!item) continue;
     if (query && !itemMatchesDownloadSearch(item, query)) continue;
+    if (searchFilters && !itemMatchesFilters(item, searchFilters)) continue;
     if (!filtersActive || itemMatchesFilters(item, normalized)) {
       matched += 1;
     }
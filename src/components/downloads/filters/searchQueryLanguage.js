@@ -0,0 +1,773 @@
+/**
+ * Field-aware downloads search syntax, compiled into the same filter tree custom views use:
+ *
+ *   tag:anime size:>10GB status:seeding tracker:foo -name:sample added:<7d
+ *
+ * - `field:value` terms are ANDed; `OR` between terms binds looser (`a b OR c` = (a AND b) OR c)
+ * - `( … )` groups field terms joined by a single operator; `-` negates a term or a group
+ * - Words and phrases without a known field stay free text for downloadSearch.js
+ *
+ * The filter tree has two levels (groups of rows), so deeper nesting is reported as an error
+ * instead of being silently flattened.
+ */
+
+import { STATUS_OPTIONS } from '@/components/constants';
+import {
+  BOOLEAN_OPERATORS,
+  COMPARISON_OPERATORS,
+  LOGIC_OPERATORS,
+  MULTI_SELECT_OPERATORS,
+  STRING_OPERATORS,
+  TAG_OPERATORS,
+} from '../AutomationRules/constants';
+import { getTagPath } from '../../../../config/tagHierarchy.mjs';
+
+/**
+ * @typedef {'number'|'text'|'status'|'tags'|'flag'} QueryFieldKind
+ * @typedef {'size'|'duration'|'percent'|'resolution'} QueryValueUnit
+ *
+ * @typedef {object} QueryFieldDef
+ * @property {string} name - Field typed before the colon
+ * @property {string[]} [aliases]
+ * @property {string} [column] - Filter row column (flags map per value)
+ * @property {QueryFieldKind} kind
+ * @property {QueryValueUnit} [unit]
+ * @property {number} [baseSeconds] - Duration fields: seconds per stored unit
+ * @property {string[]} [values] - Allowed values for status fields
+ * @property {string} example - Shown in autocomplete
+ */
+
+/**
+ * @typedef {{ code: 'unknownTag'|'unknownValue'|'invalidValue'|'cannotNegate'|'tooComplex', term: string }} SearchQueryError
+ * @typedef {{ text: string, filters: object|null, errors: SearchQueryError[] }} ParsedSearchQuery
+ * @typedef {{ tags?: Array<{ id: number, name: string, parent_id?: number|null }> }} SearchQueryContext
+ */
+
+const HOUR_SECONDS = 60 * 60;
+
+/** Status labels the status filter compares against (see normalizeStatusLabelForFilter). */
+const STATUS_VALUES = STATUS_OPTIONS.filter(
+  (option) => !option.hidden && option.value !== 'all'
+).map((option) => option.label.toLowerCase());
+
+const ASSET_TYPE_VALUES = ['torrents', 'usenet', 'webdl'];
+
+/** `is:` flags and the boolean (or tag presence) filter rows they compile to. */
+const FLAG_COLUMNS = {
+  active: 'active',
+  airlocked: 'airlocked',
+  cached: 'cached',
+  downloaded: 'is_downloaded',
+  private: 'private',
+  protected: 'is_protected',
+  tagged: 'tags',
+};
+
+/** @type {QueryFieldDef[]} */
+export const SEARCH_QUERY_FIELDS = [
+  { name: 'tag', aliases: ['tags'], column: 'tags', kind: 'tags', example: 'tag:anime' },
+  {
+    name: 'status',
+    column: 'download_state',
+    kind: 'status',
+    values: STATUS_VALUES,
+    example: 'status:seeding',
+  },
+  {
+    name: 'type',
+    column: 'asset_type',
+    kind: 'status',
+    values: ASSET_TYPE_VALUES,
+    example: 'type:usenet',
+  },
+  { name: 'is', kind: 'flag', example: 'is:private' },
+  { name: 'name', column: 'name', kind: 'text', example: 'name:sample' },
+  { name: 'tracker', column: 'tracker', kind: 'text', example: 'tracker:foo' },
+  { name: 'url', column: 'original_url', kind: 'text', example: 'url:example.com' },
+  { name: 'size', column: 'size', kind: 'number', unit: 'size', example: 'size:>10GB' },
+  {
+    name: 'uploaded',
+    column: 'total_uploaded',
+    kind: 'number',
+    unit: 'size',
+    example: 'uploaded:>50GB',
+  },
+  {
+    name: 'added',
+    column: 'age',
+    kind: 'number',
+    unit: 'duration',
+    baseSeconds: HOUR_SECONDS,
+    example: 'added:<7d',
+  },
+  {
+    name: 'seeding',
+    column: 'seeding_time',
+    kind: 'number',
+    unit: 'duration',
+    baseSeconds: HOUR_SECONDS,
+    example: 'seeding:>2w',
+  },
+  {
+    name: 'expires',
+    column: 'expires_at',
+    kind: 'number',
+    unit: 'duration',
+    baseSeconds: HOUR_SECONDS,
+    example: 'expires:<24h',
+  },
+  {
+    name: 'eta',
+    column: 'eta',
+    kind: 'number',
+    unit: 'duration',
+    baseSeconds: 60,
+    example: 'eta:<30m',
+  },
+  {
+    name: 'progress',
+    column: 'progress',
+    kind: 'number',
+    unit: 'percent',
+    example: 'progress:<50%',
+  },
+  { name: 'ratio', column: 'ratio', kind: 'number', example: 'ratio:>=2' },
+  { name: 'seeds', column: 'seeds', kind: 'number', example: 'seeds:>10' },
+  { name: 'peers', column: 'peers', kind: 'number', example: 'peers:>0' },
+  { name: 'availability', column: 'availability', kind: 'number', example: 'availability:<1' },
+  { name: 'files', column: 'file_count', kind: 'number', example: 'files:>1' },
+  {
+    name: 'resolution',
+    column: 'resolution',
+    kind: 'number',
+    unit: 'resolution',
+    example: 'resolution:>=1080p',
+  },
+  { name: 'season', column: 'season', kind: 'number', example: 'season:2' },
+  { name: 'episode', column: 'episode', kind: 'number', example: 'episode:>10' },
+  { name: 'year', column: 'year', kind: 'number', example: 'year:>=2020' },
+  { name: 'group', column: 'release_group', kind: 'text', example: 'group:ntb' },
+  { name: 'codec', column: 'codec', kind: 'text', example: 'codec:x265' },
+  { name: 'hdr', column: 'hdr', kind: 'text', example: 'hdr:dv' },
+  { name: 'source', column: 'source', kind: 'text', example: 'source:bluray' },
+];
+
+const fieldsByName = new Map();
+const fieldsByColumn = new Map();
+for (const field of SEARCH_QUERY_FIELDS) {
+  fieldsByName.set(field.name, field);
+  for (const alias of field.aliases || []) fieldsByName.set(alias, field);
+  if (field.column && !fieldsByColumn.has(field.column)) fieldsByColumn.set(field.column, field);
+}
+
+/** Multipliers to gigabytes; the size filter compares in GB. */
+const SIZE_UNITS_TO_GB = {
+  b: 1 / 1024 ** 3,
+  k: 1 / 1024 ** 2,
+  kb: 1 / 1024 ** 2,
+  m: 1 / 1024,
+  mb: 1 / 1024,
+  g: 1,
+  gb: 1,
+  t: 1024,
+  tb: 1024,
+};
+
+const DURATION_UNITS_TO_SECONDS = {
+  s: 1,
+  m: 60,
+  min: 60,
+  h: HOUR_SECONDS,
+  d: 24 * HOUR_SECONDS,
+  w: 7 * 24 * HOUR_SECONDS,
+  mo: 30 * 24 * HOUR_SECONDS,
+  y: 365 * 24 * HOUR_SECONDS,
+};
+
+const RESOLUTION_ALIASES = { '4k': 2160, '8k': 4320 };
+
+const NUMBER_VALUE_PATTERN = /^(>=|<=|>|<|=)?(\d+(?:\.\d+)?)([a-z%]*)$/i;
+
+const COMPARISON_PREFIXES = {
+  '>': COMPARISON_OPERATORS.GT,
+  '>=': COMPARISON_OPERATORS.GTE,
+  '<': COMPARISON_OPERATORS.LT,
+  '<=': COMPARISON_OPERATORS.LTE,
+  '=': COMPARISON_OPERATORS.EQ,
+};
+
+const NEGATED_OPERATORS = {
+  [COMPARISON_OPERATORS.GT]: COMPARISON_OPERATORS.LTE,
+  [COMPARISON_OPERATORS.GTE]: COMPARISON_OPERATORS.LT,
+  [COMPARISON_OPERATORS.LT]: COMPARISON_OPERATORS.GTE,
+  [COMPARISON_OPERATORS.LTE]: COMPARISON_OPERATORS.GT,
+  [STRING_OPERATORS.CONTAINS]: STRING_OPERATORS.NOT_CONTAINS,
+  [STRING_OPERATORS.NOT_CONTAINS]: STRING_OPERATORS.CONTAINS,
+  [STRING_OPERATORS.EQUALS]: STRING_OPERATORS.NOT_EQUALS,
+  [STRING_OPERATORS.NOT_EQUALS]: STRING_OPERATORS.EQUALS,
+  [MULTI_SELECT_OPERATORS.IS_ANY_OF]: MULTI_SELECT_OPERATORS.IS_NONE_OF,
+  [MULTI_SELECT_OPERATORS.IS_NONE_OF]: MULTI_SELECT_OPERATORS.IS_ANY_OF,
+  [TAG_OPERATORS.IS_SET]: TAG_OPERATORS.IS_NOT_SET,
+  [TAG_OPERATORS.IS_NOT_SET]: TAG_OPERATORS.IS_SET,
+  [BOOLEAN_OPERATORS.IS_TRUE]: BOOLEAN_OPERATORS.IS_FALSE,
+  [BOOLEAN_OPERATORS.IS_FALSE]: BOOLEAN_OPERATORS.IS_TRUE,
+};
+
+/** Avoid float noise such as 0.30000000000000004 in compiled values. */
+function roundValue(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Split a query into words, keeping quoted sections (`name:"a b"`, `"a b"`) whole and
+ * parentheses as their own tokens.
+ * @param {string} query
+ * @returns {Array<{ raw: string, start: number, end: number }>}
+ */
+function tokenizeQuery(query) {
+  const tokens = [];
+  let i = 0;
+  while (i < query.length) {
+    if (/\s/.test(query[i])) {
+      i += 1;
+      continue;
+    }
+    const start = i;
+    if (query[i] === '(' || query[i] === ')') {
+      tokens.push({ raw: query[i], start, end: i + 1 });
+      i += 1;
+      continue;
+    }
+    if (query[i] === '-' && query[i + 1] === '(') {
+      tokens.push({ raw: '-(', start, end: i + 2 });
+      i += 2;
+      continue;
+    }
+    while (i < query.length && !/\s/.test(query[i]) && query[i] !== ')') {
+      if (query[i] === '"') {
+        const close = query.indexOf('"', i + 1);
+        i = close === -1 ? query.length : close + 1;
+      } else {
+        i += 1;
+      }
+    }
+    tokens.push({ raw: query.slice(start, i), start, end: i });
+  }
+  return tokens;
+}
+
+/**
+ * @param {string} raw
+ * @returns {{ negated: boolean, field: QueryFieldDef, value: string }|null}
+ */
+function parseFieldTerm(raw) {
+  const match = raw.match(/^(-?)([a-z_]+):(.*)$/is);
+  if (!match) return null;
+  const field = fieldsByName.get(match[2].toLowerCase());
+  if (!field) return null;
+  let value = match[3];
+  if (value.startsWith('"')) {
+    value = value.slice(1, value.endsWith('"') && value.length > 1 ? -1 : undefined);
+  }
+  return { negated: match[1] === '-', field, value: value.trim() };
+}
+
+/**
+ * @param {string} value
+ * @param {QueryFieldDef} field
+ * @returns {{ operator: string, value: number }|null}
+ */
+function parseNumberValue(value, field) {
+  const lower = value.toLowerCase();
+  if (field.unit === 'resolution' && RESOLUTION_ALIASES[lower.replace(/^[<>=]+/, '')]) {
+    const prefix = lower.match(/^[<>=]*/)[0];
+    const operator = prefix ? COMPARISON_PREFIXES[prefix] : COMPARISON_OPERATORS.EQ;
+    if (!operator) return null;
+    return { operator, value: RESOLUTION_ALIASES[lower.slice(prefix.length)] };
+  }
+
+  const match = lower.match(NUMBER_VALUE_PATTERN);
+  if (!match) return null;
+  const operator = match[1] ? COMPARISON_PREFIXES[match[1]] : COMPARISON_OPERATORS.EQ;
+  const amount = Number(match[2]);
+  const unit = match[3];
+
+  switch (field.unit) {
+    case 'size': {
+      const factor = unit ? SIZE_UNITS_TO_GB[unit] : 1;
+      return factor ? { operator, value: roundValue(amount * factor) } : null;
+    }
+    case 'duration': {
+      const seconds = unit ? DURATION_UNITS_TO_SECONDS[unit] : field.baseSeconds;
+      return seconds
+        ? { operator, value: roundValue((amount * seconds) / field.baseSeconds) }
+        : null;
+    }
+    case 'percent':
+      return !unit || unit === '%' ? { operator, value: amount } : null;
+    case 'resolution':
+      return !unit || unit === 'p' ? { operator, value: amount } : null;
+    default:
+      return unit ? null : { operator, value: amount };
+  }
+}
+
+/**
+ * @param {string} value - Comma-separated names or paths
+ * @param {SearchQueryContext['tags']} tags
+ * @returns {number[]|null} null when any name is unknown
+ */
+function resolveTagIds(value, tags) {
+  const tagsById = new Map((tags || []).map((tag) => [tag.id, tag]));
+  const ids = [];
+  for (const part of value.split(',')) {
+    const wanted = part.trim().toLowerCase();
+    if (!wanted) continue;
+    const matches = (tags || []).filter(
+      (tag) =>
+        tag.name.toLowerCase() === wanted ||
+        (tag.parent_id != null && getTagPath(tag, tagsById).toLowerCase() === wanted)
+    );
+    if (matches.length === 0) return null;
+    for (const tag of matches) if (!ids.includes(tag.id)) ids.push(tag.id);
+  }
+  return ids;
+}
+
+/**
+ * Compile one field term (without negation) into a filter row.
+ * @returns {{ row: object }|{ error: SearchQueryError['code'] }}
+ */
+function compileFieldTerm(field, value, context) {
+  switch (field.kind) {
+    case 'tags': {
+      const ids = resolveTagIds(value, context.tags);
+      if (!ids || ids.length === 0) return { error: 'unknownTag' };
+      return { row: { column: 'tags', operator: TAG_OPERATORS.IS_ANY_OF, value: ids } };
+    }
+    case 'status': {
+      const values = value
+        .toLowerCase()
+        .split(',')
+        .map((part) => part.trim())
+        .filter(Boolean);
+      if (values.length === 0 || values.some((part) => !field.values.includes(part))) {
+        return { error: 'unknownValue' };
+      }
+      return {
+        row: { column: field.column, operator: MULTI_SELECT_OPERATORS.IS_ANY_OF, value: values },
+      };
+    }
+    case 'flag': {
+      const column = FLAG_COLUMNS[value.toLowerCase()];
+      if (!column) return { error: 'unknownValue' };
+      if (column === 'tags') {
+        return { row: { column, operator: TAG_OPERATORS.IS_SET, value: [] } };
+      }
+      return { row: { column, operator: BOOLEAN_OPERATORS.IS_TRUE, value: true } };
+    }
+    case 'number': {
+      const parsed = parseNumberValue(value, field);
+      if (!parsed) return { error: 'invalidValue' };
+      return { row: { column: field.column, operator: parsed.operator, value: parsed.value } };
+    }
+    default: {
+      if (value.startsWith('=')) {
+        const exact = value.slice(1).trim();
+        if (!exact) return { error: 'invalidValue' };
+        return { row: { column: field.column, operator: STRING_OPERATORS.EQUALS, value: exact } };
+      }
+      return { row: { column: field.column, operator: STRING_OPERATORS.CONTAINS, value } };
+    }
+  }
+}
+
+/** @returns {object|null} Negated row, or null when the operator has no inverse (`=` on numbers). */
+function negateRow(row) {
+  const operator = NEGATED_OPERATORS[row.operator];
+  if (!operator) return null;
+  if (typeof row.value === 'boolean') return { ...row, operator, value: !row.value };
+  return { ...row, operator };
+}
+
+/**
+ * Join free-text tokens, keeping tokens that touched in the query (`(2020)`) together.
+ * @param {Array<{ raw: string, start: number, end: number }>} parts
+ */
+function joinTextTokens(parts) {
+  let text = '';
+  for (let i = 0; i < parts.length; i++) {
+    if (i > 0 && parts[i - 1].end !== parts[i].start) text += ' ';
+    text += parts[i].raw;
+  }
+  return text;
+}
+
+/**
+ * Rows of one OR-separated run; a run may hold an OR group only when it is the whole run.
+ * @returns {{ logicOperator: string, filters: object[] }|null}
+ */
+function runToGroup(run) {
+  const orGroups = run.filter((unit) => unit.kind === 'group' && unit.logic === LOGIC_OPERATORS.OR);
+  if (orGroups.length > 0) {
+    return run.length === 1
+      ? { logicOperator: LOGIC_OPERATORS.OR, filters: orGroups[0].rows }
+      : null;
+  }
+  return {
+    logicOperator: LOGIC_OPERATORS.AND,
+    filters: run.flatMap((unit) => (unit.kind === 'group' ? unit.rows : [unit.row])),
+  };
+}
+
+/**
+ * @param {string} query
+ * @param {SearchQueryContext} [context]
+ * @returns {ParsedSearchQuery}
+ */
+export function parseSearchQuery(query, context = {}) {
+  const source = String(query || '');
+  const tokens = tokenizeQuery(source);
+  /** @type {SearchQueryError[]} */
+  const errors = [];
+  /**
+   * `invalid` marks a field term that compiled to nothing, so a neighbouring OR stays an operator.
+   * @type {Array<{ kind: 'row', row: object }|{ kind: 'group', logic: string, rows: object[] }|{ kind: 'or', token: object }|{ kind: 'text', token: object }|{ kind: 'invalid' }>}
+   */
+  const units = [];
+
+  const compileTerm = (term, raw) => {
+    const compiled = compileFieldTerm(term.field, term.value, context);
+    if (compiled.error) {
+      errors.push({ code: compiled.error, term: raw });
+      return null;
+    }
+    if (!term.negated) return compiled.row;
+    const negated = negateRow(compiled.row);
+    if (!negated) errors.push({ code: 'cannotNegate', term: raw });
+    return negated;
+  };
+
+  /** Group body: field terms joined by one operator, or null when it is not structural. */
+  const readGroup = (openIndex) => {
+    const members = [];
+    let j = openIndex + 1;
+    for (; j < tokens.length && tokens[j].raw !== ')'; j++) {
+      const raw = tokens[j].raw;
+      if (raw === 'OR') {
+        members.push({ or: true });
+        continue;
+      }
+      const term = parseFieldTerm(raw);
+      if (!term) return null;
+      members.push({ term, raw });
+    }
+    if (j >= tokens.length || !members.some((member) => member.term)) return null;
+    return { members, closeIndex: j };
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (token.raw === '(' || token.raw === '-(') {
+      const group = readGroup(i);
+      if (group) {
+        const negated = token.raw === '-(';
+        const terms = group.members.filter((member) => member.term);
+        const orCount = group.members.length - terms.length;
+        i = group.closeIndex;
+
+        if (orCount > 0 && orCount !== terms.length - 1) {
+          errors.push({
+            code: 'tooComplex',
+            term: source.slice(token.start, tokens[group.closeIndex].end),
+          });
+          units.push({ kind: 'invalid' });
+          continue;
+        }
+        const rows = terms
+          .map(({ term, raw }) => compileTerm({ ...term, negated: term.negated !== negated }, raw))
+          .filter(Boolean);
+        if (rows.length === 0) {
+          units.push({ kind: 'invalid' });
+          continue;
+        }
+        // De Morgan: -(a OR b) = -a AND -b
+        const isOr = orCount > 0 !== negated;
+        units.push({ kind: 'group', logic: isOr ? LOGIC_OPERATORS.OR : LOGIC_OPERATORS.AND, rows });
+        continue;
+      }
+    }
+
+    if (token.raw === 'OR') {
+      units.push({ kind: 'or', token });
+      continue;
+    }
+
+    const term = parseFieldTerm(token.raw);
+    if (!term) {
+      units.push({ kind: 'text', token });
+      continue;
+    }
+    // `tag:` while typing is neither a filter nor free text yet.
+    const row = term.value ? compileTerm(term, token.raw) : null;
+    units.push(row ? { kind: 'row', row } : { kind: 'invalid' });
+  }
+
+  // OR joins field terms and groups; between free-text words it is an ordinary word.
+  const textTokens = [];
+  const runs = [[]];
+  units.forEach((unit, index) => {
+    if (unit.kind === 'text') {
+      textTokens.push(unit.token);
+      return;
+    }
+    if (unit.kind === 'or') {
+      const prev = units[index - 1];
+      const next = units[index + 1];
+      const isStructural = (neighbour) =>
+        neighbour && neighbour.kind !== 'text' && neighbour.kind !== 'or';
+      if (isStructural(prev) && isStructural(next)) runs.push([]);
+      // A dangling OR after a term (`tag:a OR ` while typing) waits for its right-hand side.
+      else if (!(isStructural(prev) && !next) && !(isStructural(next) && !prev)) {
+        textTokens.push(unit.token);
+      }
+      return;
+    }
+    if (unit.kind !== 'invalid') runs[runs.length - 1].push(unit);
+  });
+
+  const nonEmptyRuns = runs.filter((run) => run.length > 0);
+  const groups = [];
+  let logicOperator = LOGIC_OPERATORS.AND;
+
+  if (nonEmptyRuns.length === 1) {
+    let andRows = [];
+    for (const unit of nonEmptyRuns[0]) {
+      if (unit.kind === 'group' && unit.logic === LOGIC_OPERATORS.OR) {
+        if (andRows.length) groups.push({ logicOperator: LOGIC_OPERATORS.AND, filters: andRows });
+        andRows = [];
+        groups.push({ logicOperator: LOGIC_OPERATORS.OR, filters: unit.rows });
+      } else {
+        andRows.push(...(unit.kind === 'group' ? unit.rows : [unit.row]));
+      }
+    }
+    if (andRows.length) groups.push({ logicOperator: LOGIC_OPERATORS.AND, filters: andRows });
+  } else if (nonEmptyRuns.length > 1) {
+    for (const run of nonEmptyRuns) {
+      const group = runToGroup(run);
+      if (group) groups.push(group);
+      else errors.push({ code: 'tooComplex', term: source.trim() });
+    }
+    if (groups.every((group) => group.filters.length === 1)) {
+      // `a OR b OR c` is one OR group, the shape the filter editor builds.
+      const filters = groups.map((group) => group.filters[0]);
+      groups.length = 0;
+      groups.push({ logicOperator: LOGIC_OPERATORS.OR, filters });
+    } else {
+      logicOperator = LOGIC_OPERATORS.OR;
+    }
+  }
+
+  return {
+    text: joinTextTokens(textTokens),
+    filters: groups.length > 0 ? { logicOperator, groups } : null,
+    errors,
+  };
+}
+
+function quoteValue(value) {
+  const str = String(value);
+  if (str.includes('"')) return null;
+  return /[\s()]/.test(str) || str === '' ? `"${str}"` : str;
+}
+
+function formatNumber(value) {
+  return String(roundValue(value));
+}
+
+/** @param {number} value @param {QueryFieldDef} field */
+function formatNumberValue(value, field) {
+  switch (field.unit) {
+    case 'size':
+      return `${formatNumber(value)}GB`;
+    case 'duration': {
+      const seconds = value * field.baseSeconds;
+      for (const unit of ['w', 'd', 'h', 'm']) {
+        const unitSeconds = DURATION_UNITS_TO_SECONDS[unit];
+        if (seconds >= unitSeconds && seconds % unitSeconds === 0) {
+          return `${seconds / unitSeconds}${unit}`;
+        }
+      }
+      return `${formatNumber(seconds)}s`;
+    }
+    case 'percent':
+      return `${formatNumber(value)}%`;
+    case 'resolution':
+      return `${formatNumber(value)}p`;
+    default:
+      return formatNumber(value);
+  }
+}
+
+/**
+ * Format one filter row as a query term.
+ * @param {object} row
+ * @param {SearchQueryContext} [context]
+ * @returns {string|null} null when the row has no query syntax (regex, starts with, …)
+ */
+export function formatSearchTerm(row, context = {}) {
+  const negatedOperators = new Set([
+    STRING_OPERATORS.NOT_CONTAINS,
+    STRING_OPERATORS.NOT_EQUALS,
+    MULTI_SELECT_OPERATORS.IS_NONE_OF,
+    TAG_OPERATORS.IS_NOT_SET,
+    BOOLEAN_OPERATORS.IS_FALSE,
+  ]);
+  const negated = negatedOperators.has(row.operator);
+  const base = negated ? negateRow(row) : row;
+  const prefix = negated ? '-' : '';
+
+  const flag = Object.keys(FLAG_COLUMNS).find((name) => FLAG_COLUMNS[name] === base.column);
+  if (
+    flag &&
+    (base.operator === BOOLEAN_OPERATORS.IS_TRUE || base.operator === TAG_OPERATORS.IS_SET)
+  ) {
+    return `${prefix}is:${flag}`;
+  }
+
+  const field = fieldsByColumn.get(base.column);
+  if (!field) return null;
+
+  switch (field.kind) {
+    case 'tags': {
+      if (base.operator !== TAG_OPERATORS.IS_ANY_OF || !Array.isArray(base.value)) return null;
+      const tagsById = new Map((context.tags || []).map((tag) => [tag.id, tag]));
+      const names = base.value.map((id) => {
+        const tag = tagsById.get(Number(id));
+        return tag ? getTagPath(tag, tagsById) : null;
+      });
+      if (names.length === 0 || names.includes(null)) return null;
+      const value = quoteValue(names.join(','));
+      return value ? `${prefix}${field.name}:${value}` : null;
+    }
+    case 'status':
+      if (base.operator !== MULTI_SELECT_OPERATORS.IS_ANY_OF || !Array.isArray(base.value)) {
+        return null;
+      }
+      return base.value.length ? `${prefix}${field.name}:${base.value.join(',')}` : null;
+    case 'number': {
+      const symbol = Object.keys(COMPARISON_PREFIXES).find(
+        (key) => COMPARISON_PREFIXES[key] === base.operator
+      );
+      const amount = typeof base.value === 'number' ? base.value : parseFloat(base.value);
+      if (!symbol || Number.isNaN(amount)) return null;
+      return `${field.name}:${symbol === '=' ? '' : symbol}${formatNumberValue(amount, field)}`;
+    }
+    case 'text': {
+      if (
+        base.operator !== STRING_OPERATORS.CONTAINS &&
+        base.operator !== STRING_OPERATORS.EQUALS
+      ) {
+        return null;
+      }
+      const raw = base.operator === STRING_OPERATORS.EQUALS ? `=${base.value}` : base.value;
+      const value = quoteValue(raw);
+      return value ? `${prefix}${field.name}:${value}` : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Inverse of parseSearchQuery.
+ * @param {{ text?: string, filters?: object|null }} parsed
+ * @param {SearchQueryContext} [context]
+ * @returns {string|null} null when the filter tree uses rows the query syntax cannot express
+ */
+export function formatSearchQuery({ text = '', filters = null }, context = {}) {
+  const groups = (filters?.groups || []).filter((group) => group.filters?.length);
+  const topIsOr = filters?.logicOperator === LOGIC_OPERATORS.OR && groups.length > 1;
+  const parts = [];
+
+  for (const group of groups) {
+    const terms = group.filters.map((row) => formatSearchTerm(row, context));
+    if (terms.includes(null)) return null;
+    const isOr = group.logicOperator === LOGIC_OPERATORS.OR && terms.length > 1;
+    if (!isOr) parts.push(terms.join(' '));
+    else if (topIsOr || groups.length === 1) parts.push(terms.join(' OR '));
+    else parts.push(`(${terms.join(' OR ')})`);
+  }
+
+  const structured = parts.join(topIsOr ? ' OR ' : ' ');
+  return [structured, text.trim()].filter(Boolean).join(' ');
+}
+
+/**
+ * Autocomplete for the word under the caret: field names, then values for
+ * tag / status / type / is fields.
+ * @param {string} query
+ * @param {number} caret
+ * @param {SearchQueryContext} [context]
+ * @param {number} [limit]
+ * @returns {{ from: number, to: number, items: Array<{ value: string, label: string, hint?: string }> }}
+ */
+export function getSearchQuerySuggestions(query, caret, context = {}, limit = 8) {
+  const source = String(query || '');
+  const end = Math.min(Math.max(caret ?? source.length, 0), source.length);
+  let from = end;
+  while (from > 0 && !/[\s(]/.test(source[from - 1])) from -= 1;
+  const word = source.slice(from, end);
+  const empty = { from, to: end, items: [] };
+  if (!word || word.startsWith('"')) return empty;
+
+  const negation = word.startsWith('-') ? '-' : '';
+  const body = word.slice(negation.length);
+  const colon = body.indexOf(':');
+
+  if (colon === -1) {
+    const lower = body.toLowerCase();
+    if (!lower) return empty;
+    const items = SEARCH_QUERY_FIELDS.filter(
+      (field) => field.name.startsWith(lower) && field.name !== lower
+    )
+      .slice(0, limit)
+      .map((field) => ({
+        value: `${negation}${field.name}:`,
+        label: `${field.name}:`,
+        hint: field.example,
+      }));
+    return { from, to: end, items };
+  }
+
+  const field = fieldsByName.get(body.slice(0, colon).toLowerCase());
+  if (!field) return empty;
+  const typed = body.slice(colon + 1).replace(/^"/, '');
+  // Suggest the segment after the last comma so `status:seeding,dow` completes `downloading`.
+  const listPrefix = field.kind === 'flag' ? '' : typed.slice(0, typed.lastIndexOf(',') + 1);
+  const partial = typed.slice(listPrefix.length).toLowerCase();
+
+  let candidates = [];
+  if (field.kind === 'status') candidates = field.values;
+  else if (field.kind === 'flag') candidates = Object.keys(FLAG_COLUMNS);
+  else if (field.kind === 'tags') {
+    const tagsById = new Map((context.tags || []).map((tag) => [tag.id, tag]));
+    candidates = (context.tags || []).map((tag) => getTagPath(tag, tagsById));
+  }
+
+  const items = candidates
+    .filter((candidate) => candidate.toLowerCase().includes(partial))
+    .sort((a, b) => {
+      const aPrefix = a.toLowerCase().startsWith(partial) ? 0 : 1;
+      const bPrefix = b.toLowerCase().startsWith(partial) ? 0 : 1;
+      return aPrefix - bPrefix || a.localeCompare(b);
+    })
+    .slice(0, limit)
+    .map((candidate) => {
+      const value = quoteValue(`${listPrefix}${candidate}`) ?? `${listPrefix}${candidate}`;
+      return { value: `${negation}${field.name}:${value} `, label: candidate };
+    });
+
+  return { from, to: end, items };
+}
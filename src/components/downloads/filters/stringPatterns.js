@@ -0,0 +1 @@
+export { matchesPattern } from '../../../../config/stringPatterns.mjs';
@@ -1,4 +1,32 @@
 import { TAG_OPERATORS } from '@/components/downloads/AutomationRules/constants';
+import { useTagsStore } from '@/store/tagsStore';
+import { buildTagParentMap, expandTagIdsWithAncestors } from '../../../../config/tagHierarchy.mjs';
+
+let parentMapTags = null;
+let parentMap = new Map();
+
+/** Tag id -> parent id for the loaded tags; rebuilt only when the tags list changes. */
+export function getLoadedTagParentMap() {
+  const { tags } = useTagsStore.getState();
+  if (tags !== parentMapTags) {
+    parentMapTags = tags;
+    parentMap = buildTagParentMap(tags);
+  }
+  return parentMap;
+}
+
+/**
+ * Ids a download's tags match in filters: each tag plus its ancestors, so filtering by `tv`
+ * includes downloads tagged `tv/anime`.
+ * @param {Array<{ id: number }>} itemTags
+ * @returns {Set<number>}
+ */
+export function getMatchableTagIds(itemTags) {
+  return expandTagIdsWithAncestors(
+    (itemTags || []).map((tag) => tag.id),
+    getLoadedTagParentMap()
+  );
+}
 
 /** Operators that require selecting one or more specific tags. */
 export function tagOperatorNeedsTagSelection(operator) {
@@ -13,3 +41,16 @@ export function tagOperatorNeedsTagSelection(operator) {
 export function isTagPresenceOperator(operator) {
   return operator === TAG_OPERATORS.IS_SET || operator === TAG_OPERATORS.IS_NOT_SET;
 }
+
+/**
+ * MultiSelect options for tag filters and TAGS conditions, in tree order and labelled by path.
+ * @param {Array<{ id: number, name: string, parent_id?: number|null }>} tags
+ * @returns {Array<{ label: string, value: number }>}
+ */
+export function buildTagFilterOptions(tags) {
+  const tagsById = new Map(tags.map((tag) => [tag.id, tag]));
+  return orderTagsAsTree(tags).map(({ tag }) => ({
+    label: getTagPath(tag, tagsById),
+    value: tag.id,
+  }));
+}
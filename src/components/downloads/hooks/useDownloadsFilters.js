@@ -103,6 +103,7 @@ export function useDownloadsFilters({
   const [filterModalMode, setFilterModalMode] = useState(null);
   const [editingView, setEditingView] = useState(null);
   const [tagManagerOpen, setTagManagerOpen] = useState(false);
+  const [sharingView, setSharingView] = useState(null);
   const [mobileFiltersOpen, setMobileFiltersOpen] = useState(false);
 
   const {
@@ -730,6 +731,11 @@ export function useDownloadsFilters({
     setMobileFiltersOpen(false);
   };
 
+  const handleShareView = (view) => {
+    setSharingView(view);
+    setMobileFiltersOpen(false);
+  };
+
   const handleApplyFiltersFromModal = (filters) => {
     const stamped = stampFilterSchemaVersion(filters);
     setColumnFilters(stamped);
@@ -800,6 +806,8 @@ export function useDownloadsFilters({
     setEditingView,
     tagManagerOpen,
     setTagManagerOpen,
+    sharingView,
+    setSharingView,
     mobileFiltersOpen,
     setMobileFiltersOpen,
     search: searchInput,
@@ -856,6 +864,7 @@ export function useDownloadsFilters({
     handleEditActiveFilters,
     handleOpenNewView,
     handleOpenTagManager,
+    handleShareView,
     handleApplyFiltersFromModal,
     handlePreviewFiltersFromModal,
     handleReorderViews,
@@ -14,6 +14,7 @@ import {
 import { getDownloadSelectionId } from '@/utils/downloadSelectionId';
 import { buildRowDataSignature, collectDirtyRowKeys } from '@/utils/downloadListSignatures';
 import { downloadSearchNeedsFileCache } from '@/components/downloads/utils/downloadSearch';
+import { parseSearchQueryParam } from '@/utils/downloadsFilterUrlCodec';
 import { useTags } from '@/components/shared/hooks/useTags';
 import { useDownloadTags } from '@/components/shared/hooks/useDownloadTags';
 import { useProtectedDownloads } from '@/components/shared/hooks/useProtectedDownloads';
@@ -23,6 +24,7 @@ function buildFilterCacheKey(criteria) {
     criteria.orViewFilters?.map((view) => view?.id).filter((id) => id != null) ?? null;
   return JSON.stringify({
     search: criteria.search,
+    searchFilters: criteria.searchFilters,
     statusFilter: criteria.statusFilter,
     sortField: criteria.sortField,
     sortDirection: criteria.sortDirection,
@@ -110,9 +112,16 @@ export function useDownloadsListData(activeType, apiKey, isBackendAvailable, fil
     needsFileCacheForSearch ? s.filesByEntityKey : null
   );
 
+  // Tag names in `tag:` terms resolve against the loaded tags, so renames recompile the query.
+  const searchFilters = useMemo(
+    () => parseSearchQueryParam(search, { tags }).filters,
+    [search, tags]
+  );
+
   const filterCriteria = useMemo(
     () => ({
       search,
+      searchFilters,
       statusFilter,
       appliedFilters,
       orViewFilters,
@@ -120,7 +129,16 @@ export function useDownloadsListData(activeType, apiKey, isBackendAvailable, fil
       sortField,
       sortDirection,
     }),
-    [search, statusFilter, appliedFilters, orViewFilters, viewCombineMode, sortField, sortDirection]
+    [
+      search,
+      searchFilters,
+      statusFilter,
+      appliedFilters,
+      orViewFilters,
+      viewCombineMode,
+      sortField,
+      sortDirection,
+    ]
   );
   const deriveCacheRef = useRef({
     filterKey: '',
@@ -32,6 +32,7 @@ import useFiltersSidebarCollapsed from '@/components/downloads/FiltersSidebar/us
 import { useDownloadsPlayerActions } from '@/components/downloads/DownloadsPlayersHost';
 import { useDownloadsProviderValues } from './useDownloadsProviderValues';
 import { useAutomationEvents } from '@/components/shared/hooks/useAutomationEvents';
+import { applyDownloadsPushEvent, getPushedDownloadsRev } from '@/store/downloadListReconcile';
 import { useDownloadProtectionActions } from './useDownloadProtectionActions';
 import { useStopSeeding } from './useStopSeeding';
 import { useProtectedDownloadsStore } from '@/store/protectedDownloadsStore';
@@ -157,6 +158,8 @@ export function useDownloadsPageState(apiKey) {
     apiKey,
     onTagsChanged: handleSseTagsChanged,
     onProtectionChanged: handleSseProtectionChanged,
+    onDownloadsPush: applyDownloadsPushEvent,
+    getDownloadsRev: getPushedDownloadsRev,
   });
 
   const showFullPageSpinner = loading && viewItems.length === 0;
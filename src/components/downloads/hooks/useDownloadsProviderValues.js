@@ -95,6 +95,7 @@ export function useDownloadsProviderValues({
       onSetSourceCombineMode: filterData.handleSetSourceCombineMode,
       onEditView: filterData.handleEditView,
       onRenameView: filterData.handleRenameView,
+      onShareView: filterData.handleShareView,
       onRenameTag: filterData.handleRenameTag,
       onDeleteTag: filterData.handleTagDeleted,
       onNewFilter: filterData.handleOpenNewFilter,
@@ -138,6 +139,7 @@ export function useDownloadsProviderValues({
       filterData.handleSetSourceCombineMode,
       filterData.handleEditView,
       filterData.handleRenameView,
+      filterData.handleShareView,
       filterData.handleRenameTag,
       filterData.handleTagDeleted,
       filterData.handleOpenNewFilter,
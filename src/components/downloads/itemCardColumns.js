@@ -15,10 +15,12 @@ import Layers from '@/components/icons/Layers';
 import Link from '@/components/icons/Link';
 import Lock from '@/components/icons/Lock';
 import Percent from '@/components/icons/Percent';
+import Play from '@/components/icons/Play';
 import Private from '@/components/icons/Private';
 import Tag from '@/components/icons/Tag';
 import Unlock from '@/components/icons/Unlock';
 import UpArrow from '@/components/icons/UpArrow';
+import User from '@/components/icons/User';
 import TagDisplay from './Tags/TagDisplay';
 import { getItemFileCount } from '@/utils/downloadEntityFiles';
 
@@ -70,6 +72,15 @@ export function getItemCardTooltipContent(column, columnT) {
       return columnT('airlocked');
     case 'tags':
       return columnT('tags');
+    case 'resolution':
+    case 'codec':
+    case 'hdr':
+    case 'source':
+    case 'release_group':
+    case 'season':
+    case 'episode':
+    case 'year':
+      return columnT(column);
   }
 }
 
@@ -112,6 +123,18 @@ export function getItemCardColumnIcon(column) {
       return <Lock />;
     case 'tags':
       return <Tag />;
+    case 'resolution':
+    case 'codec':
+    case 'hdr':
+    case 'source':
+      return <Play />;
+    case 'release_group':
+      return <User />;
+    case 'season':
+    case 'episode':
+      return <Hash />;
+    case 'year':
+      return <Clock />;
   }
 }
 
@@ -252,5 +275,14 @@ export function getItemCardColumnValue(column, item, commonT) {
       );
     case 'tags':
       return item.tags && item.tags.length > 0 ? <TagDisplay tags={item.tags} /> : null;
+    case 'resolution':
+    case 'codec':
+    case 'hdr':
+    case 'source':
+    case 'release_group':
+    case 'season':
+    case 'episode':
+    case 'year':
+      return item[column];
   }
 }
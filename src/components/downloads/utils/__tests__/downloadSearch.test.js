@@ -120,6 +120,12 @@ describe('itemMatchesDownloadSearch', () => {
     expect(itemMatchesDownloadSearch(onlyFile, '-episode')).toBe(false);
   });
 
+  test('field terms are left to the filter tree', () => {
+    expect(itemMatchesDownloadSearch(item, 'scan size:>10GB -name:sample')).toBe(true);
+    expect(itemMatchesDownloadSearch(item, 'hardcover tag:anime')).toBe(false);
+    expect(itemMatchesDownloadSearch(item, 'status:seeding')).toBe(true);
+  });
+
   test('hyphen inside word is not exclude', () => {
     const tagged = { name: 'foo-bar release', files: [] };
     expect(itemMatchesDownloadSearch(tagged, 'foo-bar')).toBe(true);
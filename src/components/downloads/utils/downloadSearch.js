@@ -4,6 +4,7 @@
  */
 
 import { resolveItemFiles } from '@/utils/downloadEntityFiles';
+import { parseSearchQuery } from '../filters/searchQueryLanguage';
 
 /** Split release/file names into tokens (spaces, dots, hyphens, underscores, etc.). */
 const SEARCH_TOKEN_SPLIT = /[.\-_+\s/\\[\](){}|,;:!?@#%&*='"`~]+/;
@@ -166,13 +167,17 @@ function orTermMatches(text, term) {
 const parsedSearchCache = new Map();
 export const MAX_PARSED_SEARCH_CACHE = 50;
 
-/** @param {string} query */
+/**
+ * Free-text part of the query; `field:value` terms are compiled separately by
+ * searchQueryLanguage.js and never match names.
+ * @param {string} query
+ */
 export function getParsedDownloadSearch(query) {
   if (parsedSearchCache.has(query)) {
     return parsedSearchCache.get(query);
   }
 
-  const normalized = (query || '').trim().toLowerCase();
+  const normalized = parseSearchQuery(query).text.trim().toLowerCase();
   const parsed = normalized ? parseDownloadSearchQuery(normalized) : null;
 
   if (parsedSearchCache.size >= MAX_PARSED_SEARCH_CACHE) {
@@ -247,7 +252,7 @@ function itemHasExcludedHaystack(item, parsed, filesByEntityKey) {
 
 /** @param {string} query */
 function isEmptyDownloadSearchQuery(query) {
-  return !(query || '').trim();
+  return !(query || '').trim() || getParsedDownloadSearch(query) === null;
 }
 
 /** True when filter/search must read file names from the side cache. */
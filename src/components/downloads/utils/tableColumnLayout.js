@@ -30,6 +30,14 @@ export const DEFAULT_COLUMN_WIDTHS = {
   private: 80,
   airlocked: 96,
   tags: 120,
+  resolution: 88,
+  codec: 80,
+  hdr: 80,
+  source: 88,
+  release_group: 112,
+  season: 72,
+  episode: 72,
+  year: 72,
 };
 
 export const COLUMN_MIN_WIDTHS = {
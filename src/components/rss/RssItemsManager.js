@@ -4,6 +4,9 @@ import { useState, useCallback } from 'react';
 import { useTranslations } from 'next-intl';
 import { useRssFeeds } from '@/components/shared/hooks/useRssFeeds';
 import { useUpload } from '@/components/shared/hooks/useUpload';
+import { useUploadTemplates } from '@/components/shared/hooks/useUploadTemplates';
+import { isNonRetryableResponse } from '@/config/errors';
+import { retryFetch } from '@/utils/retryFetch';
 import { ExclamationTriangle, Refresh } from '@/components/icons';
 import BulkActionButton from '@/components/shared/BulkActionButton';
 import { compactToolbarClass } from '@/components/shared/compactToolbar';
@@ -16,10 +19,46 @@ function getItemType(link) {
   return 'webdl';
 }
 
+/**
+ * Send one feed item through the backend upload queue so the template's options, tags and
+ * airlock apply to it.
+ */
+async function queueItemWithTemplate(apiKey, uploadData, templateId) {
+  const isMagnet = uploadData.data.startsWith('magnet:');
+  const result = await retryFetch('/api/uploads/batch', {
+    maxRetries: 1,
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+    },
+    body: JSON.stringify({
+      uploads: [
+        {
+          type: uploadData.type,
+          upload_type: isMagnet ? 'magnet' : 'link',
+          url: uploadData.data,
+          name: uploadData.name || uploadData.data,
+          password: uploadData.password,
+          template_id: templateId,
+        },
+      ],
+    }),
+    permanent: [(data) => isNonRetryableResponse(data)],
+  });
+  const responseData = result.data?.data || result.data;
+  if (result.success && responseData?.uploads?.length > 0) {
+    return { success: true };
+  }
+  return { success: false, error: responseData?.errors?.[0]?.error || result.error };
+}
+
 export default function RssItemsManager({ apiKey, setToast }) {
   const t = useTranslations('RssItems');
   const { feeds, getFeedItems } = useRssFeeds(apiKey);
   const { uploadItem } = useUpload(apiKey);
+  const { templates } = useUploadTemplates(apiKey);
+  const [templateId, setTemplateId] = useState('');
 
   const [selectedFeed, setSelectedFeed] = useState(null);
   const [items, setItems] = useState([]);
@@ -94,7 +133,9 @@ export default function RssItemsManager({ apiKey, setToast }) {
         uploadData.password = item.password;
       }
 
-      const result = await uploadItem(uploadData);
+      const result = templateId
+        ? await queueItemWithTemplate(apiKey, uploadData, Number(templateId))
+        : await uploadItem(uploadData);
 
       if (result.success) {
         setToast({ message: t('toast.downloadStarted'), type: 'success' });
@@ -200,6 +241,22 @@ export default function RssItemsManager({ apiKey, setToast }) {
           {t('title')}
         </h2>
         <div className={compactToolbarClass} role="toolbar" aria-label={t('title')}>
+          {templates.length > 0 && (
+            <select
+              value={templateId}
+              onChange={(e) => setTemplateId(e.target.value)}
+              aria-label={t('template.label')}
+              title={t('template.help')}
+              className="px-2 py-1 text-sm border border-border dark:border-border-dark rounded-md bg-transparent text-primary-text dark:text-primary-text-dark"
+            >
+              <option value="">{t('template.none')}</option>
+              {templates.map((template) => (
+                <option key={template.id} value={String(template.id)}>
+                  {template.name}
+                </option>
+              ))}
+            </select>
+          )}
           <BulkActionButton
             variant="primary"
             onClick={() => fetchItems(selectedFeed)}
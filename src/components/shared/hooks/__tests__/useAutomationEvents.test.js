@@ -1,5 +1,5 @@
 import { describe, expect, test } from 'bun:test';
-import { parseAutomationSseEvent } from '../useAutomationEvents';
+import { parseAutomationSseEvent, parseDownloadsPushEvent } from '../useAutomationEvents';
 
 describe('parseAutomationSseEvent', () => {
   test('parses tags_changed events', () => {
@@ -28,3 +28,27 @@ describe('parseAutomationSseEvent', () => {
     expect(parseAutomationSseEvent('data: {"event":"other"}')).toBe(null);
   });
 });
+
+describe('parseDownloadsPushEvent', () => {
+  test('returns download list delta and rev payloads', () => {
+    const line =
+      'data: {"event":"downloads_delta","type":"torrents","baseRev":1,"rev":2,"data":[],"removed":[7]}';
+    expect(parseDownloadsPushEvent(line)).toEqual({
+      event: 'downloads_delta',
+      type: 'torrents',
+      baseRev: 1,
+      rev: 2,
+      data: [],
+      removed: [7],
+    });
+    expect(parseDownloadsPushEvent('data: {"event":"downloads_rev","rev":3}')).toEqual({
+      event: 'downloads_rev',
+      rev: 3,
+    });
+  });
+
+  test('ignores other events', () => {
+    expect(parseDownloadsPushEvent('data: {"event":"tags_changed"}')).toBe(null);
+    expect(parseDownloadsPushEvent(': ping')).toBe(null);
+  });
+});
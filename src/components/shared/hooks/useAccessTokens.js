@@ -0,0 +1,67 @@
+'use client';
+
+import { useEffect, useCallback } from 'react';
+import { useShallow } from 'zustand/react/shallow';
+import { useAccessTokensStore } from '@/store/accessTokensStore';
+import { useBackendMode } from '@/hooks/useBackendMode';
+
+export function useAccessTokens(apiKey) {
+  const { tokens, loading, error, hasLoaded, loadTokens, createToken, revokeToken, setApiKey } =
+    useAccessTokensStore(
+      useShallow((s) => ({
+        tokens: s.tokens,
+        loading: s.loading,
+        error: s.error,
+        hasLoaded: s.hasLoaded,
+        loadTokens: s.loadTokens,
+        createToken: s.createToken,
+        revokeToken: s.revokeToken,
+        setApiKey: s.setApiKey,
+      }))
+    );
+
+  const { mode: backendMode, isLoading: backendIsLoading } = useBackendMode();
+
+  useEffect(() => {
+    if (apiKey) {
+      setApiKey(apiKey);
+    }
+  }, [apiKey, setApiKey]);
+
+  useEffect(() => {
+    if (backendIsLoading) return;
+    if (apiKey && backendMode === 'backend' && !hasLoaded && !loading) {
+      loadTokens(apiKey);
+    }
+  }, [apiKey, backendMode, backendIsLoading, hasLoaded, loading, loadTokens]);
+
+  const createTokenWithKey = useCallback(
+    async (request) => {
+      if (!apiKey) {
+        throw new Error('API key is required');
+      }
+      return await createToken(apiKey, request);
+    },
+    [apiKey, createToken]
+  );
+
+  const revokeTokenWithKey = useCallback(
+    async (id) => {
+      if (!apiKey) {
+        throw new Error('API key is required');
+      }
+      return await revokeToken(apiKey, id);
+    },
+    [apiKey, revokeToken]
+  );
+
+  return {
+    tokens,
+    loading,
+    error,
+    hasLoaded,
+    isBackendMode: backendMode === 'backend',
+    createToken: createTokenWithKey,
+    revokeToken: revokeTokenWithKey,
+  };
+}
@@ -20,6 +20,24 @@ export function parseAutomationSseEvent(line) {
   }
 }
 
+/**
+ * Parse SSE data line payload into a download list push (`downloads_delta` / `downloads_rev`).
+ * @param {string} line
+ * @returns {object | null} The payload, or null for other events
+ */
+export function parseDownloadsPushEvent(line) {
+  if (!line.startsWith('data:')) return null;
+  const raw = line.slice(5).trim();
+  if (!raw) return null;
+  try {
+    const payload = JSON.parse(raw);
+    if (payload?.event === 'downloads_delta' || payload?.event === 'downloads_rev') return payload;
+    return null;
+  } catch {
+    return null;
+  }
+}
+
 /**
  * @param {Object} options
  * @param {string} options.apiKey
@@ -27,6 +45,8 @@ export function parseAutomationSseEvent(line) {
  * @param {import('react').RefObject<(() => void | Promise<void>) | undefined>} options.onProtectionChangedRef
  * @param {import('react').RefObject<ReturnType<typeof setTimeout> | null>} options.tagsDebounceRef
  * @param {import('react').RefObject<ReturnType<typeof setTimeout> | null>} options.protectionDebounceRef
+ * @param {import('react').RefObject<((payload: object) => void) | undefined>} options.onDownloadsPushRef
+ * @param {import('react').RefObject<(() => number | null) | undefined>} options.getDownloadsRevRef
  */
 function subscribeAutomationEvents({
   apiKey,
@@ -34,6 +54,8 @@ function subscribeAutomationEvents({
   onProtectionChangedRef,
   tagsDebounceRef,
   protectionDebounceRef,
+  onDownloadsPushRef,
+  getDownloadsRevRef,
 }) {
   const ac = new AbortController();
   let buffer = '';
@@ -66,6 +88,11 @@ function subscribeAutomationEvents({
     if (event === 'protection_changed') {
       scheduleProtectionRefetch();
     }
+    // Deltas chain on rev numbers, so they are applied in order and never debounced.
+    const downloadsPush = onDownloadsPushRef.current ? parseDownloadsPushEvent(line) : null;
+    if (downloadsPush) {
+      onDownloadsPushRef.current(downloadsPush);
+    }
   };
 
   const isPermanentError = (status) => status === 401 || status === 403 || status === 503;
@@ -79,7 +106,8 @@ function subscribeAutomationEvents({
 
   const connect = () => {
     if (ac.signal.aborted) return;
-    fetch('/api/automation/events', {
+    const since = getDownloadsRevRef.current?.();
+    fetch(`/api/automation/events${since != null ? `?since=${encodeURIComponent(since)}` : ''}`, {
       headers: { 'x-api-key': apiKey },
       signal: ac.signal,
     })
@@ -148,17 +176,29 @@ function getAutomationEventsServerSnapshot() {
 }
 
 /**
- * SSE subscription for backend tag-mapping changes (automation, manual assign, tag CRUD).
+ * SSE subscription for backend tag-mapping changes (automation, manual assign, tag CRUD),
+ * protection changes and download list pushes.
  *
  * @param {Object} options
  * @param {boolean} options.enabled
  * @param {string|null} options.apiKey
  * @param {() => void | Promise<void>} [options.onTagsChanged]
  * @param {() => void | Promise<void>} [options.onProtectionChanged]
+ * @param {(payload: object) => void} [options.onDownloadsPush] - `downloads_delta` / `downloads_rev`
+ * @param {() => number | null} [options.getDownloadsRev] - Last applied list rev, sent on (re)connect
  */
-export function useAutomationEvents({ enabled, apiKey, onTagsChanged, onProtectionChanged }) {
+export function useAutomationEvents({
+  enabled,
+  apiKey,
+  onTagsChanged,
+  onProtectionChanged,
+  onDownloadsPush,
+  getDownloadsRev,
+}) {
   const onTagsChangedRef = useRef(onTagsChanged);
   const onProtectionChangedRef = useRef(onProtectionChanged);
+  const onDownloadsPushRef = useRef(onDownloadsPush);
+  const getDownloadsRevRef = useRef(getDownloadsRev);
   const tagsDebounceRef = useRef(null);
   const protectionDebounceRef = useRef(null);
 
@@ -170,7 +210,14 @@ export function useAutomationEvents({ enabled, apiKey, onTagsChanged, onProtecti
     onProtectionChangedRef.current = onProtectionChanged;
   }, [onProtectionChanged]);
 
-  const isSubscribed = Boolean(enabled && apiKey && (onTagsChanged || onProtectionChanged));
+  useEffect(() => {
+    onDownloadsPushRef.current = onDownloadsPush;
+    getDownloadsRevRef.current = getDownloadsRev;
+  }, [onDownloadsPush, getDownloadsRev]);
+
+  const isSubscribed = Boolean(
+    enabled && apiKey && (onTagsChanged || onProtectionChanged || onDownloadsPush)
+  );
 
   const subscribe = useCallback(() => {
     if (!isSubscribed) return () => {};
@@ -180,6 +227,8 @@ export function useAutomationEvents({ enabled, apiKey, onTagsChanged, onProtecti
       onProtectionChangedRef,
       tagsDebounceRef,
       protectionDebounceRef,
+      onDownloadsPushRef,
+      getDownloadsRevRef,
     });
   }, [isSubscribed, apiKey]);
 
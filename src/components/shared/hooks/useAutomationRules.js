@@ -7,16 +7,18 @@ import { useBackendMode } from '@/hooks/useBackendMode';
  * Hook for using automation rules with automatic loading
  */
 export function useAutomationRules(apiKey) {
-  const { rules, loading, error, loadRules, saveRules, setApiKey } = useAutomationRulesStore(
-    useShallow((s) => ({
-      rules: s.rules,
-      loading: s.loading,
-      error: s.error,
-      loadRules: s.loadRules,
-      saveRules: s.saveRules,
-      setApiKey: s.setApiKey,
-    }))
-  );
+  const { rules, loading, error, loadRules, saveRules, importRules, setApiKey } =
+    useAutomationRulesStore(
+      useShallow((s) => ({
+        rules: s.rules,
+        loading: s.loading,
+        error: s.error,
+        loadRules: s.loadRules,
+        saveRules: s.saveRules,
+        importRules: s.importRules,
+        setApiKey: s.setApiKey,
+      }))
+    );
 
   const { mode: backendMode, isLoading: backendIsLoading } = useBackendMode();
 
@@ -67,5 +69,6 @@ export function useAutomationRules(apiKey) {
     loading,
     error,
     loadRules: () => loadRules(apiKey),
+    importRules: (payload) => importRules(apiKey, payload),
   };
 }
@@ -6,20 +6,37 @@ import { useTagsStore } from '@/store/tagsStore';
 import { useBackendMode } from '@/hooks/useBackendMode';
 
 export function useTags(apiKey) {
-  const { tags, loading, error, hasLoaded, loadTags, createTag, updateTag, deleteTag, setApiKey } =
-    useTagsStore(
-      useShallow((s) => ({
-        tags: s.tags,
-        loading: s.loading,
-        error: s.error,
-        hasLoaded: s.hasLoaded,
-        loadTags: s.loadTags,
-        createTag: s.createTag,
-        updateTag: s.updateTag,
-        deleteTag: s.deleteTag,
-        setApiKey: s.setApiKey,
-      }))
-    );
+  const {
+    tags,
+    groups,
+    loading,
+    error,
+    hasLoaded,
+    loadTags,
+    createTag,
+    updateTag,
+    deleteTag,
+    createTagGroup,
+    updateTagGroup,
+    deleteTagGroup,
+    setApiKey,
+  } = useTagsStore(
+    useShallow((s) => ({
+      tags: s.tags,
+      groups: s.groups,
+      loading: s.loading,
+      error: s.error,
+      hasLoaded: s.hasLoaded,
+      loadTags: s.loadTags,
+      createTag: s.createTag,
+      updateTag: s.updateTag,
+      deleteTag: s.deleteTag,
+      createTagGroup: s.createTagGroup,
+      updateTagGroup: s.updateTagGroup,
+      deleteTagGroup: s.deleteTagGroup,
+      setApiKey: s.setApiKey,
+    }))
+  );
 
   const { mode: backendMode, isLoading: backendIsLoading } = useBackendMode();
 
@@ -46,21 +63,21 @@ export function useTags(apiKey) {
   );
 
   const createTagWithKey = useCallback(
-    async (name) => {
+    async (fields) => {
       if (!apiKey) {
         throw new Error('API key is required');
       }
-      return await createTag(apiKey, name);
+      return await createTag(apiKey, fields);
     },
     [apiKey, createTag]
   );
 
   const updateTagWithKey = useCallback(
-    async (id, name) => {
+    async (id, fields) => {
       if (!apiKey) {
         throw new Error('API key is required');
       }
-      return await updateTag(apiKey, id, name);
+      return await updateTag(apiKey, id, fields);
     },
     [apiKey, updateTag]
   );
@@ -75,8 +92,39 @@ export function useTags(apiKey) {
     [apiKey, deleteTag]
   );
 
+  const createTagGroupWithKey = useCallback(
+    async (name) => {
+      if (!apiKey) {
+        throw new Error('API key is required');
+      }
+      return await createTagGroup(apiKey, name);
+    },
+    [apiKey, createTagGroup]
+  );
+
+  const updateTagGroupWithKey = useCallback(
+    async (id, name) => {
+      if (!apiKey) {
+        throw new Error('API key is required');
+      }
+      return await updateTagGroup(apiKey, id, name);
+    },
+    [apiKey, updateTagGroup]
+  );
+
+  const deleteTagGroupWithKey = useCallback(
+    async (id) => {
+      if (!apiKey) {
+        throw new Error('API key is required');
+      }
+      return await deleteTagGroup(apiKey, id);
+    },
+    [apiKey, deleteTagGroup]
+  );
+
   return {
     tags,
+    groups,
     loading,
     error,
     hasLoaded,
@@ -84,5 +132,8 @@ export function useTags(apiKey) {
     createTag: createTagWithKey,
     updateTag: updateTagWithKey,
     deleteTag: deleteTagWithKey,
+    createTagGroup: createTagGroupWithKey,
+    updateTagGroup: updateTagGroupWithKey,
+    deleteTagGroup: deleteTagGroupWithKey,
   };
 }
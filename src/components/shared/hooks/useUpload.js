@@ -31,5 +31,7 @@ export const useUpload = (apiKey, assetType = 'torrents') => {
     assetType: queue.assetType,
     webdlPassword: queue.webdlPassword,
     setWebdlPassword: queue.setWebdlPassword,
+    uploadSchedule: queue.uploadSchedule,
+    setUploadSchedule: queue.setUploadSchedule,
   };
 };
@@ -4,6 +4,7 @@ import { isNonRetryableResponse } from '@/config/errors';
 import { retryFetch } from '@/utils/retryFetch';
 import { scheduleForceStartReconcile } from '@/store/downloadListReconcile';
 import {
+  buildUploadScheduleFields,
   controlTorrent as controlTorrentAction,
   controlQueuedItem as controlQueuedItemAction,
   resolveAssetTypeForItem,
@@ -26,13 +27,14 @@ export function useUploadActions(apiKey, queue) {
     updateItemStatus,
     globalOptions,
     webdlPassword,
+    uploadSchedule,
     assetType,
   } = queue;
 
   const uploadItem = async (item) =>
     uploadItemAction(apiKey, item, { assetType, globalOptions, webdlPassword });
 
-  const uploadItemsBatch = async (itemsToUpload) => {
+  const uploadItemsBatch = async (itemsToUpload, scheduleFields = null) => {
     const batchEndpoint = '/api/uploads/batch';
 
     const uploads = await Promise.all(
@@ -64,8 +66,14 @@ export function useUploadActions(apiKey, queue) {
           itemAssetType === 'torrents' ||
           upload.type === 'torrent'
         ) {
-          upload.seed = item.seed ?? globalOptions.seed ?? 1;
-          upload.allow_zip = item.allowZip ?? globalOptions.allowZip ?? true;
+          if (scheduleFields?.template_id) {
+            // The template stands in for the global options; per-item choices still win.
+            if (item.seed != null) upload.seed = item.seed;
+            if (item.allowZip != null) upload.allow_zip = item.allowZip;
+          } else {
+            upload.seed = item.seed ?? globalOptions.seed ?? 1;
+            upload.allow_zip = item.allowZip ?? globalOptions.allowZip ?? true;
+          }
         }
 
         if (assetType === 'webdl' && webdlPassword) {
@@ -76,7 +84,7 @@ export function useUploadActions(apiKey, queue) {
           upload.as_queued = true;
         }
 
-        return upload;
+        return scheduleFields ? { ...upload, ...scheduleFields } : upload;
       })
     );
 
@@ -108,14 +116,17 @@ export function useUploadActions(apiKey, queue) {
 
     const BATCH_THRESHOLD = 10;
     let uploadedCount = 0;
+    const scheduleFields = buildUploadScheduleFields(uploadSchedule);
 
-    if (pendingItems.length >= BATCH_THRESHOLD) {
+    // Scheduled items, non-default duplicate handling and templates always take the batch path:
+    // only the backend queue honors them.
+    if (pendingItems.length >= BATCH_THRESHOLD || scheduleFields) {
       pendingItems.forEach((item) => {
         const idx = getItemIndex(item);
         updateItemStatus(idx, 'processing');
       });
 
-      const result = await uploadItemsBatch(pendingItems);
+      const result = await uploadItemsBatch(pendingItems, scheduleFields);
       const responseData = result.data?.data || result.data;
       const uploads = responseData?.uploads || [];
       const errors = responseData?.errors || [];
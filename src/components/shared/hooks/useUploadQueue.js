@@ -16,6 +16,15 @@ export const DEFAULT_UPLOAD_OPTIONS = {
   autoStartLimit: 3,
 };
 
+export const DEFAULT_UPLOAD_SCHEDULE = {
+  mode: 'now',
+  scheduledAt: '',
+  windowStart: '01:00',
+  windowEnd: '07:00',
+  onDuplicate: 'skip',
+  templateId: '',
+};
+
 export function useUploadQueue(assetType = 'torrents') {
   const {
     items,
@@ -45,6 +54,8 @@ export function useUploadQueue(assetType = 'torrents') {
 
   const [linkInput, setLinkInput] = useState('');
   const [webdlPassword, setWebdlPassword] = useState('');
+  // Per-batch choice, deliberately not persisted with the other upload options.
+  const [uploadSchedule, setUploadSchedule] = useState(DEFAULT_UPLOAD_SCHEDULE);
   const [globalOptions, setGlobalOptions] = useState(() => {
     const saved = getJSON(STORAGE_KEY);
     return saved ?? DEFAULT_UPLOAD_OPTIONS;
@@ -224,6 +235,8 @@ export function useUploadQueue(assetType = 'torrents') {
     setShowOptions,
     webdlPassword,
     setWebdlPassword,
+    uploadSchedule,
+    setUploadSchedule,
     assetType,
   };
 }
@@ -0,0 +1,74 @@
+'use client';
+
+import { useEffect, useCallback } from 'react';
+import { useShallow } from 'zustand/react/shallow';
+import { useUploadTemplatesStore } from '@/store/uploadTemplatesStore';
+import { useBackendMode } from '@/hooks/useBackendMode';
+
+export function useUploadTemplates(apiKey) {
+  const {
+    templates,
+    loading,
+    error,
+    hasLoaded,
+    loadTemplates,
+    saveTemplate,
+    deleteTemplate,
+    setApiKey,
+  } = useUploadTemplatesStore(
+    useShallow((s) => ({
+      templates: s.templates,
+      loading: s.loading,
+      error: s.error,
+      hasLoaded: s.hasLoaded,
+      loadTemplates: s.loadTemplates,
+      saveTemplate: s.saveTemplate,
+      deleteTemplate: s.deleteTemplate,
+      setApiKey: s.setApiKey,
+    }))
+  );
+
+  const { mode: backendMode, isLoading: backendIsLoading } = useBackendMode();
+
+  useEffect(() => {
+    if (apiKey) {
+      setApiKey(apiKey);
+    }
+  }, [apiKey, setApiKey]);
+
+  useEffect(() => {
+    if (backendIsLoading) return;
+    if (apiKey && backendMode === 'backend' && !hasLoaded && !loading) {
+      loadTemplates(apiKey);
+    }
+  }, [apiKey, backendMode, backendIsLoading, hasLoaded, loading, loadTemplates]);
+
+  const saveTemplateWithKey = useCallback(
+    async (id, template) => {
+      if (!apiKey) {
+        throw new Error('API key is required');
+      }
+      return await saveTemplate(apiKey, id, template);
+    },
+    [apiKey, saveTemplate]
+  );
+
+  const deleteTemplateWithKey = useCallback(
+    async (id) => {
+      if (!apiKey) {
+        throw new Error('API key is required');
+      }
+      return await deleteTemplate(apiKey, id);
+    },
+    [apiKey, deleteTemplate]
+  );
+
+  return {
+    templates,
+    loading,
+    error,
+    hasLoaded,
+    saveTemplate: saveTemplateWithKey,
+    deleteTemplate: deleteTemplateWithKey,
+  };
+}
@@ -0,0 +1,50 @@
+'use client';
+
+import { useTranslations } from 'next-intl';
+import { Question } from '@/components/icons';
+import Tooltip from '@/components/shared/Tooltip';
+import {
+  DEFAULT_UPLOAD_MAX_IN_FLIGHT,
+  MAX_UPLOAD_MAX_IN_FLIGHT,
+} from '../../../config/uploadPriority.mjs';
+
+const TYPE_CONFIG = [
+  { typeKey: 'torrent', labelKey: 'typeTorrents' },
+  { typeKey: 'usenet', labelKey: 'typeUsenet' },
+  { typeKey: 'webdl', labelKey: 'typeWebdl' },
+];
+
+const LIMIT_OPTIONS = Array.from({ length: MAX_UPLOAD_MAX_IN_FLIGHT }, (_, i) => i + 1);
+
+/** Per-type cap on uploads the backend submits to TorBox at the same time. */
+export default function UploadConcurrencySettings({ uploadStatistics, onChange }) {
+  const t = useTranslations('UploadManager');
+  const tStats = useTranslations('UploadStatistics');
+
+  if (!uploadStatistics?.byType) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-xs text-primary-text/70 dark:text-primary-text-dark/70">
+      <span className="font-medium uppercase tracking-wide">{t('concurrency.label')}</span>
+      {TYPE_CONFIG.map(({ typeKey, labelKey }) => (
+        <label key={typeKey} className="flex items-center gap-1.5">
+          {tStats(labelKey)}
+          <select
+            value={uploadStatistics.byType[typeKey]?.maxInFlight ?? DEFAULT_UPLOAD_MAX_IN_FLIGHT}
+            onChange={(e) => onChange(typeKey, Number(e.target.value))}
+            className="px-1 py-0.5 rounded border border-border dark:border-border-dark bg-transparent text-primary-text dark:text-primary-text-dark"
+          >
+            {LIMIT_OPTIONS.map((value) => (
+              <option key={value} value={value}>
+                {value}
+              </option>
+            ))}
+          </select>
+        </label>
+      ))}
+      <Tooltip content={t('concurrency.help')}>
+        <Question />
+      </Tooltip>
+    </div>
+  );
+}
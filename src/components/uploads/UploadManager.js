@@ -7,6 +7,8 @@ import { useUploads } from './hooks/useUploads';
 import { useUploadActions } from './hooks/useUploadActions';
 import UploadTabs from './UploadTabs';
 import UploadStatistics from './UploadStatistics';
+import UploadConcurrencySettings from './UploadConcurrencySettings';
+import UploadTemplatesPanel from './UploadTemplatesPanel';
 import UploadFilters from './UploadFilters';
 import UploadManagerTableSection from './UploadManagerTableSection';
 import { useBackendMode } from '@/hooks/useBackendMode';
@@ -65,6 +67,8 @@ export default function UploadManager({ apiKey }) {
     handleBulkRetry,
     handleClearAllFailed,
     handleDragEnd,
+    handlePriorityChange,
+    handleMaxInFlightChange,
   } = useUploadActions(apiKey, fetchUploads, fetchStatusCounts, setSelectedUploads, confirm, alert);
 
   const getUploadRowId = useCallback((upload) => normalizeUploadId(upload.id), []);
@@ -145,8 +149,7 @@ export default function UploadManager({ apiKey }) {
     setSelectedUploads(buildSelectionUpdater(uploadId, checked, rowIndex, isShiftKey));
   };
 
-  const showBulkActions =
-    activeTab === 'queued' || activeTab === 'failed' || activeTab === 'completed';
+  const showBulkActions = ['queued', 'failed', 'completed', 'duplicate'].includes(activeTab);
   const selectedCount = selectedUploads.size;
 
   const onDragEnd = (event) => {
@@ -217,6 +220,15 @@ export default function UploadManager({ apiKey }) {
 
       <UploadStatistics uploadStatistics={uploadStatistics} />
 
+      {isBackendAvailable && activeTab === 'queued' && (
+        <UploadConcurrencySettings
+          uploadStatistics={uploadStatistics}
+          onChange={handleMaxInFlightChange}
+        />
+      )}
+
+      {isBackendAvailable && <UploadTemplatesPanel apiKey={apiKey} />}
+
       {!backendIsLoading && !isBackendAvailable && (
         <div className="p-4 bg-yellow-500/20 text-yellow-600 dark:bg-yellow-400/20 dark:text-yellow-400 rounded-lg">
           Upload logs feature is disabled when backend is disabled.
@@ -258,6 +270,7 @@ export default function UploadManager({ apiKey }) {
           onDelete={handleDelete}
           onDownload={handleDownload}
           onCopy={handleCopy}
+          onPriorityChange={handlePriorityChange}
           retrying={retrying}
           deleting={deleting}
           downloading={downloading}
@@ -24,6 +24,7 @@ export default function UploadManagerTableSection({
   onDelete,
   onDownload,
   onCopy,
+  onPriorityChange,
   retrying,
   deleting,
   downloading,
@@ -78,6 +79,7 @@ export default function UploadManagerTableSection({
               onDelete={onDelete}
               onDownload={onDownload}
               onCopy={onCopy}
+              onPriorityChange={onPriorityChange}
               retrying={retrying}
               deleting={deleting}
               downloading={downloading}
@@ -1,8 +1,15 @@
 import { useSortable } from '@dnd-kit/sortable';
 import { useTranslations } from 'next-intl';
 import Tooltip from '@/components/shared/Tooltip';
-import { formatDate, formatTimeAgo, normalizeUploadId, getUploadRowErrorMessage } from './utils';
+import {
+  formatDate,
+  formatTimeAgo,
+  normalizeUploadId,
+  getUploadRowErrorMessage,
+  getUploadScheduleHint,
+} from './utils';
 import { STATUS_COLORS, TYPE_LABELS } from './constants';
+import { DEFAULT_UPLOAD_PRIORITY, UPLOAD_PRIORITIES } from '../../../config/uploadPriority.mjs';
 
 function CachedCreateBadge({ label, tooltip }) {
   return (
@@ -50,6 +57,7 @@ export default function UploadRow({
   onDelete,
   onDownload,
   onCopy,
+  onPriorityChange,
   retrying,
   deleting,
   downloading,
@@ -82,6 +90,7 @@ export default function UploadRow({
   const canDownload = upload.upload_type === 'file' && upload.file_path;
   const canCopy = (upload.upload_type === 'magnet' || upload.upload_type === 'link') && upload.url;
   const rowErrorMessage = getUploadRowErrorMessage(upload);
+  const scheduleHint = getUploadScheduleHint(upload);
   const showCachedBadge =
     showCacheIndicator && upload.status === 'completed' && upload.create_was_cached === true;
   const cachedTooltip = tUploads('cachedCreateTooltip');
@@ -110,7 +119,7 @@ export default function UploadRow({
         if (e.shiftKey) e.preventDefault();
       }}
       onClick={(e) => {
-        if (e.target.closest('button')) return;
+        if (e.target.closest('button, select')) return;
         handleRowSelect(e.shiftKey);
       }}
     >
@@ -160,8 +169,20 @@ export default function UploadRow({
             <CachedCreateBadge label={tUploads('cachedCreateAria')} tooltip={cachedTooltip} />
           )}
         </div>
+        {scheduleHint && (
+          <div className="text-xs text-primary-text/60 dark:text-primary-text-dark/60 mt-0.5">
+            {tUploads(scheduleHint.key, scheduleHint.values)}
+          </div>
+        )}
         {rowErrorMessage && (
-          <div className="text-xs text-red-500 dark:text-red-400 mt-0.5" title={rowErrorMessage}>
+          <div
+            className={`text-xs mt-0.5 ${
+              upload.status === 'duplicate'
+                ? 'text-primary-text/60 dark:text-primary-text-dark/60'
+                : 'text-red-500 dark:text-red-400'
+            }`}
+            title={rowErrorMessage}
+          >
             {rowErrorMessage}
           </div>
         )}
@@ -176,6 +197,20 @@ export default function UploadRow({
           >
             {upload.status}
           </span>
+          {upload.status === 'queued' && onPriorityChange && (
+            <select
+              value={upload.priority || DEFAULT_UPLOAD_PRIORITY}
+              onChange={(e) => onPriorityChange(upload.id, e.target.value)}
+              aria-label={tUploads('priority.label')}
+              className="ml-1.5 px-1 py-0.5 text-xs rounded border border-border dark:border-border-dark bg-transparent text-primary-text dark:text-primary-text-dark"
+            >
+              {UPLOAD_PRIORITIES.map((priority) => (
+                <option key={priority} value={priority}>
+                  {tUploads(`priority.${priority}`)}
+                </option>
+              ))}
+            </select>
+          )}
         </div>
       </td>
       <td className="px-2.5 py-1.5 text-xs text-primary-text/70 dark:text-primary-text-dark/70">
@@ -249,6 +284,17 @@ export default function UploadRow({
               {uploadId != null && retrying.has(uploadId) ? 'Retrying...' : 'Retry'}
             </button>
           )}
+          {upload.status === 'duplicate' && (
+            <button
+              type="button"
+              onClick={() => onRetry(upload.id)}
+              disabled={uploadId != null && retrying.has(uploadId)}
+              title={tUploads('duplicate.addAnywayTooltip')}
+              className="px-2 py-0.5 text-xs bg-accent text-white rounded hover:bg-accent/90 dark:bg-accent-dark dark:hover:bg-accent-dark/90 disabled:opacity-50"
+            >
+              {tUploads('duplicate.addAnyway')}
+            </button>
+          )}
           <button
             type="button"
             onClick={() => onDelete(upload.id)}
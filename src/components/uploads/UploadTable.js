@@ -10,6 +10,7 @@ export default function UploadTable({
   onDelete,
   onDownload,
   onCopy,
+  onPriorityChange,
   retrying,
   deleting,
   downloading,
@@ -82,6 +83,7 @@ export default function UploadTable({
                   onDelete={onDelete}
                   onDownload={onDownload}
                   onCopy={onCopy}
+                  onPriorityChange={onPriorityChange}
                   retrying={retrying}
                   deleting={deleting}
                   downloading={downloading}
@@ -0,0 +1,212 @@
+'use client';
+
+import { useState } from 'react';
+import { useTranslations } from 'next-intl';
+import { useTags } from '@/components/shared/hooks/useTags';
+import { useUploadTemplates } from '@/components/shared/hooks/useUploadTemplates';
+
+const EMPTY_TEMPLATE = {
+  name: '',
+  seed: null,
+  allow_zip: true,
+  as_queued: false,
+  add_only_if_cached: false,
+  airlock: false,
+  tag_ids: [],
+};
+
+const FLAG_KEYS = ['allow_zip', 'as_queued', 'add_only_if_cached', 'airlock'];
+const SEED_OPTIONS = [1, 2, 3];
+
+const inputClassName =
+  'px-2 py-1 text-sm border border-border dark:border-border-dark rounded-md bg-transparent text-primary-text dark:text-primary-text-dark';
+
+/**
+ * Create, edit and delete named upload templates. A template's options become the defaults for
+ * uploads created with it; its tags and airlock are applied once TorBox accepts the upload.
+ */
+export default function UploadTemplatesPanel({ apiKey }) {
+  const t = useTranslations('UploadManager');
+  const { templates, saveTemplate, deleteTemplate } = useUploadTemplates(apiKey);
+  const { tags } = useTags(apiKey);
+  const [expanded, setExpanded] = useState(false);
+  const [draft, setDraft] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const startEditing = (template) => {
+    setEditingId(template?.id ?? null);
+    setDraft(template ? { ...EMPTY_TEMPLATE, ...template } : EMPTY_TEMPLATE);
+    setError(null);
+  };
+
+  const update = (changes) => setDraft((current) => ({ ...current, ...changes }));
+
+  const toggleTag = (tagId) =>
+    update({
+      tag_ids: draft.tag_ids.includes(tagId)
+        ? draft.tag_ids.filter((id) => id !== tagId)
+        : [...draft.tag_ids, tagId],
+    });
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const { name, seed, tag_ids } = draft;
+      const body = { name, seed, tag_ids };
+      FLAG_KEYS.forEach((key) => {
+        body[key] = draft[key];
+      });
+      await saveTemplate(editingId, body);
+      setDraft(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    setError(null);
+    try {
+      await deleteTemplate(id);
+      if (editingId === id) setDraft(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="text-sm text-primary-text dark:text-primary-text-dark">
+      <button
+        type="button"
+        onClick={() => setExpanded(!expanded)}
+        className="text-xs font-medium uppercase tracking-wide text-primary-text/70 dark:text-primary-text-dark/70 hover:text-accent dark:hover:text-accent-dark"
+        aria-expanded={expanded}
+      >
+        {t('templates.title', { count: templates.length })}
+      </button>
+
+      {expanded && (
+        <div className="mt-2 space-y-2 p-3 border border-border dark:border-border-dark rounded-lg">
+          <p className="text-xs text-primary-text/70 dark:text-primary-text-dark/70">
+            {t('templates.description')}
+          </p>
+
+          {templates.map((template) => (
+            <div key={template.id} className="flex items-center justify-between gap-2">
+              <span className="font-medium">{template.name}</span>
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={() => startEditing(template)}
+                  className="text-accent dark:text-accent-dark hover:underline"
+                >
+                  {t('templates.edit')}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(template.id)}
+                  className="text-red-500 dark:text-red-400 hover:underline"
+                >
+                  {t('templates.delete')}
+                </button>
+              </div>
+            </div>
+          ))}
+
+          {draft ? (
+            <div className="space-y-2 pt-2 border-t border-border dark:border-border-dark">
+              <div className="flex flex-wrap items-center gap-2">
+                <input
+                  type="text"
+                  value={draft.name}
+                  onChange={(e) => update({ name: e.target.value })}
+                  placeholder={t('templates.namePlaceholder')}
+                  aria-label={t('templates.name')}
+                  className={inputClassName}
+                />
+                <select
+                  value={draft.seed ?? ''}
+                  onChange={(e) => update({ seed: e.target.value ? Number(e.target.value) : null })}
+                  aria-label={t('templates.seed')}
+                  className={inputClassName}
+                >
+                  <option value="">{t('templates.seedDefault')}</option>
+                  {SEED_OPTIONS.map((seed) => (
+                    <option key={seed} value={seed}>
+                      {t(`templates.seedOptions.${seed}`)}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="flex flex-wrap gap-3">
+                {FLAG_KEYS.map((key) => (
+                  <label key={key} className="flex items-center gap-1.5">
+                    <input
+                      type="checkbox"
+                      checked={draft[key]}
+                      onChange={(e) => update({ [key]: e.target.checked })}
+                      className="accent-accent dark:accent-accent-dark"
+                    />
+                    {t(`templates.flags.${key}`)}
+                  </label>
+                ))}
+              </div>
+
+              {tags.length > 0 && (
+                <div className="flex flex-wrap items-center gap-3">
+                  <span className="text-xs text-primary-text/70 dark:text-primary-text-dark/70">
+                    {t('templates.tags')}
+                  </span>
+                  {tags.map((tag) => (
+                    <label key={tag.id} className="flex items-center gap-1.5">
+                      <input
+                        type="checkbox"
+                        checked={draft.tag_ids.includes(tag.id)}
+                        onChange={() => toggleTag(tag.id)}
+                        className="accent-accent dark:accent-accent-dark"
+                      />
+                      {tag.name}
+                    </label>
+                  ))}
+                </div>
+              )}
+
+              <div className="flex gap-2">
+                <button
+                  type="button"
+                  onClick={handleSave}
+                  disabled={saving || !draft.name.trim()}
+                  className="px-3 py-1 rounded-md bg-accent text-white hover:bg-accent/90 disabled:opacity-50"
+                >
+                  {t('templates.save')}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setDraft(null)}
+                  className="px-3 py-1 rounded-md border border-border dark:border-border-dark"
+                >
+                  {t('templates.cancel')}
+                </button>
+              </div>
+            </div>
+          ) : (
+            <button
+              type="button"
+              onClick={() => startEditing(null)}
+              className="text-accent dark:text-accent-dark hover:underline"
+            >
+              {t('templates.add')}
+            </button>
+          )}
+
+          {error && <p className="text-red-500 dark:text-red-400">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
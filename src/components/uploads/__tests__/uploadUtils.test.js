@@ -1,5 +1,10 @@
 import { describe, expect, test } from 'bun:test';
-import { getUploadRowErrorMessage, isTransientDeferralMessage, normalizeUploadId } from '../utils';
+import {
+  getUploadRowErrorMessage,
+  getUploadScheduleHint,
+  isTransientDeferralMessage,
+  normalizeUploadId,
+} from '../utils';
 
 describe('normalizeUploadId', () => {
   test('accepts positive numbers and numeric strings', () => {
@@ -52,4 +57,30 @@ describe('upload deferral helpers', () => {
       })
     ).toContain('File not found');
   });
+
+  test('getUploadScheduleHint explains why a queued upload is held back', () => {
+    const now = Date.parse('2026-03-10T12:00:00Z');
+    expect(
+      getUploadScheduleHint({ status: 'queued', scheduled_at: '2026-03-10 18:00:00' }, now).key
+    ).toBe('schedule.startsAt');
+    expect(
+      getUploadScheduleHint(
+        {
+          status: 'queued',
+          scheduled_at: '2026-03-10 11:00:00',
+          window_start: '01:00',
+          window_end: '06:00',
+        },
+        now
+      )
+    ).toEqual({
+      key: 'schedule.window',
+      values: { start: '01:00', end: '06:00', timezone: 'UTC' },
+    });
+    expect(getUploadScheduleHint({ status: 'queued', wait_for_quota: 1 }, now)).toEqual({
+      key: 'schedule.waitForQuota',
+    });
+    expect(getUploadScheduleHint({ status: 'completed', wait_for_quota: 1 }, now)).toBeNull();
+    expect(getUploadScheduleHint({ status: 'queued', wait_for_quota: 0 }, now)).toBeNull();
+  });
 });
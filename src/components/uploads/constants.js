@@ -7,6 +7,8 @@ export const STATUS_COLORS = {
     'bg-label-success-bg dark:bg-label-success-bg-dark text-label-success-text dark:text-label-success-text-dark',
   failed:
     'bg-label-danger-bg dark:bg-label-danger-bg-dark text-label-danger-text dark:text-label-danger-text-dark',
+  duplicate:
+    'bg-surface-alt dark:bg-surface-alt-dark text-primary-text/70 dark:text-primary-text-dark/70',
 };
 
 export const TYPE_LABELS = {
@@ -15,4 +17,4 @@ export const TYPE_LABELS = {
   webdl: 'WebDL',
 };
 
-export const STATUS_TABS = ['queued', 'completed', 'failed'];
+export const STATUS_TABS = ['queued', 'completed', 'failed', 'duplicate'];
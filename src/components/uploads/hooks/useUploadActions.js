@@ -2,6 +2,25 @@ import { useState, useCallback } from 'react';
 import { readJsonFromResponse } from '@/utils/fetchResponse';
 import { arrayMove } from '@dnd-kit/sortable';
 import { normalizeUploadId } from '../utils';
+import { compareQueuedUploads } from '../../../../config/uploadPriority.mjs';
+
+async function patchUploadQueue(apiKey, body, fallbackError) {
+  const response = await fetch('/api/uploads/reorder', {
+    method: 'PATCH',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+    },
+    body: JSON.stringify(body),
+  });
+
+  const { ok: responseOk, data } = await readJsonFromResponse(response);
+
+  if (!responseOk) {
+    throw new Error(data.error || fallbackError);
+  }
+  return data;
+}
 
 function idsFromSelection(selectedUploads) {
   return Array.from(selectedUploads)
@@ -396,55 +415,34 @@ export function useUploadActions(
 
       if (!over || active.id === over.id) return;
 
-      const queuedUploads = uploads
-        .filter((u) => u.status === 'queued')
-        .sort((a, b) => {
-          return (a.queue_order ?? 0) - (b.queue_order ?? 0);
-        });
+      const queuedUploads = uploads.filter((u) => u.status === 'queued').sort(compareQueuedUploads);
       const oldIndex = queuedUploads.findIndex((u) => u.id === active.id);
       const newIndex = queuedUploads.findIndex((u) => u.id === over.id);
 
       if (oldIndex === -1 || newIndex === -1) return;
 
       const movedUpload = queuedUploads[oldIndex];
+      const targetUpload = queuedUploads[newIndex];
       const oldOrder = movedUpload.queue_order ?? oldIndex;
+      const newOrder = targetUpload.queue_order ?? newIndex;
 
-      let newOrder;
-      if (newIndex > oldIndex) {
-        newOrder = queuedUploads[newIndex].queue_order ?? newIndex;
-      } else {
-        newOrder = queuedUploads[newIndex].queue_order ?? newIndex;
+      // Dropping onto a row in another lane moves the upload into that lane.
+      const body = { id: movedUpload.id };
+      if (oldOrder !== newOrder) {
+        body.old_order = oldOrder;
+        body.new_order = newOrder;
+      }
+      if (targetUpload.priority && targetUpload.priority !== movedUpload.priority) {
+        body.priority = targetUpload.priority;
       }
+      if (body.new_order === undefined && body.priority === undefined) return;
 
       const reordered = arrayMove(queuedUploads, oldIndex, newIndex);
       setUploads(reordered);
 
       try {
         setReordering(true);
-
-        const response = await fetch('/api/uploads/reorder', {
-          method: 'PATCH',
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': apiKey,
-          },
-          body: JSON.stringify({
-            id: movedUpload.id,
-            old_order: oldOrder,
-            new_order: newOrder,
-          }),
-        });
-
-        const {
-          ok: responseOk,
-          status: responseStatus,
-          data,
-        } = await readJsonFromResponse(response);
-
-        if (!responseOk) {
-          throw new Error(data.error || 'Failed to reorder uploads');
-        }
-
+        await patchUploadQueue(apiKey, body, 'Failed to reorder uploads');
         await fetchUploads();
       } catch (err) {
         console.error('Error reordering uploads:', err);
@@ -457,6 +455,42 @@ export function useUploadActions(
     [apiKey, fetchUploads, showAlert]
   );
 
+  const handlePriorityChange = useCallback(
+    async (id, priority) => {
+      const uploadId = normalizeUploadId(id);
+      if (uploadId == null) return;
+
+      try {
+        setReordering(true);
+        await patchUploadQueue(apiKey, { id: uploadId, priority }, 'Failed to change priority');
+        await fetchUploads();
+      } catch (err) {
+        console.error('Error changing upload priority:', err);
+        showAlert(err.message);
+      } finally {
+        setReordering(false);
+      }
+    },
+    [apiKey, fetchUploads, showAlert]
+  );
+
+  const handleMaxInFlightChange = useCallback(
+    async (type, maxInFlight) => {
+      try {
+        await patchUploadQueue(
+          apiKey,
+          { max_in_flight: { [type]: maxInFlight } },
+          'Failed to update parallel uploads'
+        );
+        await fetchUploads({ silent: true });
+      } catch (err) {
+        console.error('Error updating parallel uploads:', err);
+        showAlert(err.message);
+      }
+    },
+    [apiKey, fetchUploads, showAlert]
+  );
+
   return {
     retrying,
     deleting,
@@ -474,5 +508,7 @@ export function useUploadActions(
     handleBulkRetry,
     handleClearAllFailed,
     handleDragEnd,
+    handlePriorityChange,
+    handleMaxInFlightChange,
   };
 }
@@ -11,6 +11,11 @@ export const EXTERNAL_TORBOX_RATE_LIMIT_DEFERRAL_MESSAGE =
   'Rate limit reached. Will retry automatically.';
 export const TRANSIENT_TORBOX_DEFERRAL_MESSAGE =
   'TorBox is still processing a queued upload. Will retry automatically.';
+export const SCHEDULED_UPLOAD_DEFERRAL_MESSAGE = 'Scheduled upload. Will start at the set time.';
+export const UPLOAD_WINDOW_DEFERRAL_MESSAGE =
+  'Outside the upload window. Will start when it opens.';
+export const QUOTA_WAIT_DEFERRAL_MESSAGE =
+  'Waiting for spare uncached create quota. Will start automatically.';
 
 const TRANSIENT_DEFERRAL_MESSAGES = [
   UNCACHED_RATE_LIMIT_DEFERRAL_MESSAGE,
@@ -18,6 +23,9 @@ const TRANSIENT_DEFERRAL_MESSAGES = [
   CONNECTION_SOFT_DEFERRAL_MESSAGE,
   EXTERNAL_TORBOX_RATE_LIMIT_DEFERRAL_MESSAGE,
   TRANSIENT_TORBOX_DEFERRAL_MESSAGE,
+  SCHEDULED_UPLOAD_DEFERRAL_MESSAGE,
+  UPLOAD_WINDOW_DEFERRAL_MESSAGE,
+  QUOTA_WAIT_DEFERRAL_MESSAGE,
 ];
 
 /** Stable numeric id for Set lookups and API payloads (SQLite/json may use number or string). */
@@ -41,6 +49,31 @@ export function getUploadRowErrorMessage(upload) {
   return formatErrorMessage(upload.error_message);
 }
 
+/**
+ * Why a queued upload is being held back by its schedule, as an UploadManager message key.
+ * @returns {{ key: string, values?: Object }|null}
+ */
+export function getUploadScheduleHint(upload, nowMs = Date.now()) {
+  if (upload?.status !== 'queued') return null;
+  if (upload.scheduled_at && parseUtcDate(upload.scheduled_at).getTime() > nowMs) {
+    return { key: 'schedule.startsAt', values: { time: formatDate(upload.scheduled_at) } };
+  }
+  if (upload.window_start && upload.window_end) {
+    return {
+      key: 'schedule.window',
+      values: {
+        start: upload.window_start,
+        end: upload.window_end,
+        timezone: upload.window_timezone || 'UTC',
+      },
+    };
+  }
+  if (upload.wait_for_quota) {
+    return { key: 'schedule.waitForQuota' };
+  }
+  return null;
+}
+
 // Format error messages for better user experience
 export const formatErrorMessage = (errorMessage) => {
   if (!errorMessage) return null;
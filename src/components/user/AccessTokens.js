@@ -0,0 +1,207 @@
+'use client';
+
+import { useState } from 'react';
+import { useLocale, useTranslations } from 'next-intl';
+import { ACCESS_TOKEN_EXPIRY_DAYS, ACCESS_TOKEN_SCOPES } from '../../../config/accessTokens.mjs';
+import { formatDate } from '@/components/downloads/utils/formatters';
+import { Copy, Key } from '@/components/icons';
+import { useAccessTokens } from '@/components/shared/hooks/useAccessTokens';
+import Spinner from '@/components/shared/Spinner';
+
+const DEFAULT_EXPIRY_DAYS = 90;
+
+const inputClassName =
+  'px-2 py-1 text-sm border border-border dark:border-border-dark rounded-md bg-transparent text-primary-text dark:text-primary-text-dark';
+
+const STATUS_CLASS_NAMES = {
+  active: 'text-emerald-500 dark:text-emerald-400',
+  expired: 'text-muted dark:text-muted-dark',
+  revoked: 'text-red-500 dark:text-red-400',
+};
+
+/**
+ * Issue and revoke personal access tokens for the /api/v1 API. A new token is shown once, right
+ * after it is created; afterwards only its hint is known. Backend mode only.
+ */
+export default function AccessTokens({ apiKey, setToast }) {
+  const t = useTranslations('User.accessTokens');
+  const locale = useLocale();
+  const { tokens, loading, error, isBackendMode, createToken, revokeToken } =
+    useAccessTokens(apiKey);
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState(['upload']);
+  const [expiresInDays, setExpiresInDays] = useState(DEFAULT_EXPIRY_DAYS);
+  const [saving, setSaving] = useState(false);
+  const [newToken, setNewToken] = useState(null);
+
+  if (!isBackendMode) {
+    return null;
+  }
+
+  const toggleScope = (scope) =>
+    setScopes((current) =>
+      current.includes(scope) ? current.filter((s) => s !== scope) : [...current, scope]
+    );
+
+  const handleCreate = async () => {
+    setSaving(true);
+    try {
+      const token = await createToken({
+        name,
+        scopes,
+        expires_in_days: expiresInDays,
+      });
+      setNewToken(token);
+      setName('');
+    } catch (err) {
+      setToast?.({ message: err.message, type: 'error' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (id) => {
+    try {
+      await revokeToken(id);
+      setToast?.({ message: t('revoked'), type: 'success' });
+    } catch (err) {
+      setToast?.({ message: err.message, type: 'error' });
+    }
+  };
+
+  const copyNewToken = async () => {
+    try {
+      await navigator.clipboard.writeText(newToken);
+      setToast?.({ message: t('copied'), type: 'success' });
+    } catch (err) {
+      console.error('Failed to copy access token:', err);
+      setToast?.({ message: t('copyFailed'), type: 'error' });
+    }
+  };
+
+  return (
+    <div className="mt-6 bg-surface dark:bg-surface-dark rounded-lg border border-border dark:border-border-dark p-6 shadow-xs text-sm text-primary-text dark:text-primary-text-dark">
+      <div className="flex items-center gap-2 mb-1">
+        <Key className="size-5 text-accent dark:text-accent-dark shrink-0" />
+        <h3 className="text-lg font-semibold">{t('title')}</h3>
+      </div>
+      <p className="text-muted dark:text-muted-dark mb-4">{t('description')}</p>
+
+      {newToken && (
+        <div className="mb-4 p-3 rounded-md border border-accent/40 dark:border-accent-dark/40">
+          <p className="mb-2 font-medium">{t('newTokenNotice')}</p>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 break-all text-xs">{newToken}</code>
+            <button
+              type="button"
+              onClick={copyNewToken}
+              className="text-accent dark:text-accent-dark"
+              aria-label={t('copy')}
+            >
+              <Copy className="size-4" />
+            </button>
+            <button
+              type="button"
+              onClick={() => setNewToken(null)}
+              className="text-muted dark:text-muted-dark hover:underline"
+            >
+              {t('dismiss')}
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder={t('namePlaceholder')}
+          aria-label={t('name')}
+          className={inputClassName}
+        />
+        {ACCESS_TOKEN_SCOPES.map((scope) => (
+          <label key={scope} className="flex items-center gap-1.5">
+            <input
+              type="checkbox"
+              checked={scopes.includes(scope)}
+              onChange={() => toggleScope(scope)}
+              className="accent-accent dark:accent-accent-dark"
+            />
+            {t(`scopes.${scope}`)}
+          </label>
+        ))}
+        <select
+          value={expiresInDays ?? ''}
+          onChange={(e) => setExpiresInDays(e.target.value ? Number(e.target.value) : null)}
+          aria-label={t('expiry')}
+          className={inputClassName}
+        >
+          {ACCESS_TOKEN_EXPIRY_DAYS.map((days) => (
+            <option key={days ?? 'never'} value={days ?? ''}>
+              {days == null ? t('expiryNever') : t('expiryDays', { days })}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={handleCreate}
+          disabled={saving || !name.trim() || scopes.length === 0}
+          className="px-3 py-1 rounded-md bg-accent text-white hover:bg-accent/90 disabled:opacity-50"
+        >
+          {t('create')}
+        </button>
+      </div>
+
+      {loading && (
+        <div className="flex justify-center py-4">
+          <Spinner />
+        </div>
+      )}
+      {!loading && error && <p className="text-red-500 dark:text-red-400">{error}</p>}
+      {!loading && !error && tokens.length === 0 && (
+        <p className="text-muted dark:text-muted-dark">{t('empty')}</p>
+      )}
+
+      {tokens.length > 0 && (
+        <ul className="divide-y divide-border dark:divide-border-dark">
+          {tokens.map((token) => (
+            <li key={token.id} className="py-2 flex flex-wrap items-center justify-between gap-2">
+              <div className="min-w-0">
+                <div className="flex items-center gap-2">
+                  <span className="font-medium">{token.name}</span>
+                  <code className="text-xs text-muted dark:text-muted-dark">
+                    {token.token_hint}
+                  </code>
+                  <span className={`text-xs ${STATUS_CLASS_NAMES[token.status]}`}>
+                    {t(`status.${token.status}`)}
+                  </span>
+                </div>
+                <div className="text-xs text-muted dark:text-muted-dark">
+                  {token.scopes.map((scope) => t(`scopes.${scope}`)).join(', ')}
+                  {' · '}
+                  {token.expires_at
+                    ? t('expiresAt', { date: formatDate(token.expires_at, locale) })
+                    : t('expiryNever')}
+                  {' · '}
+                  {token.last_used_at
+                    ? t('lastUsed', { date: formatDate(token.last_used_at, locale) })
+                    : t('neverUsed')}
+                </div>
+              </div>
+              {token.status === 'active' && (
+                <button
+                  type="button"
+                  onClick={() => handleRevoke(token.id)}
+                  className="text-red-500 dark:text-red-400 hover:underline"
+                >
+                  {t('revoke')}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
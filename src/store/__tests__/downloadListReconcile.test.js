@@ -3,6 +3,7 @@ import { describe, expect, test, beforeEach, afterEach, mock } from 'bun:test';
 const fetchDownloadTypeMock = mock(async () => []);
 const resetPollTimerMock = mock(() => {});
 const removeByIdsMock = mock(() => {});
+const applyListDeltaMock = mock(() => {});
 
 mock.module('@/store/torboxDownloadsFetch', () => ({
   fetchDownloadType: (...args) => fetchDownloadTypeMock(...args),
@@ -14,12 +15,20 @@ mock.module('@/store/pollTimerReset', () => ({
 
 mock.module('@/store/torboxDownloadsStore', () => ({
   useTorboxDownloadsStore: {
-    getState: () => ({ removeByIds: removeByIdsMock }),
+    getState: () => ({
+      removeByIds: removeByIdsMock,
+      applyListDelta: applyListDeltaMock,
+      setLastSuccessfulFetchAt: () => {},
+    }),
   },
 }));
 
+import { listRevRef, pushedListRevRef } from '@/store/torboxDownloadsRefs';
+import { usePollingPauseStore } from '@/store/pollingPauseStore';
 import {
+  applyDownloadsPushEvent,
   cancelScheduledReconcile,
+  getPushedDownloadsRev,
   registerDownloadsSyncContext,
   removeQueuedAfterForceStart,
   removeQueuedAfterForceStartBulk,
@@ -143,4 +152,71 @@ describe('downloadListReconcile', () => {
     expect(removeByIdsMock).toHaveBeenCalledWith('torrents', [1]);
     expect(removeByIdsMock).toHaveBeenCalledWith('usenet', [2]);
   });
+
+  describe('applyDownloadsPushEvent', () => {
+    const delta = (baseRev, rev) => ({
+      event: 'downloads_delta',
+      type: 'torrents',
+      baseRev,
+      rev,
+      data: [{ id: 1, progress: 0.5 }],
+      removed: [2],
+    });
+
+    beforeEach(() => {
+      applyListDeltaMock.mockClear();
+      listRevRef.current = { torrents: 4, usenet: null, webdl: null };
+      pushedListRevRef.current = null;
+      usePollingPauseStore.setState({ pauseReasons: {} });
+    });
+
+    test('adopts the announced rev, then applies deltas that continue from it', () => {
+      applyDownloadsPushEvent({ event: 'downloads_rev', rev: 100, types: ['torrents'] });
+      applyDownloadsPushEvent(delta(100, 101));
+
+      expect(fetchDownloadTypeMock).toHaveBeenCalledTimes(0);
+      expect(applyListDeltaMock).toHaveBeenCalledWith('torrents', {
+        data: [{ id: 1, progress: 0.5 }],
+        removed: [2],
+      });
+      expect(resetPollTimerMock).toHaveBeenCalledTimes(1);
+      expect(getPushedDownloadsRev()).toBe(101);
+    });
+
+    test('refetches loaded lists instead of applying a delta after a gap', () => {
+      pushedListRevRef.current = 100;
+      applyDownloadsPushEvent(delta(105, 106));
+
+      expect(applyListDeltaMock).toHaveBeenCalledTimes(0);
+      expect(fetchDownloadTypeMock).toHaveBeenCalledTimes(1);
+      expect(fetchDownloadTypeMock).toHaveBeenCalledWith(
+        'test-key',
+        'torrents',
+        'torrents',
+        expect.objectContaining({ forMutation: true })
+      );
+      expect(getPushedDownloadsRev()).toBe(106);
+    });
+
+    test('refetches when the backend announces a different rev', () => {
+      pushedListRevRef.current = 100;
+      applyDownloadsPushEvent({ event: 'downloads_rev', rev: 500, types: ['torrents', 'usenet'] });
+
+      // usenet was never loaded, so only torrents is refetched.
+      expect(fetchDownloadTypeMock).toHaveBeenCalledTimes(1);
+      expect(getPushedDownloadsRev()).toBe(500);
+    });
+
+    test('drops deltas while refresh is paused and resyncs afterwards', () => {
+      pushedListRevRef.current = 100;
+      usePollingPauseStore.setState({ pauseReasons: { selection: true } });
+      applyDownloadsPushEvent(delta(100, 101));
+      expect(applyListDeltaMock).toHaveBeenCalledTimes(0);
+
+      usePollingPauseStore.setState({ pauseReasons: {} });
+      applyDownloadsPushEvent(delta(101, 102));
+      expect(applyListDeltaMock).toHaveBeenCalledTimes(0);
+      expect(fetchDownloadTypeMock).toHaveBeenCalledTimes(1);
+    });
+  });
 });
@@ -41,6 +41,26 @@ describe('applyOptimisticTagMappings', () => {
     ]);
   });
 
+  test('add replaces the other tag of an exclusive group', () => {
+    const quality = [
+      { id: 3, name: '1080p', group_id: 7 },
+      { id: 4, name: '2160p', group_id: 7 },
+    ];
+    const next = applyOptimisticTagMappings(
+      {
+        42: [
+          { id: 1, name: 'Movies' },
+          { id: 3, name: '1080p' },
+        ],
+      },
+      ['42'],
+      [4],
+      'add',
+      [...allTags, ...quality]
+    );
+    expect(next['42'].map((tag) => tag.id)).toEqual([1, 4]);
+  });
+
   test('remove drops tags and clears empty download keys', () => {
     const next = applyOptimisticTagMappings(
       { 42: [{ id: 1, name: 'Movies' }] },
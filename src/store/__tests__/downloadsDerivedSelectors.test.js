@@ -112,6 +112,40 @@ describe('downloadsDerivedSelectors', () => {
     expect(row).toBe(entity);
   });
 
+  test('enrichRowForFilter attaches release metadata parsed from the name', () => {
+    const entity = {
+      ...entities[entityKey('torrents', 1)],
+      name: 'Show.S02E05.2160p.WEB-DL.DV.HEVC-GRP',
+    };
+    const lookup = { itemDownloads: new Set(), fileDownloads: new Set() };
+    const row = enrichRowForFilter(entity, {}, lookup);
+    expect(row).toMatchObject({
+      resolution: '2160p',
+      codec: 'x265',
+      hdr: 'DV',
+      source: 'WEB-DL',
+      release_group: 'GRP',
+      season: 2,
+      episode: 5,
+    });
+    expect(enrichRowForFilter(row, {}, lookup)).toBe(row);
+  });
+
+  test('sortIds orders release columns numerically with unparsed names last', () => {
+    const releaseEntities = {
+      a: { id: 'a', name: 'Movie.720p.WEB' },
+      b: { id: 'b', name: 'Movie.2160p.WEB' },
+      c: { id: 'c', name: 'Holiday photos' },
+      d: { id: 'd', name: 'Movie.1080p.WEB' },
+    };
+    expect(sortIds(['a', 'b', 'c', 'd'], releaseEntities, 'resolution', 'desc')).toEqual([
+      'b',
+      'd',
+      'a',
+      'c',
+    ]);
+  });
+
   test('selectVisibleSortedIds combines filter and sort', () => {
     const torboxState = {
       entities,
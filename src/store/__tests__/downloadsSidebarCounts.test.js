@@ -151,4 +151,26 @@ describe('sidebar count selectors', () => {
     );
     expect(counts[1]).toBe(0);
   });
+
+  test('countDownloadsPerViewFromStore prefers backend counts for the views it counted', () => {
+    const filters = {
+      logicOperator: 'and',
+      groups: [
+        { logicOperator: 'and', filters: [{ column: 'name', operator: 'equals', value: 'A' }] },
+      ],
+    };
+    const counts = countDownloadsPerViewFromStore(
+      [
+        { id: 1, filters, asset_type: 'torrents' },
+        { id: 2, filters, asset_type: 'torrents' },
+        { id: 3, filters, asset_type: 'usenet' },
+      ],
+      torboxState,
+      'torrents',
+      {},
+      [],
+      { 1: 40, 3: 7 }
+    );
+    expect(counts).toEqual({ 1: 40, 2: 1, 3: 0 });
+  });
 });
@@ -0,0 +1,96 @@
+import { create } from 'zustand';
+import { isBackendAvailable } from '@/utils/backendModeCache';
+import { createApiKeyScopedSlice } from '@/store/createApiKeyScopedStore';
+
+const DISABLED_ERROR = 'Access tokens are disabled when backend is disabled';
+
+async function readTokenResponse(response, fallbackError) {
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || fallbackError);
+  }
+  return data;
+}
+
+export const useAccessTokensStore = create((set, get) => ({
+  tokens: [],
+  loading: false,
+  error: null,
+  hasLoaded: false,
+  ...createApiKeyScopedSlice(set, get, { tokens: [], error: null, hasLoaded: false }),
+
+  // Load issued access tokens from API
+  loadTokens: async (apiKey, { force = false } = {}) => {
+    if (!apiKey) {
+      set({ error: 'API key is required', loading: false });
+      return;
+    }
+
+    if (!isBackendAvailable()) {
+      set({ tokens: [], loading: false, error: null });
+      return;
+    }
+
+    const { currentApiKey, loading, hasLoaded } = get();
+    if (loading) return;
+    if (!force && hasLoaded && currentApiKey === apiKey) return;
+
+    if (currentApiKey !== apiKey) {
+      get().setApiKey(apiKey);
+    }
+
+    const requestId = get().activeRequestId + 1;
+    set({ loading: true, error: null, activeRequestId: requestId });
+    try {
+      const response = await fetch('/api/access-tokens', {
+        headers: { 'x-api-key': apiKey },
+      });
+      const data = await readTokenResponse(response, 'Failed to load access tokens');
+      if (!get().isRequestCurrent(apiKey, requestId)) return;
+      set({ tokens: data.tokens || [], loading: false, hasLoaded: true });
+    } catch (err) {
+      if (!get().isRequestCurrent(apiKey, requestId)) return;
+      console.error('Error loading access tokens:', err);
+      set({ error: err.message, loading: false, hasLoaded: true });
+    }
+  },
+
+  // Issue a token and reload the list; resolves to the raw token, which is shown only once
+  createToken: async (apiKey, request) => {
+    if (!apiKey) {
+      throw new Error('API key is required');
+    }
+    if (!isBackendAvailable()) {
+      throw new Error(DISABLED_ERROR);
+    }
+
+    const response = await fetch('/api/access-tokens', {
+      method: 'POST',
+      headers: {
+        'x-api-key': apiKey,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(request),
+    });
+    const data = await readTokenResponse(response, 'Failed to create access token');
+    await get().loadTokens(apiKey, { force: true });
+    return data.token;
+  },
+
+  revokeToken: async (apiKey, id) => {
+    if (!apiKey) {
+      throw new Error('API key is required');
+    }
+    if (!isBackendAvailable()) {
+      throw new Error(DISABLED_ERROR);
+    }
+
+    const response = await fetch(`/api/access-tokens/${id}`, {
+      method: 'DELETE',
+      headers: { 'x-api-key': apiKey },
+    });
+    await readTokenResponse(response, 'Failed to revoke access token');
+    await get().loadTokens(apiKey, { force: true });
+    return true;
+  },
+}));
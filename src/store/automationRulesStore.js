@@ -112,4 +112,27 @@ export const useAutomationRulesStore = create((set, get) => ({
       throw err; // Re-throw so caller can handle the error
     }
   },
+
+  // Import a rule bundle; the backend returns the full rule list after the import
+  importRules: async (apiKey, { bundle, overwrite, createMissingTags }) => {
+    if (!apiKey) {
+      throw new Error('API key is required');
+    }
+
+    const response = await fetch('/api/automation/rules/import', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+      },
+      body: JSON.stringify({ bundle, overwrite, createMissingTags }),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || `Backend import failed: ${response.status}`);
+    }
+
+    set({ rules: data.rules || [] });
+    return data;
+  },
 }));
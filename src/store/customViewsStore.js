@@ -329,6 +329,116 @@ export const useCustomViewsStore = create((set, get) => ({
     }
   },
 
+  // Share links of a view (hints only); kept out of store state since only the share modal shows them
+  loadViewShares: async (apiKey, viewId) => {
+    if (!apiKey) {
+      throw new Error('API key is required');
+    }
+    if (!isBackendAvailable()) {
+      throw new Error('Custom views feature is disabled when backend is disabled');
+    }
+
+    const response = await fetch(`/api/custom-views/${viewId}/shares`, {
+      headers: { 'x-api-key': apiKey },
+    });
+    if (!response.ok) {
+      throw new Error(await readApiError(response, 'Failed to load share links'));
+    }
+    const data = await response.json();
+    return data.shares || [];
+  },
+
+  // Issue a share link; resolves to the raw token, which cannot be fetched again
+  createViewShare: async (apiKey, viewId, expiresInDays) => {
+    if (!apiKey) {
+      throw new Error('API key is required');
+    }
+    if (!isBackendAvailable()) {
+      throw new Error('Custom views feature is disabled when backend is disabled');
+    }
+
+    const response = await fetch(`/api/custom-views/${viewId}/shares`, {
+      method: 'POST',
+      headers: {
+        'x-api-key': apiKey,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ expires_in_days: expiresInDays }),
+    });
+    if (!response.ok) {
+      throw new Error(await readApiError(response, 'Failed to create share link'));
+    }
+    const data = await response.json();
+    return data.token;
+  },
+
+  revokeViewShare: async (apiKey, viewId, shareId) => {
+    if (!apiKey) {
+      throw new Error('API key is required');
+    }
+    if (!isBackendAvailable()) {
+      throw new Error('Custom views feature is disabled when backend is disabled');
+    }
+
+    const response = await fetch(`/api/custom-views/${viewId}/shares/${shareId}`, {
+      method: 'DELETE',
+      headers: { 'x-api-key': apiKey },
+    });
+    if (!response.ok) {
+      throw new Error(await readApiError(response, 'Failed to revoke share link'));
+    }
+    return true;
+  },
+
+  // Per-view match counts from the backend; views it cannot evaluate are left out, and failures
+  // resolve to no counts so the sidebar falls back to counting in the browser
+  loadViewCounts: async (apiKey, assetType, { refresh = false } = {}) => {
+    if (!apiKey || !isBackendAvailable()) {
+      return {};
+    }
+
+    const params = new URLSearchParams();
+    if (assetType && assetType !== 'all') params.set('asset_type', assetType);
+    if (refresh) params.set('refresh', 'true');
+    try {
+      const response = await fetch(`/api/custom-views/counts?${params}`, {
+        headers: { 'x-api-key': apiKey },
+      });
+      if (!response.ok) {
+        return {};
+      }
+      const data = await response.json();
+      return data.counts || {};
+    } catch (err) {
+      console.warn('[CustomViews] Failed to load view counts', err);
+      return {};
+    }
+  },
+
+  // One page of a saved view, evaluated by the backend against the whole library. Errors carry
+  // the backend's code (VIEW_NOT_SERVER_EVALUABLE for views that need browser data).
+  loadViewItems: async (apiKey, viewId, { page = 1, limit } = {}) => {
+    if (!apiKey) {
+      throw new Error('API key is required');
+    }
+    if (!isBackendAvailable()) {
+      throw new Error('Custom views feature is disabled when backend is disabled');
+    }
+
+    const params = new URLSearchParams({ page: String(page) });
+    if (limit) params.set('limit', String(limit));
+    const response = await fetch(`/api/custom-views/${viewId}/items?${params}`, {
+      headers: { 'x-api-key': apiKey },
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.success) {
+      const error = new Error(data.error || 'Failed to load view items');
+      error.code = data.code;
+      throw error;
+    }
+    return { items: data.items || [], pagination: data.pagination };
+  },
+
   // Apply a view (set as active)
   applyView: (view) => {
     set({ activeView: view });
@@ -1,6 +1,8 @@
 import { POLLING_CONFIG } from '@/components/shared/hooks/pollingConfig';
 import { fetchDownloadType } from '@/store/torboxDownloadsFetch';
 import { resetPollTimer } from '@/store/pollTimerReset';
+import { selectIsPaused, usePollingPauseStore } from '@/store/pollingPauseStore';
+import { listRevRef, pushedListRevRef } from '@/store/torboxDownloadsRefs';
 import { useTorboxDownloadsStore } from '@/store/torboxDownloadsStore';
 
 /** @type {{ apiKey: string | null, viewType: string | null }} */
@@ -135,3 +137,53 @@ export function removeQueuedAfterForceStartBulk(idsByAssetType) {
     scheduleForceStartReconcile(reconcileTypes);
   }
 }
+
+/** Last backend list rev applied, sent as `since` when the automation events stream reconnects. */
+export function getPushedDownloadsRev() {
+  return pushedListRevRef.current;
+}
+
+/**
+ * Apply a download list push from the automation events stream.
+ * A `downloads_delta` is merged into the store when it continues from the last applied rev;
+ * after a gap (missed deltas, backend restart, refresh paused) the affected lists are refetched
+ * instead. `downloads_rev` announces the current rev; a different rev than ours means a gap too.
+ *
+ * @param {{ event: 'downloads_delta' | 'downloads_rev', rev: number, baseRev?: number, type?: 'torrents' | 'usenet' | 'webdl', types?: Array<'torrents' | 'usenet' | 'webdl'>, data?: object[], removed?: (number|string)[] }} payload
+ */
+export function applyDownloadsPushEvent(payload) {
+  if (!syncContext.apiKey) return;
+  const appliedRev = pushedListRevRef.current;
+
+  if (payload.event === 'downloads_rev') {
+    pushedListRevRef.current = payload.rev;
+    if (appliedRev != null && appliedRev !== payload.rev) {
+      runReconcileFetch(loadedAssetTypes(payload.types));
+    }
+    return;
+  }
+
+  if (payload.event !== 'downloads_delta') return;
+  if (selectIsPaused(usePollingPauseStore.getState())) {
+    pushedListRevRef.current = null;
+    return;
+  }
+
+  pushedListRevRef.current = payload.rev;
+  if (appliedRev == null || payload.baseRev !== appliedRev) {
+    runReconcileFetch(loadedAssetTypes(['torrents', 'usenet', 'webdl']));
+    return;
+  }
+  // Lists never fetched are loaded in full when opened, so there is nothing to patch.
+  if (listRevRef.current[payload.type] == null) return;
+
+  const store = useTorboxDownloadsStore.getState();
+  store.applyListDelta(payload.type, { data: payload.data, removed: payload.removed });
+  store.setLastSuccessfulFetchAt(Date.now());
+  resetPollTimer();
+}
+
+/** @param {Array<'torrents' | 'usenet' | 'webdl'>} [types] */
+function loadedAssetTypes(types) {
+  return (types || []).filter((type) => listRevRef.current[type] != null);
+}
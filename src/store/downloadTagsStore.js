@@ -8,7 +8,7 @@ import { useTagsStore } from '@/store/tagsStore';
  * @param {(string|number)[]} downloadIds
  * @param {number[]} tagIds
  * @param {'add' | 'remove'} operation
- * @param {{ id: number, name: string }[]} allTags
+ * @param {{ id: number, name: string, group_id?: number|null }[]} allTags
  */
 export function applyOptimisticTagMappings(tagMappings, downloadIds, tagIds, operation, allTags) {
   const tagsById = new Map(allTags.map((tag) => [tag.id, tag]));
@@ -29,13 +29,23 @@ export function applyOptimisticTagMappings(tagMappings, downloadIds, tagIds, ope
       continue;
     }
 
+    let updated = current;
     for (const tagId of tagIds) {
       const tag = tagsById.get(tagId);
-      if (tag && !current.some((t) => t.id === tagId)) {
-        current.push({ id: tag.id, name: tag.name });
+      if (!tag || updated.some((t) => t.id === tagId)) continue;
+      // Mirrors the backend: a tag in an exclusive group replaces the download's other tag of it.
+      if (tag.group_id != null) {
+        updated = updated.filter((t) => tagsById.get(t.id)?.group_id !== tag.group_id);
       }
+      updated.push({
+        id: tag.id,
+        name: tag.name,
+        color: tag.color,
+        parent_id: tag.parent_id,
+        group_id: tag.group_id,
+      });
     }
-    next[downloadId] = current;
+    next[downloadId] = updated;
   }
 
   return next;
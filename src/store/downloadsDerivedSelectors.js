@@ -15,23 +15,25 @@ import {
 import { isAllCombineMode } from '@/components/downloads/filters/sidebarCombineMode';
 import { itemMatchesDownloadSearch } from '@/components/downloads/utils/downloadSearch';
 import { extractSourceHost } from '@/components/downloads/filters/sourceDisplay';
+import { getMatchableTagIds } from '@/components/downloads/filters/tagFilterHelpers';
 import { buildDownloadHistoryLookup } from '@/components/downloads/utils/tbmDownloadEnrichment';
 import { getDownloadSelectionId } from '@/utils/downloadSelectionId';
 import { isQueuedItem } from '@/utils/utility';
+import {
+  RELEASE_METADATA_FIELDS,
+  getDownloadReleaseMetadata,
+  getReleaseSortValue,
+} from '@/utils/downloadReleaseMetadata';
 import { selectViewOrderedIds } from '@/store/torboxDownloadsSelectors';
+import {
+  DOWNLOAD_SORT_FIELD_TYPES,
+  DOWNLOAD_STATUS_SORT_PRIORITY,
+  compareSortKeys,
+  isTruthy,
+} from '../../config/viewFilters.mjs';
 
 /** @typedef {{ entities?: Record<string, object>, order?: { torrents?: string[], usenet?: string[], webdl?: string[] } }} TorboxDownloadsState */
-/** @typedef {{ search?: string, statusFilter?: string, appliedFilters?: object, orViewFilters?: object[], viewCombineMode?: 'any'|'all', sortField?: string, sortDirection?: 'asc'|'desc' }} FilterCriteria */
-
-const STATUS_PRIORITY_MAP = {
-  Completed: 6,
-  Downloading: 5,
-  Inactive: 4,
-  Queued: 3,
-  Seeding: 2,
-  Stalled: 1,
-  Uploading: 0,
-};
+/** @typedef {{ search?: string, searchFilters?: object|null, statusFilter?: string, appliedFilters?: object, orViewFilters?: object[], viewCombineMode?: 'any'|'all', sortField?: string, sortDirection?: 'asc'|'desc' }} FilterCriteria */
 
 const DOWNLOADING_FILTER_VALUE = JSON.stringify({
   active: true,
@@ -46,31 +48,8 @@ for (const opt of STATUS_OPTIONS) {
   }
 }
 
-const FIELD_TYPE_MAP = {
-  id: 'numeric',
-  size: 'numeric',
-  total_uploaded: 'numeric',
-  total_downloaded: 'numeric',
-  download_speed: 'numeric',
-  upload_speed: 'numeric',
-  seeds: 'numeric',
-  peers: 'numeric',
-  eta: 'numeric',
-  progress: 'numeric',
-  ratio: 'numeric',
-  name: 'text',
-  created_at: 'date',
-  cached_at: 'date',
-  updated_at: 'date',
-  expires_at: 'date',
-  download_state: 'status',
-  file_count: 'file_count',
-  airlocked: 'boolean',
-  is_protected: 'boolean',
-};
-
 function getStatusPriority(torrent) {
-  if (isQueuedItem(torrent)) return STATUS_PRIORITY_MAP.Queued;
+  if (isQueuedItem(torrent)) return DOWNLOAD_STATUS_SORT_PRIORITY.queued;
 
   const status = STATUS_OPTIONS.find((option) => {
     if (option.value === 'all' || option.value.is_queued) return false;
@@ -87,7 +66,7 @@ function getStatusPriority(torrent) {
     });
   });
 
-  return STATUS_PRIORITY_MAP[status?.label] ?? -1;
+  return DOWNLOAD_STATUS_SORT_PRIORITY[status?.label?.toLowerCase()] ?? -1;
 }
 
 function numericCompare(a, b, field) {
@@ -110,10 +89,13 @@ function fileCountCompare(a, b) {
   return getItemFileCount(a) - getItemFileCount(b);
 }
 
+/** Release fields are parsed from the name; downloads without the field sort first. */
+function releaseCompare(a, b, field) {
+  return compareSortKeys(getReleaseSortValue(a, field), getReleaseSortValue(b, field));
+}
+
 function booleanCompare(a, b, field) {
-  const av = a[field] === true || a[field] === 1 || a[field] === 'true' ? 1 : 0;
-  const bv = b[field] === true || b[field] === 1 || b[field] === 'true' ? 1 : 0;
-  return av - bv;
+  return Number(isTruthy(a[field])) - Number(isTruthy(b[field]));
 }
 
 /**
@@ -123,7 +105,7 @@ function booleanCompare(a, b, field) {
  * @returns {number}
  */
 function compareRows(a, b, sortField) {
-  const fieldType = FIELD_TYPE_MAP[sortField] || 'text';
+  const fieldType = DOWNLOAD_SORT_FIELD_TYPES[sortField] || 'text';
   switch (fieldType) {
     case 'numeric':
       return numericCompare(a, b, sortField);
@@ -135,6 +117,8 @@ function compareRows(a, b, sortField) {
       return fileCountCompare(a, b);
     case 'boolean':
       return booleanCompare(a, b, sortField);
+    case 'release':
+      return releaseCompare(a, b, sortField);
     default:
       return textCompare(a, b, sortField);
   }
@@ -188,7 +172,7 @@ function matchesStatusFilter(item, statusFilter) {
 }
 
 /**
- * Build row shape used by filter predicates (tags + is_downloaded).
+ * Build row shape used by filter predicates (tags + is_downloaded + release metadata).
  * @param {object|null} entity
  * @param {Record<string, object[]>} [tagMappings]
  * @param {object} [downloadHistoryLookup]
@@ -227,11 +211,16 @@ export function enrichRowForFilter(entity, tagMappings, downloadHistoryLookup, p
   const protectedUnchanged =
     entity.is_protected === isProtected || (entity.is_protected === undefined && !isProtected);
 
-  if (tagsUnchanged && downloadedUnchanged && protectedUnchanged) {
+  const release = getDownloadReleaseMetadata(entity.name);
+  const releaseUnchanged = RELEASE_METADATA_FIELDS.every(
+    (field) => (entity[field] ?? null) === release[field]
+  );
+
+  if (tagsUnchanged && downloadedUnchanged && protectedUnchanged && releaseUnchanged) {
     return entity;
   }
 
-  const row = { ...entity, tags, is_protected: isProtected };
+  const row = { ...entity, ...release, tags, is_protected: isProtected };
   if (isDownloaded !== undefined) {
     row.is_downloaded = isDownloaded;
   }
@@ -239,7 +228,9 @@ export function enrichRowForFilter(entity, tagMappings, downloadHistoryLookup, p
 }
 
 function rowMatchesColumnFilters(row, criteria) {
-  const { appliedFilters, orViewFilters, viewCombineMode } = criteria;
+  const { appliedFilters, searchFilters, orViewFilters, viewCombineMode } = criteria;
+  // Field terms from the search box (tag:, size:, …) narrow whatever view/filters are active.
+  if (searchFilters && !itemMatchesFilters(row, searchFilters)) return false;
   if (orViewFilters?.length > 1) {
     if (isAllCombineMode(viewCombineMode)) {
       return itemMatchesAllViewFilters(row, orViewFilters);
@@ -436,9 +427,9 @@ export function countDownloadsPerTagFromStore(torboxState, viewType, tagMappings
     const entity = entities[id];
     if (!entity) continue;
     const downloadId = entity.id?.toString();
-    const tags = tagMappings[downloadId] || [];
-    for (const tag of tags) {
-      counts[tag.id] = (counts[tag.id] || 0) + 1;
+    // A download counts once toward each of its tags and each ancestor of them.
+    for (const tagId of getMatchableTagIds(tagMappings[downloadId])) {
+      counts[tagId] = (counts[tagId] || 0) + 1;
     }
   }
   return counts;
@@ -446,13 +437,16 @@ export function countDownloadsPerTagFromStore(torboxState, viewType, tagMappings
 
 /**
  * Per-view match counts for sidebar (filter rules on entities).
+ * @param {Object<string, number>|null} [serverCounts] - Backend counts by view id; views listed
+ *   there skip client-side filtering
  */
 export function countDownloadsPerViewFromStore(
   views,
   torboxState,
   activeAssetType,
   tagMappings = {},
-  downloadHistory = []
+  downloadHistory = [],
+  serverCounts = null
 ) {
   const counts = {};
   if (!views?.length) return counts;
@@ -479,6 +473,11 @@ export function countDownloadsPerViewFromStore(
       continue;
     }
 
+    if (serverCounts?.[view.id] != null) {
+      counts[view.id] = serverCounts[view.id];
+      continue;
+    }
+
     const matched = filterIds(
       viewIds,
       entities,
@@ -2,12 +2,37 @@ import { create } from 'zustand';
 import { isBackendAvailable } from '@/utils/backendModeCache';
 import { createApiKeyScopedSlice } from '@/store/createApiKeyScopedStore';
 
+/**
+ * Tag create/update bodies: a plain string is the name; an object may also carry
+ * color, parent_id and group_id (PUT sends only the keys present).
+ */
+function tagBody(fields) {
+  return JSON.stringify(typeof fields === 'string' ? { name: fields } : fields);
+}
+
+/** JSON request to a tag-groups endpoint; throws the backend's error message on failure. */
+async function requestTagGroups(apiKey, path, init, fallbackError) {
+  const response = await fetch(path, {
+    ...init,
+    headers: {
+      'x-api-key': apiKey,
+      ...(init.body ? { 'Content-Type': 'application/json' } : {}),
+    },
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || fallbackError);
+  }
+  return data;
+}
+
 export const useTagsStore = create((set, get) => ({
   tags: [],
+  groups: [],
   loading: false,
   error: null,
   hasLoaded: false,
-  ...createApiKeyScopedSlice(set, get, { tags: [], error: null, hasLoaded: false }),
+  ...createApiKeyScopedSlice(set, get, { tags: [], groups: [], error: null, hasLoaded: false }),
 
   // Load tags from API
   loadTags: async (apiKey, { force = false } = {}) => {
@@ -41,27 +66,31 @@ export const useTagsStore = create((set, get) => ({
     const requestId = get().activeRequestId + 1;
     set({ loading: true, error: null, activeRequestId: requestId });
     try {
-      const response = await fetch('/api/tags', {
-        headers: {
-          'x-api-key': apiKey,
-        },
-      });
+      const [response, groupsResponse] = await Promise.all([
+        fetch('/api/tags', { headers: { 'x-api-key': apiKey } }),
+        fetch('/api/tag-groups', { headers: { 'x-api-key': apiKey } }),
+      ]);
 
       if (!get().isRequestCurrent(apiKey, requestId)) {
         return;
       }
 
-      if (!response.ok) {
+      if (!response.ok || !groupsResponse.ok) {
         throw new Error('Failed to load tags');
       }
 
-      const data = await response.json();
+      const [data, groupsData] = await Promise.all([response.json(), groupsResponse.json()]);
       if (!get().isRequestCurrent(apiKey, requestId)) {
         return;
       }
 
       if (data.success) {
-        set({ tags: data.tags || [], loading: false, hasLoaded: true });
+        set({
+          tags: data.tags || [],
+          groups: groupsData.groups || [],
+          loading: false,
+          hasLoaded: true,
+        });
       } else {
         throw new Error(data.error || 'Failed to load tags');
       }
@@ -74,8 +103,8 @@ export const useTagsStore = create((set, get) => ({
     }
   },
 
-  // Create a new tag
-  createTag: async (apiKey, name) => {
+  // Create a new tag (name, or { name, color, parent_id, group_id })
+  createTag: async (apiKey, fields) => {
     if (!apiKey) {
       throw new Error('API key is required');
     }
@@ -93,7 +122,7 @@ export const useTagsStore = create((set, get) => ({
           'x-api-key': apiKey,
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ name }),
+        body: tagBody(fields),
       });
 
       if (!response.ok) {
@@ -118,8 +147,8 @@ export const useTagsStore = create((set, get) => ({
     }
   },
 
-  // Update an existing tag
-  updateTag: async (apiKey, id, name) => {
+  // Update an existing tag (name, or any of { name, color, parent_id, group_id })
+  updateTag: async (apiKey, id, fields) => {
     if (!apiKey) {
       throw new Error('API key is required');
     }
@@ -137,7 +166,7 @@ export const useTagsStore = create((set, get) => ({
           'x-api-key': apiKey,
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ name }),
+        body: tagBody(fields),
       });
 
       if (!response.ok) {
@@ -203,4 +232,47 @@ export const useTagsStore = create((set, get) => ({
       throw err;
     }
   },
+
+  // Exclusive tag groups: a download carries at most one tag of each group
+  createTagGroup: async (apiKey, name) => {
+    if (!isBackendAvailable()) {
+      throw new Error('Tags feature is disabled when backend is disabled');
+    }
+    const data = await requestTagGroups(
+      apiKey,
+      '/api/tag-groups',
+      { method: 'POST', body: JSON.stringify({ name }) },
+      'Failed to create tag group'
+    );
+    await get().loadTags(apiKey, { force: true });
+    return data.group;
+  },
+
+  updateTagGroup: async (apiKey, id, name) => {
+    if (!isBackendAvailable()) {
+      throw new Error('Tags feature is disabled when backend is disabled');
+    }
+    const data = await requestTagGroups(
+      apiKey,
+      `/api/tag-groups/${id}`,
+      { method: 'PUT', body: JSON.stringify({ name }) },
+      'Failed to update tag group'
+    );
+    await get().loadTags(apiKey, { force: true });
+    return data.group;
+  },
+
+  deleteTagGroup: async (apiKey, id) => {
+    if (!isBackendAvailable()) {
+      throw new Error('Tags feature is disabled when backend is disabled');
+    }
+    await requestTagGroups(
+      apiKey,
+      `/api/tag-groups/${id}`,
+      { method: 'DELETE' },
+      'Failed to delete tag group'
+    );
+    await get().loadTags(apiKey, { force: true });
+    return true;
+  },
 }));
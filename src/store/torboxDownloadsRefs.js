@@ -11,6 +11,8 @@ import { createDownloadFetchRateLimiter } from '@/components/shared/hooks/downlo
  * without gaining re-render value (no component subscribes to these directly).
  */
 export const listRevRef = { current: { torrents: null, usenet: null, webdl: null } };
+/** Rev of the last backend list push (automation events) applied to the store; one per user. */
+export const pushedListRevRef = { current: null };
 /** @type {{ current: Map<string|number, number> }} queued id → last start attempt timestamp */
 export const processedQueueIdsRef = { current: new Map() };
 /** Active initial-fetch keys: `${apiKey}:${viewType}` — supports concurrent fetches per view. */
@@ -60,6 +62,7 @@ export function abortStaleFetch(activeType) {
 export function resetDownloadSyncRefs(apiKey) {
   prevApiKeyRef.current = apiKey;
   listRevRef.current = { torrents: null, usenet: null, webdl: null };
+  pushedListRevRef.current = null;
   for (const type of Object.keys(fetchAbortControllers.current)) {
     const ctrl = fetchAbortControllers.current[type];
     if (ctrl) ctrl.abort();
@@ -1,5 +1,9 @@
 import { create } from 'zustand';
-import { downloadRowEqual, mergeListIntoEntities } from '@/utils/downloadListMerge';
+import {
+  downloadRowEqual,
+  mergeDownloadEntities,
+  mergeListIntoEntities,
+} from '@/utils/downloadListMerge';
 import { slimRowForStorage } from '@/utils/downloadEntityFiles';
 import {
   entityKey,
@@ -57,6 +61,24 @@ export const useTorboxDownloadsStore = create((set, get) => ({
     get().setListFromMerge(assetType, entities, orderKeys, filesCache);
   },
 
+  /**
+   * Apply a list delta pushed by the backend (added/changed rows + removed ids) for one asset type.
+   * @param {'torrents' | 'usenet' | 'webdl'} assetType
+   * @param {{ data?: object[], removed?: (number|string)[] }} delta
+   */
+  applyListDelta: (assetType, { data, removed }) => {
+    const listKey = getListKeyForAssetType(assetType);
+    const state = get();
+    const { entities, orderKeys, filesCache } = mergeDownloadEntities(
+      state.entities,
+      state.order[listKey] || [],
+      { delta: true, data, removed },
+      assetType,
+      state.filesByEntityKey
+    );
+    get().setListFromMerge(assetType, entities, orderKeys, filesCache);
+  },
+
   /**
    * Apply pre-merged entities + order keys for one asset type (fetch path).
    */
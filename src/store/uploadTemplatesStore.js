@@ -0,0 +1,99 @@
+import { create } from 'zustand';
+import { isBackendAvailable } from '@/utils/backendModeCache';
+import { createApiKeyScopedSlice } from '@/store/createApiKeyScopedStore';
+
+const DISABLED_ERROR = 'Upload templates are disabled when backend is disabled';
+
+async function readTemplateResponse(response, fallbackError) {
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || fallbackError);
+  }
+  return data;
+}
+
+export const useUploadTemplatesStore = create((set, get) => ({
+  templates: [],
+  loading: false,
+  error: null,
+  hasLoaded: false,
+  ...createApiKeyScopedSlice(set, get, { templates: [], error: null, hasLoaded: false }),
+
+  // Load upload templates from API
+  loadTemplates: async (apiKey, { force = false } = {}) => {
+    if (!apiKey) {
+      set({ error: 'API key is required', loading: false });
+      return;
+    }
+
+    if (!isBackendAvailable()) {
+      set({ templates: [], loading: false, error: null });
+      return;
+    }
+
+    const { currentApiKey, loading, hasLoaded } = get();
+    if (loading) return;
+    if (!force && hasLoaded && currentApiKey === apiKey) return;
+
+    if (currentApiKey !== apiKey) {
+      get().setApiKey(apiKey);
+    }
+
+    const requestId = get().activeRequestId + 1;
+    set({ loading: true, error: null, activeRequestId: requestId });
+    try {
+      const response = await fetch('/api/upload-templates', {
+        headers: { 'x-api-key': apiKey },
+      });
+      const data = await readTemplateResponse(response, 'Failed to load upload templates');
+      if (!get().isRequestCurrent(apiKey, requestId)) return;
+      set({ templates: data.templates || [], loading: false, hasLoaded: true });
+    } catch (err) {
+      if (!get().isRequestCurrent(apiKey, requestId)) return;
+      console.error('Error loading upload templates:', err);
+      set({ error: err.message, loading: false, hasLoaded: true });
+    }
+  },
+
+  // Create (id = null) or replace a template, then reload the list
+  saveTemplate: async (apiKey, id, template) => {
+    if (!apiKey) {
+      throw new Error('API key is required');
+    }
+    if (!isBackendAvailable()) {
+      throw new Error(DISABLED_ERROR);
+    }
+
+    const response = await fetch(
+      id == null ? '/api/upload-templates' : `/api/upload-templates/${id}`,
+      {
+        method: id == null ? 'POST' : 'PUT',
+        headers: {
+          'x-api-key': apiKey,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(template),
+      }
+    );
+    const data = await readTemplateResponse(response, 'Failed to save upload template');
+    await get().loadTemplates(apiKey, { force: true });
+    return data.template;
+  },
+
+  deleteTemplate: async (apiKey, id) => {
+    if (!apiKey) {
+      throw new Error('API key is required');
+    }
+    if (!isBackendAvailable()) {
+      throw new Error(DISABLED_ERROR);
+    }
+
+    const response = await fetch(`/api/upload-templates/${id}`, {
+      method: 'DELETE',
+      headers: { 'x-api-key': apiKey },
+    });
+    await readTemplateResponse(response, 'Failed to delete upload template');
+    await get().loadTemplates(apiKey, { force: true });
+    return true;
+  },
+}));
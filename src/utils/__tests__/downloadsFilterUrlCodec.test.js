@@ -10,6 +10,10 @@ import {
   writeSourcesToParams,
   parseAppliedFiltersFromParams,
   writeAppliedFiltersToParams,
+  parseSearchQueryParam,
+  serializeSearchQueryParam,
+  compactFiltersToUrl,
+  compactFiltersFromUrl,
 } from '@/utils/downloadsFilterUrlCodec';
 import {
   buildTagFilter,
@@ -185,3 +189,42 @@ describe('downloadsFilterUrlCodec source params', () => {
     expect(parseSourcesFromParams(params)).toEqual([hostA, hostB]);
   });
 });
+
+describe('downloadsFilterUrlCodec search query param', () => {
+  const tags = [{ id: 4, name: 'anime', parent_id: null }];
+
+  test('q round-trips through URL params', () => {
+    const params = new URLSearchParams();
+    params.set('q', 'tag:anime size:>10GB status:seeding -name:sample added:<7d frieren');
+    const parsed = parseSearchQueryParam(new URLSearchParams(params.toString()).get('q'), {
+      tags,
+    });
+    expect(parsed.text).toBe('frieren');
+    expect(serializeSearchQueryParam(parsed, { tags })).toBe(
+      'tag:anime size:>10GB status:seeding -name:sample added:<1w frieren'
+    );
+  });
+
+  test('compiled filters survive the compact filter encoding', () => {
+    const { filters } = parseSearchQueryParam('status:seeding OR (is:private tracker:foo)');
+    const decoded = compactFiltersFromUrl(compactFiltersToUrl(filters));
+    expect(decoded.groups).toEqual(filters.groups);
+    expect(serializeSearchQueryParam({ filters: decoded })).toBe(
+      'status:seeding OR is:private tracker:foo'
+    );
+  });
+
+  test('serializeSearchQueryParam returns null for empty or inexpressible input', () => {
+    expect(serializeSearchQueryParam({ text: '  ', filters: null })).toBeNull();
+    const regex = {
+      logicOperator: 'and',
+      groups: [
+        {
+          logicOperator: 'and',
+          filters: [{ column: 'name', operator: 'matches_regex', value: '^a' }],
+        },
+      ],
+    };
+    expect(serializeSearchQueryParam({ filters: regex })).toBeNull();
+  });
+});
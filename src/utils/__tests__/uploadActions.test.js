@@ -1,5 +1,5 @@
 import { describe, expect, test } from 'bun:test';
-import { resolveAssetTypeForItem } from '@/utils/uploadActions';
+import { buildUploadScheduleFields, resolveAssetTypeForItem } from '@/utils/uploadActions';
 
 describe('resolveAssetTypeForItem', () => {
   test('maps usenet items to usenet endpoint even when hook defaults to torrents', () => {
@@ -14,3 +14,41 @@ describe('resolveAssetTypeForItem', () => {
     expect(resolveAssetTypeForItem({ type: 'custom' }, 'webdl')).toBe('webdl');
   });
 });
+
+describe('buildUploadScheduleFields', () => {
+  test('returns null for immediate uploads and unparseable times', () => {
+    expect(buildUploadScheduleFields({ mode: 'now' })).toBeNull();
+    expect(buildUploadScheduleFields({ mode: 'at', scheduledAt: '' })).toBeNull();
+  });
+
+  test('maps each mode to backend queue fields', () => {
+    expect(buildUploadScheduleFields({ mode: 'at', scheduledAt: '2026-03-10T12:00Z' })).toEqual({
+      scheduled_at: '2026-03-10T12:00:00.000Z',
+    });
+    expect(
+      buildUploadScheduleFields(
+        { mode: 'window', windowStart: '01:00', windowEnd: '07:00' },
+        'Europe/Berlin'
+      )
+    ).toEqual({ window_start: '01:00', window_end: '07:00', window_timezone: 'Europe/Berlin' });
+    expect(buildUploadScheduleFields({ mode: 'quota' })).toEqual({ wait_for_quota: true });
+  });
+
+  test('adds a non-default duplicate choice even for immediate uploads', () => {
+    expect(buildUploadScheduleFields({ mode: 'now', onDuplicate: 'skip' })).toBeNull();
+    expect(buildUploadScheduleFields({ mode: 'now', onDuplicate: 'tag' })).toEqual({
+      on_duplicate: 'tag',
+    });
+    expect(buildUploadScheduleFields({ mode: 'quota', onDuplicate: 'readd' })).toEqual({
+      wait_for_quota: true,
+      on_duplicate: 'readd',
+    });
+  });
+
+  test('adds the chosen upload template as a numeric id', () => {
+    expect(buildUploadScheduleFields({ mode: 'now', templateId: '' })).toBeNull();
+    expect(buildUploadScheduleFields({ mode: 'now', templateId: '4' })).toEqual({
+      template_id: 4,
+    });
+  });
+});
@@ -7,37 +7,10 @@ import {
   slimRowForStorage,
   shouldEvictFilesCache,
 } from '@/utils/downloadEntityFiles';
-
-const ROW_COMPARE_FIELDS = [
-  'id',
-  'name',
-  'size',
-  'progress',
-  'download_speed',
-  'upload_speed',
-  'download_state',
-  'download_finished',
-  'download_present',
-  'active',
-  'eta',
-  'peers',
-  'seeds',
-  'ratio',
-  'status',
-  'cached',
-  'error',
-  'tracker',
-  'tracker_domain',
-  'tracker_icon',
-  'updated_at',
-  'expires_at',
-  'availability',
-  'max_download_speed',
-  'airlocked',
-];
+import { DOWNLOAD_ROW_COMPARE_FIELDS } from '../../config/downloadRows.mjs';
 
 // Note: active items used to get a new reference on every poll, but now
-// downloadRowEqual compares all ROW_COMPARE_FIELDS regardless of activity.
+// downloadRowEqual compares all DOWNLOAD_ROW_COMPARE_FIELDS regardless of activity.
 // This preserves structural sharing — items with no meaningful field change
 // reuse the previous entity reference.
 
@@ -66,7 +39,7 @@ export function downloadRowEqual(prev, next) {
   if (prev.id !== next.id) return false;
   if (prev.assetType !== next.assetType) return false;
 
-  for (const field of ROW_COMPARE_FIELDS) {
+  for (const field of DOWNLOAD_ROW_COMPARE_FIELDS) {
     if (prev[field] !== next[field]) return false;
   }
 
@@ -0,0 +1,44 @@
+/**
+ * Release metadata (resolution, codec, season, group…) for download list rows, parsed from the
+ * name with the same parser the backend stores for RESOLUTION / SEASON / RELEASE_GROUP rules.
+ */
+
+import {
+  RELEASE_METADATA_FIELDS,
+  parseReleaseName,
+  resolutionToLines,
+} from '../../config/releaseName.mjs';
+
+export { RELEASE_METADATA_FIELDS };
+
+/** Names are parsed once per poll cycle at most; keep the cache bounded for long sessions. */
+const MAX_CACHED_NAMES = 5000;
+const metadataByName = new Map();
+
+/**
+ * @param {string|null|undefined} name
+ * @returns {ReturnType<typeof parseReleaseName>}
+ */
+export function getDownloadReleaseMetadata(name) {
+  const key = typeof name === 'string' ? name : '';
+  let metadata = metadataByName.get(key);
+  if (!metadata) {
+    if (metadataByName.size >= MAX_CACHED_NAMES) {
+      metadataByName.delete(metadataByName.keys().next().value);
+    }
+    metadata = Object.freeze(parseReleaseName(key));
+    metadataByName.set(key, metadata);
+  }
+  return metadata;
+}
+
+/**
+ * Sort value of a release field: resolution sorts by line count, other fields as parsed.
+ * @param {object} row - Download row
+ * @param {string} field - One of RELEASE_METADATA_FIELDS
+ * @returns {string|number|null}
+ */
+export function getReleaseSortValue(row, field) {
+  const value = getDownloadReleaseMetadata(row?.name)[field];
+  return field === 'resolution' ? resolutionToLines(value) : value;
+}
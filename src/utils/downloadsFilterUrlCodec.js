@@ -2,6 +2,8 @@
  * Downloads page URL filter codec.
  *
  * Params: status (slugs), tag, tags, tracker, trackers, source, sources, view, filters (compact JSON), q, sort, dir.
+ * `q` keeps the search box text verbatim; its `field:value` terms compile to the same filter tree
+ * as `filters` (see searchQueryLanguage.js).
  * Never pre-encode with encodeURIComponent before URLSearchParams.set().
  */
 
@@ -28,6 +30,10 @@ import {
   writeSectionCombineModeToParams,
   clearSectionCombineModeParams,
 } from '@/components/downloads/filters/sidebarCombineMode';
+import {
+  formatSearchQuery,
+  parseSearchQuery,
+} from '@/components/downloads/filters/searchQueryLanguage';
 
 const EMPTY_FILTERS_JSON = JSON.stringify(EMPTY_FILTERS);
 
@@ -456,6 +462,27 @@ export function tryParseLegacyStatus(raw) {
   return 'all';
 }
 
+/**
+ * Compile a `q` value into free text plus a filter tree.
+ * @param {string|null|undefined} raw
+ * @param {import('@/components/downloads/filters/searchQueryLanguage').SearchQueryContext} [context]
+ * @returns {import('@/components/downloads/filters/searchQueryLanguage').ParsedSearchQuery}
+ */
+export function parseSearchQueryParam(raw, context) {
+  return parseSearchQuery(raw ?? '', context);
+}
+
+/**
+ * Inverse of parseSearchQueryParam.
+ * @param {{ text?: string, filters?: object|null }} parsed
+ * @param {import('@/components/downloads/filters/searchQueryLanguage').SearchQueryContext} [context]
+ * @returns {string|null} `q` value; null when empty or when the filters have no query syntax
+ */
+export function serializeSearchQueryParam(parsed, context) {
+  const query = formatSearchQuery(parsed, context);
+  return query ? query : null;
+}
+
 /**
  * @param {URLSearchParams} searchParams
  * @param {{ getJSON?: (key: string) => unknown, removeItem?: (key: string) => void, overflowKey?: string }} [storage]
@@ -2,10 +2,19 @@
  * Normalize and merge Stremio stream objects into a provider-agnostic result model.
  *
  * Technical tags (resolution / codec / HDR / language) follow common scene / P2P
- * release naming (Title.Year.2160p.UHD.BluRay.…HDR10Plus.DV.x265-GROUP).
- * @see https://rendezvois.github.io/miscellaneous/naming-conventions/encodes/
+ * release naming; the token parsers are shared with downloads in config/releaseName.mjs.
  */
 
+import {
+  parseAudio,
+  parseCodec,
+  parseHdr,
+  parseLanguage,
+  parseResolution,
+  parseSource,
+  sceneNormalize,
+} from '../../config/releaseName.mjs';
+
 const RESOLUTION_ORDER = {
   '2160p': 4,
   '1080p': 3,
@@ -13,82 +22,6 @@ const RESOLUTION_ORDER = {
   '480p': 1,
 };
 
-/** Dot / bracket / space separators common in scene filenames */
-function sceneNormalize(text) {
-  return String(text || '')
-    .replace(/[\[\]()]/g, ' ')
-    .replace(/[._]+/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
-}
-
-function parseResolution(s) {
-  // Prefer explicit p/i tokens; fall back to 4K / UHD marketing tags.
-  const match = s.match(/\b(8640p|4320p|2160p|1440p|1080p|1080i|720p|576p|480p|360p|4K|UHD)\b/i);
-  if (!match) return null;
-  const token = match[1].toUpperCase();
-  if (token === '4K' || token === 'UHD' || token === '2160P') return '2160p';
-  if (token === '1080I' || token === '1080P' || token === '1440P') return '1080p';
-  if (token === '720P') return '720p';
-  if (token === '576P' || token === '480P' || token === '360P') return '480p';
-  // Ultra-high (8K/4K variants already handled); keep lowercase p form when known.
-  return `${parseInt(token, 10)}p`;
-}
-
-function parseHdr(s) {
-  // Longest / most specific first (HDR10Plus before HDR10 before HDR).
-  if (/\b(Dolby[\s.-]*Vision|DoVi|DV)\b/i.test(s)) return 'DV';
-  if (/\b(HDR10[\s.+_-]*Plus|HDR10\+)\b/i.test(s)) return 'HDR10+';
-  if (/\bHDR10\b/i.test(s)) return 'HDR10';
-  if (/\bHLG\b/i.test(s)) return 'HLG';
-  if (/\bHDR\b/i.test(s)) return 'HDR';
-  return null;
-}
-
-function parseCodec(s) {
-  // Scene WEB often uses H.265 / H.264; encodes use x265 / x264; HEVC/AVC synonyms.
-  const match = s.match(/\b(x265|x264|h\.?265|h\.?264|HEVC|AVC|AV1|VP9|XviD|DivX)\b/i);
-  if (!match) return null;
-  const raw = match[1].toLowerCase().replace(/\./g, '');
-  if (raw === 'hevc' || raw === 'h265' || raw === 'x265') return 'x265';
-  if (raw === 'avc' || raw === 'h264' || raw === 'x264') return 'x264';
-  if (raw === 'av1') return 'AV1';
-  if (raw === 'vp9') return 'VP9';
-  if (raw === 'xvid') return 'XviD';
-  if (raw === 'divx') return 'DivX';
-  return match[1];
-}
-
-function parseAudio(s) {
-  const match = s.match(
-    /\b(TrueHD(?:[\s.-]*Atmos)?|DTS(?:-?HD(?:[\s.-]*MA)?|-?X)?|Atmos|DD(?:P|Plus)?(?:[\s.-]*Atmos)?(?:[\s.-]*\d+(?:\.\d+)?)?|EAC3|E-AC-?3|AC-?3|AAC|FLAC|Opus|LPCM|PCM)\b/i
-  );
-  return match ? match[1] : null;
-}
-
-function parseQuality(s) {
-  const match = s.match(
-    /\b(Blu-?Ray|UHD[\s.-]*Blu-?Ray|WEB-?DL|WEBDL|WEB-?Rip|WEBRip|WEB|HDTV|REMUX|BDRip|BRRip|DVDRip|HDRip|PPVRip)\b/i
-  );
-  if (!match) return null;
-  const t = match[1].toLowerCase().replace(/-/g, '');
-  if (t.includes('bluray') || t.includes('uhd')) return 'BluRay';
-  if (t === 'webdl' || t === 'web') return 'WEB-DL';
-  if (t === 'webrip') return 'WEBRip';
-  if (t === 'hdtv') return 'HDTV';
-  if (t === 'remux') return 'REMUX';
-  if (t === 'bdrip' || t === 'brrip') return 'BDRip';
-  if (t === 'dvdrip') return 'DVDRip';
-  return match[1];
-}
-
-function parseLanguage(s) {
-  const match = s.match(
-    /\b(ENG|English|Multi|DUAL|MULTi|JPN|Japanese|SPA|Spanish|FRE|French|GER|German|ITA|Italian|RUS|Russian|POR|Portuguese|CHI|Chinese|KOR|Korean|HIN|Hindi|NLD|Dutch|SWE|Swedish|NOR|Norwegian|FIN|Finnish|POL|Polish|CES|CZE|Czech|TUR|Turkish|THA|Thai|ARA|Arabic|HEB|Hebrew|VIE|Vietnamese|IND|Indonesian|MSA|Malay|UKR|Ukrainian)\b/i
-  );
-  return match ? match[1] : null;
-}
-
 /**
  * Parse scene / P2P style release metadata from free text (title, description, or filename).
  */
@@ -110,7 +43,7 @@ export function parseMetadata(text) {
     hdr: parseHdr(s),
     codec: parseCodec(s),
     audio: parseAudio(s),
-    quality: parseQuality(s),
+    quality: parseSource(s),
     language: parseLanguage(s),
   };
 }
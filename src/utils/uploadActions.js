@@ -1,6 +1,7 @@
 import { isNonRetryableResponse } from '@/config/errors';
 import { retryFetch } from '@/utils/retryFetch';
 import { getEndpointForAssetType } from '@/utils/apiEndpoints';
+import { DEFAULT_UPLOAD_DUPLICATE_ACTION } from '../../config/uploadDuplicateCheck.mjs';
 
 const DEFAULT_OPTIONS = {
   seed: 1,
@@ -16,6 +17,48 @@ export function resolveAssetTypeForItem(item, fallbackAssetType = 'torrents') {
   return fallbackAssetType;
 }
 
+/**
+ * Backend queue fields for the uploader's "start", "if already added" and template choices. Only
+ * the backend queue honors these, so callers must send such items through /api/uploads/batch.
+ * @param {{ mode: 'now'|'at'|'window'|'quota', scheduledAt?: string, windowStart?: string,
+ *   windowEnd?: string, onDuplicate?: 'skip'|'readd'|'tag', templateId?: string|number }}
+ *   schedule - scheduledAt is a datetime-local value in browser time
+ * @param {string} [timezone] - IANA timezone the window times are in
+ * @returns {Object|null} Null when the upload should start right away with default handling
+ */
+export function buildUploadScheduleFields(
+  schedule,
+  timezone = Intl.DateTimeFormat().resolvedOptions().timeZone
+) {
+  let fields = getScheduleModeFields(schedule, timezone);
+  if (schedule?.onDuplicate && schedule.onDuplicate !== DEFAULT_UPLOAD_DUPLICATE_ACTION) {
+    fields = { ...fields, on_duplicate: schedule.onDuplicate };
+  }
+  if (schedule?.templateId) {
+    fields = { ...fields, template_id: Number(schedule.templateId) };
+  }
+  return fields;
+}
+
+function getScheduleModeFields(schedule, timezone) {
+  switch (schedule?.mode) {
+    case 'at': {
+      const startAt = new Date(schedule.scheduledAt);
+      return Number.isNaN(startAt.getTime()) ? null : { scheduled_at: startAt.toISOString() };
+    }
+    case 'window':
+      return {
+        window_start: schedule.windowStart,
+        window_end: schedule.windowEnd,
+        window_timezone: timezone,
+      };
+    case 'quota':
+      return { wait_for_quota: true };
+    default:
+      return null;
+  }
+}
+
 function isPermanentError(data) {
   return isNonRetryableResponse(data);
 }